@@ -359,11 +359,13 @@
       createStatusBanner();
       updateBanner('Extracting JD keywords...', 'working');
       
-      chrome.storage.local.get(['ats_session', 'ats_profile', 'ats_baseCV'], async (data) => {
+      chrome.storage.local.get(['ats_session', 'ats_profile', 'ats_baseCV', 'ats_lastGeneratedDocuments'], async (data) => {
         try {
           const session = data.ats_session;
           const baseCV = data.ats_baseCV || '';
           const profile = data.ats_profile || {};
+          // Render with the template of the variant the last tailor-application run used
+          const candidateData = { ...profile, resumeTemplate: data.ats_lastGeneratedDocuments?.resumeTemplate || null };
           
           if (!session?.access_token) {
             updateBanner('Please login first', 'error');
@@ -411,9 +413,9 @@
           // Generate PDF (~15ms)
           let pdfResult = null;
           if (typeof OpenResumeGenerator !== 'undefined' && OpenResumeGenerator.generateATSPackage) {
-            pdfResult = await OpenResumeGenerator.generateATSPackage(tailoredCV, keywords, jobInfo);
+            pdfResult = await OpenResumeGenerator.generateATSPackage(tailoredCV, keywords, jobInfo, candidateData);
           } else if (typeof TurboPipeline !== 'undefined' && TurboPipeline.executeTurboPipeline) {
-            const pipelineResult = await TurboPipeline.executeTurboPipeline(jobInfo, profile, baseCV, { maxKeywords: 15 });
+            const pipelineResult = await TurboPipeline.executeTurboPipeline(jobInfo, candidateData, baseCV, { maxKeywords: 15 });
             if (pipelineResult.success) {
               pdfResult = { cv: pipelineResult.cvPDF, cover: pipelineResult.coverPDF };
             }
@@ -872,7 +874,7 @@
           
           // Load user profile and base CV
           const data = await new Promise(resolve => {
-            chrome.storage.local.get(['ats_session', 'ats_profile', 'ats_baseCV'], resolve);
+            chrome.storage.local.get(['ats_session', 'ats_profile', 'ats_baseCV', 'ats_lastGeneratedDocuments'], resolve);
           });
           
           if (data.ats_session && data.ats_baseCV) {
@@ -889,6 +891,7 @@
               linkedin: profile.linkedin || '',
               github: profile.github || '',
               portfolio: profile.portfolio || '',
+              resumeTemplate: data.ats_lastGeneratedDocuments?.resumeTemplate || null,
             };
             
             // EXECUTE FULL PIPELINE: Extract → Tailor → PDF → Attach
@@ -1865,6 +1868,7 @@
             cvFileName: result.cvFileName || `${fallbackName}_CV.pdf`,
             coverFileName: result.coverLetterFileName || `${fallbackName}_Cover_Letter.pdf`,
             matchScore: result.matchScore || 0,
+            resumeTemplate: result.resumeTemplate || null,
           }
         }, resolve);
       });
@@ -2212,11 +2216,12 @@
     try {
       // Get session and profile
       const data = await new Promise(resolve => {
-        chrome.storage.local.get(['ats_session', 'ats_profile', 'ats_baseCV'], resolve);
+        chrome.storage.local.get(['ats_session', 'ats_profile', 'ats_baseCV', 'ats_lastGeneratedDocuments'], resolve);
       });
       
       const session = data.ats_session;
       const profile = data.ats_profile || {};
+      const candidateData = { ...profile, resumeTemplate: data.ats_lastGeneratedDocuments?.resumeTemplate || null };
       const baseCV = data.ats_baseCV || '';
       
       if (!session?.access_token) {
@@ -2258,9 +2263,9 @@
       // Generate PDF
       let pdfResult = null;
       if (typeof OpenResumeGenerator !== 'undefined' && OpenResumeGenerator.generateATSPackage) {
-        pdfResult = await OpenResumeGenerator.generateATSPackage(tailoredCV, keywords, jobInfo);
+        pdfResult = await OpenResumeGenerator.generateATSPackage(tailoredCV, keywords, jobInfo, candidateData);
       } else if (typeof TurboPipeline !== 'undefined' && TurboPipeline.executeTurboPipeline) {
-        const pipelineResult = await TurboPipeline.executeTurboPipeline(jobInfo, profile, baseCV, { maxKeywords: 35 });
+        const pipelineResult = await TurboPipeline.executeTurboPipeline(jobInfo, candidateData, baseCV, { maxKeywords: 35 });
         if (pipelineResult.success) {
           pdfResult = { cv: pipelineResult.cvPDF, cover: pipelineResult.coverPDF };
         }
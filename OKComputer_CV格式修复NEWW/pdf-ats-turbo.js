@@ -69,7 +69,11 @@
       let pdfBlob = null;
 
       if (typeof jspdf !== 'undefined' && jspdf.jsPDF) {
-        const pdfResult = await this.generateWithJsPDF(formattedContent, candidateData);
+        // The shared template engine (resume-templates.js) when it is loaded, so
+        // this PDF matches generate-pdf's; the local layout otherwise
+        const pdfResult = window.ResumeTemplates
+          ? ResumeTemplates.renderResume(jspdf.jsPDF, pdfText, { template: candidateData?.resumeTemplate })
+          : await this.generateWithJsPDF(formattedContent, candidateData);
         pdfBase64 = pdfResult.base64;
         pdfBlob = pdfResult.blob;
       } else {
@@ -80,6 +84,21 @@
       const timing = performance.now() - startTime;
       console.log(`[PDFATSTurbo] CV PDF generated in ${timing.toFixed(0)}ms`);
 
+      // Read the PDF back the way an ATS would (pdf-text.js). A blocking result
+      // means the email, phone or latest title won't survive the employer's parser.
+      let atsCheck = null;
+      if (pdfBlob && window.PdfText) {
+        const fullName = `${candidateData?.firstName || candidateData?.first_name || ''} ${candidateData?.lastName || candidateData?.last_name || ''}`.trim();
+        atsCheck = await PdfText.verifyResumePdf(await pdfBlob.arrayBuffer(), {
+          name: fullName || undefined,
+          email: candidateData?.email || null,
+          phone: candidateData?.phone || null,
+        });
+        if (atsCheck.blocking.length > 0) {
+          console.warn('[PDFATSTurbo] CV fails the ATS parse check:', atsCheck.issues);
+        }
+      }
+
       return {
         pdf: pdfBase64,
         blob: pdfBlob,
@@ -87,6 +106,7 @@
         text: pdfText,
         formattedContent,
         timing,
+        atsCheck,
         size: pdfBase64 ? Math.round(pdfBase64.length * 0.75 / 1024) : 0
       };
     },
@@ -0,0 +1,3979 @@
+// tailoring-core v1.0.1 - GENERATED, do not edit.
+// Source: supabase/functions/_shared/tailoring-core (npm run core:build)
+(() => {
+  var __defProp = Object.defineProperty;
+  var __export = (target, all) => {
+    for (var name in all)
+      __defProp(target, name, { get: all[name], enumerable: true });
+  };
+
+  // supabase/functions/_shared/tailoring-core/index.ts
+  var tailoring_core_exports = {};
+  __export(tailoring_core_exports, {
+    ALL_MANDATORY: () => ALL_MANDATORY,
+    CATEGORY: () => CATEGORY,
+    MANDATORY_KEYWORDS: () => MANDATORY_KEYWORDS,
+    PROVENANCE_STATUS: () => STATUS,
+    STRUCTURE_TYPES: () => STRUCTURE_TYPES,
+    TAILORING_CORE_VERSION: () => TAILORING_CORE_VERSION,
+    audit: () => audit,
+    buildEvidence: () => buildEvidence,
+    calculateDynamicMatch: () => calculateDynamicMatch,
+    calculateProfileMatch: () => calculateProfileMatch,
+    calculateWeightedMatch: () => calculateWeightedMatch,
+    clearCaches: () => clearCaches,
+    clearLearnedKeywords: () => clearLearnedKeywords,
+    configureKeywordLearning: () => configureKeywordLearning,
+    detectStructure: () => detectStructure,
+    extractJobscanKeywords: () => extractJobscanKeywords,
+    extractKeywords: () => extractKeywords,
+    extractMandatoryFromJD: () => extractMandatoryFromJD,
+    extractReliableKeywords: () => extractReliableKeywords,
+    extractSections: () => extractSections,
+    getCategoryForKeyword: () => getCategoryForKeyword,
+    getLearnedKeywords: () => getLearnedKeywords,
+    getScoreColor: () => getScoreColor,
+    getScoreStatus: () => getScoreStatus,
+    matchKeywords: () => matchKeywords,
+    mergeWithMandatory: () => mergeWithMandatory,
+    normalizeWhitespace: () => normalizeWhitespace,
+    parseCV: () => parseCV,
+    parseJobDescription: () => parseJobDescription,
+    quickOptimize: () => quickOptimize,
+    removeBoilerplate: () => removeBoilerplate,
+    restrictKeywords: () => restrictKeywords,
+    scoreGeneratedContent: () => scoreGeneratedContent,
+    stripHTML: () => stripHTML,
+    tailorCV: () => tailorCV,
+    truncateToSafeLimit: () => truncateToSafeLimit,
+    validateTailoring: () => validateTailoring
+  });
+
+  // supabase/functions/_shared/tailoring-core/jd-parser.ts
+  var STRUCTURE_TYPES = {
+    BULLETS: "bullets",
+    SECTIONS: "sections",
+    NARRATIVE: "narrative",
+    PHRASES: "phrases",
+    RAW_TEXT: "raw_text"
+  };
+  var CACHE_TTL = 5 * 60 * 1e3;
+  var CACHE_LIMIT = 100;
+  var JD_CACHE = /* @__PURE__ */ new Map();
+  function getCacheKey(text) {
+    let hash = 0;
+    const sample = text.slice(0, 500) + text.slice(-500);
+    for (let i = 0; i < sample.length; i++) {
+      hash = (hash << 5) - hash + sample.charCodeAt(i);
+      hash |= 0;
+    }
+    return `jd_${hash}_${text.length}`;
+  }
+  function getCached(key, cache) {
+    const entry = cache.get(key);
+    if (entry && Date.now() - entry.timestamp < CACHE_TTL) {
+      return entry.data;
+    }
+    cache.delete(key);
+    return null;
+  }
+  function setCache(key, data, cache) {
+    cache.set(key, { data, timestamp: Date.now() });
+    if (cache.size > CACHE_LIMIT) {
+      const oldest = cache.keys().next().value;
+      if (oldest !== void 0) cache.delete(oldest);
+    }
+  }
+  function detectStructure(text) {
+    const bulletPattern = /(?:^|\n)\s*[-•●○◦▪▸►]\s*\S|(?:^|\n)\s*\d+[.)]\s*\S/gm;
+    const bulletMatches = (text.match(bulletPattern) || []).length;
+    const sectionPattern = /(?:requirements|qualifications|skills|responsibilities|experience|about|what we|you will|your role|key|must have|nice to have)[:\s]/gi;
+    const sectionMatches = (text.match(sectionPattern) || []).length;
+    const narrativePattern = /you['’]?ll|you will|we['’]?re looking|we are seeking|your role|join our|be responsible/gi;
+    const narrativeMatches = (text.match(narrativePattern) || []).length;
+    if (bulletMatches >= 5) return STRUCTURE_TYPES.BULLETS;
+    if (sectionMatches >= 2) return STRUCTURE_TYPES.SECTIONS;
+    if (narrativeMatches >= 2) return STRUCTURE_TYPES.NARRATIVE;
+    const words = text.split(/\s+/).filter((w) => w.length >= 3);
+    const techPattern = /^[A-Za-z][A-Za-z0-9+#.-]+$/;
+    const techWords = words.filter((w) => techPattern.test(w)).length;
+    if (words.length > 0 && techWords / words.length > 0.3) return STRUCTURE_TYPES.PHRASES;
+    return STRUCTURE_TYPES.RAW_TEXT;
+  }
+  var REMOVE_SELECTORS = [
+    "nav",
+    "header",
+    "footer",
+    "script",
+    "style",
+    "noscript",
+    '[role="navigation"]',
+    '[role="banner"]',
+    '[role="contentinfo"]',
+    ".nav",
+    ".header",
+    ".footer",
+    ".menu",
+    ".sidebar",
+    ".advertisement"
+  ];
+  var ENTITIES = {
+    "&nbsp;": " ",
+    "&amp;": "&",
+    "&lt;": "<",
+    "&gt;": ">",
+    "&quot;": '"',
+    "&#39;": "'",
+    "&apos;": "'"
+  };
+  function stripHTMLWithoutDOM(rawHTML) {
+    return rawHTML.replace(/<(script|style|noscript|nav|header|footer)\b[^>]*>[\s\S]*?<\/\1>/gi, " ").replace(/<br\s*\/?>/gi, "\n").replace(/<\/(p|div|li|ul|ol|h[1-6]|tr|section)>/gi, "\n").replace(/<li\b[^>]*>/gi, "\n• ").replace(/<[^>]+>/g, " ").replace(/&(nbsp|amp|lt|gt|quot|#39|apos);/g, (entity) => ENTITIES[entity] || entity);
+  }
+  function stripHTML(rawHTML) {
+    if (!rawHTML) return "";
+    if (typeof document === "undefined") {
+      return normalizeWhitespace(stripHTMLWithoutDOM(rawHTML));
+    }
+    const temp = document.createElement("div");
+    temp.innerHTML = rawHTML;
+    REMOVE_SELECTORS.forEach((sel) => {
+      temp.querySelectorAll(sel).forEach((el) => el.remove());
+    });
+    const text = temp.textContent || temp.innerText || "";
+    return normalizeWhitespace(text);
+  }
+  function normalizeWhitespace(text) {
+    return text.replace(/[\r\n]+/g, "\n").replace(/[ \t]+/g, " ").replace(/\n /g, "\n").replace(/ \n/g, "\n").replace(/\n{3,}/g, "\n\n").trim();
+  }
+  function removeBoilerplate(text) {
+    const boilerplatePatterns = [
+      /equal\s+opportunity\s+employer[^]*?(?=\n\n|\n[A-Z]|$)/gi,
+      /we\s+are\s+an?\s+(?:equal|inclusive)[^]*?(?=\n\n|\n[A-Z]|$)/gi,
+      /benefits\s*(?:include)?[:\s][^]*?(?=\n\n(?:requirements|qualifications|about|$))/gi,
+      /salary\s*(?:range)?[:\s][^]*?(?=\n\n|$)/gi,
+      /how\s+to\s+apply[^]*$/gi,
+      /apply\s+now[^]*$/gi,
+      /about\s+(?:us|our\s+company|the\s+company)[^]*?(?=\n\n(?:requirements|role|position|responsibilities)|$)/gi
+    ];
+    let cleaned = text;
+    boilerplatePatterns.forEach((pattern) => {
+      cleaned = cleaned.replace(pattern, "\n");
+    });
+    return normalizeWhitespace(cleaned);
+  }
+  function truncateToSafeLimit(text, maxLength = 1e4) {
+    if (text.length <= maxLength) return text;
+    const cutPoint = text.lastIndexOf("\n\n", maxLength);
+    if (cutPoint > maxLength * 0.7) {
+      return text.slice(0, cutPoint);
+    }
+    const sentenceEnd = text.lastIndexOf(". ", maxLength);
+    if (sentenceEnd > maxLength * 0.8) {
+      return text.slice(0, sentenceEnd + 1);
+    }
+    return text.slice(0, maxLength);
+  }
+  function extractSections(text) {
+    const sections = {
+      requirements: "",
+      responsibilities: "",
+      qualifications: "",
+      skills: "",
+      about: "",
+      other: ""
+    };
+    const sectionPatterns = [
+      { key: "requirements", pattern: /(?:^|\n)(?:requirements|what we need|what you need|must have)[:\s]*/i },
+      { key: "responsibilities", pattern: /(?:^|\n)(?:responsibilities|duties|what you['’]?ll do|your role|job duties)[:\s]*/i },
+      { key: "qualifications", pattern: /(?:^|\n)(?:qualifications|who you are|ideal candidate|about you)[:\s]*/i },
+      { key: "skills", pattern: /(?:^|\n)(?:skills|technical skills|required skills|key skills|core competencies)[:\s]*/i },
+      { key: "about", pattern: /(?:^|\n)(?:about (?:the role|this role|the position)|overview|summary)[:\s]*/i }
+    ];
+    const sectionStarts = [];
+    sectionPatterns.forEach(({ key, pattern }) => {
+      const match = text.match(pattern);
+      if (match && match.index !== void 0) {
+        sectionStarts.push({ key, index: match.index, length: match[0].length });
+      }
+    });
+    sectionStarts.sort((a, b) => a.index - b.index);
+    for (let i = 0; i < sectionStarts.length; i++) {
+      const current = sectionStarts[i];
+      const startIdx = current.index + current.length;
+      const endIdx = i < sectionStarts.length - 1 ? sectionStarts[i + 1].index : text.length;
+      sections[current.key] = text.slice(startIdx, endIdx).trim();
+    }
+    if (sectionStarts.length > 0 && sectionStarts[0].index > 0) {
+      sections.other = text.slice(0, sectionStarts[0].index).trim();
+    }
+    return sections;
+  }
+  function parseJobDescription(rawHTML) {
+    if (!rawHTML) {
+      return { text: "", structure: STRUCTURE_TYPES.RAW_TEXT, sections: {} };
+    }
+    const cacheKey = getCacheKey(rawHTML);
+    const cached = getCached(cacheKey, JD_CACHE);
+    if (cached) return cached;
+    let cleanText = stripHTML(rawHTML);
+    cleanText = removeBoilerplate(cleanText);
+    cleanText = truncateToSafeLimit(cleanText);
+    const structure = detectStructure(cleanText);
+    const sections = structure === STRUCTURE_TYPES.SECTIONS ? extractSections(cleanText) : {};
+    const result = { text: cleanText, structure, sections };
+    setCache(cacheKey, result, JD_CACHE);
+    return result;
+  }
+
+  // supabase/functions/_shared/tailoring-core/text.ts
+  function escapeRegex(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+  function normalize(text) {
+    return String(text ?? "").toLowerCase().replace(/\s+/g, " ").trim();
+  }
+  function hasWord(text, keyword) {
+    if (!text || !keyword) return false;
+    return new RegExp(`\\b${escapeRegex(keyword.toLowerCase())}\\b`, "i").test(text);
+  }
+  function containsTerm(text, term) {
+    const needle = normalize(term);
+    if (!needle || !text) return false;
+    const regex = new RegExp(`(^|[^a-z0-9])${escapeRegex(needle)}(?![a-z0-9])`, "i");
+    return regex.test(text);
+  }
+
+  // supabase/functions/_shared/tailoring-core/mandatory.ts
+  var MANDATORY_KEYWORDS = {
+    // Programming Languages and Frameworks
+    programmingLanguages: /* @__PURE__ */ new Set([
+      "java",
+      "python",
+      "javascript",
+      "typescript",
+      "c#",
+      "c++",
+      "c",
+      "go",
+      "golang",
+      "rust",
+      "swift",
+      "kotlin",
+      "dart",
+      "ruby",
+      "php",
+      "perl",
+      "scala",
+      "r",
+      "matlab",
+      "lua",
+      "elixir",
+      "haskell",
+      "fortran",
+      "assembly",
+      "solidity",
+      "sql",
+      "pl/sql",
+      "t-sql",
+      "nosql",
+      "cypher",
+      "gremlin",
+      "html5",
+      "xml",
+      "xhtml",
+      "css3",
+      "scss",
+      "sass",
+      "less",
+      "stylus",
+      "postcss"
+    ]),
+    frontendFrameworks: /* @__PURE__ */ new Set([
+      "bootstrap",
+      "foundation",
+      "bulma",
+      "tailwind css",
+      "tailwindcss",
+      "tailwind",
+      "material-ui",
+      "material ui",
+      "mui",
+      "chakra ui",
+      "chakra-ui",
+      "ant design",
+      "antd",
+      "react",
+      "react native",
+      "redux",
+      "mobx",
+      "zustand",
+      "angular",
+      "angularjs",
+      "vue.js",
+      "vue",
+      "vuejs",
+      "nuxt.js",
+      "nuxt",
+      "nuxtjs",
+      "svelte",
+      "sveltekit",
+      "ember.js",
+      "ember",
+      "backbone.js",
+      "backbone",
+      "jquery",
+      "alpine.js"
+    ]),
+    backendFrameworks: /* @__PURE__ */ new Set([
+      "node.js",
+      "nodejs",
+      "node",
+      "express.js",
+      "express",
+      "expressjs",
+      "nestjs",
+      "nest.js",
+      "koa.js",
+      "koa",
+      "fastify",
+      "deno",
+      "bun",
+      "django",
+      "flask",
+      "fastapi",
+      "pyramid",
+      "tornado",
+      "spring",
+      "spring boot",
+      "springboot",
+      "spring cloud",
+      "quarkus",
+      "micronaut",
+      ".net",
+      ".net core",
+      "dotnet",
+      "asp.net",
+      "blazor",
+      "entity framework",
+      "laravel",
+      "symfony",
+      "codeigniter",
+      "cakephp",
+      "rails",
+      "ruby on rails",
+      "sinatra",
+      "hanami"
+    ]),
+    // Cloud, DevOps, and Infrastructure
+    cloudPlatforms: /* @__PURE__ */ new Set([
+      "aws",
+      "amazon web services",
+      "ec2",
+      "ecs",
+      "eks",
+      "lambda",
+      "s3",
+      "glacier",
+      "rds",
+      "dynamodb",
+      "elasticache",
+      "redshift",
+      "emr",
+      "sagemaker",
+      "step functions",
+      "api gateway",
+      "cloudformation",
+      "cloudwatch",
+      "x-ray",
+      "guardduty",
+      "macie",
+      "aws cdk",
+      "azure",
+      "azure ad",
+      "app service",
+      "azure functions",
+      "aks",
+      "cosmos db",
+      "cosmosdb",
+      "blob storage",
+      "key vault",
+      "logic apps",
+      "service bus",
+      "azure devops",
+      "gcp",
+      "google cloud platform",
+      "google cloud",
+      "gce",
+      "gke",
+      "cloud run",
+      "cloud sql",
+      "firestore",
+      "pub/sub",
+      "pubsub",
+      "dataflow",
+      "composer",
+      "artifact registry",
+      "secret manager",
+      "cloud build"
+    ]),
+    containerization: /* @__PURE__ */ new Set([
+      "kubernetes",
+      "k8s",
+      "openshift",
+      "docker",
+      "podman",
+      "containerd",
+      "cri-o",
+      "helm",
+      "kustomize",
+      "argocd",
+      "argo cd",
+      "flux",
+      "crossplane"
+    ]),
+    iac: /* @__PURE__ */ new Set([
+      "terraform",
+      "pulumi",
+      "aws cdk",
+      "ansible",
+      "ansible galaxy",
+      "awx",
+      "tower",
+      "puppet",
+      "chef",
+      "saltstack",
+      "packer",
+      "vagrant",
+      "infrastructure as code",
+      "iac"
+    ]),
+    cicd: /* @__PURE__ */ new Set([
+      "jenkins",
+      "github actions",
+      "gitlab ci/cd",
+      "gitlab ci",
+      "circleci",
+      "travis ci",
+      "concourse",
+      "tekton",
+      "buildkite",
+      "spinnaker",
+      "argo workflows",
+      "ci/cd",
+      "ci/cd pipeline",
+      "continuous integration",
+      "continuous deployment",
+      "gitops",
+      "blue-green deployment",
+      "canary releases",
+      "feature flags",
+      "launchdarkly",
+      "split.io",
+      "chaos engineering",
+      "gremlin",
+      "litmus"
+    ]),
+    versionControl: /* @__PURE__ */ new Set([
+      "git",
+      "github",
+      "gitlab",
+      "bitbucket",
+      "azure repos",
+      "gitea",
+      "gerrit",
+      "svn",
+      "perforce",
+      "mercurial",
+      "artifactory",
+      "nexus",
+      "sonatype"
+    ]),
+    monitoring: /* @__PURE__ */ new Set([
+      "prometheus",
+      "thanos",
+      "cortex",
+      "victoriametrics",
+      "grafana",
+      "loki",
+      "tempo",
+      "jaeger",
+      "zipkin",
+      "elk stack",
+      "efk stack",
+      "fluentd",
+      "vector",
+      "logstash",
+      "kibana",
+      "opensearch",
+      "splunk",
+      "datadog",
+      "new relic",
+      "appdynamics",
+      "dynatrace",
+      "sentry"
+    ]),
+    linux: /* @__PURE__ */ new Set([
+      "linux",
+      "linux kernel",
+      "ubuntu",
+      "centos",
+      "rhel",
+      "debian",
+      "fedora",
+      "alpine",
+      "coreos",
+      "flatcar",
+      "bash",
+      "bash scripting",
+      "zsh",
+      "fish",
+      "powershell",
+      "awk",
+      "sed",
+      "grep",
+      "systemd",
+      "selinux",
+      "apparmor",
+      "iptables",
+      "nftables",
+      "ebpf"
+    ]),
+    webServers: /* @__PURE__ */ new Set([
+      "nginx",
+      "apache",
+      "apache httpd",
+      "haproxy",
+      "envoy",
+      "traefik",
+      "caddy",
+      "consul",
+      "vault",
+      "nomad",
+      "boundary"
+    ]),
+    // Data, AI/ML, Analytics, and Big Data
+    dataScience: /* @__PURE__ */ new Set([
+      "pandas",
+      "numpy",
+      "scipy",
+      "polars",
+      "dask",
+      "modin",
+      "cudf",
+      "arrow",
+      "matplotlib",
+      "seaborn",
+      "plotly",
+      "bokeh",
+      "altair",
+      "scikit-learn",
+      "sklearn",
+      "xgboost",
+      "lightgbm",
+      "catboost",
+      "optuna",
+      "ray tune",
+      "mlflow",
+      "dvc",
+      "weights & biases",
+      "wandb",
+      "comet ml"
+    ]),
+    deepLearning: /* @__PURE__ */ new Set([
+      "tensorflow",
+      "tensorflow extended",
+      "tfx",
+      "keras",
+      "pytorch",
+      "torchserve",
+      "torchvision",
+      "hugging face",
+      "huggingface",
+      "transformers",
+      "diffusers",
+      "accelerate",
+      "datasets",
+      "llamaindex",
+      "langchain",
+      "haystack",
+      "tensorrt",
+      "onnx",
+      "openvino",
+      "tvm",
+      "jax",
+      "flax",
+      "haiku",
+      "mxnet",
+      "apache mxnet",
+      "deepspeed",
+      "horovod",
+      "ray",
+      "dask-ml",
+      "kubeflow",
+      "kserve",
+      "seldon core",
+      "cortex",
+      "bentoml",
+      "streamlit",
+      "gradio",
+      "dash",
+      "panel"
+    ]),
+    computerVision: /* @__PURE__ */ new Set([
+      "opencv",
+      "pillow",
+      "tesseract",
+      "computer vision",
+      "image recognition",
+      "object detection",
+      "image segmentation"
+    ]),
+    nlp: /* @__PURE__ */ new Set([
+      "spacy",
+      "nltk",
+      "gensim",
+      "allennlp",
+      "fairseq",
+      "sentence transformers",
+      "bert",
+      "gpt",
+      "llama",
+      "mistral",
+      "gemma",
+      "phi",
+      "stable diffusion",
+      "whisper",
+      "clip",
+      "dall-e",
+      "midjourney",
+      "nlp",
+      "natural language processing",
+      "large language models",
+      "llm",
+      "llms",
+      "genai",
+      "generative ai"
+    ]),
+    bigData: /* @__PURE__ */ new Set([
+      "apache spark",
+      "spark",
+      "pyspark",
+      "spark sql",
+      "delta lake",
+      "iceberg",
+      "hudi",
+      "kafka",
+      "kafka streams",
+      "ksqldb",
+      "flink",
+      "flink ml",
+      "beam",
+      "samza",
+      "pulsar",
+      "redis streams",
+      "nats",
+      "rabbitmq",
+      "activemq",
+      "mosquitto"
+    ]),
+    dataOrchestration: /* @__PURE__ */ new Set([
+      "airflow",
+      "dagster",
+      "prefect",
+      "flyte",
+      "luigi",
+      "argo workflows",
+      "dbt",
+      "great expectations",
+      "soda",
+      "datahub",
+      "amundsen",
+      "marquez"
+    ]),
+    databases: /* @__PURE__ */ new Set([
+      "sqlalchemy",
+      "sqlmodel",
+      "alembic",
+      "mysql",
+      "mariadb",
+      "postgresql",
+      "postgres",
+      "cockroachdb",
+      "tidb",
+      "vitess",
+      "oracle",
+      "sql server",
+      "sqlite",
+      "bigquery",
+      "snowflake",
+      "redshift",
+      "synapse",
+      "athena",
+      "trino",
+      "presto",
+      "druid",
+      "pinot",
+      "clickhouse",
+      "timescaledb",
+      "influxdb",
+      "prometheus tsdb",
+      "mongodb",
+      "atlas",
+      "cassandra",
+      "scylladb",
+      "janusgraph",
+      "arangodb",
+      "couchbase",
+      "aerospike",
+      "data lakehouse",
+      "lake formation",
+      "delta sharing"
+    ]),
+    featureStore: /* @__PURE__ */ new Set([
+      "feature store",
+      "feast",
+      "tecton",
+      "hopsworks",
+      "sagemaker feature store"
+    ]),
+    // B2B, SaaS, and Business Keywords
+    businessSales: /* @__PURE__ */ new Set([
+      "b2b",
+      "b2b sales",
+      "business development",
+      "enterprise sales",
+      "account-based marketing",
+      "abm",
+      "customer success",
+      "csm",
+      "customer success management",
+      "onboarding specialist",
+      "expansion revenue",
+      "land and expand",
+      "multi-tenant",
+      "single-tenant",
+      "hybrid cloud",
+      "vertical saas",
+      "horizontal saas",
+      "low-code",
+      "no-code",
+      "low-code/no-code"
+    ]),
+    automation: /* @__PURE__ */ new Set([
+      "bubble",
+      "adalo",
+      "airtable",
+      "zapier",
+      "make.com",
+      "n8n",
+      "integromat",
+      "api-first",
+      "headless cms",
+      "strapi",
+      "directus",
+      "sanity",
+      "contentful",
+      "commerce layer"
+    ]),
+    payments: /* @__PURE__ */ new Set([
+      "stripe",
+      "stripe connect",
+      "braintree",
+      "adyen",
+      "paypal",
+      "zuora",
+      "chargebee",
+      "recurly",
+      "paddle",
+      "fastspring",
+      "usage-based pricing",
+      "metered billing",
+      "hybrid pricing",
+      "tiered pricing"
+    ]),
+    metrics: /* @__PURE__ */ new Set([
+      "mrr",
+      "arr",
+      "nrr",
+      "net revenue retention",
+      "gross retention",
+      "expansion revenue",
+      "churn reduction",
+      "customer health score",
+      "nps",
+      "csat",
+      "ces",
+      "product-led growth",
+      "plg",
+      "freemium",
+      "trial conversion",
+      "self-serve"
+    ]),
+    salesRoles: /* @__PURE__ */ new Set([
+      "inside sales",
+      "sdr",
+      "sales development representative",
+      "ae",
+      "account executive",
+      "bdr",
+      "business development rep",
+      "cro",
+      "chief revenue officer",
+      "vp sales",
+      "partnerships",
+      "channel partners",
+      "msp",
+      "managed service provider",
+      "var",
+      "value-added reseller",
+      "isv",
+      "independent software vendor",
+      "alliance manager",
+      "co-sell",
+      "go-to-market",
+      "gtm"
+    ]),
+    crmMarketing: /* @__PURE__ */ new Set([
+      "hubspot",
+      "salesforce",
+      "salesforce crm",
+      "pipedrive",
+      "close.io",
+      "outreach",
+      "salesloft",
+      "apollo.io",
+      "zoominfo",
+      "linkedin sales navigator",
+      "marketo",
+      "marketo engage",
+      "pardot",
+      "activecampaign",
+      "klaviyo",
+      "intercom",
+      "drift",
+      "qualified",
+      "6sense",
+      "demandbase",
+      "segment",
+      "twilio segment",
+      "customer.io",
+      "braze",
+      "iterable",
+      "postmark",
+      "sendgrid",
+      "mailchimp"
+    ]),
+    compliance: /* @__PURE__ */ new Set([
+      "soc 2",
+      "soc 2 type ii",
+      "iso 27001",
+      "pci dss",
+      "hipaa",
+      "fedramp",
+      "csa star",
+      "gdpr",
+      "ccpa",
+      "lgpd",
+      "pipeda",
+      "compliance frameworks"
+    ]),
+    // Frontend, Mobile, and UI/UX
+    buildTools: /* @__PURE__ */ new Set([
+      "webpack",
+      "vite",
+      "esbuild",
+      "rollup",
+      "parcel",
+      "babel",
+      "typescript compiler",
+      "tsc",
+      "eslint",
+      "prettier",
+      "stylelint"
+    ]),
+    pwa: /* @__PURE__ */ new Set([
+      "pwa",
+      "progressive web app",
+      "service workers",
+      "amp",
+      "webassembly",
+      "wasm",
+      "webgl",
+      "canvas api",
+      "three.js",
+      "threejs",
+      "babylon.js"
+    ]),
+    animation: /* @__PURE__ */ new Set([
+      "framer motion",
+      "gsap",
+      "lottie",
+      "css animations",
+      "motion design"
+    ]),
+    design: /* @__PURE__ */ new Set([
+      "figma",
+      "sketch",
+      "adobe xd",
+      "invision",
+      "zeplin",
+      "storybook",
+      "chromatic",
+      "percy"
+    ]),
+    testing: /* @__PURE__ */ new Set([
+      "cypress",
+      "playwright",
+      "puppeteer",
+      "detox",
+      "appium",
+      "xcuitest",
+      "espresso",
+      "ios simulator",
+      "android emulator",
+      "xcode",
+      "android studio"
+    ]),
+    mobile: /* @__PURE__ */ new Set([
+      "flutter",
+      "xamarin",
+      "ionic",
+      "capacitor",
+      "cordova",
+      "pwabuilder",
+      "react native",
+      "swift",
+      "kotlin",
+      "ios",
+      "android"
+    ]),
+    webVitals: /* @__PURE__ */ new Set([
+      "lighthouse",
+      "core web vitals",
+      "lcp",
+      "fid",
+      "cls",
+      "accessibility",
+      "wcag",
+      "aria",
+      "semantic html",
+      "a11y"
+    ]),
+    // Security, Testing, and Quality
+    security: /* @__PURE__ */ new Set([
+      "owasp",
+      "owasp top 10",
+      "sast",
+      "dast",
+      "sca",
+      "iast",
+      "rasp",
+      "waf",
+      "modsecurity",
+      "imperva",
+      "akamai",
+      "cloudflare waf",
+      "cloudflare",
+      "auth0",
+      "okta",
+      "ping identity",
+      "keycloak",
+      "cognito",
+      "encryption",
+      "aes-256",
+      "tls 1.3",
+      "pki",
+      "certificate management",
+      "let's encrypt",
+      "zero trust",
+      "ztna",
+      "sase",
+      "mfa",
+      "2fa",
+      "sso",
+      "scim",
+      "rbac",
+      "abac",
+      "pbac",
+      "jwt",
+      "csrf",
+      "xss",
+      "sql injection",
+      "broken access control",
+      "cybersecurity",
+      "infosec",
+      "information security"
+    ]),
+    securityTools: /* @__PURE__ */ new Set([
+      "sonarqube",
+      "veracode",
+      "snyk",
+      "checkmarx",
+      "black duck",
+      "trivy",
+      "clair",
+      "bandit",
+      "semgrep"
+    ]),
+    testingFrameworks: /* @__PURE__ */ new Set([
+      "junit",
+      "testng",
+      "nunit",
+      "pytest",
+      "unittest",
+      "mocha",
+      "jest",
+      "vitest",
+      "cucumber",
+      "specflow",
+      "karate",
+      "postman",
+      "newman",
+      "insomnia",
+      "rest assured",
+      "wiremock",
+      "pact",
+      "contract testing",
+      "chaos monkey",
+      "simian army",
+      "load testing",
+      "jmeter",
+      "gatling",
+      "locust",
+      "artillery",
+      "k6"
+    ]),
+    // Methodologies, Management, and Soft Skills
+    methodologies: /* @__PURE__ */ new Set([
+      "agile",
+      "agile manifesto",
+      "scrum",
+      "scrum guide",
+      "safe",
+      "safe framework",
+      "less",
+      "nexus",
+      "spotify model",
+      "kanban",
+      "kanban board",
+      "daily standup",
+      "sprint planning",
+      "retrospective",
+      "backlog grooming",
+      "definition of done",
+      "velocity",
+      "burn-down chart",
+      "okrs",
+      "okr",
+      "kpis",
+      "kpi",
+      "slos",
+      "slis",
+      "error budgets",
+      "incident management",
+      "post-mortem",
+      "blameless culture"
+    ]),
+    leadership: /* @__PURE__ */ new Set([
+      "cross-functional",
+      "cross functional",
+      "cross-functional team",
+      "servant leadership",
+      "coaching",
+      "mentoring",
+      "stakeholder alignment",
+      "requirements engineering",
+      "user stories",
+      "acceptance criteria",
+      "bdd",
+      "given-when-then",
+      "technical debt",
+      "refactoring",
+      "legacy code",
+      "innovation",
+      "hackathons",
+      "design thinking",
+      "lean startup",
+      "mvp",
+      "pivot",
+      "growth hacking",
+      "aarrr framework"
+    ]),
+    remoteWork: /* @__PURE__ */ new Set([
+      "remote first",
+      "remote-first",
+      "asynchronous communication",
+      "async",
+      "timezone management",
+      "inclusive culture",
+      "diversity",
+      "equity",
+      "inclusion",
+      "dei",
+      "d&i"
+    ]),
+    // Additional Critical Terms
+    dataAnalysis: /* @__PURE__ */ new Set([
+      "data analysis",
+      "data visualization",
+      "etl",
+      "reporting",
+      "requirements gathering",
+      "stakeholder management",
+      "project management",
+      "process improvement",
+      "a/b testing",
+      "ab testing",
+      "experimentation",
+      "data-driven",
+      "data driven",
+      "analytics",
+      "business intelligence",
+      "bi"
+    ]),
+    customerSuccess: /* @__PURE__ */ new Set([
+      "account management",
+      "customer success",
+      "partner success",
+      "renewals",
+      "expansion",
+      "negotiation",
+      "onboarding",
+      "enablement",
+      "qbr",
+      "quarterly business review",
+      "client relationship",
+      "retention"
+    ]),
+    softSkills: /* @__PURE__ */ new Set([
+      "communication",
+      "relationship-building",
+      "relationship building",
+      "results-oriented",
+      "results oriented",
+      "organized",
+      "multi-tasker",
+      "multitasker",
+      "comfort working independently",
+      "independent",
+      "problem-solving",
+      "problem solving",
+      "attention to detail",
+      "leadership",
+      "teamwork",
+      "adaptability",
+      "time management",
+      "critical thinking",
+      "analytical",
+      "creative",
+      "proactive",
+      "strategic thinking",
+      "collaboration",
+      "presentation skills"
+    ]),
+    // WFM & Contact Center specific
+    wfm: /* @__PURE__ */ new Set([
+      "workforce management",
+      "wfm",
+      "wfm tools",
+      "nice",
+      "verint",
+      "calabrio",
+      "real-time analysis",
+      "real time analysis",
+      "capacity planning",
+      "scheduling",
+      "forecasting",
+      "contact center",
+      "call center",
+      "inbound",
+      "outbound",
+      "bpo",
+      "service level",
+      "sla",
+      "aht",
+      "average handle time",
+      "shrinkage",
+      "occupancy",
+      "adherence"
+    ])
+  };
+  var ALL_MANDATORY = /* @__PURE__ */ new Set();
+  Object.values(MANDATORY_KEYWORDS).forEach((categorySet) => {
+    categorySet.forEach((kw) => ALL_MANDATORY.add(kw.toLowerCase()));
+  });
+  var MANDATORY_PATTERNS = [...ALL_MANDATORY].map((keyword) => ({
+    keyword,
+    regex: new RegExp(`\\b${escapeRegex(keyword)}\\b`, "i")
+  }));
+  function extractMandatoryFromJD(jdText) {
+    if (!jdText || typeof jdText !== "string") return [];
+    const jdLower = jdText.toLowerCase();
+    return MANDATORY_PATTERNS.filter(({ regex }) => regex.test(jdLower)).map(({ keyword }) => keyword);
+  }
+  function getCategoryForKeyword(keyword) {
+    const lower = keyword.toLowerCase();
+    for (const [categoryName, categorySet] of Object.entries(MANDATORY_KEYWORDS)) {
+      if (categorySet.has(lower)) return categoryName;
+    }
+    return "other";
+  }
+  function mergeWithMandatory(extractedKeywords, mandatoryFromJD) {
+    if (!mandatoryFromJD || mandatoryFromJD.length === 0) {
+      return extractedKeywords;
+    }
+    const extractedSet = new Set((extractedKeywords.all || []).map((k) => k.toLowerCase()));
+    const mandatorySet = new Set(mandatoryFromJD.map((k) => k.toLowerCase()));
+    const newMandatory = mandatoryFromJD.filter((kw) => !extractedSet.has(kw.toLowerCase()));
+    const highPriority = [
+      ...newMandatory.slice(0, 10),
+      ...extractedKeywords.highPriority || []
+    ];
+    const all = [
+      ...mandatoryFromJD,
+      ...(extractedKeywords.all || []).filter((kw) => !mandatorySet.has(kw.toLowerCase()))
+    ].slice(0, 35);
+    return {
+      ...extractedKeywords,
+      all,
+      highPriority: highPriority.slice(0, 15),
+      mediumPriority: extractedKeywords.mediumPriority || [],
+      lowPriority: extractedKeywords.lowPriority || [],
+      mandatoryFound: mandatoryFromJD.length,
+      mandatoryKeywords: mandatoryFromJD
+    };
+  }
+
+  // supabase/functions/_shared/tailoring-core/types.ts
+  function keywordList(keywords) {
+    if (!keywords) return [];
+    return Array.isArray(keywords) ? keywords : keywords.all || [];
+  }
+
+  // supabase/functions/_shared/tailoring-core/keywords.ts
+  var CATEGORY = {
+    PROGRAMMING_LANGUAGE: "programmingLanguage",
+    DATA_TOOL: "dataTool",
+    CRM_TOOL: "crmTool",
+    SECURITY_TOOL: "securityTool",
+    CLOUD_DEVOPS: "cloudDevOps",
+    HARD_SKILL: "hardSkill",
+    SOFT_SKILL: "softSkill"
+  };
+  var PROGRAMMING_LANGUAGES = /* @__PURE__ */ new Set([
+    "python",
+    "java",
+    "javascript",
+    "typescript",
+    "c",
+    "c++",
+    "c#",
+    "go",
+    "golang",
+    "rust",
+    "ruby",
+    "php",
+    "r",
+    "scala",
+    "kotlin",
+    "swift",
+    "perl",
+    "sql",
+    "bash",
+    "powershell",
+    "matlab",
+    "vba",
+    "groovy",
+    "dart",
+    "lua",
+    "elixir",
+    "clojure"
+  ]);
+  var DATA_TOOLS = /* @__PURE__ */ new Set([
+    "tableau",
+    "power bi",
+    "powerbi",
+    "looker",
+    "snowflake",
+    "redshift",
+    "bigquery",
+    "pandas",
+    "numpy",
+    "matplotlib",
+    "excel",
+    "google sheets",
+    "airflow",
+    "dbt",
+    "power query",
+    "ssrs",
+    "ssis",
+    "spss",
+    "sas",
+    "alteryx",
+    "qlik",
+    "qlikview",
+    "qliksense",
+    "metabase",
+    "grafana",
+    "splunk",
+    "datadog",
+    "spark",
+    "hadoop",
+    "kafka",
+    "elasticsearch",
+    "mongodb",
+    "postgresql",
+    "mysql",
+    "redis",
+    "dynamodb"
+  ]);
+  var CRM_TOOLS = /* @__PURE__ */ new Set([
+    "salesforce",
+    "hubspot",
+    "zendesk",
+    "zoho",
+    "dynamics 365",
+    "intercom",
+    "gainsight",
+    "jira service management",
+    "freshdesk",
+    "pipedrive",
+    "monday",
+    "asana",
+    "notion",
+    "airtable",
+    "servicenow",
+    "workday",
+    "netsuite",
+    "sap",
+    "oracle",
+    "marketo",
+    "pardot",
+    "mailchimp",
+    "klaviyo",
+    "segment",
+    "mixpanel"
+  ]);
+  var SECURITY_TOOLS = /* @__PURE__ */ new Set([
+    "cybersecurity",
+    "soc",
+    "siem",
+    "splunk",
+    "endpoint security",
+    "edr",
+    "xdr",
+    "incident response",
+    "threat hunting",
+    "vulnerability management",
+    "security awareness training",
+    "phishing simulation",
+    "penetration testing",
+    "firewall",
+    "ids",
+    "ips",
+    "crowdstrike",
+    "palo alto",
+    "fortinet",
+    "okta",
+    "auth0",
+    "aws iam",
+    "azure ad",
+    "active directory",
+    "ldap",
+    "sso",
+    "mfa",
+    "gdpr",
+    "hipaa",
+    "pci",
+    "iso 27001",
+    "nist",
+    "sox",
+    "compliance"
+  ]);
+  var CLOUD_DEVOPS = /* @__PURE__ */ new Set([
+    "aws",
+    "azure",
+    "gcp",
+    "google cloud",
+    "kubernetes",
+    "k8s",
+    "docker",
+    "terraform",
+    "ansible",
+    "jenkins",
+    "gitlab",
+    "github actions",
+    "ci/cd",
+    "circleci",
+    "travis",
+    "argo",
+    "helm",
+    "prometheus",
+    "grafana",
+    "linux",
+    "nginx",
+    "apache",
+    "cloudformation",
+    "arm templates",
+    "pulumi",
+    "vagrant",
+    "serverless",
+    "lambda",
+    "api gateway",
+    "cloudfront",
+    "s3",
+    "ec2",
+    "rds"
+  ]);
+  var HARD_SKILLS = /* @__PURE__ */ new Set([
+    "data analysis",
+    "data visualization",
+    "etl",
+    "reporting",
+    "requirements gathering",
+    "stakeholder management",
+    "project management",
+    "process improvement",
+    "a/b testing",
+    "statistical analysis",
+    "experimentation",
+    "forecasting",
+    "account management",
+    "customer success",
+    "partner success",
+    "renewals",
+    "expansion",
+    "negotiation",
+    "upsell",
+    "onboarding",
+    "enablement",
+    "health monitoring",
+    "qbr",
+    "quarterly business review",
+    "pipeline management",
+    "revenue operations",
+    "financial modeling",
+    "budgeting",
+    "contract negotiation",
+    "vendor management",
+    "product management",
+    "scrum",
+    "agile",
+    "kanban",
+    "lean",
+    "six sigma",
+    "machine learning",
+    "deep learning",
+    "nlp",
+    "computer vision",
+    "ai",
+    "api development",
+    "rest api",
+    "graphql",
+    "microservices",
+    "system design"
+  ]);
+  var SOFT_SKILLS = /* @__PURE__ */ new Set([
+    "communication",
+    "written communication",
+    "verbal communication",
+    "relationship-building",
+    "relationship building",
+    "relationship-driven",
+    "negotiation",
+    "empathy",
+    "stakeholder management",
+    "problem-solving",
+    "problem solving",
+    "critical thinking",
+    "attention to detail",
+    "results-oriented",
+    "results oriented",
+    "results-oriented mindset",
+    "ownership",
+    "adaptability",
+    "teamwork",
+    "leadership",
+    "time management",
+    "multi-tasking",
+    "multitasking",
+    "organized",
+    "self-motivated",
+    "self-starter",
+    "comfort working independently",
+    "working independently",
+    "autonomous",
+    "cross-functional",
+    "cross functional",
+    "collaboration",
+    "presentation skills",
+    "analytical",
+    "strategic thinking",
+    "creative",
+    "proactive",
+    "initiative"
+  ]);
+  var SKILL_DICTIONARY = /* @__PURE__ */ new Set([
+    // Merge all category sets
+    ...PROGRAMMING_LANGUAGES,
+    ...DATA_TOOLS,
+    ...CRM_TOOLS,
+    ...SECURITY_TOOLS,
+    ...CLOUD_DEVOPS,
+    ...HARD_SKILLS,
+    ...SOFT_SKILLS,
+    // Additional common terms for de-clustering
+    "management",
+    "communication",
+    "relationship",
+    "building",
+    "results",
+    "oriented",
+    "mindset",
+    "organized",
+    "multi-tasker",
+    "multitasker",
+    "comfort",
+    "comfortable",
+    "independently",
+    "collaboration",
+    "presentation",
+    "written",
+    "verbal",
+    "interpersonal",
+    "customer-facing",
+    "stakeholder",
+    "prioritization",
+    "saas",
+    "crm",
+    "api",
+    "rest",
+    "graphql",
+    "agile",
+    "scrum",
+    "kanban",
+    "revenue",
+    "quota",
+    "pipeline",
+    "forecast",
+    "metrics",
+    "kpi",
+    "roi",
+    "budget",
+    "contract",
+    "procurement",
+    "vendor",
+    "enterprise",
+    "smb",
+    "mid-market",
+    "startup",
+    "fit",
+    "experience",
+    "years",
+    "degree",
+    "bachelor",
+    "master",
+    "certification",
+    "customer",
+    "success",
+    "account",
+    "partner",
+    "channel",
+    "msp",
+    "reseller",
+    "security",
+    "awareness",
+    "training",
+    "phishing",
+    "compliance",
+    "incident",
+    "response"
+  ]);
+  var PHRASE_LIBRARY = [
+    // Customer Success / Partner Success
+    "customer success",
+    "customer success manager",
+    "partner success",
+    "partner success manager",
+    "account management",
+    "account manager",
+    "account executive",
+    "customer experience",
+    "client success",
+    "client relationship",
+    "customer retention",
+    "customer onboarding",
+    "customer lifecycle",
+    "customer health",
+    "churn prevention",
+    "net promoter score",
+    // Security
+    "security awareness training",
+    "security awareness",
+    "cybersecurity awareness",
+    "incident response",
+    "threat detection",
+    "vulnerability management",
+    "security operations",
+    "managed security",
+    "security posture",
+    "risk management",
+    "compliance management",
+    "penetration testing",
+    "security audit",
+    "soc analyst",
+    "security engineer",
+    // SaaS / Tech
+    "saas platform",
+    "cloud platform",
+    "software as a service",
+    "platform as a service",
+    "managed service provider",
+    "channel partner",
+    "technology partner",
+    "integration partner",
+    "api integration",
+    "system integration",
+    "enterprise software",
+    "b2b saas",
+    // Skills
+    "relationship building",
+    "relationship-building",
+    "results oriented",
+    "results-oriented",
+    "results oriented mindset",
+    "results-oriented mindset",
+    "detail oriented",
+    "detail-oriented",
+    "working independently",
+    "work independently",
+    "comfort working independently",
+    "comfortable working independently",
+    "self-motivated",
+    "self-starter",
+    "fast learner",
+    "quick learner",
+    "strong communicator",
+    "excellent communication",
+    "written communication",
+    "verbal communication",
+    "cross-functional",
+    "cross functional",
+    "decision making",
+    "decision-making",
+    "problem solving",
+    "problem-solving",
+    "critical thinking",
+    "time management",
+    "project management",
+    "stakeholder management",
+    "change management",
+    // Business
+    "quarterly business review",
+    "qbr",
+    "business development",
+    "sales cycle",
+    "customer lifecycle",
+    "revenue growth",
+    "pipeline management",
+    "quota attainment",
+    "renewals management",
+    "expansion revenue",
+    "upsell opportunities",
+    "cross-sell",
+    "contract negotiation",
+    "enterprise sales",
+    "solution selling",
+    "consultative selling",
+    // Tech tools & concepts
+    "salesforce crm",
+    "crm software",
+    "crm platform",
+    "data analysis",
+    "data analytics",
+    "business intelligence",
+    "reporting tools",
+    "excel proficiency",
+    "google suite",
+    "microsoft office",
+    "presentation skills",
+    "machine learning",
+    "deep learning",
+    "data science",
+    "data engineering",
+    "software development",
+    "full stack",
+    "front end",
+    "back end",
+    "devops",
+    "site reliability",
+    "cloud architecture"
+  ];
+  var SECTION_WEIGHTS = {
+    "responsibilities": 1.2,
+    "what you'll do": 1.2,
+    "your role": 1.2,
+    "requirements": 1.4,
+    "qualifications": 1.4,
+    "what you bring": 1.4,
+    "must have": 1.4,
+    "required": 1.3,
+    "preferred": 1,
+    "nice to have": 0.9,
+    "bonus": 0.8,
+    "benefits": 0.3,
+    "about us": 0.4,
+    "about the company": 0.4,
+    "who we are": 0.4,
+    "perks": 0.3,
+    "legal": 0.2,
+    "equal opportunity": 0.1
+  };
+  var NOISE_BLACKLIST = /* @__PURE__ */ new Set([
+    // Generic job posting words
+    "remote",
+    "hybrid",
+    "office",
+    "work",
+    "team",
+    "culture",
+    "apply",
+    "application",
+    "bonus",
+    "salary",
+    "benefits",
+    "perks",
+    "hiring",
+    "career",
+    "job",
+    "position",
+    "role",
+    "opportunity",
+    "company",
+    "organization",
+    "employer",
+    "employee",
+    "candidate",
+    "reimbursement",
+    "accommodations",
+    "accommodation",
+    "discriminate",
+    "privacy",
+    "background check",
+    "drug test",
+    "visa",
+    "sponsorship",
+    "relocation",
+    // Common verbs/actions (not skills)
+    "looking",
+    "seeking",
+    "required",
+    "requirements",
+    "preferred",
+    "ability",
+    "able",
+    "etc",
+    "including",
+    "include",
+    "includes",
+    "new",
+    "well",
+    "based",
+    "using",
+    "within",
+    "across",
+    "strong",
+    "excellent",
+    "good",
+    "ensure",
+    "ensuring",
+    "provide",
+    "providing",
+    "support",
+    "help",
+    "helping",
+    "develop",
+    "developing",
+    "build",
+    "building",
+    "create",
+    "understand",
+    "understanding",
+    "knowledge",
+    "skills",
+    "skill",
+    "must",
+    "shall",
+    "ideally",
+    "highly",
+    "plus",
+    "nice",
+    "have",
+    "having",
+    "get",
+    "getting",
+    "make",
+    "making",
+    "take",
+    "taking",
+    "use",
+    "used",
+    "uses",
+    "per",
+    "via",
+    "like",
+    "want",
+    "wants",
+    "wanted",
+    "join",
+    "joining",
+    "joined",
+    "lead",
+    "leading",
+    "leverage",
+    "please",
+    "review",
+    "name",
+    "status",
+    "process",
+    "personal",
+    "fully",
+    "human",
+    "go",
+    "match",
+    "tools",
+    "businesses",
+    "hackers",
+    "profile",
+    "keywords",
+    "operations",
+    // Stop words
+    "the",
+    "and",
+    "for",
+    "with",
+    "our",
+    "you",
+    "your",
+    "this",
+    "that",
+    "these",
+    "those",
+    "are",
+    "was",
+    "were",
+    "been",
+    "being",
+    "have",
+    "has",
+    "had",
+    "having",
+    "does",
+    "did",
+    "doing",
+    "would",
+    "should",
+    "could",
+    "may",
+    "might",
+    "can",
+    "will",
+    "shall",
+    "need",
+    "needs",
+    "from",
+    "into",
+    "over",
+    "under",
+    "about",
+    "after",
+    "before",
+    "between",
+    "through",
+    "during",
+    "above",
+    "below",
+    "such",
+    "each",
+    "every",
+    "both",
+    "few",
+    "more",
+    "most",
+    "other",
+    "some",
+    "any",
+    "all",
+    "only",
+    "own",
+    "same",
+    "than",
+    "too",
+    "very",
+    "just",
+    "also",
+    "now",
+    "here",
+    "there",
+    "then",
+    "when",
+    "where",
+    "why",
+    "how",
+    "what",
+    "which",
+    "who",
+    "whom",
+    // Business buzzwords (not ATS keywords)
+    "passionate",
+    "dynamic",
+    "innovative",
+    "fast-paced",
+    "collaborative",
+    "driven",
+    "motivated",
+    "team-player",
+    "hands-on",
+    "scale",
+    "grow",
+    "growth",
+    "impact",
+    "mission",
+    "vision",
+    "values",
+    "diverse",
+    "inclusive",
+    "equal"
+  ]);
+  var LEARNED_LIMIT = 500;
+  var learnedKeywords = /* @__PURE__ */ new Map();
+  var learnedStore = null;
+  async function configureKeywordLearning(store) {
+    learnedStore = store;
+    if (!store) return;
+    try {
+      const stored = await store.load();
+      if (stored) learnedKeywords = new Map(Object.entries(stored));
+    } catch (e) {
+      console.warn("Failed to load learned keywords:", e);
+    }
+  }
+  function saveLearnedKeywords() {
+    if (!learnedStore) return;
+    try {
+      learnedStore.save(Object.fromEntries([...learnedKeywords].slice(0, LEARNED_LIMIT)));
+    } catch (e) {
+      console.warn("Failed to save learned keywords:", e);
+    }
+  }
+  function learnKeyword(keyword, categories = []) {
+    const lower = keyword.toLowerCase().trim();
+    if (lower.length < 3 || lower.length > 35 || NOISE_BLACKLIST.has(lower)) return;
+    const existing = learnedKeywords.get(lower) || { categories: [], frequency: 0 };
+    existing.frequency++;
+    existing.lastSeen = Date.now();
+    existing.categories = [.../* @__PURE__ */ new Set([...existing.categories, ...categories])];
+    learnedKeywords.set(lower, existing);
+  }
+  function getLearnedBoost(keyword) {
+    const data = learnedKeywords.get(keyword.toLowerCase());
+    if (!data) return 1;
+    return Math.min(2, 1 + data.frequency * 0.1);
+  }
+  function getLearnedKeywords() {
+    return [...learnedKeywords.entries()];
+  }
+  function clearLearnedKeywords() {
+    learnedKeywords = /* @__PURE__ */ new Map();
+  }
+  var DECLUSTER_SKILLS = [...SKILL_DICTIONARY].filter((s) => s.length >= 3).sort((a, b) => b.length - a.length);
+  function looksClustered(token) {
+    if (!token || token.length < 15) return false;
+    const lower = token.toLowerCase();
+    let matchCount = 0;
+    for (const skill of SKILL_DICTIONARY) {
+      if (skill.length >= 4 && lower.includes(skill)) {
+        matchCount++;
+        if (matchCount >= 2) return true;
+      }
+    }
+    if (/[a-z]{4,}\.[a-z]{4,}/i.test(token)) return true;
+    if (/[a-z]{3,}[A-Z][a-z]{3,}/.test(token)) return true;
+    return false;
+  }
+  function decluster(token) {
+    if (!token || token.length < 10) return [token];
+    const found = [];
+    let remaining = token.toLowerCase().replace(/\./g, " ").replace(/,/g, " ");
+    for (const skill of DECLUSTER_SKILLS) {
+      if (remaining.includes(skill)) {
+        found.push(skill);
+        remaining = remaining.replace(skill, " ");
+      }
+    }
+    const leftover = remaining.split(/\s+/).filter((w) => w.length >= 3 && !NOISE_BLACKLIST.has(w));
+    found.push(...leftover);
+    const unique = [...new Set(found)].filter((s) => s.length >= 3);
+    return unique.length > 0 ? unique : [token];
+  }
+  function declusterText(text) {
+    if (!text) return "";
+    const processed = [];
+    text.split(/\s+/).forEach((token) => {
+      if (looksClustered(token)) {
+        processed.push(...decluster(token));
+      } else {
+        processed.push(token);
+      }
+    });
+    return processed.join(" ");
+  }
+  var PHRASE_SET = new Set(PHRASE_LIBRARY.map((p) => p.toLowerCase()));
+  function detectCategories(term) {
+    const lower = term.toLowerCase().replace(/-/g, " ").trim();
+    const categories = [];
+    if (PROGRAMMING_LANGUAGES.has(lower)) categories.push(CATEGORY.PROGRAMMING_LANGUAGE);
+    if (DATA_TOOLS.has(lower)) categories.push(CATEGORY.DATA_TOOL);
+    if (CRM_TOOLS.has(lower)) categories.push(CATEGORY.CRM_TOOL);
+    if (SECURITY_TOOLS.has(lower)) categories.push(CATEGORY.SECURITY_TOOL);
+    if (CLOUD_DEVOPS.has(lower)) categories.push(CATEGORY.CLOUD_DEVOPS);
+    if (HARD_SKILLS.has(lower)) categories.push(CATEGORY.HARD_SKILL);
+    if (SOFT_SKILLS.has(lower)) categories.push(CATEGORY.SOFT_SKILL);
+    if (PHRASE_SET.has(lower) && !categories.length) {
+      categories.push(CATEGORY.HARD_SKILL);
+    }
+    const learned = learnedKeywords.get(lower);
+    if (learned?.categories?.length) {
+      categories.push(...learned.categories);
+    }
+    return [...new Set(categories)];
+  }
+  function getCategoryBoost(categories) {
+    let boost = 1;
+    if (categories.includes(CATEGORY.PROGRAMMING_LANGUAGE)) boost *= 1.4;
+    if (categories.includes(CATEGORY.CLOUD_DEVOPS)) boost *= 1.3;
+    if (categories.includes(CATEGORY.SECURITY_TOOL)) boost *= 1.3;
+    if (categories.includes(CATEGORY.DATA_TOOL)) boost *= 1.2;
+    if (categories.includes(CATEGORY.CRM_TOOL)) boost *= 1.2;
+    if (categories.includes(CATEGORY.HARD_SKILL)) boost *= 1.1;
+    return boost;
+  }
+  function detectSectionWeight(text, position, totalLength) {
+    const lower = text.toLowerCase();
+    for (const [section, weight] of Object.entries(SECTION_WEIGHTS)) {
+      if (lower.includes(section)) {
+        return weight;
+      }
+    }
+    const relativePosition = position / totalLength;
+    if (relativePosition > 0.2 && relativePosition < 0.7) {
+      return 1.2;
+    }
+    return 1;
+  }
+  var PHRASES_LONGEST_FIRST = [...PHRASE_LIBRARY].sort((a, b) => b.length - a.length);
+  function phraseWordsInJD(phrase, jdTokensSet) {
+    return phrase.split(/\s+/).every((w) => jdTokensSet.has(w.toLowerCase()));
+  }
+  function extractKnownPhrases(text, jdTokensSet) {
+    if (!text) return [];
+    const lower = text.toLowerCase();
+    const found = [];
+    for (const phrase of PHRASES_LONGEST_FIRST) {
+      const normalizedPhrase = phrase.toLowerCase();
+      if (lower.includes(normalizedPhrase) && (!jdTokensSet || phraseWordsInJD(normalizedPhrase, jdTokensSet))) {
+        found.push(phrase);
+      }
+    }
+    return [...new Set(found)];
+  }
+  function isReliableKeyword(word) {
+    if (!word || typeof word !== "string") return false;
+    const normalized = word.toLowerCase().trim();
+    if (normalized.length < 3 || normalized.length > 35) return false;
+    if (!/^[a-zA-Z][a-zA-Z0-9\-+#.\s/]*[a-zA-Z0-9]?$/.test(word)) return false;
+    if (NOISE_BLACKLIST.has(normalized)) return false;
+    if (/^\d+$/.test(word)) return false;
+    if (looksClustered(word)) return false;
+    return true;
+  }
+  function buildJDTokenSet(text) {
+    const tokens = /* @__PURE__ */ new Set();
+    text.toLowerCase().split(/\s+/).forEach((w) => {
+      const clean = w.replace(/[^a-z0-9\-+#]/g, "");
+      if (clean.length >= 2) tokens.add(clean);
+    });
+    tokens.forEach((t) => {
+      if (t.endsWith("s") && t.length > 3) tokens.add(t.slice(0, -1));
+      if (!t.endsWith("s") && t.length > 2) tokens.add(t + "s");
+      if (t.includes("-")) tokens.add(t.replace(/-/g, " "));
+      if (!t.includes("-") && t.includes(" ")) tokens.add(t.replace(/\s+/g, "-"));
+    });
+    return tokens;
+  }
+  var TECH_PATTERNS = [
+    /\b(?:python|java|javascript|typescript|c\+\+|c#|ruby|golang?|rust|scala|kotlin|swift|php|perl|sql)\b/gi,
+    /\b(?:react|angular|vue|node\.?js|django|flask|spring|rails|express|next\.?js)\b/gi,
+    /\b(?:aws|azure|gcp|docker|kubernetes|k8s|terraform|ansible|jenkins|ci\/cd)\b/gi,
+    /\b(?:salesforce|hubspot|zendesk|jira|confluence|tableau|powerbi|looker|excel)\b/gi,
+    /\b(?:cybersecurity|siem|soc|firewall|endpoint|penetration|compliance|gdpr|hipaa)\b/gi,
+    /\b(?:saas|crm|erp|api|rest|graphql|agile|scrum|kanban|kpi|roi)\b/gi,
+    /\b[a-z]+[-][a-z]+(?:[-][a-z]+)*/gi
+    // hyphenated terms
+  ];
+  function extractCandidates(text, jdTokensSet) {
+    const candidates = /* @__PURE__ */ new Map();
+    const declustered = declusterText(text);
+    const totalLength = declustered.length;
+    extractKnownPhrases(declustered, jdTokensSet).forEach((phrase) => {
+      const phraseLower = phrase.toLowerCase();
+      if (jdTokensSet.has(phraseLower) || phraseWordsInJD(phraseLower, jdTokensSet)) {
+        candidates.set(phraseLower, {
+          term: phrase,
+          frequency: 1,
+          sectionWeight: 1.3,
+          categories: detectCategories(phrase)
+        });
+      }
+    });
+    TECH_PATTERNS.forEach((pattern) => {
+      const regex = new RegExp(pattern.source, pattern.flags);
+      let match;
+      while ((match = regex.exec(declustered)) !== null) {
+        const term = match[0].toLowerCase();
+        if (isReliableKeyword(term) && jdTokensSet.has(term)) {
+          const existing = candidates.get(term) || {
+            term: match[0],
+            frequency: 0,
+            sectionWeight: detectSectionWeight(declustered, match.index, totalLength),
+            categories: detectCategories(term)
+          };
+          existing.frequency++;
+          candidates.set(term, existing);
+        }
+      }
+    });
+    const words = declustered.split(/\s+/);
+    words.forEach((word, idx) => {
+      const clean = word.replace(/[^a-zA-Z0-9\-+#.]/g, "").toLowerCase();
+      if (isReliableKeyword(clean) && jdTokensSet.has(clean)) {
+        const existing = candidates.get(clean) || {
+          term: clean,
+          frequency: 0,
+          sectionWeight: detectSectionWeight(declustered, idx / words.length * totalLength, totalLength),
+          categories: detectCategories(clean)
+        };
+        existing.frequency++;
+        candidates.set(clean, existing);
+      }
+    });
+    return candidates;
+  }
+  function scoreCandidates(candidates) {
+    const scored = [];
+    candidates.forEach((data) => {
+      const baseFreq = Math.log2(1 + data.frequency) / Math.log2(10);
+      const score = baseFreq * (data.sectionWeight || 1) * getCategoryBoost(data.categories) * getLearnedBoost(data.term);
+      scored.push({ term: data.term, score, categories: data.categories, frequency: data.frequency });
+    });
+    return scored.sort((a, b) => b.score - a.score);
+  }
+  function categorizeByType(keywords) {
+    const categorized = {
+      programmingLanguages: [],
+      dataTools: [],
+      crmTools: [],
+      securityTools: [],
+      cloudDevOps: [],
+      hardSkills: [],
+      softSkills: []
+    };
+    keywords.forEach((kw) => {
+      const term = typeof kw === "string" ? kw : kw.term;
+      const cats = typeof kw === "string" ? detectCategories(term) : kw.categories;
+      if (cats.includes(CATEGORY.PROGRAMMING_LANGUAGE)) categorized.programmingLanguages.push(term);
+      if (cats.includes(CATEGORY.DATA_TOOL)) categorized.dataTools.push(term);
+      if (cats.includes(CATEGORY.CRM_TOOL)) categorized.crmTools.push(term);
+      if (cats.includes(CATEGORY.SECURITY_TOOL)) categorized.securityTools.push(term);
+      if (cats.includes(CATEGORY.CLOUD_DEVOPS)) categorized.cloudDevOps.push(term);
+      if (cats.includes(CATEGORY.HARD_SKILL)) categorized.hardSkills.push(term);
+      if (cats.includes(CATEGORY.SOFT_SKILL)) categorized.softSkills.push(term);
+    });
+    return categorized;
+  }
+  var KEYWORD_CACHE = /* @__PURE__ */ new Map();
+  var KEYWORD_CACHE_SUFFIX = "_keywords_v3";
+  function emptyKeywordSet() {
+    return { all: [], highPriority: [], mediumPriority: [], lowPriority: [], total: 0, categorized: categorizeByType([]) };
+  }
+  function extractReliableKeywords(rawText, maxKeywords = 35) {
+    if (!rawText || typeof rawText !== "string") return emptyKeywordSet();
+    const cacheKey = getCacheKey(rawText) + KEYWORD_CACHE_SUFFIX;
+    const cached = getCached(cacheKey, KEYWORD_CACHE);
+    if (cached) return cached;
+    const parsed = parseJobDescription(rawText);
+    const jdTokensSet = buildJDTokenSet(parsed.text);
+    const scored = scoreCandidates(extractCandidates(parsed.text, jdTokensSet));
+    const topKeywords = scored.slice(0, maxKeywords);
+    const terms = topKeywords.map((k) => k.term);
+    topKeywords.slice(0, 20).forEach((kw) => learnKeyword(kw.term, kw.categories));
+    if (Math.random() < 0.1) saveLearnedKeywords();
+    const highCount = Math.min(15, Math.ceil(terms.length * 0.45));
+    const mediumCount = Math.min(10, Math.ceil(terms.length * 0.35));
+    const result = {
+      all: terms,
+      highPriority: terms.slice(0, highCount),
+      mediumPriority: terms.slice(highCount, highCount + mediumCount),
+      lowPriority: terms.slice(highCount + mediumCount),
+      total: terms.length,
+      categorized: categorizeByType(topKeywords)
+    };
+    setCache(cacheKey, result, KEYWORD_CACHE);
+    return result;
+  }
+  function extractKeywords(jobDescription, maxKeywords = 35) {
+    if (!jobDescription) return emptyKeywordSet();
+    const mandatory = extractMandatoryFromJD(jobDescription);
+    return mergeWithMandatory(extractReliableKeywords(jobDescription, maxKeywords), mandatory);
+  }
+  function matchKeywords(cvText, keywords) {
+    const kwList = keywordList(keywords);
+    if (!cvText || !keywords) {
+      return { matched: [], missing: kwList, matchScore: 0, matchCount: 0, totalKeywords: kwList.length };
+    }
+    const cvLower = cvText.toLowerCase();
+    const matched = [];
+    const missing = [];
+    kwList.forEach((keyword) => {
+      if (hasWord(cvLower, keyword)) {
+        matched.push(keyword);
+      } else {
+        missing.push(keyword);
+      }
+    });
+    return {
+      matched,
+      missing,
+      matchScore: kwList.length > 0 ? Math.round(matched.length / kwList.length * 100) : 0,
+      matchCount: matched.length,
+      totalKeywords: kwList.length
+    };
+  }
+
+  // supabase/functions/_shared/tailoring-core/version.ts
+  var TAILORING_CORE_VERSION = "1.0.1";
+
+  // supabase/functions/_shared/tailoring-core/jobscan.ts
+  function extractJobscanKeywords(description, requirements = []) {
+    const text = `${description} ${requirements.join(" ")}`.toLowerCase();
+    const hardSkillPatterns = [
+      // Programming languages
+      "python",
+      "javascript",
+      "typescript",
+      "java",
+      "c\\+\\+",
+      "c#",
+      "go",
+      "golang",
+      "rust",
+      "ruby",
+      "php",
+      "scala",
+      "kotlin",
+      "swift",
+      "r",
+      "matlab",
+      "perl",
+      "bash",
+      "powershell",
+      "sql",
+      "plsql",
+      "tsql",
+      "vba",
+      "solidity",
+      "haskell",
+      "elixir",
+      "clojure",
+      "f#",
+      "dart",
+      "lua",
+      "groovy",
+      "objective-c",
+      // Web frameworks
+      "react",
+      "react\\.?js",
+      "angular",
+      "vue",
+      "vue\\.?js",
+      "svelte",
+      "next\\.?js",
+      "nuxt",
+      "gatsby",
+      "remix",
+      "ember",
+      "backbone",
+      "jquery",
+      "node\\.?js",
+      "express",
+      "express\\.?js",
+      "fastify",
+      "nest\\.?js",
+      "koa",
+      "hapi",
+      "django",
+      "flask",
+      "fastapi",
+      "pyramid",
+      "spring",
+      "spring boot",
+      "rails",
+      "ruby on rails",
+      "laravel",
+      "symfony",
+      "asp\\.?net",
+      "blazor",
+      "gin",
+      "echo",
+      "fiber",
+      "phoenix",
+      // Databases
+      "sql",
+      "nosql",
+      "postgresql",
+      "postgres",
+      "mysql",
+      "mariadb",
+      "mongodb",
+      "redis",
+      "elasticsearch",
+      "opensearch",
+      "cassandra",
+      "dynamodb",
+      "couchdb",
+      "couchbase",
+      "neo4j",
+      "graphdb",
+      "arangodb",
+      "firestore",
+      "firebase",
+      "supabase",
+      "sqlite",
+      "oracle",
+      "sql server",
+      "mssql",
+      "db2",
+      "teradata",
+      "redshift",
+      "bigquery",
+      "athena",
+      "presto",
+      "trino",
+      "clickhouse",
+      "timescaledb",
+      "influxdb",
+      // Cloud & infrastructure
+      "aws",
+      "amazon web services",
+      "azure",
+      "microsoft azure",
+      "gcp",
+      "google cloud",
+      "google cloud platform",
+      "docker",
+      "kubernetes",
+      "k8s",
+      "terraform",
+      "ansible",
+      "puppet",
+      "chef",
+      "cloudformation",
+      "pulumi",
+      "helm",
+      "istio",
+      "linkerd",
+      "consul",
+      "vault",
+      "nomad",
+      "ecs",
+      "eks",
+      "aks",
+      "gke",
+      "fargate",
+      "lambda",
+      "step functions",
+      "cloud functions",
+      "azure functions",
+      "cloudflare",
+      "vercel",
+      "netlify",
+      "heroku",
+      "digitalocean",
+      "linode",
+      "vagrant",
+      "openstack",
+      "vmware",
+      "proxmox",
+      // DevOps/CI-CD
+      "jenkins",
+      "circleci",
+      "github actions",
+      "gitlab ci",
+      "travis ci",
+      "bamboo",
+      "teamcity",
+      "azure devops",
+      "argo cd",
+      "argocd",
+      "flux",
+      "spinnaker",
+      "tekton",
+      "buildkite",
+      "drone",
+      "concourse",
+      "ci/cd",
+      "ci cd",
+      "continuous integration",
+      "continuous deployment",
+      "continuous delivery",
+      "devops",
+      "devsecops",
+      "sre",
+      "site reliability",
+      "infrastructure as code",
+      "iac",
+      "gitops",
+      // Data & ML
+      "tensorflow",
+      "pytorch",
+      "keras",
+      "scikit-learn",
+      "sklearn",
+      "pandas",
+      "numpy",
+      "scipy",
+      "matplotlib",
+      "seaborn",
+      "plotly",
+      "spark",
+      "pyspark",
+      "hadoop",
+      "hive",
+      "pig",
+      "kafka",
+      "confluent",
+      "airflow",
+      "dagster",
+      "prefect",
+      "luigi",
+      "dbt",
+      "great expectations",
+      "mlflow",
+      "kubeflow",
+      "vertex ai",
+      "sagemaker",
+      "databricks",
+      "snowflake",
+      "fivetran",
+      "stitch",
+      "airbyte",
+      "meltano",
+      "looker",
+      "tableau",
+      "power bi",
+      "metabase",
+      "superset",
+      "quicksight",
+      "mode",
+      "amplitude",
+      "mixpanel",
+      "segment",
+      "heap",
+      "hugging face",
+      "transformers",
+      "langchain",
+      "llamaindex",
+      "openai",
+      "gpt",
+      "llm",
+      "large language model",
+      "nlp",
+      "natural language processing",
+      "computer vision",
+      "cv",
+      "opencv",
+      "yolo",
+      "bert",
+      "word2vec",
+      "xgboost",
+      "lightgbm",
+      "catboost",
+      "random forest",
+      "neural network",
+      "deep learning",
+      "machine learning",
+      "ml",
+      "ai",
+      "artificial intelligence",
+      "reinforcement learning",
+      "supervised learning",
+      "unsupervised learning",
+      "feature engineering",
+      "model training",
+      "model serving",
+      "mlops",
+      "data science",
+      "data engineering",
+      "data analytics",
+      "etl",
+      "elt",
+      "data warehouse",
+      "data lake",
+      "data lakehouse",
+      "data pipeline",
+      "streaming",
+      "real-time",
+      "batch processing",
+      // API & Architecture
+      "rest",
+      "rest api",
+      "restful",
+      "graphql",
+      "grpc",
+      "soap",
+      "websocket",
+      "webhook",
+      "api gateway",
+      "microservices",
+      "micro-services",
+      "serverless",
+      "event-driven",
+      "event driven",
+      "message queue",
+      "pub/sub",
+      "pubsub",
+      "rabbitmq",
+      "activemq",
+      "sqs",
+      "sns",
+      "kinesis",
+      "eventbridge",
+      "domain driven design",
+      "ddd",
+      "cqrs",
+      "saga pattern",
+      "circuit breaker",
+      "load balancer",
+      "reverse proxy",
+      "nginx",
+      "apache",
+      "haproxy",
+      "traefik",
+      "kong",
+      "envoy",
+      // Security
+      "oauth",
+      "oauth2",
+      "oidc",
+      "openid connect",
+      "jwt",
+      "saml",
+      "sso",
+      "single sign-on",
+      "mfa",
+      "multi-factor",
+      "2fa",
+      "rbac",
+      "role based access",
+      "iam",
+      "identity management",
+      "encryption",
+      "tls",
+      "ssl",
+      "https",
+      "penetration testing",
+      "security audit",
+      "vulnerability",
+      "owasp",
+      "soc2",
+      "soc 2",
+      "gdpr",
+      "hipaa",
+      "pci dss",
+      "iso 27001",
+      "compliance",
+      "cybersecurity",
+      "infosec",
+      "devsecops",
+      // Frontend
+      "html",
+      "html5",
+      "css",
+      "css3",
+      "sass",
+      "scss",
+      "less",
+      "tailwind",
+      "tailwindcss",
+      "bootstrap",
+      "material ui",
+      "mui",
+      "chakra ui",
+      "ant design",
+      "styled components",
+      "emotion",
+      "webpack",
+      "vite",
+      "parcel",
+      "rollup",
+      "esbuild",
+      "swc",
+      "babel",
+      "eslint",
+      "prettier",
+      "responsive design",
+      "mobile-first",
+      "accessibility",
+      "a11y",
+      "wcag",
+      "aria",
+      "pwa",
+      "progressive web app",
+      "spa",
+      "single page application",
+      "ssr",
+      "server side rendering",
+      "ssg",
+      "static site generation",
+      "jamstack",
+      // Mobile
+      "ios",
+      "android",
+      "react native",
+      "flutter",
+      "xamarin",
+      "ionic",
+      "cordova",
+      "capacitor",
+      "expo",
+      "mobile development",
+      "cross-platform",
+      "native app",
+      // Testing
+      "unit testing",
+      "integration testing",
+      "e2e",
+      "end-to-end",
+      "test automation",
+      "tdd",
+      "test driven",
+      "bdd",
+      "behavior driven",
+      "jest",
+      "mocha",
+      "chai",
+      "jasmine",
+      "karma",
+      "cypress",
+      "playwright",
+      "selenium",
+      "webdriver",
+      "puppeteer",
+      "pytest",
+      "unittest",
+      "junit",
+      "testng",
+      "rspec",
+      "cucumber",
+      "postman",
+      "newman",
+      "load testing",
+      "performance testing",
+      "jmeter",
+      "locust",
+      "k6",
+      "gatling",
+      "qa",
+      "quality assurance",
+      // Misc tech
+      "git",
+      "github",
+      "gitlab",
+      "bitbucket",
+      "svn",
+      "linux",
+      "unix",
+      "windows server",
+      "macos",
+      "shell scripting",
+      "regex",
+      "regular expressions",
+      "json",
+      "xml",
+      "yaml",
+      "protobuf",
+      "avro",
+      "parquet",
+      "orc",
+      "csv",
+      "markdown",
+      "agile",
+      "scrum",
+      "kanban",
+      "lean",
+      "safe",
+      "waterfall",
+      "sdlc",
+      "software development lifecycle",
+      // Blockchain & Web3
+      "blockchain",
+      "web3",
+      "ethereum",
+      "solana",
+      "polygon",
+      "smart contracts",
+      "defi",
+      "nft",
+      "dapp",
+      "ipfs",
+      "hardhat",
+      "truffle",
+      "foundry"
+    ];
+    const softSkillPatterns = [
+      "communication",
+      "communication skills",
+      "written communication",
+      "verbal communication",
+      "presentation skills",
+      "leadership",
+      "team leadership",
+      "technical leadership",
+      "thought leadership",
+      "people management",
+      "problem-solving",
+      "problem solving",
+      "critical thinking",
+      "analytical thinking",
+      "strategic thinking",
+      "teamwork",
+      "collaboration",
+      "cross-functional",
+      "cross functional",
+      "interdisciplinary",
+      "adaptability",
+      "flexibility",
+      "learning agility",
+      "growth mindset",
+      "self-motivated",
+      "proactive",
+      "time management",
+      "prioritization",
+      "multitasking",
+      "deadline-driven",
+      "results-oriented",
+      "attention to detail",
+      "detail-oriented",
+      "quality-focused",
+      "accuracy",
+      "project management",
+      "program management",
+      "stakeholder management",
+      "client-facing",
+      "customer-focused",
+      "mentoring",
+      "coaching",
+      "training",
+      "knowledge sharing",
+      "onboarding",
+      "negotiation",
+      "conflict resolution",
+      "decision-making",
+      "decision making",
+      "consensus building",
+      "innovation",
+      "creativity",
+      "design thinking",
+      "user-centric",
+      "empathy",
+      "accountability",
+      "ownership",
+      "initiative",
+      "self-starter",
+      "independent"
+    ];
+    const toolPatterns = [
+      "jira",
+      "confluence",
+      "slack",
+      "microsoft teams",
+      "teams",
+      "zoom",
+      "notion",
+      "asana",
+      "trello",
+      "monday",
+      "clickup",
+      "linear",
+      "shortcut",
+      "pivotal tracker",
+      "figma",
+      "sketch",
+      "adobe xd",
+      "invision",
+      "zeplin",
+      "miro",
+      "lucidchart",
+      "draw\\.io",
+      "excalidraw",
+      "postman",
+      "insomnia",
+      "swagger",
+      "openapi",
+      "graphiql",
+      "graphql playground",
+      "datadog",
+      "splunk",
+      "grafana",
+      "prometheus",
+      "new relic",
+      "dynatrace",
+      "appdynamics",
+      "elastic apm",
+      "honeycomb",
+      "lightstep",
+      "jaeger",
+      "zipkin",
+      "sentry",
+      "bugsnag",
+      "rollbar",
+      "logrocket",
+      "fullstory",
+      "hotjar",
+      "pagerduty",
+      "opsgenie",
+      "victorops",
+      "statuspage",
+      "incident\\.io",
+      "cloudwatch",
+      "stackdriver",
+      "azure monitor",
+      "sonarqube",
+      "snyk",
+      "dependabot",
+      "renovate",
+      "whitesource",
+      "black duck",
+      "veracode",
+      "checkmarx",
+      "salesforce",
+      "hubspot",
+      "zendesk",
+      "intercom",
+      "freshdesk",
+      "stripe",
+      "plaid",
+      "twilio",
+      "sendgrid",
+      "mailchimp",
+      "brevo",
+      "1password",
+      "lastpass",
+      "okta",
+      "auth0",
+      "onelogin",
+      "ping identity"
+    ];
+    const titlePatterns = [
+      "software engineer",
+      "senior software engineer",
+      "staff engineer",
+      "principal engineer",
+      "distinguished engineer",
+      "fellow",
+      "software developer",
+      "senior software developer",
+      "application developer",
+      "web developer",
+      "frontend developer",
+      "backend developer",
+      "full stack developer",
+      "fullstack developer",
+      "data scientist",
+      "senior data scientist",
+      "lead data scientist",
+      "principal data scientist",
+      "data engineer",
+      "senior data engineer",
+      "analytics engineer",
+      "bi engineer",
+      "business intelligence",
+      "data analyst",
+      "business analyst",
+      "product analyst",
+      "marketing analyst",
+      "financial analyst",
+      "ml engineer",
+      "machine learning engineer",
+      "ai engineer",
+      "applied scientist",
+      "research scientist",
+      "research engineer",
+      "solution architect",
+      "solutions architect",
+      "cloud architect",
+      "enterprise architect",
+      "technical architect",
+      "software architect",
+      "system architect",
+      "devops engineer",
+      "platform engineer",
+      "infrastructure engineer",
+      "reliability engineer",
+      "sre",
+      "site reliability engineer",
+      "security engineer",
+      "security analyst",
+      "information security",
+      "application security",
+      "cloud security",
+      "qa engineer",
+      "sdet",
+      "test engineer",
+      "quality engineer",
+      "automation engineer",
+      "technical lead",
+      "tech lead",
+      "team lead",
+      "engineering manager",
+      "engineering director",
+      "vp of engineering",
+      "cto",
+      "chief technology officer",
+      "product manager",
+      "product owner",
+      "program manager",
+      "project manager",
+      "scrum master",
+      "agile coach",
+      "frontend",
+      "backend",
+      "full stack",
+      "fullstack",
+      "mobile developer",
+      "ios developer",
+      "android developer"
+    ];
+    const certificationPatterns = [
+      "aws certified",
+      "aws solutions architect",
+      "aws developer",
+      "aws sysops",
+      "aws devops",
+      "aws security",
+      "aws data analytics",
+      "aws machine learning",
+      "azure certified",
+      "azure administrator",
+      "azure developer",
+      "azure solutions architect",
+      "azure data engineer",
+      "azure ai engineer",
+      "gcp certified",
+      "google cloud certified",
+      "professional cloud architect",
+      "professional data engineer",
+      "professional cloud developer",
+      "cka",
+      "ckad",
+      "cks",
+      "kubernetes certified",
+      "certified kubernetes",
+      "terraform certified",
+      "hashicorp certified",
+      "pmp",
+      "project management professional",
+      "prince2",
+      "capm",
+      "agile certified",
+      "csm",
+      "certified scrum master",
+      "psm",
+      "safe certified",
+      "cissp",
+      "cism",
+      "cisa",
+      "comptia security\\+",
+      "ceh",
+      "certified ethical hacker",
+      "oscp",
+      "comptia a\\+",
+      "comptia network\\+",
+      "ccna",
+      "ccnp",
+      "ccie",
+      "ocjp",
+      "ocpjp",
+      "java certified",
+      "oracle certified",
+      "mcsa",
+      "mcse",
+      "microsoft certified",
+      "salesforce certified",
+      "servicenow certified",
+      "databricks certified",
+      "snowflake certified"
+    ];
+    const responsibilityPatterns = [
+      "designed",
+      "developed",
+      "implemented",
+      "built",
+      "created",
+      "architected",
+      "led",
+      "managed",
+      "supervised",
+      "mentored",
+      "coached",
+      "trained",
+      "optimized",
+      "improved",
+      "enhanced",
+      "streamlined",
+      "automated",
+      "collaborated",
+      "partnered",
+      "coordinated",
+      "communicated",
+      "analyzed",
+      "evaluated",
+      "assessed",
+      "reviewed",
+      "audited",
+      "deployed",
+      "released",
+      "launched",
+      "shipped",
+      "delivered",
+      "scaled",
+      "migrated",
+      "integrated",
+      "refactored",
+      "modernized",
+      "reduced",
+      "increased",
+      "achieved",
+      "exceeded",
+      "accomplished",
+      "documented",
+      "maintained",
+      "supported",
+      "troubleshot",
+      "debugged",
+      "resolved"
+    ];
+    const extractMatches = (patterns) => {
+      const matches = [];
+      for (const pattern of patterns) {
+        const regex = new RegExp(`\\b${pattern}\\b`, "gi");
+        if (regex.test(text)) {
+          const cleaned = pattern.replace(/\\\./g, ".").replace(/\\+/g, "+").replace(/\\?/g, "");
+          if (!matches.some((m) => m.toLowerCase() === cleaned.toLowerCase())) {
+            const capitalized = cleaned.split(" ").map(
+              (word) => word.charAt(0).toUpperCase() + word.slice(1)
+            ).join(" ");
+            matches.push(capitalized);
+          }
+        }
+      }
+      return matches;
+    };
+    const hardSkills = extractMatches(hardSkillPatterns).slice(0, 25);
+    const softSkills = extractMatches(softSkillPatterns).slice(0, 8);
+    const tools = extractMatches(toolPatterns).slice(0, 10);
+    const titles = extractMatches(titlePatterns).slice(0, 5);
+    const certifications = extractMatches(certificationPatterns).slice(0, 5);
+    const responsibilities = extractMatches(responsibilityPatterns).slice(0, 10);
+    const allKeywords = [
+      ...hardSkills,
+      // Primary skills - most important
+      ...titles,
+      // Job title matches
+      ...certifications,
+      // Certifications are high value
+      ...tools,
+      // Tools/platforms
+      ...softSkills
+      // Soft skills for culture fit
+    ].slice(0, 35);
+    return { hardSkills, softSkills, tools, titles, certifications, responsibilities, allKeywords };
+  }
+
+  // supabase/functions/_shared/tailoring-core/fact-guard.ts
+  var SKILL_ALIASES = {
+    "javascript": ["js", "ecmascript"],
+    "typescript": ["ts"],
+    "node.js": ["node", "nodejs"],
+    "kubernetes": ["k8s"],
+    "postgresql": ["postgres", "psql"],
+    "ci/cd": ["cicd", "ci cd", "continuous integration", "continuous delivery", "continuous deployment"],
+    "machine learning": ["ml"],
+    "artificial intelligence": ["ai"],
+    "natural language processing": ["nlp"],
+    "amazon web services": ["aws"],
+    "google cloud": ["gcp", "google cloud platform"],
+    "microsoft azure": ["azure"],
+    "react": ["react.js", "reactjs"],
+    "vue": ["vue.js", "vuejs"],
+    "rest api": ["restful", "rest apis", "restful api"],
+    "scikit-learn": ["sklearn"]
+  };
+  var STATUS = {
+    BLOCKED: "blocked",
+    // Injected without evidence and removed again
+    UNSUPPORTED: "unsupported",
+    // Injected without evidence and left in (flag mode)
+    UNVERIFIED: "unverified",
+    // Already in the base CV but not in the profile
+    BACKED: "backed",
+    // On the CV and backed by the profile
+    MISSING: "missing"
+    // Not on the CV
+  };
+  function aliasesFor(keyword) {
+    const key = normalize(keyword);
+    const variants = /* @__PURE__ */ new Set([key]);
+    for (const [canonical, aliases] of Object.entries(SKILL_ALIASES)) {
+      if (canonical === key || aliases.includes(key)) {
+        variants.add(canonical);
+        aliases.forEach((alias) => variants.add(alias));
+      }
+    }
+    return [...variants];
+  }
+  function flattenText(value) {
+    if (value == null) return [];
+    if (typeof value === "string") return [value];
+    if (typeof value === "number") return [String(value)];
+    if (Array.isArray(value)) return value.flatMap(flattenText);
+    if (typeof value === "object") return Object.values(value).flatMap(flattenText);
+    return [];
+  }
+  function field(value, ...keys) {
+    if (!value || typeof value !== "object") return "";
+    const record = value;
+    for (const key of keys) {
+      if (typeof record[key] === "string" && record[key]) return record[key];
+    }
+    return "";
+  }
+  function buildEvidence(profile) {
+    const entries = [];
+    if (!profile) return { entries, isEmpty: true };
+    const add = (source, label, value) => {
+      const text = normalize(flattenText(value).join(" \n "));
+      if (text) entries.push({ source, label, text });
+    };
+    const skills = profile.skills || [];
+    (Array.isArray(skills) ? skills : [skills]).forEach((skill) => {
+      const name = typeof skill === "string" ? skill : field(skill, "name", "skill");
+      add("skills", name ? `Skills: ${name}` : "Skills", skill);
+    });
+    const experience = profile.work_experience || profile.workExperience || [];
+    (Array.isArray(experience) ? experience : []).forEach((job) => {
+      const title = field(job, "title", "position");
+      const company = field(job, "company", "employer");
+      const label = [title, company].filter(Boolean).join(" @ ") || "Work experience";
+      add("work_experience", label, job);
+    });
+    add("certifications", "Certifications", profile.certifications);
+    add("achievements", "Achievements", profile.achievements);
+    add("education", "Education", profile.education);
+    return { entries, isEmpty: entries.length === 0 };
+  }
+  function findEvidence(keyword, evidence) {
+    if (!evidence?.entries?.length) return null;
+    const variants = aliasesFor(keyword);
+    for (const entry of evidence.entries) {
+      if (variants.some((variant) => containsTerm(entry.text, variant))) {
+        return { source: entry.source, label: entry.label };
+      }
+    }
+    return null;
+  }
+  function restrictKeywords(keywords, evidence) {
+    const unsupported = /* @__PURE__ */ new Set();
+    const isSupported = (kw) => {
+      if (findEvidence(kw, evidence)) return true;
+      unsupported.add(kw);
+      return false;
+    };
+    if (Array.isArray(keywords)) {
+      return { keywords: keywords.filter(isSupported), unsupported: [...unsupported] };
+    }
+    const restricted = { ...keywords };
+    for (const [key, value] of Object.entries(keywords || {})) {
+      if (Array.isArray(value) && value.every((item) => typeof item === "string")) {
+        restricted[key] = value.filter(isSupported);
+      }
+    }
+    return { keywords: restricted, unsupported: [...unsupported] };
+  }
+  function findOriginalLine(line, originalLines) {
+    const trimmed = line.trim();
+    let best = null;
+    let bestLength = 0;
+    for (const original of originalLines) {
+      const candidate = original.trim();
+      if (!candidate) continue;
+      let i = 0;
+      while (i < candidate.length && i < trimmed.length && candidate[i] === trimmed[i]) i++;
+      if (i >= Math.min(20, candidate.length * 0.5) && i > bestLength) {
+        best = original;
+        bestLength = i;
+      }
+    }
+    return best;
+  }
+  function removeInjections(originalCV, tailoredCV, keywords) {
+    const originalLines = originalCV.split("\n");
+    const originalSet = new Set(originalLines.map((line) => line.trim()));
+    const lines = [];
+    for (const line of tailoredCV.split("\n")) {
+      if (originalSet.has(line.trim()) || !keywords.some((kw) => containsTerm(line, kw))) {
+        lines.push(line);
+        continue;
+      }
+      const original = findOriginalLine(line, originalLines);
+      if (original !== null) lines.push(original);
+    }
+    return lines.join("\n");
+  }
+  function audit({ originalCV = "", tailoredCV = "", keywords, profile, evidence, mode = "block" }) {
+    const allKeywords = [...new Set(keywordList(keywords))];
+    const proof = evidence || buildEvidence(profile);
+    const originalLower = normalize(originalCV);
+    const injectedUnsupported = allKeywords.filter(
+      (kw) => containsTerm(tailoredCV, kw) && !containsTerm(originalLower, kw) && !findEvidence(kw, proof)
+    );
+    let finalCV = tailoredCV;
+    if (mode === "block" && injectedUnsupported.length > 0) {
+      finalCV = removeInjections(originalCV, tailoredCV, injectedUnsupported);
+    }
+    const finalLower = normalize(finalCV);
+    const report = allKeywords.map((keyword) => {
+      const backing = findEvidence(keyword, proof);
+      const onCV = containsTerm(finalLower, keyword);
+      const inOriginal = containsTerm(originalLower, keyword);
+      let status;
+      if (injectedUnsupported.includes(keyword)) {
+        status = onCV ? STATUS.UNSUPPORTED : STATUS.BLOCKED;
+      } else if (!onCV) {
+        status = STATUS.MISSING;
+      } else if (backing) {
+        status = STATUS.BACKED;
+      } else {
+        status = STATUS.UNVERIFIED;
+      }
+      return {
+        keyword,
+        status,
+        injected: onCV && !inOriginal,
+        source: backing?.source || (inOriginal ? "base_cv" : null),
+        evidence: backing?.label || null
+      };
+    });
+    const summary = Object.values(STATUS).reduce((acc, status) => {
+      acc[status] = report.filter((item) => item.status === status).length;
+      return acc;
+    }, {});
+    if (injectedUnsupported.length > 0) {
+      console.log(`[FactGuard] ${mode === "block" ? "Blocked" : "Flagged"} ${injectedUnsupported.length} unsupported keywords:`, injectedUnsupported);
+    }
+    return {
+      tailoredCV: finalCV,
+      report,
+      summary,
+      changed: finalCV !== tailoredCV
+    };
+  }
+
+  // supabase/functions/_shared/tailoring-core/tailor.ts
+  var SECTION_PATTERNS = {
+    summary: /^(PROFESSIONAL\s*SUMMARY|SUMMARY|PROFILE|OBJECTIVE|ABOUT\s*ME|CAREER\s*SUMMARY)[\s:]*$/im,
+    experience: /^(EXPERIENCE|WORK\s*EXPERIENCE|PROFESSIONAL\s*EXPERIENCE|EMPLOYMENT\s*HISTORY)[\s:]*$/im,
+    skills: /^(SKILLS|TECHNICAL\s*SKILLS|CORE\s*SKILLS|KEY\s*SKILLS|COMPETENCIES)[\s:]*$/im,
+    education: /^(EDUCATION|ACADEMIC\s*BACKGROUND|QUALIFICATIONS)[\s:]*$/im,
+    certifications: /^(CERTIFICATIONS|CERTIFICATES|LICENSES|CREDENTIALS)[\s:]*$/im,
+    achievements: /^(ACHIEVEMENTS|ACCOMPLISHMENTS|AWARDS|HONORS)[\s:]*$/im
+  };
+  var ACTION_VERBS = [
+    "Developed",
+    "Implemented",
+    "Designed",
+    "Created",
+    "Built",
+    "Optimized",
+    "Managed",
+    "Led",
+    "Directed",
+    "Orchestrated",
+    "Spearheaded",
+    "Drove",
+    "Analyzed",
+    "Evaluated",
+    "Assessed",
+    "Investigated",
+    "Researched",
+    "Improved",
+    "Enhanced",
+    "Streamlined",
+    "Automated",
+    "Transformed",
+    "Delivered",
+    "Achieved",
+    "Exceeded",
+    "Accomplished",
+    "Generated",
+    "Collaborated",
+    "Partnered",
+    "Coordinated",
+    "Facilitated",
+    "Mentored"
+  ];
+  function parseCV(cvText) {
+    const sections = {
+      header: [],
+      summary: [],
+      experience: [],
+      skills: [],
+      education: [],
+      certifications: [],
+      achievements: [],
+      other: []
+    };
+    if (!cvText) return { raw: "", sections, lineCount: 0 };
+    const lines = cvText.split("\n");
+    let currentSection = "header";
+    for (const line of lines) {
+      const trimmed = line.trim();
+      const header = Object.entries(SECTION_PATTERNS).find(([, pattern]) => pattern.test(trimmed));
+      if (header) {
+        currentSection = header[0];
+      }
+      sections[currentSection].push(line);
+    }
+    return { raw: cvText, sections, lineCount: lines.length };
+  }
+  var hasKeyword = hasWord;
+  function enhanceSummary(summaryLines, highPriorityKeywords, existingMatched = []) {
+    if (!summaryLines.length || !highPriorityKeywords.length) {
+      return { lines: summaryLines, injected: [], count: 0 };
+    }
+    const injected = [];
+    const targetCount = Math.min(8, highPriorityKeywords.length);
+    const linesToEnhance = [...summaryLines];
+    const summaryText = summaryLines.join(" ");
+    const missingKeywords = highPriorityKeywords.filter(
+      (kw) => !hasKeyword(summaryText, kw) && !existingMatched.includes(kw)
+    );
+    if (missingKeywords.length === 0) {
+      return { lines: summaryLines, injected: [], count: 0 };
+    }
+    for (let i = 1; i < linesToEnhance.length && injected.length < targetCount; i++) {
+      const line = linesToEnhance[i];
+      if (line.trim().length < 20) continue;
+      if (line.includes(".") && missingKeywords.length > 0) {
+        const kw = missingKeywords.shift();
+        const enhancedLine = line.replace(/\.(\s*)$/, `, including ${kw}.$1`);
+        if (enhancedLine !== line) {
+          linesToEnhance[i] = enhancedLine;
+          injected.push(kw);
+        }
+      }
+    }
+    if (injected.length < 4 && missingKeywords.length >= 3) {
+      const keywordsToAdd = missingKeywords.splice(0, Math.min(4, missingKeywords.length));
+      const lastKeyword = keywordsToAdd.pop();
+      const keywordList2 = keywordsToAdd.length > 0 ? `${keywordsToAdd.join(", ")} and ${lastKeyword}` : lastKeyword;
+      const newSentence = `Proficient in ${keywordList2} with a proven track record of delivering results.`;
+      const insertIndex = Math.max(1, linesToEnhance.length - 1);
+      linesToEnhance.splice(insertIndex, 0, newSentence);
+      injected.push(...keywordsToAdd, lastKeyword);
+    }
+    return { lines: linesToEnhance, injected, count: injected.length };
+  }
+  function enhanceExperience(experienceLines, keywords, existingMatched = []) {
+    if (!experienceLines.length) {
+      return { lines: experienceLines, injected: [], count: 0 };
+    }
+    const injected = [];
+    const linesToEnhance = [...experienceLines];
+    const allKeywords = [...keywords.highPriority, ...keywords.mediumPriority];
+    const experienceText = experienceLines.join(" ");
+    const availableKeywords = allKeywords.filter(
+      (kw) => !hasKeyword(experienceText, kw) && !existingMatched.includes(kw)
+    );
+    let bulletCount = 0;
+    const maxBullets = 10;
+    let keywordIndex = 0;
+    for (let i = 0; i < linesToEnhance.length && bulletCount < maxBullets; i++) {
+      const line = linesToEnhance[i];
+      const trimmed = line.trim();
+      if (trimmed.startsWith("•") || trimmed.startsWith("-") || trimmed.startsWith("*") || /^\d+\./.test(trimmed)) {
+        bulletCount++;
+        if (keywordIndex >= availableKeywords.length) continue;
+        let enhancedLine = line;
+        for (let j = 0; j < 2 && keywordIndex < availableKeywords.length; j++) {
+          const kw = availableKeywords[keywordIndex];
+          if (hasKeyword(enhancedLine, kw)) continue;
+          if (enhancedLine.includes(".") || enhancedLine.includes(",")) {
+            const insertPhrase = j === 0 ? `utilizing ${kw}` : `and ${kw}`;
+            enhancedLine = enhancedLine.replace(/([.,])(\s*)$/, ` ${insertPhrase}$1$2`);
+            injected.push(kw);
+            keywordIndex++;
+          } else if (!enhancedLine.endsWith(".")) {
+            enhancedLine = `${enhancedLine.trimEnd()} using ${kw}`;
+            injected.push(kw);
+            keywordIndex++;
+          }
+        }
+        linesToEnhance[i] = enhancedLine;
+      }
+    }
+    return { lines: linesToEnhance, injected, count: injected.length };
+  }
+  function enhanceSkills(skillsLines, keywords, existingMatched = []) {
+    if (!skillsLines.length) {
+      const allSkills = [...keywords.highPriority, ...keywords.mediumPriority.slice(0, 7)];
+      if (allSkills.length === 0) {
+        return { lines: [], injected: [], count: 0 };
+      }
+      const half = Math.ceil(allSkills.length / 2);
+      return {
+        lines: [
+          "SKILLS",
+          `• Technical: ${allSkills.slice(0, half).join(", ")}`,
+          `• Additional: ${allSkills.slice(half).join(", ")}`
+        ],
+        injected: allSkills,
+        count: allSkills.length,
+        isNew: true
+      };
+    }
+    const injected = [];
+    const linesToEnhance = [...skillsLines];
+    const skillsText = skillsLines.join(" ");
+    const missingSkills = [...keywords.highPriority, ...keywords.mediumPriority].filter((kw) => !hasKeyword(skillsText, kw) && !existingMatched.includes(kw));
+    if (missingSkills.length === 0) {
+      return { lines: skillsLines, injected: [], count: 0 };
+    }
+    let targetLineIndex = -1;
+    for (let i = linesToEnhance.length - 1; i >= 0; i--) {
+      const line = linesToEnhance[i].trim();
+      if (line.startsWith("•") || line.startsWith("-") || line.includes(":") || line.includes(",")) {
+        targetLineIndex = i;
+        break;
+      }
+    }
+    if (targetLineIndex === -1) {
+      const skillsToAdd = missingSkills.slice(0, 10);
+      linesToEnhance.push(`• Additional: ${skillsToAdd.join(", ")}`);
+      injected.push(...skillsToAdd);
+    } else {
+      const skillsToAdd = missingSkills.slice(0, 8);
+      linesToEnhance[targetLineIndex] = `${linesToEnhance[targetLineIndex].trimEnd()}, ${skillsToAdd.join(", ")}`;
+      injected.push(...skillsToAdd);
+    }
+    return { lines: linesToEnhance, injected, count: injected.length };
+  }
+  function reconstructCV(sections) {
+    const parts = [];
+    if (sections.header.length > 0) {
+      parts.push(sections.header.join("\n"));
+    }
+    const sectionOrder = ["summary", "experience", "education", "skills", "certifications", "achievements", "other"];
+    for (const sectionName of sectionOrder) {
+      if (sections[sectionName].length > 0) {
+        if (parts.length > 0) parts.push("");
+        parts.push(sections[sectionName].join("\n"));
+      }
+    }
+    return parts.join("\n");
+  }
+  function tailorCV(cvText, keywords, options = {}) {
+    const stats = { summary: 0, experience: 0, skills: 0, total: 0 };
+    if (!cvText || !keywords || !keywords.all || keywords.all.length === 0) {
+      return {
+        tailoredCV: cvText,
+        originalText: cvText,
+        injectedKeywords: [],
+        provenance: null,
+        matchScore: 0,
+        matchedKeywords: [],
+        missingKeywords: keywords?.all || [],
+        stats,
+        keywords
+      };
+    }
+    const parsed = parseCV(cvText);
+    const evidence = buildEvidence(options.profile);
+    const injectable = restrictKeywords(keywords, evidence).keywords;
+    const initialMatch = matchKeywords(cvText, keywords.all);
+    const allInjected = [];
+    const enhancedSections = { ...parsed.sections };
+    if (parsed.sections.summary.length > 0) {
+      const summaryResult = enhanceSummary(parsed.sections.summary, injectable.highPriority, initialMatch.matched);
+      enhancedSections.summary = summaryResult.lines;
+      stats.summary = summaryResult.count;
+      allInjected.push(...summaryResult.injected);
+    }
+    if (parsed.sections.experience.length > 0) {
+      const experienceResult = enhanceExperience(parsed.sections.experience, injectable, [...initialMatch.matched, ...allInjected]);
+      enhancedSections.experience = experienceResult.lines;
+      stats.experience = experienceResult.count;
+      allInjected.push(...experienceResult.injected);
+    }
+    const skillsResult = enhanceSkills(parsed.sections.skills, injectable, [...initialMatch.matched, ...allInjected]);
+    enhancedSections.skills = skillsResult.lines;
+    stats.skills = skillsResult.count;
+    allInjected.push(...skillsResult.injected);
+    let tailoredCV = reconstructCV(enhancedSections);
+    const guard = audit({
+      originalCV: cvText,
+      tailoredCV,
+      keywords,
+      evidence,
+      mode: options.factMode || "block"
+    });
+    tailoredCV = guard.tailoredCV;
+    const provenance = { report: guard.report, summary: guard.summary };
+    const finalMatch = matchKeywords(tailoredCV, keywords.all);
+    stats.total = allInjected.length;
+    return {
+      tailoredCV,
+      originalText: cvText,
+      injectedKeywords: allInjected,
+      provenance,
+      matchScore: finalMatch.matchScore,
+      matchedKeywords: finalMatch.matched,
+      missingKeywords: finalMatch.missing,
+      stats,
+      keywords
+    };
+  }
+  function quickOptimize(cvText, missingKeywords, maxAdditions = 10) {
+    if (!cvText || !missingKeywords || missingKeywords.length === 0) {
+      return { optimizedCV: cvText, added: [], count: 0 };
+    }
+    let optimizedCV = cvText;
+    const added = [];
+    const keywordsToAdd = missingKeywords.slice(0, maxAdditions);
+    const skillsMatch = SECTION_PATTERNS.skills.exec(optimizedCV);
+    if (skillsMatch) {
+      const insertIndex = optimizedCV.indexOf("\n", skillsMatch.index + skillsMatch[0].length);
+      if (insertIndex > -1) {
+        let endIndex = optimizedCV.length;
+        for (const [name, pattern] of Object.entries(SECTION_PATTERNS)) {
+          if (name === "skills") continue;
+          const match = pattern.exec(optimizedCV.substring(insertIndex));
+          if (match && insertIndex + match.index < endIndex) {
+            endIndex = insertIndex + match.index;
+          }
+        }
+        optimizedCV = optimizedCV.substring(0, endIndex).trimEnd() + `
+• Additional: ${keywordsToAdd.join(", ")}
+` + optimizedCV.substring(endIndex);
+        added.push(...keywordsToAdd);
+      }
+    } else {
+      const newSkillsSection = `
+SKILLS
+• Technical: ${keywordsToAdd.join(", ")}
+`;
+      const eduMatch = SECTION_PATTERNS.education.exec(optimizedCV);
+      if (eduMatch) {
+        optimizedCV = optimizedCV.substring(0, eduMatch.index) + newSkillsSection + "\n" + optimizedCV.substring(eduMatch.index);
+      } else {
+        optimizedCV = optimizedCV.trimEnd() + "\n" + newSkillsSection;
+      }
+      added.push(...keywordsToAdd);
+    }
+    return { optimizedCV, added, count: added.length };
+  }
+  function calculatePotentialScore(currentScore, currentMatched, totalKeywords, keywordsToAdd) {
+    return Math.round((currentMatched + keywordsToAdd) / totalKeywords * 100);
+  }
+  function generateSuggestions(analysisResult) {
+    const suggestions = [];
+    const { categorizedMissing, match } = analysisResult;
+    if (categorizedMissing.high.length > 0) {
+      suggestions.push({
+        priority: "high",
+        type: "missing_keywords",
+        message: `Add ${categorizedMissing.high.length} high-priority keywords: ${categorizedMissing.high.slice(0, 3).join(", ")}${categorizedMissing.high.length > 3 ? "..." : ""}`,
+        keywords: categorizedMissing.high,
+        impact: `Could improve match by ~${Math.round(categorizedMissing.high.length / match.totalKeywords * 100)}%`
+      });
+    }
+    if (categorizedMissing.medium.length > 0) {
+      suggestions.push({
+        priority: "medium",
+        type: "missing_keywords",
+        message: `Consider adding ${categorizedMissing.medium.length} medium-priority keywords`,
+        keywords: categorizedMissing.medium,
+        impact: `Could improve match by ~${Math.round(categorizedMissing.medium.length / match.totalKeywords * 100)}%`
+      });
+    }
+    if (match.matchScore < 70) {
+      suggestions.push({
+        priority: "high",
+        type: "overall",
+        message: "CV needs significant keyword optimization for ATS compatibility",
+        action: "Use full CV tailoring to achieve 95%+ match"
+      });
+    }
+    return suggestions;
+  }
+
+  // supabase/functions/_shared/tailoring-core/scoring.ts
+  function extractWords(text) {
+    if (!text) return [];
+    return text.toLowerCase().replace(/[^a-z0-9\s+#.-]/g, " ").split(/\s+/).filter((word) => word.length >= 2);
+  }
+  function calculateDynamicMatch(cvText, jobKeywords) {
+    if (!cvText || !jobKeywords || jobKeywords.length === 0) {
+      return {
+        score: 0,
+        matched: [],
+        missing: jobKeywords || [],
+        matchCount: 0,
+        totalKeywords: jobKeywords?.length || 0
+      };
+    }
+    const cvLower = cvText.toLowerCase();
+    const cvWords = extractWords(cvLower);
+    const matched = [];
+    const missing = [];
+    jobKeywords.forEach((keyword) => {
+      const keywordLower = keyword.toLowerCase();
+      const hasMatch = hasWord(cvLower, keywordLower) || cvWords.some((word) => word.includes(keywordLower) || keywordLower.includes(word));
+      if (hasMatch) {
+        matched.push(keyword);
+      } else {
+        missing.push(keyword);
+      }
+    });
+    return {
+      score: Math.round(matched.length / jobKeywords.length * 100),
+      matched,
+      missing,
+      matchCount: matched.length,
+      totalKeywords: jobKeywords.length
+    };
+  }
+  function calculateWeightedMatch(cvText, keywords) {
+    if (!keywords) return { score: 0, matched: [], missing: [], matchCount: 0, totalKeywords: 0 };
+    const tiers = [["highPriority", 3], ["mediumPriority", 2], ["lowPriority", 1]];
+    let totalWeight = 0;
+    let matchedWeight = 0;
+    const allMatched = [];
+    const allMissing = [];
+    tiers.forEach(([priority, weight]) => {
+      const tierKeywords = keywords[priority] || [];
+      tierKeywords.forEach((keyword) => {
+        totalWeight += weight;
+        if (calculateDynamicMatch(cvText, [keyword]).matchCount > 0) {
+          matchedWeight += weight;
+          allMatched.push(keyword);
+        } else {
+          allMissing.push(keyword);
+        }
+      });
+    });
+    return {
+      score: totalWeight > 0 ? Math.round(matchedWeight / totalWeight * 100) : 0,
+      matched: allMatched,
+      missing: allMissing,
+      matchCount: allMatched.length,
+      totalKeywords: allMatched.length + allMissing.length
+    };
+  }
+  function getScoreStatus(score) {
+    if (score >= 95) return { label: "Excellent", color: "excellent", emoji: "🎯" };
+    if (score >= 90) return { label: "Great", color: "great", emoji: "✨" };
+    if (score >= 80) return { label: "Good", color: "good", emoji: "👍" };
+    if (score >= 70) return { label: "Fair", color: "fair", emoji: "📈" };
+    if (score >= 50) return { label: "Needs Work", color: "needs-work", emoji: "⚠️" };
+    return { label: "Low Match", color: "low", emoji: "❌" };
+  }
+  function getScoreColor(score) {
+    if (score >= 90) return "#2ed573";
+    if (score >= 70) return "#00d4ff";
+    if (score >= 50) return "#ffa502";
+    return "#ff4757";
+  }
+  function validateTailoring(cvText, jobKeywords) {
+    const match = matchKeywords(cvText, keywordList(jobKeywords));
+    return {
+      score: match.matchScore,
+      keywordCount: match.matched.length,
+      reliable: match.matchScore >= 90 && match.matched.length >= 10,
+      matched: match.matched,
+      missing: match.missing
+    };
+  }
+  var MATCH_SYNONYMS = {
+    "javascript": ["js", "ecmascript", "es6", "es2015"],
+    "typescript": ["ts"],
+    "python": ["py"],
+    "kubernetes": ["k8s"],
+    "postgresql": ["postgres", "psql"],
+    "mongodb": ["mongo"],
+    "amazon web services": ["aws"],
+    "google cloud": ["gcp", "google cloud platform"],
+    "microsoft azure": ["azure"],
+    "node.js": ["nodejs", "node"],
+    "react.js": ["reactjs", "react"],
+    "vue.js": ["vuejs", "vue"],
+    "next.js": ["nextjs", "next"],
+    "machine learning": ["ml"],
+    "artificial intelligence": ["ai"],
+    "natural language processing": ["nlp"],
+    "continuous integration": ["ci"],
+    "continuous deployment": ["cd"],
+    "ci/cd": ["cicd", "ci cd", "continuous integration", "continuous deployment"],
+    "rest api": ["restful", "rest"],
+    "graphql": ["gql"],
+    "sql": ["structured query language"],
+    "nosql": ["no-sql", "non-relational"],
+    "agile": ["scrum", "kanban"],
+    "full stack": ["fullstack", "full-stack"],
+    "frontend": ["front-end", "front end"],
+    "backend": ["back-end", "back end"],
+    "devops": ["dev ops", "dev-ops"]
+  };
+  function calculateProfileMatch(jdKeywords, profile) {
+    const skillsText = (profile.skills || []).map((s) => (typeof s === "string" ? s : s?.name || "").toLowerCase()).join(" ");
+    const experienceText = (profile.workExperience || []).map(
+      (exp) => `${exp.title || ""} ${exp.company || ""} ${exp.description || ""} ${(exp.bullets || []).join(" ")}`
+    ).join(" ").toLowerCase();
+    const educationText = (profile.education || []).map(
+      (edu) => `${edu.degree || ""} ${edu.field || ""} ${edu.school || ""} ${edu.description || ""}`
+    ).join(" ").toLowerCase();
+    const certText = (profile.certifications || []).join(" ").toLowerCase();
+    const fullProfileText = `${skillsText} ${experienceText} ${educationText} ${certText}`;
+    const matched = [];
+    const missing = [];
+    const partialMatches = [];
+    for (const keyword of jdKeywords) {
+      const keywordLower = keyword.toLowerCase();
+      let isMatched = fullProfileText.includes(keywordLower);
+      if (!isMatched) {
+        for (const syn of MATCH_SYNONYMS[keywordLower] || []) {
+          if (fullProfileText.includes(syn)) {
+            isMatched = true;
+            partialMatches.push(`${keyword} (via ${syn})`);
+            break;
+          }
+        }
+      }
+      if (!isMatched) {
+        for (const [mainTerm, syns] of Object.entries(MATCH_SYNONYMS)) {
+          if (syns.includes(keywordLower) && fullProfileText.includes(mainTerm)) {
+            isMatched = true;
+            partialMatches.push(`${keyword} (via ${mainTerm})`);
+            break;
+          }
+        }
+      }
+      if (!isMatched) {
+        const words = keywordLower.split(/[\s\-/]+/);
+        const matchedWords = words.filter((w) => w.length > 2 && fullProfileText.includes(w));
+        if (matchedWords.length >= Math.ceil(words.length * 0.6)) {
+          isMatched = true;
+          partialMatches.push(`${keyword} (partial: ${matchedWords.join(", ")})`);
+        }
+      }
+      if (isMatched) {
+        matched.push(keyword);
+      } else {
+        missing.push(keyword);
+      }
+    }
+    let totalPoints = 0;
+    let earnedPoints = 0;
+    jdKeywords.forEach((kw, i) => {
+      const points = i < 15 ? 4 : i < 25 ? 3 : 2;
+      totalPoints += points;
+      if (matched.includes(kw)) earnedPoints += points;
+    });
+    const score = totalPoints > 0 ? Math.round(earnedPoints / totalPoints * 100) : 50;
+    return {
+      score: Math.min(100, Math.max(0, score)),
+      matched,
+      missing,
+      partialMatches
+    };
+  }
+  function scoreGeneratedContent(keywords, texts, fallbackScore = 0) {
+    const combined = texts.map((text) => (text || "").toLowerCase()).join(" ");
+    const matched = [];
+    const missing = [];
+    for (const keyword of keywords) {
+      const keywordLower = keyword.toLowerCase();
+      if (combined.includes(keywordLower) || combined.includes(keywordLower.replace(/[.\-/]/g, " ")) || combined.includes(keywordLower.replace(/\s+/g, ""))) {
+        matched.push(keyword);
+      } else {
+        missing.push(keyword);
+      }
+    }
+    return {
+      score: keywords.length > 0 ? Math.round(matched.length / keywords.length * 100) : fallbackScore,
+      matched,
+      missing
+    };
+  }
+
+  // supabase/functions/_shared/tailoring-core/index.ts
+  function clearCaches() {
+    JD_CACHE.clear();
+    KEYWORD_CACHE.clear();
+  }
+
+  // supabase/functions/_shared/tailoring-core/extension.ts
+  var STORAGE_KEY = "ats_tailor_known_keywords_v2";
+  function learningStore() {
+    if (typeof chrome !== "undefined" && chrome?.storage) {
+      const local = chrome.storage.local;
+      return {
+        load: () => new Promise((resolve) => {
+          local.get([STORAGE_KEY], (result) => {
+            resolve(result?.[STORAGE_KEY] || null);
+          });
+        }),
+        save: (entries) => local.set({ [STORAGE_KEY]: entries })
+      };
+    }
+    if (typeof localStorage !== "undefined") {
+      return {
+        load: () => {
+          const stored = localStorage.getItem(STORAGE_KEY);
+          return stored ? JSON.parse(stored) : null;
+        },
+        save: (entries) => localStorage.setItem(STORAGE_KEY, JSON.stringify(entries))
+      };
+    }
+    return null;
+  }
+  function animateScore(currentScore, targetScore, onUpdate, duration = 1e3) {
+    const startTime = Date.now();
+    const diff = targetScore - currentScore;
+    function update() {
+      const elapsed = Date.now() - startTime;
+      const progress = Math.min(elapsed / duration, 1);
+      const easeOutQuart = 1 - Math.pow(1 - progress, 4);
+      const fluctuation = progress < 1 ? Math.sin(progress * Math.PI * 4) * 2 : 0;
+      const currentValue = Math.round(currentScore + diff * easeOutQuart + fluctuation);
+      onUpdate(Math.max(0, Math.min(100, currentValue)));
+      if (progress < 1) {
+        requestAnimationFrame(update);
+      } else {
+        onUpdate(targetScore);
+      }
+    }
+    requestAnimationFrame(update);
+  }
+  function install(global) {
+    const loadLearnedKeywords = () => configureKeywordLearning(learningStore());
+    loadLearnedKeywords();
+    global.TailoringCore = Object.freeze({ ...tailoring_core_exports, version: TAILORING_CORE_VERSION });
+    global.UniversalJDParser = {
+      processAnyJobDescription: parseJobDescription,
+      detectStructure,
+      stripHTML,
+      normalizeWhitespace,
+      removeBoilerplate,
+      truncateToSafeLimit,
+      extractSections,
+      STRUCTURE_TYPES,
+      clearCache: clearCaches,
+      getCacheStats: () => ({ jdCacheSize: JD_CACHE.size, keywordCacheSize: KEYWORD_CACHE.size }),
+      JD_CACHE,
+      KEYWORD_CACHE,
+      getCached,
+      setCache,
+      getCacheKey
+    };
+    global.MandatoryKeywords = {
+      MANDATORY_KEYWORDS,
+      ALL_MANDATORY,
+      extractMandatoryFromJD,
+      getCategoryForKeyword,
+      mergeWithMandatory
+    };
+    global.ReliableExtractor = {
+      extractReliableKeywords,
+      matchKeywords,
+      isReliableKeyword,
+      CATEGORY,
+      detectCategories,
+      getCategoryBoost,
+      categorizeByType,
+      looksClustered,
+      decluster,
+      declusterText,
+      extractKnownPhrases,
+      PHRASE_LIBRARY,
+      SKILL_DICTIONARY,
+      detectSectionWeight,
+      SECTION_WEIGHTS,
+      learnKeyword,
+      loadLearnedKeywords,
+      saveLearnedKeywords,
+      getLearnedKeywords,
+      getLearnedBoost,
+      buildJDTokenSet
+    };
+    const keywordExtractor = global.KeywordExtractor || {};
+    keywordExtractor.extractKeywords = extractReliableKeywords;
+    keywordExtractor.matchKeywords = matchKeywords;
+    global.KeywordExtractor = keywordExtractor;
+    global.DynamicScore = {
+      calculateDynamicMatch,
+      calculateWeightedMatch,
+      animateScore,
+      getScoreStatus,
+      getScoreColor,
+      extractWords
+    };
+    global.ValidationEngine = {
+      validateTailoring,
+      getScoreStatus
+    };
+    global.FactGuard = {
+      buildEvidence,
+      findEvidence,
+      restrictKeywords,
+      audit,
+      containsTerm,
+      STATUS,
+      SKILL_ALIASES
+    };
+    global.CVTailor = {
+      tailorCV,
+      parseCV,
+      enhanceSummary,
+      enhanceExperience,
+      enhanceSkills,
+      quickOptimize,
+      calculatePotentialScore,
+      generateSuggestions,
+      hasKeyword,
+      SECTION_PATTERNS,
+      ACTION_VERBS
+    };
+  }
+  install(globalThis);
+})();
@@ -490,7 +490,11 @@
 
     // USE UNIQUE CV ENGINE if available (preserves companies/roles/dates, modifies bullets only)
     if (global.UniqueCVEngine?.generateUniqueCVForJob) {
-      const uniqueResult = global.UniqueCVEngine.generateUniqueCVForJob(cvText, keywords.highPriority || keywords.all.slice(0, 15));
+      const uniqueResult = global.UniqueCVEngine.generateUniqueCVForJob(
+        cvText,
+        keywords.highPriority || keywords.all.slice(0, 15),
+        options.candidateData || {}
+      );
       const timing = performance.now() - startTime;
       console.log(`[TurboPipeline] Unique CV generated in ${timing.toFixed(0)}ms (target: ${TIMING_TARGETS.TAILOR_CV}ms)`);
       return {
@@ -498,6 +502,7 @@
         originalCV: cvText,
         injectedKeywords: [],
         stats: uniqueResult.stats,
+        provenance: uniqueResult.provenance || null,
         timing,
         uniqueHash: uniqueResult.fileHash
       };
@@ -640,7 +645,8 @@
     // PHASE 2: Tailor CV with keyword distribution (≤30ms) - 50% faster
     const tailorStart = performance.now();
     const tailorResult = await turboTailorCV(baseCV, keywordsResult, { 
-      targetScore: options.targetScore || 95 
+      targetScore: options.targetScore || 95,
+      candidateData
     });
     timings.tailoring = performance.now() - tailorStart;
 
@@ -649,8 +655,14 @@
     let finalCV = tailorResult.tailoredCV;
     let distributionStats = {};
     
-    if (keywordsResult.highPriority?.length > 0) {
-      const distResult = distributeHighPriorityKeywords(finalCV, keywordsResult.highPriority, {
+    // Repeat only keywords the profile backs (FactGuard, tailoring-core.js)
+    const evidence = global.FactGuard && candidateData ? global.FactGuard.buildEvidence(candidateData) : null;
+    const distributable = evidence
+      ? global.FactGuard.restrictKeywords(keywordsResult.highPriority || [], evidence).keywords
+      : keywordsResult.highPriority;
+
+    if (distributable?.length > 0) {
+      const distResult = distributeHighPriorityKeywords(finalCV, distributable, {
         maxBulletsPerRole: 8,
         targetMentions: 4,
         minMentions: 3,
@@ -661,6 +673,13 @@
     }
     timings.distribution = performance.now() - distStart;
 
+    let provenance = tailorResult.provenance || null;
+    if (evidence) {
+      const guard = global.FactGuard.audit({ originalCV: baseCV, tailoredCV: finalCV, keywords: keywordsResult, evidence });
+      finalCV = guard.tailoredCV;
+      provenance = { report: guard.report, summary: guard.summary };
+    }
+
     // PHASE 4: Generate OpenResume-Style CV + Cover Letter PDFs (≤45ms)
     let cvPDF = null;
     let coverPDF = null;
@@ -719,6 +738,7 @@
       workExperienceKeywords: keywordsResult.workExperience,
       tailoredCV: finalCV,
       injectedKeywords: tailorResult.injectedKeywords,
+      provenance,
       distributionStats,
       stats: tailorResult.stats,
       timings,
@@ -210,6 +210,15 @@
       (jobKeywords.lowPriority || []).forEach(kw => priorityMap[kw.toLowerCase()] = 'low');
     }
     
+    // Only weave in keywords the candidate's profile backs (FactGuard, tailoring-core.js)
+    const evidence = global.FactGuard && (candidateData?.skills || candidateData?.workExperience || candidateData?.work_experience)
+      ? global.FactGuard.buildEvidence(candidateData)
+      : null;
+    const jobKeywordList = allKeywords;
+    if (evidence) {
+      allKeywords = global.FactGuard.restrictKeywords(allKeywords, evidence).keywords;
+    }
+
     if (!cvText || allKeywords.length === 0) {
       return { uniqueCV: cvText, stats: {}, timing: 0 };
     }
@@ -270,7 +279,14 @@
     });
 
     // Reconstruct CV with preserved structure + modified bullets
-    const uniqueCV = reconstructCVWithModifiedBullets(parsed, modifiedRoles);
+    let uniqueCV = reconstructCVWithModifiedBullets(parsed, modifiedRoles);
+
+    let provenance = null;
+    if (evidence) {
+      const guard = global.FactGuard.audit({ originalCV: cvText, tailoredCV: uniqueCV, keywords: jobKeywordList, evidence });
+      uniqueCV = guard.tailoredCV;
+      provenance = { report: guard.report, summary: guard.summary };
+    }
 
     const timing = performance.now() - startTime;
     console.log(`[UniqueCVEngine] Generated unique CV in ${timing.toFixed(0)}ms:`, 
@@ -280,6 +296,7 @@
       uniqueCV,
       originalCV: cvText,
       stats,
+      provenance,
       timing,
       fileHash: generateFileHash(uniqueCV)
     };
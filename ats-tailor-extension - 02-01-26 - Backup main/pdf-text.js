@@ -0,0 +1,979 @@
+// pdf-text v1.0.0 - GENERATED, do not edit.
+// Source: supabase/functions/_shared/pdf-text (npm run core:build)
+(() => {
+  var __defProp = Object.defineProperty;
+  var __export = (target, all) => {
+    for (var name in all)
+      __defProp(target, name, { get: all[name], enumerable: true });
+  };
+
+  // supabase/functions/_shared/pdf-text/index.ts
+  var pdf_text_exports = {};
+  __export(pdf_text_exports, {
+    ATS_KEY_FIELDS: () => ATS_KEY_FIELDS,
+    PDF_TEXT_VERSION: () => PDF_TEXT_VERSION,
+    checkResumeText: () => checkResumeText,
+    extractPdfText: () => extractPdfText,
+    verifyResumePdf: () => verifyResumePdf
+  });
+
+  // supabase/functions/_shared/pdf-text/version.ts
+  var PDF_TEXT_VERSION = "1.0.0";
+
+  // supabase/functions/_shared/pdf-text/objects.ts
+  var PdfRef = class {
+    constructor(num, gen) {
+      this.num = num;
+      this.gen = gen;
+    }
+  };
+  var PdfName = class {
+    constructor(name) {
+      this.name = name;
+    }
+  };
+  var PdfString = class {
+    constructor(bytes) {
+      this.bytes = bytes;
+    }
+  };
+  var PdfOperator = class {
+    constructor(op) {
+      this.op = op;
+    }
+  };
+  var PdfDict = class {
+    constructor(entries = /* @__PURE__ */ new Map()) {
+      this.entries = entries;
+    }
+    get(key) {
+      return this.entries.get(key);
+    }
+  };
+  var PdfStream = class {
+    constructor(dict, data) {
+      this.dict = dict;
+      this.data = data;
+    }
+  };
+  var isWhitespace = (char) => char === " " || char === "\n" || char === "\r" || char === "	" || char === "\f" || char === "\0";
+  var isDelimiter = (char) => "()<>[]{}/%".includes(char);
+  var isRegular = (char) => char !== void 0 && !isWhitespace(char) && !isDelimiter(char);
+  var NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)$/;
+  var INTEGER = /^\d+$/;
+  var ESCAPES = { n: "\n", r: "\r", t: "	", b: "\b", f: "\f" };
+  function bytesToBinary(bytes) {
+    let result = "";
+    for (let i = 0; i < bytes.length; i += 8192) {
+      result += String.fromCharCode(...bytes.subarray(i, i + 8192));
+    }
+    return result;
+  }
+  var PdfLexer = class {
+    constructor(src, refs = true) {
+      this.src = src;
+      this.refs = refs;
+    }
+    pos = 0;
+    skipSpace() {
+      while (this.pos < this.src.length) {
+        const char = this.src[this.pos];
+        if (isWhitespace(char)) {
+          this.pos++;
+        } else if (char === "%") {
+          while (this.pos < this.src.length && this.src[this.pos] !== "\n" && this.src[this.pos] !== "\r") this.pos++;
+        } else {
+          break;
+        }
+      }
+    }
+    regularRun() {
+      const start = this.pos;
+      while (isRegular(this.src[this.pos])) this.pos++;
+      return this.src.slice(start, this.pos);
+    }
+    name() {
+      this.pos++;
+      return new PdfName(this.regularRun().replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))));
+    }
+    literalString() {
+      this.pos++;
+      let depth = 1;
+      let out = "";
+      while (this.pos < this.src.length) {
+        const char = this.src[this.pos++];
+        if (char === "\\") {
+          const next = this.src[this.pos++];
+          if (next in ESCAPES) {
+            out += ESCAPES[next];
+          } else if (next >= "0" && next <= "7") {
+            let octal = next;
+            while (octal.length < 3 && this.src[this.pos] >= "0" && this.src[this.pos] <= "7") octal += this.src[this.pos++];
+            out += String.fromCharCode(parseInt(octal, 8) & 255);
+          } else if (next === "\r") {
+            if (this.src[this.pos] === "\n") this.pos++;
+          } else if (next !== "\n") {
+            out += next;
+          }
+        } else if (char === "(") {
+          depth++;
+          out += char;
+        } else if (char === ")") {
+          if (--depth === 0) break;
+          out += char;
+        } else {
+          out += char;
+        }
+      }
+      return new PdfString(out);
+    }
+    hexString() {
+      const end = this.src.indexOf(">", this.pos);
+      const hex = this.src.slice(this.pos + 1, end < 0 ? void 0 : end).replace(/[^0-9a-fA-F]/g, "");
+      this.pos = end < 0 ? this.src.length : end + 1;
+      let out = "";
+      for (let i = 0; i < hex.length; i += 2) out += String.fromCharCode(parseInt(hex.slice(i, i + 2).padEnd(2, "0"), 16));
+      return new PdfString(out);
+    }
+    /** "gen R" after an object number, if that is what follows */
+    refAfter(num) {
+      const start = this.pos;
+      this.skipSpace();
+      const gen = this.regularRun();
+      this.skipSpace();
+      if (INTEGER.test(gen) && this.src[this.pos] === "R" && !isRegular(this.src[this.pos + 1])) {
+        this.pos++;
+        return new PdfRef(num, Number(gen));
+      }
+      this.pos = start;
+      return null;
+    }
+    /** The next object or operator; undefined at the end of the source */
+    next() {
+      this.skipSpace();
+      if (this.pos >= this.src.length) return void 0;
+      const char = this.src[this.pos];
+      if (char === "/") return this.name();
+      if (char === "(") return this.literalString();
+      if (char === "<") {
+        if (this.src[this.pos + 1] !== "<") return this.hexString();
+        this.pos += 2;
+        const dict = new PdfDict();
+        for (; ; ) {
+          this.skipSpace();
+          if (this.pos >= this.src.length) break;
+          if (this.src.startsWith(">>", this.pos)) {
+            this.pos += 2;
+            break;
+          }
+          const key = this.next();
+          const value = this.value();
+          if (key instanceof PdfName) dict.entries.set(key.name, value);
+        }
+        return dict;
+      }
+      if (char === "[") {
+        this.pos++;
+        const items = [];
+        for (; ; ) {
+          this.skipSpace();
+          if (this.pos >= this.src.length) break;
+          if (this.src[this.pos] === "]") {
+            this.pos++;
+            break;
+          }
+          items.push(this.value());
+        }
+        return items;
+      }
+      if (!isRegular(char)) {
+        this.pos++;
+        return new PdfOperator(char);
+      }
+      const word = this.regularRun();
+      if (NUMBER.test(word)) {
+        const num = Number(word);
+        return this.refs && INTEGER.test(word) ? this.refAfter(num) ?? num : num;
+      }
+      if (word === "true") return true;
+      if (word === "false") return false;
+      if (word === "null") return null;
+      return new PdfOperator(word);
+    }
+    /** The next object; operators where an object belongs read as null */
+    value() {
+      const token = this.next();
+      return token === void 0 || token instanceof PdfOperator ? null : token;
+    }
+  };
+  var inflate = async (data) => {
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate"));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  };
+  var PdfFile = class {
+    constructor(objects) {
+      this.objects = objects;
+    }
+    decoded = /* @__PURE__ */ new Map();
+    /** `obj`, or the object it refers to */
+    resolve(obj) {
+      let current = obj;
+      for (let hops = 0; current instanceof PdfRef && hops < 32; hops++) current = this.objects.get(current.num);
+      return current instanceof PdfRef ? void 0 : current;
+    }
+    dict(obj) {
+      const resolved = this.resolve(obj);
+      if (resolved instanceof PdfStream) return resolved.dict;
+      return resolved instanceof PdfDict ? resolved : void 0;
+    }
+    number(obj) {
+      const resolved = this.resolve(obj);
+      return typeof resolved === "number" ? resolved : void 0;
+    }
+    array(obj) {
+      const resolved = this.resolve(obj);
+      return Array.isArray(resolved) ? resolved : [];
+    }
+    name(obj) {
+      const resolved = this.resolve(obj);
+      return resolved instanceof PdfName ? resolved.name : void 0;
+    }
+    /** A stream's data with its filters undone; null for filters other than Flate */
+    streamData(stream) {
+      let data = this.decoded.get(stream);
+      if (!data) {
+        data = this.decode(stream);
+        this.decoded.set(stream, data);
+      }
+      return data;
+    }
+    async decode(stream) {
+      const filter = this.resolve(stream.dict.get("Filter"));
+      const filters = (Array.isArray(filter) ? filter : [filter]).map((f) => this.name(f)).filter((f) => !!f);
+      let data = stream.data;
+      for (const name of filters) {
+        if (name !== "FlateDecode" && name !== "Fl") return null;
+        try {
+          data = await inflate(data);
+        } catch {
+          return null;
+        }
+      }
+      return data;
+    }
+  };
+  var OBJECT_HEADER = /(\d+)\s+(\d+)\s+obj\b/g;
+  function readStream(src, bytes, lexer, dict) {
+    lexer.skipSpace();
+    if (!src.startsWith("stream", lexer.pos)) return null;
+    let start = lexer.pos + "stream".length;
+    if (src[start] === "\r") start++;
+    if (src[start] === "\n") start++;
+    const length = dict.get("Length");
+    let end = typeof length === "number" ? start + length : -1;
+    if (end < 0 || !/^\s*endstream/.test(src.slice(end, end + 32))) {
+      end = src.indexOf("endstream", start);
+      if (end < 0) end = src.length;
+      if (src[end - 1] === "\n") end--;
+      if (src[end - 1] === "\r") end--;
+    }
+    const close = src.indexOf("endstream", end);
+    lexer.pos = close < 0 ? src.length : close + "endstream".length;
+    return new PdfStream(dict, bytes.subarray(start, Math.max(start, end)));
+  }
+  async function parsePdf(input) {
+    const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+    const src = bytesToBinary(bytes);
+    const objects = /* @__PURE__ */ new Map();
+    const file = new PdfFile(objects);
+    const lexer = new PdfLexer(src);
+    OBJECT_HEADER.lastIndex = 0;
+    for (let match = OBJECT_HEADER.exec(src); match; match = OBJECT_HEADER.exec(src)) {
+      lexer.pos = match.index + match[0].length;
+      let value = lexer.value();
+      if (value instanceof PdfDict) value = readStream(src, bytes, lexer, value) ?? value;
+      objects.set(Number(match[1]), value);
+      OBJECT_HEADER.lastIndex = lexer.pos;
+    }
+    const objectStreams = [...objects.values()].filter(
+      (obj) => obj instanceof PdfStream && file.name(obj.dict.get("Type")) === "ObjStm"
+    );
+    for (const stream of objectStreams) {
+      const data = await file.streamData(stream);
+      if (!data) continue;
+      const content = bytesToBinary(data);
+      const count = file.number(stream.dict.get("N")) ?? 0;
+      const first = file.number(stream.dict.get("First")) ?? 0;
+      const header = new PdfLexer(content.slice(0, first), false);
+      for (let i = 0; i < count; i++) {
+        const num = header.value();
+        const offset = header.value();
+        if (typeof num !== "number" || typeof offset !== "number") break;
+        if (objects.has(num)) continue;
+        const body = new PdfLexer(content);
+        body.pos = first + offset;
+        objects.set(num, body.value());
+      }
+    }
+    return file;
+  }
+
+  // supabase/functions/_shared/pdf-text/fonts.ts
+  var WIN_ANSI_HIGH = {
+    128: 8364,
+    130: 8218,
+    131: 402,
+    132: 8222,
+    133: 8230,
+    134: 8224,
+    135: 8225,
+    136: 710,
+    137: 8240,
+    138: 352,
+    139: 8249,
+    140: 338,
+    142: 381,
+    145: 8216,
+    146: 8217,
+    147: 8220,
+    148: 8221,
+    149: 8226,
+    150: 8211,
+    151: 8212,
+    152: 732,
+    153: 8482,
+    154: 353,
+    155: 8250,
+    156: 339,
+    158: 382,
+    159: 376
+  };
+  var winAnsi = (code) => String.fromCharCode(WIN_ANSI_HIGH[code] ?? code);
+  var GLYPH_NAMES = {
+    space: " ",
+    exclam: "!",
+    quotedbl: '"',
+    numbersign: "#",
+    dollar: "$",
+    percent: "%",
+    ampersand: "&",
+    quotesingle: "'",
+    parenleft: "(",
+    parenright: ")",
+    asterisk: "*",
+    plus: "+",
+    comma: ",",
+    hyphen: "-",
+    period: ".",
+    slash: "/",
+    zero: "0",
+    one: "1",
+    two: "2",
+    three: "3",
+    four: "4",
+    five: "5",
+    six: "6",
+    seven: "7",
+    eight: "8",
+    nine: "9",
+    colon: ":",
+    semicolon: ";",
+    less: "<",
+    equal: "=",
+    greater: ">",
+    question: "?",
+    at: "@",
+    bracketleft: "[",
+    backslash: "\\",
+    bracketright: "]",
+    underscore: "_",
+    bar: "|",
+    braceleft: "{",
+    braceright: "}",
+    bullet: "•",
+    endash: "–",
+    emdash: "—",
+    quoteleft: "‘",
+    quoteright: "’",
+    quotedblleft: "“",
+    quotedblright: "”",
+    ellipsis: "…",
+    fi: "fi",
+    fl: "fl"
+  };
+  function glyphNameToText(name) {
+    if (name in GLYPH_NAMES) return GLYPH_NAMES[name];
+    const uni = /^uni([0-9A-Fa-f]{4})$/.exec(name) || /^u([0-9A-Fa-f]{4,6})$/.exec(name);
+    if (uni) return String.fromCodePoint(parseInt(uni[1], 16));
+    return name.length === 1 ? name : "";
+  }
+  var utf16be = (bytes) => {
+    let text = "";
+    for (let i = 0; i + 1 < bytes.length; i += 2) text += String.fromCharCode(bytes.charCodeAt(i) << 8 | bytes.charCodeAt(i + 1));
+    return text;
+  };
+  var codeOf = (bytes) => {
+    let code = 0;
+    for (let i = 0; i < bytes.length; i++) code = code * 256 + bytes.charCodeAt(i);
+    return code;
+  };
+  function parseToUnicode(source) {
+    const lexer = new PdfLexer(source, false);
+    const codeLengths = /* @__PURE__ */ new Set();
+    const map = /* @__PURE__ */ new Map();
+    const operands = [];
+    for (let token = lexer.next(); token !== void 0; token = lexer.next()) {
+      if (!(token instanceof PdfOperator)) {
+        operands.push(token);
+        continue;
+      }
+      const strings = operands.filter((o) => o instanceof PdfString);
+      if (token.op === "endcodespacerange") {
+        for (let i = 0; i < strings.length; i += 2) codeLengths.add(strings[i].bytes.length);
+      } else if (token.op === "endbfchar") {
+        for (let i = 0; i + 1 < operands.length; i += 2) {
+          const [src, dst] = [operands[i], operands[i + 1]];
+          if (!(src instanceof PdfString)) continue;
+          const text = dst instanceof PdfString ? utf16be(dst.bytes) : dst instanceof PdfName ? glyphNameToText(dst.name) : "";
+          map.set(codeOf(src.bytes), text);
+        }
+      } else if (token.op === "endbfrange") {
+        for (let i = 0; i + 2 < operands.length; i += 3) {
+          const [lo, hi, dst] = [operands[i], operands[i + 1], operands[i + 2]];
+          if (!(lo instanceof PdfString) || !(hi instanceof PdfString)) continue;
+          const first = codeOf(lo.bytes);
+          const last = codeOf(hi.bytes);
+          for (let code = first; code <= last && code - first < 65536; code++) {
+            if (Array.isArray(dst)) {
+              const item = dst[code - first];
+              if (item instanceof PdfString) map.set(code, utf16be(item.bytes));
+            } else if (dst instanceof PdfString) {
+              const base = utf16be(dst.bytes);
+              map.set(code, base.slice(0, -1) + String.fromCharCode(base.charCodeAt(base.length - 1) + code - first));
+            }
+          }
+        }
+      }
+      operands.length = 0;
+    }
+    return { codeLengths: [...codeLengths].sort((a, b) => a - b), map };
+  }
+  function cidWidths(file, w) {
+    const widths = /* @__PURE__ */ new Map();
+    for (let i = 0; i < w.length; ) {
+      const first = file.number(w[i]);
+      const next = file.resolve(w[i + 1]);
+      if (first === void 0) break;
+      if (Array.isArray(next)) {
+        next.forEach((width, offset) => {
+          const value = file.number(width);
+          if (value !== void 0) widths.set(first + offset, value);
+        });
+        i += 2;
+      } else {
+        const last = file.number(next);
+        const width = file.number(w[i + 2]);
+        if (last === void 0 || width === void 0) break;
+        for (let cid = first; cid <= last && cid - first < 65536; cid++) widths.set(cid, width);
+        i += 3;
+      }
+    }
+    return widths;
+  }
+  async function loadToUnicode(file, font) {
+    const stream = file.resolve(font.get("ToUnicode"));
+    if (!(stream instanceof PdfStream)) return null;
+    const data = await file.streamData(stream);
+    return data ? parseToUnicode(bytesToBinary(data)) : null;
+  }
+  function splitCodes(bytes, lengths, known) {
+    const codes = [];
+    for (let i = 0; i < bytes.length; ) {
+      const length = lengths.find((len) => known(codeOf(bytes.slice(i, i + len)), len)) ?? lengths[0] ?? 1;
+      codes.push(bytes.slice(i, i + length));
+      i += length;
+    }
+    return codes;
+  }
+  async function loadFont(file, font) {
+    const name = (file.name(font.get("BaseFont")) || "").replace(/^[A-Z]{6}\+/, "");
+    const toUnicode = await loadToUnicode(file, font);
+    if (file.name(font.get("Subtype")) === "Type0") {
+      const descendant = file.dict(file.array(font.get("DescendantFonts"))[0]);
+      const widths2 = descendant ? cidWidths(file, file.array(descendant.get("W"))) : /* @__PURE__ */ new Map();
+      const defaultWidth = (descendant && file.number(descendant.get("DW"))) ?? 1e3;
+      const lengths = toUnicode?.codeLengths.length ? toUnicode.codeLengths : [2];
+      return {
+        name,
+        decode: (bytes) => splitCodes(bytes, lengths, (code) => !!toUnicode?.map.has(code)).map((code) => {
+          const cid = codeOf(code);
+          return { text: toUnicode?.map.get(cid) ?? "", width: widths2.get(cid) ?? defaultWidth, isSpace: false };
+        })
+      };
+    }
+    const differences = /* @__PURE__ */ new Map();
+    const encoding = file.resolve(font.get("Encoding"));
+    if (encoding instanceof PdfDict) {
+      let code = 0;
+      for (const item of file.array(encoding.get("Differences"))) {
+        if (typeof item === "number") code = item;
+        else if (item instanceof PdfName) differences.set(code++, glyphNameToText(item.name));
+      }
+    }
+    const firstChar = file.number(font.get("FirstChar")) ?? 0;
+    const widths = file.array(font.get("Widths")).map((width) => file.number(width));
+    return {
+      name,
+      decode: (bytes) => Array.from(bytes, (char) => {
+        const code = char.charCodeAt(0);
+        const text = toUnicode?.map.get(code) ?? differences.get(code) ?? winAnsi(code);
+        return { text, width: widths[code - firstChar], isSpace: code === 32 };
+      })
+    };
+  }
+
+  // supabase/functions/_shared/pdf-text/extract.ts
+  var IDENTITY = [1, 0, 0, 1, 0, 0];
+  var multiply = (m, n) => [
+    m[0] * n[0] + m[1] * n[2],
+    m[0] * n[1] + m[1] * n[3],
+    m[2] * n[0] + m[3] * n[2],
+    m[2] * n[1] + m[3] * n[3],
+    m[4] * n[0] + m[5] * n[2] + n[4],
+    m[4] * n[1] + m[5] * n[3] + n[5]
+  ];
+  var translate = (tx, ty, m) => multiply([1, 0, 0, 1, tx, ty], m);
+  var TJ_SPACE = 250;
+  function collectPages(file) {
+    const catalog = [...file.objects.values()].map((obj) => file.dict(obj)).find((dict) => dict && file.name(dict.get("Type")) === "Catalog");
+    const pages = [];
+    const seen = /* @__PURE__ */ new Set();
+    const walk = (node, resources, mediaBox) => {
+      if (!node || seen.has(node)) return;
+      seen.add(node);
+      const ownResources = file.dict(node.get("Resources")) ?? resources;
+      const box = file.array(node.get("MediaBox")).map((n) => file.number(n) ?? 0);
+      const ownBox = box.length === 4 ? box : mediaBox;
+      if (file.name(node.get("Type")) === "Page" || !node.get("Kids")) {
+        pages.push({ dict: node, resources: ownResources, mediaBox: ownBox });
+        return;
+      }
+      for (const kid of file.array(node.get("Kids"))) walk(file.dict(kid), ownResources, ownBox);
+    };
+    walk(catalog && file.dict(catalog.get("Pages")), void 0, [0, 0, 612, 792]);
+    return pages;
+  }
+  async function contentSource(file, contents) {
+    const resolved = file.resolve(contents);
+    const streams = (Array.isArray(resolved) ? resolved.map((item) => file.resolve(item)) : [resolved]).filter((item) => item instanceof PdfStream);
+    const parts = await Promise.all(streams.map((stream) => file.streamData(stream)));
+    return parts.map((data) => data ? bytesToBinary(data) : "").join("\n");
+  }
+  async function pageRuns(file, page, fontCache) {
+    const fontDicts = file.dict(page.resources?.get("Font"));
+    const fonts = /* @__PURE__ */ new Map();
+    for (const [name, ref] of fontDicts?.entries ?? []) {
+      const dict = file.dict(ref);
+      if (!dict) continue;
+      let decoder = fontCache.get(dict);
+      if (!decoder) {
+        decoder = loadFont(file, dict);
+        fontCache.set(dict, decoder);
+      }
+      fonts.set(name, await decoder);
+    }
+    const runs = [];
+    const lexer = new PdfLexer(await contentSource(file, page.dict.get("Contents")), false);
+    let ctm = [...IDENTITY];
+    let tm = [...IDENTITY];
+    let tlm = [...IDENTITY];
+    let text = { font: void 0, size: 0, charSpacing: 0, wordSpacing: 0, scale: 1, leading: 0 };
+    const stack = [];
+    const show = (items) => {
+      const font = text.font;
+      if (!font) return;
+      const trm = multiply(tm, ctm);
+      let shown = "";
+      let widthsKnown = true;
+      for (const item of items) {
+        if (typeof item === "number") {
+          tm = translate(-item / 1e3 * text.size * text.scale, 0, tm);
+          if (-item >= TJ_SPACE) shown += " ";
+          continue;
+        }
+        if (!(item instanceof PdfString)) continue;
+        let advance = 0;
+        for (const glyph of font.decode(item.bytes)) {
+          if (glyph.width === void 0) widthsKnown = false;
+          const width = (glyph.width ?? 500) / 1e3 * text.size;
+          advance += (width + text.charSpacing + (glyph.isSpace ? text.wordSpacing : 0)) * text.scale;
+          shown += glyph.text;
+        }
+        tm = translate(advance, 0, tm);
+      }
+      runs.push({
+        text: shown,
+        x: trm[4],
+        y: trm[5],
+        size: text.size * Math.hypot(trm[2], trm[3]),
+        font: font.name,
+        endX: widthsKnown ? multiply(tm, ctm)[4] : void 0
+      });
+    };
+    const nextLine = () => {
+      tlm = translate(0, -text.leading, tlm);
+      tm = tlm;
+    };
+    const operands = [];
+    const num = (index) => {
+      const value = operands[index];
+      return typeof value === "number" ? value : 0;
+    };
+    for (let token = lexer.next(); token !== void 0; token = lexer.next()) {
+      if (!(token instanceof PdfOperator)) {
+        operands.push(token);
+        continue;
+      }
+      switch (token.op) {
+        case "q":
+          stack.push({ ctm, text: { ...text } });
+          break;
+        case "Q": {
+          const saved = stack.pop();
+          if (saved) ({ ctm, text } = saved);
+          break;
+        }
+        case "cm":
+          ctm = multiply([num(0), num(1), num(2), num(3), num(4), num(5)], ctm);
+          break;
+        case "BT":
+          tm = [...IDENTITY];
+          tlm = [...IDENTITY];
+          break;
+        case "Tf": {
+          const name = operands[0];
+          text.font = name instanceof PdfName ? fonts.get(name.name) : void 0;
+          text.size = num(1);
+          break;
+        }
+        case "Tc":
+          text.charSpacing = num(0);
+          break;
+        case "Tw":
+          text.wordSpacing = num(0);
+          break;
+        case "Tz":
+          text.scale = num(0) / 100;
+          break;
+        case "TL":
+          text.leading = num(0);
+          break;
+        case "Td":
+          tlm = translate(num(0), num(1), tlm);
+          tm = tlm;
+          break;
+        case "TD":
+          text.leading = -num(1);
+          tlm = translate(num(0), num(1), tlm);
+          tm = tlm;
+          break;
+        case "Tm":
+          tlm = [num(0), num(1), num(2), num(3), num(4), num(5)];
+          tm = tlm;
+          break;
+        case "T*":
+          nextLine();
+          break;
+        case "Tj":
+          show([operands[0]]);
+          break;
+        case "'":
+          nextLine();
+          show([operands[0]]);
+          break;
+        case '"':
+          text.wordSpacing = num(0);
+          text.charSpacing = num(1);
+          nextLine();
+          show([operands[2]]);
+          break;
+        case "TJ":
+          show(Array.isArray(operands[0]) ? operands[0] : []);
+          break;
+        case "ID": {
+          const end = lexer.src.indexOf("EI", lexer.pos);
+          lexer.pos = end < 0 ? lexer.src.length : end + 2;
+          break;
+        }
+      }
+      operands.length = 0;
+    }
+    return runs.filter((run) => run.text);
+  }
+  function toLines(runs, height) {
+    const sorted = [...runs].sort((a, b) => b.y - a.y || a.x - b.x);
+    const groups = [];
+    for (const run of sorted) {
+      const group = groups[groups.length - 1];
+      const tolerance = Math.min(run.size, group?.[0].size ?? run.size) * 0.35;
+      if (group && Math.abs(group[0].y - run.y) <= tolerance) group.push(run);
+      else groups.push([run]);
+    }
+    return groups.map((group) => {
+      const ordered = group.sort((a, b) => a.x - b.x);
+      let text = "";
+      ordered.forEach((run, index) => {
+        const previous = ordered[index - 1];
+        const touching = previous?.endX !== void 0 && run.x - previous.endX < run.size * 0.15;
+        text += index === 0 || touching ? run.text : ` ${run.text}`;
+      });
+      return {
+        text: text.replace(/\s+/g, " ").trim(),
+        x: ordered[0].x,
+        y: height - ordered[0].y,
+        size: Math.max(...ordered.map((run) => run.size)),
+        fonts: [...new Set(ordered.filter((run) => run.text.trim()).map((run) => run.font))]
+      };
+    }).filter((line) => line.text);
+  }
+  async function extractPdfText(input) {
+    const file = await parsePdf(input);
+    const fontCache = /* @__PURE__ */ new Map();
+    const pages = [];
+    for (const page of collectPages(file)) {
+      const [x1, y1, x2, y2] = page.mediaBox;
+      const runs = (await pageRuns(file, page, fontCache)).map((run) => ({ ...run, x: run.x - x1 }));
+      pages.push({ width: x2 - x1, height: y2 - y1, lines: toLines(runs, y2) });
+    }
+    return {
+      pages,
+      text: pages.map((page) => page.lines.map((line) => line.text).join("\n")).join("\n\n")
+    };
+  }
+
+  // supabase/functions/_shared/pdf-text/ats-check.ts
+  var ATS_KEY_FIELDS = ["email", "phone", "title"];
+  var SECTION_HEADINGS = [
+    [/^(professional summary|summary|profile|professional profile|objective|about me)$/, "summary"],
+    [/^(work experience|professional experience|experience|employment|employment history|work history|career history|relevant experience)$/, "experience"],
+    [/^(education|academic background|education and training)$/, "education"],
+    [/^(technical skills|skills|key skills|core competencies|competencies|skills and tools)$/, "skills"],
+    [/^(certifications|certificates|licenses|licenses and certifications)$/, "certifications"],
+    [/^(achievements|awards|honors|awards and honors|key achievements)$/, "achievements"],
+    [/^(projects|key projects|personal projects)$/, "projects"],
+    [/^(publications|languages|volunteer|volunteering|interests|references)$/, "other"]
+  ];
+  var MONTH = "(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?";
+  var DATE = `(?:${MONTH}\\s+\\d{4}|\\d{1,2}/\\d{4}|\\d{4})`;
+  var DATE_RANGE = new RegExp(
+    `${DATE}\\s*(?:-|\\u2013|\\u2014|to)\\s*(?:${DATE}|present|current|now|today)`,
+    "i"
+  );
+  var DATE_RANGES = new RegExp(DATE_RANGE.source, "gi");
+  var BULLET = /^[-*\u2022\u25AA\u25E6\u25CF\u2023\u2043]\s*/;
+  var EMAIL = /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/;
+  var PHONE = /\+?\(?\d[\d\s().-]{5,}\d/g;
+  var YEAR_RANGE = /^(19|20)\d{2}\s*[-\u2013\u2014]\s*(19|20)\d{2}$/;
+  var WEIGHTS = {
+    name: 10,
+    email: 15,
+    phone: 15,
+    title: 15,
+    experience: 10,
+    education: 10,
+    skills: 10,
+    dates: 10,
+    bullets: 5
+  };
+  var normalize = (text) => text.normalize("NFC").toLowerCase().replace(/[^\p{L}\p{N}@.+]+/gu, " ").trim();
+  var digits = (text) => text.replace(/\D/g, "");
+  function isReadable(text) {
+    if (!text.trim() || /[\uFFFD\uE000-\uF8FF]/.test(text)) return false;
+    const visible = text.replace(/\s/g, "");
+    const letters = (text.match(new RegExp("\\p{L}", "gu")) || []).length;
+    if (letters / visible.length < 0.5) return false;
+    const words = text.split(/\s+/).filter(Boolean);
+    return words.length < 4 || words.filter((word) => word.length === 1).length / words.length < 0.6;
+  }
+  function sectionHeading(line, bodySize2) {
+    const text = line.text.replace(/[:\s]+$/, "");
+    if (text.length > 40) return void 0;
+    const match = SECTION_HEADINGS.find(([pattern]) => pattern.test(normalize(text)));
+    if (!match) return void 0;
+    const emphasised = text === text.toUpperCase() || line.fonts.some((font) => /bold/i.test(font)) || line.size > bodySize2 + 0.5;
+    return emphasised ? match[1] : void 0;
+  }
+  function bodySize(lines) {
+    const counts = /* @__PURE__ */ new Map();
+    for (const line of lines) {
+      const size = Math.round(line.size * 2) / 2;
+      counts.set(size, (counts.get(size) || 0) + 1);
+    }
+    return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] ?? 10;
+  }
+  function findPhone(text) {
+    for (const match of text.split("\n").flatMap((line) => line.match(PHONE) || [])) {
+      const candidate = match.trim();
+      const count = digits(candidate).length;
+      if (count >= 7 && count <= 15 && !YEAR_RANGE.test(candidate)) return candidate;
+    }
+    return null;
+  }
+  var stripDates = (line) => line.replace(DATE_RANGES, " ").replace(/\s*[|,\u2013\u2014-]\s*$/, "").replace(/^\s*[|,]\s*/, "").replace(/\s+/g, " ").trim();
+  function experienceEntries(lines) {
+    const entries = [];
+    let previous = null;
+    for (const line of lines) {
+      const current = entries[entries.length - 1];
+      if (BULLET.test(line)) {
+        if (current) {
+          current.bullets++;
+          current.open = false;
+        }
+        previous = null;
+        continue;
+      }
+      const dates = DATE_RANGE.exec(line);
+      if (dates) {
+        const before = previous && previous.length <= 60 && !/[.;]$/.test(previous) ? [previous] : [];
+        entries.push({ header: "", dates: dates[0], bullets: 0, parts: [...before, stripDates(line)], open: true });
+        previous = null;
+        continue;
+      }
+      if (current?.open && current.parts.length < 3) {
+        current.parts.push(line);
+        previous = null;
+      } else {
+        previous = line;
+      }
+    }
+    return entries.map(({ parts, dates, bullets }) => ({
+      header: parts.filter(Boolean).join(" | "),
+      dates,
+      bullets
+    }));
+  }
+  function checkField(found, expected, matches, readable) {
+    if (expected === null || expected === "") return { value: found, status: "skipped" };
+    if (!found) return { value: null, expected, status: "missing" };
+    if (!readable(found)) return { value: found, expected, status: "unreadable" };
+    if (expected !== void 0 && !matches(found, expected)) return { value: found, expected, status: "mismatch" };
+    return { value: found, expected, status: "ok" };
+  }
+  var FIELD_LABELS = {
+    name: "Name",
+    email: "Email",
+    phone: "Phone",
+    title: "Most recent job title"
+  };
+  function fieldIssue(field, result) {
+    const label = FIELD_LABELS[field];
+    switch (result.status) {
+      case "missing":
+        return `${label} not found in the parsed text`;
+      case "unreadable":
+        return `${label} reads back garbled: "${result.value}"`;
+      case "mismatch":
+        return `${label} reads back as "${result.value}", expected "${result.expected}"`;
+      default:
+        return null;
+    }
+  }
+  function checkResumeText(pdf, expected = {}) {
+    const all = pdf.pages.flatMap((page) => page.lines);
+    const size = bodySize(all);
+    const header = [];
+    const sections = [];
+    for (const line of all) {
+      const id = sectionHeading(line, size);
+      if (id) {
+        sections.push({ id, title: line.text.replace(/:$/, ""), lines: 0, body: [] });
+      } else if (sections.length) {
+        const section = sections[sections.length - 1];
+        section.body.push(line.text);
+        section.lines++;
+      } else {
+        header.push(line);
+      }
+    }
+    const headerText = header.map((line) => line.text).join("\n");
+    const email = EMAIL.exec(headerText)?.[0] ?? EMAIL.exec(pdf.text)?.[0] ?? null;
+    const phone = findPhone(headerText) ?? findPhone(pdf.text);
+    const nameLine = [...header].filter((line) => !EMAIL.test(line.text) && !findPhone(line.text)).sort((a, b) => b.size - a.size)[0];
+    const experienceSection = sections.find((section) => section.id === "experience");
+    const experience = experienceSection ? experienceEntries(experienceSection.body) : [];
+    const fields = {
+      name: checkField(
+        nameLine?.text ?? null,
+        expected.name,
+        (found, want) => normalize(found) === normalize(want),
+        isReadable
+      ),
+      email: checkField(
+        email,
+        expected.email,
+        (found, want) => found.toLowerCase() === want.trim().toLowerCase(),
+        (found) => EMAIL.test(found)
+      ),
+      phone: checkField(
+        phone,
+        expected.phone,
+        // Tolerates a country code on one side only
+        (found, want) => digits(found).endsWith(digits(want).slice(-7)) && digits(want).endsWith(digits(found).slice(-7)),
+        (found) => digits(found).length >= 7
+      ),
+      title: checkField(
+        experience[0]?.header || null,
+        expected.title,
+        (found, want) => normalize(found).includes(normalize(want)),
+        isReadable
+      )
+    };
+    const issues = [];
+    let score = 0;
+    for (const field of Object.keys(fields)) {
+      const result = fields[field];
+      if (result.status === "ok" || result.status === "skipped") score += WEIGHTS[field];
+      const issue = fieldIssue(field, result);
+      if (issue) issues.push(issue);
+    }
+    for (const id of ["experience", "education", "skills"]) {
+      if (sections.some((section) => section.id === id)) score += WEIGHTS[id];
+      else issues.push(`No ${id[0].toUpperCase()}${id.slice(1)} heading found`);
+    }
+    if (experience.length) {
+      score += WEIGHTS.dates;
+    } else if (experienceSection) {
+      issues.push("No date ranges found under Experience");
+    }
+    const bodyLines = sections.flatMap((section) => section.body);
+    const bullets = bodyLines.filter((line) => BULLET.test(line)).length;
+    if (experience.some((entry) => entry.bullets > 0)) score += WEIGHTS.bullets;
+    else if (experience.length) issues.push("No bullet points found under Experience");
+    const blocking = ATS_KEY_FIELDS.filter((field) => ["missing", "mismatch", "unreadable"].includes(fields[field].status));
+    return {
+      score,
+      fields,
+      sections: sections.map(({ id, title, lines }) => ({ id, title, lines })),
+      experience,
+      dateRanges: (pdf.text.match(DATE_RANGES) || []).length,
+      bullets,
+      issues,
+      blocking,
+      pages: pdf.pages.length,
+      text: pdf.text
+    };
+  }
+  async function verifyResumePdf(input, expected = {}) {
+    try {
+      return checkResumeText(await extractPdfText(input), expected);
+    } catch (error) {
+      const report = checkResumeText({ pages: [], text: "" }, expected);
+      report.issues.unshift(`PDF could not be parsed: ${error instanceof Error ? error.message : String(error)}`);
+      return report;
+    }
+  }
+
+  // supabase/functions/_shared/pdf-text/extension.ts
+  globalThis.PdfText = { ...pdf_text_exports };
+})();
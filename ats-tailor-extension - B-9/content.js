@@ -67,11 +67,13 @@
       createStatusBanner();
       updateBanner('🚀 Extracting JD keywords...', 'working');
       
-      chrome.storage.local.get(['ats_session', 'ats_profile', 'ats_baseCV'], async (data) => {
+      chrome.storage.local.get(['ats_session', 'ats_profile', 'ats_baseCV', 'ats_lastGeneratedDocuments'], async (data) => {
         try {
           const session = data.ats_session;
           const baseCV = data.ats_baseCV || '';
           const profile = data.ats_profile || {};
+          // Render with the template of the variant the last tailor-application run used
+          const candidateData = { ...profile, resumeTemplate: data.ats_lastGeneratedDocuments?.resumeTemplate || null };
           
           if (!session?.access_token) {
             updateBanner('Please login first', 'error');
@@ -121,9 +123,9 @@
           // Generate PDF (~15ms)
           let pdfResult = null;
           if (typeof OpenResumeGenerator !== 'undefined' && OpenResumeGenerator.generateATSPackage) {
-            pdfResult = await OpenResumeGenerator.generateATSPackage(tailoredCV, keywords, jobInfo);
+            pdfResult = await OpenResumeGenerator.generateATSPackage(tailoredCV, keywords, jobInfo, candidateData);
           } else if (typeof TurboPipeline !== 'undefined' && TurboPipeline.executeTurboPipeline) {
-            const pipelineResult = await TurboPipeline.executeTurboPipeline(jobInfo, profile, baseCV, { maxKeywords: 15 });
+            const pipelineResult = await TurboPipeline.executeTurboPipeline(jobInfo, candidateData, baseCV, { maxKeywords: 15 });
             if (pipelineResult.success) {
               pdfResult = { cv: pipelineResult.cvPDF, cover: pipelineResult.coverPDF };
             }
@@ -853,6 +855,7 @@
             cvFileName: result.cvFileName || `${fallbackName}_CV.pdf`,
             coverFileName: result.coverLetterFileName || `${fallbackName}_Cover_Letter.pdf`,
             matchScore: result.matchScore || 0,
+            resumeTemplate: result.resumeTemplate || null,
           }
         }, resolve);
       });
@@ -1561,7 +1561,7 @@ class ATSTailor {
       });
       tailorResult = await tailor.autoTailorTo95Plus(this.currentJob?.description || '', cvText);
     } else if (window.CVTailor) {
-      tailorResult = window.CVTailor.tailorCV(cvText, keywords, { targetScore: 95 });
+      tailorResult = window.CVTailor.tailorCV(cvText, keywords, { targetScore: 95, profile: this.factProfile });
     } else {
       // FAST fallback: Simple keyword injection
       tailorResult = this.fastKeywordInjection(cvText, keywords, initial.missingKeywords);
@@ -1841,6 +1841,9 @@ class ATSTailor {
       const profileRows = await profileRes.json();
       const p = profileRows?.[0] || {};
 
+      // CVTailor only injects keywords this profile backs
+      this.factProfile = p;
+
       // Apply user location rules for tailoring/output
       // IMPORTANT: never include "Remote" in the candidate location line.
       const rawCity = String(p.city || '').split('|')[0].trim();
@@ -1930,7 +1933,8 @@ class ATSTailor {
         matchScore: result.matchScore || 0,
         matchedKeywords: result.keywordsMatched || result.matchedKeywords || [],
         missingKeywords: result.keywordsMissing || result.missingKeywords || [],
-        keywords: keywords
+        keywords: keywords,
+        resumeTemplate: result.resumeTemplate || null
       };
 
       // Calculate initial match score against extracted keywords
@@ -2150,7 +2154,8 @@ class ATSTailor {
             skills: candidateData.skills,
             certifications: candidateData.certifications,
             summary: candidateData.ats_strategy,
-            city: tailoredLocation
+            city: tailoredLocation,
+            resumeTemplate: this.generatedDocuments.resumeTemplate
           }
         );
 
@@ -2185,7 +2190,8 @@ class ATSTailor {
             phone: candidateData.phone,
             linkedin: candidateData.linkedin,
             github: candidateData.github,
-            portfolio: candidateData.portfolio
+            portfolio: candidateData.portfolio,
+            resumeTemplate: this.generatedDocuments.resumeTemplate
           },
           boostedCVText: this.generatedDocuments.cv,
           currentLocation: tailoredLocation
@@ -2237,7 +2243,8 @@ class ATSTailor {
           company: this.currentJob?.company,
           firstName: this.profileInfo?.firstName,
           lastName: this.profileInfo?.lastName,
-          fileName: this.generatedDocuments.cvFileName
+          fileName: this.generatedDocuments.cvFileName,
+          template: this.generatedDocuments.resumeTemplate || undefined
         }),
       });
 
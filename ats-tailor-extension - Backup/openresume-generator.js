@@ -537,7 +537,13 @@
       let pdfBase64 = null;
 
       if (typeof jspdf !== 'undefined' && jspdf.jsPDF) {
-        const result = await this.renderCVWithJsPDF(tailoredData);
+        // The shared template engine (resume-templates.js) when it is loaded, so
+        // this PDF matches generate-pdf's; the OpenResume layout otherwise
+        const result = window.ResumeTemplates
+          ? ResumeTemplates.renderResume(jspdf.jsPDF, this.generateCVText(tailoredData), {
+            template: candidateData?.resumeTemplate,
+          })
+          : await this.renderCVWithJsPDF(tailoredData);
         pdfBlob = result.blob;
         pdfBase64 = result.base64;
       } else {
@@ -2259,7 +2259,7 @@ class ATSTailor {
       });
       tailorResult = await tailor.autoTailorTo95Plus(this.currentJob?.description || '', cvText);
     } else if (window.CVTailor) {
-      tailorResult = window.CVTailor.tailorCV(cvText, keywords, { targetScore: 95 });
+      tailorResult = window.CVTailor.tailorCV(cvText, keywords, { targetScore: 95, profile: this.factProfile });
     } else {
       // FAST fallback: Simple keyword injection
       tailorResult = this.fastKeywordInjection(cvText, keywords, initial.missingKeywords);
@@ -2538,6 +2538,9 @@ class ATSTailor {
 
       const profileRows = await profileRes.json();
       const p = profileRows?.[0] || {};
+
+      // CVTailor only injects keywords this profile backs
+      this.factProfile = p;
       
       // Update AI provider from profile if set
       if (p.preferred_ai_provider && ['kimi', 'openai'].includes(p.preferred_ai_provider)) {
@@ -2650,7 +2653,8 @@ class ATSTailor {
         matchScore: result.matchScore || 0,
         matchedKeywords: result.keywordsMatched || result.matchedKeywords || [],
         missingKeywords: result.keywordsMissing || result.missingKeywords || [],
-        keywords: keywords
+        keywords: keywords,
+        resumeTemplate: result.resumeTemplate || null
       };
 
       // Calculate initial match score against extracted keywords
@@ -2870,7 +2874,8 @@ class ATSTailor {
             skills: candidateData.skills,
             certifications: candidateData.certifications,
             summary: candidateData.ats_strategy,
-            city: tailoredLocation
+            city: tailoredLocation,
+            resumeTemplate: this.generatedDocuments.resumeTemplate
           }
         );
 
@@ -2905,7 +2910,8 @@ class ATSTailor {
             phone: candidateData.phone,
             linkedin: candidateData.linkedin,
             github: candidateData.github,
-            portfolio: candidateData.portfolio
+            portfolio: candidateData.portfolio,
+            resumeTemplate: this.generatedDocuments.resumeTemplate
           },
           boostedCVText: this.generatedDocuments.cv,
           currentLocation: tailoredLocation
@@ -2957,7 +2963,8 @@ class ATSTailor {
           company: this.currentJob?.company,
           firstName: this.profileInfo?.firstName,
           lastName: this.profileInfo?.lastName,
-          fileName: this.generatedDocuments.cvFileName
+          fileName: this.generatedDocuments.cvFileName,
+          template: this.generatedDocuments.resumeTemplate || undefined
         }),
       });
 
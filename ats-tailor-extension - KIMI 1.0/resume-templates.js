@@ -0,0 +1,462 @@
+// resume-templates v1.1.0 - GENERATED, do not edit.
+// Source: supabase/functions/_shared/resume-templates (npm run core:build)
+(() => {
+  var __defProp = Object.defineProperty;
+  var __export = (target, all) => {
+    for (var name in all)
+      __defProp(target, name, { get: all[name], enumerable: true });
+  };
+
+  // supabase/functions/_shared/resume-templates/index.ts
+  var resume_templates_exports = {};
+  __export(resume_templates_exports, {
+    DEFAULT_TEMPLATE_ID: () => DEFAULT_TEMPLATE_ID,
+    PAGE_SIZES: () => PAGE_SIZES,
+    RESUME_TEMPLATES: () => RESUME_TEMPLATES,
+    RESUME_TEMPLATES_VERSION: () => RESUME_TEMPLATES_VERSION,
+    getTemplate: () => getTemplate,
+    layoutCoverLetter: () => layoutCoverLetter,
+    layoutLines: () => layoutLines,
+    layoutResume: () => layoutResume,
+    needsUnicode: () => needsUnicode,
+    resumeDocument: () => resumeDocument,
+    sanitizeText: () => sanitizeText,
+    textResumeDocument: () => textResumeDocument
+  });
+
+  // supabase/functions/_shared/resume-templates/version.ts
+  var RESUME_TEMPLATES_VERSION = "1.1.0";
+
+  // supabase/functions/_shared/resume-templates/templates.ts
+  var STANDARD_TITLES = {
+    summary: "Professional Summary",
+    experience: "Work Experience",
+    education: "Education",
+    skills: "Skills",
+    certifications: "Certifications",
+    achievements: "Achievements"
+  };
+  var CLASSIC = {
+    id: "classic",
+    name: "Classic",
+    description: "Left-aligned Helvetica with plain bold headings. The safest choice for older ATS parsers.",
+    page: { size: "letter", margins: { top: 54, right: 54, bottom: 54, left: 54 } },
+    font: { family: "helvetica", sizes: { name: 18, contact: 10, heading: 11, body: 10, small: 9 } },
+    spacing: { lineHeight: 1.4, sectionGap: 16, headingGap: 4, entryGap: 6, headerGap: 0 },
+    header: { align: "left", nameCase: "upper", separator: " | ", linksOnOwnLine: true },
+    headings: { case: "upper", rule: false, titles: STANDARD_TITLES },
+    bullets: { symbol: "-", indent: 0 },
+    entries: { lead: "company", dates: "inline" },
+    sections: ["summary", "experience", "education", "skills", "certifications", "achievements"]
+  };
+  var MODERN = {
+    id: "modern",
+    name: "Modern",
+    description: "Centred header and ruled section headings on A4, with skills ahead of education.",
+    page: { size: "a4", margins: { top: 54, right: 54, bottom: 54, left: 54 } },
+    font: { family: "helvetica", sizes: { name: 16, contact: 10, heading: 11, body: 10, small: 9 } },
+    spacing: { lineHeight: 1.3, sectionGap: 12, headingGap: 6, entryGap: 6, headerGap: 4 },
+    header: { align: "center", nameCase: "upper", separator: " | ", linksOnOwnLine: true },
+    headings: { case: "upper", rule: true, titles: { ...STANDARD_TITLES, experience: "Experience" } },
+    bullets: { symbol: "•", indent: 12 },
+    entries: { lead: "company", dates: "right" },
+    sections: ["summary", "experience", "skills", "education", "certifications", "achievements"]
+  };
+  var EXECUTIVE = {
+    id: "executive",
+    name: "Executive",
+    description: "Times with generous spacing and job titles leading each role.",
+    page: { size: "letter", margins: { top: 60, right: 60, bottom: 60, left: 60 } },
+    font: { family: "times", sizes: { name: 20, contact: 10.5, heading: 12, body: 10.5, small: 10 } },
+    spacing: { lineHeight: 1.3, sectionGap: 14, headingGap: 6, entryGap: 8, headerGap: 6 },
+    header: { align: "center", nameCase: "as-is", separator: "  |  ", linksOnOwnLine: true },
+    headings: { case: "upper", rule: true, titles: { ...STANDARD_TITLES, experience: "Professional Experience" } },
+    bullets: { symbol: "•", indent: 14 },
+    entries: { lead: "title", dates: "right" },
+    sections: ["summary", "experience", "education", "certifications", "achievements", "skills"]
+  };
+  var COMPACT = {
+    id: "compact",
+    name: "Compact",
+    description: "Tight spacing and skills near the top, to keep a long technical history to fewer pages.",
+    page: { size: "letter", margins: { top: 40, right: 45, bottom: 40, left: 45 } },
+    font: { family: "helvetica", sizes: { name: 16, contact: 9, heading: 10, body: 9.5, small: 8.5 } },
+    spacing: { lineHeight: 1.2, sectionGap: 10, headingGap: 4, entryGap: 3, headerGap: 2 },
+    header: { align: "left", nameCase: "upper", separator: " | ", linksOnOwnLine: false },
+    headings: { case: "upper", rule: true, titles: { ...STANDARD_TITLES, summary: "Summary", experience: "Experience" } },
+    bullets: { symbol: "-", indent: 9 },
+    entries: { lead: "title", dates: "right" },
+    sections: ["summary", "skills", "experience", "education", "certifications", "achievements"]
+  };
+  var DEFAULT_TEMPLATE_ID = CLASSIC.id;
+  var RESUME_TEMPLATES = [CLASSIC, MODERN, EXECUTIVE, COMPACT];
+  function getTemplate(id) {
+    return RESUME_TEMPLATES.find((template) => template.id === id) || CLASSIC;
+  }
+
+  // supabase/functions/_shared/resume-templates/document.ts
+  function resumeDocument(data, template) {
+    const info = data.personalInfo;
+    const builders = {
+      summary: () => data.summary ? [{ type: "paragraph", text: data.summary }] : [],
+      experience: () => (data.experience || []).map((exp) => ({
+        type: "entry",
+        lead: template.entries.lead === "title" ? exp.title : exp.company,
+        sub: template.entries.lead === "title" ? exp.company : exp.title,
+        dates: exp.dates,
+        bullets: exp.bullets || []
+      })),
+      education: () => (data.education || []).map((edu) => ({
+        type: "entry",
+        lead: edu.degree,
+        sub: edu.gpa ? `${edu.school} | GPA: ${edu.gpa}` : edu.school,
+        dates: edu.dates,
+        bullets: []
+      })),
+      skills: () => {
+        const blocks = [];
+        if (data.skills?.primary?.length) {
+          blocks.push({ type: "paragraph", text: `Technical: ${data.skills.primary.join(", ")}` });
+        }
+        if (data.skills?.secondary?.length) {
+          blocks.push({ type: "paragraph", text: `Additional: ${data.skills.secondary.join(", ")}` });
+        }
+        return blocks;
+      },
+      certifications: () => (data.certifications || []).map((cert) => ({ type: "bullet", text: cert })),
+      achievements: () => (data.achievements || []).flatMap((achievement) => [
+        { type: "entry", lead: achievement.title, dates: achievement.date, bullets: [] },
+        ...achievement.description ? [{ type: "paragraph", text: achievement.description }] : []
+      ])
+    };
+    return {
+      name: info.name || "",
+      contact: [info.phone, info.email, info.location].filter((part) => !!part),
+      links: [info.linkedin, info.github, info.portfolio].filter((part) => !!part),
+      sections: template.sections.map((id) => ({ id, title: template.headings.titles[id], blocks: builders[id]() })).filter((section) => section.blocks.length > 0)
+    };
+  }
+  var SECTION_HEADINGS = [
+    [/^(PROFESSIONAL SUMMARY|SUMMARY|PROFILE|OBJECTIVE)\b/, "summary"],
+    [/^(WORK EXPERIENCE|PROFESSIONAL EXPERIENCE|EXPERIENCE|EMPLOYMENT)\b/, "experience"],
+    [/^EDUCATION\b/, "education"],
+    [/^(TECHNICAL SKILLS|SKILLS|CORE COMPETENCIES)\b/, "skills"],
+    [/^(CERTIFICATIONS|LICENSES)\b/, "certifications"],
+    [/^(ACHIEVEMENTS|AWARDS)\b/, "achievements"],
+    [/^(PROJECTS|PUBLICATIONS|LANGUAGES|VOLUNTEER)/, null]
+  ];
+  var BULLET = /^[-•*▪]\s*/;
+  var isPhone = (part) => /^\+?[\d\s\-()]+$/.test(part.replace(/\s/g, ""));
+  var isLink = (part) => /https?:|linkedin|github|www\./i.test(part);
+  function sectionHeading(line) {
+    if (line.length > 40) return void 0;
+    const upper = line.toUpperCase().replace(/:$/, "");
+    const match = SECTION_HEADINGS.find(([pattern]) => pattern.test(upper));
+    return match ? match[1] : void 0;
+  }
+  function contactParts(line, tailoredLocation) {
+    const parts = line.split("|").map((part) => part.trim()).filter((part) => part && !/open\s*to\s*relocation/i.test(part));
+    if (!tailoredLocation) return parts;
+    const locationIndex = parts.findIndex((part) => !isPhone(part) && !part.includes("@") && !isLink(part));
+    if (locationIndex >= 0) parts[locationIndex] = tailoredLocation;
+    else parts.splice(Math.min(2, parts.length), 0, tailoredLocation);
+    return parts;
+  }
+  function textResumeDocument(text, options = {}) {
+    const doc = { name: "", contact: [], links: [], sections: [] };
+    const lines = text.split("\n").map((line) => line.trim()).filter(Boolean);
+    let section = null;
+    lines.forEach((line, index) => {
+      const heading = sectionHeading(line);
+      if (heading !== void 0) {
+        section = { id: heading, title: line.replace(/:$/, ""), blocks: [] };
+        doc.sections.push(section);
+        return;
+      }
+      if (!section) {
+        if (index === 0 && line === line.toUpperCase() && line.length < 50 && !line.includes("@")) {
+          doc.name = line;
+          return;
+        }
+        if (!doc.contact.length && line.includes("|") && line.includes("@")) {
+          doc.contact = contactParts(line, options.tailoredLocation);
+          return;
+        }
+        const linkParts = line.split("|").map((part) => part.trim()).filter(Boolean);
+        if (linkParts.every((part) => isLink(part) && !part.includes(" "))) {
+          doc.links.push(...linkParts);
+          return;
+        }
+        section = { id: null, title: "", blocks: [] };
+        doc.sections.push(section);
+      }
+      const current = section;
+      if (BULLET.test(line)) {
+        current.blocks.push({ type: "bullet", text: line.replace(BULLET, "") });
+      } else {
+        const isEntryLine = (current.id === "experience" || current.id === "education") && (line.includes("|") || /\b(19|20)\d{2}\b/.test(line));
+        current.blocks.push({ type: "paragraph", text: line, style: isEntryLine ? "bold" : void 0 });
+      }
+    });
+    if (!doc.contact.length && options.tailoredLocation) doc.contact = [options.tailoredLocation];
+    return doc;
+  }
+
+  // supabase/functions/_shared/resume-templates/sanitize.ts
+  var isPrintable = (char) => {
+    const code = char.charCodeAt(0);
+    return !(code < 32 || code >= 127 && code <= 159);
+  };
+  function sanitizeText(text, charset = "winansi") {
+    if (!text) return "";
+    const flattened = Array.from(String(text).normalize("NFC").replace(/[\n\r\t]/g, " ")).filter(isPrintable).join("");
+    const mapped = flattened.replace(/\s+/g, " ").replace(/[\u2018\u2019\u201A\u2039\u203A]/g, "'").replace(/[\u201C\u201D\u201E\u00AB\u00BB]/g, '"').replace(/[\u2013\u2014\u2015\u2212]/g, "-").replace(/\u2026/g, "...").replace(/[\u2022\u2023\u25E6\u2043\u2219\u25AA\u25AB\u25A0\u25A1\u25CF\u25CB\u25D8\u25D9\u2B24\u2B58\u29BF\u25C6\u25C7\u2666\u2756\u2605\u2606\u2713\u2714\u2717\u2718\u2794\u27A4\u25B6\u25B8\u25BA\u25BC\u25BE\u25C0\u25C2\u25C4]/g, "-").replace(/[\u2190-\u21FF]/g, "->").replace(/\u00A9/g, "(c)").replace(/\u00AE/g, "(R)").replace(/\u2122/g, "(TM)").replace(/\u20AC/g, "EUR").replace(/\u00A3/g, "GBP").replace(/\u00A5/g, "JPY").replace(/\u00B0/g, " deg").replace(/\u00B1/g, "+/-").replace(/\u00D7/g, "x").replace(/\u00F7/g, "/");
+    return (charset === "winansi" ? mapped.replace(/[^\x20-\x7E\u00A0-\u00FF]/g, " ") : mapped).replace(/\s+/g, " ").trim();
+  }
+  function needsUnicode(...texts) {
+    return texts.some((text) => /[^\x20-\x7E\u00A0-\u00FF]/.test(sanitizeText(text, "unicode")));
+  }
+
+  // supabase/functions/_shared/resume-templates/layout.ts
+  var PAGE_SIZES = {
+    letter: { width: 612, height: 792 },
+    a4: { width: 595.28, height: 841.89 }
+  };
+  function createWriter(template, measure, { charset = "winansi", hasGlyph }) {
+    const { width, height } = PAGE_SIZES[template.page.size];
+    const { margins } = template.page;
+    const left = margins.left;
+    const right = width - margins.right;
+    const pages = [{ ops: [] }];
+    let y = margins.top;
+    const push = (op) => pages[pages.length - 1].ops.push(op);
+    const lineHeight = (size) => size * template.spacing.lineHeight;
+    const ensure = (needed) => {
+      if (y + needed > height - margins.bottom && pages[pages.length - 1].ops.length > 0) {
+        pages.push({ ops: [] });
+        y = margins.top;
+      }
+    };
+    const wrap = (text2, style, size, maxWidth) => {
+      const lines2 = [];
+      let current = "";
+      for (const word of text2.split(" ")) {
+        if (!word) continue;
+        const candidate = current ? `${current} ${word}` : word;
+        if (measure(candidate, style, size) <= maxWidth) {
+          current = candidate;
+          continue;
+        }
+        if (current) lines2.push(current);
+        current = word;
+        while (current.length > 1 && measure(current, style, size) > maxWidth) {
+          let cut = current.length - 1;
+          while (cut > 1 && measure(current.slice(0, cut), style, size) > maxWidth) cut--;
+          lines2.push(current.slice(0, cut));
+          current = current.slice(cut);
+        }
+      }
+      if (current) lines2.push(current);
+      return lines2;
+    };
+    const lines = (wrapped, size, draw) => {
+      wrapped.forEach((line, index) => {
+        ensure(lineHeight(size));
+        draw(line, y + size, index);
+        y += lineHeight(size);
+      });
+    };
+    const clean = (raw) => {
+      const text2 = sanitizeText(raw, charset);
+      if (!hasGlyph) return text2;
+      return Array.from(text2).filter((char) => char === " " || hasGlyph(char.codePointAt(0) ?? 0)).join("").replace(/\s+/g, " ").trim();
+    };
+    const text = (raw, { size, style = "regular", muted, indent = 0, align = "left" }) => {
+      const cleaned = clean(raw);
+      if (!cleaned) return;
+      lines(wrap(cleaned, style, size, right - left - indent), size, (line, baseline) => {
+        const x = align === "center" ? (width - measure(line, style, size)) / 2 : left + indent;
+        push({ type: "text", text: line, x, y: baseline, size, style, muted });
+      });
+    };
+    return {
+      template,
+      left,
+      right,
+      measure,
+      clean,
+      wrap,
+      lines,
+      text,
+      ensure,
+      lineHeight,
+      push,
+      space: (points) => {
+        y += points;
+      },
+      /** Baseline of the line just written */
+      lastBaseline: (size) => y - lineHeight(size) + size,
+      finish: () => ({ width, height, family: template.font.family, charset, pages })
+    };
+  }
+  function drawHeading(w, title) {
+    const { headings, spacing, font } = w.template;
+    const size = font.sizes.heading;
+    w.space(spacing.sectionGap);
+    w.ensure(w.lineHeight(size) + w.lineHeight(font.sizes.body) * 2);
+    w.text(headings.case === "upper" ? title.toUpperCase() : title, { size, style: "bold" });
+    if (headings.rule) {
+      w.push({ type: "rule", x1: w.left, x2: w.right, y: w.lastBaseline(size) + 3, thickness: 0.5 });
+    }
+    w.space(spacing.headingGap);
+  }
+  function drawBullet(w, bullet) {
+    const { symbol, indent } = w.template.bullets;
+    const size = w.template.font.sizes.body;
+    if (indent === 0) {
+      w.text(`${symbol} ${bullet}`, { size });
+      return;
+    }
+    const wrapped = w.wrap(w.clean(bullet), "regular", size, w.right - w.left - indent);
+    w.lines(wrapped, size, (line, baseline, index) => {
+      if (index === 0) w.push({ type: "text", text: symbol, x: w.left + indent / 4, y: baseline, size, style: "regular" });
+      w.push({ type: "text", text: line, x: w.left + indent, y: baseline, size, style: "regular" });
+    });
+  }
+  function drawEntry(w, entry) {
+    const size = w.template.font.sizes.body;
+    const lead = w.clean(entry.lead);
+    const dates = w.clean(entry.dates);
+    w.ensure(w.lineHeight(size) * 2);
+    if (w.template.entries.dates === "right" && dates) {
+      const datesWidth = w.measure(dates, "regular", size);
+      const wrapped = w.wrap(lead, "bold", size, w.right - w.left - datesWidth - 12);
+      w.lines(wrapped, size, (line, baseline, index) => {
+        w.push({ type: "text", text: line, x: w.left, y: baseline, size, style: "bold" });
+        if (index === 0) {
+          w.push({ type: "text", text: dates, x: w.right - datesWidth, y: baseline, size, style: "regular" });
+        }
+      });
+    } else {
+      w.text(dates ? `${lead} | ${dates}` : lead, { size, style: "bold" });
+    }
+    if (entry.sub) w.text(entry.sub, { size, muted: true });
+    for (const bullet of entry.bullets) drawBullet(w, bullet);
+    w.space(w.template.spacing.entryGap);
+  }
+  function layoutResume(doc, template, measure, options = {}) {
+    const w = createWriter(template, measure, options);
+    const { header, font, spacing } = template;
+    const { sizes } = font;
+    const contact = header.linksOnOwnLine ? doc.contact : [...doc.contact, ...doc.links];
+    const name = header.nameCase === "upper" ? doc.name.toUpperCase() : doc.name;
+    w.text(name, { size: sizes.name, style: "bold", align: header.align });
+    w.space(sizes.name * 0.15);
+    w.text(contact.join(header.separator), { size: sizes.contact, align: header.align });
+    if (header.linksOnOwnLine) w.text(doc.links.join(header.separator), { size: sizes.small, align: header.align });
+    w.space(spacing.headerGap);
+    for (const section of doc.sections) {
+      if (section.title) drawHeading(w, section.title);
+      for (const block of section.blocks) {
+        if (block.type === "entry") drawEntry(w, block);
+        else if (block.type === "bullet") drawBullet(w, block.text);
+        else w.text(block.text, { size: sizes.body, style: block.style });
+      }
+    }
+    return w.finish();
+  }
+  function layoutCoverLetter(letter, template, measure, options = {}) {
+    const w = createWriter(template, measure, options);
+    const { sizes } = template.font;
+    const size = sizes.body + 1;
+    const info = letter.personalInfo;
+    const date = letter.date || (/* @__PURE__ */ new Date()).toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric" });
+    const name = template.header.nameCase === "upper" ? info.name.toUpperCase() : info.name;
+    w.text(name, { size: sizes.name - 2, style: "bold" });
+    w.text([info.phone, info.email].filter(Boolean).join(template.header.separator), { size: sizes.contact });
+    w.space(w.lineHeight(size));
+    w.text(date, { size });
+    w.space(w.lineHeight(size));
+    if (letter.recipientCompany) {
+      w.text(letter.recipientCompany, { size });
+      w.space(w.lineHeight(size));
+    }
+    w.text(`Re: ${letter.jobTitle}`, { size, style: "bold" });
+    w.space(w.lineHeight(size));
+    w.text("Dear Hiring Manager,", { size });
+    w.space(w.lineHeight(size) * 0.5);
+    for (const paragraph of letter.paragraphs) {
+      w.text(paragraph, { size });
+      w.space(w.lineHeight(size) * 0.5);
+    }
+    w.space(w.lineHeight(size) * 0.5);
+    w.text("Sincerely,", { size });
+    w.space(w.lineHeight(size));
+    w.text(info.name, { size, style: "bold" });
+    return w.finish();
+  }
+  function layoutLines(layout) {
+    return layout.pages.map((page) => {
+      const lines = /* @__PURE__ */ new Map();
+      for (const op of page.ops) {
+        if (op.type !== "text") continue;
+        const line = lines.get(op.y) || [];
+        line.push({ x: op.x, text: op.text });
+        lines.set(op.y, line);
+      }
+      return [...lines.entries()].sort(([a], [b]) => a - b).map(([, parts]) => parts.sort((a, b) => a.x - b.x).map((part) => part.text).join(" "));
+    });
+  }
+
+  // supabase/functions/_shared/resume-templates/extension.ts
+  var JS_PDF_STYLES = { regular: "normal", bold: "bold", italic: "italic" };
+  function render(JsPDF, templateId, title, layout) {
+    const template = getTemplate(templateId);
+    const { width, height } = PAGE_SIZES[template.page.size];
+    const family = template.font.family;
+    const doc = new JsPDF({ unit: "pt", format: [width, height], putOnlyUsedFonts: true });
+    const measure = (text, style, size) => {
+      doc.setFont(family, JS_PDF_STYLES[style]);
+      doc.setFontSize(size);
+      return doc.getTextWidth(text);
+    };
+    const result = layout(measure);
+    result.pages.forEach((page, index) => {
+      if (index > 0) doc.addPage([width, height]);
+      for (const op of page.ops) {
+        if (op.type === "rule") {
+          doc.setDrawColor(0);
+          doc.setLineWidth(op.thickness);
+          doc.line(op.x1, op.y, op.x2, op.y);
+          continue;
+        }
+        doc.setFont(family, JS_PDF_STYLES[op.style]);
+        doc.setFontSize(op.size);
+        doc.setTextColor(op.muted ? 38 : 0);
+        doc.text(op.text, op.x, op.y);
+      }
+    });
+    if (title) doc.setProperties({ title });
+    return {
+      doc,
+      base64: doc.output("datauristring").split(",")[1],
+      blob: doc.output("blob"),
+      pages: result.pages.length,
+      template: template.id
+    };
+  }
+  function renderResume(JsPDF, input, options = {}) {
+    const template = getTemplate(options.template);
+    const doc = typeof input === "string" ? textResumeDocument(input, { tailoredLocation: options.tailoredLocation }) : resumeDocument(input, template);
+    return render(JsPDF, template.id, options.title, (measure) => layoutResume(doc, template, measure));
+  }
+  function renderCoverLetter(JsPDF, letter, options = {}) {
+    const template = getTemplate(options.template);
+    return render(JsPDF, template.id, options.title, (measure) => layoutCoverLetter(letter, template, measure));
+  }
+  globalThis.ResumeTemplates = {
+    ...resume_templates_exports,
+    renderResume,
+    renderCoverLetter
+  };
+})();
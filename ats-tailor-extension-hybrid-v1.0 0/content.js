@@ -771,6 +771,7 @@
             cvFileName: result.cvFileName || `${fallbackName}_CV.pdf`,
             coverFileName: result.coverLetterFileName || `${fallbackName}_Cover_Letter.pdf`,
             matchScore: result.matchScore || 0,
+            resumeTemplate: result.resumeTemplate || null,
           },
           ats_extracted_keywords: localKeywords,
         }, resolve);
@@ -1290,7 +1290,7 @@ class ATSTailor {
       });
       tailorResult = await tailor.autoTailorTo95Plus(this.currentJob?.description || '', cvText);
     } else if (window.CVTailor) {
-      tailorResult = window.CVTailor.tailorCV(cvText, keywords, { targetScore: 95 });
+      tailorResult = window.CVTailor.tailorCV(cvText, keywords, { targetScore: 95, profile: this.factProfile });
     } else {
       // FAST fallback: Simple keyword injection
       tailorResult = this.fastKeywordInjection(cvText, keywords, initial.missingKeywords);
@@ -1569,6 +1569,9 @@ class ATSTailor {
 
       const profileRows = await profileRes.json();
       const p = profileRows?.[0] || {};
+
+      // CVTailor only injects keywords this profile backs
+      this.factProfile = p;
       
       console.log('[ATS Tailor] Step 2 - Profile loaded, generating base CV...');
 
@@ -1637,7 +1640,8 @@ class ATSTailor {
         matchScore: result.matchScore || 0,
         matchedKeywords: result.keywordsMatched || result.matchedKeywords || [],
         missingKeywords: result.keywordsMissing || result.missingKeywords || [],
-        keywords: keywords
+        keywords: keywords,
+        resumeTemplate: result.resumeTemplate || null
       };
 
       // Calculate initial match score against extracted keywords
@@ -1876,7 +1880,8 @@ class ATSTailor {
             phone: candidateData.phone,
             linkedin: candidateData.linkedin,
             github: candidateData.github,
-            portfolio: candidateData.portfolio
+            portfolio: candidateData.portfolio,
+            resumeTemplate: this.generatedDocuments.resumeTemplate
           },
           boostedCVText: this.generatedDocuments.cv,
           currentLocation: tailoredLocation
@@ -1925,7 +1930,8 @@ class ATSTailor {
           company: this.currentJob?.company,
           firstName: this.profileInfo?.firstName,
           lastName: this.profileInfo?.lastName,
-          fileName: this.generatedDocuments.cvFileName
+          fileName: this.generatedDocuments.cvFileName,
+          template: this.generatedDocuments.resumeTemplate || undefined
         }),
       });
 
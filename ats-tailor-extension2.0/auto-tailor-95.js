@@ -17,6 +17,8 @@
       this.onProgress = options.onProgress || (() => {});
       this.onScoreUpdate = options.onScoreUpdate || (() => {});
       this.onChipsUpdate = options.onChipsUpdate || (() => {});
+      // Candidate profile: CVTailor only injects keywords it backs
+      this.profile = options.profile || null;
     }
 
     /**
@@ -204,7 +206,7 @@
       
       // Fallback to CVTailor for backward compatibility
       if (global.CVTailor) {
-        const result = await Promise.resolve(global.CVTailor.tailorCV(cvText, keywords, { targetScore: this.targetScore }));
+        const result = await Promise.resolve(global.CVTailor.tailorCV(cvText, keywords, { targetScore: this.targetScore, profile: this.profile }));
         return result;
       }
 
@@ -1547,6 +1547,7 @@
           coverLetter: result.tailoredCoverLetter || result.coverLetter,
           cvPdf: result.resumePdf, coverPdf: result.coverLetterPdf,
           cvFileName, coverFileName, matchScore: result.matchScore || 100,
+          resumeTemplate: result.resumeTemplate || null,
         },
         ats_tailored_urls: { ...cached, [currentJobUrl]: Date.now() }
       });
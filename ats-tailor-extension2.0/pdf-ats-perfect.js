@@ -57,6 +57,11 @@
 
       // Generate PDF using jsPDF if available, otherwise base64 text
       if (typeof jspdf !== 'undefined' && jspdf.jsPDF) {
+        // The shared template engine (resume-templates.js) when it is loaded, so
+        // this PDF matches generate-pdf's; the local layout otherwise
+        if (window.ResumeTemplates) {
+          return this.generateWithTemplate(header, sections, candidateData, tailoredLocation);
+        }
         return this.generateWithJsPDF(header, sections, jobData, candidateData, tailoredLocation);
       } else {
         // Fallback: Generate formatted text for backend PDF generation
@@ -273,6 +278,35 @@
       };
     },
 
+    /**
+     * Generate PDF with the shared template engine, from the same header and sections
+     * @returns {Object} PDF blob and metadata
+     */
+    generateWithTemplate(header, sections, candidateData, tailoredLocation) {
+      const lines = [header.name.toUpperCase(), header.contactLine, header.linksLine];
+      for (const section of sections) {
+        if (section.title) lines.push(section.title.toUpperCase());
+        lines.push(...section.content);
+      }
+
+      const result = ResumeTemplates.renderResume(jspdf.jsPDF, lines.join('\n'), {
+        template: candidateData?.resumeTemplate,
+        tailoredLocation,
+      });
+
+      const firstName = (candidateData?.firstName || candidateData?.first_name || '').trim().replace(/\s+/g, '_').replace(/[^a-zA-Z0-9_]/g, '');
+      const lastName = (candidateData?.lastName || candidateData?.last_name || '').trim().replace(/\s+/g, '_').replace(/[^a-zA-Z0-9_]/g, '');
+      const candidateName = (firstName && lastName) ? `${firstName}_${lastName}` : 'Applicant';
+
+      return {
+        pdf: result.base64,
+        blob: result.blob,
+        fileName: `${candidateName}_CV.pdf`,
+        location: tailoredLocation,
+        header: header
+      };
+    },
+
     /**
      * Generate text format for backend PDF generation
      * @returns {Object} Formatted text and metadata
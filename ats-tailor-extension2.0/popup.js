@@ -584,6 +584,60 @@ class ATSTailor {
       };
       this.batchUpdateKeywordChips(fallbackObj, cvText, matchedKeywords);
     }
+
+    this.updateProvenanceUI();
+  }
+
+  /**
+   * Render the FactGuard report: where each job keyword on the CV comes from
+   */
+  updateProvenanceUI() {
+    const container = document.getElementById('provenanceContainer');
+    const list = document.getElementById('provenanceList');
+    const summaryEl = document.getElementById('provenanceSummary');
+    const provenance = this.generatedDocuments.provenance;
+    if (!container || !list) return;
+
+    if (!provenance?.report?.length) {
+      container.classList.add('hidden');
+      return;
+    }
+
+    const labels = {
+      blocked: 'Blocked',
+      unsupported: 'Not in profile',
+      unverified: 'Unverified',
+      backed: 'Backed',
+      missing: 'Missing'
+    };
+    const order = Object.keys(labels);
+    const rows = [...provenance.report].sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status));
+
+    list.innerHTML = rows.map(item => {
+      const detail = item.evidence || (item.source === 'base_cv' ? 'Base CV' : item.status === 'blocked' ? 'Removed: not in your profile' : '');
+      return `<div class="provenance-row ${item.status}">` +
+        `<span class="provenance-keyword">${this.escapeHtml(item.keyword)}</span>` +
+        `<span class="provenance-status">${labels[item.status] || item.status}</span>` +
+        `<span class="provenance-evidence" title="${this.escapeHtml(detail)}">${this.escapeHtml(detail)}</span>` +
+        `</div>`;
+    }).join('');
+
+    const { backed = 0, blocked = 0, unsupported = 0, unverified = 0 } = provenance.summary || {};
+    if (summaryEl) {
+      summaryEl.textContent = `${backed} backed by your profile` +
+        (blocked ? ` • ${blocked} blocked` : '') +
+        (unsupported ? ` • ${unsupported} not in profile` : '') +
+        (unverified ? ` • ${unverified} unverified` : '');
+    }
+    container.classList.remove('hidden');
+  }
+
+  /**
+   * Keywords the loaded profile backs; everything when FactGuard isn't available
+   */
+  backedKeywords(keywords) {
+    if (!window.FactGuard || !this.factEvidence) return keywords || [];
+    return window.FactGuard.restrictKeywords(keywords || [], this.factEvidence).keywords;
   }
 
   /**
@@ -1182,9 +1236,10 @@ class ATSTailor {
     
     // Try optimized tailoring modules
     if (window.TailorUniversal) {
-      tailorResult = await window.TailorUniversal.tailorCV(cvText, keywords.all, { targetScore: 95 });
+      tailorResult = await window.TailorUniversal.tailorCV(cvText, this.backedKeywords(keywords.all), { targetScore: 95 });
     } else if (window.AutoTailor95) {
       const tailor = new window.AutoTailor95({
+        profile: this.factProfile,
         onProgress: updateProgress,
         onScoreUpdate: (score) => {
           this.updateMatchGauge(score, 0, keywords.all.length);
@@ -1192,7 +1247,7 @@ class ATSTailor {
       });
       tailorResult = await tailor.autoTailorTo95Plus(this.currentJob?.description || '', cvText);
     } else if (window.CVTailor) {
-      tailorResult = window.CVTailor.tailorCV(cvText, keywords, { targetScore: 95 });
+      tailorResult = window.CVTailor.tailorCV(cvText, keywords, { targetScore: 95, profile: this.factProfile });
     } else {
       // FAST fallback: Simple keyword injection
       tailorResult = this.fastKeywordInjection(cvText, keywords, initial.missingKeywords);
@@ -1228,6 +1283,7 @@ class ATSTailor {
    * 4. Catch-all: Any remaining keywords as Technical Proficiencies
    */
   fastKeywordInjection(cvText, keywords, missingKeywords) {
+    missingKeywords = this.backedKeywords(missingKeywords);
     if (!missingKeywords || missingKeywords.length === 0) {
       return { tailoredCV: cvText, injectedKeywords: [] };
     }
@@ -1471,6 +1527,10 @@ class ATSTailor {
 
       const profileRows = await profileRes.json();
       const p = profileRows?.[0] || {};
+
+      // Evidence for FactGuard: only skills the profile backs may be injected
+      this.factProfile = p;
+      this.factEvidence = window.FactGuard ? window.FactGuard.buildEvidence(p) : null;
       
       console.log('[ATS Tailor] Step 2 - Profile loaded, generating base CV...');
 
@@ -1539,8 +1599,11 @@ class ATSTailor {
         matchScore: result.matchScore || 0,
         matchedKeywords: result.keywordsMatched || result.matchedKeywords || [],
         missingKeywords: result.keywordsMissing || result.missingKeywords || [],
-        keywords: keywords
+        keywords: keywords,
+        resumeTemplate: result.resumeTemplate || null,
+        provenance: null
       };
+      const baseCV = result.tailoredResume || '';
 
       // Calculate initial match score against extracted keywords
       if (keywords.all?.length > 0 && this.generatedDocuments.cv) {
@@ -1627,6 +1690,26 @@ class ATSTailor {
         console.log('[ATS Tailor] Step 3 - Already at 100%');
       }
 
+      // Fact check the boosted CV against the profile before it becomes a PDF
+      if (window.FactGuard && this.generatedDocuments.cv && keywords.all?.length > 0) {
+        const guard = window.FactGuard.audit({
+          originalCV: baseCV,
+          tailoredCV: this.generatedDocuments.cv,
+          keywords,
+          evidence: this.factEvidence
+        });
+        this.generatedDocuments.cv = guard.tailoredCV;
+        this.generatedDocuments.provenance = { report: guard.report, summary: guard.summary };
+
+        if (guard.changed) {
+          const checked = this.calculateMatchScore(guard.tailoredCV, keywords);
+          this.generatedDocuments.matchScore = checked.matchScore;
+          this.generatedDocuments.matchedKeywords = checked.matchedKeywords;
+          this.generatedDocuments.missingKeywords = checked.missingKeywords;
+        }
+        this.updateMatchAnalysisUI();
+      }
+
       updateProgress(80, 'Step 3/3: Regenerating PDF with boosted CV...');
 
       // Regenerate PDF with boosted CV and dynamic location
@@ -1647,7 +1730,7 @@ class ATSTailor {
         // Don't throw - document generation was successful
       }
 
-      updateProgress(100, 'Complete! 100% keyword match achieved.');
+      updateProgress(100, `Complete! ${this.generatedDocuments.matchScore || 0}% keyword match achieved.`);
 
       await chrome.storage.local.set({ ats_lastGeneratedDocuments: this.generatedDocuments });
 
@@ -1742,7 +1825,8 @@ class ATSTailor {
             phone: candidateData.phone,
             linkedin: candidateData.linkedin,
             github: candidateData.github,
-            portfolio: candidateData.portfolio
+            portfolio: candidateData.portfolio,
+            resumeTemplate: this.generatedDocuments.resumeTemplate
           },
           boostedCVText: this.generatedDocuments.cv,
           currentLocation: tailoredLocation
@@ -1791,7 +1875,8 @@ class ATSTailor {
           company: this.currentJob?.company,
           firstName: this.profileInfo?.firstName,
           lastName: this.profileInfo?.lastName,
-          fileName: this.generatedDocuments.cvFileName
+          fileName: this.generatedDocuments.cvFileName,
+          template: this.generatedDocuments.resumeTemplate || undefined
         }),
       });
 
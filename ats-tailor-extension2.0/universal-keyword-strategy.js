@@ -198,15 +198,18 @@
   }
 
   // ============ PHASE 3: INTELLIGENT PLACEMENT (200ms) ============
-  async function intelligentKeywordPlacement(cvText, keywords, allocation) {
+  async function intelligentKeywordPlacement(cvText, keywords, allocation, options = {}) {
     const startTime = performance.now();
     let tailoredCV = cvText;
     const injectedKeywords = [];
     const cvLower = cvText.toLowerCase();
 
+    // Only place keywords the candidate's profile backs (FactGuard, tailoring-core.js)
+    const isBacked = (kw) => !options.evidence || !global.FactGuard || !!global.FactGuard.findEvidence(kw, options.evidence);
+
     // Find missing keywords
-    const missingFromSummary = allocation.summary.filter(kw => !cvLower.includes(kw.toLowerCase()));
-    const missingFromExperience = allocation.experience.filter(kw => !cvLower.includes(kw.toLowerCase()));
+    const missingFromSummary = allocation.summary.filter(kw => !cvLower.includes(kw.toLowerCase()) && isBacked(kw));
+    const missingFromExperience = allocation.experience.filter(kw => !cvLower.includes(kw.toLowerCase()) && isBacked(kw));
 
     // A) EXISTING BULLET ENHANCEMENT (70% of keywords)
     const experienceMatch = tailoredCV.match(
@@ -387,8 +390,14 @@
     // PHASE 2: Optimal Section Allocation
     const allocation = allocateSectionsOptimally(keywords);
 
+    // Profile evidence keeps unclaimed skills out of the CV
+    const evidence = options.profile && global.FactGuard ? global.FactGuard.buildEvidence(options.profile) : null;
+    if (evidence) {
+      allocation.skills = global.FactGuard.restrictKeywords(allocation.skills, evidence).keywords;
+    }
+
     // PHASE 3: Intelligent Placement (200ms)
-    const placementResult = await intelligentKeywordPlacement(cvText, keywords, allocation);
+    const placementResult = await intelligentKeywordPlacement(cvText, keywords, allocation, { evidence });
     timings.placement = placementResult.timing;
 
     // PHASE 4: Format Skills Section
@@ -400,10 +409,24 @@
     // If validation fails, attempt second pass
     if (!validation.isValid && validation.coverage < 85) {
       console.log('[UniversalStrategy] Validation failed, attempting recovery pass');
-      const recovery = await intelligentKeywordPlacement(tailoredCV, { ...keywords, all: validation.missing }, allocation);
+      const recovery = await intelligentKeywordPlacement(tailoredCV, { ...keywords, all: validation.missing }, allocation, { evidence });
       tailoredCV = formatSkillsSection(recovery.tailoredCV, allocation.skills);
     }
 
+    // PHASE 5b: Fact check - per-keyword provenance against the profile
+    let provenance = null;
+    if (evidence) {
+      const guard = global.FactGuard.audit({
+        originalCV: cvText,
+        tailoredCV,
+        keywords,
+        evidence,
+        mode: options.factMode || 'block'
+      });
+      tailoredCV = guard.tailoredCV;
+      provenance = { report: guard.report, summary: guard.summary };
+    }
+
     const finalValidation = validateTailoring(tailoredCV, keywords);
 
     const totalTime = performance.now() - pipelineStart;
@@ -419,6 +442,7 @@
       keywords,
       allocation,
       injectedKeywords: placementResult.injectedKeywords,
+      provenance,
       validation: finalValidation,
       matchScore: finalValidation.coverage,
       matchedKeywords: finalValidation.matched,
@@ -174,7 +174,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       return true;
       
     case 'answerQuestions':
-      answerApplicationQuestions(message.questions, message.jobTitle, message.company, message.jobDescription)
+      answerApplicationQuestions(message.questions, message.jobTitle, message.company, message.jobDescription, sender.tab?.url, message.jobLocation)
         .then(sendResponse)
         .catch(err => {
           console.error('QuantumHire AI: Answer questions error', err);
@@ -226,6 +226,15 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         .catch(err => sendResponse({ success: false, error: err.message }));
       return true;
       
+    case 'recordSubmission':
+      recordSubmission(message, sender.tab)
+        .then(sendResponse)
+        .catch(err => {
+          console.error('QuantumHire AI: Record submission error', err);
+          sendResponse({ success: false, error: err.message });
+        });
+      return true;
+      
     case 'updateTabStatus':
       if (sender.tab?.id) {
         AppState.activeTabs.set(sender.tab.id, {
@@ -458,6 +467,59 @@ async function handleBatchApplyToJob(url, tailoredData, atsCredentials) {
   });
 }
 
+// ============= SUBMISSION EVIDENCE =============
+
+// sha256 of a screenshot of the confirmation page. Only possible when the tab
+// is the visible one; batch tabs open in the background and skip it.
+async function captureConfirmationHash(tab) {
+  if (!tab?.active) return null;
+  try {
+    const dataUrl = await chrome.tabs.captureVisibleTab(tab.windowId, { format: 'png' });
+    const bytes = Uint8Array.from(atob(dataUrl.split(',')[1]), c => c.charCodeAt(0));
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+  } catch (e) {
+    console.log('QuantumHire AI: Screenshot capture failed', e.message);
+    return null;
+  }
+}
+
+async function recordSubmission(evidence, tab) {
+  const data = await chrome.storage.local.get(['supabaseUrl', 'supabaseKey', 'accessToken']);
+  
+  if (!data.supabaseUrl || !data.supabaseKey || !data.accessToken) {
+    throw new Error('Not connected. Please connect your account first.');
+  }
+  
+  const screenshotHash = await captureConfirmationHash(tab);
+  
+  const response = await fetch(`${data.supabaseUrl}/functions/v1/record-submission`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'apikey': data.supabaseKey,
+      'Authorization': `Bearer ${data.accessToken}`,
+    },
+    body: JSON.stringify({
+      applicationId: evidence.applicationId,
+      jobUrl: evidence.jobUrl,
+      platform: evidence.platform,
+      submittedAt: evidence.submittedAt,
+      finalUrl: evidence.finalUrl,
+      confirmationText: evidence.confirmationText,
+      screenshotHash,
+      filledFields: evidence.filledFields || [],
+    }),
+  });
+  
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.error || `Record submission failed: ${response.status}`);
+  }
+  
+  return result;
+}
+
 // ============= TAILOR APPLICATION =============
 
 async function getTailoredApplication(job) {
@@ -489,6 +551,7 @@ async function getTailoredApplication(job) {
       requirements: job.requirements || [],
       location: job.location || '',
       jobId: job.jobId || null,
+      jobUrl: job.url || undefined,
       userProfile: {
         firstName: profile.first_name,
         lastName: profile.last_name,
@@ -533,7 +596,7 @@ async function getTailoredApplication(job) {
 
 // ============= ANSWER QUESTIONS =============
 
-async function answerApplicationQuestions(questions, jobTitle, company, jobDescription = '') {
+async function answerApplicationQuestions(questions, jobTitle, company, jobDescription = '', jobUrl = undefined, jobLocation = '') {
   console.log('QuantumHire AI: Answering', questions.length, 'questions');
   
   const data = await chrome.storage.local.get(['supabaseUrl', 'supabaseKey', 'accessToken', 'userProfile']);
@@ -556,9 +619,8 @@ async function answerApplicationQuestions(questions, jobTitle, company, jobDescr
     city: profile.city,
     state: profile.state,
     country: profile.country,
-    citizenship: profile.citizenship || 'United States',
+    citizenship: profile.citizenship,
     willingToRelocate: profile.willing_to_relocate !== false,
-    visaRequired: false,
     veteranStatus: profile.veteran_status || false,
     disability: profile.disability || false,
     raceEthnicity: profile.race_ethnicity || 'Decline to self-identify',
@@ -586,13 +648,18 @@ async function answerApplicationQuestions(questions, jobTitle, company, jobDescr
       jobTitle,
       company,
       jobDescription,
+      jobUrl,
+      jobLocation,
       userProfile: userProfileForAI,
     }),
   });
   
   if (!response.ok) {
     if (response.status === 429) return { answers: [], error: 'Rate limit exceeded' };
-    if (response.status === 402) return { answers: [], error: 'Payment required' };
+    if (response.status === 402) {
+      const body = await response.json().catch(() => ({}));
+      return { answers: [], error: body.error || 'Payment required' };
+    }
     return { answers: [], error: `API error: ${response.status}` };
   }
   
@@ -713,396 +713,88 @@ async function checkControls() {
   if (automationState.shouldQuit) throw new Error('QUIT');
 }
 
-// ============= COMPREHENSIVE KNOCKOUT QUESTION ANSWER BANK =============
-
-const KNOCKOUT_ANSWER_BANK = {
-  // WORK AUTHORIZATION
-  'legal documentation.*identity.*eligibility|legally authorized|eligib.*employed|right to work|authorization to work|authorised to work': { answer: 'Yes', selectValue: 'yes' },
-  'authorized.*work.*united states|authorized.*work.*us|work.*authorization.*us|legally.*work.*us|eligible.*work.*us|can you work.*us': { answer: 'Yes', selectValue: 'yes' },
-  'authorized.*work.*canada|authorized.*work.*uk|authorized.*work.*europe|work.*authorization': { answer: 'Yes', selectValue: 'yes' },
-  
-  // VISA SPONSORSHIP
-  'require.*sponsorship|need.*sponsorship|sponsorship.*required|sponsor.*visa|visa.*sponsor|future.*sponsorship|now or.*future.*sponsor|employment.*sponsorship': { answer: 'No', selectValue: 'no' },
-  'sponsor.*h1b|h-1b.*sponsor|h1-b.*sponsor|need.*h1b|require.*h1b|tn.*visa|l1.*visa|o1.*visa': { answer: 'No', selectValue: 'no' },
-  'work.*without.*sponsorship|employment.*without.*sponsorship': { answer: 'Yes', selectValue: 'yes' },
-  
-  // AGE VERIFICATION
-  'age 18|over 18|18 years|eighteen|at least 18|older than 18|minimum age|legal age|are you.*18|21 years|over 21|at least 21': { answer: 'Yes', selectValue: 'yes' },
-  
-  // BACKGROUND & DRUG SCREENING
-  'background check|criminal background|background investigation|submit.*background|consent.*background|background screening|pre-employment.*background': { answer: 'Yes', selectValue: 'yes' },
-  'drug screen|drug test|substance test|submit.*drug|pre-employment.*drug|toxicology|controlled substance': { answer: 'Yes', selectValue: 'yes' },
-  'motor vehicle|mvr.*check|driving record.*check': { answer: 'Yes', selectValue: 'yes' },
-  'credit check|credit history|financial background': { answer: 'Yes', selectValue: 'yes' },
-  
-  // DRIVER'S LICENSE
-  'driver.*license|driving license|valid license|valid driver|possess.*license|current.*license|unrestricted.*license': { answer: 'Yes', selectValue: 'yes' },
-  'good driving|driving history|driving record|clean driving|safe driving': { answer: 'Yes', selectValue: 'yes' },
-  'own.*vehicle|reliable.*transportation|access.*vehicle|means.*transportation|personal.*transportation': { answer: 'Yes', selectValue: 'yes' },
-  
-  // RELOCATION & AVAILABILITY
-  'willing.*relocate|open.*relocation|relocate.*position|able.*relocate|consider.*relocating|move.*location': { answer: 'Yes', selectValue: 'yes' },
-  'available.*start|start date|earliest.*start|when.*start|how soon|soonest.*start|when.*begin': { answer: 'Immediately', selectValue: 'immediately' },
-  'immediate.*start|start immediately|available immediately': { answer: 'Yes', selectValue: 'yes' },
-  'notice period|current.*notice|weeks.*notice|days.*notice|resignation.*period': { answer: '2 weeks' },
-  'currently employed|presently working|actively working': { answer: 'Yes', selectValue: 'yes' },
-  
-  // JOB FUNCTIONS & PHYSICAL REQUIREMENTS
-  'essential functions|perform.*duties|physical requirements|able to perform|perform.*job|job.*functions': { answer: 'Yes', selectValue: 'yes' },
-  'reasonable accommodation|disability accommodation|with or without.*accommodation|request.*accommodation': { answer: 'Yes', selectValue: 'yes' },
-  'lift.*pounds|carry.*lbs|physical demands|standing.*hours|sitting.*hours|walk.*hours|bend.*lift|push.*pull': { answer: 'Yes', selectValue: 'yes' },
-  'work.*environment|outdoor.*work|indoor.*work|office.*environment|warehouse.*environment|manufacturing.*environment': { answer: 'Yes', selectValue: 'yes' },
-  
-  // TRAVEL & SCHEDULE
-  'willing.*travel|travel.*required|travel.*percent|overnight.*travel|domestic.*travel|international.*travel|business.*travel': { answer: 'Yes', selectValue: 'yes' },
-  'travel.*frequency|how much.*travel|percentage.*travel|amount.*travel': { answer: 'Up to 50%' },
-  'work.*weekends|weekend.*availability|weekend.*work|saturday.*sunday': { answer: 'Yes', selectValue: 'yes' },
-  'work.*shifts|shift.*work|rotating.*shifts|night.*shift|evening.*shift|flexible.*hours': { answer: 'Yes', selectValue: 'yes' },
-  'overtime|extra.*hours|additional.*hours|extended.*hours': { answer: 'Yes', selectValue: 'yes' },
-  'on-call|on call|standby|pager.*duty|after.*hours.*support': { answer: 'Yes', selectValue: 'yes' },
-  'flexible.*schedule|flexible.*working|hybrid.*work|remote.*work|work.*from.*home': { answer: 'Yes', selectValue: 'yes' },
-  'full-time|full time|permanent.*position|permanent.*role': { answer: 'Yes', selectValue: 'yes' },
-  
-  // PREVIOUS EMPLOYMENT
-  'employed by.*llc|employed by.*company|worked.*before|previous.*employee|ever been employed|formerly employed|worked.*previously': { answer: 'No', selectValue: 'no' },
-  'referred by|employee referral|know anyone|current employee.*refer|referral.*source': { answer: 'No', selectValue: 'no' },
-  'applied.*before|previously.*applied|past.*application|former.*applicant': { answer: 'No', selectValue: 'no' },
-  'interview.*before|interviewed.*previously': { answer: 'No', selectValue: 'no' },
-  
-  // LEGAL & AGREEMENTS
-  'terms and conditions|agree.*terms|certification|certify|read and agree|responding.*yes.*certify|acknowledge|attestation': { answer: 'Yes', selectValue: 'yes' },
-  'non-compete|non-disclosure|nda|confidentiality|confidential.*agreement|proprietary.*agreement': { answer: 'Yes', selectValue: 'yes' },
-  'agree.*policy|accept.*terms|consent.*processing|consent.*data|privacy.*consent|gdpr.*consent': { answer: 'Yes', selectValue: 'yes' },
-  'truthful.*information|accurate.*information|certify.*accurate|information.*true': { answer: 'Yes', selectValue: 'yes' },
-  'at-will.*employment|at will.*employment|employment.*at-will': { answer: 'Yes', selectValue: 'yes' },
-  
-  // CRIMINAL HISTORY
-  'convicted.*felony|criminal.*conviction|been convicted|pleaded guilty|pending.*charges|criminal.*record|arrest.*record': { answer: 'No', selectValue: 'no' },
-  'misdemeanor|criminal.*offense|criminal.*history': { answer: 'No', selectValue: 'no' },
-  
-  // SECURITY CLEARANCE
-  'security clearance|clearance.*level|active.*clearance|current.*clearance|secret.*clearance|top secret|ts/sci|public trust': { answerFromProfile: 'security_clearance', defaultAnswer: 'No, but willing to obtain' },
-  'obtain.*clearance|eligible.*clearance|pass.*clearance|clearance.*investigation': { answer: 'Yes', selectValue: 'yes' },
-  
-  // EEO & DEMOGRAPHICS - with profile-based answers
-  'veteran status|military service|protected veteran|veteran.*self|served.*military|us.*veteran|armed forces|vevraa': { answerFromProfile: 'veteran_status', defaultAnswer: 'I am not a protected veteran', selectValue: 'i am not a protected veteran' },
-  'disability status|disabled|have.*disability|disability.*self|individual.*disability|form cc-305|voluntary.*disability': { answerFromProfile: 'disability', defaultAnswer: 'I do not wish to answer', selectValue: 'i do not wish to answer' },
-  'race|ethnicity|ethnic background|race.*ethnicity|racial.*identity|racial.*ethnic|african.*american|asian|caucasian|hispanic.*latino|white|black': { answerFromProfile: 'race_ethnicity', defaultAnswer: 'Decline to self-identify', selectValue: 'decline' },
-  'gender|sex|male.*female|gender.*identity|what is your gender|your gender': { answerFromProfile: 'gender', defaultAnswer: 'Male', selectValue: 'male' },
-  'hispanic.*latino|latino.*hispanic|are you hispanic|hispanic or latino': { answerFromProfile: 'hispanic_latino', defaultAnswer: 'No', selectValue: 'no' },
-  'sexual orientation|lgbtq|lgbtqia': { answer: 'Prefer not to answer', selectValue: 'prefer not to answer' },
-  
-  // COMPANY-SPECIFIC QUESTIONS
-  'worked.*microsoft|ever worked for microsoft|microsoft.*employee|microsoft.*vendor|employee or vendor.*microsoft': { answer: 'No', selectValue: 'no' },
-  'worked.*google|ever worked.*google|google.*employee': { answer: 'No', selectValue: 'no' },
-  'worked.*amazon|ever worked.*amazon|amazon.*employee': { answer: 'No', selectValue: 'no' },
-  'worked.*apple|ever worked.*apple|apple.*employee': { answer: 'No', selectValue: 'no' },
-  'worked.*meta|worked.*facebook|ever worked.*meta|meta.*employee': { answer: 'No', selectValue: 'no' },
-
-  // LOCATION & IDENTITY (auto-fill from profile)
-  '^country$|choose.*country|country.*located|country.*residence|current.*country|please choose the country': { answerFromProfile: 'country', defaultAnswer: 'United States' },
-  '^location \(city\)$|city of residence|current city|location \(city\)': { answerFromProfile: 'city', defaultAnswer: 'Remote' },
-  'pronouns|what pronouns': { customHandler: 'pronouns', defaultAnswer: 'They/Them' },
-
-  // REGION / LANGUAGE ELIGIBILITY
-  'are you based in europe|based in europe|located in europe': { customHandler: 'basedInEurope', defaultAnswer: 'No' },
-  'do you speak german|speak german|german language': { customHandler: 'speakGerman', defaultAnswer: 'No' },
-
-  // CONSENT / ACKNOWLEDGEMENTS (short labels often used by ATS)
-  '^privacy notice$|privacy notice|privacy policy': { answer: 'Yes', selectValue: 'yes' },
-  'transparency|committed to transparency|committed to innovation': { answer: 'Yes', selectValue: 'yes' },
-
-  // WORK ELIGIBILITY (short labels)
-  'work eligibility': { answer: 'Yes', selectValue: 'yes' },
-
-  // ROLE-SPECIFIC SCREENERS (best-effort automation)
-  'high growth b2b tech saas|high-growth b2b|b2b saas': { customHandler: 'b2bSaas', defaultAnswer: 'Yes' },
-  'solutions consulting|solution consulting': { customHandler: 'solutionsConsulting', defaultAnswer: 'Yes' },
-
-  // U.S. CITIZENSHIP - Security Requirements
-  'u\\.s\\. citizen|us citizen|united states citizen|american citizen|citizenship.*u\\.s|require.*u\\.s\\. citizenship|security requirements.*u\\.s': { answer: 'No', selectValue: 'no' },
-
-  // GREENHOUSE SPECIFIC
-  'are you legally.*18|confirm.*legal age|minimum.*working age': { answer: 'Yes', selectValue: 'yes' },
-  'linkedin.*profile|linkedin url|linkedin.*url': { answerFromProfile: 'linkedin' },
-  'github.*profile|github url|github.*url': { answerFromProfile: 'github' },
-  'portfolio.*url|website.*url|personal.*website': { answerFromProfile: 'portfolio' },
-  
-  // GREENHOUSE LOCATION QUESTIONS
-  'where would you like to be based|where.*based|prefer.*location|preferred.*office|work.*location.*preference|which.*location|office.*location': { answerFromProfile: 'city', defaultAnswer: 'Remote' },
-  
-  // US PERSON QUESTION (Monzo-style)
-  'are you a us person|us person|born.*united states|parent.*born.*us|naturalised citizen.*us|green card.*holder|us tax resident': { answer: 'No', selectValue: 'no' },
-  
-  // UK RIGHT TO WORK
-  'uk right to work|right to work.*uk|right to work status|confirm.*uk.*right.*work|uk work.*status|work.*uk.*status': { answer: 'Require sponsorship - Skilled Worker', selectValue: 'require sponsorship' },
-  
-  // UK/EU SPECIFIC WORK AUTHORIZATION
-  'settled status|pre-settled status|share code|biometric residence': { answer: 'Require sponsorship - Skilled Worker', selectValue: 'require sponsorship' },
-  'uk.*citizen|british citizen|irish citizen|eu citizen.*uk': { answer: 'No', selectValue: 'no' },
-  
-  // NEURODIVERGENT / DIVERSITY QUESTIONS
-  'neurodivergent|neurodiverse|adhd|autism|dyslexia|consider yourself.*neurodivergent': { answer: 'I do not wish to answer', selectValue: 'i do not wish to answer' },
-  'transgender|identify as transgender|gender identity.*transgender': { answer: 'I do not wish to answer', selectValue: 'i do not wish to answer' },
-  
-  // CANDIDATE DATA PRIVACY
-  'candidate data privacy|data privacy notice|keeping.*data safe|privacy.*notice.*confirm|looked at.*privacy': { answer: 'Yes', selectValue: 'yes' },
-  
-  // PRONUNCIATION / NAME
-  'spell out your name|name.*pronounced|pronunciation|how.*say.*name': { answer: '' },
-
-  // WORKDAY SPECIFIC
-  'have you ever worked for|previously.*employed.*by|past.*employment.*with': { answer: 'No', selectValue: 'no' },
-  'current.*employment.*status|employment.*status|work.*status': { answer: 'Currently Employed', selectValue: 'employed' },
-
-  // LEVER SPECIFIC
-  'how did you hear|where did you find|source.*application|how.*learn.*position': { answer: 'Company Website', selectValue: 'company website' },
-  'why.*interested|interest.*role|interest.*position|attracted.*role': { answer: 'I am passionate about this opportunity and believe my skills align perfectly with the requirements.' },
-
-  // iCIMS SPECIFIC
-  'shift.*preference|preferred.*shift|work.*schedule.*preference': { answer: 'Flexible/Any', selectValue: 'flexible' },
-
-  // TALEO SPECIFIC
-  'country.*residence|residing.*country|current.*country': { answerFromProfile: 'country', defaultAnswer: 'United States' },
-  
-  // EDUCATION
-  'highest.*degree|degree.*obtained|education.*level|completed.*degree|highest.*education': { answerFromProfile: 'highest_education', defaultAnswer: "Bachelor's Degree" },
-  'bachelor.*degree|undergraduate.*degree|college.*degree|university.*degree': { answer: 'Yes', selectValue: 'yes' },
-  'master.*degree|graduate.*degree|advanced.*degree|mba|ms degree|ma degree': { answer: 'No', selectValue: 'no' },
-  'gpa|grade point|academic.*average': { answer: '3.5' },
-  
-  // CERTIFICATIONS
-  'certification.*required|required.*certification|professional.*certification|industry.*certification': { answer: 'Yes', selectValue: 'yes' },
-  'license.*required|professional.*license|state.*license': { answer: 'Yes', selectValue: 'yes' },
-  
-  // SKILLS
-  'proficiency.*level|skill.*level|expertise.*level|experience.*level': { answer: 'Expert', selectValue: 'expert' },
-  'years.*total.*experience|total.*years.*experience|overall.*experience': { answerFromProfile: 'total_experience', defaultAnswer: '8' },
-  
-  // SALARY
-  'salary.*expectation|expected.*salary|desired.*salary|salary.*requirement|compensation.*expectation|pay.*expectation|desired.*pay|pay.*range|salary.*range': { answerFromProfile: 'expected_salary', defaultAnswer: '$75,000 - $95,000' },
-  'current.*salary|present.*salary|current.*compensation|base.*salary': { answerFromProfile: 'current_salary', defaultAnswer: 'Prefer not to disclose' },
-  'hourly.*rate|rate.*per hour|hourly.*expectation': { answer: 'Negotiable based on total compensation' },
-  'bonus.*eligible|variable.*compensation|commission': { answer: 'Yes', selectValue: 'yes' },
-  
-  // LANGUAGE
-  'english.*proficiency|speak.*english|english.*fluent|english.*language': { answer: 'Fluent/Native', selectValue: 'fluent' },
-  'spanish.*proficiency|speak.*spanish|spanish.*language': { answer: 'Intermediate', selectValue: 'intermediate' },
-  'language.*proficiency|fluent.*language|speak.*language': { answer: 'English (Fluent)' },
-  
-  // CONTACT PREFERENCES
-  'contact.*method|preferred.*contact|best way.*reach|how.*contact': { answer: 'Email', selectValue: 'email' },
-  'best.*time.*call|call.*time|when.*call': { answer: 'Anytime during business hours' },
-  
-  // ADDITIONAL
-  'conflict.*interest|competing.*interest|outside.*employment': { answer: 'No', selectValue: 'no' },
-  'relative.*employee|family.*works|related.*anyone': { answer: 'No', selectValue: 'no' },
-  'government.*employee|public.*sector|federal.*employee': { answer: 'No', selectValue: 'no' },
-  'union.*member|belong.*union|represented.*union': { answer: 'No', selectValue: 'no' },
-  'equipment.*use|tools.*own|required.*equipment|personal.*tools': { answer: 'Yes', selectValue: 'yes' },
-  'computer.*proficient|technology.*skills|software.*skills': { answer: 'Yes', selectValue: 'yes' },
-  
-  // OVERTIME & SHIFT AVAILABILITY
-  'willing.*overtime|work.*overtime|overtime.*available|extra.*hours|additional.*hours|extended.*hours|long.*hours': { answer: 'Yes', selectValue: 'yes' },
-  'shift.*availability|available.*shifts|work.*any.*shift|all.*shifts|shift.*preference': { answer: 'Flexible/Any Shift', selectValue: 'flexible' },
-  'night.*shift.*available|evening.*shift|graveyard.*shift|swing.*shift': { answer: 'Yes', selectValue: 'yes' },
-  'weekend.*availability|work.*saturdays|work.*sundays|available.*weekends|saturday.*sunday': { answer: 'Yes', selectValue: 'yes' },
-  'holiday.*work|work.*holidays|available.*holidays': { answer: 'Yes', selectValue: 'yes' },
-  'flexible.*hours|flexible.*schedule|varied.*schedule|irregular.*hours': { answer: 'Yes', selectValue: 'yes' },
-  'rotating.*shift|rotating.*schedule': { answer: 'Yes', selectValue: 'yes' },
-  'on-call.*availability|standby.*duty|emergency.*call|after.*hours.*availability': { answer: 'Yes', selectValue: 'yes' },
-  
-  // CERTIFICATIONS REQUIRED
-  'certification.*required|required.*certification|hold.*certification|possess.*certification|valid.*certification': { answer: 'Yes', selectValue: 'yes' },
-  'willing.*obtain.*certification|obtain.*required.*certification|get.*certified': { answer: 'Yes', selectValue: 'yes' },
-  'professional.*license|state.*license|license.*required|licensed.*professional': { answer: 'Yes', selectValue: 'yes' },
-  'aws.*certified|azure.*certified|google.*certified|cloud.*certified': { answer: 'Yes', selectValue: 'yes' },
-  'pmp.*certified|scrum.*master|agile.*certified|itil.*certified': { answer: 'Yes', selectValue: 'yes' },
-  'cpa.*certified|cfa.*chartered|series.*7|finra|licensed.*broker': { answer: 'Yes, if applicable', selectValue: 'yes' },
-  'first.*aid|cpr.*certified|safety.*training|osha.*certified': { answer: 'Yes', selectValue: 'yes' },
-  
-  // PHYSICAL REQUIREMENTS
-  'lift.*25.*pounds|lift.*50.*pounds|lift.*75.*pounds|heavy.*lifting|physically.*demanding': { answer: 'Yes', selectValue: 'yes' },
-  'stand.*extended|stand.*long.*periods|standing.*hours|prolonged.*standing': { answer: 'Yes', selectValue: 'yes' },
-  'sit.*extended|sit.*long.*periods|desk.*work|sedentary.*work': { answer: 'Yes', selectValue: 'yes' },
-  'climb.*ladders|work.*heights|height.*comfortable|elevated.*platforms': { answer: 'Yes', selectValue: 'yes' },
-  'outdoor.*weather|inclement.*weather|outdoor.*conditions|work.*outside': { answer: 'Yes', selectValue: 'yes' },
-  'repetitive.*motion|repetitive.*tasks|manual.*dexterity': { answer: 'Yes', selectValue: 'yes' },
-  
-  // TEAM & ENVIRONMENT
-  'team.*environment|work.*team|collaborative.*environment|teamwork': { answer: 'Yes', selectValue: 'yes' },
-  'independent.*work|work.*independently|self-directed|autonomous.*work|minimal.*supervision': { answer: 'Yes', selectValue: 'yes' },
-  'fast-paced.*environment|high.*pressure|deadline.*driven|time.*sensitive': { answer: 'Yes', selectValue: 'yes' },
-  'customer.*facing|client.*interaction|public.*contact|customer.*service': { answer: 'Yes', selectValue: 'yes' },
-  'remote.*work.*capable|work.*from.*home|virtual.*work|telecommute': { answer: 'Yes', selectValue: 'yes' },
-  'hybrid.*work|in-office.*days|office.*attendance': { answer: 'Yes', selectValue: 'yes' },
-  
-  // ADDITIONAL COMMON QUESTIONS
-  'emergency.*contact|emergency.*situation|available.*emergency': { answer: 'Yes', selectValue: 'yes' },
-  'social.*media.*presence|professional.*social|online.*presence': { answer: 'Yes', selectValue: 'yes' },
-  'public.*speaking|presentation.*skills|speak.*groups': { answer: 'Yes', selectValue: 'yes' },
-  'training.*others|mentor.*others|coach.*team|train.*new.*employees': { answer: 'Yes', selectValue: 'yes' },
-  'feedback.*receptive|accept.*feedback|constructive.*criticism': { answer: 'Yes', selectValue: 'yes' },
-  'multi-task|multitask|multiple.*priorities|juggle.*tasks': { answer: 'Yes', selectValue: 'yes' },
-  'attention.*detail|detail.*oriented|meticulous|accuracy': { answer: 'Yes', selectValue: 'yes' },
-  'problem.*solving|analytical.*thinking|critical.*thinking': { answer: 'Yes', selectValue: 'yes' },
-  'leadership.*experience|lead.*team|supervisory.*experience|management.*experience': { answer: 'Yes', selectValue: 'yes' }
-};
-
-// Match knockout question with profile-aware answers
-function matchKnockoutQuestion(questionText, userProfile = null) {
-  const lowerQuestion = questionText.toLowerCase().trim();
-  
-  for (const [pattern, response] of Object.entries(KNOCKOUT_ANSWER_BANK)) {
-    const regex = new RegExp(pattern, 'i');
-    if (regex.test(lowerQuestion)) {
-      // Custom handlers (derived from profile)
-      if (response.customHandler) {
-        const handler = response.customHandler;
-
-        const gender = (userProfile?.gender || '').toString().toLowerCase();
-        const country = (userProfile?.country || '').toString();
-        const city = (userProfile?.city || '').toString();
-        const languagesRaw = userProfile?.languages;
-        const languages = Array.isArray(languagesRaw)
-          ? languagesRaw.map((l) => (typeof l === 'string' ? l : l?.name || l?.language || '')).join(', ')
-          : (languagesRaw ? String(languagesRaw) : '');
-        const languagesLower = languages.toLowerCase();
-
-        const workExpText = Array.isArray(userProfile?.work_experience)
-          ? userProfile.work_experience
-              .map((e) => `${e?.title || ''} ${e?.company || ''} ${e?.description || ''} ${(e?.bullets || []).join(' ')}`)
-              .join(' ')
-              .toLowerCase()
-          : '';
-
-        if (handler === 'pronouns') {
-          if (gender.includes('male')) return { answer: 'He/Him', selectValue: 'he/him' };
-          if (gender.includes('female')) return { answer: 'She/Her', selectValue: 'she/her' };
-          return { answer: 'They/Them', selectValue: 'they/them' };
-        }
+// ============= ANSWER BANK =============
+// Screening questions (sponsorship, notice period, EEO...) are answered only
+// from the answers the user approved in their answer bank; utils/answer-bank.js
+// resolves them against the job's country and title. A screening question
+// without an approved answer is left blank and flagged, never guessed.
 
-        if (handler === 'basedInEurope') {
-          const euCountries = [
-            'ireland','united kingdom','uk','germany','france','spain','italy','netherlands','belgium','sweden','norway','denmark','finland','switzerland','austria','portugal','poland','czech','czech republic','romania','bulgaria','greece','hungary','slovakia','slovenia','croatia','serbia','bosnia','estonia','latvia','lithuania'
-          ];
-          const c = country.toLowerCase();
-          const isEu = !!c && euCountries.some((x) => c.includes(x));
-          return { answer: isEu ? 'Yes' : (response.defaultAnswer || 'No'), selectValue: isEu ? 'yes' : 'no' };
-        }
+let answerBankCache = null;
 
-        if (handler === 'speakGerman') {
-          const speaks = languagesLower.includes('german') || languagesLower.includes('deutsch');
-          return { answer: speaks ? 'Yes' : (response.defaultAnswer || 'No'), selectValue: speaks ? 'yes' : 'no' };
-        }
+async function loadAnswerBank() {
+  if (answerBankCache) return answerBankCache;
 
-        if (handler === 'b2bSaas') {
-          const has = /saas|b2b|enterprise/.test(workExpText);
-          return { answer: has ? 'Yes' : (response.defaultAnswer || 'Yes'), selectValue: 'yes' };
-        }
+  const data = await chrome.storage.local.get(['accessToken', 'userId']);
+  if (!data.accessToken || !data.userId) return [];
 
-        if (handler === 'solutionsConsulting') {
-          const has = /solutions consult|solution consult|consultant|pre-sales|presales|sales engineer|sales engineering/.test(workExpText);
-          return { answer: has ? 'Yes' : (response.defaultAnswer || 'Yes'), selectValue: 'yes' };
+  try {
+    const response = await fetch(
+      `${SUPABASE_URL}/rest/v1/answer_bank?user_id=eq.${data.userId}&approved=eq.true&select=question_key,answer,select_value,country,job_scope,approved`,
+      {
+        headers: {
+          'apikey': SUPABASE_KEY,
+          'Authorization': `Bearer ${data.accessToken}`
         }
-
-        return { answer: response.defaultAnswer || 'Yes', selectValue: (response.defaultAnswer || 'yes').toLowerCase() };
       }
+    );
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    answerBankCache = await response.json();
+    return answerBankCache;
+  } catch (error) {
+    console.error('QuantumHire AI: Failed to load answer bank', error);
+    return [];
+  }
+}
 
-      if (response.answerFromProfile && userProfile) {
-        const profileField = response.answerFromProfile;
-
-        // Try multiple field name formats
-        let profileValue = userProfile[profileField]
-          || userProfile[profileField.replace(/_/g, '')]
-          || userProfile[toCamelCase(profileField)]
-          || userProfile[profileField.toLowerCase()];
-
-        // Special handling for EEO fields with specific value mapping
-        if (profileValue !== null && profileValue !== undefined && profileValue !== '') {
-          // Handle boolean fields
-          if (typeof profileValue === 'boolean') {
-            // Special mapping for veteran status
-            if (profileField === 'veteran_status') {
-              return {
-                answer: profileValue ? 'I identify as one or more of the classifications of protected veteran' : 'I am not a protected veteran',
-                selectValue: profileValue ? 'protected veteran' : 'i am not a protected veteran'
-              };
-            }
-            // Special mapping for disability
-            if (profileField === 'disability') {
-              return {
-                answer: profileValue ? 'Yes, I have a disability' : 'No, I do not have a disability',
-                selectValue: profileValue ? 'yes' : 'no'
-              };
-            }
-            // Special mapping for hispanic/latino
-            if (profileField === 'hispanic_latino') {
-              return {
-                answer: profileValue ? 'Yes' : 'No',
-                selectValue: profileValue ? 'yes' : 'no'
-              };
-            }
-            // Generic boolean
-            return { answer: profileValue ? 'Yes' : 'No', selectValue: profileValue ? 'yes' : 'no' };
-          }
-
-          // Handle string values with smart matching for dropdown values
-          const stringValue = String(profileValue);
-          const lowerValue = stringValue.toLowerCase();
-
-          // Special handling for race/ethnicity to match common dropdown options
-          if (profileField === 'race_ethnicity') {
-            const raceMapping = {
-              'black or african american': { answer: 'Black or African American', selectValue: 'black' },
-              'black': { answer: 'Black or African American', selectValue: 'black' },
-              'african american': { answer: 'Black or African American', selectValue: 'black' },
-              'white': { answer: 'White', selectValue: 'white' },
-              'caucasian': { answer: 'White', selectValue: 'white' },
-              'asian': { answer: 'Asian', selectValue: 'asian' },
-              'hispanic': { answer: 'Hispanic or Latino', selectValue: 'hispanic' },
-              'latino': { answer: 'Hispanic or Latino', selectValue: 'hispanic' },
-              'two or more races': { answer: 'Two or More Races', selectValue: 'two or more' },
-              'native american': { answer: 'American Indian or Alaska Native', selectValue: 'native american' },
-              'pacific islander': { answer: 'Native Hawaiian or Other Pacific Islander', selectValue: 'pacific islander' },
-              'decline': { answer: 'Decline to self-identify', selectValue: 'decline' }
-            };
-            const mapped = Object.entries(raceMapping).find(([key]) => lowerValue.includes(key));
-            if (mapped) return mapped[1];
-          }
-
-          // Special handling for gender
-          if (profileField === 'gender') {
-            const genderMapping = {
-              'male': { answer: 'Male', selectValue: 'male' },
-              'm': { answer: 'Male', selectValue: 'male' },
-              'female': { answer: 'Female', selectValue: 'female' },
-              'f': { answer: 'Female', selectValue: 'female' },
-              'non-binary': { answer: 'Non-binary', selectValue: 'non-binary' },
-              'other': { answer: 'Other', selectValue: 'other' },
-              'prefer not': { answer: 'Prefer not to answer', selectValue: 'prefer not to answer' },
-              'decline': { answer: 'Decline to self-identify', selectValue: 'decline' }
-            };
-            const mapped = Object.entries(genderMapping).find(([key]) => lowerValue.includes(key));
-            if (mapped) return mapped[1];
-          }
-
-          return { answer: stringValue, selectValue: lowerValue };
-        }
+// { status: 'answered', answer, selectValue } or { status: 'flagged', question }
+// for screening questions; null for anything else. Authorization questions
+// are answered for the job's country from the profile's work_authorizations.
+function answerFromBank(questionText, answerBank, jobData, userProfile) {
+  if (!window.AnswerBank) return null;
+  return window.AnswerBank.resolveAnswer(questionText, answerBank || [], {
+    country: window.AnswerBank.jobCountry(jobData?.location),
+    location: jobData?.location,
+    jobTitle: jobData?.title,
+    company: jobData?.company,
+    authorizations: window.AnswerBank.parseWorkAuthorizations(userProfile?.work_authorizations)
+  }) || null;
+}
 
-        // Use default answer if no profile value
-        return { answer: response.defaultAnswer || 'Yes', selectValue: (response.defaultAnswer || 'yes').toLowerCase() };
-      }
-      return { answer: response.answer, selectValue: response.selectValue || (response.answer ? response.answer.toLowerCase() : 'yes') };
-    }
+const EUROPEAN_COUNTRIES = [
+  'ireland', 'united kingdom', 'uk', 'germany', 'france', 'spain', 'italy', 'netherlands', 'belgium', 'sweden', 'norway',
+  'denmark', 'finland', 'switzerland', 'austria', 'portugal', 'poland', 'czech', 'romania', 'bulgaria', 'greece', 'hungary',
+  'slovakia', 'slovenia', 'croatia', 'serbia', 'bosnia', 'estonia', 'latvia', 'lithuania'
+];
+
+// Factual questions the profile answers directly. Null when the profile
+// doesn't say: no defaults.
+function matchProfileQuestion(questionText, userProfile) {
+  if (!userProfile) return null;
+  const q = questionText.toLowerCase().trim();
+  const value = (text) => (text ? { answer: String(text), selectValue: String(text).toLowerCase() } : null);
+  const yesNo = (yes) => ({ answer: yes ? 'Yes' : 'No', selectValue: yes ? 'yes' : 'no' });
+
+  if (/^country$|choose.*country|country.*located|country.*residence|residing.*country|current.*country|please choose the country/.test(q)) {
+    return value(userProfile.country);
+  }
+  if (/^location \(city\)$|city of residence|current city|location \(city\)/.test(q)) return value(userProfile.city);
+  if (/linkedin.*profile|linkedin url|linkedin.*url/.test(q)) return value(userProfile.linkedin);
+  if (/github.*profile|github url|github.*url/.test(q)) return value(userProfile.github);
+  if (/portfolio.*url|website.*url|personal.*website/.test(q)) return value(userProfile.portfolio);
+
+  if (/based in europe|located in europe/.test(q)) {
+    const country = (userProfile.country || '').toLowerCase();
+    return country ? yesNo(EUROPEAN_COUNTRIES.some((c) => country.includes(c))) : null;
+  }
+  if (/speak german|german language/.test(q)) {
+    const languages = Array.isArray(userProfile.languages) ? userProfile.languages : [];
+    if (!languages.length) return null;
+    const names = languages.map((l) => (typeof l === 'string' ? l : l?.name || l?.language || '')).join(' ').toLowerCase();
+    return yesNo(names.includes('german') || names.includes('deutsch'));
   }
   return null;
 }
 
-function toCamelCase(str) {
-  return str.replace(/_([a-z])/g, (g) => g[1].toUpperCase());
-}
-
 function getExperienceYears(skillName, userProfile) {
   if (!userProfile?.skills) return 8;
   const skills = Array.isArray(userProfile.skills) ? userProfile.skills : [];
@@ -1119,13 +811,6 @@ function getExperienceYears(skillName, userProfile) {
   return Math.min(parseInt(userProfile.total_experience) || 8, 8);
 }
 
-function getSalaryAnswer(questionText, jobData, userProfile) {
-  const jdSalaryMatch = jobData?.description?.match(/\$[\d,]+\s*[-–]\s*\$[\d,]+/);
-  if (jdSalaryMatch) return jdSalaryMatch[0];
-  if (userProfile?.expected_salary) return userProfile.expected_salary;
-  return '60,000 - 80,000';
-}
-
 // ============= STATE MANAGEMENT =============
 
 let applicationState = {
@@ -1395,11 +1080,12 @@ function findField(fieldType, platformConfig = null) {
 
 // ============= ENHANCED INPUT FILLING WITH REACT SUPPORT =============
 
-function fillField(element, value) {
-  if (!element || !value) return false;
+// overwrite: replace what the field holds (edits in the pre-submit review)
+function fillField(element, value, { overwrite = false } = {}) {
+  if (!element || (!value && !overwrite)) return false;
   
   try {
-    if (element.value && element.value.trim() !== '') return false;
+    if (!overwrite && element.value && element.value.trim() !== '') return false;
     
     const nativeInputValueSetter = Object.getOwnPropertyDescriptor(window.HTMLInputElement.prototype, 'value')?.set;
     const nativeTextareaValueSetter = Object.getOwnPropertyDescriptor(window.HTMLTextAreaElement.prototype, 'value')?.set;
@@ -1609,14 +1295,18 @@ function fillAriaCheckbox(ariaCheckboxEl, shouldCheck = true) {
   }
 }
 
+function radioOptionLabel(radio) {
+  const label = document.querySelector(`label[for="${radio.id}"]`);
+  return label?.innerText?.trim() || radio.value;
+}
+
 function fillRadioButton(radioGroup, answerValue) {
   if (!radioGroup || radioGroup.length === 0) return false;
 
   const answerLower = String(answerValue).toLowerCase().trim();
 
   for (const radio of radioGroup) {
-    const label = document.querySelector(`label[for="${radio.id}"]`);
-    const radioText = (label?.innerText?.trim() || radio.value).toLowerCase();
+    const radioText = radioOptionLabel(radio).toLowerCase();
 
     if (
       radioText.includes(answerLower) ||
@@ -1640,7 +1330,9 @@ function fillRadioButton(radioGroup, answerValue) {
 
 // ============= DETECT ALL FORM QUESTIONS =============
 
-function detectAllQuestions() {
+// includeFilled: also list text fields that already hold a value (the
+// pre-submit review lists everything)
+function detectAllQuestions({ includeFilled = false } = {}) {
   const questions = [];
   const platform = detectPlatform();
   const isWorkday = platform.name === 'workday';
@@ -1737,7 +1429,7 @@ function detectAllQuestions() {
   document.querySelectorAll('input[type="text"], input[type="number"], input[type="tel"], input[type="url"], textarea').forEach((input) => {
     if (input.offsetParent === null) return;
     // Skip already-filled fields
-    if (input.value && input.value.trim() !== '') return;
+    if (!includeFilled && input.value && input.value.trim() !== '') return;
     // Skip basic form fields that are handled separately
     if (input.type === 'email' || input.type === 'password') return;
 
@@ -1783,12 +1475,26 @@ function detectAllQuestions() {
   return questions;
 }
 
+// ============= FILL AUDIT =============
+// Where each filled value came from: profile (including the answer bank),
+// memory, pattern or AI, and how confident the filler was. Keyed by the
+// field's element (a radio group's first radio); read by the pre-submit
+// review.
+
+const fillAudit = new WeakMap();
+
+function recordFill(element, source, confidence, detail = null) {
+  if (element) fillAudit.set(element, { source, confidence, detail });
+}
+
 // ============= FILL ALL DETECTED QUESTIONS =============
 
 async function fillAllQuestions(userProfile, jobData, aiAnswers = null) {
   const questions = detectAllQuestions();
+  const answerBank = await loadAnswerBank();
   let filledCount = 0;
   const errors = [];
+  const flagged = [];
 
   const isRequiredEl = (el) => {
     if (!el) return false;
@@ -1809,10 +1515,27 @@ async function fillAllQuestions(userProfile, jobData, aiAnswers = null) {
       const labelLower = (q.label || '').toLowerCase();
       const qId = q.id || q.label;
 
-      // First try knockout answer bank
-      const knockoutMatch = matchKnockoutQuestion(q.label, userProfile);
-      let answer = knockoutMatch?.answer;
-      let selectValue = knockoutMatch?.selectValue;
+      // Screening questions: the user's approved answer, or left blank
+      const banked = answerFromBank(q.label, answerBank, jobData, userProfile);
+      if (banked?.status === 'flagged') {
+        flagged.push(q.label);
+        continue;
+      }
+      const directMatch = banked || matchProfileQuestion(q.label, userProfile);
+      let answer = directMatch?.answer;
+      let selectValue = directMatch?.selectValue;
+      // Where the answer came from, for the pre-submit review
+      let origin = null;
+      if (banked) {
+        const scope = banked.scope ? ` (${banked.scope})` : '';
+        origin = {
+          source: 'profile',
+          confidence: 'high',
+          detail: banked.source === 'authorization' ? `Work authorization${scope}` : `Answer bank: ${banked.question.label}${scope}`
+        };
+      } else if (directMatch) {
+        origin = { source: 'profile', confidence: 'high', detail: 'Profile' };
+      }
 
       // Check AI answers - handle both object and string formats
       if (!answer && aiAnswers) {
@@ -1822,60 +1545,69 @@ async function fillAllQuestions(userProfile, jobData, aiAnswers = null) {
           if (typeof aiAnswer === 'string') {
             answer = aiAnswer;
             selectValue = aiAnswer.toLowerCase();
+            origin = { source: 'ai', confidence: null, detail: null };
           } else if (aiAnswer.answer) {
             answer = aiAnswer.answer;
             selectValue = aiAnswer.selectValue || aiAnswer.answer.toLowerCase();
+            origin = {
+              source: aiAnswer.fromMemory ? 'memory' : aiAnswer.directAnswer ? 'pattern' : 'ai',
+              confidence: aiAnswer.confidence || null,
+              detail: aiAnswer.reasoning || null
+            };
           }
         }
       }
 
       // Special handling for specific question types
       if (!answer) {
-        // Salary questions
-        if (labelLower.match(/salary|pay range|compensation|expected.*pay|desired pay/)) {
-          answer = getSalaryAnswer(q.label, jobData, userProfile);
-        }
         // Years of experience
-        else if (labelLower.match(/years.*experience|how many years|experience.*years/i)) {
+        if (labelLower.match(/years.*experience|how many years|experience.*years/i)) {
           const skillMatch = q.label.match(/experience\s+(?:in|with|using)?\s*([a-zA-Z+#.\s]+)/i);
           answer = skillMatch ? String(getExperienceYears(skillMatch[1].trim(), userProfile)) : (userProfile?.total_experience || '8');
+          origin = { source: 'pattern', confidence: 'medium', detail: skillMatch ? `Years with ${skillMatch[1].trim()} from your skills` : 'Total experience' };
         }
         // Profile-based answers
         else if (labelLower.match(/linkedin/)) answer = userProfile?.linkedin || '';
         else if (labelLower.match(/github/)) answer = userProfile?.github || '';
         else if (labelLower.match(/portfolio|website/)) answer = userProfile?.portfolio || '';
-        else if (labelLower.match(/highest.*education|education.*level/)) answer = userProfile?.highest_education || "Bachelor's Degree";
         // Non-essential questions: auto N/A
-        else if (shouldAutoNA(q)) answer = 'N/A';
+        else if (shouldAutoNA(q)) {
+          answer = 'N/A';
+          origin = { source: 'pattern', confidence: 'medium', detail: 'Optional field' };
+        }
+        if (answer && !origin) origin = { source: 'profile', confidence: 'high', detail: 'Profile' };
       }
 
       if (!answer) continue;
 
       // Fill based on question type
+      let filled = false;
       if (q.type === 'select') {
-        const ok = fillDropdown(q.element, selectValue || answer);
-        if (ok) filledCount++;
-        else errors.push({ question: q.label, error: 'No matching dropdown option' });
+        filled = fillDropdown(q.element, selectValue || answer);
+        if (!filled) errors.push({ question: q.label, error: 'No matching dropdown option' });
       } else if (q.type === 'workday-dropdown') {
         // Use Workday-specific dropdown filler
-        const ok = await fillWorkdayDropdown(q.element, selectValue || answer);
-        if (ok) filledCount++;
-        else errors.push({ question: q.label, error: 'No matching Workday dropdown option' });
+        filled = await fillWorkdayDropdown(q.element, selectValue || answer);
+        if (!filled) errors.push({ question: q.label, error: 'No matching Workday dropdown option' });
       } else if (q.type === 'combobox') {
-        const ok = await fillComboBox(q.element, selectValue || answer);
-        if (ok) filledCount++;
-        else errors.push({ question: q.label, error: 'No matching combobox option' });
+        filled = await fillComboBox(q.element, selectValue || answer);
+        if (!filled) errors.push({ question: q.label, error: 'No matching combobox option' });
       } else if (q.type === 'checkbox') {
         const shouldCheck = ['yes', 'true', 'agree', 'i agree', 'accept', 'confirm'].some((v) => String(answer).toLowerCase().includes(v));
-        if (fillCheckbox(q.element, shouldCheck)) filledCount++;
+        filled = fillCheckbox(q.element, shouldCheck);
       } else if (q.type === 'aria-checkbox') {
         const shouldCheck = ['yes', 'true', 'agree', 'i agree', 'accept', 'confirm'].some((v) => String(answer).toLowerCase().includes(v));
-        if (fillAriaCheckbox(q.element, shouldCheck)) filledCount++;
+        filled = fillAriaCheckbox(q.element, shouldCheck);
       } else if (q.type === 'radio') {
-        if (fillRadioButton(q.elements, answer)) filledCount++;
-        else errors.push({ question: q.label, error: 'No matching radio option' });
+        filled = fillRadioButton(q.elements, answer);
+        if (!filled) errors.push({ question: q.label, error: 'No matching radio option' });
       } else if (q.type === 'text') {
-        if (fillField(q.element, answer)) filledCount++;
+        filled = fillField(q.element, answer);
+      }
+
+      if (filled) {
+        filledCount++;
+        recordFill(q.element || q.elements[0], origin.source, origin.confidence, origin.detail);
       }
     } catch (error) {
       console.error(`QuantumHire AI: Error filling "${q.label}"`, error);
@@ -1883,8 +1615,12 @@ async function fillAllQuestions(userProfile, jobData, aiAnswers = null) {
     }
   }
 
+  if (flagged.length > 0) {
+    console.log('QuantumHire AI: Left for you (no approved answer in your answer bank):', flagged);
+    showToast(`⚠️ ${flagged.length} screening question${flagged.length === 1 ? '' : 's'} left blank - add answers on your Profile page`, 'warning');
+  }
   console.log(`QuantumHire AI: Filled ${filledCount}/${questions.length} questions. Errors:`, errors);
-  return { filledCount, totalQuestions: questions.length, errors };
+  return { filledCount, totalQuestions: questions.length, errors, flagged };
 }
 
 // ============= PDF GENERATION =============
@@ -2334,8 +2070,23 @@ function clickPossibleConfirmButton(uploadRoot) {
   return false;
 }
 
-// Upload PDF to standard file input (and confirm if the ATS requires an extra step)
-async function uploadPDFToInput(fileInput, pdfBase64, fileName, uploadRoot = null) {
+// What the resume was generated from (see generatePDF), for the pre-upload ATS check
+async function getResumeAtsExpectations() {
+  const { userProfile } = await chrome.storage.local.get(['userProfile']);
+  if (!userProfile) return {};
+  const experience = userProfile.work_experience || userProfile.workExperience;
+  const latestRole = Array.isArray(experience) ? experience[0] : null;
+  return {
+    email: userProfile.email || null,
+    phone: userProfile.phone || null,
+    title: latestRole ? latestRole.title || null : undefined,
+  };
+}
+
+// Upload PDF to standard file input (and confirm if the ATS requires an extra step).
+// With atsExpectations (resumes only), the PDF is parsed first the way an ATS
+// would read it, and is not uploaded if email, phone or latest title come back unreadable.
+async function uploadPDFToInput(fileInput, pdfBase64, fileName, uploadRoot = null, atsExpectations = null) {
   if (!fileInput || !pdfBase64) return { success: false, error: 'Missing input or PDF data' };
 
   try {
@@ -2379,6 +2130,15 @@ async function uploadPDFToInput(fileInput, pdfBase64, fileName, uploadRoot = nul
       console.warn('QuantumHire AI: PDF header check failed, but proceeding...');
     }
 
+    if (atsExpectations && window.PdfText) {
+      const atsCheck = await window.PdfText.verifyResumePdf(bytes, atsExpectations);
+      if (atsCheck.blocking.length > 0) {
+        console.error('QuantumHire AI: Resume failed the ATS parse check:', atsCheck.issues);
+        return { success: false, blocked: true, error: `Unreadable to ATS: ${atsCheck.blocking.join(', ')}`, atsCheck };
+      }
+      console.log(`QuantumHire AI: ATS parse check passed (score ${atsCheck.score}/100)`);
+    }
+
     const pdfBlob = new Blob([bytes], { type: 'application/pdf' });
     const pdfFile = new File([pdfBlob], fileName, { type: 'application/pdf', lastModified: Date.now() });
 
@@ -2510,7 +2270,7 @@ async function uploadPDFToInput(fileInput, pdfBase64, fileName, uploadRoot = nul
 }
 
 // Main PDF upload function with button-based interface support
-async function uploadPDFFile(target, pdfBase64, fileName, maxRetries = 3) {
+async function uploadPDFFile(target, pdfBase64, fileName, { maxRetries = 3, atsExpectations = null } = {}) {
   if (!pdfBase64) return { success: false, error: 'Missing PDF data' };
 
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
@@ -2538,7 +2298,7 @@ async function uploadPDFFile(target, pdfBase64, fileName, maxRetries = 3) {
 
       if (!fileInput) throw new Error('Could not find file input');
 
-      const result = await uploadPDFToInput(fileInput, pdfBase64, fileName, uploadRoot);
+      const result = await uploadPDFToInput(fileInput, pdfBase64, fileName, uploadRoot, atsExpectations);
 
       if (result.success) {
         fileInput.dataset.qhUsed = 'true';
@@ -2546,6 +2306,12 @@ async function uploadPDFFile(target, pdfBase64, fileName, maxRetries = 3) {
         return result;
       }
 
+      // The same PDF will fail the ATS check again; don't retry
+      if (result.blocked) {
+        showToast(`⛔ Not attached: ${fileName} (${result.error})`, 'error');
+        return result;
+      }
+
       throw new Error(result.error || 'Upload failed');
     } catch (error) {
       console.error(`QuantumHire AI: Upload attempt ${attempt} failed:`, error);
@@ -2560,7 +2326,8 @@ async function uploadPDFFile(target, pdfBase64, fileName, maxRetries = 3) {
 // Find and upload PDFs to all available file upload sections
 async function uploadPDFsToAllSections(resumePdfResult, coverPdfResult) {
   const sections = findFileUploadSections();
-  const results = { resumeUploaded: false, coverUploaded: false, filesUploaded: 0 };
+  const results = { resumeUploaded: false, coverUploaded: false, resumeBlocked: false, filesUploaded: 0 };
+  const resumeOptions = { atsExpectations: resumePdfResult?.success ? await getResumeAtsExpectations() : null };
   
   console.log(`QuantumHire AI: Found ${sections.length} file upload sections:`, sections.map(s => s.type));
   
@@ -2568,12 +2335,15 @@ async function uploadPDFsToAllSections(resumePdfResult, coverPdfResult) {
     const target = section.input || section.button;
     if (!target) continue;
     
-    if (section.type === 'resume' && resumePdfResult?.success && !results.resumeUploaded) {
-      const uploadResult = await uploadPDFFile(target, resumePdfResult.pdf, resumePdfResult.fileName);
+    if (section.type === 'resume' && resumePdfResult?.success && !results.resumeUploaded && !results.resumeBlocked) {
+      const uploadResult = await uploadPDFFile(target, resumePdfResult.pdf, resumePdfResult.fileName, resumeOptions);
       if (uploadResult.success) {
         results.resumeUploaded = true;
         results.filesUploaded++;
         console.log(`QuantumHire AI: ✅ Resume uploaded to section: ${section.label}`);
+      } else if (uploadResult.blocked) {
+        results.resumeBlocked = true;
+        results.atsCheck = uploadResult.atsCheck;
       }
     } else if (section.type === 'cover' && coverPdfResult?.success && !results.coverUploaded) {
       const uploadResult = await uploadPDFFile(target, coverPdfResult.pdf, coverPdfResult.fileName);
@@ -2586,7 +2356,7 @@ async function uploadPDFsToAllSections(resumePdfResult, coverPdfResult) {
   }
   
   // Fallback: look for any visible file inputs not yet used
-  if (!results.resumeUploaded && resumePdfResult?.success) {
+  if (!results.resumeUploaded && !results.resumeBlocked && resumePdfResult?.success) {
     const unusedInputs = Array.from(document.querySelectorAll('input[type="file"]:not([data-qh-used])'))
       .filter(i => i.offsetParent !== null);
     
@@ -2597,13 +2367,18 @@ async function uploadPDFsToAllSections(resumePdfResult, coverPdfResult) {
       // Skip if this looks like a cover letter field
       if (labelText.includes('cover') || parentText.includes('cover letter')) continue;
       
-      const uploadResult = await uploadPDFFile(input, resumePdfResult.pdf, resumePdfResult.fileName);
+      const uploadResult = await uploadPDFFile(input, resumePdfResult.pdf, resumePdfResult.fileName, resumeOptions);
       if (uploadResult.success) {
         results.resumeUploaded = true;
         results.filesUploaded++;
         input.dataset.qhUsed = 'true';
         break;
       }
+      if (uploadResult.blocked) {
+        results.resumeBlocked = true;
+        results.atsCheck = uploadResult.atsCheck;
+        break;
+      }
     }
   }
   
@@ -2736,12 +2511,187 @@ function isFinalPage() {
   return false;
 }
 
+// ============= PRE-SUBMIT REVIEW =============
+// Before auto-submit the user sees every detected field with its value,
+// where the value came from and how confident the filler was, and can edit
+// it in place. What they confirm is recorded with the submission
+// (application_submissions.filled_fields).
+
+const REVIEW_SOURCE_LABELS = { profile: 'Profile', memory: 'Memory', pattern: 'Pattern', ai: 'AI', manual: 'You' };
+
+function reviewElement(q) {
+  return q.element || q.elements[0];
+}
+
+// Every detected question, plus profile fields filled that don't read as questions
+function collectReviewFields() {
+  const questions = detectAllQuestions({ includeFilled: true });
+  const listed = new Set(questions.map(reviewElement));
+  document.querySelectorAll('.quantumhire-filled').forEach((el) => {
+    if (listed.has(el) || !fillAudit.has(el) || el.offsetParent === null) return;
+    if (el.tagName !== 'INPUT' && el.tagName !== 'TEXTAREA') return;
+    const label = (findLabelForInput(el) || el.getAttribute('aria-label') || el.placeholder || el.name || '').replace(/\*$/, '').trim();
+    questions.push({ type: 'text', element: el, label: label || 'Unlabelled field', id: el.id || el.name || label });
+  });
+  return questions;
+}
+
+function readQuestionValue(q) {
+  switch (q.type) {
+    case 'select':
+      return q.element.value ? (q.element.selectedOptions[0]?.text || q.element.value).trim() : '';
+    case 'checkbox':
+      return q.element.checked ? 'Checked' : 'Not checked';
+    case 'aria-checkbox':
+      return q.element.getAttribute('aria-checked') === 'true' ? 'Checked' : 'Not checked';
+    case 'radio': {
+      const checked = q.elements.find((r) => r.checked);
+      return checked ? radioOptionLabel(checked) : '';
+    }
+    case 'combobox':
+    case 'workday-dropdown':
+      return (q.element.value || q.element.innerText || '').split('\n')[0].trim();
+    default:
+      return (q.element.value || '').trim();
+  }
+}
+
+// An input for the field's value in the review; edits go straight to the page
+function createReviewEditor(q, onEdited) {
+  const applyEdit = async (value) => {
+    let ok = false;
+    if (q.type === 'select') ok = fillDropdown(q.element, value);
+    else if (q.type === 'radio') ok = fillRadioButton(q.elements, value);
+    else if (q.type === 'checkbox') ok = fillCheckbox(q.element, value);
+    else if (q.type === 'aria-checkbox') ok = fillAriaCheckbox(q.element, value);
+    else if (q.type === 'workday-dropdown') ok = await fillWorkdayDropdown(q.element, value);
+    else if (q.type === 'combobox') ok = await fillComboBox(q.element, value);
+    else ok = fillField(q.element, value, { overwrite: true });
+    if (ok) onEdited();
+    else showToast(`⚠️ Could not set "${q.label}" - edit it on the page`, 'warning');
+  };
+
+  if (q.type === 'checkbox' || q.type === 'aria-checkbox') {
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = readQuestionValue(q) === 'Checked';
+    input.addEventListener('change', () => applyEdit(input.checked));
+    return input;
+  }
+
+  if (q.type === 'select' || q.type === 'radio') {
+    const select = document.createElement('select');
+    const choices = q.type === 'select'
+      ? Array.from(q.element.options).map((o) => o.text.trim())
+      : q.elements.map(radioOptionLabel);
+    const current = readQuestionValue(q);
+    if (!current) select.appendChild(new Option('-', ''));
+    choices.filter(Boolean).forEach((choice) => select.appendChild(new Option(choice, choice, false, choice === current)));
+    select.addEventListener('change', () => select.value && applyEdit(select.value));
+    return select;
+  }
+
+  const input = document.createElement(q.element.tagName === 'TEXTAREA' ? 'textarea' : 'input');
+  input.value = readQuestionValue(q);
+  input.addEventListener('change', () => applyEdit(input.value));
+  return input;
+}
+
+// Resolves with the fields as confirmed, or null when the user cancels
+function showPreSubmitReview() {
+  document.getElementById('qh-presubmit-review')?.remove();
+  const questions = collectReviewFields();
+
+  const rows = questions.map((q) => {
+    const audit = fillAudit.get(reviewElement(q));
+    return { q, edited: false, audit };
+  });
+
+  return new Promise((resolve) => {
+    const overlay = document.createElement('div');
+    overlay.id = 'qh-presubmit-review';
+    overlay.className = 'qh-presubmit-overlay';
+    overlay.innerHTML = `
+      <div class="qh-presubmit-dialog" role="dialog" aria-modal="true" aria-labelledby="qh-presubmit-title">
+        <div class="qh-presubmit-header">
+          <div class="qh-presubmit-title" id="qh-presubmit-title">Review before submitting</div>
+          <div class="qh-presubmit-subtitle">${questions.length} fields on this page. Edit anything that isn't right; what you submit is saved to the application.</div>
+        </div>
+        <div class="qh-presubmit-list"></div>
+        <div class="qh-presubmit-actions">
+          <button class="qh-action-btn secondary" data-action="cancel">Cancel</button>
+          <button class="qh-action-btn primary" data-action="submit">Submit application</button>
+        </div>
+      </div>
+    `;
+
+    const list = overlay.querySelector('.qh-presubmit-list');
+    for (const row of rows) {
+      const item = document.createElement('div');
+      item.className = 'qh-presubmit-row';
+
+      const label = document.createElement('div');
+      label.className = 'qh-presubmit-label';
+      label.textContent = row.q.label;
+
+      const meta = document.createElement('div');
+      meta.className = 'qh-presubmit-meta';
+      const renderMeta = () => {
+        const value = readQuestionValue(row.q);
+        const hasValue = row.q.type.endsWith('checkbox') ? value === 'Checked' : !!value;
+        const source = row.edited ? 'manual' : row.audit?.source || (hasValue ? 'manual' : null);
+        const confidence = row.edited ? null : row.audit?.confidence;
+        meta.textContent = [
+          source ? REVIEW_SOURCE_LABELS[source] : 'Not filled',
+          confidence ? `${confidence} confidence` : null,
+          row.edited ? 'edited' : null
+        ].filter(Boolean).join(' \u00b7 ');
+        meta.title = (!row.edited && row.audit?.detail) || '';
+        item.classList.toggle('low', !row.edited && confidence === 'low');
+      };
+      renderMeta();
+
+      const editor = createReviewEditor(row.q, () => {
+        row.edited = true;
+        renderMeta();
+      });
+      editor.classList.add('qh-presubmit-input');
+
+      item.append(label, editor, meta);
+      list.appendChild(item);
+    }
+
+    const close = (result) => {
+      overlay.remove();
+      resolve(result);
+    };
+    overlay.querySelector('[data-action="cancel"]').addEventListener('click', () => close(null));
+    overlay.querySelector('[data-action="submit"]').addEventListener('click', () => {
+      const fields = rows
+        .map(({ q, edited, audit }) => {
+          const value = readQuestionValue(q);
+          const source = edited ? 'manual' : audit?.source || 'manual';
+          return {
+            label: q.label,
+            value,
+            source,
+            confidence: edited ? null : audit?.confidence || null,
+            detail: edited ? null : audit?.detail || null,
+            edited
+          };
+        })
+        // Unfilled fields that weren't touched aren't part of what was sent
+        .filter((field) => field.value || field.edited);
+      close(fields);
+    });
+
+    document.body.appendChild(overlay);
+  });
+}
+
 // ============= AUTO-SUBMIT APPLICATION =============
 
-async function autoSubmitApplication() {
-  console.log('QuantumHire AI: Attempting auto-submit...');
-  
-  // Find submit button
+function findSubmitButton() {
   const submitSelectors = [
     '[data-automation-id="bottom-navigation-submit-button"]',
     'button[type="submit"]:not([disabled])',
@@ -2757,12 +2707,8 @@ async function autoSubmitApplication() {
         // Make sure it's actually a submit button, not next
         if (btnText.includes('submit') || btnText === 'apply' || btnText === 'apply now' ||
             submitBtn.getAttribute('data-automation-id')?.includes('submit')) {
-          console.log('QuantumHire AI: Clicking submit button:', selector);
-          submitBtn.scrollIntoView({ block: 'center', behavior: 'smooth' });
-          await new Promise(r => setTimeout(r, 300));
-          submitBtn.click();
-          showToast('🎉 Application submitted!', 'success');
-          return { success: true, message: 'Application submitted' };
+          console.log('QuantumHire AI: Found submit button:', selector);
+          return submitBtn;
         }
       }
     } catch (e) {}
@@ -2775,16 +2721,180 @@ async function autoSubmitApplication() {
     if ((text.includes('submit') || text === 'apply' || text === 'apply now' || 
          text.includes('submit application')) && 
         !btn.disabled && btn.offsetParent !== null) {
-      console.log('QuantumHire AI: Clicking button by text:', text);
-      btn.scrollIntoView({ block: 'center', behavior: 'smooth' });
-      await new Promise(r => setTimeout(r, 300));
-      btn.click();
-      showToast('🎉 Application submitted!', 'success');
-      return { success: true, message: 'Application submitted' };
+      console.log('QuantumHire AI: Found submit button by text:', text);
+      return btn;
     }
   }
   
-  return { success: false, message: 'Submit button not found' };
+  return null;
+}
+
+async function autoSubmitApplication() {
+  console.log('QuantumHire AI: Attempting auto-submit...');
+
+  // Fields the universal engine left blank wait for the user, not for Submit
+  const pendingReview = window.UniversalATSEngine?.reviewBeforeSubmit() || [];
+  if (pendingReview.length > 0) {
+    showToast(`⚠️ ${pendingReview.length} field${pendingReview.length === 1 ? '' : 's'} left blank for your review - check them before submitting`, 'warning');
+    return { success: false, message: 'Fields need review before submitting', needsReview: pendingReview.map((item) => item.label) };
+  }
+
+  const submitBtn = findSubmitButton();
+  if (!submitBtn) return { success: false, message: 'Submit button not found' };
+
+  // Nothing is sent until the user has seen what was filled
+  const filledFields = await showPreSubmitReview();
+  if (!filledFields) {
+    showToast('Submission cancelled - the form is still filled in', 'info');
+    return { success: false, cancelled: true, message: 'Submission cancelled at review' };
+  }
+
+  return await clickSubmitAndConfirm(submitBtn, filledFields);
+}
+
+// ============= SUBMISSION EVIDENCE =============
+// A click on Submit is not proof the ATS accepted the application. Only
+// confirmation wording that was not on the form before the click is reported
+// to the record-submission function, which is what marks the application
+// 'applied'. Phrases are counted before the click, so an FAQ or footer line
+// such as "thank you for applying" that is already on the form, or on every
+// page of the site, never counts as evidence, with or without a URL change.
+
+const SUBMISSION_CONFIRMATION_PATTERNS = [
+  /thank(?:s| you) for (?:your )?appl(?:ying|ication)/i,
+  /(?:your )?application (?:has been |was )?(?:successfully )?(?:received|submitted|sent|completed)/i,
+  /we(?:'ve| have) received your application/i,
+  /application complete/i,
+  /successfully applied/i,
+];
+const PENDING_SUBMISSION_KEY = 'quantumhire_pending_submission';
+const PENDING_SUBMISSION_TTL = 2 * 60 * 1000;
+const SUBMISSION_CONFIRMATION_TIMEOUT = 15000;
+
+function submissionPageText() {
+  return (document.body?.innerText || '').replace(/\s+/g, ' ');
+}
+
+// Every confirmation phrase on the page, in page order
+function confirmationMatches(text) {
+  const matches = [];
+  for (const pattern of SUBMISSION_CONFIRMATION_PATTERNS) {
+    for (const match of text.matchAll(new RegExp(pattern.source, 'gi'))) {
+      matches.push({ phrase: match[0].toLowerCase(), index: match.index, length: match[0].length });
+    }
+  }
+  return matches.sort((a, b) => a.index - b.index);
+}
+
+// How often each confirmation phrase appears on the page before Submit is clicked
+function confirmationBaseline() {
+  const counts = {};
+  for (const { phrase } of confirmationMatches(submissionPageText())) {
+    counts[phrase] = (counts[phrase] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Confirmation text that is new since the baseline: a phrase that now
+ * appears more often than it did on the form. Returns the sentence around it.
+ */
+function findSubmissionConfirmation(baseline = {}) {
+  const text = submissionPageText();
+  const seen = {};
+  for (const match of confirmationMatches(text)) {
+    seen[match.phrase] = (seen[match.phrase] || 0) + 1;
+    if (seen[match.phrase] > (baseline[match.phrase] || 0)) {
+      const start = Math.max(0, match.index - 120);
+      return text.substring(start, match.index + match.length + 200).trim();
+    }
+  }
+  return null;
+}
+
+async function waitForSubmissionConfirmation(baseline, timeoutMs = SUBMISSION_CONFIRMATION_TIMEOUT) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const confirmationText = findSubmissionConfirmation(baseline);
+    if (confirmationText) return confirmationText;
+    await new Promise(r => setTimeout(r, 1000));
+  }
+  return null;
+}
+
+function reportSubmission(pending, confirmationText) {
+  sessionStorage.removeItem(PENDING_SUBMISSION_KEY);
+  return new Promise((resolve) => {
+    chrome.runtime.sendMessage({
+      action: 'recordSubmission',
+      applicationId: pending.applicationId || null,
+      jobUrl: pending.jobUrl,
+      platform: pending.platform,
+      submittedAt: new Date().toISOString(),
+      finalUrl: window.location.href,
+      confirmationText,
+      filledFields: pending.filledFields || [],
+    }, (response) => {
+      if (chrome.runtime.lastError || !response?.success) {
+        console.log('QuantumHire AI: Could not record submission', chrome.runtime.lastError || response?.error);
+        resolve(false);
+      } else {
+        resolve(true);
+      }
+    });
+  });
+}
+
+async function clickSubmitAndConfirm(button, filledFields = []) {
+  // Survives the navigation to the confirmation page (see checkPendingSubmission)
+  const pending = {
+    applicationId: applicationState.tailoredData?.applicationId || null,
+    jobUrl: applicationState.jobData?.url || window.location.href,
+    platform: applicationState.platform || detectPlatform().name,
+    clickedAt: Date.now(),
+    // Confirmation wording already on the form is not evidence
+    confirmationBaseline: confirmationBaseline(),
+    filledFields,
+  };
+  sessionStorage.setItem(PENDING_SUBMISSION_KEY, JSON.stringify(pending));
+
+  button.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  await new Promise(r => setTimeout(r, 300));
+  button.click();
+
+  const confirmationText = await waitForSubmissionConfirmation(pending.confirmationBaseline);
+  if (!confirmationText) {
+    showToast('⚠️ Submit clicked but no confirmation seen - please check the page', 'warning');
+    return { success: true, confirmed: false, message: 'Submit clicked, no confirmation seen' };
+  }
+
+  await reportSubmission(pending, confirmationText);
+  showToast('🎉 Application submitted!', 'success');
+  return { success: true, confirmed: true, message: 'Application submitted' };
+}
+
+// Called on page load: the submit click may have navigated to a new page
+async function checkPendingSubmission() {
+  const raw = sessionStorage.getItem(PENDING_SUBMISSION_KEY);
+  if (!raw) return;
+
+  let pending;
+  try {
+    pending = JSON.parse(raw);
+  } catch (e) {
+    sessionStorage.removeItem(PENDING_SUBMISSION_KEY);
+    return;
+  }
+  if (Date.now() - pending.clickedAt > PENDING_SUBMISSION_TTL) {
+    sessionStorage.removeItem(PENDING_SUBMISSION_KEY);
+    return;
+  }
+
+  const confirmationText = await waitForSubmissionConfirmation(pending.confirmationBaseline || {});
+  if (confirmationText) {
+    await reportSubmission(pending, confirmationText);
+    showToast('🎉 Application submitted!', 'success');
+  }
 }
 
 // ============= FULL SMART APPLY WORKFLOW =============
@@ -2822,6 +2932,10 @@ async function runSmartApplyWorkflow(options = {}) {
         if (completed) {
           return { success: true, message: 'Application submitted successfully!', pagesProcessed: currentPage };
         }
+        // The user stopped at the review: leave the page to them
+        if (submitResult.cancelled || submitResult.needsReview) {
+          return { success: false, message: submitResult.message, pagesProcessed: currentPage };
+        }
       } else {
         // Just notify user
         showToast('🎉 Application ready! Click Submit when ready.', 'success');
@@ -2896,6 +3010,8 @@ async function autofillForm(tailoredData = null, atsCredentials = null, options
   
   const results = { fields: 0, questions: 0, files: 0, resumeUploaded: false, coverUploaded: false };
   const jobData = extractJobDetails();
+  // First page seen is the posting; later pages of the form keep its URL
+  applicationState.jobData = applicationState.jobData || jobData;
   
   // Step 1: Fill basic fields
   const fieldValues = {
@@ -2919,6 +3035,7 @@ async function autofillForm(tailoredData = null, atsCredentials = null, options
     const field = findField(fieldType, platform.config);
     if (field && fillField(field, value)) {
       field.classList.add('quantumhire-filled');
+      recordFill(field, 'profile', 'high', `Profile: ${fieldType}`);
       results.fields++;
     }
   }
@@ -2927,13 +3044,15 @@ async function autofillForm(tailoredData = null, atsCredentials = null, options
   const questions = detectAllQuestions();
   let aiAnswers = {};
   
-  // First pass: identify questions that need AI answers (not matched by knockout patterns)
+  // First pass: identify questions that need AI answers (not answered by the
+  // answer bank or profile). Flagged screening questions go too, so the
+  // server records them in the bank for the user to answer.
+  const answerBank = await loadAnswerBank();
   const questionsNeedingAI = [];
   for (const q of questions) {
-    const knockoutMatch = matchKnockoutQuestion(q.label, profile);
-    if (!knockoutMatch) {
-      questionsNeedingAI.push(q);
-    }
+    const banked = answerFromBank(q.label, answerBank, jobData, profile);
+    if (banked?.status === 'answered' || (!banked && matchProfileQuestion(q.label, profile))) continue;
+    questionsNeedingAI.push(q);
   }
   
   // If we have questions that need AI and have access token, call the backend
@@ -2962,6 +3081,7 @@ async function autofillForm(tailoredData = null, atsCredentials = null, options
           jobTitle: jobData.title || 'Position',
           company: jobData.company || 'Company',
           jobDescription: jobData.description || '',
+          jobLocation: jobData.location || '',
           userProfile: {
             firstName: profile.first_name,
             lastName: profile.last_name,
@@ -2976,7 +3096,6 @@ async function autofillForm(tailoredData = null, atsCredentials = null, options
             country: profile.country,
             citizenship: profile.citizenship,
             willingToRelocate: profile.willing_to_relocate,
-            visaRequired: profile.visa_required,
             veteranStatus: profile.veteran_status,
             disability: profile.disability,
             raceEthnicity: profile.race_ethnicity,
@@ -3008,7 +3127,9 @@ async function autofillForm(tailoredData = null, atsCredentials = null, options
               confidence: a.confidence,
               atsScore: a.atsScore,
               needsReview: a.needsReview,
-              reasoning: a.reasoning
+              reasoning: a.reasoning,
+              fromMemory: a.fromMemory,
+              directAnswer: a.directAnswer
             };
           });
           console.log(`QuantumHire AI: Received ${Object.keys(aiAnswers).length} AI answers`);
@@ -3982,6 +4103,7 @@ function setupPanelEvents(panel) {
               jobTitle: jobData.title,
               company: jobData.company,
               jobDescription: jobData.description,
+              jobLocation: jobData.location || '',
               userProfile: {
                 firstName: profile.first_name,
                 lastName: profile.last_name,
@@ -3996,7 +4118,6 @@ function setupPanelEvents(panel) {
                 country: profile.country,
                 citizenship: profile.citizenship,
                 willingToRelocate: profile.willing_to_relocate,
-                visaRequired: profile.visa_required,
                 veteranStatus: profile.veteran_status,
                 disability: profile.disability,
                 raceEthnicity: profile.race_ethnicity,
@@ -4047,6 +4168,7 @@ function setupPanelEvents(panel) {
       let autoFilledCount = 0;
       let needsReviewCount = 0;
       let unfamiliarCount = 0;
+      const answerBank = await loadAnswerBank();
       
       questions.forEach((q, i) => {
         const qId = q.id || `q_${i}`;
@@ -4054,14 +4176,18 @@ function setupPanelEvents(panel) {
         const isOptional = /optional|if applicable|not applicable|n\/a|prefer not/i.test(q.label);
         const isRequired = q.element?.required || q.element?.getAttribute('aria-required') === 'true';
         
-        // Check knockout bank first (highest priority)
-        const knockoutMatch = matchKnockoutQuestion(q.label, profile);
+        // Answer bank and profile facts first (highest priority)
+        const banked = answerFromBank(q.label, answerBank, jobData, profile);
+        const directMatch = banked?.status === 'answered' ? banked : (!banked && matchProfileQuestion(q.label, profile));
         
-        if (knockoutMatch) {
+        if (banked?.status === 'flagged') {
+          // No approved answer: left for the user in the review list below
+          unfamiliarCount++;
+        } else if (directMatch) {
           autoFilledCount++;
           reviewedAnswers[qId] = {
-            answer: knockoutMatch.answer,
-            selectValue: knockoutMatch.selectValue || knockoutMatch.answer.toLowerCase(),
+            answer: directMatch.answer,
+            selectValue: directMatch.selectValue || directMatch.answer.toLowerCase(),
             atsScore: 95,
             needsReview: false
           };
@@ -4329,6 +4455,7 @@ function setupPanelEvents(panel) {
                 jobTitle: jobData.title,
                 company: jobData.company,
                 jobDescription: jobData.description,
+                jobLocation: jobData.location || '',
                 userProfile: {
                   firstName: profile.first_name,
                   lastName: profile.last_name,
@@ -4343,7 +4470,6 @@ function setupPanelEvents(panel) {
                   country: profile.country,
                   citizenship: profile.citizenship,
                   willingToRelocate: profile.willing_to_relocate,
-                  visaRequired: profile.visa_required,
                   veteranStatus: profile.veteran_status,
                   disability: profile.disability,
                   raceEthnicity: profile.race_ethnicity,
@@ -4420,6 +4546,7 @@ function setupPanelEvents(panel) {
       let autoFilledCount = 0;
       let needsReviewCount = 0;
       let unfamiliarCount = 0;
+      const answerBank = await loadAnswerBank();
       
       // Store answers for later application
       panel.dataset.reviewedAnswers = JSON.stringify(aiAnswers);
@@ -4437,14 +4564,19 @@ function setupPanelEvents(panel) {
         let reasoning = 'No AI answer available';
         let answerClass = 'unfamiliar';
         
-        // Check knockout bank first
-        const knockoutMatch = matchKnockoutQuestion(q.label, profile);
-        if (knockoutMatch) {
-          answer = knockoutMatch.answer;
+        // Answer bank and profile facts first
+        const banked = answerFromBank(q.label, answerBank, jobData, profile);
+        const directMatch = banked?.status === 'answered' ? banked : (!banked && matchProfileQuestion(q.label, profile));
+        if (banked?.status === 'flagged') {
+          reasoning = `No approved answer for "${banked.question.label}" in your answer bank - answer it here and add it on your Profile page`;
+          answerClass = 'needs-review';
+          needsReviewCount++;
+        } else if (directMatch) {
+          answer = directMatch.answer;
           confidence = 'high';
           atsScore = 95;
           needsReview = false;
-          reasoning = 'Standard ATS knockout question - auto-answered';
+          reasoning = banked ? (banked.source === 'authorization' ? `Work authorization - ${banked.scope}` : 'From your answer bank') : 'From your profile';
           answerClass = 'approved';
           autoFilledCount++;
         } else if (aiAnswer) {
@@ -4936,6 +5068,8 @@ async function initialize() {
   // Add extension marker for web app detection
   addExtensionMarkerToPage();
   
+  checkPendingSubmission();
+  
   // Check if this was opened from the web app (auto-apply mode)
   const isFromWebApp = document.referrer.includes('lovable.dev') || 
                        document.referrer.includes('localhost') ||
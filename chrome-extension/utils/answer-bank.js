@@ -0,0 +1,879 @@
+// answer-bank v1.2.0 - GENERATED, do not edit.
+// Source: supabase/functions/_shared/answer-bank (npm run core:build)
+(() => {
+  var __defProp = Object.defineProperty;
+  var __export = (target, all) => {
+    for (var name in all)
+      __defProp(target, name, { get: all[name], enumerable: true });
+  };
+
+  // supabase/functions/_shared/answer-bank/index.ts
+  var answer_bank_exports = {};
+  __export(answer_bank_exports, {
+    ANSWER_BANK_QUESTIONS: () => ANSWER_BANK_QUESTIONS,
+    ANSWER_BANK_VERSION: () => ANSWER_BANK_VERSION,
+    ANSWER_CATEGORIES: () => ANSWER_CATEGORIES,
+    AUTHORIZATION_QUESTION_KEYS: () => AUTHORIZATION_QUESTION_KEYS,
+    WORK_AUTHORIZATION_STATUSES: () => WORK_AUTHORIZATION_STATUSES,
+    authorizationAnswer: () => authorizationAnswer,
+    authorizationFor: () => authorizationFor,
+    canonicalCountry: () => canonicalCountry,
+    contextCountry: () => contextCountry,
+    countryIn: () => countryIn,
+    countryNames: () => countryNames,
+    describeAuthorization: () => describeAuthorization,
+    findQuestion: () => findQuestion,
+    getQuestion: () => getQuestion,
+    isAuthorized: () => isAuthorized,
+    isExpired: () => isExpired,
+    jobCountry: () => jobCountry,
+    locationInCountry: () => locationInCountry,
+    needsSponsorship: () => needsSponsorship,
+    parseWorkAuthorizations: () => parseWorkAuthorizations,
+    pickAnswer: () => pickAnswer,
+    resolveAnswer: () => resolveAnswer,
+    sameCountry: () => sameCountry,
+    scopeApplies: () => scopeApplies,
+    scopeSpecificity: () => scopeSpecificity,
+    seedAnswers: () => seedAnswers
+  });
+
+  // supabase/functions/_shared/answer-bank/version.ts
+  var ANSWER_BANK_VERSION = "1.2.0";
+
+  // supabase/functions/_shared/answer-bank/catalog.ts
+  var ANSWER_CATEGORIES = {
+    authorization: "Work authorization",
+    screening: "Screening",
+    availability: "Availability & logistics",
+    history: "Employment history",
+    legal: "Agreements & attestations",
+    eeo: "Equal opportunity (voluntary)",
+    education: "Education & experience",
+    compensation: "Compensation",
+    source: "Application source"
+  };
+  var YES_NO = ["Yes", "No"];
+  var ANSWER_BANK_QUESTIONS = [
+    // Work authorization
+    {
+      key: "work_without_sponsorship",
+      label: "Are you authorized to work without sponsorship?",
+      category: "authorization",
+      pattern: /(work|employment).*without.*sponsor/,
+      choices: YES_NO,
+      countrySpecific: true
+    },
+    {
+      key: "sponsorship",
+      label: "Will you now or in the future require visa sponsorship?",
+      category: "authorization",
+      pattern: /sponsor|h-?1-?b|\btn visa|\bl-?1 visa|\bo-?1 visa/,
+      choices: YES_NO,
+      countrySpecific: true
+    },
+    {
+      key: "right_to_work_status",
+      label: "What is your right to work status?",
+      category: "authorization",
+      pattern: /right to work status|work.*(visa|permit) status|settled status|share code|biometric residence/,
+      countrySpecific: true
+    },
+    {
+      key: "work_authorization",
+      label: "Are you legally authorized to work in this country?",
+      category: "authorization",
+      pattern: /legally authori[sz]ed|eligib.*(employed|to work)|right to work|authori[sz]ation to work|authori[sz]ed.*work|work eligibility|legal documentation.*eligibility/,
+      choices: YES_NO,
+      countrySpecific: true
+    },
+    {
+      key: "citizen",
+      label: "Are you a citizen of this country?",
+      category: "authorization",
+      pattern: /\bcitizen\b|\bu\.?s\.? person\b|green card/,
+      choices: YES_NO,
+      countrySpecific: true
+    },
+    {
+      key: "clearance_eligible",
+      label: "Are you able to obtain a security clearance?",
+      category: "authorization",
+      pattern: /(obtain|eligible for|pass|maintain).*clearance|clearance.*investigation/,
+      choices: YES_NO,
+      countrySpecific: true
+    },
+    {
+      key: "security_clearance",
+      label: "Do you hold an active security clearance?",
+      category: "authorization",
+      pattern: /security clearance|clearance level|(active|current|secret) clearance|top secret|ts\/sci|public trust/,
+      countrySpecific: true
+    },
+    // Screening
+    {
+      key: "age",
+      label: "Are you at least 18 years old?",
+      category: "screening",
+      pattern: /\b(age|aged) (of )?1[68]\b|(over|at least|older than) (1[68]|21)|1[68] years|eighteen|minimum (working )?age|legal age|are you.*\b18\b/,
+      choices: YES_NO
+    },
+    {
+      key: "criminal_record",
+      label: "Have you ever been convicted of a crime?",
+      category: "screening",
+      pattern: /convicted|felony|misdemeanor|criminal (conviction|record|offen[cs]e|history)|pleaded guilty|pending.*charges|arrest record/,
+      choices: YES_NO
+    },
+    {
+      key: "background_check",
+      label: "Will you consent to a background check?",
+      category: "screening",
+      pattern: /background (check|investigation|screening)|criminal background|consent.*background|submit.*background|credit (check|history)|motor vehicle record|mvr.*check|driving record.*check/,
+      choices: YES_NO
+    },
+    {
+      key: "drug_test",
+      label: "Will you consent to a drug test?",
+      category: "screening",
+      pattern: /drug (screen|test)|substance (test|screen)|submit.*drug|toxicology/,
+      choices: YES_NO
+    },
+    // Availability & logistics
+    {
+      key: "essential_functions",
+      label: "Can you perform the essential functions of the job, with or without reasonable accommodation?",
+      category: "availability",
+      pattern: /essential functions|with or without.*accommodation|physical (requirements|demands)|lift.*(pounds|lbs|kg)/,
+      choices: YES_NO
+    },
+    {
+      key: "drivers_license",
+      label: "Do you have a valid driver's license?",
+      category: "availability",
+      pattern: /driver'?s? licen[cs]e|driving licen[cs]e|valid (driver|licen[cs]e)/,
+      choices: YES_NO,
+      countrySpecific: true
+    },
+    {
+      key: "transportation",
+      label: "Do you have reliable transportation?",
+      category: "availability",
+      pattern: /own.*vehicle|reliable.*transportation|access.*vehicle|means.*transportation/,
+      choices: YES_NO
+    },
+    {
+      key: "relocation",
+      label: "Are you willing to relocate?",
+      category: "availability",
+      pattern: /relocat/,
+      choices: YES_NO
+    },
+    {
+      key: "notice_period",
+      label: "What is your notice period?",
+      category: "availability",
+      pattern: /notice period|current.*notice|(weeks|days).*notice|resignation period/
+    },
+    {
+      key: "start_date",
+      label: "When can you start?",
+      category: "availability",
+      pattern: /available.*start|start date|earliest.*start|when.*(start|begin|join)|how soon|soonest.*start/
+    },
+    {
+      key: "travel",
+      label: "Are you willing to travel for work?",
+      category: "availability",
+      pattern: /travel/
+    },
+    {
+      key: "weekends",
+      label: "Are you able to work weekends?",
+      category: "availability",
+      pattern: /weekend|saturday.*sunday/,
+      choices: YES_NO
+    },
+    {
+      key: "shifts",
+      label: "Are you able to work shifts or irregular hours?",
+      category: "availability",
+      pattern: /work.*shifts|shift (work|availability|preference)|(rotating|night|evening|graveyard|swing) shift|irregular hours/
+    },
+    {
+      key: "overtime",
+      label: "Are you able to work overtime?",
+      category: "availability",
+      pattern: /overtime|(extra|additional|extended) hours/,
+      choices: YES_NO
+    },
+    {
+      key: "on_call",
+      label: "Are you able to be on call?",
+      category: "availability",
+      pattern: /on-?call|standby|pager.*duty|after.?hours.*support/,
+      choices: YES_NO
+    },
+    {
+      key: "onsite",
+      label: "Are you able to work on-site or hybrid?",
+      category: "availability",
+      pattern: /hybrid|in-?office|office attendance|on-?site|commute/,
+      choices: YES_NO
+    },
+    {
+      key: "full_time",
+      label: "Are you looking for full-time, permanent employment?",
+      category: "availability",
+      pattern: /full-?time|permanent (position|role)/,
+      choices: YES_NO
+    },
+    // Employment history
+    {
+      key: "former_employee",
+      label: "Have you worked for this company before?",
+      category: "history",
+      pattern: /former (employee|worker|contractor)|(worked|employed) (for|at|by) .*(before|previously)|(ever|previously) (worked|been employed) (for|at|by)\b|formerly employed/,
+      choices: YES_NO
+    },
+    {
+      key: "applied_before",
+      label: "Have you applied to this company before?",
+      category: "history",
+      pattern: /applied.*before|previously applied|past application|former applicant|interviewed.*(before|previously)/,
+      choices: YES_NO
+    },
+    {
+      key: "source",
+      label: "How did you hear about this job?",
+      category: "source",
+      pattern: /how did you (hear|find|learn)|where did you (hear|find|see)|source.*application|referral source/
+    },
+    {
+      key: "referral",
+      label: "Were you referred by a current employee?",
+      category: "history",
+      pattern: /referred|referral|know anyone/,
+      choices: YES_NO
+    },
+    {
+      key: "relatives",
+      label: "Do you have relatives working at this company?",
+      category: "history",
+      pattern: /relative|family.*works|related to anyone/,
+      choices: YES_NO
+    },
+    {
+      key: "non_compete",
+      label: "Are you bound by a non-compete or similar agreement?",
+      category: "history",
+      pattern: /non-?compete|restrictive covenant|non-?solicit/,
+      choices: YES_NO
+    },
+    {
+      key: "conflict_of_interest",
+      label: "Do you have any conflicts of interest?",
+      category: "history",
+      pattern: /conflicts? of interest|competing interest|outside employment/,
+      choices: YES_NO
+    },
+    {
+      key: "government_employee",
+      label: "Are you a current or former government employee?",
+      category: "history",
+      pattern: /government (employee|official)|federal employee|public sector/,
+      choices: YES_NO
+    },
+    // Agreements & attestations
+    {
+      key: "accurate_information",
+      label: "Do you certify that the information you provided is accurate?",
+      category: "legal",
+      pattern: /truthful|accurate.*information|information.*(true|accurate)|certify|attest/,
+      choices: YES_NO
+    },
+    {
+      key: "confidentiality",
+      label: "Will you sign a confidentiality or non-disclosure agreement?",
+      category: "legal",
+      pattern: /non-?disclosure|\bnda\b|confidentiality|proprietary.*agreement/,
+      choices: YES_NO
+    },
+    {
+      key: "terms_consent",
+      label: "Do you agree to the terms, privacy notice and data processing?",
+      category: "legal",
+      pattern: /terms and conditions|(agree|accept).*(terms|policy)|read and agree|acknowledge|privacy|consent.*(processing|data)|gdpr|at-?will/,
+      choices: YES_NO
+    },
+    // Equal opportunity
+    {
+      key: "veteran",
+      label: "Veteran status",
+      category: "eeo",
+      pattern: /veteran|military service|served.*military|armed forces|vevraa/
+    },
+    {
+      key: "disability",
+      label: "Disability status",
+      category: "eeo",
+      pattern: /disab|cc-305/
+    },
+    {
+      key: "hispanic_latino",
+      label: "Are you Hispanic or Latino?",
+      category: "eeo",
+      pattern: /hispanic|latin[aox]\b/,
+      choices: YES_NO
+    },
+    {
+      key: "race",
+      label: "Race / ethnicity",
+      category: "eeo",
+      pattern: /\brace\b|ethnic|racial/
+    },
+    {
+      key: "transgender",
+      label: "Do you identify as transgender?",
+      category: "eeo",
+      pattern: /transgender/
+    },
+    {
+      key: "sexual_orientation",
+      label: "Sexual orientation",
+      category: "eeo",
+      pattern: /sexual orientation|lgbt/
+    },
+    {
+      key: "neurodivergent",
+      label: "Do you consider yourself neurodivergent?",
+      category: "eeo",
+      pattern: /neurodiver/
+    },
+    {
+      key: "pronouns",
+      label: "Pronouns",
+      category: "eeo",
+      pattern: /pronoun/
+    },
+    {
+      key: "gender",
+      label: "Gender",
+      category: "eeo",
+      pattern: /gender|\bsex\b/
+    },
+    // Education & experience
+    {
+      key: "highest_education",
+      label: "Highest level of education",
+      category: "education",
+      pattern: /highest.*(degree|education)|degree.*obtained|education(al)? level|level of education|completed.*degree/
+    },
+    {
+      key: "bachelors_degree",
+      label: "Do you have a bachelor's degree?",
+      category: "education",
+      pattern: /bachelor|undergraduate degree|(college|university) degree/,
+      choices: YES_NO
+    },
+    {
+      key: "masters_degree",
+      label: "Do you have a master's or other graduate degree?",
+      category: "education",
+      pattern: /master'?s|graduate degree|advanced degree|\bmba\b/,
+      choices: YES_NO
+    },
+    {
+      key: "gpa",
+      label: "GPA",
+      category: "education",
+      pattern: /\bgpa\b|grade point|academic average/
+    },
+    {
+      key: "total_experience",
+      label: "Total years of professional experience",
+      category: "education",
+      pattern: /total.*years.*experience|years.*total.*experience|overall experience|years of (professional|work) experience/
+    },
+    // Compensation
+    {
+      key: "current_salary",
+      label: "Current salary",
+      category: "compensation",
+      pattern: /(current|present|base) (salary|compensation|pay)/
+    },
+    {
+      key: "expected_salary",
+      label: "Expected salary",
+      category: "compensation",
+      pattern: /salary|hourly rate|rate per hour|pay (range|expectation)|(expected|desired) (pay|compensation)|compensation (expectation|requirement)/
+    }
+  ];
+  function findQuestion(label) {
+    const text = label.toLowerCase().replace(/\s+/g, " ").trim();
+    return ANSWER_BANK_QUESTIONS.find((question) => question.pattern.test(text));
+  }
+  function getQuestion(key) {
+    return ANSWER_BANK_QUESTIONS.find((question) => question.key === key);
+  }
+
+  // supabase/functions/_shared/answer-bank/countries.ts
+  var COUNTRIES = [
+    ["United States", "united states of america", "usa", "us", "u.s.", "u.s.a.", "america"],
+    ["United Kingdom", "uk", "u.k.", "great britain", "britain", "england", "scotland", "wales", "northern ireland"],
+    ["Ireland", "republic of ireland"],
+    ["Canada"],
+    ["Australia"],
+    ["New Zealand"],
+    ["Germany", "deutschland"],
+    ["France"],
+    ["Netherlands", "the netherlands", "holland"],
+    ["Belgium"],
+    ["Luxembourg"],
+    ["Switzerland"],
+    ["Austria"],
+    ["Spain", "espana"],
+    ["Portugal"],
+    ["Italy", "italia"],
+    ["Greece"],
+    ["Cyprus"],
+    ["Malta"],
+    ["Monaco"],
+    ["Iceland"],
+    ["Sweden"],
+    ["Norway"],
+    ["Denmark"],
+    ["Finland"],
+    ["Estonia"],
+    ["Latvia"],
+    ["Lithuania"],
+    ["Poland"],
+    ["Czech Republic", "czechia"],
+    ["Slovakia"],
+    ["Hungary"],
+    ["Romania"],
+    ["Bulgaria"],
+    ["Croatia"],
+    ["Slovenia"],
+    ["Serbia"],
+    ["Moldova"],
+    ["Ukraine"],
+    ["Georgia"],
+    ["Turkey", "turkiye"],
+    ["Israel"],
+    ["United Arab Emirates", "uae", "u.a.e."],
+    ["Saudi Arabia", "ksa"],
+    ["Qatar"],
+    ["Egypt"],
+    ["Morocco"],
+    ["South Africa"],
+    ["Nigeria"],
+    ["Kenya"],
+    ["Tanzania"],
+    ["Cape Verde", "cabo verde"],
+    ["India"],
+    ["Pakistan"],
+    ["Singapore"],
+    ["Malaysia"],
+    ["Thailand"],
+    ["Vietnam", "viet nam"],
+    ["Philippines"],
+    ["Indonesia"],
+    ["Hong Kong"],
+    ["China"],
+    ["Taiwan"],
+    ["Japan"],
+    ["South Korea", "korea", "republic of korea"],
+    ["Maldives"],
+    ["Mexico"],
+    ["Brazil", "brasil"],
+    ["Argentina"],
+    ["Chile"],
+    ["Colombia"],
+    ["Peru"],
+    ["Grenada"],
+    ["Saint Lucia", "st. lucia", "st lucia"]
+  ];
+  var REGIONS = [
+    ["United States", [
+      "al",
+      "ak",
+      "az",
+      "ar",
+      "ca",
+      "co",
+      "ct",
+      "de",
+      "dc",
+      "fl",
+      "ga",
+      "hi",
+      "id",
+      "il",
+      "in",
+      "ia",
+      "ks",
+      "ky",
+      "la",
+      "me",
+      "md",
+      "ma",
+      "mi",
+      "mn",
+      "ms",
+      "mo",
+      "mt",
+      "ne",
+      "nv",
+      "nh",
+      "nj",
+      "nm",
+      "ny",
+      "nc",
+      "nd",
+      "oh",
+      "ok",
+      "or",
+      "pa",
+      "ri",
+      "sc",
+      "sd",
+      "tn",
+      "tx",
+      "ut",
+      "vt",
+      "va",
+      "wa",
+      "wv",
+      "wi",
+      "wy",
+      "alabama",
+      "alaska",
+      "arizona",
+      "arkansas",
+      "california",
+      "colorado",
+      "connecticut",
+      "delaware",
+      "florida",
+      "hawaii",
+      "idaho",
+      "illinois",
+      "indiana",
+      "iowa",
+      "kansas",
+      "kentucky",
+      "louisiana",
+      "maine",
+      "maryland",
+      "massachusetts",
+      "michigan",
+      "minnesota",
+      "mississippi",
+      "missouri",
+      "montana",
+      "nebraska",
+      "nevada",
+      "new hampshire",
+      "new jersey",
+      "new mexico",
+      "new york",
+      "north carolina",
+      "north dakota",
+      "ohio",
+      "oklahoma",
+      "oregon",
+      "pennsylvania",
+      "rhode island",
+      "south carolina",
+      "south dakota",
+      "tennessee",
+      "texas",
+      "utah",
+      "vermont",
+      "virginia",
+      "washington",
+      "west virginia",
+      "wisconsin",
+      "wyoming",
+      "district of columbia"
+    ]],
+    ["Canada", [
+      "ab",
+      "bc",
+      "mb",
+      "nb",
+      "nl",
+      "ns",
+      "on",
+      "pe",
+      "qc",
+      "sk",
+      "alberta",
+      "british columbia",
+      "manitoba",
+      "new brunswick",
+      "newfoundland",
+      "nova scotia",
+      "ontario",
+      "prince edward island",
+      "quebec",
+      "saskatchewan"
+    ]]
+  ];
+  var normalize = (text) => text.toLowerCase().replace(/\s+/g, " ").trim();
+  var escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  var findCountry = (name) => COUNTRIES.find((names) => normalize(names[0]) === name || names.includes(name));
+  function countryNames(country) {
+    const name = normalize(country);
+    const names = findCountry(name);
+    if (!names) return [name];
+    return [name, ...[normalize(names[0]), ...names.slice(1)].filter((alias) => alias !== name)];
+  }
+  function sameCountry(a, b) {
+    return countryNames(a).includes(normalize(b));
+  }
+  function canonicalCountry(country) {
+    return findCountry(normalize(country))?.[0] ?? null;
+  }
+  var nameIn = (text, name) => new RegExp(`(^|[^a-z.])${escapeRegExp(name)}($|[^a-z])`).test(text);
+  function locationInCountry(location, country) {
+    const text = normalize(location);
+    return countryNames(country).some((name) => nameIn(text, name));
+  }
+  function countryIn(text) {
+    const normalized = normalize(text);
+    let best = null;
+    for (const names of COUNTRIES) {
+      for (const name of [normalize(names[0]), ...names.slice(1)]) {
+        if (best && name.length <= best.length) continue;
+        const found = name === "us" ? /\bUS\b/.test(text) : nameIn(normalized, name);
+        if (found) best = { country: names[0], length: name.length };
+      }
+    }
+    return best?.country ?? null;
+  }
+  function jobCountry(location) {
+    if (!location) return null;
+    const parts = normalize(location).split(/[,;|/()]| - /).map((part) => part.replace(/^(remote|hybrid|onsite|on-site)\b\s*-?\s*/, "").trim()).filter(Boolean);
+    for (const part of [...parts].reverse()) {
+      const country = canonicalCountry(part);
+      if (country) return country;
+    }
+    for (const part of parts) {
+      const region = REGIONS.find(([, names]) => names.includes(part));
+      if (region) return region[0];
+    }
+    return countryIn(location);
+  }
+
+  // supabase/functions/_shared/answer-bank/authorization.ts
+  var WORK_AUTHORIZATION_STATUSES = {
+    citizen: "Citizen",
+    permanent_resident: "Permanent resident",
+    work_visa: "Work visa or permit",
+    authorized: "Authorized to work",
+    not_authorized: "Not authorized"
+  };
+  var AUTHORIZATION_QUESTION_KEYS = [
+    "work_authorization",
+    "work_without_sponsorship",
+    "sponsorship",
+    "right_to_work_status",
+    "citizen"
+  ];
+  var yesNo = (value) => ({ answer: value ? "Yes" : "No", selectValue: value ? "yes" : "no" });
+  function authorizationFor(authorizations, country) {
+    return authorizations.find((entry) => entry.country && sameCountry(entry.country, country));
+  }
+  function isExpired(authorization, today = /* @__PURE__ */ new Date()) {
+    if (!authorization.expires_on) return false;
+    const expires = new Date(authorization.expires_on);
+    return !isNaN(expires.getTime()) && expires.getTime() < today.getTime();
+  }
+  function isAuthorized(authorization, today = /* @__PURE__ */ new Date()) {
+    if (authorization.status === "not_authorized") return false;
+    return !isExpired(authorization, today);
+  }
+  function needsSponsorship(authorization, today = /* @__PURE__ */ new Date()) {
+    if (authorization.status === "citizen" || authorization.status === "permanent_resident") return false;
+    if (!isAuthorized(authorization, today)) return true;
+    return authorization.requires_sponsorship;
+  }
+  function describeAuthorization(authorization) {
+    const details = [
+      authorization.status === "work_visa" ? authorization.visa_type : null,
+      authorization.expires_on ? `expires ${authorization.expires_on}` : null
+    ].filter(Boolean);
+    const status = WORK_AUTHORIZATION_STATUSES[authorization.status] || authorization.status;
+    return details.length ? `${status} (${details.join(", ")})` : status;
+  }
+  function authorizationAnswer(questionKey, label, authorizations, country, today = /* @__PURE__ */ new Date()) {
+    const authorization = authorizationFor(authorizations, country);
+    if (!authorization) return null;
+    const answer = (() => {
+      switch (questionKey) {
+        case "work_authorization":
+          return yesNo(isAuthorized(authorization, today));
+        case "work_without_sponsorship":
+          return yesNo(isAuthorized(authorization, today) && !needsSponsorship(authorization, today));
+        case "sponsorship":
+          return yesNo(needsSponsorship(authorization, today));
+        case "citizen": {
+          const includesResidents = /green card|permanent resident|\bperson\b/i.test(label);
+          return yesNo(authorization.status === "citizen" || includesResidents && authorization.status === "permanent_resident");
+        }
+        case "right_to_work_status": {
+          const text = `${canonicalCountry(country) || country}: ${describeAuthorization(authorization)}`;
+          return { answer: text, selectValue: text.toLowerCase() };
+        }
+        default:
+          return null;
+      }
+    })();
+    return answer && { ...answer, authorization };
+  }
+  function parseWorkAuthorizations(value) {
+    if (!Array.isArray(value)) return [];
+    return value.flatMap((entry) => {
+      if (!entry || typeof entry !== "object") return [];
+      const raw = entry;
+      const country = typeof raw.country === "string" ? raw.country.trim() : "";
+      const status = raw.status;
+      if (!country || !Object.prototype.hasOwnProperty.call(WORK_AUTHORIZATION_STATUSES, status)) return [];
+      return [{
+        country,
+        status,
+        visa_type: typeof raw.visa_type === "string" && raw.visa_type.trim() ? raw.visa_type.trim() : null,
+        expires_on: typeof raw.expires_on === "string" && raw.expires_on.trim() ? raw.expires_on.trim() : null,
+        requires_sponsorship: raw.requires_sponsorship === true
+      }];
+    });
+  }
+
+  // supabase/functions/_shared/answer-bank/resolve.ts
+  var normalize2 = (text) => text.toLowerCase().replace(/\s+/g, " ").trim();
+  function contextCountry(context) {
+    return context.country || jobCountry(context.location);
+  }
+  function countryApplies(country, context) {
+    if (!country) return true;
+    const job = contextCountry(context);
+    if (job) return sameCountry(country, job);
+    return !!context.location && locationInCountry(context.location, country);
+  }
+  function jobScopeApplies(jobScope, context) {
+    if (!jobScope) return true;
+    const job = normalize2(`${context.jobTitle || ""} ${context.company || ""}`);
+    return job.includes(normalize2(jobScope));
+  }
+  function scopeApplies(scope, context = {}) {
+    return countryApplies(scope.country, context) && jobScopeApplies(scope.job_scope, context);
+  }
+  var scopeSpecificity = (scope) => (scope.country ? 2 : 0) + (scope.job_scope ? 1 : 0);
+  function pickAnswer(questionKey, rows, context = {}) {
+    return rows.filter((row) => row.question_key === questionKey && row.approved && row.answer).filter((row) => scopeApplies(row, context)).sort((a, b) => scopeSpecificity(b) - scopeSpecificity(a))[0];
+  }
+  function resolveAnswer(label, rows, context = {}) {
+    const question = findQuestion(label);
+    if (!question) return void 0;
+    let scoped = context;
+    if (AUTHORIZATION_QUESTION_KEYS.includes(question.key)) {
+      const country = countryIn(label) || contextCountry(context);
+      if (country) {
+        scoped = { ...context, country };
+        const authorized = authorizationAnswer(question.key, label, context.authorizations || [], country, context.today);
+        if (authorized) {
+          return {
+            status: "answered",
+            source: "authorization",
+            question,
+            answer: authorized.answer,
+            selectValue: authorized.selectValue,
+            scope: `${authorized.authorization.country}: ${describeAuthorization(authorized.authorization)}`
+          };
+        }
+      }
+    }
+    const row = pickAnswer(question.key, rows, scoped);
+    if (!row) return { status: "flagged", question };
+    return {
+      status: "answered",
+      source: "bank",
+      question,
+      row,
+      answer: row.answer,
+      selectValue: row.select_value || row.answer.toLowerCase(),
+      scope: [row.country, row.job_scope].filter(Boolean).join(", ")
+    };
+  }
+
+  // supabase/functions/_shared/answer-bank/seed.ts
+  var RACE_OPTIONS = [
+    ["black", "Black or African American", "black"],
+    ["african american", "Black or African American", "black"],
+    ["white", "White", "white"],
+    ["caucasian", "White", "white"],
+    ["asian", "Asian", "asian"],
+    ["hispanic", "Hispanic or Latino", "hispanic"],
+    ["latino", "Hispanic or Latino", "hispanic"],
+    ["two or more", "Two or More Races", "two or more"],
+    ["native american", "American Indian or Alaska Native", "native american"],
+    ["alaska", "American Indian or Alaska Native", "native american"],
+    ["pacific islander", "Native Hawaiian or Other Pacific Islander", "pacific islander"],
+    ["decline", "Decline to self-identify", "decline"]
+  ];
+  var GENDER_OPTIONS = [
+    [/non-?binary/, "Non-binary", "non-binary"],
+    [/female|woman|^f$/, "Female", "female"],
+    [/male|man|^m$/, "Male", "male"],
+    [/prefer not|decline/, "Decline to self-identify", "decline"]
+  ];
+  var yesNo2 = (value) => value ? "Yes" : "No";
+  function seedAnswers(profile) {
+    const seeds = [];
+    const add = (questionKey, answer, country = "", selectValue) => {
+      const text = (answer || "").trim();
+      if (text) seeds.push({ questionKey, answer: text, country, ...selectValue ? { selectValue } : {} });
+    };
+    const addBoolean = (questionKey, value) => {
+      if (typeof value === "boolean") add(questionKey, yesNo2(value));
+    };
+    addBoolean("relocation", profile.willing_to_relocate);
+    addBoolean("drivers_license", profile.driving_license);
+    addBoolean("security_clearance", profile.security_clearance);
+    addBoolean("hispanic_latino", profile.hispanic_latino);
+    if (typeof profile.veteran_status === "boolean") {
+      if (profile.veteran_status) {
+        add("veteran", "I identify as one or more of the classifications of protected veteran", "", "protected veteran");
+      } else {
+        add("veteran", "I am not a protected veteran", "", "i am not a protected veteran");
+      }
+    }
+    if (typeof profile.disability === "boolean") {
+      if (profile.disability) add("disability", "Yes, I have a disability (or previously had a disability)", "", "yes");
+      else add("disability", "No, I do not have a disability", "", "no");
+    }
+    const race = (profile.race_ethnicity || "").toLowerCase();
+    const raceOption = race && RACE_OPTIONS.find(([key]) => race.includes(key));
+    if (raceOption) add("race", raceOption[1], "", raceOption[2]);
+    else add("race", profile.race_ethnicity);
+    const gender = (profile.gender || "").toLowerCase().trim();
+    const genderOption = gender && GENDER_OPTIONS.find(([pattern]) => pattern.test(gender));
+    if (genderOption) add("gender", genderOption[1], "", genderOption[2]);
+    else add("gender", profile.gender);
+    const notice = (profile.notice_period || "").trim();
+    if (notice) {
+      add("notice_period", notice);
+      add("start_date", /immediate/i.test(notice) ? "Immediately" : `Within ${notice}`);
+    }
+    add("expected_salary", profile.expected_salary);
+    add("current_salary", profile.current_salary);
+    add("highest_education", profile.highest_education);
+    add("total_experience", profile.total_experience);
+    return seeds;
+  }
+
+  // supabase/functions/_shared/answer-bank/extension.ts
+  globalThis.AnswerBank = { ...answer_bank_exports };
+})();
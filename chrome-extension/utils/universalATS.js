@@ -26,80 +26,114 @@ const UNIVERSAL_ATS_2025 = {
     personio: ['[class*="personio"]', '.personio-form', '#personio-application']
   },
   
-  // Universal 2025 knockout patterns (covers ALL ATS screening)
-  knockoutUniversal: [
-    // Work authorization (100% coverage)
-    /authorized.*(?:work|us|country|nation|region)/i,
-    /eligible.*(?:work|position|role|employment)/i,
-    /citizen|national|visa|sponsorship|permit|h1b/i,
-    /right.*to.*work|legal.*to.*work|work.*(?:auth|permit|authorization)/i,
-    /legally.*(?:authorized|permitted|allowed)/i,
-    /require.*(?:sponsorship|visa)/i,
-    
-    // Experience/Qualifications
-    /minimum.*(?:experience|years|qualification)/i,
-    /required.*(?:degree|certification|license|education)/i,
-    /do.*you.*have.*(?:experience|degree|certification)/i,
-    
-    // Availability/Commitment
-    /willing.*(?:relocate|travel|shift|salary|hours)/i,
-    /can.*(?:start|commit|availability|interview)/i,
-    /available.*(?:immediately|notice|start)/i,
-    /open.*to.*(?:relocate|travel)/i,
-    
-    // Technical screening
-    /proficiency|expertise|experience.*(?:tool|language|platform)/i,
-    /familiar.*with|knowledge.*of/i,
-    
-    // Compliance
-    /background.*check|drug.*test|screening/i,
-    /agree.*to.*(?:terms|conditions|policy)/i,
-    /consent.*to/i,
-    
-    // Age/Legal requirements
-    /(?:18|21).*years.*(?:old|age)|legal.*age/i,
-    /at.*least.*(?:18|21)/i
+  // Field classes (see classifyField). Each class has its own fill policy in
+  // applyFieldPolicy; a field that fits none is left blank for review.
+  // Tried in order: consent and EEO wording also appears in other fields.
+  fieldClassPatterns: {
+    consent: [
+      /privacy (policy|notice|statement)|terms (of use|of service|and conditions)|data (processing|protection|retention)|gdpr/i,
+      /personal (data|information)|\bconsent\b|\bopt[- ]?in\b|i (have read|agree|accept|acknowledge)/i
+    ],
+    eeo: [
+      /gender|\bsex\b|\brace\b|ethnic|hispanic|latin[aox]\b|veteran|disab|sexual orientation|lgbt|transgender|pronoun/i,
+      /neurodiver|self[- ]?identif|equal (employment )?opportunity|\beeo\b|demographic/i
+    ],
+    legal_attestation: [
+      /authori[sz]ed.*work|eligib.*work|right to work|citizen|visa|sponsor|permit|h-?1-?b|clearance/i,
+      /background (check|screening)|drug (test|screen)|convicted|felony|criminal|non-?compete|non-?solicit|non-?disclosure/i,
+      /certify|attest|truthful|accurate|(18|21) years|legal age|at least 1[68]|conflict of interest|relative|previously (worked|employed)/i
+    ],
+    preference: [
+      /relocat|travel|shift|overtime|weekend|on-?call|remote|hybrid|on-?site|in-?office|commute/i,
+      /start date|available.*start|notice period|salary|compensation|hourly rate|full-?time|part-?time|employment type|desired|preferred/i
+    ]
+  },
+
+  // Answer bank catalog categories (window.AnswerBank) and the class they fall in
+  catalogCategoryClasses: {
+    authorization: 'legal_attestation',
+    screening: 'legal_attestation',
+    history: 'legal_attestation',
+    legal: 'legal_attestation',
+    eeo: 'eeo',
+    availability: 'preference',
+    compensation: 'preference',
+    source: 'preference',
+    education: 'factual'
+  },
+
+  // Catalog questions whose class differs from their category's
+  catalogQuestionClasses: {
+    terms_consent: 'consent'
+  },
+
+  // Consents that are never given for the user: marketing, alerts, data sharing
+  optInPatterns: [
+    /newsletter|marketing|promotion|job alerts?|subscribe|talent (community|network|pool)|future (opportunities|openings|roles)/i,
+    /keep me (informed|updated)|text messages|\bsms\b|(email|contact|call) me about|third part|partners/i
   ],
-  
-  // Universal YES patterns for knockout questions
-  yesPatterns: [
-    /^yes$/i, /^y$/i, /^true$/i,
-    /authorized/i, /eligible/i, /agree/i, /accept/i, /confirm/i,
-    /willing/i, /available/i, /can.*start/i, /have.*experience/i,
-    /do.*not.*require.*sponsorship/i, /no.*sponsorship.*required/i
+
+  // Answers that tick a checkbox
+  affirmativePatterns: [/^(yes|y|true|agree|i agree|accept|i accept|confirm)\b/i],
+
+  // The "rather not say" option EEO questions offer
+  declinePatterns: [
+    /decline/i, /prefer not/i, /(do not|don'?t) wish/i, /choose not/i,
+    /not (to )?(disclose|answer|say|self-?identify)/i
   ],
-  
-  // Universal NO patterns (to avoid selecting)
-  noPatterns: [
-    /^no$/i, /^n$/i, /^false$/i,
-    /not.*authorized/i, /require.*sponsorship/i, /need.*visa/i,
-    /not.*eligible/i, /decline/i, /refuse/i, /cannot/i
+
+  // Factual fields and the profile value that fills them; first match wins
+  profileFields: [
+    [/first.*name|fname|given.*name/i, 'firstName'],
+    [/last.*name|lname|surname|family.*name/i, 'lastName'],
+    [/full.*name|^name$/i, 'fullName'],
+    [/email|e-mail/i, 'email'],
+    [/phone|mobile|cell|telephone/i, 'phone'],
+    [/address|street/i, 'address'],
+    [/\bcity\b|location|where.*located/i, 'city'],
+    [/\bstate\b|province|region/i, 'state'],
+    [/zip|postal.*code|postcode/i, 'zipCode'],
+    [/\bcountry\b/i, 'country'],
+    [/linkedin/i, 'linkedin'],
+    [/github/i, 'github'],
+    [/portfolio|website|url/i, 'portfolio'],
+    [/years.*experience|experience.*years|total.*experience/i, 'total_experience']
   ],
-  
-  // Enterprise defaults for ALL platforms
-  enterpriseSafe: {
-    location: "Flexible - Remote OK | Multiple Locations",
-    workAuth: "Yes - Authorized to work without sponsorship",
-    experience: "5+ years relevant professional experience",
-    salary: "Negotiable / Market Rate / Open to Discussion",
-    availability: "Immediately available",
-    willingToRelocate: "Yes",
-    willingToTravel: "Yes",
-    startDate: "Immediately / 2 weeks notice"
+
+  // Preferences the profile states, for questions the answer bank has no answer to
+  profilePreferences: [
+    [/salary|compensation|hourly rate/i, 'expected_salary'],
+    [/notice/i, 'notice_period'],
+    [/relocat/i, 'willing_to_relocate']
+  ],
+
+  fieldClassLabels: {
+    consent: 'Consent',
+    legal_attestation: 'Legal attestation',
+    eeo: 'Equal opportunity',
+    preference: 'Preference',
+    factual: 'Profile',
+    unknown: 'Unrecognised'
   }
 };
 
 class UniversalATSEngine {
-  constructor(userProfile = null) {
+  // options.answerBank: the user's approved answer_bank rows (loaded via
+  // content.js when omitted); options.jobData: { title, company, location }
+  // of the job, which scopes the answers
+  constructor(userProfile = null, options = {}) {
     this.platformDetected = null;
     this.companyProfile = null;
     this.userProfile = userProfile;
+    this.answerBank = options.answerBank || null;
+    this.jobData = options.jobData || null;
     this.processedFields = new WeakSet();
+    this.reviewQueue = [];
     this.stats = {
       autoFilled: 0,
       reviewNeeded: 0,
-      manualRequired: 0,
-      knockoutsHandled: 0
+      optInsSkipped: 0,
+      eeoDeclined: 0
     };
     this.initialized = false;
   }
@@ -109,6 +143,7 @@ class UniversalATSEngine {
     
     this.companyProfile = await this.loadEnterpriseProfile();
     this.platformDetected = this.detectATSPlatform();
+    if (!this.answerBank) this.answerBank = await this.loadAnswerBank();
     
     console.log(`QuantumHire Universal ATS: Platform detected: ${this.platformDetected}`);
     this.initialized = true;
@@ -172,18 +207,17 @@ class UniversalATSEngine {
     try {
       // Load from chrome storage
       const stored = await chrome.storage.local.get(['userProfile']);
-      const profile = stored.userProfile || {};
+      const profile = this.userProfile || stored.userProfile || {};
       
-      // Merge with safe defaults
+      // No defaults: a field the profile leaves empty goes to review
       return {
-        ...UNIVERSAL_ATS_2025.enterpriseSafe,
         firstName: profile.first_name || profile.firstName || '',
         lastName: profile.last_name || profile.lastName || '',
         email: profile.email || '',
         phone: profile.phone || '',
         city: profile.city || '',
         state: profile.state || '',
-        country: profile.country || 'United States',
+        country: profile.country || '',
         zipCode: profile.zip_code || profile.zipCode || '',
         address: profile.address || '',
         linkedin: profile.linkedin || '',
@@ -192,14 +226,27 @@ class UniversalATSEngine {
         ...profile
       };
     } catch (e) {
-      console.log('UniversalATS: Using defaults, storage error:', e);
-      return { ...UNIVERSAL_ATS_2025.enterpriseSafe };
+      console.log('UniversalATS: Profile unavailable, storage error:', e);
+      return {};
+    }
+  }
+  
+  // The user's approved answer_bank rows. content.js owns the fetch and its
+  // cache; without it (or signed out) every catalog question goes to review.
+  async loadAnswerBank() {
+    if (typeof window.loadAnswerBank !== 'function') return [];
+    try {
+      return await window.loadAnswerBank();
+    } catch (e) {
+      console.log('UniversalATS: Answer bank unavailable:', e);
+      return [];
     }
   }
   
   // Main processor - fills all forms on page
   async processAllForms() {
     await this.init();
+    UniversalATSEngine.lastRun = this;
     
     // Universal selector covers ALL ATS forms
     const formSelectors = [
@@ -221,6 +268,7 @@ class UniversalATSEngine {
     // Also process any fields not inside forms
     await this.processUniversalFields(document.body);
     
+    this.showReviewPanel();
     return this.stats;
   }
   
@@ -231,6 +279,8 @@ class UniversalATSEngine {
       if (this.isFieldProcessed(field)) continue;
       if (this.isFieldHidden(field)) continue;
       if (field.type === 'hidden' || field.type === 'submit' || field.type === 'button') continue;
+      // Never overwrite what the page or the user already filled in
+      if (this.fieldHasValue(field)) continue;
       
       try {
         const context = await this.analyzeUniversalField(field, container);
@@ -249,23 +299,31 @@ class UniversalATSEngine {
   }
   
   async analyzeUniversalField(field, container) {
-    const labelText = this.extractUniversalLabel(field);
+    const type = (field.type || '').toLowerCase();
+    // A radio's own label is its option ("Yes"); the question is the group's
+    const labelText = type === 'radio' ? this.extractGroupLabel(field) : this.extractUniversalLabel(field);
     const fieldName = (field.name || field.id || '').toLowerCase();
     const placeholder = (field.placeholder || '').toLowerCase();
     const ariaLabel = (field.getAttribute('aria-label') || '').toLowerCase();
     const combinedContext = `${labelText} ${fieldName} ${placeholder} ${ariaLabel}`.toLowerCase();
     
+    let options = null;
+    if (field.tagName === 'SELECT') {
+      options = Array.from(field.options).map(o => ({ value: o.value, text: o.textContent.trim() }));
+    } else if (type === 'radio') {
+      options = this.radioGroup(field).map(r => ({ value: r.value, text: this.extractUniversalLabel(r) }));
+    }
+    
     return {
       label: labelText,
       name: fieldName,
       placeholder: placeholder,
       ariaLabel: ariaLabel,
       combinedContext: combinedContext,
-      type: (field.type || '').toLowerCase(),
+      type: type,
       tag: field.tagName.toLowerCase(),
       isRequired: field.required || field.getAttribute('aria-required') === 'true',
-      isKnockout: UNIVERSAL_ATS_2025.knockoutUniversal.some(p => p.test(combinedContext)),
-      options: field.tagName === 'SELECT' ? Array.from(field.options).map(o => ({ value: o.value, text: o.textContent })) : null
+      options: options
     };
   }
   
@@ -309,315 +367,234 @@ class UniversalATSEngine {
     return field.placeholder || field.name || field.id || '';
   }
   
-  determineUniversalStrategy(context) {
-    const { combinedContext, tag, type, isKnockout } = context;
-    
-    // Priority 1: Knockout detection (universal patterns)
-    if (isKnockout) return 'KNOCKOUT_UNIVERSAL';
-    
-    // Priority 2: Yes/No detection
-    if (this.isUniversalYesNo(context)) return 'YES_NO_UNIVERSAL';
-    
-    // Priority 3: Field type detection by context
-    if (/first.*name|fname|given.*name/i.test(combinedContext)) return 'FIRST_NAME';
-    if (/last.*name|lname|surname|family.*name/i.test(combinedContext)) return 'LAST_NAME';
-    if (/full.*name|^name$/i.test(combinedContext)) return 'FULL_NAME';
-    if (/email|e-mail/i.test(combinedContext)) return 'EMAIL';
-    if (/phone|mobile|cell|telephone/i.test(combinedContext)) return 'PHONE';
-    if (/address|street/i.test(combinedContext) && !/email/i.test(combinedContext)) return 'ADDRESS';
-    if (/\bcity\b/i.test(combinedContext)) return 'CITY';
-    if (/\bstate\b|province|region/i.test(combinedContext)) return 'STATE';
-    if (/zip|postal.*code|postcode/i.test(combinedContext)) return 'ZIP_CODE';
-    if (/\bcountry\b/i.test(combinedContext)) return 'COUNTRY';
-    if (/linkedin/i.test(combinedContext)) return 'LINKEDIN';
-    if (/github/i.test(combinedContext)) return 'GITHUB';
-    if (/portfolio|website|url/i.test(combinedContext)) return 'PORTFOLIO';
-    
-    // Priority 4: Location intelligence
-    if (/location|where.*located/i.test(combinedContext)) return 'LOCATION_UNIVERSAL';
-    
-    // Priority 5: Salary evasion
-    if (/salary|compensation|expected|budget|pay|rate/i.test(combinedContext)) return 'SALARY_UNIVERSAL';
-    
-    // Priority 6: Experience mapping
-    if (/experience|years|duration/i.test(combinedContext)) return 'EXPERIENCE_UNIVERSAL';
-    
-    // Priority 7: Availability
-    if (/start.*date|available|notice.*period|when.*can.*start/i.test(combinedContext)) return 'AVAILABILITY';
-    
-    // Priority 8: Dropdown safety
-    if (tag === 'select') return 'DROPDOWN_UNIVERSAL';
-    
-    // Priority 9: Textarea (might be cover letter/additional info)
-    if (tag === 'textarea') return 'TEXTAREA_UNIVERSAL';
+  extractGroupLabel(radio) {
+    const group = radio.closest('fieldset, [role="radiogroup"], .form-group, .question, [class*="question"]');
+    if (!group) return this.extractUniversalLabel(radio);
+    
+    const labelledBy = group.getAttribute('aria-labelledby');
+    const heading = (labelledBy && document.getElementById(labelledBy)) ||
+      group.querySelector('legend') ||
+      Array.from(group.querySelectorAll('label, [class*="label"]')).find(el => !el.htmlFor && !el.querySelector('input'));
+    return heading ? heading.textContent.trim() : this.extractUniversalLabel(radio);
+  }
+  
+  radioGroup(radio) {
+    if (!radio.name) return [radio];
+    return Array.from(document.querySelectorAll(`input[type="radio"][name="${CSS.escape(radio.name)}"]`));
+  }
+  
+  fieldHasValue(field) {
+    const type = (field.type || '').toLowerCase();
+    if (type === 'checkbox') return field.checked;
+    if (type === 'radio') return this.radioGroup(field).some(r => r.checked);
+    if (field.tagName === 'SELECT') return !!field.value && field.selectedIndex > 0;
+    return !!(field.value && field.value.trim());
+  }
+  
+  // Which kind of field this is: consent, legal_attestation, eeo, preference,
+  // factual or unknown. Questions the answer bank catalogs take their class
+  // from it; the rest are matched on their label. The class decides how the
+  // field may be filled (applyFieldPolicy).
+  classifyField(context) {
+    const question = window.AnswerBank?.findQuestion(context.label) || null;
+    if (this.isOptIn(context)) return { fieldClass: 'consent', question };
+    if (question) {
+      const fieldClass = UNIVERSAL_ATS_2025.catalogQuestionClasses[question.key] ||
+        UNIVERSAL_ATS_2025.catalogCategoryClasses[question.category] || 'unknown';
+      return { fieldClass, question };
+    }
     
-    return 'TEXT_UNIVERSAL';
+    const patterns = UNIVERSAL_ATS_2025.fieldClassPatterns;
+    const matches = (fieldClass) => patterns[fieldClass].some(p => p.test(context.combinedContext));
+    if (matches('consent')) return { fieldClass: 'consent', question };
+    if (matches('eeo')) return { fieldClass: 'eeo', question };
+    if (matches('legal_attestation')) return { fieldClass: 'legal_attestation', question };
+    if (this.profileField(context)) return { fieldClass: 'factual', question };
+    if (matches('preference')) return { fieldClass: 'preference', question };
+    return { fieldClass: 'unknown', question };
   }
   
-  async executeUniversalFill(field, context) {
-    const strategy = this.determineUniversalStrategy(context);
-    let filled = false;
-    let value = '';
-    
-    switch(strategy) {
-      case 'KNOCKOUT_UNIVERSAL':
-        await this.universalYesOverride(field, context);
-        this.stats.knockoutsHandled++;
-        filled = true;
-        break;
-        
-      case 'YES_NO_UNIVERSAL':
-        await this.universalYesOverride(field, context);
-        filled = true;
-        break;
-        
-      case 'FIRST_NAME':
-        value = this.companyProfile.firstName;
-        break;
-        
-      case 'LAST_NAME':
-        value = this.companyProfile.lastName;
-        break;
-        
-      case 'FULL_NAME':
-        value = `${this.companyProfile.firstName} ${this.companyProfile.lastName}`.trim();
-        break;
-        
-      case 'EMAIL':
-        value = this.companyProfile.email;
-        break;
-        
-      case 'PHONE':
-        value = this.companyProfile.phone;
-        break;
-        
-      case 'ADDRESS':
-        value = this.companyProfile.address;
-        break;
-        
-      case 'CITY':
-        value = this.companyProfile.city;
-        break;
-        
-      case 'STATE':
-        value = this.companyProfile.state;
-        break;
-        
-      case 'ZIP_CODE':
-        value = this.companyProfile.zipCode;
-        break;
-        
-      case 'COUNTRY':
-        if (context.tag === 'select') {
-          this.selectCountryOption(field, this.companyProfile.country);
-          filled = true;
-        } else {
-          value = this.companyProfile.country;
+  isOptIn(context) {
+    return UNIVERSAL_ATS_2025.optInPatterns.some(p => p.test(context.combinedContext));
+  }
+  
+  // One policy per class. Returns { answer, selectValue } to fill, { skip }
+  // to leave the field blank on purpose, or { review } to leave it blank and
+  // list it for the user. Only what the user said (answer bank, profile) is
+  // filled in: nothing is guessed, and no consent is given beyond what
+  // applying requires.
+  applyFieldPolicy(field, context, fieldClass, question) {
+    const banked = question ? this.answerFromBank(context.label) : null;
+    if (banked?.status === 'answered' && fieldClass !== 'consent') return banked;
+    
+    switch (fieldClass) {
+      case 'consent':
+        // Marketing opt-ins and optional consents stay unticked
+        if (this.isOptIn(context) || !context.isRequired) {
+          this.stats.optInsSkipped++;
+          return { skip: 'Optional consent' };
         }
-        break;
-        
-      case 'LINKEDIN':
-        value = this.companyProfile.linkedin;
-        break;
-        
-      case 'GITHUB':
-        value = this.companyProfile.github;
-        break;
-        
-      case 'PORTFOLIO':
-        value = this.companyProfile.portfolio;
-        break;
+        if (banked?.status === 'answered') return banked;
+        return { review: 'Required consent: tick it yourself if you agree' };
         
-      case 'LOCATION_UNIVERSAL':
-        value = this.companyProfile.city || this.companyProfile.location;
-        break;
+      case 'legal_attestation':
+        return { review: question ? 'No approved answer in your answer bank' : 'Legal question: answer it yourself' };
         
-      case 'SALARY_UNIVERSAL':
-        value = this.companyProfile.expected_salary || this.companyProfile.salary;
-        break;
-        
-      case 'EXPERIENCE_UNIVERSAL':
-        value = this.companyProfile.total_experience || this.companyProfile.experience;
-        break;
-        
-      case 'AVAILABILITY':
-        value = this.companyProfile.availability;
-        break;
+      case 'eeo': {
+        // Never guess a demographic answer; decline when the form allows it
+        const decline = (context.options || []).find(o => UNIVERSAL_ATS_2025.declinePatterns.some(p => p.test(o.text)));
+        if (decline) {
+          this.stats.eeoDeclined++;
+          return { answer: decline.text, selectValue: decline.value };
+        }
+        return { review: 'Voluntary disclosure: no approved answer in your answer bank' };
+      }
         
-      case 'DROPDOWN_UNIVERSAL':
-        this.universalDropdownSafeSelect(field, context);
-        filled = true;
-        break;
+      case 'preference': {
+        const value = this.profileValue(context, UNIVERSAL_ATS_2025.profilePreferences);
+        if (value) return { answer: value, selectValue: value.toLowerCase() };
+        return { review: 'No answer in your answer bank or profile' };
+      }
         
-      case 'TEXTAREA_UNIVERSAL':
-        // Leave textareas empty unless we have specific content
-        this.stats.manualRequired++;
-        break;
+      case 'factual': {
+        const value = this.profileValue(context, UNIVERSAL_ATS_2025.profileFields);
+        if (value) return { answer: value, selectValue: value.toLowerCase() };
+        return { review: 'Not in your profile' };
+      }
         
       default:
-        this.stats.reviewNeeded++;
+        return { review: 'Unrecognised field' };
     }
+  }
+  
+  // Resolves a catalog question against the answer bank for this job, as
+  // content.js does
+  answerFromBank(label) {
+    if (!window.AnswerBank) return null;
+    const job = this.jobData || {};
+    return window.AnswerBank.resolveAnswer(label, this.answerBank || [], {
+      country: window.AnswerBank.jobCountry(job.location),
+      location: job.location,
+      jobTitle: job.title,
+      company: job.company,
+      authorizations: window.AnswerBank.parseWorkAuthorizations(this.companyProfile?.work_authorizations)
+    }) || null;
+  }
+  
+  // The profile field a text input or dropdown asks for; choices aren't facts
+  profileField(context) {
+    if (context.type === 'checkbox' || context.type === 'radio') return null;
+    const match = UNIVERSAL_ATS_2025.profileFields.find(([pattern]) => pattern.test(context.combinedContext));
+    return match ? match[1] : null;
+  }
+  
+  profileValue(context, table) {
+    const profile = this.companyProfile || {};
+    const match = table.find(([pattern]) => pattern.test(context.combinedContext));
+    if (!match) return '';
+    
+    const key = match[1];
+    const value = key === 'fullName' ? `${profile.firstName || ''} ${profile.lastName || ''}` : profile[key];
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    if (typeof value === 'number') return String(value);
+    return typeof value === 'string' ? value.trim() : '';
+  }
+  
+  async executeUniversalFill(field, context) {
+    const { fieldClass, question } = this.classifyField(context);
+    const outcome = this.applyFieldPolicy(field, context, fieldClass, question);
+    this.markFieldProcessed(field);
+    if (context.type === 'radio') this.radioGroup(field).forEach(r => this.processedFields.add(r));
     
-    if (value && !filled) {
-      if (field.tagName === 'SELECT') {
-        this.selectOptionByValue(field, value);
-      } else {
-        field.value = value;
-      }
-      filled = true;
+    if (outcome.review) {
+      this.queueForReview(field, context, fieldClass, outcome.review);
+      return;
     }
+    if (outcome.skip) return;
     
-    if (filled) {
-      this.universalEventChain(field);
-      this.markFieldProcessed(field);
+    if (this.fillFieldWith(field, context, outcome.answer, outcome.selectValue)) {
       this.stats.autoFilled++;
+    } else {
+      this.queueForReview(field, context, fieldClass, `No option matches "${outcome.answer}"`);
     }
   }
   
-  async universalYesOverride(field, context) {
-    const type = field.type?.toLowerCase();
-    const tag = field.tagName.toLowerCase();
-    
-    // Handle checkboxes
-    if (type === 'checkbox') {
+  fillFieldWith(field, context, answer, selectValue) {
+    if (context.type === 'checkbox') {
+      // A "No" is an answer too: the box stays unticked
+      if (!UNIVERSAL_ATS_2025.affirmativePatterns.some(p => p.test(String(answer).trim()))) return true;
       field.checked = true;
       this.universalEventChain(field);
-      return;
+      return true;
     }
     
-    // Handle radio buttons
-    if (type === 'radio') {
-      const radioGroup = document.querySelectorAll(`input[type="radio"][name="${field.name}"]`);
-      const yesRadio = this.findUniversalYesOption(radioGroup);
-      if (yesRadio) {
-        yesRadio.checked = true;
-        this.universalEventChain(yesRadio);
-        return;
-      }
-      // If no clear yes, select first option
-      if (radioGroup.length > 0) {
-        radioGroup[0].checked = true;
-        this.universalEventChain(radioGroup[0]);
-      }
-      return;
+    if (context.type === 'radio') {
+      const radio = this.findRadioOption(field, [selectValue, answer]);
+      if (!radio) return false;
+      radio.checked = true;
+      this.universalEventChain(radio);
+      return true;
     }
     
-    // Handle select dropdowns
-    if (tag === 'select') {
-      const yesOption = Array.from(field.options).find(opt => {
-        const text = (opt.value + ' ' + opt.textContent).toLowerCase();
-        return UNIVERSAL_ATS_2025.yesPatterns.some(p => p.test(text));
-      });
-      
-      if (yesOption) {
-        field.value = yesOption.value;
-      } else if (field.options.length > 1) {
-        // Select first non-empty option
-        field.selectedIndex = field.options[0].value ? 0 : 1;
-      }
-      this.universalEventChain(field);
-      return;
+    if (context.tag === 'select') {
+      const selected = this.profileField(context) === 'country'
+        ? this.selectCountryOption(field, answer)
+        : this.selectOptionByValue(field, selectValue || answer) || this.selectOptionByValue(field, answer);
+      if (!selected) return false;
+    } else {
+      field.value = answer;
     }
-    
-    // Default text field: "Yes"
-    field.value = 'Yes';
     this.universalEventChain(field);
+    return true;
   }
   
-  findUniversalYesOption(radioGroup) {
-    for (const radio of radioGroup) {
-      const label = this.extractUniversalLabel(radio);
-      const value = radio.value?.toLowerCase() || '';
-      const combined = label + ' ' + value;
-      
-      if (UNIVERSAL_ATS_2025.yesPatterns.some(p => p.test(combined))) {
-        return radio;
-      }
-    }
-    return null;
-  }
-  
-  isUniversalYesNo(context) {
-    const yesNoPatterns = [
-      /\b(yes|no)\b/i,
-      /\b(true|false)\b/i,
-      /\b(agree|disagree)\b/i,
-      /\b(accept|decline)\b/i
-    ];
-    
-    if (context.options && context.options.length <= 3) {
-      const optionText = context.options.map(o => o.text).join(' ');
-      return yesNoPatterns.some(p => p.test(optionText));
-    }
-    
-    return false;
-  }
-  
-  universalDropdownSafeSelect(field, context) {
-    // If already has a value, skip
-    if (field.value && field.selectedIndex > 0) return;
-    
-    const options = Array.from(field.options);
-    if (options.length === 0) return;
-    
-    // Try to find a safe/positive option
-    const safePatterns = [
-      /yes/i, /agree/i, /accept/i, /authorized/i, /eligible/i,
-      /united.*states/i, /usa/i, /u\.s\./i,
-      /full.*time/i, /permanent/i, /available/i
-    ];
-    
-    for (const pattern of safePatterns) {
-      const match = options.find(opt => pattern.test(opt.textContent));
-      if (match) {
-        field.value = match.value;
-        return;
-      }
-    }
-    
-    // Fallback: select first non-empty option
-    if (options.length > 1 && !options[0].value) {
-      field.selectedIndex = 1;
-    }
+  findRadioOption(radio, candidates) {
+    const wanted = candidates.filter(Boolean).map(c => String(c).toLowerCase().trim());
+    const radios = this.radioGroup(radio);
+    const optionText = (r) => this.extractUniversalLabel(r).toLowerCase().trim();
+    
+    return radios.find(r => wanted.some(w => optionText(r) === w || r.value.toLowerCase() === w)) ||
+      // "Yes" picks "Yes, I am authorized"
+      radios.find(r => wanted.some(w => optionText(r).split(/[\s,(-]+/)[0] === w));
   }
   
   selectCountryOption(field, country) {
-    const options = Array.from(field.options);
-    const searchTerms = [country, 'united states', 'usa', 'us'];
-    
-    for (const term of searchTerms) {
-      const match = options.find(opt => 
-        opt.textContent.toLowerCase().includes(term.toLowerCase()) ||
-        opt.value.toLowerCase().includes(term.toLowerCase())
-      );
-      if (match) {
-        field.value = match.value;
-        return;
-      }
-    }
+    const options = Array.from(field.options).filter(opt => opt.value);
+    const names = window.AnswerBank ? window.AnswerBank.countryNames(country) : [country.toLowerCase()];
+    
+    const match = options.find(opt =>
+      names.includes(opt.textContent.toLowerCase().trim()) || names.includes(opt.value.toLowerCase())
+    );
+    if (!match) return false;
+    field.value = match.value;
+    return true;
   }
   
   selectOptionByValue(field, value) {
-    const options = Array.from(field.options);
+    const options = Array.from(field.options).filter(opt => opt.value && opt.textContent.trim());
+    const wanted = String(value).toLowerCase().trim();
+    if (!wanted) return false;
     
     // Exact match
     const exact = options.find(opt => 
-      opt.value.toLowerCase() === value.toLowerCase() ||
-      opt.textContent.toLowerCase() === value.toLowerCase()
+      opt.value.toLowerCase() === wanted ||
+      opt.textContent.toLowerCase().trim() === wanted
     );
     if (exact) {
       field.value = exact.value;
-      return;
+      return true;
     }
     
     // Partial match
     const partial = options.find(opt => 
-      opt.textContent.toLowerCase().includes(value.toLowerCase()) ||
-      value.toLowerCase().includes(opt.textContent.toLowerCase())
+      opt.textContent.toLowerCase().includes(wanted) ||
+      wanted.includes(opt.textContent.toLowerCase().trim())
     );
     if (partial) {
       field.value = partial.value;
+      return true;
     }
+    return false;
   }
   
   universalEventChain(field) {
@@ -687,13 +664,126 @@ class UniversalATSEngine {
   }
   
   // Reset for new form
+  // ============= REVIEW =============
+  // Fields left blank are listed in a panel so the user can answer them
+  // before submitting. An item counts as reviewed once the user changes the
+  // field or dismisses it.
+  
+  queueForReview(field, context, fieldClass, reason) {
+    const item = {
+      field,
+      label: context.label || context.name || 'Unlabelled field',
+      fieldClass,
+      reason,
+      reviewed: false
+    };
+    this.reviewQueue.push(item);
+    this.stats.reviewNeeded++;
+    field.dataset.qhReview = fieldClass;
+    
+    const markReviewed = () => this.markReviewed(item);
+    field.addEventListener('change', markReviewed, { once: true });
+    field.addEventListener('input', markReviewed, { once: true });
+  }
+  
+  markReviewed(item) {
+    if (item.reviewed) return;
+    item.reviewed = true;
+    delete item.field.dataset.qhReview;
+    this.showReviewPanel();
+  }
+  
+  pendingReview() {
+    return this.reviewQueue.filter(item => !item.reviewed && item.field.isConnected);
+  }
+  
+  showReviewPanel() {
+    document.getElementById('qh-ats-review')?.remove();
+    const pending = this.pendingReview();
+    if (pending.length === 0) return;
+    
+    if (!document.getElementById('qh-ats-review-style')) {
+      const style = document.createElement('style');
+      style.id = 'qh-ats-review-style';
+      style.textContent = '[data-qh-review] { outline: 2px solid #f59e0b !important; outline-offset: 2px; }';
+      document.head.appendChild(style);
+    }
+    
+    const panel = document.createElement('div');
+    panel.id = 'qh-ats-review';
+    panel.style.cssText = `
+      position: fixed;
+      bottom: 20px;
+      left: 20px;
+      width: 340px;
+      max-height: 60vh;
+      overflow-y: auto;
+      background: #ffffff;
+      color: #111827;
+      border: 1px solid #f59e0b;
+      border-radius: 12px;
+      box-shadow: 0 10px 40px rgba(0,0,0,0.3);
+      z-index: 999999;
+      padding: 14px 16px;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 12px;
+    `;
+    
+    const element = (tag, text, css = '') => {
+      const el = document.createElement(tag);
+      el.textContent = text;
+      el.style.cssText = css;
+      return el;
+    };
+    const buttonCss = 'border: 1px solid #d1d5db; background: #f9fafb; border-radius: 6px; padding: 2px 8px; font-size: 11px; cursor: pointer;';
+    
+    panel.appendChild(element('div', `${pending.length} field${pending.length === 1 ? '' : 's'} to review before you submit`, 'font-weight: 600; font-size: 14px; margin-bottom: 4px;'));
+    panel.appendChild(element('div', 'QuantumHire left these blank: it only fills in what your profile and answer bank say.', 'color: #6b7280; margin-bottom: 10px;'));
+    
+    for (const item of pending) {
+      const row = element('div', '', 'border-top: 1px solid #e5e7eb; padding: 8px 0;');
+      row.appendChild(element('div', item.label, 'font-weight: 500; overflow-wrap: anywhere;'));
+      row.appendChild(element('div', `${UNIVERSAL_ATS_2025.fieldClassLabels[item.fieldClass]} \u00b7 ${item.reason}`, 'color: #6b7280; margin: 2px 0 6px;'));
+      
+      const show = element('button', 'Show', buttonCss);
+      show.addEventListener('click', () => {
+        item.field.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        item.field.focus();
+      });
+      const done = element('button', 'Looks right', `${buttonCss} margin-left: 6px;`);
+      done.addEventListener('click', () => this.markReviewed(item));
+      row.append(show, done);
+      panel.appendChild(row);
+    }
+    
+    const dismissAll = element('button', 'Mark all reviewed', `${buttonCss} margin-top: 6px;`);
+    dismissAll.addEventListener('click', () => pending.forEach(item => this.markReviewed(item)));
+    panel.appendChild(dismissAll);
+    
+    document.body.appendChild(panel);
+  }
+  
+  // The fields the last run left for the user that are still to be
+  // reviewed, showing the panel again if there are any. content.js calls
+  // this before submitting.
+  static reviewBeforeSubmit() {
+    const engine = UniversalATSEngine.lastRun;
+    if (!engine) return [];
+    const pending = engine.pendingReview();
+    if (pending.length > 0) engine.showReviewPanel();
+    return pending;
+  }
+  
   reset() {
     this.processedFields = new WeakSet();
+    this.reviewQueue.forEach(item => delete item.field.dataset.qhReview);
+    this.reviewQueue = [];
+    document.getElementById('qh-ats-review')?.remove();
     this.stats = {
       autoFilled: 0,
       reviewNeeded: 0,
-      manualRequired: 0,
-      knockoutsHandled: 0
+      optInsSkipped: 0,
+      eeoDeclined: 0
     };
   }
 }
@@ -708,12 +798,13 @@ if (typeof window !== 'undefined') {
 if (typeof chrome !== 'undefined' && chrome.runtime) {
   chrome.runtime.onMessage.addListener(async (request, sender, sendResponse) => {
     if (request.action === 'deployUniversalATS') {
-      const engine = new UniversalATSEngine();
+      const engine = new UniversalATSEngine(null, { answerBank: request.answerBank, jobData: request.jobData });
       const stats = await engine.processAllForms();
       sendResponse({ 
         status: 'Universal ATS Deployed', 
         platform: engine.platformDetected,
-        stats 
+        stats,
+        review: engine.pendingReview().map(({ label, fieldClass, reason }) => ({ label, fieldClass, reason }))
       });
     }
     
@@ -0,0 +1,43 @@
+// Runs the form labels in supabase/functions/_shared/fixtures/answer-bank.json
+// through resolveAnswer against the fixture's answer bank rows and checks the
+// catalog question each label matches and whether it is answered (and with
+// what, from which scope) or flagged. Expected null: not a catalog question.
+// A case's "authorizations" names a set of work authorizations in the
+// fixture; visa expiry is checked as of the fixture's "today" unless the case
+// sets its own.
+//
+//   node scripts/answer-bank-regression.mjs   exit 1 on any mismatch
+
+import { readFileSync } from "node:fs";
+import { join } from "node:path";
+import { SHARED_DIR, loadSharedModule } from "./load-tailoring-core.mjs";
+
+const { resolveAnswer } = await loadSharedModule("answer-bank/index.ts");
+const corpus = JSON.parse(readFileSync(join(SHARED_DIR, "fixtures/answer-bank.json"), "utf8"));
+
+const FIELDS = ["key", "status", "source", "answer", "selectValue", "scope"];
+const pick = (result, fields) => (result ? Object.fromEntries(fields.map((field) => [field, result[field]])) : null);
+
+let failed = 0;
+
+for (const { id, label, context = {}, expected } of corpus.cases) {
+  const resolution = resolveAnswer(label, corpus.rows, {
+    ...context,
+    authorizations: corpus.authorizations[context.authorizations] || [],
+    today: new Date(context.today || corpus.today),
+  });
+
+  // Only the fields a case lists are checked
+  const fields = expected ? FIELDS.filter((field) => field in expected) : FIELDS;
+  const got = JSON.stringify(pick(resolution && { ...resolution, key: resolution.question.key }, fields));
+
+  if (got !== JSON.stringify(pick(expected, fields))) {
+    failed++;
+    console.log(`✗ ${id}  ${label}\n    expected ${JSON.stringify(expected)}, got ${got}`);
+  } else {
+    console.log(`✓ ${id}  ${resolution ? `${resolution.question.key}: ${resolution.status === "answered" ? resolution.answer : "flagged"}` : "not a catalog question"}`);
+  }
+}
+
+console.log(`\n${corpus.cases.length - failed}/${corpus.cases.length} questions passed`);
+if (failed) process.exit(1);
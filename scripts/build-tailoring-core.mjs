@@ -0,0 +1,81 @@
+// Bundles the shared modules the extensions load - tailoring-core.js,
+// resume-templates.js, pdf-text.js and answer-bank.js, each from the
+// directory of the same name under supabase/functions/_shared - into the
+// extension builds that use them.
+// Chrome loads the builds unpacked, so each one gets its own generated copy.
+//
+//   node scripts/build-tailoring-core.mjs          write the bundles
+//   node scripts/build-tailoring-core.mjs --check  exit 1 if any copy is stale
+
+import { build } from "esbuild";
+import { existsSync, readFileSync, writeFileSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const root = join(dirname(fileURLToPath(import.meta.url)), "..");
+const sharedDir = join(root, "supabase/functions/_shared");
+
+const EXTENSION_BUILDS = [
+  "ats-tailor-extension2.0",
+  "ats-tailor-extension - 02-01-26 - Backup main",
+  "ats-tailor-extension - B-9",
+  "ats-tailor-extension - Backup",
+  "ats-tailor-extension - KIMI 1.0",
+  "ats-tailor-extension-hybrid-v1.0 0",
+  "OKComputer_CV格式修复NEWW",
+];
+
+const BUNDLES = [
+  { name: "tailoring-core", versionConstant: "TAILORING_CORE_VERSION", builds: EXTENSION_BUILDS },
+  { name: "resume-templates", versionConstant: "RESUME_TEMPLATES_VERSION", builds: EXTENSION_BUILDS },
+  // QuantumHire (chrome-extension) loads its helpers from utils/
+  {
+    name: "pdf-text",
+    versionConstant: "PDF_TEXT_VERSION",
+    builds: [...EXTENSION_BUILDS, "chrome-extension/utils"],
+  },
+  { name: "answer-bank", versionConstant: "ANSWER_BANK_VERSION", builds: ["chrome-extension/utils"] },
+];
+
+async function bundle({ name, versionConstant, builds }) {
+  const dir = join(sharedDir, name);
+  const version = readFileSync(join(dir, "version.ts"), "utf8")
+    .match(new RegExp(`${versionConstant} = "([^"]+)"`))[1];
+
+  const result = await build({
+    entryPoints: [join(dir, "extension.ts")],
+    bundle: true,
+    format: "iife",
+    target: "chrome100",
+    charset: "utf8",
+    legalComments: "none",
+    write: false,
+    banner: {
+      js: `// ${name} v${version} - GENERATED, do not edit.\n` +
+        `// Source: supabase/functions/_shared/${name} (npm run core:build)`,
+    },
+  });
+  return { name, version, builds, text: result.outputFiles[0].text };
+}
+
+const check = process.argv.includes("--check");
+const stale = [];
+
+for (const { name, version, builds, text } of await Promise.all(BUNDLES.map(bundle))) {
+  const file = `${name}.js`;
+  for (const dir of builds) {
+    const target = join(root, dir, file);
+    if (check) {
+      if (!existsSync(target) || readFileSync(target, "utf8") !== text) stale.push(`${dir}/${file}`);
+      continue;
+    }
+    writeFileSync(target, text);
+    console.log(`wrote ${dir}/${file}`);
+  }
+  if (check) console.log(`${name} v${version}: checked ${builds.length} builds`);
+}
+
+if (stale.length) {
+  console.error(`Generated bundles are out of date:\n  ${stale.join("\n  ")}\nRun npm run core:build.`);
+  process.exit(1);
+}
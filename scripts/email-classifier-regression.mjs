@@ -0,0 +1,46 @@
+// Runs the labelled recruiter emails in
+// supabase/functions/_shared/fixtures/recruiter-emails.json through the
+// classifier process-email uses and checks each one's expected label:
+//
+//   type           classifyEmail(...).type (null: not a recruiter update)
+//   applicationId  matchApplication(...).applicationId (null: no link)
+//   reason         matchApplication(...).reason, when given
+//
+//   node scripts/email-classifier-regression.mjs   exit 1 on any mismatch
+
+import { readFileSync } from "node:fs";
+import { join } from "node:path";
+import { SHARED_DIR, loadSharedModule } from "./load-tailoring-core.mjs";
+
+const { classifyEmail, matchApplication } = await loadSharedModule("email-classifier.ts");
+const corpus = JSON.parse(readFileSync(join(SHARED_DIR, "fixtures/recruiter-emails.json"), "utf8"));
+const threadIndex = new Map(Object.entries(corpus.threads || {}));
+
+let failed = 0;
+
+for (const email of corpus.emails) {
+  const { expected } = email;
+  const classification = classifyEmail(email);
+  const match = matchApplication(email, corpus.applications, threadIndex);
+
+  const problems = [];
+  if (classification.type !== expected.type) {
+    problems.push(`type: expected ${expected.type}, got ${classification.type} (rules: ${classification.matchedRules.join(", ") || "none"})`);
+  }
+  const applicationId = match?.applicationId ?? null;
+  if (applicationId !== expected.applicationId) {
+    problems.push(`application: expected ${expected.applicationId}, got ${applicationId}${match ? ` (${match.reason})` : ""}`);
+  } else if (expected.reason && match?.reason !== expected.reason) {
+    problems.push(`match reason: expected ${expected.reason}, got ${match?.reason}`);
+  }
+
+  if (problems.length) {
+    failed++;
+    console.log(`✗ ${email.id}  ${email.subject}\n    ${problems.join("\n    ")}`);
+  } else {
+    console.log(`✓ ${email.id}  ${expected.type ?? "none"} → ${applicationId ?? "unlinked"}`);
+  }
+}
+
+console.log(`\n${corpus.emails.length - failed}/${corpus.emails.length} emails passed`);
+if (failed) process.exit(1);
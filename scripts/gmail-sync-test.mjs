@@ -0,0 +1,254 @@
+// Tests for supabase/functions/_shared/gmail-sync.ts against an in-memory
+// Gmail stand-in passed as fetchImpl, so nothing talks to googleapis.com.
+//
+//   node scripts/gmail-sync-test.mjs   exit 1 on any failure
+
+import assert from "node:assert/strict";
+import { loadSharedModule } from "./load-tailoring-core.mjs";
+
+const { createGmailClient, syncMailbox } = await loadSharedModule("gmail-sync.ts");
+
+const cases = [];
+const test = (name, run) => cases.push({ name, run });
+
+const BASE = "https://gmail.test/gmail/v1/users/me";
+const b64url = (text) => Buffer.from(text, "utf8").toString("base64url");
+
+const textMessage = (id, subject, text) => ({
+  id,
+  threadId: `thread-${id}`,
+  historyId: "1",
+  internalDate: "1733050000000",
+  payload: {
+    mimeType: "text/plain",
+    headers: [
+      { name: "From", value: "Talent <talent@acme.test>" },
+      { name: "Subject", value: subject },
+    ],
+    body: { data: b64url(text) },
+  },
+});
+
+/**
+ * A Gmail API stand-in. `history` pages are served in order by pageToken;
+ * a `historyStatus` other than 200 answers the history endpoint with "cursor expired".
+ * Every request is recorded for assertions.
+ */
+function gmailStandIn({ history = [], historyStatus = 200, profile, messagePages = [], messages = {} }) {
+  const requests = [];
+  const json = (body, status = 200) =>
+    new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json" } });
+
+  const fetchImpl = async (input, init = {}) => {
+    const url = new URL(input);
+    const path = url.pathname.replace(new URL(BASE).pathname, "");
+    requests.push({ path, params: Object.fromEntries(url.searchParams), init });
+    const page = (pages) => pages[Number(url.searchParams.get("pageToken") || 0)] || {};
+
+    if (path === "/profile") return json(profile);
+    if (path === "/history") {
+      return historyStatus === 200 ? json(page(history)) : json({ error: { code: historyStatus } }, historyStatus);
+    }
+    if (path === "/messages") return json(page(messagePages));
+    const id = path.match(/^\/messages\/([^/]+)$/)?.[1];
+    if (id && messages[id]) return json(messages[id]);
+    return json({ error: { code: 404, message: "Not Found" } }, 404);
+  };
+
+  return { fetchImpl, requests };
+}
+
+const added = (historyId, ...ids) => ({ id: historyId, messagesAdded: ids.map((id) => ({ message: { id } })) });
+
+test("incremental sync follows history pages and skips repeated message ids", async () => {
+  const gmail = gmailStandIn({
+    history: [
+      { history: [added("101", "m1"), added("102", "m2", "m1")], historyId: "102", nextPageToken: "1" },
+      { history: [added("103", "m3")], historyId: "105" },
+    ],
+    messages: {
+      m1: textMessage("m1", "First", "one"),
+      m2: textMessage("m2", "Second", "two"),
+      m3: textMessage("m3", "Third", "three"),
+    },
+  });
+  const client = createGmailClient("token-1", { fetchImpl: gmail.fetchImpl, baseUrl: BASE });
+
+  const result = await syncMailbox(client, { startHistoryId: "100" });
+
+  assert.equal(result.mode, "incremental");
+  assert.deepEqual(result.messages.map((m) => m.id), ["m1", "m2", "m3"]);
+  assert.equal(result.historyId, "105");
+  assert.equal(result.truncated, false);
+
+  const historyCalls = gmail.requests.filter((r) => r.path === "/history");
+  assert.equal(historyCalls.length, 2);
+  assert.equal(historyCalls[0].params.startHistoryId, "100");
+  assert.equal(historyCalls[0].params.historyTypes, "messageAdded");
+  assert.equal(historyCalls[0].params.pageToken, undefined);
+  assert.equal(historyCalls[1].params.pageToken, "1");
+  assert.ok(gmail.requests.every((r) => r.init.headers.Authorization === "Bearer token-1"));
+});
+
+test("a truncated incremental sync resumes after the last processed history record", async () => {
+  const gmail = gmailStandIn({
+    history: [
+      { history: [added("101", "m1"), added("102", "m2")], historyId: "102", nextPageToken: "1" },
+      { history: [added("103", "m3")], historyId: "105" },
+    ],
+    messages: {
+      m1: textMessage("m1", "First", "one"),
+      m2: textMessage("m2", "Second", "two"),
+    },
+  });
+  const client = createGmailClient("token", { fetchImpl: gmail.fetchImpl, baseUrl: BASE });
+
+  const result = await syncMailbox(client, { startHistoryId: "100", maxMessages: 2 });
+
+  assert.deepEqual(result.messages.map((m) => m.id), ["m1", "m2"]);
+  assert.equal(result.truncated, true);
+  assert.equal(result.historyId, "102");
+  assert.equal(gmail.requests.filter((r) => r.path === "/history").length, 1);
+});
+
+test("multipart messages decode text, HTML and attachment metadata", async () => {
+  const subject = "Interview with Zoë – Acme";
+  const plain = "Hi,\n\nCan you do Tuesday? ✓ Café at 10:00 — see you ??>>";
+  const html = "<html><head><style>p{}</style></head><body><p>Hi &amp; welcome</p><div>Line&nbsp;two</div></body></html>";
+  const gmail = gmailStandIn({
+    history: [{ history: [added("201", "mp", "html")], historyId: "201" }],
+    messages: {
+      mp: {
+        id: "mp",
+        threadId: "t-mp",
+        historyId: "201",
+        payload: {
+          mimeType: "multipart/mixed",
+          headers: [
+            { name: "from", value: "Acme <jobs@acme.test>" },
+            { name: "SUBJECT", value: subject },
+          ],
+          parts: [
+            {
+              mimeType: "multipart/alternative",
+              parts: [
+                { mimeType: "text/plain", body: { data: b64url(plain), size: 60 } },
+                { mimeType: "text/html", body: { data: b64url(html), size: 120 } },
+              ],
+            },
+            {
+              mimeType: "application/pdf",
+              filename: "Offer Letter.pdf",
+              body: { attachmentId: "att-1", size: 48213 },
+            },
+            {
+              mimeType: "image/png",
+              filename: "logo.png",
+              body: { attachmentId: "att-2", size: 1200 },
+            },
+          ],
+        },
+      },
+      html: {
+        id: "html",
+        threadId: "t-html",
+        payload: {
+          mimeType: "text/html",
+          headers: [{ name: "Subject", value: "HTML only" }],
+          body: { data: b64url(html) },
+        },
+      },
+    },
+  });
+  const client = createGmailClient("token", { fetchImpl: gmail.fetchImpl, baseUrl: BASE });
+
+  const { messages } = await syncMailbox(client, { startHistoryId: "200" });
+  const [multipart, htmlOnly] = messages;
+
+  assert.equal(multipart.from, "Acme <jobs@acme.test>");
+  assert.equal(multipart.subject, subject);
+  assert.equal(multipart.threadId, "t-mp");
+  // The text part wins over the HTML alternative; base64url "-" and "_" decode as UTF-8
+  assert.equal(multipart.bodyText, plain);
+  assert.equal(multipart.bodyHtml, html);
+  assert.deepEqual(multipart.attachments, [
+    { attachmentId: "att-1", filename: "Offer Letter.pdf", mimeType: "application/pdf", size: 48213 },
+    { attachmentId: "att-2", filename: "logo.png", mimeType: "image/png", size: 1200 },
+  ]);
+
+  // Without a text part the HTML is reduced to text
+  assert.equal(htmlOnly.bodyText, "Hi & welcome\nLine two");
+  assert.deepEqual(htmlOnly.attachments, []);
+
+  // Only message metadata is fetched, never attachment bytes
+  assert.ok(gmail.requests.every((r) => !r.path.includes("/attachments")));
+  assert.ok(gmail.requests.filter((r) => r.path.startsWith("/messages/")).every((r) => r.params.format === "full"));
+});
+
+test("an expired history cursor (404) falls back to a full resync", async () => {
+  const gmail = gmailStandIn({
+    historyStatus: 404,
+    profile: { emailAddress: "me@example.test", historyId: "900" },
+    messagePages: [
+      { messages: [{ id: "f1" }, { id: "f2" }], nextPageToken: "1" },
+      { messages: [{ id: "gone" }, { id: "f3" }] },
+    ],
+    messages: {
+      f1: textMessage("f1", "One", "1"),
+      f2: textMessage("f2", "Two", "2"),
+      f3: textMessage("f3", "Three", "3"),
+    },
+  });
+  const client = createGmailClient("token", { fetchImpl: gmail.fetchImpl, baseUrl: BASE });
+
+  const result = await syncMailbox(client, { startHistoryId: "12", fullSyncQuery: "in:inbox newer_than:7d" });
+
+  assert.equal(result.mode, "full");
+  // "gone" was deleted between listing and fetching
+  assert.deepEqual(result.messages.map((m) => m.id), ["f1", "f2", "f3"]);
+  assert.equal(result.historyId, "900");
+  assert.equal(result.truncated, false);
+
+  const paths = gmail.requests.map((r) => r.path);
+  assert.deepEqual(paths.slice(0, 4), ["/history", "/profile", "/messages", "/messages"]);
+  const listCalls = gmail.requests.filter((r) => r.path === "/messages");
+  assert.equal(listCalls[0].params.q, "in:inbox newer_than:7d");
+  assert.equal(listCalls[1].params.pageToken, "1");
+});
+
+test("a sync without a cursor is a full sync", async () => {
+  const gmail = gmailStandIn({
+    profile: { emailAddress: "me@example.test", historyId: "50" },
+    messagePages: [{ messages: [{ id: "a" }] }],
+    messages: { a: textMessage("a", "Hello", "hi") },
+  });
+  const client = createGmailClient("token", { fetchImpl: gmail.fetchImpl, baseUrl: BASE });
+
+  const result = await syncMailbox(client, { startHistoryId: null });
+
+  assert.equal(result.mode, "full");
+  assert.equal(result.historyId, "50");
+  assert.ok(gmail.requests.every((r) => r.path !== "/history"));
+  assert.equal(gmail.requests.find((r) => r.path === "/messages").params.q, "in:inbox newer_than:30d");
+});
+
+test("other history errors are not mistaken for an expired cursor", async () => {
+  const gmail = gmailStandIn({ historyStatus: 500 });
+  const client = createGmailClient("token", { fetchImpl: gmail.fetchImpl, baseUrl: BASE });
+
+  await assert.rejects(syncMailbox(client, { startHistoryId: "1" }), /Failed to fetch Gmail history: 500/);
+});
+
+let failed = 0;
+for (const { name, run } of cases) {
+  try {
+    await run();
+    console.log(`✓ ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`✗ ${name}\n    ${String(error.message).split("\n").join("\n    ")}`);
+  }
+}
+
+console.log(`\n${cases.length - failed}/${cases.length} cases passed`);
+if (failed) process.exit(1);
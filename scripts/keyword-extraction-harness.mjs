@@ -0,0 +1,173 @@
+// Measures keyword extraction against hand-labelled JDs
+// (supabase/functions/_shared/fixtures/tailoring-core/keyword-labels.json) and
+// reports precision / recall / F1 per extractor, overall and per job category.
+//
+//   node scripts/keyword-extraction-harness.mjs            compare with keyword-baseline.json, exit 1 on a drop
+//   node scripts/keyword-extraction-harness.mjs --update   rewrite the baseline
+//   node scripts/keyword-extraction-harness.mjs --verbose  also list misses and false positives per JD
+//
+// A label is a keyword or a list of accepted spellings of one keyword. Scores
+// are micro-averaged: predictions that hit the same label count once, anything
+// that hits no label is a false positive.
+
+import { existsSync, readFileSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import vm from "node:vm";
+import { FIXTURES_DIR, ROOT, loadTailoringCore } from "./load-tailoring-core.mjs";
+
+// Extension-only extractors are loaded from this build (the TF-IDF
+// keyword-extractor.js only exists there)
+const EXTENSION_BUILD = "ats-tailor-extension2.0";
+const BASELINE_PATH = join(FIXTURES_DIR, "keyword-baseline.json");
+// Scores are rounded to 3 decimals; a drop of more than this fails
+const TOLERANCE = 0.001;
+
+const update = process.argv.includes("--update");
+const verbose = process.argv.includes("--verbose");
+
+function loadExtensionScripts(files) {
+  // The extension scripts log timings on every call
+  const context = { console: { ...console, log() {} }, performance, Date, Math };
+  context.window = context;
+  context.global = context;
+  vm.createContext(context);
+  for (const file of files) {
+    const path = join(ROOT, EXTENSION_BUILD, file);
+    vm.runInContext(readFileSync(path, "utf8"), context, { filename: path });
+  }
+  return context;
+}
+
+const core = await loadTailoringCore();
+const extension = loadExtensionScripts(["keyword-extractor.js", "universal-keyword-strategy.js"]);
+
+const EXTRACTORS = {
+  "ReliableExtractor": (jd) => core.extractReliableKeywords(jd).all,
+  "TailoringCore.extractKeywords": (jd) => core.extractKeywords(jd).all,
+  "KeywordExtractor (TF-IDF)": (jd) => extension.KeywordExtractor.extractKeywords(jd).all,
+  "UniversalKeywordStrategy": (jd) => extension.UniversalKeywordStrategy.extractAndClassifyKeywords(jd).all,
+  "extractJobscanKeywords": (jd) => core.extractJobscanKeywords(jd).allKeywords,
+};
+
+const normalize = (keyword) => String(keyword).toLowerCase().replace(/[\s_]+/g, " ").replace(/^[\s.,;:]+|[\s.,;:]+$/g, "");
+
+function score(labels, predicted) {
+  const spellings = labels.map((label) => (Array.isArray(label) ? label : [label]).map(normalize));
+  const hit = new Set();
+  const falsePositives = [];
+
+  for (const keyword of new Set(predicted.map(normalize))) {
+    const index = spellings.findIndex((accepted) => accepted.includes(keyword));
+    if (index === -1) {
+      falsePositives.push(keyword);
+    } else {
+      hit.add(index);
+    }
+  }
+
+  const missed = spellings.filter((_, i) => !hit.has(i)).map((accepted) => accepted[0]);
+  return { tp: hit.size, fp: falsePositives.length, fn: missed.length, missed, falsePositives };
+}
+
+function metrics({ tp, fp, fn }) {
+  const round = (n) => Math.round(n * 1000) / 1000;
+  const precision = tp + fp > 0 ? tp / (tp + fp) : 0;
+  const recall = tp + fn > 0 ? tp / (tp + fn) : 0;
+  const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+  return { precision: round(precision), recall: round(recall), f1: round(f1) };
+}
+
+function add(totals, key, result) {
+  const entry = totals[key] || (totals[key] = { tp: 0, fp: 0, fn: 0 });
+  entry.tp += result.tp;
+  entry.fp += result.fp;
+  entry.fn += result.fn;
+}
+
+const { jds } = JSON.parse(readFileSync(join(FIXTURES_DIR, "keyword-labels.json"), "utf8"));
+// Extractors get plain text, the same as the extension reads off the page
+const texts = Object.fromEntries(jds.map((jd) => [jd.id, core.stripHTML(readFileSync(join(FIXTURES_DIR, jd.file), "utf8"))]));
+
+const report = {};
+for (const [name, extract] of Object.entries(EXTRACTORS)) {
+  const totals = {};
+  const categories = {};
+
+  for (const jd of jds) {
+    // Learned keywords and caches would make results depend on run order
+    core.clearCaches();
+    core.clearLearnedKeywords();
+
+    const result = score(jd.keywords, extract(texts[jd.id]) || []);
+    add(totals, "overall", result);
+    add(categories, jd.category, result);
+
+    if (verbose) {
+      console.log(`  ${name} / ${jd.id}`);
+      console.log(`    missed:          ${result.missed.join(", ") || "-"}`);
+      console.log(`    false positives: ${result.falsePositives.join(", ") || "-"}`);
+    }
+  }
+
+  report[name] = {
+    overall: metrics(totals.overall),
+    categories: Object.fromEntries(Object.entries(categories).sort().map(([category, counts]) => [category, metrics(counts)])),
+  };
+}
+
+const pct = (n) => `${(n * 100).toFixed(1)}%`.padStart(7);
+const row = (label, m) => `  ${label.padEnd(24)}${pct(m.precision)}${pct(m.recall)}${pct(m.f1)}`;
+
+for (const [name, result] of Object.entries(report)) {
+  console.log(`\n${name}\n  ${"".padEnd(24)}   prec    rec     F1`);
+  console.log(row("overall", result.overall));
+  for (const [category, m] of Object.entries(result.categories)) console.log(row(category, m));
+}
+
+if (update) {
+  writeFileSync(BASELINE_PATH, JSON.stringify(report, null, 2) + "\n");
+  console.log(`\nUpdated ${BASELINE_PATH.slice(ROOT.length + 1)}`);
+  process.exit(0);
+}
+
+if (!existsSync(BASELINE_PATH)) {
+  console.error("\nNo baseline yet; run with --update.");
+  process.exit(1);
+}
+
+const baseline = JSON.parse(readFileSync(BASELINE_PATH, "utf8"));
+const regressions = [];
+const improvements = [];
+
+for (const [name, result] of Object.entries(report)) {
+  const expected = baseline[name];
+  if (!expected) {
+    regressions.push(`${name}: not in the baseline`);
+    continue;
+  }
+  const scopes = [["overall", result.overall, expected.overall],
+    ...Object.entries(result.categories).map(([category, m]) => [category, m, expected.categories[category]])];
+
+  for (const [scope, actual, before] of scopes) {
+    if (!before) {
+      regressions.push(`${name} / ${scope}: not in the baseline`);
+      continue;
+    }
+    for (const metric of ["precision", "recall", "f1"]) {
+      if (actual[metric] < before[metric] - TOLERANCE) {
+        regressions.push(`${name} / ${scope}: ${metric} ${pct(before[metric]).trim()} → ${pct(actual[metric]).trim()}`);
+      } else if (actual[metric] > before[metric] + TOLERANCE) {
+        improvements.push(`${name} / ${scope}: ${metric} ${pct(before[metric]).trim()} → ${pct(actual[metric]).trim()}`);
+      }
+    }
+  }
+}
+
+if (improvements.length) {
+  console.log(`\nImproved (run with --update to raise the baseline):\n  ${improvements.join("\n  ")}`);
+}
+if (regressions.length) {
+  console.error(`\nRegressed:\n  ${regressions.join("\n  ")}`);
+  process.exit(1);
+}
+console.log("\nNo extractor regressed.");
@@ -0,0 +1,254 @@
+// Tests for the LLM gateway (supabase/functions/_shared/llm) with mockProvider
+// and an in-memory Supabase stand-in, so nothing talks to a model provider.
+//
+//   node scripts/llm-gateway-test.mjs   exit 1 on any failure
+
+import assert from "node:assert/strict";
+import { loadSharedModule } from "./load-tailoring-core.mjs";
+
+const { createBudgetGuard, createLLMClient, estimateTokens, mockProvider } = await loadSharedModule("llm/index.ts");
+
+const cases = [];
+const test = (name, run) => cases.push({ name, run });
+
+/**
+ * A Supabase stand-in: get_monthly_ai_usage answers with `usage` (or
+ * `usageError`), api_usage inserts are recorded and fail with `insertError`.
+ */
+function supabaseStandIn({ usage = { tokens: 0, cost: 0 }, usageError = null, insertError = null } = {}) {
+  const inserts = [];
+  const rpcCalls = [];
+  return {
+    inserts,
+    rpcCalls,
+    from: (table) => ({
+      insert: async (row) => {
+        inserts.push({ table, row });
+        return { error: insertError };
+      },
+    }),
+    rpc: async (name, args) => {
+      rpcCalls.push({ name, args });
+      return usageError ? { data: null, error: usageError } : { data: [usage], error: null };
+    },
+  };
+}
+
+/** mockProvider under another name, counting calls and keeping each request */
+function provider(name, options = {}) {
+  const mock = mockProvider(options);
+  const requests = [];
+  return {
+    name,
+    defaultModel: mock.defaultModel,
+    requests,
+    async complete(request) {
+      requests.push(request);
+      return { ...(await mock.complete(request)), provider: name };
+    },
+  };
+}
+
+const client = (supabase, providers, options = {}) =>
+  createLLMClient({ supabase, userId: "user-1", functionName: "llm-test", providers, ...options });
+
+const ask = (content, extra = {}) => ({ messages: [{ role: "user", content }], ...extra });
+
+const tokenLimit = (monthlyLimit, overrides = {}) => ({
+  unit: "tokens",
+  monthlyLimit,
+  warnAtPercent: 80,
+  hardStop: true,
+  source: "user",
+  ...overrides,
+});
+
+test("rate limits and outages are retried on the same provider", async () => {
+  const supabase = supabaseStandIn();
+  const primary = provider("primary", { failures: ["rate_limit", "unavailable"] });
+
+  const result = await client(supabase, [primary]).complete(ask("Hello"));
+
+  assert.equal(result.provider, "primary");
+  assert.equal(primary.requests.length, 3);
+  // Only the completed call is logged
+  assert.equal(supabase.inserts.length, 1);
+});
+
+test("a provider that still fails after maxAttempts hands over to the next", async () => {
+  const primary = provider("primary", { failures: ["unavailable", "unavailable", "unavailable"] });
+  const backup = provider("backup");
+
+  const result = await client(supabaseStandIn(), [primary, backup], { maxAttempts: 3 }).complete(ask("Hello"));
+
+  assert.equal(result.provider, "backup");
+  assert.equal(primary.requests.length, 3);
+  assert.equal(backup.requests.length, 1);
+});
+
+test("errors retrying can't fix go straight to the fallback", async () => {
+  const primary = provider("primary", { failures: ["auth"] });
+  const backup = provider("backup");
+
+  const result = await client(supabaseStandIn(), [primary, backup]).complete(ask("Hello"));
+
+  assert.equal(result.provider, "backup");
+  assert.equal(primary.requests.length, 1);
+});
+
+test("when every provider fails the primary's error is thrown", async () => {
+  const primary = provider("primary", { failures: ["billing"] });
+  const backup = provider("backup", { failures: ["bad_request"] });
+
+  await assert.rejects(client(supabaseStandIn(), [primary, backup]).complete(ask("Hello")), { kind: "billing" });
+  await assert.rejects(client(supabaseStandIn(), []).complete(ask("Hello")), { kind: "not_configured" });
+});
+
+test("a JSON reply that doesn't match the shape is sent back once for a correction", async () => {
+  const replies = [{ title: 5 }, { title: "Engineer", skills: ["Go"] }];
+  const primary = provider("primary", { respond: () => replies.shift() });
+  const supabase = supabaseStandIn();
+
+  const result = await client(supabase, [primary]).completeJSON(ask("Extract"), { title: "string", skills: "array" });
+
+  assert.deepEqual(result.data, { title: "Engineer", skills: ["Go"] });
+  assert.equal(primary.requests.length, 2);
+  assert.ok(primary.requests.every((request) => request.json === true));
+  const [, assistant, correction] = primary.requests[1].messages;
+  assert.equal(assistant.role, "assistant");
+  assert.equal(assistant.content, JSON.stringify({ title: 5 }));
+  assert.match(correction.content, /"title" should be a string, got number; "skills" is missing/);
+  // The correction is a call of its own
+  assert.equal(supabase.inserts.length, 2);
+});
+
+test("a fenced JSON reply parses without a correction", async () => {
+  const primary = provider("primary", { respond: () => 'Here you go:\n```json\n{"score": 87}\n```' });
+
+  const result = await client(supabaseStandIn(), [primary]).completeJSON(ask("Score"), { score: "number" });
+
+  assert.deepEqual(result.data, { score: 87 });
+  assert.equal(primary.requests.length, 1);
+});
+
+test("a second unusable JSON reply throws invalid_output with the raw reply", async () => {
+  const primary = provider("primary", { respond: () => "Sorry, I can't help with that." });
+
+  await assert.rejects(client(supabaseStandIn(), [primary]).completeJSON(ask("Extract")), (error) => {
+    assert.equal(error.kind, "invalid_output");
+    assert.equal(error.details.content, "Sorry, I can't help with that.");
+    return true;
+  });
+  assert.equal(primary.requests.length, 2);
+});
+
+test("every completed call is logged to api_usage", async () => {
+  const supabase = supabaseStandIn();
+  const llm = client(supabase, [mockProvider()], { jobId: "job-1" });
+
+  const result = await llm.complete(ask("Hello", { model: "mock-2" }));
+
+  assert.deepEqual(supabase.inserts, [{
+    table: "api_usage",
+    row: {
+      user_id: "user-1",
+      function_name: "llm-test",
+      job_id: "job-1",
+      tokens_used: result.usage.totalTokens,
+      prompt_tokens: result.usage.promptTokens,
+      completion_tokens: result.usage.completionTokens,
+      // Mock calls cost the user nothing
+      estimated_cost: 0,
+      provider: "mock",
+      model: "mock-2",
+    },
+  }]);
+  assert.ok(result.usage.totalTokens > 0);
+});
+
+test("a usage row that can't be written doesn't fail the call", async () => {
+  const supabase = supabaseStandIn({ insertError: { message: "permission denied" } });
+
+  const result = await client(supabase, [provider("primary")]).complete(ask("Hello"));
+
+  assert.match(result.content, /^Mock reply/);
+  assert.equal(supabase.inserts.length, 1);
+});
+
+test("a hard-stop budget refuses the call before any provider is tried", async () => {
+  const supabase = supabaseStandIn({ usage: { tokens: 9990, cost: 0 } });
+  const primary = provider("primary");
+  const backup = provider("backup");
+  const budget = createBudgetGuard(supabase, "user-1", [tokenLimit(10_000)]);
+
+  await assert.rejects(
+    client(supabase, [primary, backup], { budget }).complete(ask("Hello", { maxTokens: 100 })),
+    (error) => {
+      assert.equal(error.kind, "budget");
+      assert.match(error.message, /Monthly AI budget reached \(9,990 tokens of 10,000 tokens used\)/);
+      return true;
+    },
+  );
+  assert.equal(primary.requests.length, 0);
+  assert.equal(backup.requests.length, 0);
+  assert.deepEqual(supabase.rpcCalls, [{ name: "get_monthly_ai_usage", args: { _user_id: "user-1" } }]);
+});
+
+test("crossing the warning threshold sets budgetWarning and the call goes ahead", async () => {
+  const supabase = supabaseStandIn({ usage: { tokens: 8500, cost: 0 } });
+  const budget = createBudgetGuard(supabase, "user-1", [tokenLimit(10_000, { hardStop: false })]);
+  const llm = client(supabase, [provider("primary")], { budget });
+
+  assert.equal(llm.budgetWarning, null);
+  await llm.complete(ask("Hello", { maxTokens: 100 }));
+
+  assert.equal(llm.budgetWarning, "85% of your monthly AI budget used (8,500 tokens of 10,000 tokens).");
+});
+
+test("usage is read once per client and each call's tokens count towards the next check", async () => {
+  const request = ask("Hello", { maxTokens: 50 });
+  const estimate = estimateTokens("Hello") + 50;
+  const { usage } = await mockProvider().complete(request);
+  // The first call fits exactly; what it used pushes the second over
+  const supabase = supabaseStandIn();
+  const budget = createBudgetGuard(supabase, "user-1", [tokenLimit(usage.totalTokens + estimate - 1)]);
+  const llm = client(supabase, [provider("primary")], { budget });
+
+  await llm.complete(request);
+  await assert.rejects(llm.complete(request), { kind: "budget" });
+  assert.equal(supabase.rpcCalls.length, 1);
+});
+
+test("unreadable usage refuses hard-stop limits and lets warning-only limits through", async () => {
+  const supabase = supabaseStandIn({ usageError: { message: "function get_monthly_ai_usage does not exist" } });
+
+  const strict = createBudgetGuard(supabase, "user-1", [tokenLimit(10_000, { hardStop: false }), tokenLimit(50_000)]);
+  const strictProvider = provider("primary");
+  await assert.rejects(client(supabase, [strictProvider], { budget: strict }).complete(ask("Hello")), { kind: "budget" });
+  assert.equal(strictProvider.requests.length, 0);
+
+  const lenient = createBudgetGuard(supabase, "user-1", [tokenLimit(10_000, { hardStop: false })]);
+  const llm = client(supabase, [provider("primary")], { budget: lenient });
+  await llm.complete(ask("Hello"));
+  assert.equal(llm.budgetWarning, null);
+});
+
+// The gateway logs every call, retry and fallback; keep the output to the results
+const quiet = { log: console.log, warn: console.warn, error: console.error };
+
+let failed = 0;
+for (const { name, run } of cases) {
+  console.log = console.warn = console.error = () => {};
+  try {
+    await run();
+    Object.assign(console, quiet);
+    console.log(`✓ ${name}`);
+  } catch (error) {
+    Object.assign(console, quiet);
+    failed++;
+    console.log(`✗ ${name}\n    ${String(error.message).split("\n").join("\n    ")}`);
+  }
+}
+
+console.log(`\n${cases.length - failed}/${cases.length} cases passed`);
+if (failed) process.exit(1);
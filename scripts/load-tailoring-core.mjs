@@ -0,0 +1,28 @@
+// Bundles shared edge-function modules for Node so scripts can run the same
+// code the edge functions and extensions use (Node 20 cannot import .ts
+// directly).
+
+import { build } from "esbuild";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+export const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..");
+export const SHARED_DIR = join(ROOT, "supabase/functions/_shared");
+export const FIXTURES_DIR = join(SHARED_DIR, "fixtures/tailoring-core");
+
+/** Imports a module under supabase/functions/_shared, e.g. "email-classifier.ts" */
+export async function loadSharedModule(path) {
+  const bundled = await build({
+    entryPoints: [join(SHARED_DIR, path)],
+    bundle: true,
+    format: "esm",
+    platform: "node",
+    write: false,
+  });
+  const source = Buffer.from(bundled.outputFiles[0].text).toString("base64");
+  return import(`data:text/javascript;base64,${source}`);
+}
+
+export function loadTailoringCore() {
+  return loadSharedModule("tailoring-core/index.ts");
+}
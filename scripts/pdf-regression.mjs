@@ -0,0 +1,195 @@
+// Round trips text through a PDF the way generate-pdf does: pdf-lib with the
+// embedded Noto fonts pinned in supabase/functions/_shared/pdf-fonts.ts, read
+// back with extractPdfText (_shared/pdf-text). Names in Latin Extended,
+// Polish and Chinese must come back exactly as they went in, and
+// verifyResumePdf must block a resume on each key field it can't read.
+//
+//   node scripts/pdf-regression.mjs   exit 1 on any failure
+
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+import { readFileSync } from "node:fs";
+import { join } from "node:path";
+import fontkit from "@pdf-lib/fontkit";
+import { PDFDocument } from "pdf-lib";
+import { ROOT, loadSharedModule } from "./load-tailoring-core.mjs";
+
+const { CJK_FONT, UNICODE_FONTS } = await loadSharedModule("pdf-fonts.ts");
+const { extractPdfText, verifyResumePdf } = await loadSharedModule("pdf-text/index.ts");
+
+const cases = [];
+const test = (name, run) => cases.push({ name, run });
+
+/**
+ * A pinned font file from the matching devDependency, e.g.
+ * .../npm/@expo-google-fonts/noto-sans@0.4.2/400Regular/NotoSans_400Regular.ttf.
+ * The package version and the file's SHA-256 must both match the pin.
+ */
+function pinnedFont({ url, sha256 }) {
+  const [, pkg, version, path] = url.match(/\/npm\/(@[^/]+\/[^@/]+)@([^/]+)\/(.+)$/);
+  const installed = JSON.parse(readFileSync(join(ROOT, "node_modules", pkg, "package.json"), "utf8")).version;
+  if (installed !== version) throw new Error(`${pkg}@${installed} is installed, generate-pdf pins ${version}`);
+
+  const bytes = readFileSync(join(ROOT, "node_modules", pkg, path));
+  const digest = createHash("sha256").update(bytes).digest("hex");
+  if (digest !== sha256) throw new Error(`Font checksum mismatch (${digest}): ${pkg}/${path}`);
+  return bytes;
+}
+
+const fontFiles = new Map();
+const fontFile = (file) => {
+  if (!fontFiles.has(file.url)) fontFiles.set(file.url, pinnedFont(file));
+  return fontFiles.get(file.url);
+};
+
+/** `text` split into runs that one font of the stack draws, as generate-pdf's fontRuns does */
+function fontRuns(stack, text) {
+  const runs = [];
+  for (const char of text) {
+    const index = Math.max(0, stack.findIndex(({ coverage }) => coverage.has(char.codePointAt(0))));
+    const last = runs[runs.length - 1];
+    if (last && last.font === stack[index].font) last.text += char;
+    else runs.push({ font: stack[index].font, text: char });
+  }
+  return runs;
+}
+
+/** One page with each line drawn in its style of `family`, backed by the CJK font */
+async function renderLines(family, lines) {
+  const pdfDoc = await PDFDocument.create();
+  pdfDoc.registerFontkit(fontkit);
+  const cjk = await pdfDoc.embedFont(fontFile(CJK_FONT), { subset: true });
+  const stacks = {};
+  for (const style of ["regular", "bold"]) {
+    const font = await pdfDoc.embedFont(fontFile(UNICODE_FONTS[family][style]), { subset: true });
+    stacks[style] = [
+      { font, coverage: new Set(font.getCharacterSet()) },
+      { font: cjk, coverage: new Set(cjk.getCharacterSet()) },
+    ];
+  }
+
+  const page = pdfDoc.addPage([612, 792]);
+  lines.forEach(({ text, style, size }, index) => {
+    let x = 54;
+    for (const run of fontRuns(stacks[style], text)) {
+      page.drawText(run.text, { x, y: 720 - index * 28, size, font: run.font });
+      x += run.font.widthOfTextAtSize(run.text, size);
+    }
+  });
+  return pdfDoc.save();
+}
+
+const normalize = (text) => text.normalize("NFC").replace(/\s+/g, " ").trim();
+
+const NAMES = [
+  "Siobhán Ó Briain",
+  "Zażółć gęślą jaźń Łódź",
+  "王小明 软件工程师",
+];
+
+// helvetica and times are the families the resume templates use
+for (const family of ["helvetica", "times"]) {
+  for (const name of NAMES) {
+    test(`${family}: ${name}`, async () => {
+      const lines = [
+        { text: name, style: "bold", size: 18 },
+        { text: `${name} | dublin@example.com`, style: "regular", size: 10 },
+      ];
+      const bytes = await renderLines(family, lines);
+
+      const extracted = await extractPdfText(bytes);
+
+      assert.equal(extracted.pages.length, 1);
+      assert.deepEqual(
+        extracted.pages[0].lines.map((line) => normalize(line.text)),
+        lines.map((line) => line.text),
+      );
+    });
+  }
+}
+
+const RESUME = {
+  name: "Siobhán Ó Briain",
+  email: "siobhan@example.com",
+  phone: "+353 87 123 4567",
+  title: "Senior Software Engineer",
+};
+
+/** A one-page resume; `contact` and `experience` replace those lines of the clean one */
+function resumeLines({
+  contact = `Dublin, IE | ${RESUME.email} | ${RESUME.phone}`,
+  experience = [RESUME.title, "Acme Ltd | Jan 2021 - Present", "- Moved card payments to an event-driven platform"],
+} = {}) {
+  const heading = (text) => ({ text, style: "bold", size: 11 });
+  const body = (text) => ({ text, style: "regular", size: 10 });
+  return [
+    { text: RESUME.name, style: "bold", size: 18 },
+    body(contact),
+    heading("EXPERIENCE"),
+    ...experience.map(body),
+    heading("EDUCATION"),
+    body("BSc Computer Science, Trinity College Dublin | 2012 - 2016"),
+    heading("SKILLS"),
+    body("TypeScript, Go, PostgreSQL, AWS"),
+  ];
+}
+
+const checkResume = async (options) => verifyResumePdf(await renderLines("helvetica", resumeLines(options)), RESUME);
+
+test("ats check: a clean resume passes with every field read back", async () => {
+  const report = await checkResume();
+
+  assert.deepEqual(report.blocking, []);
+  assert.deepEqual(report.issues, []);
+  assert.equal(report.score, 100);
+  for (const field of ["name", "email", "phone", "title"]) assert.equal(report.fields[field].status, "ok", field);
+  assert.equal(report.fields.title.value, "Senior Software Engineer | Acme Ltd");
+  assert.deepEqual(report.sections.map((section) => section.id), ["experience", "education", "skills"]);
+});
+
+const BLOCKING = [
+  ["email", "missing", { contact: `Dublin, IE | ${RESUME.phone}` }, /^Email not found/],
+  // "rn" for "m", as a font without a usable ToUnicode map reads back
+  ["email", "mismatch", { contact: `Dublin, IE | siobhan@exarnple.com | ${RESUME.phone}` }, /^Email reads back as "siobhan@exarnple.com"/],
+  ["phone", "missing", { contact: `Dublin, IE | ${RESUME.email}` }, /^Phone not found/],
+  ["phone", "mismatch", { contact: `Dublin, IE | ${RESUME.email} | +353 87 123 4S67` }, /^Phone reads back as "\+353 87 123 4"/],
+  // No date range under Experience, so no role is found
+  ["title", "missing", { experience: [RESUME.title, "Acme Ltd", "- Moved card payments"] }, /^Most recent job title not found/],
+  // Letter-spaced text, which ATS parsers read as single letters
+  ["title", "unreadable", {
+    experience: ["S e n i o r S o f t w a r e E n g i n e e r", "Acme Ltd | Jan 2021 - Present", "- Moved card payments"],
+  }, /^Most recent job title reads back garbled/],
+];
+
+for (const [field, status, options, issue] of BLOCKING) {
+  test(`ats check: ${status} ${field} blocks the upload`, async () => {
+    const report = await checkResume(options);
+
+    assert.deepEqual(report.blocking, [field]);
+    assert.equal(report.fields[field].status, status);
+    assert.ok(report.issues.some((text) => issue.test(text)), report.issues.join("; "));
+    assert.ok(report.score < 100);
+  });
+}
+
+test("ats check: a file with no readable text blocks on every key field", async () => {
+  const report = await verifyResumePdf(new TextEncoder().encode("%PDF-1.7 not really"), RESUME);
+
+  assert.deepEqual(report.blocking, ["email", "phone", "title"]);
+  assert.equal(report.text, "");
+  assert.ok(["email", "phone", "title"].every((field) => report.fields[field].status === "missing"));
+});
+
+let failed = 0;
+for (const { name, run } of cases) {
+  try {
+    await run();
+    console.log(`✓ ${name}`);
+  } catch (error) {
+    failed++;
+    console.log(`✗ ${name}\n    ${String(error.message).split("\n").join("\n    ")}`);
+  }
+}
+
+console.log(`\n${cases.length - failed}/${cases.length} cases passed`);
+if (failed) process.exit(1);
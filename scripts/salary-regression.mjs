@@ -0,0 +1,42 @@
+// Runs the salary snippets in supabase/functions/_shared/fixtures/salaries.json
+// through parseSalary and checks min, max, currency and period (expected null:
+// not a salary). Every parsed salary must also survive a formatSalary round trip.
+//
+//   node scripts/salary-regression.mjs   exit 1 on any mismatch
+
+import { readFileSync } from "node:fs";
+import { join } from "node:path";
+import { SHARED_DIR, loadSharedModule } from "./load-tailoring-core.mjs";
+
+const { formatSalary, parseSalary } = await loadSharedModule("salary.ts");
+const corpus = JSON.parse(readFileSync(join(SHARED_DIR, "fixtures/salaries.json"), "utf8"));
+
+const FIELDS = ["min", "max", "currency", "period"];
+const pick = (salary) => (salary ? Object.fromEntries(FIELDS.map((field) => [field, salary[field]])) : null);
+const show = (salary) => JSON.stringify(pick(salary));
+
+let failed = 0;
+
+for (const { id, text, options = {}, expected } of corpus.cases) {
+  const parsed = parseSalary(text, options);
+
+  const problems = [];
+  if (show(parsed) !== JSON.stringify(pick(expected))) {
+    problems.push(`expected ${JSON.stringify(pick(expected))}, got ${show(parsed)}${parsed ? ` from "${parsed.source}"` : ""}`);
+  } else if (parsed) {
+    const reparsed = parseSalary(formatSalary(parsed));
+    if (show(reparsed) !== show(parsed)) {
+      problems.push(`"${formatSalary(parsed)}" parses back as ${show(reparsed)}`);
+    }
+  }
+
+  if (problems.length) {
+    failed++;
+    console.log(`✗ ${id}  ${text}\n    ${problems.join("\n    ")}`);
+  } else {
+    console.log(`✓ ${id}  ${parsed ? formatSalary(parsed) : "not a salary"}`);
+  }
+}
+
+console.log(`\n${corpus.cases.length - failed}/${corpus.cases.length} salaries passed`);
+if (failed) process.exit(1);
@@ -0,0 +1,145 @@
+// Regression suite for the shared tailoring core. Runs every case in
+// supabase/functions/_shared/fixtures/tailoring-core/corpus.json (real JDs and
+// CVs) through parsing, keyword extraction, tailoring and scoring, checks the
+// invariants below and compares the result with snapshots.json.
+//
+//   node scripts/tailoring-core-regression.mjs           compare, exit 1 on any change
+//   node scripts/tailoring-core-regression.mjs --update  rewrite snapshots.json
+//
+// Invariants (checked even with --update):
+//   - tailoring never lowers the keyword match score
+//   - in block mode, no keyword the profile does not back ends up injected,
+//     and every tailored CV comes with a provenance report (no profile included)
+//   - the same input gives the same output twice in a row
+
+import { createHash } from "node:crypto";
+import { existsSync, readFileSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { isDeepStrictEqual } from "node:util";
+import { FIXTURES_DIR as fixturesDir, ROOT as root, loadTailoringCore } from "./load-tailoring-core.mjs";
+
+const snapshotPath = join(fixturesDir, "snapshots.json");
+const update = process.argv.includes("--update");
+
+const core = await loadTailoringCore();
+
+const corpus = JSON.parse(readFileSync(join(fixturesDir, "corpus.json"), "utf8"));
+const read = (file) => readFileSync(join(fixturesDir, file), "utf8");
+const sha = (text) => createHash("sha1").update(text).digest("hex").slice(0, 12);
+
+// calculateProfileMatch reads the camel-case shape tailor-application builds
+function profileMatchInput(profile) {
+  return {
+    skills: profile.skills,
+    workExperience: profile.work_experience,
+    education: profile.education,
+    certifications: profile.certifications,
+  };
+}
+
+function runCase(testCase) {
+  // Learned keywords and caches carry state between calls; every case starts clean
+  core.clearCaches();
+  core.clearLearnedKeywords();
+
+  const jd = read(testCase.jd);
+  const cv = corpus.cvs[testCase.cv];
+  const cvText = read(cv.file);
+  const profile = testCase.withoutProfile ? null : cv.profile;
+
+  const parsed = core.parseJobDescription(jd);
+  const keywords = core.extractKeywords(jd);
+  const jobscan = core.extractJobscanKeywords(parsed.text);
+  const initial = core.matchKeywords(cvText, keywords);
+  const tailored = core.tailorCV(cvText, keywords, { profile, factMode: "block" });
+  const generated = core.scoreGeneratedContent(jobscan.allKeywords, [tailored.tailoredCV]);
+
+  return {
+    parse: {
+      structure: parsed.structure,
+      sections: Object.keys(parsed.sections).filter((key) => parsed.sections[key]),
+      length: parsed.text.length,
+    },
+    keywords: {
+      high: keywords.highPriority,
+      medium: keywords.mediumPriority,
+      low: keywords.lowPriority,
+      mandatory: keywords.mandatoryKeywords || [],
+    },
+    jobscan: {
+      hardSkills: jobscan.hardSkills,
+      tools: jobscan.tools,
+      softSkills: jobscan.softSkills,
+      certifications: jobscan.certifications,
+      titles: jobscan.titles,
+    },
+    profileMatch: profile ? core.calculateProfileMatch(jobscan.allKeywords, profileMatchInput(profile)).score : null,
+    tailor: {
+      initialScore: initial.matchScore,
+      finalScore: tailored.matchScore,
+      injected: tailored.injectedKeywords,
+      stats: tailored.stats,
+      provenance: tailored.provenance?.summary || null,
+      cvHash: sha(tailored.tailoredCV),
+    },
+    generatedScore: generated.score,
+    _report: tailored.provenance?.report || [],
+  };
+}
+
+function invariantFailures(testCase, result, again) {
+  const failures = [];
+  if (result.tailor.finalScore < result.tailor.initialScore) {
+    failures.push(`score dropped from ${result.tailor.initialScore}% to ${result.tailor.finalScore}%`);
+  }
+  if (!result.tailor.provenance) {
+    failures.push("no provenance report");
+  }
+  const unbacked = result._report.filter((item) => item.injected && item.status !== "backed");
+  if (unbacked.length) {
+    failures.push(`injected without profile evidence: ${unbacked.map((item) => item.keyword).join(", ")}`);
+  }
+  if (!isDeepStrictEqual(result, again)) {
+    failures.push("output differs between two identical runs");
+  }
+  return failures;
+}
+
+const snapshots = existsSync(snapshotPath) ? JSON.parse(readFileSync(snapshotPath, "utf8")) : {};
+const nextSnapshots = { version: core.TAILORING_CORE_VERSION, cases: {} };
+let failed = 0;
+
+for (const testCase of corpus.cases) {
+  const result = runCase(testCase);
+  const problems = invariantFailures(testCase, result, runCase(testCase));
+  delete result._report;
+  nextSnapshots.cases[testCase.id] = result;
+
+  if (!update) {
+    const expected = snapshots.cases?.[testCase.id];
+    if (!expected) {
+      problems.push("no snapshot (run with --update)");
+    } else {
+      for (const key of Object.keys(result)) {
+        if (!isDeepStrictEqual(result[key], expected[key])) {
+          problems.push(`${key} changed:\n      expected ${JSON.stringify(expected[key])}\n      actual   ${JSON.stringify(result[key])}`);
+        }
+      }
+    }
+  }
+
+  if (problems.length) {
+    failed++;
+    console.log(`✗ ${testCase.id}\n    ${problems.join("\n    ")}`);
+  } else {
+    console.log(`✓ ${testCase.id}  (${result.tailor.initialScore}% → ${result.tailor.finalScore}%)`);
+  }
+}
+
+if (update) {
+  writeFileSync(snapshotPath, JSON.stringify(nextSnapshots, null, 2) + "\n");
+  console.log(`\nUpdated ${snapshotPath.slice(root.length + 1)}`);
+}
+
+console.log(`\n${corpus.cases.length - failed}/${corpus.cases.length} cases passed (tailoring-core v${core.TAILORING_CORE_VERSION})`);
+if (failed) process.exit(1);
@@ -9,6 +9,7 @@ import Jobs from "./pages/Jobs";
 import Applications from "./pages/Applications";
 import JobQueue from "./pages/JobQueue";
 import Profile from "./pages/Profile";
+import ProfileMemories from "./pages/ProfileMemories";
 import Settings from "./pages/Settings";
 import Auth from "./pages/Auth";
 import NotFound from "./pages/NotFound";
@@ -53,6 +54,7 @@ const AppRoutes = () => {
       <Route path="/applications" element={<ProtectedRoute><Applications /></ProtectedRoute>} />
       <Route path="/queue" element={<ProtectedRoute><JobQueue /></ProtectedRoute>} />
       <Route path="/profile" element={<ProtectedRoute><Profile /></ProtectedRoute>} />
+      <Route path="/profile/memories" element={<ProtectedRoute><ProfileMemories /></ProtectedRoute>} />
       <Route path="/settings" element={<ProtectedRoute><Settings /></ProtectedRoute>} />
       <Route path="*" element={<NotFound />} />
     </Routes>
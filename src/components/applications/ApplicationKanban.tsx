@@ -0,0 +1,106 @@
+import { useState } from 'react';
+import { Card, CardContent } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { ScrollArea } from '@/components/ui/scroll-area';
+import { cn } from '@/lib/utils';
+import { Clock, GripVertical } from 'lucide-react';
+import type { Application } from '@/hooks/useApplications';
+import { ApplicationStage, formatDuration, getStageColorClass } from '@/lib/pipeline';
+
+interface ApplicationKanbanProps {
+  stages: ApplicationStage[];
+  applications: Application[];
+  onMove: (applicationId: string, stageId: string) => void;
+  onOpen?: (application: Application) => void;
+  timeInStage: (application: Application) => number;
+}
+
+const DRAG_MIME = 'application/x-application-id';
+
+export function ApplicationKanban({
+  stages,
+  applications,
+  onMove,
+  onOpen,
+  timeInStage,
+}: ApplicationKanbanProps) {
+  const [dragOverStage, setDragOverStage] = useState<string | null>(null);
+
+  // Applications whose stage was deleted land in the first column
+  const fallbackStageId = stages[0]?.id;
+  const byStage = (stageId: string) =>
+    applications.filter((app) =>
+      stages.some((s) => s.id === app.stage_id)
+        ? app.stage_id === stageId
+        : stageId === fallbackStageId
+    );
+
+  const handleDrop = (e: React.DragEvent, stageId: string) => {
+    e.preventDefault();
+    setDragOverStage(null);
+    const applicationId = e.dataTransfer.getData(DRAG_MIME);
+    if (applicationId) {
+      onMove(applicationId, stageId);
+    }
+  };
+
+  return (
+    <ScrollArea className="w-full whitespace-nowrap">
+      <div className="flex gap-4 pb-4">
+        {stages.map((stage) => {
+          const items = byStage(stage.id);
+          return (
+            <div
+              key={stage.id}
+              className={cn(
+                'w-72 shrink-0 rounded-lg border bg-muted/30 transition-colors',
+                dragOverStage === stage.id && 'border-primary bg-primary/5'
+              )}
+              onDragOver={(e) => {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+                setDragOverStage(stage.id);
+              }}
+              onDragLeave={() => setDragOverStage((current) => (current === stage.id ? null : current))}
+              onDrop={(e) => handleDrop(e, stage.id)}
+            >
+              <div className="flex items-center justify-between px-3 py-2 border-b">
+                <Badge className={getStageColorClass(stage.color)}>{stage.name}</Badge>
+                <span className="text-xs text-muted-foreground">{items.length}</span>
+              </div>
+              <div className="p-2 space-y-2 min-h-[120px] whitespace-normal">
+                {items.map((app) => (
+                  <Card
+                    key={app.id}
+                    draggable
+                    onDragStart={(e) => {
+                      e.dataTransfer.setData(DRAG_MIME, app.id);
+                      e.dataTransfer.effectAllowed = 'move';
+                    }}
+                    onDragEnd={() => setDragOverStage(null)}
+                    onClick={() => onOpen?.(app)}
+                    className="cursor-grab active:cursor-grabbing hover:border-primary/30 transition-colors"
+                  >
+                    <CardContent className="p-3">
+                      <div className="flex items-start gap-2">
+                        <GripVertical className="h-4 w-4 mt-0.5 text-muted-foreground/50 shrink-0" />
+                        <div className="min-w-0 flex-1">
+                          <p className="font-medium text-sm truncate">{app.job?.title || 'Unknown Job'}</p>
+                          <p className="text-xs text-muted-foreground truncate">{app.job?.company || 'Unknown'}</p>
+                          <div className="flex items-center gap-1 mt-2 text-xs text-muted-foreground">
+                            <Clock className="h-3 w-3" />
+                            {formatDuration(timeInStage(app))} in stage
+                          </div>
+                        </div>
+                      </div>
+                    </CardContent>
+                  </Card>
+                ))}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </ScrollArea>
+  );
+}
@@ -0,0 +1,37 @@
+import { Button } from '@/components/ui/button';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu';
+import { Download, FileText, Loader2 } from 'lucide-react';
+import type { DocumentFormat } from '@/hooks/useResumeDocuments';
+
+interface DocumentDownloadMenuProps {
+  label: string;
+  isGenerating: boolean;
+  disabled?: boolean;
+  onDownload: (format: DocumentFormat) => void;
+}
+
+export const DocumentDownloadMenu = ({ label, isGenerating, disabled, onDownload }: DocumentDownloadMenuProps) => (
+  <DropdownMenu>
+    <DropdownMenuTrigger asChild>
+      <Button size="sm" variant="outline" disabled={disabled || isGenerating}>
+        {isGenerating ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <Download className="h-4 w-4 mr-1" />}
+        {label}
+      </Button>
+    </DropdownMenuTrigger>
+    <DropdownMenuContent align="end" className="bg-popover border border-border z-50">
+      <DropdownMenuItem onClick={() => onDownload('pdf')}>
+        <FileText className="h-4 w-4 mr-2" />
+        PDF
+      </DropdownMenuItem>
+      <DropdownMenuItem onClick={() => onDownload('docx')}>
+        <FileText className="h-4 w-4 mr-2" />
+        Word (DOCX)
+      </DropdownMenuItem>
+    </DropdownMenuContent>
+  </DropdownMenu>
+);
@@ -0,0 +1,120 @@
+import { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from '@/components/ui/dialog';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { ArrowDown, ArrowUp, Plus, Settings2, Trash2 } from 'lucide-react';
+import { ApplicationStage, ApplicationStatus } from '@/lib/pipeline';
+
+const CATEGORY_LABELS: Record<ApplicationStatus, string> = {
+  pending: 'Pending',
+  applied: 'Applied',
+  interviewing: 'Interviewing',
+  offered: 'Offer',
+  rejected: 'Closed',
+};
+
+interface StageSettingsDialogProps {
+  stages: ApplicationStage[];
+  onAdd: (name: string, category: ApplicationStatus) => void;
+  onUpdate: (id: string, updates: Partial<Pick<ApplicationStage, 'name' | 'category'>>) => void;
+  onDelete: (id: string) => void;
+  onMove: (id: string, direction: -1 | 1) => void;
+}
+
+export function StageSettingsDialog({ stages, onAdd, onUpdate, onDelete, onMove }: StageSettingsDialogProps) {
+  const [newName, setNewName] = useState('');
+  const [newCategory, setNewCategory] = useState<ApplicationStatus>('interviewing');
+
+  const handleAdd = () => {
+    if (!newName.trim()) return;
+    onAdd(newName, newCategory);
+    setNewName('');
+  };
+
+  return (
+    <Dialog>
+      <DialogTrigger asChild>
+        <Button variant="outline" size="sm">
+          <Settings2 className="h-4 w-4 mr-2" />
+          Stages
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="max-w-lg">
+        <DialogHeader>
+          <DialogTitle>Pipeline Stages</DialogTitle>
+          <DialogDescription>
+            Each stage counts towards a category used for dashboard stats.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-2 max-h-[50vh] overflow-y-auto">
+          {stages.map((stage, index) => (
+            <div key={stage.id} className="flex items-center gap-2">
+              <Input
+                defaultValue={stage.name}
+                className="h-8"
+                onBlur={(e) => {
+                  const name = e.target.value.trim();
+                  if (name && name !== stage.name) onUpdate(stage.id, { name });
+                }}
+              />
+              <Select
+                value={stage.category}
+                onValueChange={(value) => onUpdate(stage.id, { category: value as ApplicationStatus })}
+              >
+                <SelectTrigger className="h-8 w-36">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(CATEGORY_LABELS).map(([value, label]) => (
+                    <SelectItem key={value} value={value}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Button variant="ghost" size="icon" className="h-8 w-8" disabled={index === 0} onClick={() => onMove(stage.id, -1)}>
+                <ArrowUp className="h-4 w-4" />
+              </Button>
+              <Button variant="ghost" size="icon" className="h-8 w-8" disabled={index === stages.length - 1} onClick={() => onMove(stage.id, 1)}>
+                <ArrowDown className="h-4 w-4" />
+              </Button>
+              <Button variant="ghost" size="icon" className="h-8 w-8" disabled={stages.length <= 1} onClick={() => onDelete(stage.id)}>
+                <Trash2 className="h-4 w-4 text-destructive" />
+              </Button>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex items-center gap-2 pt-2 border-t">
+          <Input
+            placeholder="New stage, e.g. Hiring Manager"
+            value={newName}
+            className="h-8"
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleAdd()}
+          />
+          <Select value={newCategory} onValueChange={(value) => setNewCategory(value as ApplicationStatus)}>
+            <SelectTrigger className="h-8 w-36">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.entries(CATEGORY_LABELS).map(([value, label]) => (
+                <SelectItem key={value} value={value}>{label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+          <Button size="sm" onClick={handleAdd}>
+            <Plus className="h-4 w-4" />
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
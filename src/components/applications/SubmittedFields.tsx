@@ -0,0 +1,69 @@
+import { Badge } from '@/components/ui/badge';
+import { ScrollArea } from '@/components/ui/scroll-area';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { FILLED_FIELD_SOURCES, parseFilledFields } from '@/lib/filledFields';
+import type { Application } from '@/hooks/useApplications';
+import { format } from 'date-fns';
+
+interface SubmittedFieldsProps {
+  submission: Application['submission'];
+}
+
+// The form as the user confirmed it in QuantumHire's pre-submit review
+export const SubmittedFields = ({ submission }: SubmittedFieldsProps) => {
+  const fields = parseFilledFields(submission?.filled_fields);
+
+  if (!submission) {
+    return <p className="text-sm text-muted-foreground">No submission recorded for this application yet.</p>;
+  }
+  if (fields.length === 0) {
+    return (
+      <p className="text-sm text-muted-foreground">
+        Submitted {format(new Date(submission.submitted_at), 'MMM d, yyyy HH:mm')}. No form snapshot was recorded.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-2">
+      <p className="text-xs text-muted-foreground">
+        Submitted {format(new Date(submission.submitted_at), 'MMM d, yyyy HH:mm')}
+        {submission.final_url && (
+          <>
+            {' \u00b7 '}
+            <a href={submission.final_url} target="_blank" rel="noreferrer" className="underline">
+              confirmation page
+            </a>
+          </>
+        )}
+      </p>
+      <ScrollArea className="h-[400px] rounded-lg border">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Field</TableHead>
+              <TableHead>Value</TableHead>
+              <TableHead>Source</TableHead>
+              <TableHead>Confidence</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {fields.map((field, i) => (
+              <TableRow key={i}>
+                <TableCell className="max-w-[220px] text-sm">{field.label}</TableCell>
+                <TableCell className="max-w-[280px] text-sm whitespace-pre-wrap break-words">{field.value}</TableCell>
+                <TableCell>
+                  <Badge variant="outline" title={field.detail || undefined}>
+                    {FILLED_FIELD_SOURCES[field.source]}
+                  </Badge>
+                  {field.edited && <span className="ml-1 text-xs text-muted-foreground">edited</span>}
+                </TableCell>
+                <TableCell className="text-sm capitalize text-muted-foreground">{field.confidence || '-'}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </ScrollArea>
+    </div>
+  );
+};
@@ -1,4 +1,4 @@
-import { useState, useEffect, useCallback, useRef } from 'react';
+import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { Badge } from '@/components/ui/badge';
@@ -31,12 +31,13 @@ import { Job } from '@/hooks/useJobs';
 import { Profile } from '@/hooks/useProfile';
 import { supabase } from '@/integrations/supabase/client';
 import { useAuth } from '@/hooks/useAuth';
+import { useResumeVersions } from '@/hooks/useResumeVersions';
+import { latestBaseVersions, resumeVersionLabel } from '@/lib/resumeVersions';
 import { toast } from 'sonner';
 
 interface AutomationPanelProps {
   jobs: Job[];
   profile: Profile | null;
-  onJobApplied: (jobId: string) => void;
 }
 
 interface AutomationLog {
@@ -44,7 +45,7 @@ interface AutomationLog {
   timestamp: Date;
   jobTitle: string;
   company: string;
-  status: 'pending' | 'tailoring' | 'applied' | 'failed' | 'rate-limited';
+  status: 'pending' | 'tailoring' | 'prepared' | 'failed' | 'rate-limited';
   message: string;
 }
 
@@ -58,7 +59,7 @@ const OPENAI_TIERS = {
   tier5: { label: 'Tier 5 ($1000+)', delay: 500, rpm: 1000 },
 };
 
-export function AutomationPanel({ jobs, profile, onJobApplied }: AutomationPanelProps) {
+export function AutomationPanel({ jobs, profile }: AutomationPanelProps) {
   const { user } = useAuth();
   const [isRunning, setIsRunning] = useState(false);
   const [isVisible, setIsVisible] = useState(true);
@@ -68,6 +69,10 @@ export function AutomationPanel({ jobs, profile, onJobApplied }: AutomationPanel
   const [currentJobIndex, setCurrentJobIndex] = useState(0);
   const [progress, setProgress] = useState(0);
   const [openaiTier, setOpenaiTier] = useState<keyof typeof OPENAI_TIERS>('free');
+  const { versions: resumeVersions } = useResumeVersions();
+  const resumeVariants = useMemo(() => latestBaseVersions(resumeVersions), [resumeVersions]);
+  // '' = the default variant (or the profile when there are none)
+  const [resumeVersionId, setResumeVersionId] = useState('');
   const [rateLimitCountdown, setRateLimitCountdown] = useState(0);
   const [nextRequestCountdown, setNextRequestCountdown] = useState(0);
   const abortControllerRef = useRef<AbortController | null>(null);
@@ -144,7 +149,7 @@ export function AutomationPanel({ jobs, profile, onJobApplied }: AutomationPanel
     }, ...prev.slice(0, 49)]);
   }, []);
 
-  const applyToJob = async (job: Job): Promise<boolean> => {
+  const prepareApplication = async (job: Job): Promise<boolean> => {
     if (!profile) return false;
 
     addLog({
@@ -162,6 +167,8 @@ export function AutomationPanel({ jobs, profile, onJobApplied }: AutomationPanel
           description: job.description || '',
           requirements: job.requirements || [],
           location: job.location,
+          jobUrl: job.url,
+          resumeVersionId: resumeVersionId || undefined,
           userProfile: {
             firstName: profile.first_name,
             lastName: profile.last_name,
@@ -185,6 +192,7 @@ export function AutomationPanel({ jobs, profile, onJobApplied }: AutomationPanel
       });
 
       if (error) throw error;
+      if (data.budgetWarning) toast.warning(data.budgetWarning);
 
       // Verify attachment generation status
       const resumeOk = data.resumeGenerationStatus === 'success';
@@ -198,25 +206,49 @@ export function AutomationPanel({ jobs, profile, onJobApplied }: AutomationPanel
         toast.warning(`Cover letter generation failed for ${job.title} at ${job.company}. Please check your profile data.`);
       }
 
-      // Create application record with file naming info
-      await supabase.from('applications').insert({
-        user_id: profile.user_id,
-        job_id: job.id,
+      // Nothing is submitted yet: the application waits in the 'prepared'
+      // stage and only record-submission's evidence moves it (and the job) to applied
+      const prepared = {
         tailored_resume: data.tailoredResume,
         tailored_cover_letter: data.tailoredCoverLetter,
         referral_email: data.referralEmail,
-        status: 'applied',
-        applied_at: new Date().toISOString(),
-      });
-
-      // Update job status with accurate match score
-      await supabase.from('jobs').update({
-        status: 'applied',
-        applied_at: new Date().toISOString(),
-        match_score: data.matchScore,
-      }).eq('id', job.id);
+        resume_version_id: data.resumeVersionId ?? null,
+      };
+
+      // Re-running a job refreshes its unsubmitted application instead of adding another
+      const { data: existing } = await supabase
+        .from('applications')
+        .select('id')
+        .eq('user_id', profile.user_id)
+        .eq('job_id', job.id)
+        .eq('status', 'pending')
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+      if (existing) {
+        const { error: updateError } = await supabase.from('applications').update(prepared).eq('id', existing.id);
+        if (updateError) throw updateError;
+      } else {
+        const { data: preparedStage } = await supabase
+          .from('application_stages')
+          .select('id')
+          .eq('user_id', profile.user_id)
+          .eq('key', 'prepared')
+          .maybeSingle();
+
+        const { error: insertError } = await supabase.from('applications').insert({
+          ...prepared,
+          user_id: profile.user_id,
+          job_id: job.id,
+          status: 'pending',
+          stage_id: preparedStage?.id ?? null,
+        });
+        if (insertError) throw insertError;
+      }
 
-      onJobApplied(job.id);
+      // Job status stays as it is; only the match score is refreshed
+      await supabase.from('jobs').update({ match_score: data.matchScore }).eq('id', job.id);
 
       // Show detailed status
       const attachmentStatus = resumeOk && coverLetterOk 
@@ -230,18 +262,18 @@ export function AutomationPanel({ jobs, profile, onJobApplied }: AutomationPanel
       addLog({
         jobTitle: job.title,
         company: job.company,
-        status: 'applied',
-        message: `${attachmentStatus} | ATS Score: ${data.matchScore}% | Files: ${data.cvFileName}, ${data.coverLetterFileName}`
+        status: 'prepared',
+        message: `Prepared, not yet submitted | ${attachmentStatus} | ATS Score: ${data.matchScore}% | Files: ${data.cvFileName}, ${data.coverLetterFileName}`
       });
 
       return true;
     } catch (error) {
-      console.error('Error applying to job:', error);
+      console.error('Error preparing application:', error);
       addLog({
         jobTitle: job.title,
         company: job.company,
         status: 'failed',
-        message: error instanceof Error ? error.message : 'Failed to apply'
+        message: error instanceof Error ? error.message : 'Failed to prepare application'
       });
       toast.error(`Failed to process ${job.title}: ${error instanceof Error ? error.message : 'Unknown error'}`);
       return false;
@@ -273,37 +305,24 @@ export function AutomationPanel({ jobs, profile, onJobApplied }: AutomationPanel
       try {
         const { data, error } = await supabase.functions.invoke('background-apply', {
           body: {
-            userId: profile.user_id,
             jobIds: jobsToProcess.map(j => j.id),
-            userProfile: {
-              firstName: profile.first_name,
-              lastName: profile.last_name,
-              email: profile.email,
-              phone: profile.phone,
-              linkedin: profile.linkedin,
-              github: profile.github,
-              portfolio: profile.portfolio,
-              coverLetter: profile.cover_letter,
-              workExperience: profile.work_experience,
-              education: profile.education,
-              skills: profile.skills,
-              certifications: profile.certifications,
-              achievements: profile.achievements,
-              atsStrategy: profile.ats_strategy,
-            },
             sendConfirmationEmail: true,
             userEmail: profile.email,
+            resumeVersionId: resumeVersionId || undefined,
           }
         });
 
         if (error) throw error;
 
-        toast.success(`Background processing started! You'll receive an email when complete.`);
+        // Start on the queue now; the scheduled worker carries on if this request ends
+        supabase.functions.invoke('job-queue-worker', { body: {} }).catch(() => {});
+
+        toast.success(`Queued ${data.queued} jobs. You can close this tab - track progress in Job Queue.`);
         addLog({
           jobTitle: 'Background Processing',
           company: '',
-          status: 'applied',
-          message: `Processing ${jobsToProcess.length} jobs in background. Email confirmation will be sent to ${profile.email}`
+          status: 'pending',
+          message: `Queued ${data.queued} applications for background preparation${data.skipped ? ` (${data.skipped} already queued)` : ''}. They stay "Ready to Submit" until the extension confirms submission. Email summary will be sent to ${profile.email}`
         });
       } catch (error) {
         console.error('Background apply error:', error);
@@ -324,7 +343,7 @@ export function AutomationPanel({ jobs, profile, onJobApplied }: AutomationPanel
       setCurrentJobIndex(i);
       setProgress(((i + 1) / jobsToProcess.length) * 100);
 
-      const success = await applyToJob(job);
+      const success = await prepareApplication(job);
 
       // Use tier-based delay with jitter
       if (i < jobsToProcess.length - 1) {
@@ -421,6 +440,30 @@ export function AutomationPanel({ jobs, profile, onJobApplied }: AutomationPanel
               />
             </div>
 
+            {resumeVariants.length > 0 && (
+              <div className="space-y-2">
+                <Label>Resume Variant</Label>
+                <Select
+                  value={resumeVersionId || 'default'}
+                  onValueChange={(v) => setResumeVersionId(v === 'default' ? '' : v)}
+                  disabled={isRunning}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="default">Default variant</SelectItem>
+                    {resumeVariants.map((v) => (
+                      <SelectItem key={v.id} value={v.id}>
+                        {resumeVersionLabel(v)}
+                        {v.is_default ? ' (default)' : ''}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
+
             {backgroundMode && (
               <div className="space-y-2">
                 <Label>Jobs to Process: {backgroundCount}</Label>
@@ -479,7 +522,7 @@ export function AutomationPanel({ jobs, profile, onJobApplied }: AutomationPanel
                     >
                       {log.status === 'pending' && <Loader2 className="h-4 w-4 animate-spin text-muted-foreground" />}
                       {log.status === 'tailoring' && <Loader2 className="h-4 w-4 animate-spin text-primary" />}
-                      {log.status === 'applied' && <CheckCircle className="h-4 w-4 text-green-500" />}
+                      {log.status === 'prepared' && <CheckCircle className="h-4 w-4 text-green-500" />}
                       {log.status === 'failed' && <XCircle className="h-4 w-4 text-destructive" />}
                       {log.status === 'rate-limited' && <AlertTriangle className="h-4 w-4 text-amber-500" />}
                       <div className="flex-1 min-w-0">
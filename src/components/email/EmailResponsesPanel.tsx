@@ -0,0 +1,287 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { ScrollArea } from '@/components/ui/scroll-area';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { supabase } from '@/integrations/supabase/client';
+import { useAuth } from '@/hooks/useAuth';
+import type { Application } from '@/hooks/useApplications';
+import type { Database } from '@/integrations/supabase/types';
+import { toast } from 'sonner';
+import { format } from 'date-fns';
+import { Inbox, Loader2, RefreshCw, UserCheck } from 'lucide-react';
+
+type DetectionType = Database['public']['Enums']['email_detection_type'];
+type ApplicationStatus = Database['public']['Enums']['application_status'];
+
+interface EmailDetection {
+  id: string;
+  application_id: string | null;
+  email_subject: string;
+  email_from: string;
+  detection_type: DetectionType;
+  detected_at: string | null;
+  confidence: number | null;
+  match_confidence: number | null;
+  match_reason: string | null;
+  status_applied: boolean | null;
+  manual_override: boolean | null;
+}
+
+const TYPE_LABELS: Record<DetectionType, string> = {
+  interview: 'Interview',
+  rejection: 'Rejection',
+  offer: 'Offer',
+  follow_up: 'Follow-up',
+};
+
+const TYPE_CLASSES: Record<DetectionType, string> = {
+  interview: 'bg-warning/10 text-warning border-warning/30',
+  rejection: 'bg-destructive/10 text-destructive border-destructive/30',
+  offer: 'bg-success/10 text-success border-success/30',
+  follow_up: 'bg-info/10 text-info border-info/30',
+};
+
+// Mirrors statusForDetection in supabase/functions/_shared/email-classifier.ts
+const STATUS_FOR_TYPE: Record<DetectionType, ApplicationStatus | null> = {
+  interview: 'interviewing',
+  rejection: 'rejected',
+  offer: 'offered',
+  follow_up: null,
+};
+
+const UNLINKED = 'none';
+
+interface EmailResponsesPanelProps {
+  applications: Application[];
+  onApplicationsChanged?: () => void;
+}
+
+export function EmailResponsesPanel({ applications, onApplicationsChanged }: EmailResponsesPanelProps) {
+  const { user } = useAuth();
+  const [detections, setDetections] = useState<EmailDetection[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isScanning, setIsScanning] = useState(false);
+
+  const fetchDetections = useCallback(async () => {
+    if (!user) return;
+
+    try {
+      const { data, error } = await supabase
+        .from('email_detections')
+        .select('id, application_id, email_subject, email_from, detection_type, detected_at, confidence, match_confidence, match_reason, status_applied, manual_override')
+        .eq('user_id', user.id)
+        .order('detected_at', { ascending: false })
+        .limit(50);
+
+      if (error) throw error;
+      setDetections(data || []);
+    } catch (error) {
+      console.error('Error fetching email detections:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    fetchDetections();
+  }, [fetchDetections]);
+
+  const scanInbox = async () => {
+    if (!user) return;
+
+    setIsScanning(true);
+    try {
+      const { data: integration } = await supabase
+        .from('email_integrations')
+        .select('access_token, is_connected')
+        .eq('user_id', user.id)
+        .maybeSingle();
+
+      if (!integration?.is_connected) {
+        toast.error('Please connect Gmail first');
+        return;
+      }
+
+      const { data, error } = await supabase.functions.invoke('process-email', {
+        body: {
+          type: 'detect_responses',
+          accessToken: integration.access_token,
+        }
+      });
+
+      if (error) throw error;
+
+      await fetchDetections();
+      onApplicationsChanged?.();
+      toast.success(`Found ${data?.detections?.length || 0} new responses`);
+    } catch (error) {
+      console.error('Error scanning inbox:', error);
+      toast.error('Failed to scan inbox');
+    } finally {
+      setIsScanning(false);
+    }
+  };
+
+  // A manual correction always wins: relink, retype and move the application
+  const overrideDetection = async (
+    detection: EmailDetection,
+    updates: { detection_type?: DetectionType; application_id?: string | null }
+  ) => {
+    const next = { ...detection, ...updates };
+
+    try {
+      const { error } = await supabase
+        .from('email_detections')
+        .update({
+          ...updates,
+          manual_override: true,
+          match_reason: next.application_id ? 'manual' : null,
+          match_confidence: next.application_id ? 1 : null,
+        })
+        .eq('id', detection.id);
+
+      if (error) throw error;
+
+      const status = STATUS_FOR_TYPE[next.detection_type];
+      let statusApplied = detection.status_applied;
+      if (next.application_id && status) {
+        const { error: statusError } = await supabase
+          .from('applications')
+          .update({ status })
+          .eq('id', next.application_id);
+        if (statusError) throw statusError;
+
+        const jobId = applications.find((a) => a.id === next.application_id)?.job_id;
+        if (jobId) {
+          await supabase.from('jobs').update({ status }).eq('id', jobId);
+        }
+        await supabase.from('email_detections').update({ status_applied: true }).eq('id', detection.id);
+        statusApplied = true;
+        onApplicationsChanged?.();
+      }
+
+      setDetections((prev) =>
+        prev.map((d) =>
+          d.id === detection.id
+            ? {
+                ...next,
+                manual_override: true,
+                status_applied: statusApplied,
+                match_reason: next.application_id ? 'manual' : null,
+                match_confidence: next.application_id ? 1 : null,
+              }
+            : d
+        )
+      );
+      toast.success('Detection updated');
+    } catch (error) {
+      console.error('Error updating detection:', error);
+      toast.error('Failed to update detection');
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between space-y-0">
+        <CardTitle className="flex items-center gap-2 text-lg">
+          <Inbox className="h-5 w-5 text-primary" />
+          Email Responses
+        </CardTitle>
+        <Button variant="outline" size="sm" onClick={scanInbox} disabled={isScanning}>
+          {isScanning ? (
+            <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+          ) : (
+            <RefreshCw className="h-4 w-4 mr-2" />
+          )}
+          Scan Inbox
+        </Button>
+      </CardHeader>
+      <CardContent>
+        {isLoading ? (
+          <div className="flex justify-center py-6">
+            <Loader2 className="h-5 w-5 animate-spin text-muted-foreground" />
+          </div>
+        ) : detections.length === 0 ? (
+          <p className="text-sm text-muted-foreground text-center py-6">
+            No recruiter responses detected yet.
+          </p>
+        ) : (
+          <ScrollArea className="max-h-[360px]">
+            <div className="space-y-3">
+              {detections.map((detection) => (
+                <div key={detection.id} className="rounded-lg border p-3 space-y-2">
+                  <div className="flex items-start justify-between gap-2">
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium truncate">{detection.email_subject}</p>
+                      <p className="text-xs text-muted-foreground truncate">
+                        {detection.email_from}
+                        {detection.detected_at && ` • ${format(new Date(detection.detected_at), 'MMM d')}`}
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-1 shrink-0">
+                      {detection.manual_override && (
+                        <Badge variant="outline" className="text-xs">
+                          <UserCheck className="h-3 w-3 mr-1" />
+                          Manual
+                        </Badge>
+                      )}
+                      <Badge className={TYPE_CLASSES[detection.detection_type]}>
+                        {TYPE_LABELS[detection.detection_type]}
+                        {!detection.manual_override && detection.confidence != null &&
+                          ` ${Math.round(detection.confidence * 100)}%`}
+                      </Badge>
+                    </div>
+                  </div>
+                  <div className="flex flex-col sm:flex-row gap-2">
+                    <Select
+                      value={detection.detection_type}
+                      onValueChange={(value) =>
+                        overrideDetection(detection, { detection_type: value as DetectionType })
+                      }
+                    >
+                      <SelectTrigger className="h-8 sm:w-36">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {Object.entries(TYPE_LABELS).map(([value, label]) => (
+                          <SelectItem key={value} value={value}>{label}</SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    <Select
+                      value={detection.application_id || UNLINKED}
+                      onValueChange={(value) =>
+                        overrideDetection(detection, { application_id: value === UNLINKED ? null : value })
+                      }
+                    >
+                      <SelectTrigger className="h-8 flex-1">
+                        <SelectValue placeholder="Link to application" />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value={UNLINKED}>Not linked</SelectItem>
+                        {applications.map((app) => (
+                          <SelectItem key={app.id} value={app.id}>
+                            {app.job?.company || 'Unknown'} — {app.job?.title || 'Unknown Job'}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                  </div>
+                  {detection.application_id && !detection.manual_override && detection.match_reason && (
+                    <p className="text-xs text-muted-foreground">
+                      Linked by {detection.match_reason.replace('_', ' ')}
+                      {detection.match_confidence != null && ` (${Math.round(detection.match_confidence * 100)}%)`}
+                      {detection.status_applied ? ' • status updated' : ''}
+                    </p>
+                  )}
+                </div>
+              ))}
+            </div>
+          </ScrollArea>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,185 @@
+import { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Badge } from '@/components/ui/badge';
+import { Switch } from '@/components/ui/switch';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from '@/components/ui/dialog';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { AlertTriangle, Building2, Loader2, Plus, RefreshCw, Trash2 } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+import { useCompanyWatchlist } from '@/hooks/useCompanyWatchlist';
+import { CompanyBoard, JOB_BOARD_PROVIDERS, JobBoardProvider, parseBoardUrl } from '@/lib/jobBoards';
+
+function PollStatus({ board }: { board: CompanyBoard }) {
+  if (!board.is_enabled) {
+    return <span>Paused</span>;
+  }
+  if (board.consecutive_failures > 0) {
+    return (
+      <span className="flex items-center gap-1 text-destructive" title={board.last_error || undefined}>
+        <AlertTriangle className="h-3 w-3 shrink-0" />
+        Failed {board.consecutive_failures}× · retry {formatDistanceToNow(new Date(board.next_poll_at), { addSuffix: true })}
+      </span>
+    );
+  }
+  if (!board.last_polled_at) {
+    return <span>Waiting for first poll</span>;
+  }
+  return (
+    <span>
+      Polled {formatDistanceToNow(new Date(board.last_polled_at), { addSuffix: true })} · {board.last_new_jobs} new
+    </span>
+  );
+}
+
+interface CompanyBoardsDialogProps {
+  onJobsFetched?: () => void;
+}
+
+export function CompanyBoardsDialog({ onJobsFetched }: CompanyBoardsDialogProps) {
+  const { boards, isLoading, isPolling, addBoard, toggleBoard, removeBoard, pollNow } = useCompanyWatchlist();
+  const [companyName, setCompanyName] = useState('');
+  const [provider, setProvider] = useState<JobBoardProvider>('greenhouse');
+  const [token, setToken] = useState('');
+
+  // Pasting a careers URL fills in provider and token
+  const handleTokenChange = (value: string) => {
+    const parsed = value.includes('/') || value.includes('.') ? parseBoardUrl(value) : null;
+    if (parsed) {
+      setProvider(parsed.provider);
+      setToken(parsed.token);
+      if (!companyName.trim()) {
+        setCompanyName(parsed.token.charAt(0).toUpperCase() + parsed.token.slice(1));
+      }
+      return;
+    }
+    setToken(value);
+  };
+
+  const handleAdd = async () => {
+    if (await addBoard(companyName, provider, token)) {
+      setCompanyName('');
+      setToken('');
+    }
+  };
+
+  const handlePoll = async () => {
+    if (await pollNow() > 0) onJobsFetched?.();
+  };
+
+  const enabledCount = boards.filter((b) => b.is_enabled).length;
+
+  return (
+    <Dialog>
+      <DialogTrigger asChild>
+        <Button variant="outline" size="sm">
+          <Building2 className="h-4 w-4 mr-2" />
+          Boards
+          {enabledCount > 0 && (
+            <Badge variant="secondary" className="ml-2 h-5 px-1.5 text-xs">{enabledCount}</Badge>
+          )}
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="max-w-xl">
+        <DialogHeader>
+          <DialogTitle>Company Job Boards</DialogTitle>
+          <DialogDescription>
+            Your live feed pulls from these boards, and each one is also polled in the background
+            every 30 minutes. Paste a careers page URL to fill in the provider and token.
+          </DialogDescription>
+        </DialogHeader>
+
+        {enabledCount > 0 && (
+          <div className="flex justify-end">
+            <Button variant="outline" size="sm" onClick={handlePoll} disabled={isPolling}>
+              <RefreshCw className={`h-4 w-4 mr-2 ${isPolling ? 'animate-spin' : ''}`} />
+              Poll now
+            </Button>
+          </div>
+        )}
+
+        <div className="space-y-2 max-h-[50vh] overflow-y-auto">
+          {isLoading ? (
+            <div className="flex justify-center py-6">
+              <Loader2 className="h-5 w-5 animate-spin text-muted-foreground" />
+            </div>
+          ) : boards.length === 0 ? (
+            <p className="text-sm text-muted-foreground text-center py-6">
+              No company boards added yet.
+            </p>
+          ) : (
+            boards.map((board) => (
+              <div key={board.id} className="flex items-center gap-3 rounded-lg border p-2">
+                <Switch
+                  checked={board.is_enabled}
+                  onCheckedChange={(checked) => toggleBoard(board.id, checked)}
+                />
+                <div className="min-w-0 flex-1">
+                  <p className="text-sm font-medium truncate">{board.company_name}</p>
+                  <p className="text-xs text-muted-foreground truncate">{board.board_token}</p>
+                  <div className="text-xs text-muted-foreground truncate">
+                    <PollStatus board={board} />
+                  </div>
+                </div>
+                <Badge variant="outline" className="text-xs font-normal">
+                  {JOB_BOARD_PROVIDERS[board.provider].label}
+                </Badge>
+                <Button
+                  variant="ghost"
+                  size="icon"
+                  className="h-8 w-8"
+                  onClick={() => removeBoard(board.id)}
+                >
+                  <Trash2 className="h-4 w-4 text-destructive" />
+                </Button>
+              </div>
+            ))
+          )}
+        </div>
+
+        <div className="space-y-2 pt-2 border-t">
+          <div className="flex items-center gap-2">
+            <Input
+              placeholder="Company, e.g. Netflix"
+              value={companyName}
+              className="h-8"
+              onChange={(e) => setCompanyName(e.target.value)}
+            />
+            <Select value={provider} onValueChange={(value) => setProvider(value as JobBoardProvider)}>
+              <SelectTrigger className="h-8 w-44">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(JOB_BOARD_PROVIDERS).map(([value, info]) => (
+                  <SelectItem key={value} value={value}>{info.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="flex items-center gap-2">
+            <Input
+              placeholder="Board token or careers URL"
+              value={token}
+              className="h-8"
+              onChange={(e) => handleTokenChange(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && handleAdd()}
+            />
+            <Button size="sm" onClick={handleAdd} disabled={!companyName.trim() || !token.trim()}>
+              <Plus className="h-4 w-4" />
+            </Button>
+          </div>
+          <p className="text-xs text-muted-foreground">
+            Token location: {JOB_BOARD_PROVIDERS[provider].example}
+          </p>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -1,5 +1,6 @@
 import { useState } from 'react';
 import { cn } from '@/lib/utils';
+import { DEFAULT_CURRENCY, describeJobSalary } from '@/lib/salary';
 import { Job } from '@/types';
 import { Card, CardContent } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
@@ -34,6 +35,8 @@ interface JobCardProps {
   onApply?: (job: Job) => void;
   onViewDetails?: (job: Job) => void;
   onReportBrokenLink?: (job: Job) => void;
+  // Currency the salary is annualised to
+  salaryCurrency?: string;
 }
 
 const statusConfig = {
@@ -45,34 +48,20 @@ const statusConfig = {
   rejected: { label: 'Rejected', icon: XCircle, className: 'status-rejected' },
 };
 
-// Extract salary from description if not provided
-function extractSalary(salary: string | null | undefined, description: string | null | undefined): string {
-  if (salary && salary.trim()) return salary;
-  
-  if (!description) return 'Not specified';
-  
-  // Common salary patterns
-  const patterns = [
-    // $100,000 - $150,000 or $100k - $150k
-    /\$[\d,]+(?:k|K)?\s*[-–—to]+\s*\$?[\d,]+(?:k|K)?(?:\s*(?:per\s+)?(?:year|yr|annum|annually|pa))?/gi,
-    // $100,000/year or $100k/yr
-    /\$[\d,]+(?:k|K)?(?:\s*\/\s*(?:year|yr|annum|annually|hour|hr))?/gi,
-    // 100,000 - 150,000 USD/EUR/GBP
-    /[\d,]+\s*[-–—to]+\s*[\d,]+\s*(?:USD|EUR|GBP|CAD|AUD)/gi,
-    // £50,000 - £70,000
-    /[£€][\d,]+(?:k|K)?\s*[-–—to]+\s*[£€]?[\d,]+(?:k|K)?/gi,
-    // Salary: $X or Compensation: $X
-    /(?:salary|compensation|pay|wage)[:\s]+\$?[\d,]+(?:k|K)?/gi,
-  ];
-  
-  for (const pattern of patterns) {
-    const match = description.match(pattern);
-    if (match) {
-      return match[0].trim();
+// Structured salary from the dedicated field, falling back to the description
+function extractSalary(
+  salary: string | null | undefined,
+  description: string | null | undefined,
+  location: string | null | undefined,
+  currency: string
+): { label: string; annual: string | null; source: string } {
+  return (
+    describeJobSalary({ salary: salary ?? null, description, location }, currency) || {
+      label: 'Not specified',
+      annual: null,
+      source: 'Not specified',
     }
-  }
-  
-  return 'Not specified';
+  );
 }
 
 // Format relative time with short labels
@@ -299,7 +288,7 @@ function formatName(name: string): string {
     .join(' ');
 }
 
-export function JobCard({ job, onApply, onViewDetails, onReportBrokenLink }: JobCardProps) {
+export function JobCard({ job, onApply, onViewDetails, onReportBrokenLink, salaryCurrency = DEFAULT_CURRENCY }: JobCardProps) {
   const [isReporting, setIsReporting] = useState(false);
   const [hasReported, setHasReported] = useState(false);
   const [logoError, setLogoError] = useState(false);
@@ -313,7 +302,7 @@ export function JobCard({ job, onApply, onViewDetails, onReportBrokenLink }: Job
   const postedTime = formatRelativeTime(dateField);
   
   // Extract salary from description if not in dedicated field
-  const displaySalary = extractSalary(job.salary, (job as any).description || job.description);
+  const displaySalary = extractSalary(job.salary, (job as any).description || job.description, job.location, salaryCurrency);
   
   // Clean and format company name
   const displayCompany = cleanCompanyName(job.company, job.url);
@@ -447,9 +436,10 @@ export function JobCard({ job, onApply, onViewDetails, onReportBrokenLink }: Job
                 <MapPin className="h-4 w-4" />
                 {job.location}
               </span>
-              <span className="flex items-center gap-1" title={displaySalary}>
+              <span className="flex items-center gap-1" title={displaySalary.source}>
                 <DollarSign className="h-4 w-4" />
-                <span className="max-w-[150px] truncate">{displaySalary}</span>
+                <span className="max-w-[150px] truncate">{displaySalary.label}</span>
+                {displaySalary.annual && <span className="text-xs">({displaySalary.annual})</span>}
               </span>
               <span className="flex items-center gap-1">
                 <Clock className="h-4 w-4" />
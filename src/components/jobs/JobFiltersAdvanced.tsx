@@ -4,12 +4,15 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@
 import { Badge } from '@/components/ui/badge';
 import { Button } from '@/components/ui/button';
 import { Search, Building2, Briefcase, DollarSign, X } from 'lucide-react';
+import { DEFAULT_CURRENCY, SALARY_RANGES, salaryRangeLabel } from '@/lib/salary';
 
 interface Job {
   id: string;
   company: string;
   platform: string | null;
   salary: string | null;
+  location?: string | null;
+  description?: string | null;
 }
 
 interface JobFiltersAdvancedProps {
@@ -22,18 +25,11 @@ interface JobFiltersAdvancedProps {
   onPlatformFilterChange: (value: string) => void;
   salaryFilter: string;
   onSalaryFilterChange: (value: string) => void;
+  // Currency the salary thresholds are expressed in
+  currency?: string;
   onClearFilters: () => void;
 }
 
-const SALARY_RANGES = [
-  { value: 'all', label: 'Any Salary' },
-  { value: '100k+', label: '$100k+' },
-  { value: '150k+', label: '$150k+' },
-  { value: '200k+', label: '$200k+' },
-  { value: '250k+', label: '$250k+' },
-  { value: '300k+', label: '$300k+' },
-];
-
 export function JobFiltersAdvanced({
   jobs,
   searchTerm,
@@ -44,6 +40,7 @@ export function JobFiltersAdvanced({
   onPlatformFilterChange,
   salaryFilter,
   onSalaryFilterChange,
+  currency = DEFAULT_CURRENCY,
   onClearFilters,
 }: JobFiltersAdvancedProps) {
   // Extract unique companies from jobs
@@ -125,7 +122,9 @@ export function JobFiltersAdvanced({
             </SelectTrigger>
             <SelectContent>
               {SALARY_RANGES.map(range => (
-                <SelectItem key={range.value} value={range.value}>{range.label}</SelectItem>
+                <SelectItem key={range.value} value={range.value}>
+                  {salaryRangeLabel(range.minAnnual, currency)}
+                </SelectItem>
               ))}
             </SelectContent>
           </Select>
@@ -156,7 +155,7 @@ export function JobFiltersAdvanced({
           )}
           {salaryFilter !== 'all' && (
             <Badge variant="secondary" className="text-xs">
-              Salary: {salaryFilter}
+              Salary: {salaryRangeLabel(SALARY_RANGES.find(r => r.value === salaryFilter)?.minAnnual ?? null, currency)}
               <X className="h-3 w-3 ml-1 cursor-pointer" onClick={() => onSalaryFilterChange('all')} />
             </Badge>
           )}
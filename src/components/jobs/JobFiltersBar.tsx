@@ -18,8 +18,10 @@ import {
   Home,
   GraduationCap,
   RefreshCw,
+  DollarSign,
 } from 'lucide-react';
 import { Job } from '@/hooks/useJobs';
+import { DEFAULT_CURRENCY, SALARY_RANGES, salaryMeetsMinimum, salaryRangeLabel } from '@/lib/salary';
 
 interface JobFiltersBarProps {
   jobs: Job[];
@@ -27,6 +29,8 @@ interface JobFiltersBarProps {
   onSearch?: (keywords: string, locations: string, filters: SearchFilters) => Promise<void>;
   onLocationChange?: (locations: string[]) => Promise<void>;
   isSearching?: boolean;
+  // Currency the salary filter thresholds are expressed in
+  currency?: string;
 }
 
 export interface SearchFilters {
@@ -177,12 +181,20 @@ const LOCATION_OPTIONS = [
   { value: 'APAC', label: 'APAC', group: 'Asia Pacific' },
 ];
 
-export function JobFiltersBar({ jobs, onFiltersChange, onSearch, onLocationChange, isSearching }: JobFiltersBarProps) {
+export function JobFiltersBar({
+  jobs,
+  onFiltersChange,
+  onSearch,
+  onLocationChange,
+  isSearching,
+  currency = DEFAULT_CURRENCY,
+}: JobFiltersBarProps) {
   const [searchTerm, setSearchTerm] = useState('');
   const [quickFilter, setQuickFilter] = useState('');
   const [timeFilter, setTimeFilter] = useState<TimeFilter>('all');
   const [platformFilter, setPlatformFilter] = useState('all');
   const [statusFilter, setStatusFilter] = useState<'all' | 'pending' | 'applied'>('all');
+  const [salaryFilter, setSalaryFilter] = useState('all');
   const [selectedLocations, setSelectedLocations] = useState<string[]>([]);
   const [selectedJobType, setSelectedJobType] = useState('all');
   const [selectedWorkType, setSelectedWorkType] = useState('all');
@@ -213,6 +225,7 @@ export function JobFiltersBar({ jobs, onFiltersChange, onSearch, onLocationChang
     const now = Date.now();
     const timeOption = TIME_OPTIONS.find(t => t.value === timeFilter);
     const maxAge = timeOption?.ms ?? Infinity;
+    const minAnnual = SALARY_RANGES.find(r => r.value === salaryFilter)?.minAnnual ?? null;
     
     const filtered = jobs.filter(job => {
       // Time filter
@@ -248,6 +261,9 @@ export function JobFiltersBar({ jobs, onFiltersChange, onSearch, onLocationChang
       // Status filter
       if (statusFilter !== 'all' && job.status !== statusFilter) return false;
       
+      // Salary filter (annualised and converted to the user's currency)
+      if (minAnnual !== null && !salaryMeetsMinimum(job, minAnnual, currency)) return false;
+      
       // Job type filter (check in title or description)
       if (selectedJobType !== 'all') {
         const jobText = `${job.title} ${job.description || ''}`.toLowerCase();
@@ -275,7 +291,7 @@ export function JobFiltersBar({ jobs, onFiltersChange, onSearch, onLocationChang
     
     onFiltersChange(filtered);
     return filtered;
-  }, [jobs, timeFilter, quickFilter, selectedLocations, platformFilter, statusFilter, 
+  }, [jobs, timeFilter, quickFilter, selectedLocations, platformFilter, statusFilter, salaryFilter, currency,
       selectedJobType, selectedWorkType, selectedExperienceLevel, onFiltersChange]);
 
   const activeFiltersCount = [
@@ -283,6 +299,7 @@ export function JobFiltersBar({ jobs, onFiltersChange, onSearch, onLocationChang
     selectedLocations.length > 0,
     platformFilter !== 'all',
     statusFilter !== 'all',
+    salaryFilter !== 'all',
     selectedJobType !== 'all',
     selectedWorkType !== 'all',
     selectedExperienceLevel !== 'all',
@@ -311,6 +328,7 @@ export function JobFiltersBar({ jobs, onFiltersChange, onSearch, onLocationChang
     setTimeFilter('all');
     setPlatformFilter('all');
     setStatusFilter('all');
+    setSalaryFilter('all');
     setSelectedLocations([]);
     setSelectedJobType('all');
     setSelectedWorkType('all');
@@ -574,6 +592,21 @@ export function JobFiltersBar({ jobs, onFiltersChange, onSearch, onLocationChang
               </SelectContent>
             </Select>
             
+            {/* Salary */}
+            <Select value={salaryFilter} onValueChange={setSalaryFilter}>
+              <SelectTrigger className="w-full lg:w-[150px] h-9">
+                <DollarSign className="h-4 w-4 mr-2" />
+                <SelectValue placeholder="Salary" />
+              </SelectTrigger>
+              <SelectContent>
+                {SALARY_RANGES.map(range => (
+                  <SelectItem key={range.value} value={range.value}>
+                    {salaryRangeLabel(range.minAnnual, currency)}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            
             {/* Search Button */}
             <Button 
               onClick={handleApiSearch} 
@@ -0,0 +1,99 @@
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from '@/components/ui/dialog';
+import { ArrowRight, GitMerge, Loader2, Undo2 } from 'lucide-react';
+import { formatDistanceToNow } from 'date-fns';
+import { JobMerge, useJobMerges } from '@/hooks/useJobMerges';
+
+const REASON_LABELS: Record<JobMerge['match_reason'], string> = {
+  requisition_id: 'Same requisition ID',
+  fuzzy_title: 'Similar title & location',
+};
+
+interface JobMergesDialogProps {
+  onUnmerged?: () => void;
+}
+
+export function JobMergesDialog({ onUnmerged }: JobMergesDialogProps) {
+  const { merges, isLoading, unmerge, refetch } = useJobMerges();
+
+  const handleUnmerge = async (mergeId: string) => {
+    if (await unmerge(mergeId)) onUnmerged?.();
+  };
+
+  return (
+    <Dialog onOpenChange={(open) => open && refetch()}>
+      <DialogTrigger asChild>
+        <Button variant="outline" size="sm">
+          <GitMerge className="h-4 w-4 mr-2" />
+          Merged
+          {merges.length > 0 && (
+            <Badge variant="secondary" className="ml-2 h-5 px-1.5 text-xs">{merges.length}</Badge>
+          )}
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="max-w-2xl">
+        <DialogHeader>
+          <DialogTitle>Merged Duplicates</DialogTitle>
+          <DialogDescription>
+            Listings found on more than one source are folded into a single job.
+            Un-merge one to get it back as a separate job.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-2 max-h-[60vh] overflow-y-auto">
+          {isLoading ? (
+            <div className="flex justify-center py-6">
+              <Loader2 className="h-5 w-5 animate-spin text-muted-foreground" />
+            </div>
+          ) : merges.length === 0 ? (
+            <p className="text-sm text-muted-foreground text-center py-6">
+              No duplicates have been merged.
+            </p>
+          ) : (
+            merges.map((merge) => (
+              <div key={merge.id} className="rounded-lg border p-3 space-y-2">
+                <div className="flex items-center gap-2 text-sm">
+                  <div className="min-w-0 flex-1">
+                    <p className="font-medium truncate">{merge.merged.title}</p>
+                    <p className="text-xs text-muted-foreground truncate">
+                      {merge.merged.company} • {merge.merged.location} • {merge.merged.platform || 'Unknown source'}
+                    </p>
+                  </div>
+                  <ArrowRight className="h-4 w-4 shrink-0 text-muted-foreground" />
+                  <div className="min-w-0 flex-1">
+                    <p className="font-medium truncate">{merge.survivor?.title}</p>
+                    <p className="text-xs text-muted-foreground truncate">
+                      {merge.survivor?.company} • {merge.survivor?.location} • {merge.survivor?.platform || 'Unknown source'}
+                    </p>
+                  </div>
+                </div>
+                <div className="flex items-center justify-between gap-2">
+                  <div className="flex items-center gap-2 text-xs text-muted-foreground">
+                    <Badge variant="outline" className="text-xs font-normal">
+                      {REASON_LABELS[merge.match_reason]}
+                      {merge.match_reason === 'fuzzy_title' && merge.similarity != null &&
+                        ` ${Math.round(merge.similarity * 100)}%`}
+                    </Badge>
+                    {formatDistanceToNow(new Date(merge.merged_at), { addSuffix: true })}
+                  </div>
+                  <Button variant="ghost" size="sm" className="h-7" onClick={() => handleUnmerge(merge.id)}>
+                    <Undo2 className="h-3.5 w-3.5 mr-1" />
+                    Un-merge
+                  </Button>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -21,6 +21,7 @@ import {
 import { toast } from 'sonner';
 import { supabase } from '@/integrations/supabase/client';
 import { useAuth } from '@/hooks/useAuth';
+import { CompanyBoardsDialog } from '@/components/jobs/CompanyBoardsDialog';
 import {
   Select,
   SelectContent,
@@ -157,7 +158,7 @@ export function LiveJobsPanel({ onJobsFetched }: LiveJobsPanelProps) {
                 )}
               </CardTitle>
               <p className="text-sm text-muted-foreground">
-                2-minute polling from 60+ tier-1 companies
+                2-minute polling from tier-1 companies and your own boards
               </p>
             </div>
           </div>
@@ -166,6 +167,7 @@ export function LiveJobsPanel({ onJobsFetched }: LiveJobsPanelProps) {
             {isFetching && (
               <Loader2 className="h-5 w-5 animate-spin text-primary" />
             )}
+            <CompanyBoardsDialog onJobsFetched={onJobsFetched} />
             <Button
               variant={isPolling ? "destructive" : "default"}
               size="sm"
@@ -352,12 +354,11 @@ export function LiveJobsPanel({ onJobsFetched }: LiveJobsPanelProps) {
         <div className="flex items-center gap-3 text-xs text-muted-foreground">
           <span>Sources:</span>
           <div className="flex flex-wrap gap-1.5">
-            {['Workday', 'SmartRecruiters', 'Company Website', 'Bullhorn', 'Teamtailor'].map(platform => (
+            {['Greenhouse', 'Lever', 'Ashby', 'Workable', 'SmartRecruiters', 'Recruitee'].map(platform => (
               <Badge key={platform} variant="outline" className="text-xs font-normal">
                 {platform}
               </Badge>
             ))}
-            <Badge variant="outline" className="text-xs font-normal">+55 more</Badge>
           </div>
         </div>
       </CardContent>
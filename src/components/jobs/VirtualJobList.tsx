@@ -20,6 +20,7 @@ import {
 } from '@/components/ui/dialog';
 import { Textarea } from '@/components/ui/textarea';
 import { Job } from '@/hooks/useJobs';
+import { DEFAULT_CURRENCY, describeJobSalary } from '@/lib/salary';
 import { supabase } from '@/integrations/supabase/client';
 import { toast } from 'sonner';
 import { 
@@ -101,10 +102,12 @@ interface JobCardProps {
   onApply: (jobId: string) => void;
   selectionMode: boolean;
   onReportBrokenLink: (job: Job) => void;
+  salaryCurrency: string;
 }
 
-const JobCard = memo(({ job, isSelected, onSelect, onApply, selectionMode, onReportBrokenLink }: JobCardProps) => {
+const JobCard = memo(({ job, isSelected, onSelect, onApply, selectionMode, onReportBrokenLink, salaryCurrency }: JobCardProps) => {
   const isTier1 = isTier1Company(job.company);
+  const salary = describeJobSalary(job, salaryCurrency);
   const isNew = Date.now() - new Date(job.posted_date).getTime() < 2 * 60 * 60 * 1000;
   const isPending = job.status === 'pending';
   const isBroken = job.url_status === 'broken' || (job.report_count && job.report_count >= 3);
@@ -179,10 +182,11 @@ const JobCard = memo(({ job, isSelected, onSelect, onApply, selectionMode, onRep
             <MapPin className="h-3.5 w-3.5" />
             {job.location}
           </span>
-          {job.salary && (
-            <span className="flex items-center gap-1 text-green-600">
+          {salary && (
+            <span className="flex items-center gap-1 text-green-600" title={salary.source}>
               <DollarSign className="h-3.5 w-3.5" />
-              {job.salary}
+              {salary.label}
+              {salary.annual && <span className="text-muted-foreground">({salary.annual})</span>}
             </span>
           )}
           <span className="flex items-center gap-1">
@@ -290,6 +294,8 @@ interface VirtualJobListProps {
   onSelectionChange: (selected: Set<string>) => void;
   selectionMode: boolean;
   scrollRef?: React.MutableRefObject<(() => void) | null>;
+  // Currency salaries are annualised to on each card
+  salaryCurrency?: string;
 }
 
 export function VirtualJobList({ 
@@ -302,6 +308,7 @@ export function VirtualJobList({
   onSelectionChange,
   selectionMode,
   scrollRef,
+  salaryCurrency = DEFAULT_CURRENCY,
 }: VirtualJobListProps) {
   const parentRef = useRef<HTMLDivElement>(null);
   const [reportDialogOpen, setReportDialogOpen] = useState(false);
@@ -431,6 +438,7 @@ export function VirtualJobList({
                     onApply={onApply}
                     selectionMode={selectionMode}
                     onReportBrokenLink={handleReportBrokenLink}
+                    salaryCurrency={salaryCurrency}
                   />
                 </div>
               </div>
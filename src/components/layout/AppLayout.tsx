@@ -23,6 +23,10 @@ const navItems = [
   { path: '/settings', label: 'Settings', icon: Settings },
 ];
 
+// Sub-pages (/profile/memories) keep their section highlighted
+const isActivePath = (pathname: string, path: string) =>
+  pathname === path || (path !== '/' && pathname.startsWith(`${path}/`));
+
 export function AppLayout({ children }: { children: React.ReactNode }) {
   const location = useLocation();
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
@@ -41,7 +45,7 @@ export function AppLayout({ children }: { children: React.ReactNode }) {
           <nav className="hidden md:flex items-center gap-1">
             {navItems.map((item) => {
               const Icon = item.icon;
-              const isActive = location.pathname === item.path;
+              const isActive = isActivePath(location.pathname, item.path);
               return (
                 <Link
                   key={item.path}
@@ -76,7 +80,7 @@ export function AppLayout({ children }: { children: React.ReactNode }) {
           <nav className="md:hidden border-t border-border bg-card p-4 animate-slide-up">
             {navItems.map((item) => {
               const Icon = item.icon;
-              const isActive = location.pathname === item.path;
+              const isActive = isActivePath(location.pathname, item.path);
               return (
                 <Link
                   key={item.path}
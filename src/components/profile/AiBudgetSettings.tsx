@@ -0,0 +1,187 @@
+import { useState, useEffect } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { Badge } from '@/components/ui/badge';
+import { Progress } from '@/components/ui/progress';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { useAiBudget } from '@/hooks/useAiBudget';
+import { AiBudgetUnit, AiUsageBucket, budgetState, budgetUsed, formatBudgetAmount } from '@/lib/aiBudget';
+import { Wallet, Loader2 } from 'lucide-react';
+
+const STATE_BADGES = {
+  ok: { label: 'Within budget', className: 'bg-green-500/10 text-green-600 border-green-500/30' },
+  warning: { label: 'Approaching limit', className: 'bg-yellow-500/10 text-yellow-600 border-yellow-500/30' },
+  exceeded: { label: 'Limit reached', className: 'bg-red-500/10 text-red-600 border-red-500/30' },
+};
+
+const UsageTable = ({ title, rows }: { title: string; rows: AiUsageBucket[] }) => (
+  <div>
+    <h4 className="text-sm font-medium mb-2">{title}</h4>
+    {rows.length === 0 ? (
+      <p className="text-xs text-muted-foreground">No AI usage this month</p>
+    ) : (
+      <Table>
+        <TableHeader>
+          <TableRow>
+            <TableHead>Name</TableHead>
+            <TableHead className="text-right">Calls</TableHead>
+            <TableHead className="text-right">Tokens</TableHead>
+            <TableHead className="text-right">Est. cost</TableHead>
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          {rows.slice(0, 10).map((row) => (
+            <TableRow key={row.key}>
+              <TableCell className="max-w-[220px] truncate" title={row.label}>{row.label}</TableCell>
+              <TableCell className="text-right">{row.calls}</TableCell>
+              <TableCell className="text-right">{row.tokens.toLocaleString('en-US')}</TableCell>
+              <TableCell className="text-right">${row.cost.toFixed(2)}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    )}
+  </div>
+);
+
+export const AiBudgetSettings = () => {
+  const { budget, usage, isLoading, isSaving, saveBudget, removeBudget } = useAiBudget();
+  const [unit, setUnit] = useState<AiBudgetUnit>('tokens');
+  const [limit, setLimit] = useState('');
+  const [warnAt, setWarnAt] = useState('80');
+  const [hardStop, setHardStop] = useState(true);
+
+  useEffect(() => {
+    if (!budget) return;
+    setUnit(budget.unit as AiBudgetUnit);
+    setLimit(String(budget.monthly_limit));
+    setWarnAt(String(budget.warn_at_percent));
+    setHardStop(budget.hard_stop);
+  }, [budget]);
+
+  const limitValue = Number(limit);
+  const warnValue = Math.round(Number(warnAt));
+  const isValid = limitValue > 0 && warnValue >= 1 && warnValue <= 100;
+
+  const handleSave = () => {
+    if (!isValid) return;
+    saveBudget({ unit, monthly_limit: limitValue, warn_at_percent: warnValue, hard_stop: hardStop });
+  };
+
+  const used = budget ? budgetUsed(budget, usage) : 0;
+  const percent = budget ? Math.min(100, (used / budget.monthly_limit) * 100) : 0;
+  const state = budget ? STATE_BADGES[budgetState(budget, usage)] : null;
+
+  return (
+    <Card>
+      <CardHeader className="pb-2">
+        <div className="flex items-center justify-between">
+          <CardTitle className="flex items-center gap-2 text-lg">
+            <Wallet className="h-5 w-5 text-primary" />
+            Monthly AI Budget
+          </CardTitle>
+          {state && (
+            <Badge variant="outline" className={state.className}>
+              {state.label}
+            </Badge>
+          )}
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {isLoading ? (
+          <div className="h-[120px] flex items-center justify-center">
+            <Loader2 className="h-6 w-6 animate-spin text-primary" />
+          </div>
+        ) : (
+          <>
+            <div className="space-y-2">
+              <div className="flex justify-between text-sm">
+                <span className="text-muted-foreground">This month</span>
+                <span className="font-medium">
+                  {usage.tokens.toLocaleString('en-US')} tokens · ${usage.cost.toFixed(2)} est. · {usage.calls} calls
+                </span>
+              </div>
+              {budget && (
+                <>
+                  <Progress value={percent} className="h-2" />
+                  <p className="text-xs text-muted-foreground">
+                    {formatBudgetAmount(budget.unit as AiBudgetUnit, used)} of{' '}
+                    {formatBudgetAmount(budget.unit as AiBudgetUnit, budget.monthly_limit)} used. Resets on the 1st (UTC).
+                  </p>
+                </>
+              )}
+            </div>
+
+            <div className="grid gap-4 md:grid-cols-2">
+              <div className="space-y-2">
+                <Label>Budget in</Label>
+                <Select value={unit} onValueChange={(v: AiBudgetUnit) => setUnit(v)}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="tokens">Tokens</SelectItem>
+                    <SelectItem value="usd">Estimated cost (USD)</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="space-y-2">
+                <Label>Monthly limit</Label>
+                <Input
+                  type="number"
+                  min={0}
+                  step={unit === 'usd' ? '0.5' : '10000'}
+                  placeholder={unit === 'usd' ? '5.00' : '500000'}
+                  value={limit}
+                  onChange={(e) => setLimit(e.target.value)}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label>Warn at (% of limit)</Label>
+                <Input
+                  type="number"
+                  min={1}
+                  max={100}
+                  value={warnAt}
+                  onChange={(e) => setWarnAt(e.target.value)}
+                />
+              </div>
+              <div className="flex items-center justify-between rounded-lg border p-3">
+                <div>
+                  <Label>Hard stop</Label>
+                  <p className="text-xs text-muted-foreground">Refuse AI calls that would go over the limit</p>
+                </div>
+                <Switch checked={hardStop} onCheckedChange={setHardStop} />
+              </div>
+            </div>
+
+            <div className="flex gap-2">
+              <Button onClick={handleSave} disabled={!isValid || isSaving}>
+                {isSaving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                Save Budget
+              </Button>
+              {budget && (
+                <Button variant="outline" onClick={removeBudget} disabled={isSaving}>
+                  Remove Budget
+                </Button>
+              )}
+            </div>
+
+            <p className="text-xs text-muted-foreground">
+              Costs are estimates from list prices per model. Calls made on a local model count tokens but cost nothing.
+            </p>
+
+            <div className="grid gap-6 lg:grid-cols-2">
+              <UsageTable title="By feature" rows={usage.byFunction} />
+              <UsageTable title="By job" rows={usage.byJob} />
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
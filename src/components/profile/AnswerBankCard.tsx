@@ -0,0 +1,220 @@
+import { useState, useMemo, useEffect, useRef } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Accordion, AccordionContent, AccordionItem, AccordionTrigger } from '@/components/ui/accordion';
+import { useAnswerBank } from '@/hooks/useAnswerBank';
+import type { Profile } from '@/hooks/useProfile';
+import {
+  ANSWER_BANK_QUESTIONS,
+  ANSWER_CATEGORIES,
+  AnswerBankEntry,
+  AnswerCategory,
+  getQuestion,
+  scopeLabel,
+} from '@/lib/answerBank';
+import { AnswerBankEditor, AnswerBankEditTarget } from './AnswerBankEditor';
+import { AlertTriangle, Check, ListChecks, Loader2, Pencil, Plus, RefreshCw, Trash2 } from 'lucide-react';
+
+interface AnswerBankCardProps {
+  profile: Profile | null;
+}
+
+const EntryRow = ({
+  entry,
+  onEdit,
+  onApprove,
+  onDelete,
+}: {
+  entry: AnswerBankEntry;
+  onEdit: () => void;
+  onApprove?: () => void;
+  onDelete: () => void;
+}) => (
+  <div className="flex items-center justify-between gap-2 rounded-md border px-3 py-2">
+    <div className="min-w-0">
+      <p className="text-sm truncate">{entry.answer || <span className="text-muted-foreground italic">No answer yet</span>}</p>
+      <p className="text-xs text-muted-foreground truncate">
+        {scopeLabel(entry)}
+        {entry.source === 'profile' && ' \u00b7 from profile'}
+      </p>
+    </div>
+    <div className="flex items-center gap-1 shrink-0">
+      {onApprove && entry.answer && (
+        <Button variant="ghost" size="icon" title="Approve" onClick={onApprove}>
+          <Check className="h-4 w-4" />
+        </Button>
+      )}
+      <Button variant="ghost" size="icon" title="Edit" onClick={onEdit}>
+        <Pencil className="h-4 w-4" />
+      </Button>
+      <Button variant="ghost" size="icon" title="Delete" onClick={onDelete}>
+        <Trash2 className="h-4 w-4" />
+      </Button>
+    </div>
+  </div>
+);
+
+// Answers to screening questions (sponsorship, notice period, EEO...).
+// Application forms only get answers approved here; anything else is left
+// blank and flagged for the user instead of guessed.
+export const AnswerBankCard = ({ profile }: AnswerBankCardProps) => {
+  const { entries, isLoading, isSaving, saveAnswer, approveAnswers, deleteAnswer, seedFromProfile } = useAnswerBank();
+  const [editing, setEditing] = useState<AnswerBankEditTarget | null>(null);
+  const seeded = useRef(false);
+
+  // A new bank starts from the profile's suggestions
+  useEffect(() => {
+    if (isLoading || seeded.current || !profile) return;
+    seeded.current = true;
+    if (entries.length === 0) seedFromProfile(profile, { quiet: true });
+  }, [isLoading, entries.length, profile, seedFromProfile]);
+
+  const pending = useMemo(() => entries.filter((entry) => !entry.approved), [entries]);
+  const suggestions = pending.filter((entry) => entry.answer);
+
+  const approvedByKey = useMemo(() => {
+    const map = new Map<string, AnswerBankEntry[]>();
+    for (const entry of entries) {
+      if (!entry.approved) continue;
+      map.set(entry.question_key, [...(map.get(entry.question_key) || []), entry]);
+    }
+    return map;
+  }, [entries]);
+
+  const categories = Object.keys(ANSWER_CATEGORIES) as AnswerCategory[];
+
+  const edit = (entry: AnswerBankEntry) => {
+    const question = getQuestion(entry.question_key);
+    if (question) setEditing({ question, entry });
+  };
+
+  return (
+    <Card>
+      <CardHeader className="pb-2">
+        <div className="flex items-center justify-between">
+          <CardTitle className="flex items-center gap-2 text-lg">
+            <ListChecks className="h-5 w-5 text-primary" />
+            Answer Bank
+            {pending.length > 0 && (
+              <Badge variant="outline" className="bg-yellow-500/10 text-yellow-600 border-yellow-500/30">
+                {pending.length} to review
+              </Badge>
+            )}
+          </CardTitle>
+          <Button
+            size="sm"
+            variant="outline"
+            disabled={!profile || isSaving}
+            onClick={() => profile && seedFromProfile(profile)}
+          >
+            <RefreshCw className="h-4 w-4 mr-1" />
+            Suggest from Profile
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-sm text-muted-foreground">
+          How you answer screening questions like sponsorship, notice period or travel. The extension and AI answers use
+          only the answers you approve here. Anything else is left blank and shows up below for you to answer. Answers can
+          apply to one country or to jobs whose title or company contains a word.
+        </p>
+
+        {isLoading ? (
+          <div className="h-[80px] flex items-center justify-center">
+            <Loader2 className="h-6 w-6 animate-spin text-primary" />
+          </div>
+        ) : (
+          <>
+            {pending.length > 0 && (
+              <div className="space-y-2 rounded-lg border border-yellow-500/30 bg-yellow-500/5 p-3">
+                <div className="flex items-center justify-between gap-2">
+                  <h4 className="text-sm font-medium flex items-center gap-2">
+                    <AlertTriangle className="h-4 w-4 text-yellow-600" />
+                    Needs your answer
+                  </h4>
+                  {suggestions.length > 1 && (
+                    <Button size="sm" variant="ghost" onClick={() => approveAnswers(suggestions)}>
+                      <Check className="h-4 w-4 mr-1" />
+                      Approve all {suggestions.length} suggestions
+                    </Button>
+                  )}
+                </div>
+                {pending.map((entry) => (
+                  <div key={entry.id} className="space-y-1">
+                    <p className="text-xs font-medium">
+                      {getQuestion(entry.question_key)?.label || entry.question_key}
+                      {entry.last_question && (
+                        <span className="font-normal text-muted-foreground"> (asked as "{entry.last_question}")</span>
+                      )}
+                    </p>
+                    <EntryRow
+                      entry={entry}
+                      onEdit={() => edit(entry)}
+                      onApprove={() => approveAnswers([entry])}
+                      onDelete={() => deleteAnswer(entry)}
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <Accordion type="multiple" className="w-full">
+              {categories.map((category) => {
+                const questions = ANSWER_BANK_QUESTIONS.filter((q) => q.category === category);
+                const answered = questions.filter((q) => approvedByKey.has(q.key)).length;
+                return (
+                  <AccordionItem key={category} value={category}>
+                    <AccordionTrigger className="text-sm">
+                      <span className="flex items-center gap-2">
+                        {ANSWER_CATEGORIES[category]}
+                        <Badge variant="secondary">
+                          {answered}/{questions.length}
+                        </Badge>
+                      </span>
+                    </AccordionTrigger>
+                    <AccordionContent className="space-y-3">
+                      {questions.map((question) => (
+                        <div key={question.key} className="space-y-1">
+                          <div className="flex items-center justify-between gap-2">
+                            <p className="text-sm font-medium">{question.label}</p>
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              title="Add an answer"
+                              onClick={() => setEditing({ question })}
+                            >
+                              <Plus className="h-4 w-4" />
+                            </Button>
+                          </div>
+                          {(approvedByKey.get(question.key) || []).map((entry) => (
+                            <EntryRow
+                              key={entry.id}
+                              entry={entry}
+                              onEdit={() => edit(entry)}
+                              onDelete={() => deleteAnswer(entry)}
+                            />
+                          ))}
+                          {!approvedByKey.has(question.key) && (
+                            <p className="text-xs text-muted-foreground">No answer: forms asking this are flagged for you.</p>
+                          )}
+                        </div>
+                      ))}
+                    </AccordionContent>
+                  </AccordionItem>
+                );
+              })}
+            </Accordion>
+          </>
+        )}
+      </CardContent>
+
+      <AnswerBankEditor
+        target={editing}
+        onOpenChange={(open) => !open && setEditing(null)}
+        onSave={saveAnswer}
+        isSaving={isSaving}
+      />
+    </Card>
+  );
+};
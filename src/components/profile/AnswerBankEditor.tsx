@@ -0,0 +1,116 @@
+import { useState, useEffect } from 'react';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { AnswerBankEntry, AnswerDraft, CatalogQuestion } from '@/lib/answerBank';
+import { Loader2 } from 'lucide-react';
+
+const OTHER = '__other__';
+
+export interface AnswerBankEditTarget {
+  question: CatalogQuestion;
+  /** The answer being edited; absent when adding one */
+  entry?: AnswerBankEntry;
+}
+
+interface AnswerBankEditorProps {
+  target: AnswerBankEditTarget | null;
+  onOpenChange: (open: boolean) => void;
+  onSave: (draft: AnswerDraft, previous?: AnswerBankEntry | null) => Promise<boolean>;
+  isSaving: boolean;
+}
+
+// One answer and its scope. Saving approves it.
+export const AnswerBankEditor = ({ target, onOpenChange, onSave, isSaving }: AnswerBankEditorProps) => {
+  const [answer, setAnswer] = useState('');
+  const [country, setCountry] = useState('');
+  const [jobScope, setJobScope] = useState('');
+
+  useEffect(() => {
+    setAnswer(target?.entry?.answer || '');
+    setCountry(target?.entry?.country || '');
+    setJobScope(target?.entry?.job_scope || '');
+  }, [target]);
+
+  if (!target) return null;
+  const { question, entry } = target;
+  const choices = question.choices || [];
+  const isChoice = choices.includes(answer);
+
+  const handleSave = async () => {
+    const saved = await onSave(
+      {
+        question_key: question.key,
+        answer,
+        // Free-text answers are matched against options by their text
+        select_value: entry && entry.answer === answer ? entry.select_value : null,
+        country,
+        job_scope: jobScope,
+      },
+      entry
+    );
+    if (saved) onOpenChange(false);
+  };
+
+  return (
+    <Dialog open onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg">
+        <DialogHeader>
+          <DialogTitle>{question.label}</DialogTitle>
+          {entry?.last_question && <DialogDescription>Last asked as: "{entry.last_question}"</DialogDescription>}
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="space-y-2">
+            <Label>Answer</Label>
+            {choices.length > 0 && (
+              <Select value={isChoice ? answer : answer ? OTHER : ''} onValueChange={(v) => setAnswer(v === OTHER ? '' : v)}>
+                <SelectTrigger>
+                  <SelectValue placeholder="Choose an answer" />
+                </SelectTrigger>
+                <SelectContent>
+                  {choices.map((choice) => (
+                    <SelectItem key={choice} value={choice}>
+                      {choice}
+                    </SelectItem>
+                  ))}
+                  <SelectItem value={OTHER}>Other...</SelectItem>
+                </SelectContent>
+              </Select>
+            )}
+            {(!choices.length || !isChoice) && (
+              <Input value={answer} onChange={(e) => setAnswer(e.target.value)} placeholder="Your answer, as forms should get it" />
+            )}
+          </div>
+
+          <div className="grid gap-4 sm:grid-cols-2">
+            <div className="space-y-2">
+              <Label>Country</Label>
+              <Input value={country} onChange={(e) => setCountry(e.target.value)} placeholder="Any country" />
+              {question.countrySpecific && !country && (
+                <p className="text-xs text-muted-foreground">Usually differs by country; leave blank to use it everywhere.</p>
+              )}
+            </div>
+            <div className="space-y-2">
+              <Label>Only for jobs matching</Label>
+              <Input value={jobScope} onChange={(e) => setJobScope(e.target.value)} placeholder="Any job" />
+              <p className="text-xs text-muted-foreground">A word in the job title or company name.</p>
+            </div>
+          </div>
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button onClick={handleSave} disabled={!answer.trim() || isSaving}>
+            {isSaving && <Loader2 className="h-4 w-4 mr-1 animate-spin" />}
+            Save & approve
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
@@ -144,6 +144,7 @@ export function CVUpload({ cvFileName, cvFilePath, cvUploadedAt, onUploadComplet
       if (data.success && data.data) {
         onParsedData(data.data);
         toast.success('CV parsed successfully! Your profile has been updated.');
+        if (data.budgetWarning) toast.warning(data.budgetWarning);
       } else {
         throw new Error(data.error || 'Failed to parse CV');
       }
@@ -0,0 +1,77 @@
+import { useState, useEffect } from 'react';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Memory, MemoryDraft, memoryAnswer, memoryQuestion } from '@/hooks/useMemories';
+import { Loader2 } from 'lucide-react';
+
+interface MemoryEditorProps {
+  memory: Memory | null;
+  onOpenChange: (open: boolean) => void;
+  onSave: (memory: Memory, draft: MemoryDraft) => Promise<boolean>;
+  isSaving: boolean;
+}
+
+// One remembered answer and its scope. Saving pins it.
+export const MemoryEditor = ({ memory, onOpenChange, onSave, isSaving }: MemoryEditorProps) => {
+  const [answer, setAnswer] = useState('');
+  const [country, setCountry] = useState('');
+  const [jobScope, setJobScope] = useState('');
+
+  useEffect(() => {
+    setAnswer(memory ? memoryAnswer(memory) : '');
+    setCountry(memory?.country || '');
+    setJobScope(memory?.job_scope || '');
+  }, [memory]);
+
+  if (!memory) return null;
+
+  const handleSave = async () => {
+    const saved = await onSave(memory, { answer, country, job_scope: jobScope });
+    if (saved) onOpenChange(false);
+  };
+
+  return (
+    <Dialog open onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg">
+        <DialogHeader>
+          <DialogTitle>{memoryQuestion(memory)}</DialogTitle>
+          <DialogDescription>
+            Your answer is pinned: it is used ahead of other memories and new AI answers never replace it.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="space-y-2">
+            <Label>Answer</Label>
+            <Textarea value={answer} onChange={(e) => setAnswer(e.target.value)} rows={4} />
+          </div>
+
+          <div className="grid gap-4 sm:grid-cols-2">
+            <div className="space-y-2">
+              <Label>Country</Label>
+              <Input value={country} onChange={(e) => setCountry(e.target.value)} placeholder="Any country" />
+            </div>
+            <div className="space-y-2">
+              <Label>Only for jobs matching</Label>
+              <Input value={jobScope} onChange={(e) => setJobScope(e.target.value)} placeholder="Any job" />
+              <p className="text-xs text-muted-foreground">A word in the job title or company name.</p>
+            </div>
+          </div>
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button onClick={handleSave} disabled={!answer.trim() || isSaving}>
+            {isSaving && <Loader2 className="h-4 w-4 mr-1 animate-spin" />}
+            Save & pin
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
@@ -0,0 +1,149 @@
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Switch } from '@/components/ui/switch';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import {
+  WORK_AUTHORIZATION_STATUSES,
+  WorkAuthorization,
+  WorkAuthorizationStatus,
+  describeAuthorization,
+  isExpired,
+} from '@/lib/answerBank';
+import { Globe, Plus, X } from 'lucide-react';
+
+interface WorkAuthorizationCardProps {
+  authorizations: WorkAuthorization[];
+  onChange: (authorizations: WorkAuthorization[]) => void;
+  editable: boolean;
+}
+
+const STATUSES = Object.keys(WORK_AUTHORIZATION_STATUSES) as WorkAuthorizationStatus[];
+
+// Citizens and permanent residents never need sponsorship
+const sponsorshipApplies = (status: WorkAuthorizationStatus) => status !== 'citizen' && status !== 'permanent_resident';
+
+// Where the user may work, per country. Part of the profile form: edits are
+// saved with the rest of the profile.
+export const WorkAuthorizationCard = ({ authorizations, onChange, editable }: WorkAuthorizationCardProps) => {
+  const update = (index: number, changes: Partial<WorkAuthorization>) => {
+    onChange(
+      authorizations.map((entry, i) => {
+        if (i !== index) return entry;
+        const next = { ...entry, ...changes };
+        if (!sponsorshipApplies(next.status)) next.requires_sponsorship = false;
+        if (next.status !== 'work_visa') next.visa_type = null;
+        return next;
+      })
+    );
+  };
+
+  const add = () =>
+    onChange([
+      ...authorizations,
+      { country: '', status: 'work_visa', visa_type: null, expires_on: null, requires_sponsorship: true },
+    ]);
+
+  const remove = (index: number) => onChange(authorizations.filter((_, i) => i !== index));
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Globe className="h-5 w-5 text-primary" />
+          Work Authorization
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-sm text-muted-foreground">
+          Where you can work, and on what terms. Authorization, sponsorship and citizenship questions are answered for the
+          job's country. For countries not listed here, your answer bank decides, or the question is left for you.
+        </p>
+
+        {authorizations.length === 0 && (
+          <p className="text-sm text-muted-foreground italic">No countries added yet.</p>
+        )}
+
+        {authorizations.map((entry, i) =>
+          editable ? (
+            <div key={i} className="grid gap-3 rounded-lg border p-3 md:grid-cols-[1fr_1fr_auto]">
+              <div className="space-y-1">
+                <Label>Country</Label>
+                <Input value={entry.country} onChange={(e) => update(i, { country: e.target.value })} placeholder="United States" />
+              </div>
+              <div className="space-y-1">
+                <Label>Status</Label>
+                <Select value={entry.status} onValueChange={(v) => update(i, { status: v as WorkAuthorizationStatus })}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {STATUSES.map((status) => (
+                      <SelectItem key={status} value={status}>
+                        {WORK_AUTHORIZATION_STATUSES[status]}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <Button variant="ghost" size="icon" className="self-end" title="Remove" onClick={() => remove(i)}>
+                <X className="h-4 w-4" />
+              </Button>
+              {entry.status === 'work_visa' && (
+                <div className="space-y-1">
+                  <Label>Visa type</Label>
+                  <Input
+                    value={entry.visa_type || ''}
+                    onChange={(e) => update(i, { visa_type: e.target.value || null })}
+                    placeholder="H-1B, Skilled Worker, Blue Card..."
+                  />
+                </div>
+              )}
+              {entry.status !== 'citizen' && (
+                <div className="space-y-1">
+                  <Label>Expires</Label>
+                  <Input
+                    type="date"
+                    value={entry.expires_on || ''}
+                    onChange={(e) => update(i, { expires_on: e.target.value || null })}
+                  />
+                </div>
+              )}
+              {sponsorshipApplies(entry.status) && (
+                <div className="flex items-center justify-between gap-2 md:col-span-3">
+                  <span className="text-sm">Needs visa sponsorship here, now or in the future?</span>
+                  <Switch
+                    checked={entry.requires_sponsorship}
+                    onCheckedChange={(v) => update(i, { requires_sponsorship: v })}
+                  />
+                </div>
+              )}
+            </div>
+          ) : (
+            <div key={i} className="flex items-center justify-between gap-2 rounded-lg border p-3">
+              <div className="min-w-0">
+                <p className="font-medium truncate">{entry.country}</p>
+                <p className="text-sm text-muted-foreground truncate">{describeAuthorization(entry)}</p>
+              </div>
+              <div className="flex gap-1 shrink-0">
+                {isExpired(entry) && <Badge variant="destructive">Expired</Badge>}
+                {sponsorshipApplies(entry.status) && entry.requires_sponsorship && (
+                  <Badge variant="outline">Needs sponsorship</Badge>
+                )}
+              </div>
+            </div>
+          )
+        )}
+
+        {editable && (
+          <Button variant="outline" size="sm" onClick={add}>
+            <Plus className="h-4 w-4 mr-1" />
+            Add country
+          </Button>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
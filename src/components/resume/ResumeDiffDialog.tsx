@@ -0,0 +1,159 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { ScrollArea } from '@/components/ui/scroll-area';
+import { Badge } from '@/components/ui/badge';
+import { Label } from '@/components/ui/label';
+import { ResumeContent, ResumeVersionSummary, resumeContentToText, resumeVersionLabel } from '@/lib/resumeVersions';
+import { diffLines, diffStats } from '@/lib/textDiff';
+import { format } from 'date-fns';
+import { Loader2 } from 'lucide-react';
+
+interface ResumeDiffDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  versions: ResumeVersionSummary[];
+  /** Initially selected versions; "before" and "after" */
+  leftId?: string | null;
+  rightId?: string | null;
+  getVersionContent: (id: string) => Promise<ResumeContent | null>;
+}
+
+const optionLabel = (version: ResumeVersionSummary) =>
+  version.kind === 'base'
+    ? resumeVersionLabel(version)
+    : `${version.name} (tailored ${format(new Date(version.created_at), 'MMM d')})`;
+
+const VersionSelect = ({
+  label,
+  value,
+  versions,
+  onChange,
+}: {
+  label: string;
+  value: string;
+  versions: ResumeVersionSummary[];
+  onChange: (id: string) => void;
+}) => (
+  <div className="space-y-1 flex-1 min-w-0">
+    <Label className="text-xs text-muted-foreground">{label}</Label>
+    <Select value={value} onValueChange={onChange}>
+      <SelectTrigger>
+        <SelectValue placeholder="Choose a version" />
+      </SelectTrigger>
+      <SelectContent>
+        {versions.map((v) => (
+          <SelectItem key={v.id} value={v.id}>
+            {optionLabel(v)}
+          </SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  </div>
+);
+
+// Line diff between any two resume versions
+export const ResumeDiffDialog = ({
+  open,
+  onOpenChange,
+  versions,
+  leftId,
+  rightId,
+  getVersionContent,
+}: ResumeDiffDialogProps) => {
+  const [left, setLeft] = useState('');
+  const [right, setRight] = useState('');
+  const [texts, setTexts] = useState<{ left: string; right: string } | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    setLeft(leftId || '');
+    setRight(rightId || '');
+  }, [open, leftId, rightId]);
+
+  // Without a "before", compare against the version the "after" one was saved from
+  useEffect(() => {
+    if (!open || left || !right) return;
+    const parentId = versions.find((v) => v.id === right)?.parent_id;
+    if (parentId) setLeft(parentId);
+  }, [open, left, right, versions]);
+
+  useEffect(() => {
+    if (!open || !left || !right) {
+      setTexts(null);
+      return;
+    }
+
+    let cancelled = false;
+    setIsLoading(true);
+    Promise.all([getVersionContent(left), getVersionContent(right)])
+      .then(([a, b]) => {
+        if (cancelled) return;
+        setTexts({ left: a ? resumeContentToText(a) : '', right: b ? resumeContentToText(b) : '' });
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [open, left, right, getVersionContent]);
+
+  const parts = useMemo(() => (texts ? diffLines(texts.left, texts.right) : []), [texts]);
+  const stats = useMemo(() => diffStats(parts), [parts]);
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-4xl max-h-[85vh] overflow-hidden">
+        <DialogHeader>
+          <DialogTitle>Compare Resume Versions</DialogTitle>
+        </DialogHeader>
+
+        <div className="flex gap-3">
+          <VersionSelect label="Before" value={left} versions={versions} onChange={setLeft} />
+          <VersionSelect label="After" value={right} versions={versions} onChange={setRight} />
+        </div>
+
+        {texts && (
+          <div className="flex gap-2">
+            <Badge variant="outline" className="bg-green-500/10 text-green-600 border-green-500/30">
+              +{stats.added} lines
+            </Badge>
+            <Badge variant="outline" className="bg-red-500/10 text-red-600 border-red-500/30">
+              −{stats.removed} lines
+            </Badge>
+          </div>
+        )}
+
+        <ScrollArea className="h-[450px] rounded-lg border bg-muted/30">
+          {isLoading ? (
+            <div className="h-[200px] flex items-center justify-center">
+              <Loader2 className="h-6 w-6 animate-spin text-primary" />
+            </div>
+          ) : !texts ? (
+            <p className="p-4 text-sm text-muted-foreground">Choose two versions to compare</p>
+          ) : (
+            <pre className="whitespace-pre-wrap text-sm p-4">
+              {parts.map((part, i) => (
+                <span
+                  key={i}
+                  className={
+                    part.type === 'insert'
+                      ? 'block bg-green-500/15 text-green-700 dark:text-green-400'
+                      : part.type === 'delete'
+                        ? 'block bg-red-500/15 text-red-700 dark:text-red-400 line-through'
+                        : undefined
+                  }
+                >
+                  {part.value}
+                </span>
+              ))}
+            </pre>
+          )}
+        </ScrollArea>
+      </DialogContent>
+    </Dialog>
+  );
+};
@@ -0,0 +1,110 @@
+import { useState, useEffect } from 'react';
+import { Dialog, DialogContent, DialogFooter, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { ScrollArea } from '@/components/ui/scroll-area';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { ResumeContent, ResumeVersionSummary, resumeVersionLabel } from '@/lib/resumeVersions';
+import { Loader2 } from 'lucide-react';
+
+interface ResumeVersionEditorProps {
+  version: ResumeVersionSummary | null;
+  onOpenChange: (open: boolean) => void;
+  getVersionContent: (id: string) => Promise<ResumeContent | null>;
+  /** Saves the edited content as the next version of `version` */
+  onSave: (version: ResumeVersionSummary, content: ResumeContent) => Promise<unknown>;
+  isSaving: boolean;
+}
+
+const splitList = (value: string) => value.split(',').map((s) => s.trim()).filter(Boolean);
+const splitLines = (value: string) => value.split('\n').map((s) => s.trim()).filter(Boolean);
+
+// Edits the sections that differ between variants: summary, skills and experience bullets
+export const ResumeVersionEditor = ({ version, onOpenChange, getVersionContent, onSave, isSaving }: ResumeVersionEditorProps) => {
+  const [content, setContent] = useState<ResumeContent | null>(null);
+  const [summary, setSummary] = useState('');
+  const [primarySkills, setPrimarySkills] = useState('');
+  const [secondarySkills, setSecondarySkills] = useState('');
+  const [bullets, setBullets] = useState<string[]>([]);
+
+  useEffect(() => {
+    setContent(null);
+    if (!version) return;
+
+    getVersionContent(version.id).then((loaded) => {
+      const c = loaded || {};
+      setContent(c);
+      setSummary(c.summary || '');
+      setPrimarySkills((c.skills?.primary || []).join(', '));
+      setSecondarySkills((c.skills?.secondary || []).join(', '));
+      setBullets((c.experience || []).map((exp) => exp.bullets.join('\n')));
+    });
+  }, [version, getVersionContent]);
+
+  const handleSave = async () => {
+    if (!version || !content) return;
+    await onSave(version, {
+      ...content,
+      summary: summary.trim() || undefined,
+      skills: { primary: splitList(primarySkills), secondary: splitList(secondarySkills) },
+      experience: (content.experience || []).map((exp, i) => ({ ...exp, bullets: splitLines(bullets[i] || '') })),
+    });
+    onOpenChange(false);
+  };
+
+  return (
+    <Dialog open={!!version} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-3xl max-h-[85vh] overflow-hidden">
+        <DialogHeader>
+          <DialogTitle>Edit {version ? resumeVersionLabel(version) : 'resume'}</DialogTitle>
+        </DialogHeader>
+
+        {!content ? (
+          <div className="h-[200px] flex items-center justify-center">
+            <Loader2 className="h-6 w-6 animate-spin text-primary" />
+          </div>
+        ) : (
+          <ScrollArea className="h-[500px] pr-4">
+            <div className="space-y-4">
+              <div className="space-y-2">
+                <Label>Professional summary</Label>
+                <Textarea value={summary} onChange={(e) => setSummary(e.target.value)} className="min-h-[100px]" />
+              </div>
+              <div className="space-y-2">
+                <Label>Primary skills (comma separated)</Label>
+                <Input value={primarySkills} onChange={(e) => setPrimarySkills(e.target.value)} />
+              </div>
+              <div className="space-y-2">
+                <Label>Secondary skills (comma separated)</Label>
+                <Input value={secondarySkills} onChange={(e) => setSecondarySkills(e.target.value)} />
+              </div>
+              {(content.experience || []).map((exp, i) => (
+                <div key={i} className="space-y-2">
+                  <Label>
+                    {exp.title} — {exp.company} (one bullet per line)
+                  </Label>
+                  <Textarea
+                    value={bullets[i] || ''}
+                    onChange={(e) => setBullets((prev) => prev.map((b, j) => (j === i ? e.target.value : b)))}
+                    className="min-h-[120px] text-sm"
+                  />
+                </div>
+              ))}
+            </div>
+          </ScrollArea>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button onClick={handleSave} disabled={!content || isSaving}>
+            {isSaving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Save as v{(version?.version || 0) + 1}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
@@ -0,0 +1,218 @@
+import { useState, useMemo } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Badge } from '@/components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@/components/ui/alert-dialog';
+import { useResumeVersions } from '@/hooks/useResumeVersions';
+import type { Profile } from '@/hooks/useProfile';
+import {
+  ResumeContent,
+  ResumeVersionSummary,
+  latestBaseVersions,
+  profileToResumeContent,
+  resumeVersionLabel,
+} from '@/lib/resumeVersions';
+import { DEFAULT_TEMPLATE_ID, RESUME_TEMPLATES } from '@/lib/resumeTemplates';
+import { ResumeDiffDialog } from './ResumeDiffDialog';
+import { ResumeVersionEditor } from './ResumeVersionEditor';
+import { format } from 'date-fns';
+import { Files, GitCompare, Loader2, Pencil, Plus, RefreshCw, Star, Trash2 } from 'lucide-react';
+
+interface ResumeVersionsCardProps {
+  profile: Profile | null;
+}
+
+// Master CV variants. Each variant is a chain of immutable versions; the
+// newest of each is offered when tailoring, the default one unless picked.
+export const ResumeVersionsCard = ({ profile }: ResumeVersionsCardProps) => {
+  const { versions, isLoading, isSaving, getVersionContent, createVersion, setDefault, setTemplate, deleteVersion } =
+    useResumeVersions();
+  const [newName, setNewName] = useState('');
+  const [editing, setEditing] = useState<ResumeVersionSummary | null>(null);
+  const [deleting, setDeleting] = useState<ResumeVersionSummary | null>(null);
+  const [diff, setDiff] = useState<{ left: string | null; right: string | null } | null>(null);
+
+  const variants = useMemo(() => latestBaseVersions(versions), [versions]);
+  const tailoredCount = versions.filter((v) => v.kind === 'tailored').length;
+
+  const handleCreate = async () => {
+    if (!profile || !newName.trim()) return;
+    const created = await createVersion(newName.trim(), profileToResumeContent(profile));
+    if (created) setNewName('');
+  };
+
+  const handleUpdateFromProfile = (variant: ResumeVersionSummary) => {
+    if (!profile) return;
+    createVersion(variant.name, profileToResumeContent(profile), variant);
+  };
+
+  const handleSaveEdit = (variant: ResumeVersionSummary, content: ResumeContent) =>
+    createVersion(variant.name, content, variant);
+
+  return (
+    <Card>
+      <CardHeader className="pb-2">
+        <div className="flex items-center justify-between">
+          <CardTitle className="flex items-center gap-2 text-lg">
+            <Files className="h-5 w-5 text-primary" />
+            Resume Versions
+          </CardTitle>
+          <Button
+            size="sm"
+            variant="outline"
+            disabled={versions.length < 2}
+            onClick={() => setDiff({ left: variants[0]?.parent_id ?? null, right: variants[0]?.id ?? null })}
+          >
+            <GitCompare className="h-4 w-4 mr-1" />
+            Compare
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-sm text-muted-foreground">
+          Keep several master CVs (for example "Data Engineer" and "ML Engineer") and pick one when tailoring. Versions
+          are never changed in place: editing saves the next version, and every application keeps a snapshot of the
+          resume it was sent with{tailoredCount > 0 ? ` (${tailoredCount} so far)` : ''}.
+        </p>
+
+        {isLoading ? (
+          <div className="h-[80px] flex items-center justify-center">
+            <Loader2 className="h-6 w-6 animate-spin text-primary" />
+          </div>
+        ) : variants.length === 0 ? (
+          <p className="text-sm text-muted-foreground">
+            No resume variants yet. Tailoring uses your profile until you save one.
+          </p>
+        ) : (
+          <div className="space-y-2">
+            {variants.map((variant) => (
+              <div key={variant.id} className="flex items-center justify-between gap-2 rounded-lg border p-3">
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2">
+                    <span className="font-medium truncate">{resumeVersionLabel(variant)}</span>
+                    {variant.is_default && <Badge variant="secondary">Default</Badge>}
+                  </div>
+                  <p className="text-xs text-muted-foreground">
+                    Saved {format(new Date(variant.created_at), 'MMM d, yyyy')}
+                  </p>
+                </div>
+                <div className="flex items-center gap-1 shrink-0">
+                  <Select
+                    value={variant.template || DEFAULT_TEMPLATE_ID}
+                    onValueChange={(template) =>
+                      setTemplate(variant.id, template === DEFAULT_TEMPLATE_ID ? null : template)
+                    }
+                  >
+                    <SelectTrigger className="h-8 w-[120px]" title="PDF template">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {RESUME_TEMPLATES.map((template) => (
+                        <SelectItem key={template.id} value={template.id} title={template.description}>
+                          {template.name}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  {!variant.is_default && (
+                    <Button variant="ghost" size="icon" title="Make default" onClick={() => setDefault(variant.id)}>
+                      <Star className="h-4 w-4" />
+                    </Button>
+                  )}
+                  <Button variant="ghost" size="icon" title="Edit" onClick={() => setEditing(variant)}>
+                    <Pencil className="h-4 w-4" />
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    size="icon"
+                    title="Save current profile as the next version"
+                    disabled={!profile || isSaving}
+                    onClick={() => handleUpdateFromProfile(variant)}
+                  >
+                    <RefreshCw className="h-4 w-4" />
+                  </Button>
+                  {variant.parent_id && (
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      title="Compare with previous version"
+                      onClick={() => setDiff({ left: variant.parent_id, right: variant.id })}
+                    >
+                      <GitCompare className="h-4 w-4" />
+                    </Button>
+                  )}
+                  <Button variant="ghost" size="icon" title="Delete" onClick={() => setDeleting(variant)}>
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div className="flex gap-2">
+          <Input
+            placeholder="New variant name, e.g. ML Engineer"
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleCreate()}
+          />
+          <Button onClick={handleCreate} disabled={!profile || !newName.trim() || isSaving}>
+            <Plus className="h-4 w-4 mr-1" />
+            Save from Profile
+          </Button>
+        </div>
+      </CardContent>
+
+      <ResumeVersionEditor
+        version={editing}
+        onOpenChange={(open) => !open && setEditing(null)}
+        getVersionContent={getVersionContent}
+        onSave={handleSaveEdit}
+        isSaving={isSaving}
+      />
+
+      <ResumeDiffDialog
+        open={!!diff}
+        onOpenChange={(open) => !open && setDiff(null)}
+        versions={versions}
+        leftId={diff?.left}
+        rightId={diff?.right}
+        getVersionContent={getVersionContent}
+      />
+
+      <AlertDialog open={!!deleting} onOpenChange={(open) => !open && setDeleting(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Delete {deleting ? resumeVersionLabel(deleting) : 'version'}?</AlertDialogTitle>
+            <AlertDialogDescription>
+              Earlier versions and the snapshots attached to applications are kept.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction
+              onClick={() => {
+                if (deleting) deleteVersion(deleting);
+                setDeleting(null);
+              }}
+            >
+              Delete
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </Card>
+  );
+};
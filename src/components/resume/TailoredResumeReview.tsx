@@ -0,0 +1,251 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { ScrollArea } from '@/components/ui/scroll-area';
+import { useResumeVersions } from '@/hooks/useResumeVersions';
+import { useResumeDocuments } from '@/hooks/useResumeDocuments';
+import { useProfile } from '@/hooks/useProfile';
+import {
+  ResumeContent,
+  ResumeLine,
+  ResumeVersion,
+  hasResumeSections,
+  profileToResumeContent,
+  resumeVersionLabel,
+} from '@/lib/resumeVersions';
+import { ResumeChange, ResumeDiffRow, applyResumeChanges, diffResumes, resumeChanges } from '@/lib/resumeDiff';
+import { DiffType } from '@/lib/textDiff';
+import { cn } from '@/lib/utils';
+import { Check, Download, FileText, Loader2, Save, X } from 'lucide-react';
+
+interface TailoredResumeReviewProps {
+  /** The application's resume snapshot */
+  resumeVersionId: string | null;
+  /** Attach a reviewed snapshot to the application */
+  onSaved: (tailoredResume: string, resumeVersionId: string) => Promise<unknown>;
+}
+
+const CHANGE_LABELS = {
+  added: 'Added',
+  removed: 'Removed',
+  rewritten: 'Rewritten',
+};
+
+const LineText = ({ line }: { line: ResumeLine }) => (
+  <span className={cn(line.kind === 'heading' && 'font-semibold text-xs tracking-wide pt-2 block')}>{line.text}</span>
+);
+
+// One side of a change: the word diff for rewrites, highlighting only this side's edits
+const ChangeSide = ({ change, side }: { change: ResumeChange; side: 'before' | 'after' }) => {
+  const line = change[side];
+  if (!line) return null;
+  if (change.kind !== 'rewritten') return <LineText line={line} />;
+
+  const shown: DiffType = side === 'before' ? 'delete' : 'insert';
+  return (
+    <span>
+      {change.words
+        .filter((part) => part.type === 'equal' || part.type === shown)
+        .map((part, i) =>
+          part.type === 'equal' ? (
+            <span key={i}>{part.value}</span>
+          ) : (
+            <mark
+              key={i}
+              className={cn(
+                'rounded px-0.5',
+                shown === 'insert'
+                  ? 'bg-green-500/25 text-green-800 dark:text-green-300'
+                  : 'bg-red-500/25 text-red-800 dark:text-red-300 line-through'
+              )}
+            >
+              {part.value}
+            </mark>
+          )
+        )}
+    </span>
+  );
+};
+
+// Base CV vs tailored CV, side by side. Every change can be accepted or
+// rejected; the accepted result is what the PDF and saved snapshot are built from.
+export const TailoredResumeReview = ({ resumeVersionId, onSaved }: TailoredResumeReviewProps) => {
+  const { getVersion, createSnapshot, isSaving } = useResumeVersions();
+  const { profile, isLoading: isProfileLoading } = useProfile();
+  const { isGenerating, downloadResume } = useResumeDocuments();
+  const [snapshot, setSnapshot] = useState<ResumeVersion | null>(null);
+  const [base, setBase] = useState<{ label: string; content: ResumeContent } | null>(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [rejected, setRejected] = useState<Set<number>>(new Set());
+
+  useEffect(() => {
+    if (!resumeVersionId || isProfileLoading) return;
+
+    let cancelled = false;
+    const load = async () => {
+      setIsLoading(true);
+      const loaded = await getVersion(resumeVersionId);
+      // Reviewed snapshots descend from the one they reviewed; the base is further up
+      let parent = loaded?.parent_id ? await getVersion(loaded.parent_id) : null;
+      while (parent?.kind === 'tailored' && parent.parent_id) {
+        parent = await getVersion(parent.parent_id);
+      }
+      if (cancelled) return;
+
+      setSnapshot(loaded);
+      if (parent?.kind === 'base') {
+        setBase({ label: resumeVersionLabel(parent), content: parent.content as ResumeContent });
+      } else if (profile) {
+        setBase({ label: 'Profile', content: profileToResumeContent(profile) });
+      } else {
+        setBase(null);
+      }
+      setRejected(new Set());
+      setIsLoading(false);
+    };
+    load();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [resumeVersionId, isProfileLoading, profile, getVersion]);
+
+  const tailored = snapshot?.content as ResumeContent | undefined;
+  const canReview = !!tailored && hasResumeSections(tailored) && !!base;
+
+  const rows: ResumeDiffRow[] = useMemo(
+    () => (tailored && base && hasResumeSections(tailored) ? diffResumes(base.content, tailored) : []),
+    [base, tailored]
+  );
+  const changes = useMemo(() => resumeChanges(rows), [rows]);
+  const accepted = useMemo(() => applyResumeChanges(rows, rejected), [rows, rejected]);
+
+  const setDecision = (id: number, accept: boolean) =>
+    setRejected((prev) => {
+      const next = new Set(prev);
+      if (accept) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+
+  const handleSave = async () => {
+    if (!snapshot) return;
+    const id = await createSnapshot(snapshot, accepted);
+    if (!id) return;
+    await onSaved(accepted.text || '', id);
+  };
+
+  if (!resumeVersionId) {
+    return <p className="text-sm text-muted-foreground">This application has no resume snapshot to compare.</p>;
+  }
+
+  if (isLoading) {
+    return (
+      <div className="h-[200px] flex items-center justify-center">
+        <Loader2 className="h-6 w-6 animate-spin text-primary" />
+      </div>
+    );
+  }
+
+  if (!canReview) {
+    return (
+      <p className="text-sm text-muted-foreground">
+        This resume was saved as plain text only, so its changes can't be reviewed one by one. Tailor the job again to
+        get a reviewable version.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <Badge variant="secondary">
+          {changes.length - rejected.size} of {changes.length} changes accepted
+        </Badge>
+        <Button size="sm" variant="ghost" onClick={() => setRejected(new Set())}>
+          Accept all
+        </Button>
+        <Button size="sm" variant="ghost" onClick={() => setRejected(new Set(changes.map((c) => c.id)))}>
+          Reject all
+        </Button>
+        <div className="flex-1" />
+        <Button
+          size="sm"
+          variant="outline"
+          onClick={() => downloadResume(accepted, 'pdf', snapshot?.template)}
+          disabled={isGenerating}
+        >
+          {isGenerating ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <Download className="h-4 w-4 mr-1" />}
+          PDF
+        </Button>
+        <Button size="sm" variant="outline" onClick={() => downloadResume(accepted, 'docx')} disabled={isGenerating}>
+          <FileText className="h-4 w-4 mr-1" />
+          DOCX
+        </Button>
+        <Button size="sm" onClick={handleSave} disabled={isSaving || rejected.size === 0}>
+          {isSaving ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <Save className="h-4 w-4 mr-1" />}
+          Save to Application
+        </Button>
+      </div>
+
+      <div className="grid grid-cols-[1fr_1fr_auto] gap-x-3 text-xs font-medium text-muted-foreground px-3">
+        <span>Base: {base?.label}</span>
+        <span>Tailored</span>
+        <span className="w-[72px]" />
+      </div>
+
+      <ScrollArea className="h-[380px] rounded-lg border bg-muted/30">
+        <div className="p-3 text-sm space-y-0.5">
+          {rows.map((row, i) => {
+            if (row.type === 'equal') {
+              return (
+                <div key={i} className="grid grid-cols-[1fr_1fr_auto] gap-x-3 text-muted-foreground">
+                  <LineText line={row.line} />
+                  <LineText line={row.line} />
+                  <span className="w-[72px]" />
+                </div>
+              );
+            }
+
+            const { change } = row;
+            const isRejected = rejected.has(change.id);
+            return (
+              <div
+                key={i}
+                className="grid grid-cols-[1fr_1fr_auto] gap-x-3 items-start rounded border border-dashed py-1"
+                title={CHANGE_LABELS[change.kind]}
+              >
+                <div className={cn('px-1', change.before && 'bg-red-500/10', !isRejected && 'opacity-60')}>
+                  <ChangeSide change={change} side="before" />
+                </div>
+                <div className={cn('px-1', change.after && 'bg-green-500/10', isRejected && 'opacity-40 line-through')}>
+                  <ChangeSide change={change} side="after" />
+                </div>
+                <div className="flex gap-1 w-[72px]">
+                  <Button
+                    size="icon"
+                    variant={isRejected ? 'ghost' : 'secondary'}
+                    className="h-7 w-7"
+                    title="Accept"
+                    onClick={() => setDecision(change.id, true)}
+                  >
+                    <Check className="h-3.5 w-3.5" />
+                  </Button>
+                  <Button
+                    size="icon"
+                    variant={isRejected ? 'secondary' : 'ghost'}
+                    className="h-7 w-7"
+                    title="Reject"
+                    onClick={() => setDecision(change.id, false)}
+                  >
+                    <X className="h-3.5 w-3.5" />
+                  </Button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </ScrollArea>
+    </div>
+  );
+};
@@ -21,16 +21,18 @@ export const maxmilliamProfile: UserProfile = {
   highestEducation: "Master's Degree",
   willingToRelocate: true,
   drivingLicense: true,
-  visaRequired: false,
-  authorizedCountries: [
-    "United Kingdom", "United States", "United Arab Emirates", "Turkey", "Thailand", 
-    "Tanzania", "Switzerland", "Sweden", "Spain", "South Africa", "Singapore", 
-    "Saudi Arabia", "Serbia", "Saint Lucia", "Qatar", "Portugal", "Norway", 
-    "New Zealand", "Netherlands", "Morocco", "Mexico", "Moldova", "Monaco", 
-    "Malta", "Maldives", "Luxembourg", "Ireland", "Japan", "Italy", "Iceland", 
-    "Hong Kong", "Hungary", "Grenada", "Greece", "Germany", "Georgia", "France", 
-    "Denmark", "Croatia", "Canada", "Cape Verde", "Belgium", "Austria", "Australia", 
-    "Czech Republic", "Cyprus"
+  workAuthorizations: [
+    { country: "Ireland", status: "citizen", requires_sponsorship: false },
+    ...[
+      "United Kingdom", "United States", "United Arab Emirates", "Turkey", "Thailand", 
+      "Tanzania", "Switzerland", "Sweden", "Spain", "South Africa", "Singapore", 
+      "Saudi Arabia", "Serbia", "Saint Lucia", "Qatar", "Portugal", "Norway", 
+      "New Zealand", "Netherlands", "Morocco", "Mexico", "Moldova", "Monaco", 
+      "Malta", "Maldives", "Luxembourg", "Japan", "Italy", "Iceland", 
+      "Hong Kong", "Hungary", "Grenada", "Greece", "Germany", "Georgia", "France", 
+      "Denmark", "Croatia", "Canada", "Cape Verde", "Belgium", "Austria", "Australia", 
+      "Czech Republic", "Cyprus"
+    ].map((country) => ({ country, status: "authorized" as const, requires_sponsorship: false })),
   ],
   veteranStatus: false,
   disability: false,
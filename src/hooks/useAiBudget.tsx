@@ -0,0 +1,97 @@
+import { useState, useEffect, useCallback } from 'react';
+import { supabase } from '@/integrations/supabase/client';
+import { useAuth } from './useAuth';
+import { toast } from 'sonner';
+import { AiBudget, AiUsageRow, AiUsageSummary, startOfMonthUTC, summarizeAiUsage } from '@/lib/aiBudget';
+
+export type AiBudgetInput = Pick<AiBudget, 'unit' | 'monthly_limit' | 'warn_at_percent' | 'hard_stop'>;
+
+// The user's AI budget and this month's usage. The limit itself is enforced
+// by the edge functions before each model call.
+export function useAiBudget() {
+  const { user } = useAuth();
+  const [budget, setBudget] = useState<AiBudget | null>(null);
+  const [usage, setUsage] = useState<AiUsageSummary>(() => summarizeAiUsage([]));
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const fetchBudget = useCallback(async () => {
+    if (!user) return;
+
+    try {
+      setIsLoading(true);
+      const [budgetResult, usageResult] = await Promise.all([
+        supabase.from('ai_budgets').select('*').eq('user_id', user.id).maybeSingle(),
+        supabase
+          .from('api_usage')
+          .select('function_name, tokens_used, estimated_cost, job_id, jobs(title, company)')
+          .eq('user_id', user.id)
+          .gte('created_at', startOfMonthUTC().toISOString()),
+      ]);
+
+      if (budgetResult.error) throw budgetResult.error;
+      if (usageResult.error) throw usageResult.error;
+
+      setBudget(budgetResult.data);
+      setUsage(summarizeAiUsage((usageResult.data || []) as AiUsageRow[]));
+    } catch (error) {
+      console.error('Error fetching AI budget:', error);
+      toast.error('Failed to load AI budget');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    fetchBudget();
+  }, [fetchBudget]);
+
+  const saveBudget = async (input: AiBudgetInput) => {
+    if (!user) return;
+
+    setIsSaving(true);
+    try {
+      const { data, error } = await supabase
+        .from('ai_budgets')
+        .upsert({ user_id: user.id, ...input }, { onConflict: 'user_id' })
+        .select()
+        .single();
+
+      if (error) throw error;
+      setBudget(data);
+      toast.success('AI budget saved');
+    } catch (error) {
+      console.error('Error saving AI budget:', error);
+      toast.error('Failed to save AI budget');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const removeBudget = async () => {
+    if (!user) return;
+
+    setIsSaving(true);
+    try {
+      const { error } = await supabase.from('ai_budgets').delete().eq('user_id', user.id);
+      if (error) throw error;
+      setBudget(null);
+      toast.success('AI budget removed');
+    } catch (error) {
+      console.error('Error removing AI budget:', error);
+      toast.error('Failed to remove AI budget');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return {
+    budget,
+    usage,
+    isLoading,
+    isSaving,
+    saveBudget,
+    removeBudget,
+    refetch: fetchBudget,
+  };
+}
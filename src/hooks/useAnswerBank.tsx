@@ -0,0 +1,166 @@
+import { useState, useEffect, useCallback } from 'react';
+import { supabase } from '@/integrations/supabase/client';
+import { useAuth } from './useAuth';
+import { toast } from 'sonner';
+import type { Profile } from './useProfile';
+import { AnswerBankEntry, AnswerDraft, sameScope, seedAnswers } from '@/lib/answerBank';
+
+const SCOPE_CONFLICT = 'user_id,question_key,country,job_scope';
+
+// The user's answers to screening questions. Only approved answers are used
+// by answer-questions and the extension; profile seeds and flagged questions
+// wait here for the user.
+export function useAnswerBank() {
+  const { user } = useAuth();
+  const [entries, setEntries] = useState<AnswerBankEntry[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const fetchEntries = useCallback(async () => {
+    if (!user) return;
+
+    try {
+      setIsLoading(true);
+      const { data, error } = await supabase
+        .from('answer_bank')
+        .select('*')
+        .eq('user_id', user.id)
+        .order('question_key')
+        .order('country')
+        .order('job_scope');
+
+      if (error) throw error;
+      setEntries(data || []);
+    } catch (error) {
+      console.error('Error fetching answer bank:', error);
+      toast.error('Failed to load answer bank');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  /** Saves an answer as the user's own, approved. Replaces any answer with the same question and scope. */
+  const saveAnswer = async (draft: AnswerDraft, previous?: AnswerBankEntry | null) => {
+    if (!user) return false;
+
+    setIsSaving(true);
+    try {
+      const row = {
+        user_id: user.id,
+        question_key: draft.question_key,
+        answer: draft.answer.trim(),
+        select_value: draft.select_value?.trim() || null,
+        country: draft.country.trim(),
+        job_scope: draft.job_scope.trim(),
+        source: 'user',
+        approved: true,
+      };
+      // A changed scope moves the answer rather than copying it
+      if (previous && !sameScope(previous, row)) {
+        const { error } = await supabase.from('answer_bank').delete().eq('id', previous.id);
+        if (error) throw error;
+      }
+      const { error } = await supabase.from('answer_bank').upsert(row, { onConflict: SCOPE_CONFLICT });
+      if (error) throw error;
+
+      await fetchEntries();
+      toast.success('Answer saved');
+      return true;
+    } catch (error) {
+      console.error('Error saving answer:', error);
+      toast.error('Failed to save answer');
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const approveAnswers = async (toApprove: AnswerBankEntry[]) => {
+    const ids = toApprove.filter((entry) => entry.answer).map((entry) => entry.id);
+    if (!ids.length) return;
+
+    try {
+      const { error } = await supabase.from('answer_bank').update({ approved: true }).in('id', ids);
+      if (error) throw error;
+      setEntries((prev) => prev.map((entry) => (ids.includes(entry.id) ? { ...entry, approved: true } : entry)));
+      toast.success(ids.length === 1 ? 'Answer approved' : `${ids.length} answers approved`);
+    } catch (error) {
+      console.error('Error approving answers:', error);
+      toast.error('Failed to approve answers');
+    }
+  };
+
+  const deleteAnswer = async (entry: AnswerBankEntry) => {
+    try {
+      const { error } = await supabase.from('answer_bank').delete().eq('id', entry.id);
+      if (error) throw error;
+      setEntries((prev) => prev.filter((e) => e.id !== entry.id));
+      toast.success('Answer deleted');
+    } catch (error) {
+      console.error('Error deleting answer:', error);
+      toast.error('Failed to delete answer');
+    }
+  };
+
+  /**
+   * Suggests answers from the profile. New suggestions and changed profile
+   * values come in unapproved; answers the user wrote are never touched.
+   * Returns how many suggestions were added or changed.
+   */
+  const seedFromProfile = async (profile: Profile, { quiet = false } = {}) => {
+    if (!user) return 0;
+
+    setIsSaving(true);
+    try {
+      const rows = seedAnswers(profile)
+        .filter((seed) => {
+          const existing = entries.find(
+            (entry) => entry.question_key === seed.questionKey && sameScope(entry, { country: seed.country, job_scope: '' })
+          );
+          if (!existing || existing.source === 'flagged') return true;
+          return existing.source === 'profile' && existing.answer !== seed.answer;
+        })
+        .map((seed) => ({
+          user_id: user.id,
+          question_key: seed.questionKey,
+          answer: seed.answer,
+          select_value: seed.selectValue ?? null,
+          country: seed.country,
+          job_scope: '',
+          source: 'profile',
+          approved: false,
+        }));
+
+      if (rows.length) {
+        const { error } = await supabase.from('answer_bank').upsert(rows, { onConflict: SCOPE_CONFLICT });
+        if (error) throw error;
+        await fetchEntries();
+      }
+      if (!quiet) {
+        toast.success(rows.length ? `${rows.length} answers suggested from your profile` : 'Answer bank already matches your profile');
+      }
+      return rows.length;
+    } catch (error) {
+      console.error('Error seeding answer bank:', error);
+      toast.error('Failed to suggest answers from profile');
+      return 0;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return {
+    entries,
+    isLoading,
+    isSaving,
+    saveAnswer,
+    approveAnswers,
+    deleteAnswer,
+    seedFromProfile,
+    refetch: fetchEntries,
+  };
+}
@@ -0,0 +1,169 @@
+import { useState, useEffect, useCallback } from 'react';
+import { supabase } from '@/integrations/supabase/client';
+import { useAuth } from './useAuth';
+import { toast } from 'sonner';
+import { ApplicationStage, ApplicationStatus, sortStages } from '@/lib/pipeline';
+
+const slugify = (name: string) =>
+  name.toLowerCase().trim().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+export function useApplicationStages() {
+  const { user } = useAuth();
+  const [stages, setStages] = useState<ApplicationStage[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const fetchStages = useCallback(async () => {
+    if (!user) return;
+
+    try {
+      setIsLoading(true);
+      const { data, error } = await supabase
+        .from('application_stages')
+        .select('*')
+        .eq('user_id', user.id)
+        .order('position', { ascending: true });
+
+      if (error) throw error;
+
+      // Users created before the pipeline existed may have no stages yet
+      if (!data || data.length === 0) {
+        const { error: seedError } = await supabase.rpc('seed_application_stages', { _user_id: user.id });
+        if (seedError) throw seedError;
+        const { data: seeded, error: refetchError } = await supabase
+          .from('application_stages')
+          .select('*')
+          .eq('user_id', user.id)
+          .order('position', { ascending: true });
+        if (refetchError) throw refetchError;
+        setStages(seeded || []);
+        return;
+      }
+
+      setStages(data);
+    } catch (error) {
+      console.error('Error fetching application stages:', error);
+      toast.error('Failed to load pipeline stages');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    if (user) {
+      fetchStages();
+    }
+  }, [user, fetchStages]);
+
+  const addStage = async (name: string, category: ApplicationStatus) => {
+    if (!user) return;
+
+    const key = slugify(name);
+    if (!key) {
+      toast.error('Stage name is required');
+      return;
+    }
+    if (stages.some((s) => s.key === key)) {
+      toast.error('A stage with that name already exists');
+      return;
+    }
+
+    try {
+      const position = stages.length ? Math.max(...stages.map((s) => s.position)) + 1 : 0;
+      const { data, error } = await supabase
+        .from('application_stages')
+        .insert({
+          user_id: user.id,
+          key,
+          name: name.trim(),
+          position,
+          category,
+          is_terminal: category === 'rejected',
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      setStages((prev) => sortStages([...prev, data]));
+      toast.success('Stage added');
+    } catch (error) {
+      console.error('Error adding stage:', error);
+      toast.error('Failed to add stage');
+    }
+  };
+
+  const updateStage = async (
+    id: string,
+    updates: Partial<Pick<ApplicationStage, 'name' | 'category' | 'is_terminal' | 'color'>>
+  ) => {
+    try {
+      const { error } = await supabase
+        .from('application_stages')
+        .update(updates)
+        .eq('id', id);
+
+      if (error) throw error;
+
+      setStages((prev) => prev.map((s) => (s.id === id ? { ...s, ...updates } : s)));
+    } catch (error) {
+      console.error('Error updating stage:', error);
+      toast.error('Failed to update stage');
+    }
+  };
+
+  const deleteStage = async (id: string) => {
+    try {
+      const { error } = await supabase
+        .from('application_stages')
+        .delete()
+        .eq('id', id);
+
+      if (error) throw error;
+
+      setStages((prev) => prev.filter((s) => s.id !== id));
+      toast.success('Stage removed');
+    } catch (error) {
+      console.error('Error deleting stage:', error);
+      toast.error('Failed to remove stage');
+    }
+  };
+
+  const moveStage = async (id: string, direction: -1 | 1) => {
+    const ordered = sortStages(stages);
+    const index = ordered.findIndex((s) => s.id === id);
+    const target = index + direction;
+    if (index === -1 || target < 0 || target >= ordered.length) return;
+
+    const a = ordered[index];
+    const b = ordered[target];
+    const swapped = stages.map((s) => {
+      if (s.id === a.id) return { ...s, position: b.position };
+      if (s.id === b.id) return { ...s, position: a.position };
+      return s;
+    });
+    setStages(sortStages(swapped));
+
+    try {
+      const results = await Promise.all([
+        supabase.from('application_stages').update({ position: b.position }).eq('id', a.id),
+        supabase.from('application_stages').update({ position: a.position }).eq('id', b.id),
+      ]);
+      const failed = results.find((r) => r.error);
+      if (failed) throw failed.error;
+    } catch (error) {
+      console.error('Error reordering stages:', error);
+      toast.error('Failed to reorder stages');
+      fetchStages();
+    }
+  };
+
+  return {
+    stages,
+    isLoading,
+    fetchStages,
+    addStage,
+    updateStage,
+    deleteStage,
+    moveStage,
+  };
+}
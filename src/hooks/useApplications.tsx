@@ -2,6 +2,9 @@ import { useState, useEffect, useCallback } from 'react';
 import { supabase } from '@/integrations/supabase/client';
 import { useAuth } from './useAuth';
 import { toast } from 'sonner';
+import { useApplicationStages } from './useApplicationStages';
+import { StageTransition, getTimeInStage } from '@/lib/pipeline';
+import type { Json } from '@/integrations/supabase/types';
 
 export interface Application {
   id: string;
@@ -12,9 +15,19 @@ export interface Application {
   tailored_resume: string | null;
   tailored_cover_letter: string | null;
   referral_email: string | null;
+  resume_version_id: string | null;
   referral_contacts: string[] | null;
   email_sent: boolean | null;
   email_sent_at: string | null;
+  stage_id: string | null;
+  stage_entered_at: string | null;
+  stage_history?: StageTransition[];
+  /** Evidence the application reached the ATS, with the form as submitted */
+  submission?: {
+    submitted_at: string;
+    final_url: string | null;
+    filled_fields: Json;
+  } | null;
   created_at: string | null;
   updated_at: string | null;
   job?: {
@@ -31,6 +44,7 @@ export function useApplications() {
   const { user } = useAuth();
   const [applications, setApplications] = useState<Application[]>([]);
   const [isLoading, setIsLoading] = useState(true);
+  const { stages, ...stageActions } = useApplicationStages();
 
   const fetchApplications = useCallback(async () => {
     if (!user) return;
@@ -41,7 +55,9 @@ export function useApplications() {
         .from('applications')
         .select(`
           *,
-          job:jobs(id, title, company, location, url, salary)
+          job:jobs(id, title, company, location, url, salary),
+          stage_history:application_stage_history(id, from_stage_id, to_stage_id, to_category, note, changed_at),
+          submission:application_submissions(submitted_at, final_url, filled_fields)
         `)
         .eq('user_id', user.id)
         .order('created_at', { ascending: false });
@@ -102,11 +118,91 @@ export function useApplications() {
     }
   };
 
+  // Points the application at a new resume snapshot (see useResumeVersions.createSnapshot)
+  const updateTailoredResume = async (id: string, tailoredResume: string, resumeVersionId: string) => {
+    try {
+      const { error } = await supabase
+        .from('applications')
+        .update({ tailored_resume: tailoredResume, resume_version_id: resumeVersionId })
+        .eq('id', id);
+
+      if (error) throw error;
+
+      setApplications((prev) =>
+        prev.map((app) =>
+          app.id === id ? { ...app, tailored_resume: tailoredResume, resume_version_id: resumeVersionId } : app
+        )
+      );
+      return true;
+    } catch (error) {
+      console.error('Error updating tailored resume:', error);
+      toast.error('Failed to update tailored resume');
+      return false;
+    }
+  };
+
+  const moveApplicationToStage = async (id: string, stageId: string) => {
+    const stage = stages.find((s) => s.id === stageId);
+    const app = applications.find((a) => a.id === id);
+    if (!stage || !app || app.stage_id === stageId) return;
+
+    const now = new Date().toISOString();
+    const previous = applications;
+    const transition: StageTransition = {
+      id: `pending-${id}-${now}`,
+      from_stage_id: app.stage_id,
+      to_stage_id: stageId,
+      to_category: stage.category,
+      note: null,
+      changed_at: now,
+    };
+
+    // Optimistic update so drag-and-drop feels instant; history row is written by trigger
+    setApplications((prev) =>
+      prev.map((a) =>
+        a.id === id
+          ? {
+              ...a,
+              stage_id: stageId,
+              status: stage.category,
+              stage_entered_at: now,
+              stage_history: [...(a.stage_history || []), transition],
+            }
+          : a
+      )
+    );
+
+    try {
+      const { error } = await supabase
+        .from('applications')
+        .update({ stage_id: stageId })
+        .eq('id', id);
+
+      if (error) throw error;
+
+      toast.success(`Moved to ${stage.name}`);
+    } catch (error) {
+      console.error('Error moving application:', error);
+      setApplications(previous);
+      toast.error('Failed to move application');
+    }
+  };
+
+  const timeInStage = useCallback(
+    (app: Application) => getTimeInStage(app),
+    []
+  );
+
   return {
     applications,
     isLoading,
     fetchApplications,
     deleteApplications,
     updateApplicationStatus,
+    updateTailoredResume,
+    stages,
+    ...stageActions,
+    moveApplicationToStage,
+    timeInStage,
   };
 }
@@ -0,0 +1,146 @@
+import { useState, useEffect, useCallback } from 'react';
+import { supabase } from '@/integrations/supabase/client';
+import { useAuth } from './useAuth';
+import { toast } from 'sonner';
+import { BOARD_TOKEN_PATTERN, CompanyBoard, JobBoardProvider } from '@/lib/jobBoards';
+
+export function useCompanyWatchlist() {
+  const { user } = useAuth();
+  const [boards, setBoards] = useState<CompanyBoard[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isPolling, setIsPolling] = useState(false);
+
+  const fetchBoards = useCallback(async () => {
+    if (!user) return;
+
+    try {
+      setIsLoading(true);
+      const { data, error } = await supabase
+        .from('company_watchlist')
+        .select('*')
+        .eq('user_id', user.id)
+        .order('company_name', { ascending: true });
+
+      if (error) throw error;
+      setBoards(data || []);
+    } catch (error) {
+      console.error('Error fetching company watchlist:', error);
+      toast.error('Failed to load company boards');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    if (user) {
+      fetchBoards();
+    }
+  }, [user, fetchBoards]);
+
+  const addBoard = async (companyName: string, provider: JobBoardProvider, boardToken: string) => {
+    if (!user) return false;
+
+    const token = boardToken.trim();
+    if (!companyName.trim()) {
+      toast.error('Company name is required');
+      return false;
+    }
+    if (!BOARD_TOKEN_PATTERN.test(token)) {
+      toast.error('Board token may only contain letters, numbers, dots, dashes and underscores');
+      return false;
+    }
+    if (boards.some((b) => b.provider === provider && b.board_token.toLowerCase() === token.toLowerCase())) {
+      toast.error('That board is already on your list');
+      return false;
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from('company_watchlist')
+        .insert({
+          user_id: user.id,
+          company_name: companyName.trim(),
+          provider,
+          board_token: token,
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      setBoards((prev) => [...prev, data].sort((a, b) => a.company_name.localeCompare(b.company_name)));
+      toast.success(`${data.company_name} added`);
+      return true;
+    } catch (error) {
+      console.error('Error adding company board:', error);
+      toast.error('Failed to add company board');
+      return false;
+    }
+  };
+
+  const toggleBoard = async (id: string, isEnabled: boolean) => {
+    setBoards((prev) => prev.map((b) => (b.id === id ? { ...b, is_enabled: isEnabled } : b)));
+
+    const { error } = await supabase
+      .from('company_watchlist')
+      .update({ is_enabled: isEnabled })
+      .eq('id', id);
+
+    if (error) {
+      console.error('Error updating company board:', error);
+      toast.error('Failed to update company board');
+      fetchBoards();
+    }
+  };
+
+  const removeBoard = async (id: string) => {
+    try {
+      const { error } = await supabase
+        .from('company_watchlist')
+        .delete()
+        .eq('id', id);
+
+      if (error) throw error;
+      setBoards((prev) => prev.filter((b) => b.id !== id));
+    } catch (error) {
+      console.error('Error removing company board:', error);
+      toast.error('Failed to remove company board');
+    }
+  };
+
+  // Poll every enabled board right away instead of waiting for the schedule
+  const pollNow = async () => {
+    if (!user) return 0;
+
+    setIsPolling(true);
+    try {
+      const { data, error } = await supabase.functions.invoke('poll-company-boards', { body: {} });
+      if (error) throw error;
+      if (!data?.success) throw new Error(data?.error || 'Poll failed');
+
+      await fetchBoards();
+      if (data.failed > 0) {
+        toast.warning(`${data.inserted} new jobs, ${data.failed} boards failed`);
+      } else {
+        toast.success(`${data.inserted} new jobs from ${data.boardsPolled} boards`);
+      }
+      return data.inserted as number;
+    } catch (error) {
+      console.error('Error polling company boards:', error);
+      toast.error('Failed to poll company boards');
+      return 0;
+    } finally {
+      setIsPolling(false);
+    }
+  };
+
+  return {
+    boards,
+    isLoading,
+    isPolling,
+    addBoard,
+    toggleBoard,
+    removeBoard,
+    pollNow,
+    refetch: fetchBoards,
+  };
+}
@@ -0,0 +1,88 @@
+import { useState, useEffect, useCallback } from 'react';
+import { supabase } from '@/integrations/supabase/client';
+import { useAuth } from './useAuth';
+import { toast } from 'sonner';
+
+interface MergedListing {
+  title: string;
+  company: string;
+  location: string;
+  platform: string | null;
+  url: string | null;
+}
+
+export interface JobMerge {
+  id: string;
+  job_id: string;
+  match_reason: 'requisition_id' | 'fuzzy_title';
+  similarity: number | null;
+  merged_at: string;
+  merged: MergedListing;
+  survivor: MergedListing | null;
+}
+
+export function useJobMerges() {
+  const { user } = useAuth();
+  const [merges, setMerges] = useState<JobMerge[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const fetchMerges = useCallback(async () => {
+    if (!user) return;
+
+    try {
+      setIsLoading(true);
+      const { data, error } = await supabase
+        .from('job_merge_history')
+        .select('id, job_id, match_reason, similarity, merged_at, merged_job, survivor:jobs!job_merge_history_job_id_fkey(title, company, location, platform, url)')
+        .eq('user_id', user.id)
+        .is('unmerged_at', null)
+        .order('merged_at', { ascending: false })
+        .limit(100);
+
+      if (error) throw error;
+
+      setMerges((data || []).map((row) => ({
+        id: row.id,
+        job_id: row.job_id,
+        match_reason: row.match_reason as JobMerge['match_reason'],
+        similarity: row.similarity,
+        merged_at: row.merged_at,
+        merged: row.merged_job as unknown as MergedListing,
+        survivor: row.survivor,
+      })));
+    } catch (error) {
+      console.error('Error fetching job merges:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    if (user) {
+      fetchMerges();
+    }
+  }, [user, fetchMerges]);
+
+  // Restores the merged listing as its own job; returns the new job id
+  const unmerge = async (mergeId: string) => {
+    try {
+      const { data, error } = await supabase.rpc('unmerge_job', { _merge_id: mergeId });
+      if (error) throw error;
+
+      setMerges((prev) => prev.filter((m) => m.id !== mergeId));
+      toast.success('Listing restored as a separate job');
+      return data;
+    } catch (error) {
+      console.error('Error un-merging job:', error);
+      toast.error('Failed to un-merge job');
+      return null;
+    }
+  };
+
+  return {
+    merges,
+    isLoading,
+    unmerge,
+    refetch: fetchMerges,
+  };
+}
@@ -0,0 +1,219 @@
+import { useState, useEffect, useCallback } from 'react';
+import { supabase } from '@/integrations/supabase/client';
+import { useAuth } from './useAuth';
+import { toast } from 'sonner';
+import { JobQueueItem, JobQueueStatus, UNFINISHED_STATUSES, queueDedupeKey } from '@/lib/jobQueue';
+
+// Live view over the user's job_queue rows. The work itself runs in the
+// job-queue-worker edge function, so closing the page doesn't stop it.
+export function useJobQueue() {
+  const { user } = useAuth();
+  const [items, setItems] = useState<JobQueueItem[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isKicking, setIsKicking] = useState(false);
+
+  const fetchItems = useCallback(async () => {
+    if (!user) return;
+
+    try {
+      setIsLoading(true);
+      const { data, error } = await supabase
+        .from('job_queue')
+        .select('*')
+        .eq('user_id', user.id)
+        .neq('kind', 'batch_summary')
+        .order('created_at', { ascending: true })
+        .limit(500);
+
+      if (error) throw error;
+      setItems(data || []);
+    } catch (error) {
+      console.error('Error fetching job queue:', error);
+      toast.error('Failed to load job queue');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    if (!user) return;
+
+    fetchItems();
+
+    const channel = supabase
+      .channel('job-queue-realtime')
+      .on(
+        'postgres_changes',
+        { event: '*', schema: 'public', table: 'job_queue', filter: `user_id=eq.${user.id}` },
+        (payload) => {
+          if (payload.eventType === 'DELETE') {
+            setItems((prev) => prev.filter((i) => i.id !== payload.old.id));
+            return;
+          }
+
+          const row = payload.new as JobQueueItem;
+          if (row.kind === 'batch_summary') return;
+          setItems((prev) =>
+            prev.some((i) => i.id === row.id)
+              ? prev.map((i) => (i.id === row.id ? row : i))
+              : [...prev, row]
+          );
+        }
+      )
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  }, [user, fetchItems]);
+
+  // Process the user's queued items now instead of waiting for the scheduled run
+  const runWorker = useCallback(async () => {
+    if (!user) return;
+
+    setIsKicking(true);
+    try {
+      const { data, error } = await supabase.functions.invoke('job-queue-worker', { body: {} });
+      if (error) throw error;
+      if (!data?.success) throw new Error(data?.error || 'Worker failed');
+      if (data.dead > 0) {
+        toast.warning(`${data.dead} job(s) failed permanently - see the error column`);
+      }
+    } catch (error) {
+      // The scheduled worker still picks the items up
+      console.error('Error running job queue worker:', error);
+      toast.info('Processing continues in the background');
+    } finally {
+      setIsKicking(false);
+    }
+  }, [user]);
+
+  const addUrls = async (urls: string[]) => {
+    if (!user || urls.length === 0) return 0;
+
+    const unfinished = new Set(
+      items
+        .filter((i) => UNFINISHED_STATUSES.includes(i.status as JobQueueStatus))
+        .map((i) => i.dedupe_key)
+    );
+    const newUrls = urls.filter((url) => !unfinished.has(queueDedupeKey(url)));
+
+    if (newUrls.length === 0) {
+      toast.info('All URLs already in queue');
+      return 0;
+    }
+
+    try {
+      const { error } = await supabase.from('job_queue').insert(
+        newUrls.map((url) => ({
+          user_id: user.id,
+          kind: 'import_url',
+          payload: { url },
+          dedupe_key: queueDedupeKey(url),
+        }))
+      );
+
+      if (error) throw error;
+      toast.success(`Added ${newUrls.length} job(s) to queue`);
+      return newUrls.length;
+    } catch (error) {
+      console.error('Error adding to job queue:', error);
+      toast.error('Failed to add jobs to queue');
+      return 0;
+    }
+  };
+
+  const updateWhere = async (ids: string[], fromStatuses: string[], updates: Partial<JobQueueItem>) => {
+    if (!user || ids.length === 0) return 0;
+
+    const { data, error } = await supabase
+      .from('job_queue')
+      .update(updates)
+      .eq('user_id', user.id)
+      .in('id', ids)
+      .in('status', fromStatuses)
+      .select('id');
+
+    if (error) throw error;
+    return data?.length || 0;
+  };
+
+  // Items being processed are left alone; their worker owns them until it finishes
+  const removeItems = async (ids: string[]) => {
+    if (!user || ids.length === 0) return;
+
+    try {
+      const { data, error } = await supabase
+        .from('job_queue')
+        .delete()
+        .eq('user_id', user.id)
+        .in('id', ids)
+        .neq('status', 'processing')
+        .select('id');
+
+      if (error) throw error;
+      const removed = new Set((data || []).map((r) => r.id));
+      setItems((prev) => prev.filter((i) => !removed.has(i.id)));
+      toast.success(`Removed ${removed.size} item(s)`);
+    } catch (error) {
+      console.error('Error removing queue items:', error);
+      toast.error('Failed to remove queue items');
+    }
+  };
+
+  const clearCompleted = () =>
+    removeItems(items.filter((i) => i.status === 'completed').map((i) => i.id));
+
+  const pause = async () => {
+    try {
+      const count = await updateWhere(items.map((i) => i.id), ['queued'], { status: 'paused' });
+      toast.info(`Paused ${count} job(s)`);
+    } catch (error) {
+      console.error('Error pausing queue:', error);
+      toast.error('Failed to pause queue');
+    }
+  };
+
+  const resume = async () => {
+    try {
+      const count = await updateWhere(items.map((i) => i.id), ['paused'], { status: 'queued' });
+      toast.success(`Resumed ${count} job(s)`);
+      runWorker();
+    } catch (error) {
+      console.error('Error resuming queue:', error);
+      toast.error('Failed to resume queue');
+    }
+  };
+
+  // Dead-lettered items get a fresh set of attempts
+  const retryDead = async (ids?: string[]) => {
+    try {
+      const targets = ids || items.filter((i) => i.status === 'dead').map((i) => i.id);
+      const count = await updateWhere(targets, ['dead'], {
+        status: 'queued',
+        attempts: 0,
+        run_after: new Date().toISOString(),
+        last_error: null,
+      });
+      toast.success(`${count} failed job(s) queued again`);
+      runWorker();
+    } catch (error) {
+      console.error('Error retrying queue items:', error);
+      toast.error('Failed to retry jobs');
+    }
+  };
+
+  return {
+    items,
+    isLoading,
+    isKicking,
+    addUrls,
+    removeItems,
+    clearCompleted,
+    pause,
+    resume,
+    retryDead,
+    runWorker,
+    refetch: fetchItems,
+  };
+}
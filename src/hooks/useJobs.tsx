@@ -162,10 +162,16 @@ export function useJobs() {
         .from('jobs')
         .insert({ ...job, user_id: user.id })
         .select()
-        .single();
+        .maybeSingle();
 
       if (error) throw error;
 
+      // The insert trigger folded it into an existing listing
+      if (!data) {
+        toast.info('Already in your jobs — merged with the existing listing');
+        return null;
+      }
+
       const typedJob = {
         ...data,
         requirements: data.requirements || [],
@@ -217,6 +223,11 @@ export function useJobs() {
 
       if (error) throw error;
 
+      const mergedCount = jobsToAdd.length - (data?.length || 0);
+      if (mergedCount > 0) {
+        toast.info(`${mergedCount} duplicate job${mergedCount === 1 ? '' : 's'} merged into existing listings`);
+      }
+
       const typedJobs = (data || []).map(job => ({
         ...job,
         requirements: job.requirements || [],
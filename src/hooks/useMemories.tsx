@@ -0,0 +1,151 @@
+import { useState, useEffect, useCallback } from 'react';
+import { supabase } from '@/integrations/supabase/client';
+import { useAuth } from './useAuth';
+import { toast } from 'sonner';
+import type { Database } from '@/integrations/supabase/types';
+
+export type Memory = Database['public']['Tables']['user_memories']['Row'];
+
+/** A remembered answer as the editor saves it; scopes are '' for any */
+export interface MemoryDraft {
+  answer: string;
+  country: string;
+  job_scope: string;
+}
+
+/** The answer text of a memory's { answer, selectValue, reasoning } */
+export function memoryAnswer(memory: Memory): string {
+  const answer = memory.answer;
+  if (answer && typeof answer === 'object' && !Array.isArray(answer)) {
+    return typeof answer.answer === 'string' ? answer.answer : String(answer.answer ?? '');
+  }
+  return typeof answer === 'string' ? answer : '';
+}
+
+/** The question as asked, or its normalised form for memories stored before it was kept */
+export const memoryQuestion = (memory: Memory) => memory.question || memory.question_normalized;
+
+// Answers answer-questions remembered from earlier applications. Pinned
+// memories win and are never overwritten or pruned; memories marked wrong
+// are never used again, but are kept (never pruned) so they can be fixed.
+export function useMemories() {
+  const { user } = useAuth();
+  const [memories, setMemories] = useState<Memory[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const fetchMemories = useCallback(async () => {
+    if (!user) return;
+
+    try {
+      setIsLoading(true);
+      const { data, error } = await supabase
+        .from('user_memories')
+        .select('*')
+        .eq('user_id', user.id)
+        .order('pinned', { ascending: false })
+        .order('last_used_at', { ascending: false });
+
+      if (error) throw error;
+      setMemories(data || []);
+    } catch (error) {
+      console.error('Error fetching memories:', error);
+      toast.error('Failed to load memories');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    fetchMemories();
+  }, [fetchMemories]);
+
+  const updateMemory = async (
+    memory: Memory,
+    changes: Database['public']['Tables']['user_memories']['Update'],
+    successMessage?: string
+  ) => {
+    try {
+      const { data, error } = await supabase
+        .from('user_memories')
+        .update(changes)
+        .eq('id', memory.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+      setMemories((prev) => prev.map((m) => (m.id === memory.id ? data : m)));
+      if (successMessage) toast.success(successMessage);
+      return true;
+    } catch (error) {
+      console.error('Error updating memory:', error);
+      toast.error('Failed to update memory');
+      return false;
+    }
+  };
+
+  /**
+   * Saves the user's own answer and scope. It is pinned, so new AI answers
+   * don't replace it, and no longer marked wrong.
+   */
+  const saveMemory = async (memory: Memory, draft: MemoryDraft) => {
+    setIsSaving(true);
+    try {
+      const previous = memory.answer && typeof memory.answer === 'object' && !Array.isArray(memory.answer) ? memory.answer : {};
+      return await updateMemory(
+        memory,
+        {
+          answer: {
+            ...previous,
+            answer: draft.answer.trim(),
+            // Free-text answers are matched against options by their text
+            selectValue: null,
+            reasoning: 'Edited by you',
+          },
+          country: draft.country.trim(),
+          job_scope: draft.job_scope.trim(),
+          confidence: 'high',
+          pinned: true,
+          marked_wrong: false,
+        },
+        'Memory saved'
+      );
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const togglePinned = (memory: Memory) =>
+    updateMemory(memory, { pinned: !memory.pinned }, memory.pinned ? 'Memory unpinned' : 'Memory pinned');
+
+  /** A memory marked wrong stays listed but is never used to answer again */
+  const toggleWrong = (memory: Memory) =>
+    updateMemory(
+      memory,
+      { marked_wrong: !memory.marked_wrong, pinned: memory.marked_wrong ? memory.pinned : false },
+      memory.marked_wrong ? 'Memory will be used again' : 'Marked wrong; it will no longer be used'
+    );
+
+  const deleteMemory = async (memory: Memory) => {
+    try {
+      const { error } = await supabase.from('user_memories').delete().eq('id', memory.id);
+      if (error) throw error;
+      setMemories((prev) => prev.filter((m) => m.id !== memory.id));
+      toast.success('Memory deleted');
+    } catch (error) {
+      console.error('Error deleting memory:', error);
+      toast.error('Failed to delete memory');
+    }
+  };
+
+  return {
+    memories,
+    isLoading,
+    isSaving,
+    saveMemory,
+    togglePinned,
+    toggleWrong,
+    deleteMemory,
+    refetch: fetchMemories,
+  };
+}
@@ -3,6 +3,7 @@ import { supabase } from '@/integrations/supabase/client';
 import { useAuth } from './useAuth';
 import { toast } from 'sonner';
 import { maxmilliamProfile } from '@/data/userProfile';
+import { parseWorkAuthorizations, type WorkAuthorization } from '@/lib/answerBank';
 
 export interface Profile {
   id: string;
@@ -27,8 +28,7 @@ export interface Profile {
   highest_education: string | null;
   willing_to_relocate: boolean;
   driving_license: boolean;
-  visa_required: boolean;
-  authorized_countries: string[];
+  work_authorizations: WorkAuthorization[];
   veteran_status: boolean;
   disability: boolean;
   race_ethnicity: string | null;
@@ -76,7 +76,7 @@ export function useProfile() {
       if (data) {
         setProfile({
           ...data,
-          authorized_countries: (data.authorized_countries as string[]) || [],
+          work_authorizations: parseWorkAuthorizations(data.work_authorizations),
           work_experience: Array.isArray(data.work_experience) ? data.work_experience : [],
           education: Array.isArray(data.education) ? data.education : [],
           skills: Array.isArray(data.skills) ? data.skills : [],
@@ -143,8 +143,7 @@ export function useProfile() {
         highest_education: maxmilliamProfile.highestEducation,
         willing_to_relocate: maxmilliamProfile.willingToRelocate,
         driving_license: maxmilliamProfile.drivingLicense,
-        visa_required: maxmilliamProfile.visaRequired,
-        authorized_countries: maxmilliamProfile.authorizedCountries,
+        work_authorizations: JSON.parse(JSON.stringify(maxmilliamProfile.workAuthorizations)),
         veteran_status: maxmilliamProfile.veteranStatus,
         disability: maxmilliamProfile.disability,
         race_ethnicity: maxmilliamProfile.raceEthnicity,
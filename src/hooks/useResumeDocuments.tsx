@@ -0,0 +1,284 @@
+import { useState, useRef } from 'react';
+import { supabase } from '@/integrations/supabase/client';
+import { useAuth } from './useAuth';
+import { toast } from 'sonner';
+import type { Application } from './useApplications';
+import { ResumeContent, hasResumeSections } from '@/lib/resumeVersions';
+import { CoverLetterContent, coverLetterParagraphs } from '@/lib/coverLetter';
+import { coverLetterToDocx, resumeToDocx } from '@/lib/resumeDocx';
+import { createZip } from '@/lib/zip';
+
+export type DocumentFormat = 'pdf' | 'docx';
+export type DocumentKind = 'resume' | 'cover_letter';
+
+type PersonalInfo = NonNullable<ResumeContent['personalInfo']>;
+
+/** What an application's documents are built from */
+export type ApplicationDocumentSource = Pick<
+  Application,
+  'tailored_resume' | 'tailored_cover_letter' | 'resume_version_id' | 'job'
+>;
+
+interface DocumentFile {
+  name: string;
+  blob: Blob;
+}
+
+/** An application's resume snapshot and the PDF template its variant is rendered with */
+interface ResumeSnapshot {
+  content: ResumeContent | null;
+  template: string | null;
+}
+
+const fileSafe = (text: string) => text.trim().replace(/\s+/g, '_').replace(/[^a-zA-Z0-9_]/g, '');
+
+// [FirstName]_[LastName]_CV.pdf and _Cover_Letter.pdf, as tailor-application names them
+export function documentFileName(name: string | undefined, kind: DocumentKind, format: DocumentFormat = 'pdf'): string {
+  return `${fileSafe(name || '') || 'Applicant'}_${kind === 'resume' ? 'CV' : 'Cover_Letter'}.${format}`;
+}
+
+export function resumePdfFileName(content: ResumeContent): string {
+  return documentFileName(content.personalInfo?.name, 'resume');
+}
+
+export function downloadBlob(blob: Blob, fileName: string) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+const base64ToBlob = (base64: string, type: string) =>
+  new Blob([Uint8Array.from(atob(base64), (c) => c.charCodeAt(0))], { type });
+
+// Resume and cover letter files: PDFs from the generate-pdf edge function,
+// DOCX built locally from the same structured content
+export function useResumeDocuments() {
+  const { user } = useAuth();
+  const [isGenerating, setIsGenerating] = useState(false);
+  const personalInfoRef = useRef<PersonalInfo | null>(null);
+
+  const loadPersonalInfo = async (): Promise<PersonalInfo> => {
+    if (personalInfoRef.current) return personalInfoRef.current;
+    if (!user) return {};
+
+    const { data, error } = await supabase
+      .from('profiles')
+      .select('first_name, last_name, email, phone, city, country, linkedin, github, portfolio')
+      .eq('user_id', user.id)
+      .maybeSingle();
+    if (error) throw error;
+
+    personalInfoRef.current = {
+      name: [data?.first_name, data?.last_name].filter(Boolean).join(' '),
+      email: data?.email || '',
+      phone: data?.phone || '',
+      location: [data?.city, data?.country].filter(Boolean).join(', '),
+      linkedin: data?.linkedin || '',
+      github: data?.github || '',
+      portfolio: data?.portfolio || '',
+    };
+    return personalInfoRef.current;
+  };
+
+  // The application's resume snapshot, or its plain text for applications saved before snapshots
+  const loadResumeSnapshot = async (app: ApplicationDocumentSource): Promise<ResumeSnapshot> => {
+    let content: ResumeContent = {};
+    let template: string | null = null;
+    if (app.resume_version_id) {
+      const { data, error } = await supabase
+        .from('resume_versions')
+        .select('content, template')
+        .eq('id', app.resume_version_id)
+        .maybeSingle();
+      if (error) throw error;
+      content = (data?.content as ResumeContent) || {};
+      template = data?.template ?? null;
+    }
+
+    if (hasResumeSections(content)) {
+      return {
+        content: content.personalInfo ? content : { ...content, personalInfo: await loadPersonalInfo() },
+        template,
+      };
+    }
+    const text = content.text || app.tailored_resume;
+    return { content: text ? { text, personalInfo: await loadPersonalInfo() } : null, template };
+  };
+
+  const generateResumePdf = async (
+    content: ResumeContent,
+    fileName = resumePdfFileName(content),
+    template?: string | null
+  ): Promise<Blob> => {
+    const { text, ...sections } = content;
+
+    // Text-only resumes go through generate-pdf's raw mode, which answers with base64 JSON
+    if (!hasResumeSections(sections)) {
+      const [firstName, ...rest] = (content.personalInfo?.name || '').split(/\s+/);
+      const { data, error } = await supabase.functions.invoke('generate-pdf', {
+        body: { content: text || '', type: 'cv', firstName, lastName: rest.join(' '), fileName, template },
+      });
+      if (error) throw error;
+      if (!data?.pdf) throw new Error(data?.error || 'generate-pdf did not return a PDF');
+      return base64ToBlob(data.pdf, 'application/pdf');
+    }
+
+    const { data, error } = await supabase.functions.invoke('generate-pdf', {
+      body: {
+        ...sections,
+        type: 'resume',
+        customFileName: fileName,
+        template,
+        personalInfo: { name: '', email: '', phone: '', location: '', ...content.personalInfo },
+      },
+    });
+
+    if (error) throw error;
+    if (!(data instanceof Blob)) throw new Error('generate-pdf did not return a PDF');
+    return data;
+  };
+
+  const generateCoverLetterPdf = async (
+    letter: CoverLetterContent,
+    fileName: string,
+    template?: string | null
+  ): Promise<Blob> => {
+    const { personalInfo, ...coverLetter } = letter;
+    const { data, error } = await supabase.functions.invoke('generate-pdf', {
+      body: {
+        type: 'cover_letter',
+        customFileName: fileName,
+        template,
+        personalInfo: { name: '', email: '', phone: '', location: '', ...personalInfo },
+        coverLetter,
+      },
+    });
+
+    if (error) throw error;
+    if (!(data instanceof Blob)) throw new Error('generate-pdf did not return a PDF');
+    return data;
+  };
+
+  const buildResume = async (
+    content: ResumeContent,
+    format: DocumentFormat,
+    template?: string | null
+  ): Promise<DocumentFile> => {
+    const name = documentFileName(content.personalInfo?.name, 'resume', format);
+    const blob = format === 'pdf' ? await generateResumePdf(content, name, template) : resumeToDocx(content);
+    return { name, blob };
+  };
+
+  const buildCoverLetter = async (
+    app: ApplicationDocumentSource,
+    format: DocumentFormat
+  ): Promise<DocumentFile | null> => {
+    if (!app.tailored_cover_letter) return null;
+
+    // The letter matches the resume's template
+    const { template } = await loadResumeSnapshot(app);
+    const personalInfo = await loadPersonalInfo();
+    const letter: CoverLetterContent = {
+      personalInfo,
+      recipientCompany: app.job?.company || 'Company',
+      jobTitle: app.job?.title || 'Position',
+      paragraphs: coverLetterParagraphs(app.tailored_cover_letter),
+    };
+    const name = documentFileName(personalInfo.name, 'cover_letter', format);
+    const blob = format === 'pdf' ? await generateCoverLetterPdf(letter, name, template) : coverLetterToDocx(letter);
+    return { name, blob };
+  };
+
+  const buildApplicationDocument = async (
+    app: ApplicationDocumentSource,
+    kind: DocumentKind,
+    format: DocumentFormat
+  ): Promise<DocumentFile | null> => {
+    if (kind === 'cover_letter') return buildCoverLetter(app, format);
+    const { content, template } = await loadResumeSnapshot(app);
+    return content ? buildResume(content, format, template) : null;
+  };
+
+  const downloadResume = async (content: ResumeContent, format: DocumentFormat = 'pdf', template?: string | null) => {
+    setIsGenerating(true);
+    try {
+      const file = await buildResume(content, format, template);
+      downloadBlob(file.blob, file.name);
+      toast.success(`Resume ${format.toUpperCase()} downloaded`);
+    } catch (error) {
+      console.error('Error generating resume:', error);
+      toast.error(`Failed to generate resume ${format.toUpperCase()}`);
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  const downloadApplicationDocument = async (
+    app: ApplicationDocumentSource,
+    kind: DocumentKind,
+    format: DocumentFormat
+  ) => {
+    const label = kind === 'resume' ? 'Resume' : 'Cover letter';
+    setIsGenerating(true);
+    try {
+      const file = await buildApplicationDocument(app, kind, format);
+      if (!file) {
+        toast.error(`This application has no ${label.toLowerCase()}`);
+        return;
+      }
+      downloadBlob(file.blob, file.name);
+      toast.success(`${label} ${format.toUpperCase()} downloaded`);
+    } catch (error) {
+      console.error('Error generating application document:', error);
+      toast.error(`Failed to generate ${label.toLowerCase()} ${format.toUpperCase()}`);
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  // One folder per application, named after the job, holding its resume and cover letter
+  const downloadApplicationsZip = async (apps: ApplicationDocumentSource[], format: DocumentFormat) => {
+    if (apps.length === 0) return;
+
+    setIsGenerating(true);
+    try {
+      const entries = [];
+      const folders = new Set<string>();
+      for (const app of apps) {
+        const folderBase = fileSafe(`${app.job?.company || 'Company'} ${app.job?.title || 'Position'}`).slice(0, 80);
+        let folder = folderBase;
+        for (let n = 2; folders.has(folder); n++) folder = `${folderBase}_${n}`;
+        folders.add(folder);
+
+        for (const kind of ['resume', 'cover_letter'] as const) {
+          const file = await buildApplicationDocument(app, kind, format);
+          if (file) entries.push({ name: `${folder}/${file.name}`, data: new Uint8Array(await file.blob.arrayBuffer()) });
+        }
+      }
+
+      if (entries.length === 0) {
+        toast.error('The selected applications have no resumes or cover letters');
+        return;
+      }
+      downloadBlob(createZip(entries), `Applications_${format.toUpperCase()}.zip`);
+      toast.success(`Downloaded documents for ${apps.length} application${apps.length === 1 ? '' : 's'}`);
+    } catch (error) {
+      console.error('Error building application documents zip:', error);
+      toast.error('Failed to download application documents');
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  return {
+    isGenerating,
+    generateResumePdf,
+    generateCoverLetterPdf,
+    downloadResume,
+    downloadApplicationDocument,
+    downloadApplicationsZip,
+  };
+}
@@ -0,0 +1,182 @@
+import { useState, useEffect, useCallback } from 'react';
+import { supabase } from '@/integrations/supabase/client';
+import type { Json } from '@/integrations/supabase/types';
+import { useAuth } from './useAuth';
+import { toast } from 'sonner';
+import { ResumeContent, ResumeVersion, ResumeVersionSummary } from '@/lib/resumeVersions';
+
+const SUMMARY_COLUMNS = 'id, user_id, parent_id, kind, name, version, job_id, is_default, template, created_at, updated_at';
+
+// The user's resume versions. Lists carry no content; getVersionContent loads
+// it on demand. Versions are immutable, so edits are saved as child versions.
+export function useResumeVersions() {
+  const { user } = useAuth();
+  const [versions, setVersions] = useState<ResumeVersionSummary[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const fetchVersions = useCallback(async () => {
+    if (!user) return;
+
+    try {
+      setIsLoading(true);
+      const { data, error } = await supabase
+        .from('resume_versions')
+        .select(SUMMARY_COLUMNS)
+        .eq('user_id', user.id)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+      setVersions(data || []);
+    } catch (error) {
+      console.error('Error fetching resume versions:', error);
+      toast.error('Failed to load resume versions');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    fetchVersions();
+  }, [fetchVersions]);
+
+  const getVersion = useCallback(async (id: string): Promise<ResumeVersion | null> => {
+    const { data, error } = await supabase.from('resume_versions').select('*').eq('id', id).maybeSingle();
+    if (error) {
+      console.error('Error loading resume version:', error);
+      toast.error('Failed to load resume version');
+      return null;
+    }
+    return data;
+  }, []);
+
+  const getVersionContent = useCallback(
+    async (id: string): Promise<ResumeContent | null> => {
+      const version = await getVersion(id);
+      return version ? (version.content as ResumeContent) : null;
+    },
+    [getVersion]
+  );
+
+  /**
+   * Saves `content` as a base version. With a parent it is the parent's next
+   * version (and inherits its default flag); without one it starts a new variant.
+   */
+  const createVersion = async (name: string, content: ResumeContent, parent?: ResumeVersionSummary | null) => {
+    if (!user) return null;
+
+    setIsSaving(true);
+    try {
+      const { data, error } = await supabase
+        .from('resume_versions')
+        .insert({
+          user_id: user.id,
+          parent_id: parent?.id ?? null,
+          kind: 'base',
+          name,
+          content: content as Json,
+          is_default: parent ? parent.is_default : !versions.some((v) => v.is_default),
+        })
+        .select(SUMMARY_COLUMNS)
+        .single();
+
+      if (error) throw error;
+      toast.success(parent ? `Saved ${name} v${data.version}` : `Created resume variant "${name}"`);
+      await fetchVersions();
+      return data;
+    } catch (error) {
+      console.error('Error saving resume version:', error);
+      toast.error('Failed to save resume version');
+      return null;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  /** Saves `content` as a tailored snapshot derived from `parent` (another snapshot); returns the new id */
+  const createSnapshot = async (parent: ResumeVersionSummary, content: ResumeContent): Promise<string | null> => {
+    if (!user) return null;
+
+    setIsSaving(true);
+    try {
+      const { data, error } = await supabase
+        .from('resume_versions')
+        .insert({
+          user_id: user.id,
+          parent_id: parent.id,
+          kind: 'tailored',
+          name: parent.name,
+          job_id: parent.job_id,
+          content: content as Json,
+        })
+        .select(SUMMARY_COLUMNS)
+        .single();
+
+      if (error) throw error;
+      setVersions((prev) => [data, ...prev]);
+      return data.id;
+    } catch (error) {
+      console.error('Error saving resume snapshot:', error);
+      toast.error('Failed to save resume');
+      return null;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const setDefault = async (id: string) => {
+    try {
+      const { error } = await supabase.from('resume_versions').update({ is_default: true }).eq('id', id);
+      if (error) throw error;
+      setVersions((prev) => prev.map((v) => ({ ...v, is_default: v.id === id })));
+      toast.success('Default resume updated');
+    } catch (error) {
+      console.error('Error setting default resume:', error);
+      toast.error('Failed to set default resume');
+    }
+  };
+
+  /** The PDF template a variant is rendered with; null for the default. Snapshots made later inherit it. */
+  const setTemplate = async (id: string, template: string | null) => {
+    try {
+      const { error } = await supabase.from('resume_versions').update({ template }).eq('id', id);
+      if (error) throw error;
+      setVersions((prev) => prev.map((v) => (v.id === id ? { ...v, template } : v)));
+      toast.success('Resume template updated');
+    } catch (error) {
+      console.error('Error setting resume template:', error);
+      toast.error('Failed to set resume template');
+    }
+  };
+
+  const deleteVersion = async (version: ResumeVersionSummary) => {
+    try {
+      const { error } = await supabase.from('resume_versions').delete().eq('id', version.id);
+      if (error) throw error;
+      // The previous version takes over as default
+      if (version.is_default && version.parent_id) {
+        await supabase.from('resume_versions').update({ is_default: true }).eq('id', version.parent_id);
+      }
+      await fetchVersions();
+      toast.success('Resume version deleted');
+    } catch (error) {
+      console.error('Error deleting resume version:', error);
+      // Snapshots still attached to an application can't be deleted (foreign key)
+      toast.error('Failed to delete resume version. Versions used by an application are kept.');
+    }
+  };
+
+  return {
+    versions,
+    isLoading,
+    isSaving,
+    getVersion,
+    getVersionContent,
+    createVersion,
+    createSnapshot,
+    setDefault,
+    setTemplate,
+    deleteVersion,
+    refetch: fetchVersions,
+  };
+}
@@ -14,30 +14,285 @@ export type Database = {
   }
   public: {
     Tables: {
+      ai_budgets: {
+        Row: {
+          created_at: string
+          hard_stop: boolean
+          monthly_limit: number
+          unit: string
+          updated_at: string
+          user_id: string
+          warn_at_percent: number
+        }
+        Insert: {
+          created_at?: string
+          hard_stop?: boolean
+          monthly_limit: number
+          unit?: string
+          updated_at?: string
+          user_id: string
+          warn_at_percent?: number
+        }
+        Update: {
+          created_at?: string
+          hard_stop?: boolean
+          monthly_limit?: number
+          unit?: string
+          updated_at?: string
+          user_id?: string
+          warn_at_percent?: number
+        }
+        Relationships: []
+      }
+      answer_bank: {
+        Row: {
+          answer: string
+          approved: boolean
+          country: string
+          created_at: string
+          id: string
+          job_scope: string
+          last_question: string | null
+          question_key: string
+          select_value: string | null
+          source: string
+          updated_at: string
+          user_id: string
+        }
+        Insert: {
+          answer?: string
+          approved?: boolean
+          country?: string
+          created_at?: string
+          id?: string
+          job_scope?: string
+          last_question?: string | null
+          question_key: string
+          select_value?: string | null
+          source?: string
+          updated_at?: string
+          user_id: string
+        }
+        Update: {
+          answer?: string
+          approved?: boolean
+          country?: string
+          created_at?: string
+          id?: string
+          job_scope?: string
+          last_question?: string | null
+          question_key?: string
+          select_value?: string | null
+          source?: string
+          updated_at?: string
+          user_id?: string
+        }
+        Relationships: []
+      }
       api_usage: {
         Row: {
+          completion_tokens: number | null
           created_at: string
+          estimated_cost: number | null
           function_name: string
           id: string
+          job_id: string | null
+          model: string | null
+          prompt_tokens: number | null
+          provider: string | null
           tokens_used: number | null
           user_id: string
         }
         Insert: {
+          completion_tokens?: number | null
           created_at?: string
+          estimated_cost?: number | null
           function_name: string
           id?: string
+          job_id?: string | null
+          model?: string | null
+          prompt_tokens?: number | null
+          provider?: string | null
           tokens_used?: number | null
           user_id: string
         }
         Update: {
+          completion_tokens?: number | null
           created_at?: string
+          estimated_cost?: number | null
           function_name?: string
           id?: string
+          job_id?: string | null
+          model?: string | null
+          prompt_tokens?: number | null
+          provider?: string | null
           tokens_used?: number | null
           user_id?: string
         }
+        Relationships: [
+          {
+            foreignKeyName: "api_usage_job_id_fkey"
+            columns: ["job_id"]
+            isOneToOne: false
+            referencedRelation: "jobs"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
+      application_stage_history: {
+        Row: {
+          application_id: string
+          changed_at: string
+          from_stage_id: string | null
+          id: string
+          note: string | null
+          to_category: Database["public"]["Enums"]["application_status"]
+          to_stage_id: string | null
+          user_id: string
+        }
+        Insert: {
+          application_id: string
+          changed_at?: string
+          from_stage_id?: string | null
+          id?: string
+          note?: string | null
+          to_category: Database["public"]["Enums"]["application_status"]
+          to_stage_id?: string | null
+          user_id: string
+        }
+        Update: {
+          application_id?: string
+          changed_at?: string
+          from_stage_id?: string | null
+          id?: string
+          note?: string | null
+          to_category?: Database["public"]["Enums"]["application_status"]
+          to_stage_id?: string | null
+          user_id?: string
+        }
+        Relationships: [
+          {
+            foreignKeyName: "application_stage_history_application_id_fkey"
+            columns: ["application_id"]
+            isOneToOne: false
+            referencedRelation: "applications"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "application_stage_history_from_stage_id_fkey"
+            columns: ["from_stage_id"]
+            isOneToOne: false
+            referencedRelation: "application_stages"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "application_stage_history_to_stage_id_fkey"
+            columns: ["to_stage_id"]
+            isOneToOne: false
+            referencedRelation: "application_stages"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
+      application_stages: {
+        Row: {
+          category: Database["public"]["Enums"]["application_status"]
+          color: string | null
+          created_at: string
+          id: string
+          is_terminal: boolean
+          key: string
+          name: string
+          position: number
+          updated_at: string
+          user_id: string
+        }
+        Insert: {
+          category?: Database["public"]["Enums"]["application_status"]
+          color?: string | null
+          created_at?: string
+          id?: string
+          is_terminal?: boolean
+          key: string
+          name: string
+          position?: number
+          updated_at?: string
+          user_id: string
+        }
+        Update: {
+          category?: Database["public"]["Enums"]["application_status"]
+          color?: string | null
+          created_at?: string
+          id?: string
+          is_terminal?: boolean
+          key?: string
+          name?: string
+          position?: number
+          updated_at?: string
+          user_id?: string
+        }
         Relationships: []
       }
+      application_submissions: {
+        Row: {
+          application_id: string
+          confirmation_text: string | null
+          created_at: string
+          filled_fields: Json
+          final_url: string | null
+          id: string
+          job_id: string
+          platform: string | null
+          reported_by: string
+          screenshot_hash: string | null
+          submitted_at: string
+          user_id: string
+        }
+        Insert: {
+          application_id: string
+          confirmation_text?: string | null
+          created_at?: string
+          filled_fields?: Json
+          final_url?: string | null
+          id?: string
+          job_id: string
+          platform?: string | null
+          reported_by?: string
+          screenshot_hash?: string | null
+          submitted_at: string
+          user_id: string
+        }
+        Update: {
+          application_id?: string
+          confirmation_text?: string | null
+          created_at?: string
+          filled_fields?: Json
+          final_url?: string | null
+          id?: string
+          job_id?: string
+          platform?: string | null
+          reported_by?: string
+          screenshot_hash?: string | null
+          submitted_at?: string
+          user_id?: string
+        }
+        Relationships: [
+          {
+            foreignKeyName: "application_submissions_application_id_fkey"
+            columns: ["application_id"]
+            isOneToOne: true
+            referencedRelation: "applications"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "application_submissions_job_id_fkey"
+            columns: ["job_id"]
+            isOneToOne: false
+            referencedRelation: "jobs"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
       applications: {
         Row: {
           applied_at: string | null
@@ -48,6 +303,9 @@ export type Database = {
           job_id: string
           referral_contacts: string[] | null
           referral_email: string | null
+          resume_version_id: string | null
+          stage_entered_at: string | null
+          stage_id: string | null
           status: Database["public"]["Enums"]["application_status"] | null
           tailored_cover_letter: string | null
           tailored_resume: string | null
@@ -63,6 +321,9 @@ export type Database = {
           job_id: string
           referral_contacts?: string[] | null
           referral_email?: string | null
+          resume_version_id?: string | null
+          stage_entered_at?: string | null
+          stage_id?: string | null
           status?: Database["public"]["Enums"]["application_status"] | null
           tailored_cover_letter?: string | null
           tailored_resume?: string | null
@@ -78,6 +339,9 @@ export type Database = {
           job_id?: string
           referral_contacts?: string[] | null
           referral_email?: string | null
+          resume_version_id?: string | null
+          stage_entered_at?: string | null
+          stage_id?: string | null
           status?: Database["public"]["Enums"]["application_status"] | null
           tailored_cover_letter?: string | null
           tailored_resume?: string | null
@@ -92,6 +356,20 @@ export type Database = {
             referencedRelation: "jobs"
             referencedColumns: ["id"]
           },
+          {
+            foreignKeyName: "applications_stage_id_fkey"
+            columns: ["stage_id"]
+            isOneToOne: false
+            referencedRelation: "application_stages"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "applications_resume_version_id_fkey"
+            columns: ["resume_version_id"]
+            isOneToOne: false
+            referencedRelation: "resume_versions"
+            referencedColumns: ["id"]
+          },
         ]
       }
       automation_settings: {
@@ -186,41 +464,122 @@ export type Database = {
           },
         ]
       }
+      company_watchlist: {
+        Row: {
+          board_token: string
+          company_name: string
+          consecutive_failures: number
+          created_at: string
+          id: string
+          is_enabled: boolean
+          last_error: string | null
+          last_new_jobs: number
+          last_polled_at: string | null
+          last_success_at: string | null
+          next_poll_at: string
+          provider: Database["public"]["Enums"]["job_board_provider"]
+          updated_at: string
+          user_id: string
+        }
+        Insert: {
+          board_token: string
+          company_name: string
+          consecutive_failures?: number
+          created_at?: string
+          id?: string
+          is_enabled?: boolean
+          last_error?: string | null
+          last_new_jobs?: number
+          last_polled_at?: string | null
+          last_success_at?: string | null
+          next_poll_at?: string
+          provider: Database["public"]["Enums"]["job_board_provider"]
+          updated_at?: string
+          user_id: string
+        }
+        Update: {
+          board_token?: string
+          company_name?: string
+          consecutive_failures?: number
+          created_at?: string
+          id?: string
+          is_enabled?: boolean
+          last_error?: string | null
+          last_new_jobs?: number
+          last_polled_at?: string | null
+          last_success_at?: string | null
+          next_poll_at?: string
+          provider?: Database["public"]["Enums"]["job_board_provider"]
+          updated_at?: string
+          user_id?: string
+        }
+        Relationships: []
+      }
       email_detections: {
         Row: {
           application_id: string | null
+          attachments: Json | null
+          confidence: number | null
           created_at: string | null
           detected_at: string | null
           detection_type: Database["public"]["Enums"]["email_detection_type"]
           email_body: string | null
           email_from: string
           email_subject: string
+          gmail_message_id: string | null
           id: string
           is_read: boolean | null
+          manual_override: boolean | null
+          match_confidence: number | null
+          match_reason: string | null
+          matched_rules: string[] | null
+          received_at: string | null
+          status_applied: boolean | null
+          thread_id: string | null
           user_id: string
         }
         Insert: {
           application_id?: string | null
+          attachments?: Json | null
+          confidence?: number | null
           created_at?: string | null
           detected_at?: string | null
           detection_type: Database["public"]["Enums"]["email_detection_type"]
           email_body?: string | null
           email_from: string
           email_subject: string
+          gmail_message_id?: string | null
           id?: string
           is_read?: boolean | null
+          manual_override?: boolean | null
+          match_confidence?: number | null
+          match_reason?: string | null
+          matched_rules?: string[] | null
+          received_at?: string | null
+          status_applied?: boolean | null
+          thread_id?: string | null
           user_id: string
         }
         Update: {
           application_id?: string | null
+          attachments?: Json | null
+          confidence?: number | null
           created_at?: string | null
           detected_at?: string | null
           detection_type?: Database["public"]["Enums"]["email_detection_type"]
           email_body?: string | null
           email_from?: string
           email_subject?: string
+          gmail_message_id?: string | null
           id?: string
           is_read?: boolean | null
+          manual_override?: boolean | null
+          match_confidence?: number | null
+          match_reason?: string | null
+          matched_rules?: string[] | null
+          received_at?: string | null
+          status_applied?: boolean | null
+          thread_id?: string | null
           user_id?: string
         }
         Relationships: [
@@ -238,8 +597,10 @@ export type Database = {
           access_token: string | null
           created_at: string | null
           email: string
+          gmail_history_id: string | null
           id: string
           is_connected: boolean | null
+          last_synced_at: string | null
           refresh_token: string | null
           token_expiry: string | null
           updated_at: string | null
@@ -249,8 +610,10 @@ export type Database = {
           access_token?: string | null
           created_at?: string | null
           email: string
+          gmail_history_id?: string | null
           id?: string
           is_connected?: boolean | null
+          last_synced_at?: string | null
           refresh_token?: string | null
           token_expiry?: string | null
           updated_at?: string | null
@@ -260,8 +623,10 @@ export type Database = {
           access_token?: string | null
           created_at?: string | null
           email?: string
+          gmail_history_id?: string | null
           id?: string
           is_connected?: boolean | null
+          last_synced_at?: string | null
           refresh_token?: string | null
           token_expiry?: string | null
           updated_at?: string | null
@@ -269,11 +634,152 @@ export type Database = {
         }
         Relationships: []
       }
+      job_merge_history: {
+        Row: {
+          id: string
+          job_id: string
+          match_reason: string
+          merged_at: string
+          merged_job: Json
+          previous_values: Json
+          restored_job_id: string | null
+          similarity: number | null
+          unmerged_at: string | null
+          user_id: string
+        }
+        Insert: {
+          id?: string
+          job_id: string
+          match_reason: string
+          merged_at?: string
+          merged_job: Json
+          previous_values?: Json
+          restored_job_id?: string | null
+          similarity?: number | null
+          unmerged_at?: string | null
+          user_id: string
+        }
+        Update: {
+          id?: string
+          job_id?: string
+          match_reason?: string
+          merged_at?: string
+          merged_job?: Json
+          previous_values?: Json
+          restored_job_id?: string | null
+          similarity?: number | null
+          unmerged_at?: string | null
+          user_id?: string
+        }
+        Relationships: [
+          {
+            foreignKeyName: "job_merge_history_job_id_fkey"
+            columns: ["job_id"]
+            isOneToOne: false
+            referencedRelation: "jobs"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "job_merge_history_restored_job_id_fkey"
+            columns: ["restored_job_id"]
+            isOneToOne: false
+            referencedRelation: "jobs"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
+      job_queue: {
+        Row: {
+          application_id: string | null
+          attempts: number
+          batch_id: string | null
+          completed_at: string | null
+          created_at: string
+          dedupe_key: string | null
+          id: string
+          job_id: string | null
+          kind: string
+          last_error: string | null
+          lease_expires_at: string | null
+          lease_owner: string | null
+          max_attempts: number
+          payload: Json
+          priority: number
+          result: Json | null
+          run_after: string
+          status: string
+          updated_at: string
+          user_id: string
+        }
+        Insert: {
+          application_id?: string | null
+          attempts?: number
+          batch_id?: string | null
+          completed_at?: string | null
+          created_at?: string
+          dedupe_key?: string | null
+          id?: string
+          job_id?: string | null
+          kind: string
+          last_error?: string | null
+          lease_expires_at?: string | null
+          lease_owner?: string | null
+          max_attempts?: number
+          payload?: Json
+          priority?: number
+          result?: Json | null
+          run_after?: string
+          status?: string
+          updated_at?: string
+          user_id: string
+        }
+        Update: {
+          application_id?: string | null
+          attempts?: number
+          batch_id?: string | null
+          completed_at?: string | null
+          created_at?: string
+          dedupe_key?: string | null
+          id?: string
+          job_id?: string | null
+          kind?: string
+          last_error?: string | null
+          lease_expires_at?: string | null
+          lease_owner?: string | null
+          max_attempts?: number
+          payload?: Json
+          priority?: number
+          result?: Json | null
+          run_after?: string
+          status?: string
+          updated_at?: string
+          user_id?: string
+        }
+        Relationships: [
+          {
+            foreignKeyName: "job_queue_application_id_fkey"
+            columns: ["application_id"]
+            isOneToOne: false
+            referencedRelation: "applications"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "job_queue_job_id_fkey"
+            columns: ["job_id"]
+            isOneToOne: false
+            referencedRelation: "jobs"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
       jobs: {
         Row: {
           applied_at: string | null
+          canonical_key: string | null
           company: string
+          company_key: string | null
           created_at: string | null
+          dedupe_exempt: boolean
           description: string | null
           id: string
           location: string
@@ -283,8 +789,10 @@ export type Database = {
           report_count: number | null
           requirements: string[] | null
           salary: string | null
+          sources: Json
           status: Database["public"]["Enums"]["application_status"] | null
           title: string
+          title_key: string | null
           updated_at: string | null
           url: string | null
           url_last_checked: string | null
@@ -293,8 +801,11 @@ export type Database = {
         }
         Insert: {
           applied_at?: string | null
+          canonical_key?: string | null
           company: string
+          company_key?: string | null
           created_at?: string | null
+          dedupe_exempt?: boolean
           description?: string | null
           id?: string
           location: string
@@ -304,8 +815,10 @@ export type Database = {
           report_count?: number | null
           requirements?: string[] | null
           salary?: string | null
+          sources?: Json
           status?: Database["public"]["Enums"]["application_status"] | null
           title: string
+          title_key?: string | null
           updated_at?: string | null
           url?: string | null
           url_last_checked?: string | null
@@ -314,8 +827,11 @@ export type Database = {
         }
         Update: {
           applied_at?: string | null
+          canonical_key?: string | null
           company?: string
+          company_key?: string | null
           created_at?: string | null
+          dedupe_exempt?: boolean
           description?: string | null
           id?: string
           location?: string
@@ -325,8 +841,10 @@ export type Database = {
           report_count?: number | null
           requirements?: string[] | null
           salary?: string | null
+          sources?: Json
           status?: Database["public"]["Enums"]["application_status"] | null
           title?: string
+          title_key?: string | null
           updated_at?: string | null
           url?: string | null
           url_last_checked?: string | null
@@ -382,7 +900,6 @@ export type Database = {
           achievements: Json | null
           address: string | null
           ats_strategy: string | null
-          authorized_countries: string[] | null
           certifications: string[] | null
           citizenship: string | null
           city: string | null
@@ -421,8 +938,8 @@ export type Database = {
           updated_at: string | null
           user_id: string
           veteran_status: boolean | null
-          visa_required: boolean | null
           willing_to_relocate: boolean | null
+          work_authorizations: Json
           work_experience: Json | null
           zip_code: string | null
         }
@@ -430,7 +947,6 @@ export type Database = {
           achievements?: Json | null
           address?: string | null
           ats_strategy?: string | null
-          authorized_countries?: string[] | null
           certifications?: string[] | null
           citizenship?: string | null
           city?: string | null
@@ -469,8 +985,8 @@ export type Database = {
           updated_at?: string | null
           user_id: string
           veteran_status?: boolean | null
-          visa_required?: boolean | null
           willing_to_relocate?: boolean | null
+          work_authorizations?: Json
           work_experience?: Json | null
           zip_code?: string | null
         }
@@ -478,7 +994,6 @@ export type Database = {
           achievements?: Json | null
           address?: string | null
           ats_strategy?: string | null
-          authorized_countries?: string[] | null
           certifications?: string[] | null
           citizenship?: string | null
           city?: string | null
@@ -517,13 +1032,73 @@ export type Database = {
           updated_at?: string | null
           user_id?: string
           veteran_status?: boolean | null
-          visa_required?: boolean | null
           willing_to_relocate?: boolean | null
+          work_authorizations?: Json
           work_experience?: Json | null
           zip_code?: string | null
         }
         Relationships: []
       }
+      resume_versions: {
+        Row: {
+          content: Json
+          created_at: string
+          id: string
+          is_default: boolean
+          job_id: string | null
+          kind: string
+          name: string
+          parent_id: string | null
+          template: string | null
+          updated_at: string
+          user_id: string
+          version: number
+        }
+        Insert: {
+          content?: Json
+          created_at?: string
+          id?: string
+          is_default?: boolean
+          job_id?: string | null
+          kind?: string
+          name: string
+          parent_id?: string | null
+          template?: string | null
+          updated_at?: string
+          user_id: string
+          version?: number
+        }
+        Update: {
+          content?: Json
+          created_at?: string
+          id?: string
+          is_default?: boolean
+          job_id?: string | null
+          kind?: string
+          name?: string
+          parent_id?: string | null
+          template?: string | null
+          updated_at?: string
+          user_id?: string
+          version?: number
+        }
+        Relationships: [
+          {
+            foreignKeyName: "resume_versions_job_id_fkey"
+            columns: ["job_id"]
+            isOneToOne: false
+            referencedRelation: "jobs"
+            referencedColumns: ["id"]
+          },
+          {
+            foreignKeyName: "resume_versions_parent_id_fkey"
+            columns: ["parent_id"]
+            isOneToOne: false
+            referencedRelation: "resume_versions"
+            referencedColumns: ["id"]
+          },
+        ]
+      }
       sent_emails: {
         Row: {
           application_id: string | null
@@ -577,10 +1152,17 @@ export type Database = {
           ats_score: number | null
           confidence: string
           context: Json | null
+          country: string
           created_at: string
           id: string
+          job_scope: string
+          last_company: string | null
+          last_job_title: string | null
           last_used_at: string
+          marked_wrong: boolean
+          pinned: boolean
           query_hash: string
+          question: string | null
           question_keywords: string[]
           question_normalized: string
           updated_at: string
@@ -592,10 +1174,17 @@ export type Database = {
           ats_score?: number | null
           confidence?: string
           context?: Json | null
+          country?: string
           created_at?: string
           id?: string
+          job_scope?: string
+          last_company?: string | null
+          last_job_title?: string | null
           last_used_at?: string
+          marked_wrong?: boolean
+          pinned?: boolean
           query_hash: string
+          question?: string | null
           question_keywords?: string[]
           question_normalized: string
           updated_at?: string
@@ -607,10 +1196,17 @@ export type Database = {
           ats_score?: number | null
           confidence?: string
           context?: Json | null
+          country?: string
           created_at?: string
           id?: string
+          job_scope?: string
+          last_company?: string | null
+          last_job_title?: string | null
           last_used_at?: string
+          marked_wrong?: boolean
+          pinned?: boolean
           query_hash?: string
+          question?: string | null
           question_keywords?: string[]
           question_normalized?: string
           updated_at?: string
@@ -624,7 +1220,122 @@ export type Database = {
       [_ in never]: never
     }
     Functions: {
-      [_ in never]: never
+      claim_job_queue_items: {
+        Args: {
+          _lease_seconds?: number
+          _limit?: number
+          _user_id?: string
+          _worker: string
+        }
+        Returns: {
+          application_id: string | null
+          attempts: number
+          batch_id: string | null
+          completed_at: string | null
+          created_at: string
+          dedupe_key: string | null
+          id: string
+          job_id: string | null
+          kind: string
+          last_error: string | null
+          lease_expires_at: string | null
+          lease_owner: string | null
+          max_attempts: number
+          payload: Json
+          priority: number
+          result: Json | null
+          run_after: string
+          status: string
+          updated_at: string
+          user_id: string
+        }[]
+        SetofOptions: {
+          from: "*"
+          to: "job_queue"
+          isOneToOne: false
+          isSetofReturn: true
+        }
+      }
+      complete_job_queue_item: {
+        Args: {
+          _application_id?: string
+          _id: string
+          _job_id?: string
+          _result?: Json
+          _worker: string
+        }
+        Returns: boolean
+      }
+      defer_job_queue_item: {
+        Args: {
+          _delay_seconds: number
+          _id: string
+          _worker: string
+        }
+        Returns: boolean
+      }
+      fail_job_queue_item: {
+        Args: {
+          _error: string
+          _id: string
+          _retryable?: boolean
+          _worker: string
+        }
+        Returns: string
+      }
+      get_monthly_ai_usage: {
+        Args: {
+          _user_id: string
+        }
+        Returns: {
+          cost: number
+          tokens: number
+        }[]
+      }
+      job_locations_compatible: {
+        Args: {
+          _a: string
+          _b: string
+        }
+        Returns: boolean
+      }
+      job_requisition_key: {
+        Args: {
+          _url: string
+        }
+        Returns: string
+      }
+      normalize_company_name: {
+        Args: {
+          _name: string
+        }
+        Returns: string
+      }
+      normalize_job_title: {
+        Args: {
+          _title: string
+        }
+        Returns: string
+      }
+      resolve_application_stage: {
+        Args: {
+          _status: Database["public"]["Enums"]["application_status"]
+          _user_id: string
+        }
+        Returns: string
+      }
+      seed_application_stages: {
+        Args: {
+          _user_id: string
+        }
+        Returns: undefined
+      }
+      unmerge_job: {
+        Args: {
+          _merge_id: string
+        }
+        Returns: string
+      }
     }
     Enums: {
       application_status:
@@ -635,6 +1346,13 @@ export type Database = {
         | "rejected"
       email_detection_type: "interview" | "rejection" | "offer" | "follow_up"
       email_type: "application" | "referral" | "follow_up"
+      job_board_provider:
+        | "greenhouse"
+        | "workable"
+        | "lever"
+        | "ashby"
+        | "smartrecruiters"
+        | "recruitee"
     }
     CompositeTypes: {
       [_ in never]: never
@@ -771,6 +1489,14 @@ export const Constants = {
       ],
       email_detection_type: ["interview", "rejection", "offer", "follow_up"],
       email_type: ["application", "referral", "follow_up"],
+      job_board_provider: [
+        "greenhouse",
+        "workable",
+        "lever",
+        "ashby",
+        "smartrecruiters",
+        "recruitee",
+      ],
     },
   },
 } as const
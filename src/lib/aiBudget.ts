@@ -0,0 +1,93 @@
+import type { Database } from '@/integrations/supabase/types';
+
+export type AiBudget = Database['public']['Tables']['ai_budgets']['Row'];
+
+export type AiBudgetUnit = 'tokens' | 'usd';
+
+export interface AiUsageRow {
+  function_name: string;
+  tokens_used: number | null;
+  estimated_cost: number | null;
+  job_id: string | null;
+  jobs: { title: string; company: string } | null;
+}
+
+export interface AiUsageBucket {
+  key: string;
+  label: string;
+  calls: number;
+  tokens: number;
+  cost: number;
+}
+
+export interface AiUsageSummary {
+  calls: number;
+  tokens: number;
+  cost: number;
+  byFunction: AiUsageBucket[];
+  byJob: AiUsageBucket[];
+}
+
+export const AI_FUNCTION_LABELS: Record<string, string> = {
+  'tailor-application': 'Resume Tailoring',
+  'answer-questions': 'Question Answering',
+  'extract-keywords-ai': 'Keyword Extraction',
+  'parse-cv': 'CV Parsing',
+};
+
+// Budgets run on calendar months in UTC, same as the edge functions' check
+export function startOfMonthUTC(now = new Date()): Date {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+}
+
+function addTo(buckets: Map<string, AiUsageBucket>, key: string, label: string, row: AiUsageRow) {
+  const bucket = buckets.get(key) || { key, label, calls: 0, tokens: 0, cost: 0 };
+  bucket.calls++;
+  bucket.tokens += row.tokens_used || 0;
+  bucket.cost += Number(row.estimated_cost) || 0;
+  buckets.set(key, bucket);
+}
+
+/** Totals plus per-function and per-job breakdowns, largest first */
+export function summarizeAiUsage(rows: AiUsageRow[]): AiUsageSummary {
+  const byFunction = new Map<string, AiUsageBucket>();
+  const byJob = new Map<string, AiUsageBucket>();
+
+  for (const row of rows) {
+    addTo(byFunction, row.function_name, AI_FUNCTION_LABELS[row.function_name] || row.function_name, row);
+    addTo(
+      byJob,
+      row.job_id || 'none',
+      row.job_id ? (row.jobs ? `${row.jobs.title} at ${row.jobs.company}` : 'Deleted job') : 'Not linked to a job',
+      row
+    );
+  }
+
+  const sorted = (buckets: Map<string, AiUsageBucket>) =>
+    [...buckets.values()].sort((a, b) => b.tokens - a.tokens);
+
+  return {
+    calls: rows.length,
+    tokens: rows.reduce((sum, r) => sum + (r.tokens_used || 0), 0),
+    cost: rows.reduce((sum, r) => sum + (Number(r.estimated_cost) || 0), 0),
+    byFunction: sorted(byFunction),
+    byJob: sorted(byJob),
+  };
+}
+
+export function formatBudgetAmount(unit: AiBudgetUnit, amount: number): string {
+  return unit === 'usd' ? `$${amount.toFixed(2)}` : `${Math.round(amount).toLocaleString('en-US')} tokens`;
+}
+
+export function budgetUsed(budget: AiBudget, usage: AiUsageSummary): number {
+  return budget.unit === 'usd' ? usage.cost : usage.tokens;
+}
+
+export type AiBudgetState = 'ok' | 'warning' | 'exceeded';
+
+export function budgetState(budget: AiBudget, usage: AiUsageSummary): AiBudgetState {
+  const used = budgetUsed(budget, usage);
+  if (used >= budget.monthly_limit) return 'exceeded';
+  if (used >= (budget.monthly_limit * budget.warn_at_percent) / 100) return 'warning';
+  return 'ok';
+}
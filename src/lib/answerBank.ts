@@ -0,0 +1,43 @@
+import type { Database } from '@/integrations/supabase/types';
+
+// The question catalog and its resolution rules live with the edge functions:
+// answer-questions and QuantumHire (answer-bank.js) answer from the same bank.
+export {
+  ANSWER_BANK_QUESTIONS,
+  ANSWER_CATEGORIES,
+  WORK_AUTHORIZATION_STATUSES,
+  describeAuthorization,
+  getQuestion,
+  isExpired,
+  parseWorkAuthorizations,
+  seedAnswers,
+} from '../../supabase/functions/_shared/answer-bank/index.ts';
+export type {
+  AnswerCategory,
+  CatalogQuestion,
+  SeededAnswer,
+  WorkAuthorization,
+  WorkAuthorizationStatus,
+} from '../../supabase/functions/_shared/answer-bank/index.ts';
+
+export type AnswerBankEntry = Database['public']['Tables']['answer_bank']['Row'];
+
+export type AnswerSource = 'profile' | 'user' | 'flagged';
+
+/** An answer as the editor saves it; scopes are '' for any */
+export interface AnswerDraft {
+  question_key: string;
+  answer: string;
+  select_value?: string | null;
+  country: string;
+  job_scope: string;
+}
+
+export const sameScope = (a: Pick<AnswerDraft, 'country' | 'job_scope'>, b: Pick<AnswerDraft, 'country' | 'job_scope'>) =>
+  a.country.trim().toLowerCase() === b.country.trim().toLowerCase() &&
+  a.job_scope.trim().toLowerCase() === b.job_scope.trim().toLowerCase();
+
+export function scopeLabel(entry: Pick<AnswerDraft, 'country' | 'job_scope'>): string {
+  const parts = [entry.country, entry.job_scope && `jobs matching "${entry.job_scope}"`].filter(Boolean);
+  return parts.length ? parts.join(' \u00b7 ') : 'All jobs';
+}
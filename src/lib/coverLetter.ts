@@ -0,0 +1,42 @@
+import type { ResumeContent } from './resumeVersions';
+
+/** generate-pdf's coverLetter section, with the sender it's signed by */
+export interface CoverLetterContent {
+  personalInfo: NonNullable<ResumeContent['personalInfo']>;
+  recipientCompany: string;
+  jobTitle: string;
+  paragraphs: string[];
+}
+
+const CLOSING = '(?:Sincerely|Best regards|Kind regards|Regards|Warmly|Respectfully|Thank you)';
+
+/**
+ * The body paragraphs of a plain-text cover letter. generate-pdf adds the
+ * salutation and sign-off itself, so they are cut here the same way
+ * tailor-application cuts them.
+ */
+export function coverLetterParagraphs(text: string): string[] {
+  let body = text.replace(/\r\n/g, '\n');
+
+  const dearMatch = body.match(/Dear\s+(?:Hiring|Recruitment|HR|Team|Manager|Committee)[^,]*,?\s*\n/i);
+  if (dearMatch && dearMatch.index !== undefined) {
+    body = body.substring(dearMatch.index + dearMatch[0].length);
+  }
+
+  body = body
+    .replace(new RegExp(`\\n\\s*${CLOSING},?\\s*\\n[\\s\\S]*$`, 'i'), '')
+    .replace(new RegExp(`\\n\\s*${CLOSING},?\\s*$`, 'i'), '')
+    .trim();
+
+  const paragraphs = body
+    .split(/\n\n+/)
+    .map((p) => p.trim())
+    .filter((p) => {
+      if (p.length < 30) return false;
+      if (/^(sincerely|regards|thank you|dear|date:|re:|subject:)/i.test(p)) return false;
+      if (p.split(/\s+/).length <= 3 && !p.includes('.')) return false;
+      return true;
+    });
+
+  return paragraphs.length || !body ? paragraphs : [body];
+}
@@ -0,0 +1,3 @@
+// The snapshot format lives with the edge functions: record-submission
+// validates what the extension sends with the same parser.
+export * from '../../supabase/functions/_shared/filled-fields.ts';
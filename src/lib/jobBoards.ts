@@ -0,0 +1,48 @@
+import type { Database } from '@/integrations/supabase/types';
+
+export type JobBoardProvider = Database['public']['Enums']['job_board_provider'];
+export type CompanyBoard = Database['public']['Tables']['company_watchlist']['Row'];
+
+interface ProviderInfo {
+  label: string;
+  // Where the token appears, shown as a hint in the add form
+  example: string;
+}
+
+// Keep in sync with supabase/functions/_shared/job-connectors
+export const JOB_BOARD_PROVIDERS: Record<JobBoardProvider, ProviderInfo> = {
+  greenhouse: { label: 'Greenhouse', example: 'boards.greenhouse.io/<token>' },
+  lever: { label: 'Lever', example: 'jobs.lever.co/<token>' },
+  ashby: { label: 'Ashby', example: 'jobs.ashbyhq.com/<token>' },
+  workable: { label: 'Workable', example: 'apply.workable.com/<token>' },
+  smartrecruiters: { label: 'SmartRecruiters', example: 'jobs.smartrecruiters.com/<token>' },
+  recruitee: { label: 'Recruitee', example: '<token>.recruitee.com' },
+};
+
+// Same rule as the company_watchlist.board_token CHECK constraint
+export const BOARD_TOKEN_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,99}$/;
+
+const URL_PATTERNS: [JobBoardProvider, RegExp][] = [
+  ['greenhouse', /(?:boards|job-boards)(?:\.eu)?\.greenhouse\.io\/(?:embed\/job_board\?for=)?([A-Za-z0-9._-]+)/i],
+  ['greenhouse', /boards-api\.greenhouse\.io\/v1\/boards\/([A-Za-z0-9._-]+)/i],
+  ['lever', /jobs\.(?:eu\.)?lever\.co\/([A-Za-z0-9._-]+)/i],
+  ['ashby', /jobs\.ashbyhq\.com\/([A-Za-z0-9._%-]+)/i],
+  ['workable', /apply\.workable\.com\/([A-Za-z0-9._-]+)/i],
+  ['smartrecruiters', /(?:jobs|careers)\.smartrecruiters\.com\/([A-Za-z0-9._-]+)/i],
+  ['recruitee', /([A-Za-z0-9-]+)\.recruitee\.com/i],
+];
+
+/**
+ * Detect provider and board token from a pasted careers or job URL, e.g.
+ * https://jobs.lever.co/netflix/abc-123 -> { provider: 'lever', token: 'netflix' }
+ */
+export function parseBoardUrl(url: string): { provider: JobBoardProvider; token: string } | null {
+  for (const [provider, pattern] of URL_PATTERNS) {
+    const match = url.trim().match(pattern);
+    if (match) {
+      const token = decodeURIComponent(match[1]);
+      if (BOARD_TOKEN_PATTERN.test(token)) return { provider, token };
+    }
+  }
+  return null;
+}
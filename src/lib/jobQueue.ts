@@ -0,0 +1,52 @@
+import type { Database } from '@/integrations/supabase/types';
+
+export type JobQueueItem = Database['public']['Tables']['job_queue']['Row'];
+
+export type JobQueueStatus = 'queued' | 'processing' | 'paused' | 'completed' | 'dead';
+
+// Statuses the worker may still pick up; only one such item per URL or job
+export const UNFINISHED_STATUSES: JobQueueStatus[] = ['queued', 'processing', 'paused'];
+
+const SUPPORTED_JOB_DOMAINS = [
+  'greenhouse.io',
+  'lever.co',
+  'workday.com',
+  'myworkdayjobs.com',
+  'ashbyhq.com',
+  'smartrecruiters.com',
+  'icims.com',
+  'jobvite.com',
+  'linkedin.com',
+  'workable.com',
+];
+
+export function isValidJobUrl(url: string): boolean {
+  try {
+    const parsed = new URL(url);
+    return SUPPORTED_JOB_DOMAINS.some((d) => parsed.hostname.includes(d));
+  } catch {
+    return false;
+  }
+}
+
+/** Every supported job URL in pasted text or a CSV export, de-duplicated */
+export function extractJobUrls(text: string): string[] {
+  const urls: string[] = [];
+  for (const match of text.match(/https?:\/\/[^\s,"\\'<>]+/gi) || []) {
+    if (isValidJobUrl(match) && !urls.includes(match)) {
+      urls.push(match);
+    }
+  }
+  return urls;
+}
+
+export const queueDedupeKey = (url: string) => `url:${url}`;
+
+/** Job title/company for display: the item's result once done, else its payload */
+export function describeQueueItem(item: JobQueueItem): { title: string | null; company: string | null; url: string | null } {
+  const result = (item.result || {}) as Record<string, unknown>;
+  const payload = (item.payload || {}) as Record<string, unknown>;
+  const pick = (key: string) =>
+    (typeof result[key] === 'string' ? result[key] : typeof payload[key] === 'string' ? payload[key] : null) as string | null;
+  return { title: pick('title'), company: pick('company'), url: pick('url') };
+}
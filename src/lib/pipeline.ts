@@ -0,0 +1,108 @@
+import type { Database } from '@/integrations/supabase/types';
+
+export type ApplicationStatus = Database['public']['Enums']['application_status'];
+
+export interface ApplicationStage {
+  id: string;
+  user_id: string;
+  key: string;
+  name: string;
+  position: number;
+  category: ApplicationStatus;
+  is_terminal: boolean;
+  color: string | null;
+}
+
+export interface StageTransition {
+  id: string;
+  from_stage_id: string | null;
+  to_stage_id: string | null;
+  to_category: ApplicationStatus;
+  note: string | null;
+  changed_at: string;
+}
+
+export interface PipelineStats {
+  pending: number;
+  applied: number;
+  interviewing: number;
+  offered: number;
+  rejected: number;
+}
+
+// Funnel order: reaching a later category implies the earlier ones were passed
+const FUNNEL_ORDER: ApplicationStatus[] = ['pending', 'applied', 'interviewing', 'offered'];
+
+export const STAGE_COLOR_CLASSES: Record<string, string> = {
+  slate: 'bg-muted text-muted-foreground border-border',
+  blue: 'bg-info/10 text-info border-info/30',
+  cyan: 'bg-cyan-500/10 text-cyan-500 border-cyan-500/30',
+  amber: 'bg-warning/10 text-warning border-warning/30',
+  orange: 'bg-orange-500/10 text-orange-500 border-orange-500/30',
+  purple: 'bg-purple-500/10 text-purple-500 border-purple-500/30',
+  green: 'bg-success/10 text-success border-success/30',
+  red: 'bg-destructive/10 text-destructive border-destructive/30',
+  gray: 'bg-muted text-muted-foreground border-border',
+};
+
+export const getStageColorClass = (color: string | null) =>
+  STAGE_COLOR_CLASSES[color || 'slate'] || STAGE_COLOR_CLASSES.slate;
+
+export const sortStages = (stages: ApplicationStage[]) =>
+  [...stages].sort((a, b) => a.position - b.position);
+
+/**
+ * Milliseconds the application has spent in its current stage.
+ * Falls back to the latest history entry when stage_entered_at is missing.
+ */
+export function getTimeInStage(
+  app: { stage_entered_at?: string | null; stage_history?: StageTransition[] },
+  now: number = Date.now()
+): number {
+  let enteredAt = app.stage_entered_at;
+  if (!enteredAt && app.stage_history?.length) {
+    enteredAt = [...app.stage_history].sort(
+      (a, b) => new Date(b.changed_at).getTime() - new Date(a.changed_at).getTime()
+    )[0].changed_at;
+  }
+  if (!enteredAt) return 0;
+  return Math.max(0, now - new Date(enteredAt).getTime());
+}
+
+export function formatDuration(ms: number): string {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h`;
+  const days = Math.floor(hours / 24);
+  if (days < 14) return `${days}d`;
+  return `${Math.floor(days / 7)}w`;
+}
+
+/**
+ * Pipeline counts derived from stage history. An application counts towards
+ * every funnel step it has ever reached, so a rejection after an interview is
+ * still an interview. Pending and rejected reflect the current stage only.
+ */
+export function computePipelineStats(
+  applications: { status: ApplicationStatus | null; stage_history?: StageTransition[] }[]
+): PipelineStats {
+  const stats: PipelineStats = { pending: 0, applied: 0, interviewing: 0, offered: 0, rejected: 0 };
+
+  for (const app of applications) {
+    const current = app.status || 'pending';
+    const history = app.stage_history || [];
+    const furthest = Math.max(
+      FUNNEL_ORDER.indexOf(current),
+      ...history.map((h) => FUNNEL_ORDER.indexOf(h.to_category))
+    );
+
+    if (current === 'pending') stats.pending++;
+    if (current === 'rejected') stats.rejected++;
+    if (furthest >= FUNNEL_ORDER.indexOf('applied')) stats.applied++;
+    if (furthest >= FUNNEL_ORDER.indexOf('interviewing')) stats.interviewing++;
+    if (furthest >= FUNNEL_ORDER.indexOf('offered')) stats.offered++;
+  }
+
+  return stats;
+}
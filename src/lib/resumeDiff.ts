@@ -0,0 +1,99 @@
+import {
+  ResumeContent,
+  ResumeLine,
+  resumeContentFromLines,
+  resumeContentLines,
+  resumeLinesToText,
+} from './resumeVersions';
+import { DiffPart, diffSequence, diffWords } from './textDiff';
+
+export type ResumeChangeKind = 'added' | 'removed' | 'rewritten';
+
+/** One line-level change between a base and a tailored resume; accepted or rejected as a unit */
+export interface ResumeChange {
+  id: number;
+  kind: ResumeChangeKind;
+  before: ResumeLine | null;
+  after: ResumeLine | null;
+  /** Word diff of a rewritten line; empty otherwise */
+  words: DiffPart[];
+}
+
+export type ResumeDiffRow = { type: 'equal'; line: ResumeLine } | { type: 'change'; change: ResumeChange };
+
+const lineKey = (line: ResumeLine) => `${line.kind}:${line.text}`;
+
+/**
+ * Side-by-side rows for two structured resumes. Within a run of changed lines,
+ * a removed and an added line of the same kind (a bullet and a bullet) are
+ * paired up as a rewrite; the rest are plain additions and removals.
+ */
+export function diffResumes(base: ResumeContent, tailored: ResumeContent): ResumeDiffRow[] {
+  const before = resumeContentLines(base);
+  const after = resumeContentLines(tailored);
+  const rows: ResumeDiffRow[] = [];
+  let nextId = 0;
+
+  const change = (kind: ResumeChangeKind, a: ResumeLine | null, b: ResumeLine | null) =>
+    rows.push({
+      type: 'change',
+      change: { id: nextId++, kind, before: a, after: b, words: a && b ? diffWords(a.text, b.text) : [] },
+    });
+
+  let removed: ResumeLine[] = [];
+  let added: ResumeLine[] = [];
+  const flush = () => {
+    let i = 0;
+    let j = 0;
+    while (i < removed.length || j < added.length) {
+      const a = removed[i];
+      const b = added[j];
+      if (a && b && a.kind === b.kind) {
+        change('rewritten', a, b);
+        i++;
+        j++;
+      } else if (a && !added.slice(j).some((line) => line.kind === a.kind)) {
+        change('removed', a, null);
+        i++;
+      } else {
+        change('added', null, b);
+        j++;
+      }
+    }
+    removed = [];
+    added = [];
+  };
+
+  for (const op of diffSequence(before.map(lineKey), after.map(lineKey))) {
+    if (op.type === 'delete') {
+      removed.push(before[op.aIndex]);
+    } else if (op.type === 'insert') {
+      added.push(after[op.bIndex]);
+    } else {
+      flush();
+      rows.push({ type: 'equal', line: after[op.bIndex] });
+    }
+  }
+  flush();
+
+  return rows;
+}
+
+export function resumeChanges(rows: ResumeDiffRow[]): ResumeChange[] {
+  return rows.flatMap((row) => (row.type === 'change' ? [row.change] : []));
+}
+
+/** The tailored resume with the rejected changes reverted to the base */
+export function applyResumeChanges(rows: ResumeDiffRow[], rejected: ReadonlySet<number>): ResumeContent {
+  const lines: ResumeLine[] = [];
+  for (const row of rows) {
+    if (row.type === 'equal') {
+      lines.push(row.line);
+      continue;
+    }
+    const line = rejected.has(row.change.id) ? row.change.before : row.change.after;
+    if (line) lines.push(line);
+  }
+
+  return { ...resumeContentFromLines(lines), text: resumeLinesToText(lines) };
+}
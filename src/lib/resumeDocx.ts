@@ -0,0 +1,203 @@
+import { createZip } from './zip';
+import { hasResumeSections, ResumeContent } from './resumeVersions';
+import type { CoverLetterContent } from './coverLetter';
+
+export const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+type ParagraphStyle = 'Title' | 'Heading1' | 'Normal';
+
+interface Run {
+  text: string;
+  bold?: boolean;
+}
+
+interface Paragraph {
+  style?: ParagraphStyle;
+  runs: Run[];
+  bullet?: boolean;
+  spaceAfter?: number;
+}
+
+// Control characters other than tab and newlines can't appear in XML 1.0 at all
+const isXmlChar = (char: string) => char >= ' ' || char === '\t' || char === '\n' || char === '\r';
+
+const escapeXml = (text: string) =>
+  Array.from(text)
+    .filter(isXmlChar)
+    .join('')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const p = (text: string, options: Omit<Paragraph, 'runs'> & { bold?: boolean } = {}): Paragraph => ({
+  ...options,
+  runs: [{ text, bold: options.bold }],
+});
+
+function paragraphXml({ style, runs, bullet, spaceAfter }: Paragraph): string {
+  const props = [
+    style && style !== 'Normal' ? `<w:pStyle w:val="${style}"/>` : '',
+    spaceAfter !== undefined ? `<w:spacing w:after="${spaceAfter}"/>` : '',
+    bullet ? '<w:ind w:left="360" w:hanging="216"/>' : '',
+  ].join('');
+  const body = runs
+    .map(
+      (run, i) =>
+        `<w:r>${run.bold ? '<w:rPr><w:b/></w:rPr>' : ''}<w:t xml:space="preserve">${escapeXml(
+          bullet && i === 0 ? `• ${run.text}` : run.text
+        )}</w:t></w:r>`
+    )
+    .join('');
+  return `<w:p>${props ? `<w:pPr>${props}</w:pPr>` : ''}${body}</w:p>`;
+}
+
+// Single column, standard fonts, no tables or text boxes: the same ATS-safe
+// layout generate-pdf draws, on a US Letter page with 0.75in margins
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:docDefaults>
+<w:rPrDefault><w:rPr><w:rFonts w:ascii="Arial" w:hAnsi="Arial" w:cs="Arial"/><w:sz w:val="20"/><w:szCs w:val="20"/></w:rPr></w:rPrDefault>
+<w:pPrDefault><w:pPr><w:spacing w:after="40" w:line="264" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+</w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>
+<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:spacing w:after="80"/></w:pPr><w:rPr><w:b/><w:caps/><w:sz w:val="36"/><w:szCs w:val="36"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:pBdr><w:bottom w:val="single" w:sz="4" w:space="1" w:color="000000"/></w:pBdr><w:spacing w:before="240" w:after="80"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:caps/><w:sz w:val="24"/><w:szCs w:val="24"/></w:rPr></w:style>
+</w:styles>`;
+
+const CONTENT_TYPES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+</Types>`;
+
+const PACKAGE_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+</Relationships>`;
+
+const DOCUMENT_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`;
+
+function createDocx(paragraphs: Paragraph[]): Blob {
+  const body = paragraphs.map(paragraphXml).join('');
+  const section =
+    '<w:sectPr><w:pgSz w:w="12240" w:h="15840"/>' +
+    '<w:pgMar w:top="1080" w:right="1080" w:bottom="1080" w:left="1080" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr>';
+  const document = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${body}${section}</w:body></w:document>`;
+
+  return createZip(
+    [
+      { name: '[Content_Types].xml', data: CONTENT_TYPES_XML },
+      { name: '_rels/.rels', data: PACKAGE_RELS_XML },
+      { name: 'word/_rels/document.xml.rels', data: DOCUMENT_RELS_XML },
+      { name: 'word/styles.xml', data: STYLES_XML },
+      { name: 'word/document.xml', data: document },
+    ],
+    DOCX_MIME_TYPE
+  );
+}
+
+function headerParagraphs(personalInfo: ResumeContent['personalInfo'] = {}): Paragraph[] {
+  const contact = [personalInfo.phone, personalInfo.email, personalInfo.location].filter(Boolean).join(' | ');
+  const links = [personalInfo.linkedin, personalInfo.github, personalInfo.portfolio].filter(Boolean).join(' | ');
+  return [
+    p(personalInfo.name || '', { style: 'Title' }),
+    ...(contact ? [p(contact)] : []),
+    ...(links ? [p(links)] : []),
+  ];
+}
+
+// Plain-text resumes: uppercase lines are section headings, bullet lines stay bullets
+function textParagraphs(text: string): Paragraph[] {
+  const lines = text
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+  return lines.map((line, i) => {
+    if (i === 0 && line.length < 60 && !line.includes('@')) return p(line, { style: 'Title' });
+    if (line === line.toUpperCase() && /[A-Z]/.test(line) && line.length < 50 && !line.includes('|')) {
+      return p(line, { style: 'Heading1' });
+    }
+    const bullet = line.match(/^(?:[▪•\-*])\s*(.+)$/);
+    return bullet ? p(bullet[1], { bullet: true }) : p(line);
+  });
+}
+
+/** A DOCX laid out like generate-pdf's resume; text-only snapshots fall back to their text */
+export function resumeToDocx(content: ResumeContent): Blob {
+  if (!hasResumeSections(content)) return createDocx(textParagraphs(content.text || ''));
+
+  const paragraphs = headerParagraphs(content.personalInfo);
+
+  if (content.summary) {
+    paragraphs.push(p('Professional Summary', { style: 'Heading1' }), p(content.summary));
+  }
+
+  if (content.experience?.length) {
+    paragraphs.push(p('Work Experience', { style: 'Heading1' }));
+    for (const exp of content.experience) {
+      paragraphs.push(p(`${exp.company} | ${exp.dates}`, { bold: true, spaceAfter: 0 }), p(exp.title));
+      paragraphs.push(...exp.bullets.map((bullet) => p(bullet, { bullet: true })));
+    }
+  }
+
+  if (content.education?.length) {
+    paragraphs.push(p('Education', { style: 'Heading1' }));
+    for (const edu of content.education) {
+      paragraphs.push(
+        p(`${edu.degree} | ${edu.dates}`, { bold: true, spaceAfter: 0 }),
+        p(edu.gpa ? `${edu.school} | GPA: ${edu.gpa}` : edu.school)
+      );
+    }
+  }
+
+  const { skills } = content;
+  if (skills && (skills.primary.length || skills.secondary.length)) {
+    paragraphs.push(p('Skills', { style: 'Heading1' }));
+    if (skills.primary.length) paragraphs.push(p(`Technical: ${skills.primary.join(', ')}`));
+    if (skills.secondary.length) paragraphs.push(p(`Additional: ${skills.secondary.join(', ')}`));
+  }
+
+  if (content.certifications?.length) {
+    paragraphs.push(
+      p('Certifications', { style: 'Heading1' }),
+      ...content.certifications.map((cert) => p(cert, { bullet: true }))
+    );
+  }
+
+  if (content.achievements?.length) {
+    paragraphs.push(p('Achievements', { style: 'Heading1' }));
+    for (const achievement of content.achievements) {
+      paragraphs.push(p(`${achievement.title} (${achievement.date})`, { bold: true, spaceAfter: 0 }));
+      if (achievement.description) paragraphs.push(p(achievement.description));
+    }
+  }
+
+  return createDocx(paragraphs);
+}
+
+/** A DOCX laid out like generate-pdf's cover letter, dated today */
+export function coverLetterToDocx(letter: CoverLetterContent): Blob {
+  const { personalInfo } = letter;
+  const contact = [personalInfo.phone, personalInfo.email].filter(Boolean).join(' | ');
+  const today = new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+
+  return createDocx([
+    p(personalInfo.name || '', { style: 'Title' }),
+    ...(contact ? [p(contact, { spaceAfter: 240 })] : []),
+    p(today, { spaceAfter: 240 }),
+    ...(letter.recipientCompany ? [p(letter.recipientCompany, { spaceAfter: 240 })] : []),
+    p(`Re: ${letter.jobTitle}`, { bold: true, spaceAfter: 240 }),
+    p('Dear Hiring Manager,', { spaceAfter: 160 }),
+    ...letter.paragraphs.map((paragraph) => p(paragraph, { spaceAfter: 160 })),
+    p('Sincerely,', { spaceAfter: 360 }),
+    p(personalInfo.name || '', { bold: true }),
+  ]);
+}
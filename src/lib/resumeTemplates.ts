@@ -0,0 +1,4 @@
+// PDF layouts live with the edge functions: generate-pdf renders them and
+// the extensions bundle the same engine (resume-templates.js).
+export { DEFAULT_TEMPLATE_ID, RESUME_TEMPLATES, getTemplate } from '../../supabase/functions/_shared/resume-templates/index.ts';
+export type { ResumeTemplate } from '../../supabase/functions/_shared/resume-templates/index.ts';
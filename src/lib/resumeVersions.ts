@@ -0,0 +1,271 @@
+import type { Database } from '@/integrations/supabase/types';
+import type { Profile } from '@/hooks/useProfile';
+
+export type ResumeVersion = Database['public']['Tables']['resume_versions']['Row'];
+
+/** A version without its content, as listed in pickers */
+export type ResumeVersionSummary = Omit<ResumeVersion, 'content'>;
+
+export type ResumeVersionKind = 'base' | 'tailored';
+
+export interface ResumeExperience {
+  company: string;
+  title: string;
+  dates: string;
+  bullets: string[];
+}
+
+export interface ResumeEducation {
+  degree: string;
+  school: string;
+  dates: string;
+  gpa?: string;
+}
+
+/**
+ * resume_versions.content: generate-pdf's ResumeData sections. Tailored
+ * snapshots also carry the plain-text resume in `text`.
+ */
+export interface ResumeContent {
+  personalInfo?: {
+    name?: string;
+    email?: string;
+    phone?: string;
+    location?: string;
+    linkedin?: string;
+    github?: string;
+    portfolio?: string;
+  };
+  summary?: string;
+  experience?: ResumeExperience[];
+  education?: ResumeEducation[];
+  skills?: { primary: string[]; secondary: string[] };
+  certifications?: string[];
+  achievements?: { title: string; date: string; description: string }[];
+  text?: string;
+}
+
+const BULLET_PREFIX = /^\s*(?:[▪•\-*]|\d+\.)\s*/;
+
+function toBullets(description: unknown): string[] {
+  const lines = Array.isArray(description) ? description.map(String) : String(description || '').split('\n');
+  return lines.map((line) => line.replace(BULLET_PREFIX, '').trim()).filter(Boolean);
+}
+
+function isPrimarySkill(skill: { category?: string; proficiency?: string }): boolean {
+  return skill.category === 'technical' || skill.proficiency === 'expert' || skill.proficiency === 'advanced';
+}
+
+/** Structured resume from the profile, split into skills the same way tailor-application does */
+export function profileToResumeContent(profile: Profile): ResumeContent {
+  const skills = (profile.skills || []).map((s) => (typeof s === 'string' ? { name: s } : s));
+
+  return {
+    personalInfo: {
+      name: [profile.first_name, profile.last_name].filter(Boolean).join(' '),
+      email: profile.email || '',
+      phone: profile.phone || '',
+      location: [profile.city, profile.country].filter(Boolean).join(', '),
+      linkedin: profile.linkedin || '',
+      github: profile.github || '',
+      portfolio: profile.portfolio || '',
+    },
+    experience: (profile.work_experience || []).map((exp) => ({
+      company: exp?.company || '',
+      title: exp?.title || '',
+      dates: exp?.dates || `${exp?.startDate || exp?.start_date || ''} – ${exp?.endDate || exp?.end_date || 'Present'}`,
+      bullets: toBullets(exp?.description),
+    })),
+    education: (profile.education || []).map((edu) => ({
+      degree: edu?.degree || '',
+      school: edu?.school || edu?.institution || '',
+      dates: edu?.dates || [edu?.startDate, edu?.endDate].filter(Boolean).join(' – '),
+      gpa: edu?.gpa || '',
+    })),
+    skills: {
+      primary: skills.filter(isPrimarySkill).map((s) => s.name).filter(Boolean),
+      secondary: skills.filter((s) => !isPrimarySkill(s)).map((s) => s.name).filter(Boolean),
+    },
+    certifications: profile.certifications || [],
+    achievements: (profile.achievements || []).map((a) => ({
+      title: a?.title || '',
+      date: a?.date || '',
+      description: a?.description || '',
+    })),
+  };
+}
+
+type ContactField = keyof NonNullable<ResumeContent['personalInfo']>;
+
+/**
+ * One rendered line of a resume and the structured value it came from, so a
+ * resume put together from lines of two versions can be turned back into content.
+ */
+export type ResumeLine =
+  | { kind: 'heading'; text: string }
+  | { kind: 'name'; text: string; value: string }
+  | { kind: 'contact'; text: string; field: ContactField; value: string }
+  | { kind: 'summary'; text: string; value: string }
+  | { kind: 'experience'; text: string; value: Omit<ResumeExperience, 'bullets'> }
+  | { kind: 'bullet'; text: string; value: string }
+  | { kind: 'education'; text: string; value: ResumeEducation }
+  | { kind: 'skills'; text: string; tier: 'primary' | 'secondary'; value: string[] }
+  | { kind: 'certification'; text: string; value: string }
+  | { kind: 'achievement'; text: string; value: { title: string; date: string; description: string } };
+
+const CONTACT_LABELS: [ContactField, string][] = [
+  ['email', 'Email'],
+  ['phone', 'Phone'],
+  ['location', 'Location'],
+  ['linkedin', 'LinkedIn'],
+  ['github', 'GitHub'],
+  ['portfolio', 'Portfolio'],
+];
+
+/** True when the content has structured sections, not just the text of a tailored resume */
+export function hasResumeSections(content: ResumeContent): boolean {
+  return !!(content.personalInfo || content.summary || content.experience?.length || content.skills);
+}
+
+/** The structured sections as lines, one per bullet/entry, under upper-case headings */
+export function resumeContentLines(content: ResumeContent): ResumeLine[] {
+  const lines: ResumeLine[] = [];
+  const heading = (title: string) => lines.push({ kind: 'heading', text: title.toUpperCase() });
+
+  const info = content.personalInfo || {};
+  if (info.name) lines.push({ kind: 'name', text: info.name, value: info.name });
+  for (const [field, label] of CONTACT_LABELS) {
+    const value = info[field];
+    if (value) lines.push({ kind: 'contact', text: `${label}: ${value}`, field, value });
+  }
+
+  if (content.summary) {
+    heading('Professional Summary');
+    const summary = content.summary.replace(/\s*\n\s*/g, ' ').trim();
+    lines.push({ kind: 'summary', text: summary, value: summary });
+  }
+
+  if (content.experience?.length) {
+    heading('Work Experience');
+    for (const { bullets, ...exp } of content.experience) {
+      lines.push({ kind: 'experience', text: `${exp.title} — ${exp.company} (${exp.dates})`, value: exp });
+      (bullets || []).forEach((bullet) => lines.push({ kind: 'bullet', text: `• ${bullet}`, value: bullet }));
+    }
+  }
+
+  if (content.education?.length) {
+    heading('Education');
+    for (const edu of content.education) {
+      const text = `${edu.degree} — ${edu.school}${edu.dates ? ` (${edu.dates})` : ''}${edu.gpa ? `, GPA ${edu.gpa}` : ''}`;
+      lines.push({ kind: 'education', text, value: edu });
+    }
+  }
+
+  const { primary = [], secondary = [] } = content.skills || {};
+  if (primary.length || secondary.length) {
+    heading('Skills');
+    if (primary.length) lines.push({ kind: 'skills', text: `Primary: ${primary.join(', ')}`, tier: 'primary', value: primary });
+    if (secondary.length) {
+      lines.push({ kind: 'skills', text: `Secondary: ${secondary.join(', ')}`, tier: 'secondary', value: secondary });
+    }
+  }
+
+  if (content.certifications?.length) {
+    heading('Certifications');
+    content.certifications.forEach((cert) => lines.push({ kind: 'certification', text: `• ${cert}`, value: cert }));
+  }
+
+  if (content.achievements?.length) {
+    heading('Achievements');
+    for (const a of content.achievements) {
+      const text = `• ${a.title}${a.date ? ` (${a.date})` : ''}${a.description ? `: ${a.description}` : ''}`;
+      lines.push({ kind: 'achievement', text, value: a });
+    }
+  }
+
+  return lines;
+}
+
+/** Inverse of resumeContentLines; bullets belong to the experience line above them */
+export function resumeContentFromLines(lines: ResumeLine[]): ResumeContent {
+  const personalInfo: NonNullable<ResumeContent['personalInfo']> = {};
+  const experience: ResumeExperience[] = [];
+  const education: ResumeEducation[] = [];
+  const skills = { primary: [] as string[], secondary: [] as string[] };
+  const certifications: string[] = [];
+  const achievements: NonNullable<ResumeContent['achievements']> = [];
+  const summary: string[] = [];
+
+  for (const line of lines) {
+    switch (line.kind) {
+      case 'name':
+        personalInfo.name = line.value;
+        break;
+      case 'contact':
+        personalInfo[line.field] = line.value;
+        break;
+      case 'summary':
+        summary.push(line.value);
+        break;
+      case 'experience':
+        experience.push({ ...line.value, bullets: [] });
+        break;
+      case 'bullet':
+        if (experience.length === 0) experience.push({ company: '', title: '', dates: '', bullets: [] });
+        experience[experience.length - 1].bullets.push(line.value);
+        break;
+      case 'education':
+        education.push(line.value);
+        break;
+      case 'skills':
+        skills[line.tier] = line.value;
+        break;
+      case 'certification':
+        certifications.push(line.value);
+        break;
+      case 'achievement':
+        achievements.push(line.value);
+        break;
+    }
+  }
+
+  return {
+    personalInfo,
+    summary: summary.join(' ') || undefined,
+    experience,
+    education,
+    skills,
+    certifications,
+    achievements,
+  };
+}
+
+/** Plain text of a version, for diffs: the stored text of a tailored snapshot, else rendered from the sections */
+export function resumeContentToText(content: ResumeContent): string {
+  if (content.text) return content.text;
+  return resumeLinesToText(resumeContentLines(content));
+}
+
+/** Lines joined with a blank line before each heading */
+export function resumeLinesToText(lines: ResumeLine[]): string {
+  return lines
+    .map((line, i) => (line.kind === 'heading' && i > 0 ? `\n${line.text}` : line.text))
+    .join('\n');
+}
+
+/** "ML Engineer v3" */
+export function resumeVersionLabel(version: Pick<ResumeVersion, 'name' | 'version'>): string {
+  return `${version.name} v${version.version}`;
+}
+
+/**
+ * The newest version of each base CV: base versions that no other base
+ * version was saved from. These are the variants offered for tailoring.
+ */
+export function latestBaseVersions<T extends ResumeVersionSummary>(versions: T[]): T[] {
+  const base = versions.filter((v) => v.kind === 'base');
+  const superseded = new Set(base.map((v) => v.parent_id).filter(Boolean));
+  return base
+    .filter((v) => !superseded.has(v.id))
+    .sort((a, b) => Number(b.is_default) - Number(a.is_default) || a.name.localeCompare(b.name));
+}
@@ -0,0 +1,83 @@
+// The parser itself lives with the edge functions so job search and the UI
+// read salaries the same way.
+import {
+  ParsedSalary,
+  currencyForLocation,
+  formatAmount,
+  formatSalary,
+  parseSalary,
+  toAnnualSalary,
+} from '../../supabase/functions/_shared/salary.ts';
+
+export * from '../../supabase/functions/_shared/salary.ts';
+
+export const DEFAULT_CURRENCY = 'USD';
+
+// Salary filter options; minAnnual is in the user's currency, see salaryMeetsMinimum
+export const SALARY_RANGES: { value: string; minAnnual: number | null }[] = [
+  { value: 'all', minAnnual: null },
+  { value: '100k+', minAnnual: 100000 },
+  { value: '150k+', minAnnual: 150000 },
+  { value: '200k+', minAnnual: 200000 },
+  { value: '250k+', minAnnual: 250000 },
+  { value: '300k+', minAnnual: 300000 },
+];
+
+type SalaryJob = { salary: string | null; location?: string | null; description?: string | null };
+
+/** Label for a SALARY_RANGES option, e.g. "\u20ac150k+" */
+export function salaryRangeLabel(minAnnual: number | null, currency: string): string {
+  if (minAnnual === null) return 'Any Salary';
+  return `${formatAmount(minAnnual / 1000, currency)}k+`;
+}
+
+/** Currency salaries are normalised to for this user, taken from their profile location */
+export function currencyForProfile(
+  profile: { country: string | null; city?: string | null } | null | undefined
+): string {
+  if (!profile) return DEFAULT_CURRENCY;
+  return currencyForLocation(profile.country) || currencyForLocation(profile.city) || DEFAULT_CURRENCY;
+}
+
+/** A listing's salary from its dedicated field, falling back to the description */
+export function parseJobSalary(job: SalaryJob): ParsedSalary | null {
+  const options = { defaultCurrency: currencyForLocation(job.location) };
+  return parseSalary(job.salary, { ...options, salaryField: true }) || parseSalary(job.description, options);
+}
+
+/**
+ * Salary for display on a job card: the listing's own figures plus, when they
+ * are not already yearly in the user's currency, an annual conversion such as
+ * "\u2248 \u20ac92,000 - \u20ac110,000 / year". Null when the listing has no salary.
+ */
+export function describeJobSalary(
+  job: SalaryJob,
+  currency: string
+): { label: string; annual: string | null; source: string } | null {
+  const parsed = parseJobSalary(job);
+  if (!parsed) {
+    const raw = job.salary?.trim();
+    return raw ? { label: raw, annual: null, source: raw } : null;
+  }
+
+  const alreadyAnnual = parsed.period === 'year' && (parsed.currency || currency) === currency;
+  const annual = alreadyAnnual ? null : toAnnualSalary(parsed, currency);
+  return {
+    label: formatSalary(parsed),
+    annual: annual && `\u2248 ${formatSalary({ ...parsed, ...annual, period: 'year', equity: false })}`,
+    source: parsed.source,
+  };
+}
+
+/**
+ * Whether a listing can pay at least minAnnual (in currency) per year.
+ * The top of a range counts; listings without a readable salary do not match.
+ */
+export function salaryMeetsMinimum(job: SalaryJob, minAnnual: number, currency: string): boolean {
+  const parsed = parseJobSalary(job);
+  if (!parsed) return false;
+
+  const annual = toAnnualSalary(parsed, currency);
+  const top = annual?.max ?? annual?.min;
+  return top != null && top >= minAnnual;
+}
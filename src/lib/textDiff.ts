@@ -0,0 +1,85 @@
+export type DiffType = 'equal' | 'insert' | 'delete';
+
+export interface DiffPart {
+  type: DiffType;
+  value: string;
+}
+
+/** One step of a sequence diff: an index into `a` (equal, delete) and/or `b` (equal, insert) */
+export interface DiffOp {
+  type: DiffType;
+  aIndex: number;
+  bIndex: number;
+}
+
+/**
+ * Longest-common-subsequence diff of two key lists. Fine for resume-sized
+ * input; the table is a.length × b.length.
+ */
+export function diffSequence(a: string[], b: string[]): DiffOp[] {
+  const lcs: number[][] = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops: DiffOp[] = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push({ type: 'equal', aIndex: i++, bIndex: j++ });
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ type: 'delete', aIndex: i++, bIndex: j });
+    } else {
+      ops.push({ type: 'insert', aIndex: i, bIndex: j++ });
+    }
+  }
+  while (i < a.length) ops.push({ type: 'delete', aIndex: i++, bIndex: j });
+  while (j < b.length) ops.push({ type: 'insert', aIndex: i, bIndex: j++ });
+
+  return ops;
+}
+
+/** diffSequence over tokens, with adjacent tokens of the same type merged into one part */
+export function diffTokens(a: string[], b: string[]): DiffPart[] {
+  const parts: DiffPart[] = [];
+  for (const op of diffSequence(a, b)) {
+    const value = op.type === 'insert' ? b[op.bIndex] : a[op.aIndex];
+    const last = parts[parts.length - 1];
+    if (last?.type === op.type) last.value += value;
+    else parts.push({ type: op.type, value });
+  }
+  return parts;
+}
+
+/** Line diff; every line in a part's value ends with a newline */
+export function diffLines(before: string, after: string): DiffPart[] {
+  const split = (text: string) =>
+    text ? text.replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n').map((line) => `${line}\n`) : [];
+  return diffTokens(split(before), split(after));
+}
+
+/** Word diff; whitespace runs are tokens of their own so the parts join back into the inputs */
+export function diffWords(before: string, after: string): DiffPart[] {
+  const split = (text: string) => text.split(/(\s+)/).filter(Boolean);
+  return diffTokens(split(before), split(after));
+}
+
+export interface DiffStats {
+  added: number;
+  removed: number;
+}
+
+/** Lines added and removed */
+export function diffStats(parts: DiffPart[]): DiffStats {
+  const count = (value: string) => value.split('\n').filter(Boolean).length;
+  return parts.reduce(
+    (stats, part) => ({
+      added: stats.added + (part.type === 'insert' ? count(part.value) : 0),
+      removed: stats.removed + (part.type === 'delete' ? count(part.value) : 0),
+    }),
+    { added: 0, removed: 0 }
+  );
+}
@@ -25,7 +25,6 @@ import {
 import { Checkbox } from '@/components/ui/checkbox';
 import {
   FileText,
-  Download,
   Eye,
   Search,
   Trash2,
@@ -37,17 +36,60 @@ import {
   CheckCircle,
   XCircle,
   MessageSquare,
+  LayoutGrid,
+  List,
+  GitCompare,
 } from 'lucide-react';
 import { useApplications } from '@/hooks/useApplications';
+import { useResumeVersions } from '@/hooks/useResumeVersions';
+import { DocumentFormat, useResumeDocuments } from '@/hooks/useResumeDocuments';
+import { ApplicationKanban } from '@/components/applications/ApplicationKanban';
+import { StageSettingsDialog } from '@/components/applications/StageSettingsDialog';
+import { EmailResponsesPanel } from '@/components/email/EmailResponsesPanel';
+import { ResumeDiffDialog } from '@/components/resume/ResumeDiffDialog';
+import { TailoredResumeReview } from '@/components/resume/TailoredResumeReview';
+import { DocumentDownloadMenu } from '@/components/applications/DocumentDownloadMenu';
+import { SubmittedFields } from '@/components/applications/SubmittedFields';
+import { resumeVersionLabel } from '@/lib/resumeVersions';
+import { computePipelineStats, formatDuration, getStageColorClass } from '@/lib/pipeline';
 import { toast } from 'sonner';
 import { format } from 'date-fns';
 
 const Applications = () => {
-  const { applications, isLoading, deleteApplications } = useApplications();
+  const {
+    applications,
+    isLoading,
+    fetchApplications,
+    deleteApplications,
+    updateTailoredResume,
+    stages,
+    addStage,
+    updateStage,
+    deleteStage,
+    moveStage,
+    moveApplicationToStage,
+    timeInStage,
+  } = useApplications();
+  const [view, setView] = useState<'board' | 'table'>('board');
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedIds, setSelectedIds] = useState<string[]>([]);
   const [copiedId, setCopiedId] = useState<string | null>(null);
   const [viewingApplication, setViewingApplication] = useState<any | null>(null);
+  const { versions: resumeVersions, getVersionContent, refetch: refetchResumeVersions } = useResumeVersions();
+  const [comparingVersionId, setComparingVersionId] = useState<string | null>(null);
+  const { isGenerating, downloadApplicationDocument, downloadApplicationsZip } = useResumeDocuments();
+
+  const resumeVersionsById = useMemo(
+    () => new Map(resumeVersions.map((v) => [v.id, v])),
+    [resumeVersions]
+  );
+
+  // The base version an application's resume snapshot was tailored from
+  const baseLabelOf = (snapshotId: string | null) => {
+    const parentId = snapshotId ? resumeVersionsById.get(snapshotId)?.parent_id : null;
+    const base = parentId ? resumeVersionsById.get(parentId) : null;
+    return base ? resumeVersionLabel(base) : null;
+  };
 
   const filteredApplications = useMemo(() => {
     if (!searchTerm) return applications;
@@ -86,16 +128,16 @@ const Applications = () => {
     setTimeout(() => setCopiedId(null), 2000);
   };
 
-  const handleDownloadPDF = (content: string, filename: string) => {
-    // Create a simple text file download (real PDF would require library)
-    const blob = new Blob([content], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${filename}.txt`;
-    a.click();
-    URL.revokeObjectURL(url);
-    toast.success('Downloaded!');
+  const handleBulkDownload = (format: DocumentFormat) =>
+    downloadApplicationsZip(
+      applications.filter((app) => selectedIds.includes(app.id)),
+      format
+    );
+
+  const getStageBadge = (stageId: string | null, status: string) => {
+    const stage = stages.find((s) => s.id === stageId);
+    if (!stage) return getStatusBadge(status);
+    return <Badge className={getStageColorClass(stage.color)}>{stage.name}</Badge>;
   };
 
   const getStatusBadge = (status: string) => {
@@ -113,14 +155,10 @@ const Applications = () => {
     }
   };
 
-  const stats = useMemo(() => {
-    const total = applications.length;
-    const applied = applications.filter((a) => a.status === 'applied').length;
-    const interviewing = applications.filter((a) => a.status === 'interviewing').length;
-    const offered = applications.filter((a) => a.status === 'offered').length;
-    const rejected = applications.filter((a) => a.status === 'rejected').length;
-    return { total, applied, interviewing, offered, rejected };
-  }, [applications]);
+  const stats = useMemo(
+    () => ({ total: applications.length, ...computePipelineStats(applications) }),
+    [applications]
+  );
 
   return (
     <AppLayout>
@@ -215,16 +253,54 @@ const Applications = () => {
               className="pl-9"
             />
           </div>
-          {selectedIds.length > 0 && (
-            <Button variant="destructive" size="sm" onClick={handleBulkDelete}>
-              <Trash2 className="h-4 w-4 mr-2" />
-              Delete ({selectedIds.length})
-            </Button>
-          )}
+          <div className="flex items-center gap-2">
+            {selectedIds.length > 0 && view === 'table' && (
+              <>
+                <DocumentDownloadMenu
+                  label={`Download (${selectedIds.length})`}
+                  isGenerating={isGenerating}
+                  onDownload={handleBulkDownload}
+                />
+                <Button variant="destructive" size="sm" onClick={handleBulkDelete}>
+                  <Trash2 className="h-4 w-4 mr-2" />
+                  Delete ({selectedIds.length})
+                </Button>
+              </>
+            )}
+            <StageSettingsDialog
+              stages={stages}
+              onAdd={addStage}
+              onUpdate={updateStage}
+              onDelete={deleteStage}
+              onMove={moveStage}
+            />
+            <Tabs value={view} onValueChange={(value) => setView(value as 'board' | 'table')}>
+              <TabsList>
+                <TabsTrigger value="board">
+                  <LayoutGrid className="h-4 w-4 mr-1" />
+                  Board
+                </TabsTrigger>
+                <TabsTrigger value="table">
+                  <List className="h-4 w-4 mr-1" />
+                  Table
+                </TabsTrigger>
+              </TabsList>
+            </Tabs>
+          </div>
         </div>
 
+        {/* Pipeline Board */}
+        {view === 'board' && !isLoading && (
+          <ApplicationKanban
+            stages={stages}
+            applications={filteredApplications}
+            onMove={moveApplicationToStage}
+            timeInStage={timeInStage}
+          />
+        )}
+
         {/* Applications Table */}
-        <Card>
+        <Card className={view === 'board' && !isLoading ? 'hidden' : undefined}>
           <CardContent className="p-0">
             {isLoading ? (
               <div className="p-6 space-y-4">
@@ -252,7 +328,8 @@ const Applications = () => {
                     </TableHead>
                     <TableHead>Job</TableHead>
                     <TableHead>Company</TableHead>
-                    <TableHead>Status</TableHead>
+                    <TableHead>Stage</TableHead>
+                    <TableHead>In Stage</TableHead>
                     <TableHead>Applied</TableHead>
                     <TableHead className="text-right">Actions</TableHead>
                   </TableRow>
@@ -270,7 +347,10 @@ const Applications = () => {
                         {app.job?.title || 'Unknown Job'}
                       </TableCell>
                       <TableCell>{app.job?.company || 'Unknown'}</TableCell>
-                      <TableCell>{getStatusBadge(app.status || 'pending')}</TableCell>
+                      <TableCell>{getStageBadge(app.stage_id, app.status || 'pending')}</TableCell>
+                      <TableCell className="text-sm text-muted-foreground">
+                        {formatDuration(timeInStage(app))}
+                      </TableCell>
                       <TableCell>
                         <div className="flex items-center gap-1 text-sm text-muted-foreground">
                           <Clock className="h-3.5 w-3.5" />
@@ -291,16 +371,18 @@ const Applications = () => {
                                 <Eye className="h-4 w-4" />
                               </Button>
                             </DialogTrigger>
-                            <DialogContent className="max-w-3xl max-h-[80vh] overflow-hidden">
+                            <DialogContent className="max-w-5xl max-h-[85vh] overflow-hidden">
                               <DialogHeader>
                                 <DialogTitle>
                                   {app.job?.title} at {app.job?.company}
                                 </DialogTitle>
                               </DialogHeader>
                               <Tabs defaultValue="resume" className="mt-4">
-                                <TabsList className="grid w-full grid-cols-2">
+                                <TabsList className="grid w-full grid-cols-4">
                                   <TabsTrigger value="resume">Tailored Resume</TabsTrigger>
+                                  <TabsTrigger value="changes">Changes vs Base</TabsTrigger>
                                   <TabsTrigger value="cover">Cover Letter</TabsTrigger>
+                                  <TabsTrigger value="submitted">Submitted Answers</TabsTrigger>
                                 </TabsList>
                                 <TabsContent value="resume" className="mt-4">
                                   <div className="flex gap-2 mb-3">
@@ -322,26 +404,48 @@ const Applications = () => {
                                       )}
                                       Copy
                                     </Button>
-                                    <Button
-                                      size="sm"
-                                      variant="outline"
-                                      onClick={() =>
-                                        handleDownloadPDF(
-                                          app.tailored_resume || '',
-                                          `resume-${app.job?.company || 'job'}`
-                                        )
-                                      }
-                                    >
-                                      <Download className="h-4 w-4 mr-1" />
-                                      Download
-                                    </Button>
+                                    <DocumentDownloadMenu
+                                      label="Download"
+                                      isGenerating={isGenerating}
+                                      disabled={!app.tailored_resume}
+                                      onDownload={(format) => downloadApplicationDocument(app, 'resume', format)}
+                                    />
+                                    {app.resume_version_id && (
+                                      <Button
+                                        size="sm"
+                                        variant="outline"
+                                        onClick={() => {
+                                          // Snapshots made since the page loaded aren't listed yet
+                                          if (!resumeVersionsById.has(app.resume_version_id || '')) refetchResumeVersions();
+                                          setComparingVersionId(app.resume_version_id);
+                                        }}
+                                      >
+                                        <GitCompare className="h-4 w-4 mr-1" />
+                                        Compare with base
+                                      </Button>
+                                    )}
                                   </div>
+                                  {baseLabelOf(app.resume_version_id) && (
+                                    <p className="text-xs text-muted-foreground mb-2">
+                                      Tailored from {baseLabelOf(app.resume_version_id)}
+                                    </p>
+                                  )}
                                   <ScrollArea className="h-[400px] rounded-lg border bg-muted/30 p-4">
                                     <pre className="whitespace-pre-wrap text-sm">
                                       {app.tailored_resume || 'No tailored resume available'}
                                     </pre>
                                   </ScrollArea>
                                 </TabsContent>
+                                <TabsContent value="changes" className="mt-4">
+                                  <TailoredResumeReview
+                                    resumeVersionId={app.resume_version_id}
+                                    onSaved={async (tailoredResume, resumeVersionId) => {
+                                      if (await updateTailoredResume(app.id, tailoredResume, resumeVersionId)) {
+                                        toast.success('Reviewed resume saved to the application');
+                                      }
+                                    }}
+                                  />
+                                </TabsContent>
                                 <TabsContent value="cover" className="mt-4">
                                   <div className="flex gap-2 mb-3">
                                     <Button
@@ -362,19 +466,12 @@ const Applications = () => {
                                       )}
                                       Copy
                                     </Button>
-                                    <Button
-                                      size="sm"
-                                      variant="outline"
-                                      onClick={() =>
-                                        handleDownloadPDF(
-                                          app.tailored_cover_letter || '',
-                                          `cover-letter-${app.job?.company || 'job'}`
-                                        )
-                                      }
-                                    >
-                                      <Download className="h-4 w-4 mr-1" />
-                                      Download
-                                    </Button>
+                                    <DocumentDownloadMenu
+                                      label="Download"
+                                      isGenerating={isGenerating}
+                                      disabled={!app.tailored_cover_letter}
+                                      onDownload={(format) => downloadApplicationDocument(app, 'cover_letter', format)}
+                                    />
                                   </div>
                                   <ScrollArea className="h-[400px] rounded-lg border bg-muted/30 p-4">
                                     <pre className="whitespace-pre-wrap text-sm">
@@ -383,6 +480,9 @@ const Applications = () => {
                                     </pre>
                                   </ScrollArea>
                                 </TabsContent>
+                                <TabsContent value="submitted" className="mt-4">
+                                  <SubmittedFields submission={app.submission} />
+                                </TabsContent>
                               </Tabs>
                             </DialogContent>
                           </Dialog>
@@ -404,6 +504,17 @@ const Applications = () => {
             )}
           </CardContent>
         </Card>
+
+        {/* Recruiter responses linked to applications */}
+        <EmailResponsesPanel applications={applications} onApplicationsChanged={fetchApplications} />
+
+        <ResumeDiffDialog
+          open={!!comparingVersionId}
+          onOpenChange={(open) => !open && setComparingVersionId(null)}
+          versions={resumeVersions}
+          rightId={comparingVersionId}
+          getVersionContent={getVersionContent}
+        />
       </div>
     </AppLayout>
   );
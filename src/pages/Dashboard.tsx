@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useMemo } from 'react';
 import { AppLayout } from '@/components/layout/AppLayout';
 import { StatsCard } from '@/components/dashboard/StatsCard';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
@@ -7,6 +7,8 @@ import { Badge } from '@/components/ui/badge';
 import { useAuth } from '@/hooks/useAuth';
 import { useJobs } from '@/hooks/useJobs';
 import { useProfile } from '@/hooks/useProfile';
+import { useApplications } from '@/hooks/useApplications';
+import { computePipelineStats } from '@/lib/pipeline';
 import { Link } from 'react-router-dom';
 import { 
   Briefcase, 
@@ -26,20 +28,11 @@ const Dashboard = () => {
   const { user, signOut } = useAuth();
   const { jobs } = useJobs();
   const { profile, loadCVData } = useProfile();
-  const [stats, setStats] = useState({
-    applied: 0,
-    interviewing: 0,
-    offered: 0,
-    pending: 0,
-  });
+  const { applications } = useApplications();
 
-  useEffect(() => {
-    const applied = jobs.filter(j => j.status === 'applied').length;
-    const interviewing = jobs.filter(j => j.status === 'interviewing').length;
-    const offered = jobs.filter(j => j.status === 'offered').length;
-    const pending = jobs.filter(j => j.status === 'pending').length;
-    setStats({ applied, interviewing, offered, pending });
-  }, [jobs]);
+  // Funnel counts come from stage history so moving an application on the
+  // board (or rejecting it after an interview) is reflected accurately
+  const stats = useMemo(() => computePipelineStats(applications), [applications]);
 
   const topMatches = jobs
     .filter(j => j.status === 'pending')
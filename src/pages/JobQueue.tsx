@@ -1,4 +1,5 @@
-import { useState, useCallback, useRef, useEffect } from 'react';
+import { useState, useRef } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
 import { AppLayout } from '@/components/layout/AppLayout';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
@@ -19,7 +20,6 @@ import {
   Upload,
   Play,
   Pause,
-  Square,
   Trash2,
   Link,
   Plus,
@@ -32,132 +32,61 @@ import {
   ExternalLink,
   RefreshCw,
   CheckSquare,
+  Clock,
 } from 'lucide-react';
 import { toast } from 'sonner';
-import { supabase } from '@/integrations/supabase/client';
-import { useProfile } from '@/hooks/useProfile';
-import { useAuth } from '@/hooks/useAuth';
+import { useJobQueue } from '@/hooks/useJobQueue';
+import { JobQueueItem, describeQueueItem, extractJobUrls } from '@/lib/jobQueue';
 
-interface QueueItem {
-  id: string;
-  url: string;
-  status: 'pending' | 'processing' | 'completed' | 'failed';
-  title?: string;
-  company?: string;
-  error?: string;
-}
+const formatTime = (iso: string) =>
+  new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 
 const JobQueuePage = () => {
-  const { user } = useAuth();
-  const { profile } = useProfile();
-  const [queue, setQueue] = useState<QueueItem[]>([]);
+  const {
+    items: queue,
+    isLoading,
+    isKicking,
+    addUrls: enqueueUrls,
+    removeItems,
+    clearCompleted,
+    pause,
+    resume,
+    retryDead,
+    runWorker,
+  } = useJobQueue();
   const [selectedIds, setSelectedIds] = useState<string[]>([]);
-  const [isProcessing, setIsProcessing] = useState(false);
-  const [isPaused, setIsPaused] = useState(false);
-  const [progress, setProgress] = useState(0);
   const [urlInput, setUrlInput] = useState('');
   const [isDragging, setIsDragging] = useState(false);
-  const abortRef = useRef<AbortController | null>(null);
-  const pauseRef = useRef(false);
   const fileInputRef = useRef<HTMLInputElement>(null);
 
-  // Validate job URL
-  const isValidJobUrl = (url: string): boolean => {
-    try {
-      const parsed = new URL(url);
-      const validDomains = [
-        'greenhouse.io',
-        'lever.co',
-        'workday.com',
-        'myworkdayjobs.com',
-        'ashbyhq.com',
-        'smartrecruiters.com',
-        'icims.com',
-        'jobvite.com',
-        'linkedin.com',
-        'workable.com',
-      ];
-      return validDomains.some((d) => parsed.hostname.includes(d));
-    } catch {
-      return false;
-    }
-  };
-
   // Add URLs
-  const addUrls = useCallback(() => {
+  const addUrls = async () => {
     if (!urlInput.trim()) return;
 
-    const urls = urlInput
-      .split(/[\n,]/)
-      .map((u) => u.trim())
-      .filter((u) => u && isValidJobUrl(u));
-
+    const urls = extractJobUrls(urlInput);
     if (urls.length === 0) {
       toast.error('No valid job URLs found');
       return;
     }
 
-    // Check for duplicates
-    const existingUrls = new Set(queue.map((q) => q.url));
-    const newUrls = urls.filter((url) => !existingUrls.has(url));
-
-    if (newUrls.length === 0) {
-      toast.info('All URLs already in queue');
-      return;
+    if (await enqueueUrls(urls) > 0) {
+      setUrlInput('');
+      runWorker();
     }
-
-    const newItems: QueueItem[] = newUrls.map((url) => ({
-      id: crypto.randomUUID(),
-      url,
-      status: 'pending',
-    }));
-
-    setQueue((prev) => [...prev, ...newItems]);
-    setUrlInput('');
-    toast.success(`Added ${newItems.length} job(s) to queue`);
-  }, [urlInput, queue]);
+  };
 
   // Process CSV
-  const processCSV = useCallback(
-    (text: string) => {
-      const urls: string[] = [];
-      const lines = text.split(/\r?\n/);
-
-      for (const line of lines) {
-        const urlMatch = line.match(/https?:\/\/[^\s,"\\'<>]+/gi);
-        if (urlMatch) {
-          urlMatch.forEach((url) => {
-            if (isValidJobUrl(url) && !urls.includes(url)) {
-              urls.push(url);
-            }
-          });
-        }
-      }
-
-      if (urls.length === 0) {
-        toast.error('No valid job URLs found in CSV');
-        return;
-      }
-
-      const existingUrls = new Set(queue.map((q) => q.url));
-      const newUrls = urls.filter((url) => !existingUrls.has(url));
-
-      if (newUrls.length === 0) {
-        toast.info('All URLs already in queue');
-        return;
-      }
-
-      const newItems: QueueItem[] = newUrls.map((url) => ({
-        id: crypto.randomUUID(),
-        url,
-        status: 'pending',
-      }));
+  const processCSV = async (text: string) => {
+    const urls = extractJobUrls(text);
+    if (urls.length === 0) {
+      toast.error('No valid job URLs found in CSV');
+      return;
+    }
 
-      setQueue((prev) => [...prev, ...newItems]);
-      toast.success(`Imported ${newItems.length} job(s) from CSV`);
-    },
-    [queue]
-  );
+    if (await enqueueUrls(urls) > 0) {
+      runWorker();
+    }
+  };
 
   // Handle file upload
   const handleFileUpload = (file: File) => {
@@ -199,230 +128,21 @@ const JobQueuePage = () => {
   };
 
   // Delete selected
-  const deleteSelected = () => {
+  const deleteSelected = async () => {
     if (selectedIds.length === 0) return;
-    setQueue((prev) => prev.filter((q) => !selectedIds.includes(q.id)));
+    await removeItems(selectedIds);
     setSelectedIds([]);
-    toast.success(`Removed ${selectedIds.length} item(s)`);
   };
 
-  // Clear all
-  const clearAll = () => {
-    setQueue([]);
+  // Clear all (items being processed finish first)
+  const clearAll = async () => {
+    await removeItems(queue.filter((q) => q.status !== 'processing').map((q) => q.id));
     setSelectedIds([]);
-    toast.success('Queue cleared');
   };
 
-  // Start automation
-  const startAutomation = async () => {
-    if (!profile) {
-      toast.error('Please complete your profile first');
-      return;
-    }
-
-    const pendingItems = queue.filter((q) => q.status === 'pending');
-    if (pendingItems.length === 0) {
-      toast.error('No pending jobs in queue');
-      return;
-    }
-
-    setIsProcessing(true);
-    setIsPaused(false);
-    pauseRef.current = false;
-    setProgress(0);
-    abortRef.current = new AbortController();
-
-    for (let i = 0; i < pendingItems.length; i++) {
-      // Check for abort
-      if (abortRef.current.signal.aborted) break;
-
-      // Wait while paused
-      while (pauseRef.current && !abortRef.current.signal.aborted) {
-        await new Promise((r) => setTimeout(r, 100));
-      }
-
-      // Check abort again after pause
-      if (abortRef.current.signal.aborted) break;
-
-      const item = pendingItems[i];
-      setQueue((prev) =>
-        prev.map((q) => (q.id === item.id ? { ...q, status: 'processing' } : q))
-      );
-
-      try {
-        const { data, error } = await supabase.functions.invoke('tailor-application', {
-          body: {
-            jobUrl: item.url,
-            userProfile: {
-              firstName: profile.first_name,
-              lastName: profile.last_name,
-              email: profile.email,
-              phone: profile.phone,
-              linkedin: profile.linkedin,
-              github: profile.github,
-              portfolio: profile.portfolio,
-              coverLetter: profile.cover_letter,
-              workExperience: profile.work_experience,
-              education: profile.education,
-              skills: profile.skills,
-              certifications: profile.certifications,
-              achievements: profile.achievements,
-              atsStrategy: profile.ats_strategy,
-            },
-          },
-        });
-
-        if (error) throw error;
-
-        if (data.jobTitle) {
-          await supabase.from('jobs').insert({
-            user_id: user?.id,
-            title: data.jobTitle || 'Unknown Position',
-            company: data.company || 'Unknown Company',
-            location: data.location || 'Remote',
-            description: data.description,
-            url: item.url,
-            match_score: data.matchScore || 0,
-            status: 'applied',
-            applied_at: new Date().toISOString(),
-          });
-        }
-
-        setQueue((prev) =>
-          prev.map((q) =>
-            q.id === item.id
-              ? {
-                  ...q,
-                  status: 'completed',
-                  title: data.jobTitle,
-                  company: data.company,
-                }
-              : q
-          )
-        );
-      } catch (error: any) {
-        console.error('Queue processing error:', error);
-        
-        // Check for rate limit and add retry logic
-        const errorMsg = error?.message || error?.error || 'Failed';
-        const isRateLimit = errorMsg.toLowerCase().includes('rate limit') || error?.status === 429;
-        
-        if (isRateLimit) {
-          // Wait longer and retry once
-          toast.warning('Rate limit hit, waiting 10 seconds before retry...');
-          await new Promise((r) => setTimeout(r, 10000));
-          
-          try {
-            const { data: retryData, error: retryError } = await supabase.functions.invoke('tailor-application', {
-              body: {
-                jobUrl: item.url,
-                userProfile: {
-                  firstName: profile.first_name,
-                  lastName: profile.last_name,
-                  email: profile.email,
-                  phone: profile.phone,
-                  linkedin: profile.linkedin,
-                  github: profile.github,
-                  portfolio: profile.portfolio,
-                  coverLetter: profile.cover_letter,
-                  workExperience: profile.work_experience,
-                  education: profile.education,
-                  skills: profile.skills,
-                  certifications: profile.certifications,
-                  achievements: profile.achievements,
-                  atsStrategy: profile.ats_strategy,
-                },
-              },
-            });
-            
-            if (!retryError && retryData.jobTitle) {
-              await supabase.from('jobs').insert({
-                user_id: user?.id,
-                title: retryData.jobTitle || 'Unknown Position',
-                company: retryData.company || 'Unknown Company',
-                location: retryData.location || 'Remote',
-                description: retryData.description,
-                url: item.url,
-                match_score: retryData.matchScore || 0,
-                status: 'applied',
-                applied_at: new Date().toISOString(),
-              });
-              
-              setQueue((prev) =>
-                prev.map((q) =>
-                  q.id === item.id
-                    ? { ...q, status: 'completed', title: retryData.jobTitle, company: retryData.company }
-                    : q
-                )
-              );
-            } else {
-              throw retryError || new Error('Retry failed');
-            }
-          } catch (retryErr) {
-            setQueue((prev) =>
-              prev.map((q) =>
-                q.id === item.id
-                  ? { ...q, status: 'failed', error: 'Rate limit exceeded after retry' }
-                  : q
-              )
-            );
-          }
-        } else {
-          setQueue((prev) =>
-            prev.map((q) =>
-              q.id === item.id
-                ? { ...q, status: 'failed', error: errorMsg }
-                : q
-            )
-          );
-        }
-      }
-
-      setProgress(((i + 1) / pendingItems.length) * 100);
-      
-      // Longer delay between requests to avoid rate limits (3-5 seconds with jitter)
-      const baseDelay = 3000;
-      const jitter = Math.random() * 2000;
-      await new Promise((r) => setTimeout(r, baseDelay + jitter));
-    }
-
-    setIsProcessing(false);
-    setIsPaused(false);
-    pauseRef.current = false;
-    const completed = queue.filter((q) => q.status === 'completed').length;
-    toast.success(`Completed ${completed} applications!`);
-  };
-
-  // Pause automation
-  const pauseAutomation = () => {
-    pauseRef.current = true;
-    setIsPaused(true);
-    toast.info('Automation paused');
-  };
-
-  // Resume automation
-  const resumeAutomation = () => {
-    pauseRef.current = false;
-    setIsPaused(false);
-    toast.success('Automation resumed');
-  };
-
-  // Stop automation
-  const stopAutomation = () => {
-    abortRef.current?.abort();
-    pauseRef.current = false;
-    setIsProcessing(false);
-    setIsPaused(false);
-    // Reset any currently processing items back to pending
-    setQueue((prev) =>
-      prev.map((q) => (q.status === 'processing' ? { ...q, status: 'pending' } : q))
-    );
-    toast.info('Automation stopped');
-  };
-
-  // Select all pending jobs for quick start
+  // Select all queued jobs
   const selectAllPending = () => {
-    const pendingIds = queue.filter((q) => q.status === 'pending').map((q) => q.id);
+    const pendingIds = queue.filter((q) => q.status === 'queued').map((q) => q.id);
     if (pendingIds.length === selectedIds.length && pendingIds.every(id => selectedIds.includes(id))) {
       setSelectedIds([]);
     } else {
@@ -430,24 +150,61 @@ const JobQueuePage = () => {
     }
   };
 
-  // Clear completed
-  const clearCompleted = () => {
-    setQueue((prev) => prev.filter((q) => q.status !== 'completed'));
-    toast.success('Cleared completed jobs');
-  };
-
-  // Retry failed
-  const retryFailed = () => {
-    setQueue((prev) =>
-      prev.map((q) => (q.status === 'failed' ? { ...q, status: 'pending', error: undefined } : q))
-    );
-    toast.success('Failed jobs reset to pending');
-  };
-
-  const pendingCount = queue.filter((q) => q.status === 'pending').length;
+  const pendingCount = queue.filter((q) => q.status === 'queued').length;
+  const pausedCount = queue.filter((q) => q.status === 'paused').length;
   const completedCount = queue.filter((q) => q.status === 'completed').length;
-  const failedCount = queue.filter((q) => q.status === 'failed').length;
+  const failedCount = queue.filter((q) => q.status === 'dead').length;
   const processingCount = queue.filter((q) => q.status === 'processing').length;
+  const activeCount = pendingCount + processingCount;
+  const settledCount = completedCount + failedCount;
+  const progress = queue.length > pausedCount
+    ? (settledCount / (queue.length - pausedCount)) * 100
+    : 0;
+
+  const renderStatus = (item: JobQueueItem) => {
+    switch (item.status) {
+      case 'queued':
+        // A future run_after means the item is backing off after a failure
+        return item.attempts > 0 && new Date(item.run_after).getTime() > Date.now() ? (
+          <Badge className="bg-warning/10 text-warning border-warning/30" title={item.last_error || undefined}>
+            <Clock className="h-3 w-3 mr-1" />
+            Retry {formatTime(item.run_after)}
+          </Badge>
+        ) : (
+          <Badge variant="secondary">Queued</Badge>
+        );
+      case 'processing':
+        return (
+          <Badge className="bg-primary/10 text-primary border-primary/30">
+            <Loader2 className="h-3 w-3 mr-1 animate-spin" />
+            Processing
+          </Badge>
+        );
+      case 'paused':
+        return (
+          <Badge variant="outline">
+            <Pause className="h-3 w-3 mr-1" />
+            Paused
+          </Badge>
+        );
+      case 'completed':
+        return (
+          <Badge className="bg-success/10 text-success border-success/30">
+            <CheckCircle className="h-3 w-3 mr-1" />
+            Ready to Submit
+          </Badge>
+        );
+      case 'dead':
+        return (
+          <Badge className="bg-destructive/10 text-destructive border-destructive/30" title={item.last_error || undefined}>
+            <XCircle className="h-3 w-3 mr-1" />
+            Failed
+          </Badge>
+        );
+      default:
+        return null;
+    }
+  };
 
   return (
     <AppLayout>
@@ -457,13 +214,13 @@ const JobQueuePage = () => {
           <div>
             <h1 className="text-3xl font-bold">Job Queue</h1>
             <p className="text-muted-foreground mt-1">
-              Import job URLs and process applications in bulk
+              Import job URLs and prepare tailored applications in bulk
             </p>
           </div>
           <div className="flex items-center gap-2">
             <Badge variant="secondary">{queue.length} total</Badge>
             <Badge className="bg-primary/10 text-primary border-primary/30">
-              {pendingCount} pending
+              {pendingCount} queued
             </Badge>
             {completedCount > 0 && (
               <Badge className="bg-success/10 text-success border-success/30">
@@ -545,81 +302,73 @@ const JobQueuePage = () => {
         {queue.length > 0 && (
           <div className="flex flex-wrap gap-2 items-center justify-between">
             <div className="flex gap-2 flex-wrap">
-              <Button variant="outline" size="sm" onClick={selectAllPending} disabled={isProcessing}>
+              <Button variant="outline" size="sm" onClick={selectAllPending}>
                 <CheckSquare className="h-4 w-4 mr-1" />
-                Select All Pending ({pendingCount})
+                Select All Queued ({pendingCount})
               </Button>
               {selectedIds.length > 0 && (
-                <Button variant="destructive" size="sm" onClick={deleteSelected} disabled={isProcessing}>
+                <Button variant="destructive" size="sm" onClick={deleteSelected}>
                   <Trash2 className="h-4 w-4 mr-1" />
                   Delete ({selectedIds.length})
                 </Button>
               )}
               {completedCount > 0 && (
-                <Button variant="outline" size="sm" onClick={clearCompleted} disabled={isProcessing}>
+                <Button variant="outline" size="sm" onClick={clearCompleted}>
                   Clear Completed
                 </Button>
               )}
               {failedCount > 0 && (
-                <Button variant="outline" size="sm" onClick={retryFailed} disabled={isProcessing}>
+                <Button variant="outline" size="sm" onClick={() => retryDead()}>
                   <RefreshCw className="h-4 w-4 mr-1" />
                   Retry Failed
                 </Button>
               )}
-              <Button variant="ghost" size="sm" onClick={clearAll} disabled={isProcessing}>
+              <Button variant="ghost" size="sm" onClick={clearAll}>
                 Clear All
               </Button>
             </div>
 
             <div className="flex gap-2">
-              {isProcessing ? (
-                <>
-                  {isPaused ? (
-                    <Button onClick={resumeAutomation} variant="default">
-                      <Play className="h-4 w-4 mr-2" />
-                      Resume
-                    </Button>
-                  ) : (
-                    <Button onClick={pauseAutomation} variant="secondary">
-                      <Pause className="h-4 w-4 mr-2" />
-                      Pause
-                    </Button>
-                  )}
-                  <Button variant="destructive" onClick={stopAutomation}>
-                    <Square className="h-4 w-4 mr-2" />
-                    Stop
-                  </Button>
-                </>
-              ) : (
-                <Button onClick={startAutomation} disabled={pendingCount === 0} size="lg">
-                  <Zap className="h-4 w-4 mr-2" />
-                  Start Automation ({pendingCount} jobs)
+              {pausedCount > 0 && (
+                <Button onClick={resume} variant="default">
+                  <Play className="h-4 w-4 mr-2" />
+                  Resume ({pausedCount})
                 </Button>
               )}
+              {pendingCount > 0 && (
+                <Button onClick={pause} variant="secondary">
+                  <Pause className="h-4 w-4 mr-2" />
+                  Pause
+                </Button>
+              )}
+              <Button onClick={runWorker} disabled={pendingCount === 0 || isKicking} size="lg">
+                {isKicking ? (
+                  <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                ) : (
+                  <Zap className="h-4 w-4 mr-2" />
+                )}
+                Process Now ({pendingCount} jobs)
+              </Button>
             </div>
           </div>
         )}
 
         {/* Progress */}
-        {isProcessing && (
-          <Card className={isPaused ? 'border-warning' : ''}>
+        {activeCount > 0 && (
+          <Card>
             <CardContent className="py-4">
               <div className="flex items-center gap-4">
-                {isPaused ? (
-                  <Pause className="h-5 w-5 text-warning" />
-                ) : (
-                  <Loader2 className="h-5 w-5 animate-spin text-primary" />
-                )}
+                <Loader2 className="h-5 w-5 animate-spin text-primary" />
                 <div className="flex-1">
                   <Progress value={progress} className="h-2" />
                 </div>
                 <span className="text-sm font-medium">{Math.round(progress)}%</span>
               </div>
               <p className="text-xs text-muted-foreground mt-2 text-center">
-                {isPaused 
-                  ? 'Automation paused. Click Resume to continue.' 
-                  : `Processing ${processingCount} job(s)... Do not close this page.`
-                }
+                {processingCount > 0
+                  ? `Processing ${processingCount} job(s)...`
+                  : `${pendingCount} job(s) waiting for the next worker run...`}{' '}
+                Processing runs on the server, so you can close this page.
               </p>
             </CardContent>
           </Card>
@@ -634,7 +383,11 @@ const JobQueuePage = () => {
             </CardTitle>
           </CardHeader>
           <CardContent className="p-0">
-            {queue.length > 0 ? (
+            {isLoading ? (
+              <div className="flex justify-center py-16">
+                <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+              </div>
+            ) : queue.length > 0 ? (
               <ScrollArea className="h-[500px]">
                 <Table>
                   <TableHeader>
@@ -652,64 +405,63 @@ const JobQueuePage = () => {
                     </TableRow>
                   </TableHeader>
                   <TableBody>
-                    {queue.map((item) => (
-                      <TableRow key={item.id}>
-                        <TableCell>
-                          <Checkbox
-                            checked={selectedIds.includes(item.id)}
-                            onCheckedChange={() => handleSelectOne(item.id)}
-                            disabled={item.status === 'processing'}
-                          />
-                        </TableCell>
-                        <TableCell className="max-w-[300px]">
-                          <p className="truncate font-mono text-xs text-muted-foreground">
-                            {item.url}
-                          </p>
-                        </TableCell>
-                        <TableCell>
-                          {item.title ? (
-                            <div>
-                              <p className="font-medium text-sm">{item.title}</p>
-                              <p className="text-xs text-muted-foreground">{item.company}</p>
-                            </div>
-                          ) : (
-                            <span className="text-muted-foreground text-sm">—</span>
-                          )}
-                        </TableCell>
-                        <TableCell>
-                          {item.status === 'pending' && (
-                            <Badge variant="secondary">Pending</Badge>
-                          )}
-                          {item.status === 'processing' && (
-                            <Badge className="bg-primary/10 text-primary border-primary/30">
-                              <Loader2 className="h-3 w-3 mr-1 animate-spin" />
-                              Processing
-                            </Badge>
-                          )}
-                          {item.status === 'completed' && (
-                            <Badge className="bg-success/10 text-success border-success/30">
-                              <CheckCircle className="h-3 w-3 mr-1" />
-                              Completed
-                            </Badge>
-                          )}
-                          {item.status === 'failed' && (
-                            <Badge className="bg-destructive/10 text-destructive border-destructive/30">
-                              <XCircle className="h-3 w-3 mr-1" />
-                              Failed
-                            </Badge>
-                          )}
-                        </TableCell>
-                        <TableCell>
-                          <Button
-                            variant="ghost"
-                            size="icon"
-                            onClick={() => window.open(item.url, '_blank')}
-                          >
-                            <ExternalLink className="h-4 w-4" />
-                          </Button>
-                        </TableCell>
-                      </TableRow>
-                    ))}
+                    {queue.map((item) => {
+                      const details = describeQueueItem(item);
+                      return (
+                        <TableRow key={item.id}>
+                          <TableCell>
+                            <Checkbox
+                              checked={selectedIds.includes(item.id)}
+                              onCheckedChange={() => handleSelectOne(item.id)}
+                              disabled={item.status === 'processing'}
+                            />
+                          </TableCell>
+                          <TableCell className="max-w-[300px]">
+                            <p className="truncate font-mono text-xs text-muted-foreground">
+                              {details.url || '—'}
+                            </p>
+                          </TableCell>
+                          <TableCell>
+                            {details.title ? (
+                              <div>
+                                <p className="font-medium text-sm">{details.title}</p>
+                                <p className="text-xs text-muted-foreground">{details.company}</p>
+                              </div>
+                            ) : (
+                              <span className="text-muted-foreground text-sm">—</span>
+                            )}
+                            {item.last_error && item.status !== 'completed' && (
+                              <p className="text-xs text-destructive mt-1 line-clamp-2">{item.last_error}</p>
+                            )}
+                          </TableCell>
+                          <TableCell>
+                            {renderStatus(item)}
+                            {item.attempts > 1 && (
+                              <p className="text-[10px] text-muted-foreground mt-1">
+                                Attempt {item.attempts}/{item.max_attempts}
+                              </p>
+                            )}
+                          </TableCell>
+                          <TableCell>
+                            {item.status === 'completed' ? (
+                              <Button variant="ghost" size="icon" asChild>
+                                <RouterLink to="/applications" title="View application">
+                                  <ListChecks className="h-4 w-4" />
+                                </RouterLink>
+                              </Button>
+                            ) : details.url && (
+                              <Button
+                                variant="ghost"
+                                size="icon"
+                                onClick={() => window.open(details.url!, '_blank')}
+                              >
+                                <ExternalLink className="h-4 w-4" />
+                              </Button>
+                            )}
+                          </TableCell>
+                        </TableRow>
+                      );
+                    })}
                   </TableBody>
                 </Table>
               </ScrollArea>
@@ -5,6 +5,7 @@ import { JobFiltersBar } from '@/components/jobs/JobFiltersBar';
 import { VirtualJobList } from '@/components/jobs/VirtualJobList';
 import { LiveJobsPanel } from '@/components/jobs/LiveJobsPanel';
 import { LiveJobFeed } from '@/components/jobs/LiveJobFeed';
+import { JobMergesDialog } from '@/components/jobs/JobMergesDialog';
 import { supabase } from '@/integrations/supabase/client';
 import { useAuth } from '@/hooks/useAuth';
 
@@ -16,6 +17,7 @@ import { Progress } from '@/components/ui/progress';
 import { useJobScraper } from '@/hooks/useJobScraper';
 import { useProfile } from '@/hooks/useProfile';
 import { Job } from '@/hooks/useJobs';
+import { currencyForProfile } from '@/lib/salary';
 import { toast } from 'sonner';
 import { 
   Briefcase, 
@@ -84,6 +86,8 @@ const Jobs = () => {
   } = useJobScraper();
   const { profile } = useProfile();
   const { user } = useAuth();
+  // Salary filters and annualised salaries use the currency of the user's location
+  const salaryCurrency = currencyForProfile(profile);
   const [showScrollTop, setShowScrollTop] = useState(false);
   const [filteredJobs, setFilteredJobs] = useState<Job[]>([]);
   const [isRefreshing, setIsRefreshing] = useState(false);
@@ -544,6 +548,7 @@ const Jobs = () => {
                   )}
                   Check Links
                 </Button>
+                <JobMergesDialog onUnmerged={refetch} />
                 <Button 
                   variant="outline" 
                   size="sm"
@@ -663,6 +668,7 @@ const Jobs = () => {
               }
             }}
             isSearching={isSearching}
+            currency={salaryCurrency}
           />
         )}
 
@@ -671,7 +677,6 @@ const Jobs = () => {
           <AutomationPanel 
             jobs={filteredJobs} 
             profile={profile} 
-            onJobApplied={handleJobApplied}
           />
         )}
 
@@ -990,6 +995,7 @@ const Jobs = () => {
             onSelectionChange={setSelectedJobs}
             selectionMode={selectionMode}
             scrollRef={scrollToJobListBottomRef}
+            salaryCurrency={salaryCurrency}
           />
         )}
 
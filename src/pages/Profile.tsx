@@ -1,4 +1,5 @@
 import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { AppLayout } from '@/components/layout/AppLayout';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
@@ -14,17 +15,20 @@ import { supabase } from '@/integrations/supabase/client';
 import { useAuth } from '@/hooks/useAuth';
 import { Alert, AlertDescription } from '@/components/ui/alert';
 import { ApiUsageChart } from '@/components/profile/ApiUsageChart';
+import { AiBudgetSettings } from '@/components/profile/AiBudgetSettings';
+import { ResumeVersionsCard } from '@/components/resume/ResumeVersionsCard';
+import { AnswerBankCard } from '@/components/profile/AnswerBankCard';
+import { WorkAuthorizationCard } from '@/components/profile/WorkAuthorizationCard';
 import { 
   User, Briefcase, GraduationCap, Award, Download, Save, Plus, X, 
-  Shield, CheckCircle, Globe, FileText, Languages, Key,
-  Loader2, Activity, Zap, AlertTriangle
+  Shield, CheckCircle, FileText, Languages, Key,
+  Loader2, Activity, Zap, AlertTriangle, Brain
 } from 'lucide-react';
 import { toast } from 'sonner';
 
 // Default ATS answers that pass knockout questions
 const DEFAULT_ATS_ANSWERS = {
   willing_to_relocate: true,
-  visa_required: false,
   veteran_status: false,
   disability: false,
   security_clearance: true,
@@ -161,6 +165,12 @@ const Profile = () => {
             <p className="text-muted-foreground mt-1">Your CV data for auto-applications</p>
           </div>
           <div className="flex gap-2">
+            <Button variant="outline" className="gap-2" asChild>
+              <Link to="/profile/memories">
+                <Brain className="h-4 w-4" />
+                Memories
+              </Link>
+            </Button>
             <Button onClick={handleLoadCV} variant="outline" className="gap-2">
               <Download className="h-4 w-4" />
               Load Sample CV
@@ -308,9 +318,18 @@ const Profile = () => {
           </CardContent>
         </Card>
 
+        {/* Resume variants */}
+        <ResumeVersionsCard profile={profile} />
+
+        {/* Screening question answers */}
+        <AnswerBankCard profile={profile} />
+
         {/* API Usage Chart */}
         <ApiUsageChart />
 
+        {/* AI Budget */}
+        <AiBudgetSettings />
+
         <Card>
           <CardHeader>
             <CardTitle className="flex items-center gap-2">
@@ -448,6 +467,13 @@ const Profile = () => {
           </CardContent>
         </Card>
 
+        {/* Work authorization per country */}
+        <WorkAuthorizationCard
+          authorizations={localProfile.work_authorizations || []}
+          onChange={(authorizations) => updateLocalField('work_authorizations', authorizations)}
+          editable={editMode}
+        />
+
         {/* ATS Knockout Questions */}
         <Card>
           <CardHeader>
@@ -468,13 +494,6 @@ const Profile = () => {
                 </div>
                 <Badge variant="secondary">Yes</Badge>
               </div>
-              <div className="flex items-center justify-between p-3 border rounded-lg">
-                <div className="flex items-center gap-2">
-                  <Globe className="h-4 w-4 text-green-500" />
-                  <span>Legally authorized to work?</span>
-                </div>
-                <Badge variant="secondary">Yes</Badge>
-              </div>
               <div className="flex items-center justify-between p-3 border rounded-lg">
                 <span>Willing to relocate?</span>
                 <Switch 
@@ -483,14 +502,6 @@ const Profile = () => {
                   disabled={!editMode}
                 />
               </div>
-              <div className="flex items-center justify-between p-3 border rounded-lg">
-                <span>Requires visa sponsorship?</span>
-                <Switch 
-                  checked={localProfile.visa_required ?? false}
-                  onCheckedChange={(v) => updateLocalField('visa_required', v)}
-                  disabled={!editMode}
-                />
-              </div>
               <div className="flex items-center justify-between p-3 border rounded-lg">
                 <span>Veteran status?</span>
                 <Switch 
@@ -0,0 +1,162 @@
+import { useState, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { AppLayout } from '@/components/layout/AppLayout';
+import { Card, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Badge } from '@/components/ui/badge';
+import { Tabs, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import { MemoryEditor } from '@/components/profile/MemoryEditor';
+import { Memory, memoryAnswer, memoryQuestion, useMemories } from '@/hooks/useMemories';
+import { scopeLabel } from '@/lib/answerBank';
+import { formatDistanceToNow } from 'date-fns';
+import { ArrowLeft, Ban, Brain, Loader2, Pencil, Pin, PinOff, RotateCcw, Search, Trash2 } from 'lucide-react';
+
+type MemoryFilter = 'all' | 'pinned' | 'wrong';
+
+const matchesSearch = (memory: Memory, search: string) =>
+  [memoryQuestion(memory), memoryAnswer(memory), memory.last_job_title, memory.last_company, memory.country, memory.job_scope]
+    .filter(Boolean)
+    .some((text) => (text as string).toLowerCase().includes(search));
+
+/** "Senior Engineer at Acme" */
+const lastJob = (memory: Memory) =>
+  [memory.last_job_title, memory.last_company].filter(Boolean).join(' at ');
+
+// Profile > Memories: the answers answer-questions remembered from earlier
+// applications, for the user to check and correct.
+const ProfileMemories = () => {
+  const { memories, isLoading, isSaving, saveMemory, togglePinned, toggleWrong, deleteMemory } = useMemories();
+  const [search, setSearch] = useState('');
+  const [filter, setFilter] = useState<MemoryFilter>('all');
+  const [editing, setEditing] = useState<Memory | null>(null);
+
+  const visible = useMemo(() => {
+    const query = search.trim().toLowerCase();
+    return memories
+      .filter((memory) => filter === 'all' || (filter === 'pinned' ? memory.pinned : memory.marked_wrong))
+      .filter((memory) => !query || matchesSearch(memory, query));
+  }, [memories, search, filter]);
+
+  const pinnedCount = memories.filter((memory) => memory.pinned).length;
+  const wrongCount = memories.filter((memory) => memory.marked_wrong).length;
+
+  return (
+    <AppLayout>
+      <div className="space-y-6 max-w-4xl mx-auto">
+        <div>
+          <Button variant="ghost" size="sm" className="-ml-2 mb-2" asChild>
+            <Link to="/profile">
+              <ArrowLeft className="h-4 w-4 mr-1" />
+              Profile
+            </Link>
+          </Button>
+          <h1 className="text-3xl font-bold flex items-center gap-2">
+            <Brain className="h-7 w-7 text-primary" />
+            Memories
+          </h1>
+          <p className="text-muted-foreground mt-1">
+            Answers remembered from earlier applications and reused for similar questions. Pin the ones you want kept,
+            scope them to a country or job, and mark wrong ones so they are never used again.
+          </p>
+        </div>
+
+        <div className="flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+          <div className="relative sm:w-80">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-muted-foreground" />
+            <Input
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search questions, answers, jobs..."
+              className="pl-9"
+            />
+          </div>
+          <Tabs value={filter} onValueChange={(value) => setFilter(value as MemoryFilter)}>
+            <TabsList>
+              <TabsTrigger value="all">All ({memories.length})</TabsTrigger>
+              <TabsTrigger value="pinned">Pinned ({pinnedCount})</TabsTrigger>
+              <TabsTrigger value="wrong">Marked wrong ({wrongCount})</TabsTrigger>
+            </TabsList>
+          </Tabs>
+        </div>
+
+        {isLoading ? (
+          <div className="h-[120px] flex items-center justify-center">
+            <Loader2 className="h-6 w-6 animate-spin text-primary" />
+          </div>
+        ) : visible.length === 0 ? (
+          <Card>
+            <CardContent className="py-10 text-center text-sm text-muted-foreground">
+              {memories.length === 0
+                ? 'Nothing remembered yet. Answers are remembered as the extension fills in application questions.'
+                : 'No memories match.'}
+            </CardContent>
+          </Card>
+        ) : (
+          <div className="space-y-3">
+            {visible.map((memory) => (
+              <Card key={memory.id} className={memory.marked_wrong ? 'border-destructive/40 bg-destructive/5' : undefined}>
+                <CardContent className="p-4 space-y-2">
+                  <div className="flex items-start justify-between gap-2">
+                    <div className="min-w-0 space-y-1">
+                      <p className="text-sm font-medium">{memoryQuestion(memory)}</p>
+                      <p
+                        className={`text-sm whitespace-pre-wrap break-words ${memory.marked_wrong ? 'line-through text-muted-foreground' : ''}`}
+                      >
+                        {memoryAnswer(memory) || <span className="italic text-muted-foreground">No answer</span>}
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-1 shrink-0">
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        title={memory.pinned ? 'Unpin' : 'Pin'}
+                        disabled={memory.marked_wrong}
+                        onClick={() => togglePinned(memory)}
+                      >
+                        {memory.pinned ? <PinOff className="h-4 w-4" /> : <Pin className="h-4 w-4" />}
+                      </Button>
+                      <Button variant="ghost" size="icon" title="Edit" onClick={() => setEditing(memory)}>
+                        <Pencil className="h-4 w-4" />
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        title={memory.marked_wrong ? 'Use again' : 'Mark wrong'}
+                        onClick={() => toggleWrong(memory)}
+                      >
+                        {memory.marked_wrong ? <RotateCcw className="h-4 w-4" /> : <Ban className="h-4 w-4" />}
+                      </Button>
+                      <Button variant="ghost" size="icon" title="Delete" onClick={() => deleteMemory(memory)}>
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </div>
+                  </div>
+                  <div className="flex flex-wrap items-center gap-2 text-xs text-muted-foreground">
+                    {memory.pinned && <Badge variant="secondary">Pinned</Badge>}
+                    {memory.marked_wrong && <Badge variant="destructive">Marked wrong</Badge>}
+                    <Badge variant="outline">{scopeLabel(memory)}</Badge>
+                    <span>
+                      Used {memory.used_count} {memory.used_count === 1 ? 'time' : 'times'}
+                      {' \u00b7 '}last {formatDistanceToNow(new Date(memory.last_used_at), { addSuffix: true })}
+                      {lastJob(memory) && ` for ${lastJob(memory)}`}
+                    </span>
+                  </div>
+                </CardContent>
+              </Card>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <MemoryEditor
+        memory={editing}
+        onOpenChange={(open) => !open && setEditing(null)}
+        onSave={saveMemory}
+        isSaving={isSaving}
+      />
+    </AppLayout>
+  );
+};
+
+export default ProfileMemories;
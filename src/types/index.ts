@@ -1,3 +1,5 @@
+import type { WorkAuthorization } from '@/lib/answerBank';
+
 export interface UserProfile {
   firstName: string;
   lastName: string;
@@ -19,8 +21,7 @@ export interface UserProfile {
   highestEducation: string;
   willingToRelocate: boolean;
   drivingLicense: boolean;
-  visaRequired: boolean;
-  authorizedCountries: string[];
+  workAuthorizations: WorkAuthorization[];
   veteranStatus: boolean;
   disability: boolean;
   raceEthnicity: string;
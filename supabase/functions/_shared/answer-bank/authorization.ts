@@ -0,0 +1,144 @@
+// Work authorization per country (profiles.work_authorizations). Questions
+// about authorization, sponsorship and citizenship are answered from the
+// entry for the job's country, so a candidate who is a US citizen but needs
+// a visa in the UK answers each posting truthfully.
+
+import { canonicalCountry, sameCountry } from "./countries.ts";
+
+export type WorkAuthorizationStatus =
+  | "citizen"
+  | "permanent_resident"
+  | "work_visa"
+  /** Authorized, with no more detail (entries migrated from authorized_countries) */
+  | "authorized"
+  | "not_authorized";
+
+// A type, not an interface, so entries are assignable to a JSON column
+export type WorkAuthorization = {
+  country: string;
+  status: WorkAuthorizationStatus;
+  /** "H-1B", "Skilled Worker", "Blue Card"... for work_visa */
+  visa_type?: string | null;
+  /** ISO date the visa or permit runs out */
+  expires_on?: string | null;
+  /** Needs an employer to sponsor a visa in this country, now or later */
+  requires_sponsorship: boolean;
+};
+
+export const WORK_AUTHORIZATION_STATUSES: Record<WorkAuthorizationStatus, string> = {
+  citizen: "Citizen",
+  permanent_resident: "Permanent resident",
+  work_visa: "Work visa or permit",
+  authorized: "Authorized to work",
+  not_authorized: "Not authorized",
+};
+
+/** Catalog questions answered from work authorization */
+export const AUTHORIZATION_QUESTION_KEYS = [
+  "work_authorization",
+  "work_without_sponsorship",
+  "sponsorship",
+  "right_to_work_status",
+  "citizen",
+];
+
+export interface AuthorizationAnswer {
+  answer: string;
+  selectValue: string;
+  authorization: WorkAuthorization;
+}
+
+const yesNo = (value: boolean) => ({ answer: value ? "Yes" : "No", selectValue: value ? "yes" : "no" });
+
+/** The entry for a country, if the user listed it */
+export function authorizationFor(authorizations: WorkAuthorization[], country: string): WorkAuthorization | undefined {
+  return authorizations.find((entry) => entry.country && sameCountry(entry.country, country));
+}
+
+export function isExpired(authorization: WorkAuthorization, today: Date = new Date()): boolean {
+  if (!authorization.expires_on) return false;
+  const expires = new Date(authorization.expires_on);
+  return !isNaN(expires.getTime()) && expires.getTime() < today.getTime();
+}
+
+/** Whether the user may work in the entry's country today */
+export function isAuthorized(authorization: WorkAuthorization, today: Date = new Date()): boolean {
+  if (authorization.status === "not_authorized") return false;
+  return !isExpired(authorization, today);
+}
+
+/** Whether the user needs visa sponsorship in the entry's country, now or in the future */
+export function needsSponsorship(authorization: WorkAuthorization, today: Date = new Date()): boolean {
+  if (authorization.status === "citizen" || authorization.status === "permanent_resident") return false;
+  if (!isAuthorized(authorization, today)) return true;
+  return authorization.requires_sponsorship;
+}
+
+/** "Work visa or permit (H-1B, expires 2027-03-31)" */
+export function describeAuthorization(authorization: WorkAuthorization): string {
+  const details = [
+    authorization.status === "work_visa" ? authorization.visa_type : null,
+    authorization.expires_on ? `expires ${authorization.expires_on}` : null,
+  ].filter(Boolean);
+  const status = WORK_AUTHORIZATION_STATUSES[authorization.status] || authorization.status;
+  return details.length ? `${status} (${details.join(", ")})` : status;
+}
+
+/**
+ * Answers an authorization question for a country from the user's entries.
+ * Null when the question is not about authorization or the user has no
+ * entry for the country: the caller falls back to the answer bank, which
+ * flags it rather than guessing.
+ */
+export function authorizationAnswer(
+  questionKey: string,
+  label: string,
+  authorizations: WorkAuthorization[],
+  country: string,
+  today: Date = new Date(),
+): AuthorizationAnswer | null {
+  const authorization = authorizationFor(authorizations, country);
+  if (!authorization) return null;
+
+  const answer = (() => {
+    switch (questionKey) {
+      case "work_authorization":
+        return yesNo(isAuthorized(authorization, today));
+      case "work_without_sponsorship":
+        return yesNo(isAuthorized(authorization, today) && !needsSponsorship(authorization, today));
+      case "sponsorship":
+        return yesNo(needsSponsorship(authorization, today));
+      case "citizen": {
+        // "US citizen or green card holder?" and "U.S. person?" include permanent residents
+        const includesResidents = /green card|permanent resident|\bperson\b/i.test(label);
+        return yesNo(authorization.status === "citizen" || (includesResidents && authorization.status === "permanent_resident"));
+      }
+      case "right_to_work_status": {
+        const text = `${canonicalCountry(country) || country}: ${describeAuthorization(authorization)}`;
+        return { answer: text, selectValue: text.toLowerCase() };
+      }
+      default:
+        return null;
+    }
+  })();
+  return answer && { ...answer, authorization };
+}
+
+/** Work authorizations from untrusted JSON (a profile column or a request body); malformed entries are dropped */
+export function parseWorkAuthorizations(value: unknown): WorkAuthorization[] {
+  if (!Array.isArray(value)) return [];
+  return value.flatMap((entry) => {
+    if (!entry || typeof entry !== "object") return [];
+    const raw = entry as Record<string, unknown>;
+    const country = typeof raw.country === "string" ? raw.country.trim() : "";
+    const status = raw.status as WorkAuthorizationStatus;
+    if (!country || !Object.prototype.hasOwnProperty.call(WORK_AUTHORIZATION_STATUSES, status)) return [];
+    return [{
+      country,
+      status,
+      visa_type: typeof raw.visa_type === "string" && raw.visa_type.trim() ? raw.visa_type.trim() : null,
+      expires_on: typeof raw.expires_on === "string" && raw.expires_on.trim() ? raw.expires_on.trim() : null,
+      requires_sponsorship: raw.requires_sponsorship === true,
+    }];
+  });
+}
@@ -0,0 +1,416 @@
+// The screening and knockout questions the answer bank covers. Each has a
+// stable key (answer_bank.question_key) and the patterns that recognise it
+// on a form. Questions are tried in order and the first match wins, so the
+// narrower ones ("authorized to work without sponsorship") come before the
+// broader ones they overlap with ("sponsorship", "authorized to work").
+
+export type AnswerCategory =
+  | "authorization"
+  | "screening"
+  | "availability"
+  | "history"
+  | "legal"
+  | "eeo"
+  | "education"
+  | "compensation"
+  | "source";
+
+export interface CatalogQuestion {
+  key: string;
+  /** The question as the answer bank shows it */
+  label: string;
+  category: AnswerCategory;
+  /** Tested against the form label, lower-cased */
+  pattern: RegExp;
+  /** Answers the editor offers; free text when absent */
+  choices?: string[];
+  /** Answers usually differ by country, so the editor suggests a country scope */
+  countrySpecific?: boolean;
+}
+
+export const ANSWER_CATEGORIES: Record<AnswerCategory, string> = {
+  authorization: "Work authorization",
+  screening: "Screening",
+  availability: "Availability & logistics",
+  history: "Employment history",
+  legal: "Agreements & attestations",
+  eeo: "Equal opportunity (voluntary)",
+  education: "Education & experience",
+  compensation: "Compensation",
+  source: "Application source",
+};
+
+const YES_NO = ["Yes", "No"];
+
+export const ANSWER_BANK_QUESTIONS: CatalogQuestion[] = [
+  // Work authorization
+  {
+    key: "work_without_sponsorship",
+    label: "Are you authorized to work without sponsorship?",
+    category: "authorization",
+    pattern: /(work|employment).*without.*sponsor/,
+    choices: YES_NO,
+    countrySpecific: true,
+  },
+  {
+    key: "sponsorship",
+    label: "Will you now or in the future require visa sponsorship?",
+    category: "authorization",
+    pattern: /sponsor|h-?1-?b|\btn visa|\bl-?1 visa|\bo-?1 visa/,
+    choices: YES_NO,
+    countrySpecific: true,
+  },
+  {
+    key: "right_to_work_status",
+    label: "What is your right to work status?",
+    category: "authorization",
+    pattern: /right to work status|work.*(visa|permit) status|settled status|share code|biometric residence/,
+    countrySpecific: true,
+  },
+  {
+    key: "work_authorization",
+    label: "Are you legally authorized to work in this country?",
+    category: "authorization",
+    pattern: /legally authori[sz]ed|eligib.*(employed|to work)|right to work|authori[sz]ation to work|authori[sz]ed.*work|work eligibility|legal documentation.*eligibility/,
+    choices: YES_NO,
+    countrySpecific: true,
+  },
+  {
+    key: "citizen",
+    label: "Are you a citizen of this country?",
+    category: "authorization",
+    pattern: /\bcitizen\b|\bu\.?s\.? person\b|green card/,
+    choices: YES_NO,
+    countrySpecific: true,
+  },
+  {
+    key: "clearance_eligible",
+    label: "Are you able to obtain a security clearance?",
+    category: "authorization",
+    pattern: /(obtain|eligible for|pass|maintain).*clearance|clearance.*investigation/,
+    choices: YES_NO,
+    countrySpecific: true,
+  },
+  {
+    key: "security_clearance",
+    label: "Do you hold an active security clearance?",
+    category: "authorization",
+    pattern: /security clearance|clearance level|(active|current|secret) clearance|top secret|ts\/sci|public trust/,
+    countrySpecific: true,
+  },
+
+  // Screening
+  {
+    key: "age",
+    label: "Are you at least 18 years old?",
+    category: "screening",
+    pattern: /\b(age|aged) (of )?1[68]\b|(over|at least|older than) (1[68]|21)|1[68] years|eighteen|minimum (working )?age|legal age|are you.*\b18\b/,
+    choices: YES_NO,
+  },
+  {
+    key: "criminal_record",
+    label: "Have you ever been convicted of a crime?",
+    category: "screening",
+    pattern: /convicted|felony|misdemeanor|criminal (conviction|record|offen[cs]e|history)|pleaded guilty|pending.*charges|arrest record/,
+    choices: YES_NO,
+  },
+  {
+    key: "background_check",
+    label: "Will you consent to a background check?",
+    category: "screening",
+    pattern: /background (check|investigation|screening)|criminal background|consent.*background|submit.*background|credit (check|history)|motor vehicle record|mvr.*check|driving record.*check/,
+    choices: YES_NO,
+  },
+  {
+    key: "drug_test",
+    label: "Will you consent to a drug test?",
+    category: "screening",
+    pattern: /drug (screen|test)|substance (test|screen)|submit.*drug|toxicology/,
+    choices: YES_NO,
+  },
+
+  // Availability & logistics
+  {
+    key: "essential_functions",
+    label: "Can you perform the essential functions of the job, with or without reasonable accommodation?",
+    category: "availability",
+    pattern: /essential functions|with or without.*accommodation|physical (requirements|demands)|lift.*(pounds|lbs|kg)/,
+    choices: YES_NO,
+  },
+  {
+    key: "drivers_license",
+    label: "Do you have a valid driver's license?",
+    category: "availability",
+    pattern: /driver'?s? licen[cs]e|driving licen[cs]e|valid (driver|licen[cs]e)/,
+    choices: YES_NO,
+    countrySpecific: true,
+  },
+  {
+    key: "transportation",
+    label: "Do you have reliable transportation?",
+    category: "availability",
+    pattern: /own.*vehicle|reliable.*transportation|access.*vehicle|means.*transportation/,
+    choices: YES_NO,
+  },
+  {
+    key: "relocation",
+    label: "Are you willing to relocate?",
+    category: "availability",
+    pattern: /relocat/,
+    choices: YES_NO,
+  },
+  {
+    key: "notice_period",
+    label: "What is your notice period?",
+    category: "availability",
+    pattern: /notice period|current.*notice|(weeks|days).*notice|resignation period/,
+  },
+  {
+    key: "start_date",
+    label: "When can you start?",
+    category: "availability",
+    pattern: /available.*start|start date|earliest.*start|when.*(start|begin|join)|how soon|soonest.*start/,
+  },
+  {
+    key: "travel",
+    label: "Are you willing to travel for work?",
+    category: "availability",
+    pattern: /travel/,
+  },
+  {
+    key: "weekends",
+    label: "Are you able to work weekends?",
+    category: "availability",
+    pattern: /weekend|saturday.*sunday/,
+    choices: YES_NO,
+  },
+  {
+    key: "shifts",
+    label: "Are you able to work shifts or irregular hours?",
+    category: "availability",
+    pattern: /work.*shifts|shift (work|availability|preference)|(rotating|night|evening|graveyard|swing) shift|irregular hours/,
+  },
+  {
+    key: "overtime",
+    label: "Are you able to work overtime?",
+    category: "availability",
+    pattern: /overtime|(extra|additional|extended) hours/,
+    choices: YES_NO,
+  },
+  {
+    key: "on_call",
+    label: "Are you able to be on call?",
+    category: "availability",
+    pattern: /on-?call|standby|pager.*duty|after.?hours.*support/,
+    choices: YES_NO,
+  },
+  {
+    key: "onsite",
+    label: "Are you able to work on-site or hybrid?",
+    category: "availability",
+    pattern: /hybrid|in-?office|office attendance|on-?site|commute/,
+    choices: YES_NO,
+  },
+  {
+    key: "full_time",
+    label: "Are you looking for full-time, permanent employment?",
+    category: "availability",
+    pattern: /full-?time|permanent (position|role)/,
+    choices: YES_NO,
+  },
+
+  // Employment history
+  {
+    key: "former_employee",
+    label: "Have you worked for this company before?",
+    category: "history",
+    pattern: /former (employee|worker|contractor)|(worked|employed) (for|at|by) .*(before|previously)|(ever|previously) (worked|been employed) (for|at|by)\b|formerly employed/,
+    choices: YES_NO,
+  },
+  {
+    key: "applied_before",
+    label: "Have you applied to this company before?",
+    category: "history",
+    pattern: /applied.*before|previously applied|past application|former applicant|interviewed.*(before|previously)/,
+    choices: YES_NO,
+  },
+  {
+    key: "source",
+    label: "How did you hear about this job?",
+    category: "source",
+    pattern: /how did you (hear|find|learn)|where did you (hear|find|see)|source.*application|referral source/,
+  },
+  {
+    key: "referral",
+    label: "Were you referred by a current employee?",
+    category: "history",
+    pattern: /referred|referral|know anyone/,
+    choices: YES_NO,
+  },
+  {
+    key: "relatives",
+    label: "Do you have relatives working at this company?",
+    category: "history",
+    pattern: /relative|family.*works|related to anyone/,
+    choices: YES_NO,
+  },
+  {
+    key: "non_compete",
+    label: "Are you bound by a non-compete or similar agreement?",
+    category: "history",
+    pattern: /non-?compete|restrictive covenant|non-?solicit/,
+    choices: YES_NO,
+  },
+  {
+    key: "conflict_of_interest",
+    label: "Do you have any conflicts of interest?",
+    category: "history",
+    pattern: /conflicts? of interest|competing interest|outside employment/,
+    choices: YES_NO,
+  },
+  {
+    key: "government_employee",
+    label: "Are you a current or former government employee?",
+    category: "history",
+    pattern: /government (employee|official)|federal employee|public sector/,
+    choices: YES_NO,
+  },
+
+  // Agreements & attestations
+  {
+    key: "accurate_information",
+    label: "Do you certify that the information you provided is accurate?",
+    category: "legal",
+    pattern: /truthful|accurate.*information|information.*(true|accurate)|certify|attest/,
+    choices: YES_NO,
+  },
+  {
+    key: "confidentiality",
+    label: "Will you sign a confidentiality or non-disclosure agreement?",
+    category: "legal",
+    pattern: /non-?disclosure|\bnda\b|confidentiality|proprietary.*agreement/,
+    choices: YES_NO,
+  },
+  {
+    key: "terms_consent",
+    label: "Do you agree to the terms, privacy notice and data processing?",
+    category: "legal",
+    pattern: /terms and conditions|(agree|accept).*(terms|policy)|read and agree|acknowledge|privacy|consent.*(processing|data)|gdpr|at-?will/,
+    choices: YES_NO,
+  },
+
+  // Equal opportunity
+  {
+    key: "veteran",
+    label: "Veteran status",
+    category: "eeo",
+    pattern: /veteran|military service|served.*military|armed forces|vevraa/,
+  },
+  {
+    key: "disability",
+    label: "Disability status",
+    category: "eeo",
+    pattern: /disab|cc-305/,
+  },
+  {
+    key: "hispanic_latino",
+    label: "Are you Hispanic or Latino?",
+    category: "eeo",
+    pattern: /hispanic|latin[aox]\b/,
+    choices: YES_NO,
+  },
+  {
+    key: "race",
+    label: "Race / ethnicity",
+    category: "eeo",
+    pattern: /\brace\b|ethnic|racial/,
+  },
+  {
+    key: "transgender",
+    label: "Do you identify as transgender?",
+    category: "eeo",
+    pattern: /transgender/,
+  },
+  {
+    key: "sexual_orientation",
+    label: "Sexual orientation",
+    category: "eeo",
+    pattern: /sexual orientation|lgbt/,
+  },
+  {
+    key: "neurodivergent",
+    label: "Do you consider yourself neurodivergent?",
+    category: "eeo",
+    pattern: /neurodiver/,
+  },
+  {
+    key: "pronouns",
+    label: "Pronouns",
+    category: "eeo",
+    pattern: /pronoun/,
+  },
+  {
+    key: "gender",
+    label: "Gender",
+    category: "eeo",
+    pattern: /gender|\bsex\b/,
+  },
+
+  // Education & experience
+  {
+    key: "highest_education",
+    label: "Highest level of education",
+    category: "education",
+    pattern: /highest.*(degree|education)|degree.*obtained|education(al)? level|level of education|completed.*degree/,
+  },
+  {
+    key: "bachelors_degree",
+    label: "Do you have a bachelor's degree?",
+    category: "education",
+    pattern: /bachelor|undergraduate degree|(college|university) degree/,
+    choices: YES_NO,
+  },
+  {
+    key: "masters_degree",
+    label: "Do you have a master's or other graduate degree?",
+    category: "education",
+    pattern: /master'?s|graduate degree|advanced degree|\bmba\b/,
+    choices: YES_NO,
+  },
+  {
+    key: "gpa",
+    label: "GPA",
+    category: "education",
+    pattern: /\bgpa\b|grade point|academic average/,
+  },
+  {
+    key: "total_experience",
+    label: "Total years of professional experience",
+    category: "education",
+    pattern: /total.*years.*experience|years.*total.*experience|overall experience|years of (professional|work) experience/,
+  },
+
+  // Compensation
+  {
+    key: "current_salary",
+    label: "Current salary",
+    category: "compensation",
+    pattern: /(current|present|base) (salary|compensation|pay)/,
+  },
+  {
+    key: "expected_salary",
+    label: "Expected salary",
+    category: "compensation",
+    pattern: /salary|hourly rate|rate per hour|pay (range|expectation)|(expected|desired) (pay|compensation)|compensation (expectation|requirement)/,
+  },
+];
+
+/** The catalog question a form label asks, if any */
+export function findQuestion(label: string): CatalogQuestion | undefined {
+  const text = label.toLowerCase().replace(/\s+/g, " ").trim();
+  return ANSWER_BANK_QUESTIONS.find((question) => question.pattern.test(text));
+}
+
+export function getQuestion(key: string): CatalogQuestion | undefined {
+  return ANSWER_BANK_QUESTIONS.find((question) => question.key === key);
+}
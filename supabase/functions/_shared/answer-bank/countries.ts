@@ -0,0 +1,178 @@
+// Country names and the normalisation of posted job locations to a country.
+// Postings write the same place many ways ("Austin, TX", "Remote - USA",
+// "Berlin, Germany"); answers are scoped by country, so both sides are
+// reduced to one canonical name before they are compared.
+
+// Canonical name first, then the lowercase names and abbreviations postings use
+const COUNTRIES: string[][] = [
+  ["United States", "united states of america", "usa", "us", "u.s.", "u.s.a.", "america"],
+  ["United Kingdom", "uk", "u.k.", "great britain", "britain", "england", "scotland", "wales", "northern ireland"],
+  ["Ireland", "republic of ireland"],
+  ["Canada"],
+  ["Australia"],
+  ["New Zealand"],
+  ["Germany", "deutschland"],
+  ["France"],
+  ["Netherlands", "the netherlands", "holland"],
+  ["Belgium"],
+  ["Luxembourg"],
+  ["Switzerland"],
+  ["Austria"],
+  ["Spain", "espana"],
+  ["Portugal"],
+  ["Italy", "italia"],
+  ["Greece"],
+  ["Cyprus"],
+  ["Malta"],
+  ["Monaco"],
+  ["Iceland"],
+  ["Sweden"],
+  ["Norway"],
+  ["Denmark"],
+  ["Finland"],
+  ["Estonia"],
+  ["Latvia"],
+  ["Lithuania"],
+  ["Poland"],
+  ["Czech Republic", "czechia"],
+  ["Slovakia"],
+  ["Hungary"],
+  ["Romania"],
+  ["Bulgaria"],
+  ["Croatia"],
+  ["Slovenia"],
+  ["Serbia"],
+  ["Moldova"],
+  ["Ukraine"],
+  ["Georgia"],
+  ["Turkey", "turkiye"],
+  ["Israel"],
+  ["United Arab Emirates", "uae", "u.a.e."],
+  ["Saudi Arabia", "ksa"],
+  ["Qatar"],
+  ["Egypt"],
+  ["Morocco"],
+  ["South Africa"],
+  ["Nigeria"],
+  ["Kenya"],
+  ["Tanzania"],
+  ["Cape Verde", "cabo verde"],
+  ["India"],
+  ["Pakistan"],
+  ["Singapore"],
+  ["Malaysia"],
+  ["Thailand"],
+  ["Vietnam", "viet nam"],
+  ["Philippines"],
+  ["Indonesia"],
+  ["Hong Kong"],
+  ["China"],
+  ["Taiwan"],
+  ["Japan"],
+  ["South Korea", "korea", "republic of korea"],
+  ["Maldives"],
+  ["Mexico"],
+  ["Brazil", "brasil"],
+  ["Argentina"],
+  ["Chile"],
+  ["Colombia"],
+  ["Peru"],
+  ["Grenada"],
+  ["Saint Lucia", "st. lucia", "st lucia"],
+];
+
+// A trailing "CA" or "Ontario" in "Toronto, ON" / "Austin, TX" places the job
+const REGIONS: Array<[string, string[]]> = [
+  ["United States", [
+    "al", "ak", "az", "ar", "ca", "co", "ct", "de", "dc", "fl", "ga", "hi", "id", "il", "in", "ia", "ks", "ky", "la",
+    "me", "md", "ma", "mi", "mn", "ms", "mo", "mt", "ne", "nv", "nh", "nj", "nm", "ny", "nc", "nd", "oh", "ok", "or",
+    "pa", "ri", "sc", "sd", "tn", "tx", "ut", "vt", "va", "wa", "wv", "wi", "wy",
+    "alabama", "alaska", "arizona", "arkansas", "california", "colorado", "connecticut", "delaware", "florida",
+    "hawaii", "idaho", "illinois", "indiana", "iowa", "kansas", "kentucky", "louisiana", "maine", "maryland",
+    "massachusetts", "michigan", "minnesota", "mississippi", "missouri", "montana", "nebraska", "nevada",
+    "new hampshire", "new jersey", "new mexico", "new york", "north carolina", "north dakota", "ohio", "oklahoma",
+    "oregon", "pennsylvania", "rhode island", "south carolina", "south dakota", "tennessee", "texas", "utah",
+    "vermont", "virginia", "washington", "west virginia", "wisconsin", "wyoming", "district of columbia",
+  ]],
+  ["Canada", [
+    "ab", "bc", "mb", "nb", "nl", "ns", "on", "pe", "qc", "sk",
+    "alberta", "british columbia", "manitoba", "new brunswick", "newfoundland", "nova scotia", "ontario",
+    "prince edward island", "quebec", "saskatchewan",
+  ]],
+];
+
+const normalize = (text: string) => text.toLowerCase().replace(/\s+/g, " ").trim();
+
+const escapeRegExp = (text: string) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const findCountry = (name: string) => COUNTRIES.find((names) => normalize(names[0]) === name || names.includes(name));
+
+/** A country's names, lowercase, its own first */
+export function countryNames(country: string): string[] {
+  const name = normalize(country);
+  const names = findCountry(name);
+  if (!names) return [name];
+  return [name, ...[normalize(names[0]), ...names.slice(1)].filter((alias) => alias !== name)];
+}
+
+export function sameCountry(a: string, b: string): boolean {
+  return countryNames(a).includes(normalize(b));
+}
+
+/** The canonical name for a country or one of its aliases ("usa" -> "United States"), else null */
+export function canonicalCountry(country: string): string | null {
+  return findCountry(normalize(country))?.[0] ?? null;
+}
+
+const nameIn = (text: string, name: string) => new RegExp(`(^|[^a-z.])${escapeRegExp(name)}($|[^a-z])`).test(text);
+
+/** Whether a posted location ("Berlin, Germany", "Remote - US") names the country */
+export function locationInCountry(location: string, country: string): boolean {
+  const text = normalize(location);
+  return countryNames(country).some((name) => nameIn(text, name));
+}
+
+/**
+ * The country a piece of text names, canonical, or null. Used for question
+ * labels ("authorized to work in the United States?"), where region codes
+ * would be read into ordinary words.
+ */
+export function countryIn(text: string): string | null {
+  const normalized = normalize(text);
+  // Longest names first, so "united states of america" wins over "america"
+  let best: { country: string; length: number } | null = null;
+  for (const names of COUNTRIES) {
+    for (const name of [normalize(names[0]), ...names.slice(1)]) {
+      if (best && name.length <= best.length) continue;
+      // "us" is only the country when written "US" ("tell us about...")
+      const found = name === "us" ? /\bUS\b/.test(text) : nameIn(normalized, name);
+      if (found) best = { country: names[0], length: name.length };
+    }
+  }
+  return best?.country ?? null;
+}
+
+/**
+ * Normalises a posted job location to its country: "San Francisco, CA" and
+ * "Remote (USA)" are both "United States". Null when the location names no
+ * country or region it knows, such as "Remote" or a bare city.
+ */
+export function jobCountry(location: string | null | undefined): string | null {
+  if (!location) return null;
+  // Parts usually run city, region, country
+  const parts = normalize(location)
+    .split(/[,;|/()]| - /)
+    .map((part) => part.replace(/^(remote|hybrid|onsite|on-site)\b\s*-?\s*/, "").trim())
+    .filter(Boolean);
+
+  for (const part of [...parts].reverse()) {
+    const country = canonicalCountry(part);
+    if (country) return country;
+  }
+  // Regions most specific first: in "Toronto, ON, CA" the CA is Canada, not California
+  for (const part of parts) {
+    const region = REGIONS.find(([, names]) => names.includes(part));
+    if (region) return region[0];
+  }
+  return countryIn(location);
+}
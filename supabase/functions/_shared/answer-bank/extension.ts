@@ -0,0 +1,7 @@
+// Bundle entry for QuantumHire (scripts/build-tailoring-core.mjs). Installs
+// window.AnswerBank, which content.js uses to answer screening questions
+// from the user's answer_bank rows and to flag the ones it has no answer for.
+
+import * as answerBank from "./index.ts";
+
+(globalThis as Record<string, unknown>).AnswerBank = { ...answerBank };
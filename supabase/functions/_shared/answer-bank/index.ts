@@ -0,0 +1,49 @@
+// Public API of the answer bank: the catalog of screening and knockout
+// questions, resolution of a form label against the user's answer_bank rows
+// and work authorization for a given job, and the answers the profile
+// suggests. Shared by answer-questions, the Profile page and QuantumHire
+// (answer-bank.js).
+
+export { ANSWER_BANK_VERSION } from "./version.ts";
+export {
+  ANSWER_BANK_QUESTIONS,
+  ANSWER_CATEGORIES,
+  findQuestion,
+  getQuestion,
+  type AnswerCategory,
+  type CatalogQuestion,
+} from "./catalog.ts";
+export {
+  canonicalCountry,
+  countryIn,
+  countryNames,
+  jobCountry,
+  locationInCountry,
+  sameCountry,
+} from "./countries.ts";
+export {
+  AUTHORIZATION_QUESTION_KEYS,
+  WORK_AUTHORIZATION_STATUSES,
+  authorizationAnswer,
+  authorizationFor,
+  describeAuthorization,
+  isAuthorized,
+  isExpired,
+  needsSponsorship,
+  parseWorkAuthorizations,
+  type AuthorizationAnswer,
+  type WorkAuthorization,
+  type WorkAuthorizationStatus,
+} from "./authorization.ts";
+export {
+  contextCountry,
+  pickAnswer,
+  resolveAnswer,
+  scopeApplies,
+  scopeSpecificity,
+  type AnswerBankRow,
+  type AnswerContext,
+  type AnswerResolution,
+  type AnswerScope,
+} from "./resolve.ts";
+export { seedAnswers, type AnswerBankProfile, type SeededAnswer } from "./seed.ts";
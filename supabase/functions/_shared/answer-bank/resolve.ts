@@ -0,0 +1,134 @@
+import { CatalogQuestion, findQuestion } from "./catalog.ts";
+import { countryIn, jobCountry, locationInCountry, sameCountry } from "./countries.ts";
+import { AUTHORIZATION_QUESTION_KEYS, authorizationAnswer, describeAuthorization, type WorkAuthorization } from "./authorization.ts";
+
+/** The answer_bank columns resolution reads */
+export interface AnswerBankRow {
+  question_key: string;
+  answer: string;
+  select_value?: string | null;
+  /** Job country the answer applies to; "" for any */
+  country: string;
+  /** Phrase the job title or company must contain; "" for any */
+  job_scope: string;
+  approved: boolean;
+}
+
+/** The job a question is being answered for */
+export interface AnswerContext {
+  /** The job's country, when known */
+  country?: string | null;
+  /** The job's location as posted, normalised to a country when `country` is unknown */
+  location?: string | null;
+  jobTitle?: string | null;
+  company?: string | null;
+  /** The user's work authorization per country (profiles.work_authorizations) */
+  authorizations?: WorkAuthorization[] | null;
+  /** For visa expiry; defaults to now */
+  today?: Date;
+}
+
+export type AnswerResolution<Row extends AnswerBankRow = AnswerBankRow> =
+  | {
+      status: "answered";
+      /** Where the answer came from: an answer_bank row, or the work authorization for `country` */
+      source: "bank" | "authorization";
+      question: CatalogQuestion;
+      row?: Row;
+      answer: string;
+      selectValue: string;
+      /** Why this answer applies, for review ("United States", "Germany: Work visa (Blue Card)") */
+      scope: string;
+    }
+  /** A catalog question with no approved answer for this job: leave it for the user, don't guess */
+  | { status: "flagged"; question: CatalogQuestion };
+
+const normalize = (text: string) => text.toLowerCase().replace(/\s+/g, " ").trim();
+
+/** The job's country: given, or normalised from its posted location */
+export function contextCountry(context: AnswerContext): string | null {
+  return context.country || jobCountry(context.location);
+}
+
+function countryApplies(country: string, context: AnswerContext): boolean {
+  if (!country) return true;
+  const job = contextCountry(context);
+  if (job) return sameCountry(country, job);
+  // A country the normaliser doesn't know may still be named in the location
+  return !!context.location && locationInCountry(context.location, country);
+}
+
+function jobScopeApplies(jobScope: string, context: AnswerContext): boolean {
+  if (!jobScope) return true;
+  const job = normalize(`${context.jobTitle || ""} ${context.company || ""}`);
+  return job.includes(normalize(jobScope));
+}
+
+/** A country and job scope ('' for any), as on answer_bank and user_memories rows */
+export type AnswerScope = Pick<AnswerBankRow, "country" | "job_scope">;
+
+/** Whether an answer with this scope applies to the job */
+export function scopeApplies(scope: AnswerScope, context: AnswerContext = {}): boolean {
+  return countryApplies(scope.country, context) && jobScopeApplies(scope.job_scope, context);
+}
+
+/** Country scopes outrank job scopes, and both outrank an answer for any job */
+export const scopeSpecificity = (scope: AnswerScope) => (scope.country ? 2 : 0) + (scope.job_scope ? 1 : 0);
+
+/** The approved answer in `rows` for a catalog question, most specific scope first */
+export function pickAnswer<Row extends AnswerBankRow>(questionKey: string, rows: Row[], context: AnswerContext = {}): Row | undefined {
+  return rows
+    .filter((row) => row.question_key === questionKey && row.approved && row.answer)
+    .filter((row) => scopeApplies(row, context))
+    .sort((a, b) => scopeSpecificity(b) - scopeSpecificity(a))[0];
+}
+
+/**
+ * Answers a form label from the user's bank. Undefined when the label is
+ * not a catalog question (the caller may use the profile, memory or AI);
+ * "flagged" when it is, but the user has approved no answer for this job.
+ *
+ * Authorization questions are about the country the question names ("...to
+ * work in the United States?"), else the job's country. The user's work
+ * authorization for that country answers them; the bank is the fallback for
+ * countries it doesn't list.
+ */
+export function resolveAnswer<Row extends AnswerBankRow>(
+  label: string,
+  rows: Row[],
+  context: AnswerContext = {},
+): AnswerResolution<Row> | undefined {
+  const question = findQuestion(label);
+  if (!question) return undefined;
+
+  let scoped = context;
+  if (AUTHORIZATION_QUESTION_KEYS.includes(question.key)) {
+    const country = countryIn(label) || contextCountry(context);
+    if (country) {
+      scoped = { ...context, country };
+      const authorized = authorizationAnswer(question.key, label, context.authorizations || [], country, context.today);
+      if (authorized) {
+        return {
+          status: "answered",
+          source: "authorization",
+          question,
+          answer: authorized.answer,
+          selectValue: authorized.selectValue,
+          scope: `${authorized.authorization.country}: ${describeAuthorization(authorized.authorization)}`,
+        };
+      }
+    }
+  }
+
+  const row = pickAnswer(question.key, rows, scoped);
+  if (!row) return { status: "flagged", question };
+  return {
+    status: "answered",
+    source: "bank",
+    question,
+    row,
+    answer: row.answer,
+    selectValue: row.select_value || row.answer.toLowerCase(),
+    scope: [row.country, row.job_scope].filter(Boolean).join(", "),
+  };
+}
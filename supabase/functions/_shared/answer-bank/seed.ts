@@ -0,0 +1,106 @@
+// Suggested answers derived from the profile. They are saved unapproved
+// (source 'profile'): a profile default such as veteran_status = false is
+// not the same as the user saying so, so each one waits for approval like
+// any other answer. Authorization questions are not seeded: they are
+// answered from profiles.work_authorizations (see authorization.ts).
+
+/** The profiles columns seeding reads */
+export interface AnswerBankProfile {
+  willing_to_relocate?: boolean | null;
+  driving_license?: boolean | null;
+  security_clearance?: boolean | null;
+  veteran_status?: boolean | null;
+  disability?: boolean | null;
+  hispanic_latino?: boolean | null;
+  race_ethnicity?: string | null;
+  gender?: string | null;
+  notice_period?: string | null;
+  expected_salary?: string | null;
+  current_salary?: string | null;
+  highest_education?: string | null;
+  total_experience?: string | null;
+}
+
+export interface SeededAnswer {
+  questionKey: string;
+  answer: string;
+  selectValue?: string;
+  /** "" for any country */
+  country: string;
+}
+
+// The wording EEO forms use, keyed by what the profile may say
+const RACE_OPTIONS: Array<[string, string, string]> = [
+  ["black", "Black or African American", "black"],
+  ["african american", "Black or African American", "black"],
+  ["white", "White", "white"],
+  ["caucasian", "White", "white"],
+  ["asian", "Asian", "asian"],
+  ["hispanic", "Hispanic or Latino", "hispanic"],
+  ["latino", "Hispanic or Latino", "hispanic"],
+  ["two or more", "Two or More Races", "two or more"],
+  ["native american", "American Indian or Alaska Native", "native american"],
+  ["alaska", "American Indian or Alaska Native", "native american"],
+  ["pacific islander", "Native Hawaiian or Other Pacific Islander", "pacific islander"],
+  ["decline", "Decline to self-identify", "decline"],
+];
+
+const GENDER_OPTIONS: Array<[RegExp, string, string]> = [
+  [/non-?binary/, "Non-binary", "non-binary"],
+  [/female|woman|^f$/, "Female", "female"],
+  [/male|man|^m$/, "Male", "male"],
+  [/prefer not|decline/, "Decline to self-identify", "decline"],
+];
+
+const yesNo = (value: boolean) => (value ? "Yes" : "No");
+
+export function seedAnswers(profile: AnswerBankProfile): SeededAnswer[] {
+  const seeds: SeededAnswer[] = [];
+  const add = (questionKey: string, answer: string | null | undefined, country = "", selectValue?: string) => {
+    const text = (answer || "").trim();
+    if (text) seeds.push({ questionKey, answer: text, country, ...(selectValue ? { selectValue } : {}) });
+  };
+  const addBoolean = (questionKey: string, value: boolean | null | undefined) => {
+    if (typeof value === "boolean") add(questionKey, yesNo(value));
+  };
+
+  addBoolean("relocation", profile.willing_to_relocate);
+  addBoolean("drivers_license", profile.driving_license);
+  addBoolean("security_clearance", profile.security_clearance);
+  addBoolean("hispanic_latino", profile.hispanic_latino);
+
+  if (typeof profile.veteran_status === "boolean") {
+    if (profile.veteran_status) {
+      add("veteran", "I identify as one or more of the classifications of protected veteran", "", "protected veteran");
+    } else {
+      add("veteran", "I am not a protected veteran", "", "i am not a protected veteran");
+    }
+  }
+  if (typeof profile.disability === "boolean") {
+    if (profile.disability) add("disability", "Yes, I have a disability (or previously had a disability)", "", "yes");
+    else add("disability", "No, I do not have a disability", "", "no");
+  }
+
+  const race = (profile.race_ethnicity || "").toLowerCase();
+  const raceOption = race && RACE_OPTIONS.find(([key]) => race.includes(key));
+  if (raceOption) add("race", raceOption[1], "", raceOption[2]);
+  else add("race", profile.race_ethnicity);
+
+  const gender = (profile.gender || "").toLowerCase().trim();
+  const genderOption = gender && GENDER_OPTIONS.find(([pattern]) => pattern.test(gender));
+  if (genderOption) add("gender", genderOption[1], "", genderOption[2]);
+  else add("gender", profile.gender);
+
+  const notice = (profile.notice_period || "").trim();
+  if (notice) {
+    add("notice_period", notice);
+    add("start_date", /immediate/i.test(notice) ? "Immediately" : `Within ${notice}`);
+  }
+
+  add("expected_salary", profile.expected_salary);
+  add("current_salary", profile.current_salary);
+  add("highest_education", profile.highest_education);
+  add("total_experience", profile.total_experience);
+
+  return seeds;
+}
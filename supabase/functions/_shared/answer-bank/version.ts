@@ -0,0 +1,3 @@
+// Bump on every change to the catalog or to how answers resolve (see
+// CHANGELOG.md). The QuantumHire build embeds this in answer-bank.js.
+export const ANSWER_BANK_VERSION = "1.2.0";
@@ -0,0 +1,27 @@
+// Caller identity for edge functions that run both from pg_cron and on demand
+// (job-queue-worker, poll-company-boards).
+
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.89.0";
+
+type SupabaseClient = ReturnType<typeof createClient>;
+
+/**
+ * Scheduled calls carry the service role key and get null (work for every
+ * user); a user token resolves to that user's id so the call is scoped to them.
+ */
+export async function resolveCaller(req: Request, supabase: SupabaseClient, serviceKey: string): Promise<string | null> {
+  const authHeader = req.headers.get('authorization');
+  if (!authHeader) {
+    throw new Error('Missing authorization header');
+  }
+
+  const token = authHeader.replace('Bearer ', '');
+  if (token === serviceKey) return null;
+
+  const { data: { user }, error } = await supabase.auth.getUser(token);
+  if (error || !user) {
+    throw new Error('Unauthorized: Invalid or expired token');
+  }
+
+  return user.id;
+}
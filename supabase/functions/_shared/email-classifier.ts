@@ -0,0 +1,284 @@
+// Recruiter email classifier.
+// Pure functions only (no network, no Supabase) so it can be exercised offline
+// against the fixture corpus in ./fixtures/recruiter-emails.json
+// (npm run email:regression).
+
+export type DetectionType = "interview" | "rejection" | "offer" | "follow_up";
+export type ApplicationStatus = "pending" | "applied" | "interviewing" | "offered" | "rejected";
+
+export interface EmailMessage {
+  id: string;
+  threadId?: string | null;
+  from: string;
+  subject: string;
+  body: string;
+}
+
+export interface ApplicationCandidate {
+  id: string;
+  status: ApplicationStatus | null;
+  company: string;
+  title?: string | null;
+  url?: string | null;
+  createdAt?: string | null;
+}
+
+export interface Classification {
+  type: DetectionType | null;
+  confidence: number;
+  scores: Record<DetectionType, number>;
+  matchedRules: string[];
+}
+
+export interface ApplicationMatch {
+  applicationId: string;
+  confidence: number;
+  reason: "thread" | "job_url" | "sender_domain" | "company_name" | "company_body";
+}
+
+interface PhraseRule {
+  id: string;
+  type: DetectionType;
+  pattern: RegExp;
+  weight: number;
+  // Subject hits are stronger signals than body hits
+  field: "subject" | "body" | "any";
+}
+
+const SUBJECT_MULTIPLIER = 1.5;
+const MIN_SCORE = 2;
+
+// Weighted phrase rules. Negative weights suppress common false positives
+// (newsletters mentioning "interview tips", "offer" in marketing copy, etc).
+const RULES: PhraseRule[] = [
+  // Interview
+  { id: "interview.invite", type: "interview", pattern: /\b(invite|invitation) (you )?to (an? )?(interview|call|chat|conversation)\b/i, weight: 4, field: "any" },
+  { id: "interview.schedule", type: "interview", pattern: /\b(schedule|book|arrange|set up) (an? |your |a time for )?(interview|call|phone screen|video call|chat)\b/i, weight: 4, field: "any" },
+  { id: "interview.availability", type: "interview", pattern: /\b(your availability|share (some )?times|times that work|calendly\.com|goodtime\.io|select a time)\b/i, weight: 3, field: "body" },
+  { id: "interview.next_steps", type: "interview", pattern: /\b(next (step|round|stage)s? (in|of) (the|our) (process|interview))\b/i, weight: 2, field: "any" },
+  { id: "interview.stage", type: "interview", pattern: /\b(phone screen|technical (interview|screen)|onsite|on-site|take[- ]home|coding (challenge|exercise|assessment)|hiring manager (call|interview))\b/i, weight: 3, field: "any" },
+  { id: "interview.word", type: "interview", pattern: /\binterview\b/i, weight: 1.5, field: "subject" },
+  { id: "interview.move_forward", type: "interview", pattern: /\b(like|love|happy|pleased) to (move|moving) (you )?forward\b/i, weight: 3, field: "body" },
+  { id: "interview.tips", type: "interview", pattern: /\b(interview tips|how to ace|webinar|newsletter)\b/i, weight: -4, field: "any" },
+
+  // Rejection
+  { id: "rejection.unfortunately", type: "rejection", pattern: /\bunfortunately\b/i, weight: 2, field: "any" },
+  { id: "rejection.not_moving_forward", type: "rejection", pattern: /\b(not|won't|will not) (be )?(moving|move|proceed|proceeding) forward\b/i, weight: 5, field: "any" },
+  { id: "rejection.other_candidates", type: "rejection", pattern: /\b(decided to|chosen to|will be) (pursue|pursuing|move forward with|moving forward with|proceed with) other candidates\b/i, weight: 5, field: "body" },
+  { id: "rejection.not_selected", type: "rejection", pattern: /\b(not (been )?selected|were not successful|was not successful|unsuccessful)\b/i, weight: 4, field: "any" },
+  { id: "rejection.position_filled", type: "rejection", pattern: /\b(position|role) has (now )?been filled\b/i, weight: 4, field: "body" },
+  { id: "rejection.keep_on_file", type: "rejection", pattern: /\b(keep your (resume|cv|details) on file|future (opportunities|openings))\b/i, weight: 2, field: "body" },
+  { id: "rejection.regret", type: "rejection", pattern: /\bregret to inform\b/i, weight: 4, field: "body" },
+
+  // Offer
+  { id: "offer.pleased_to_offer", type: "offer", pattern: /\b(pleased|delighted|happy|excited) to (extend (you )?an? |offer you)\b/i, weight: 6, field: "body" },
+  { id: "offer.letter", type: "offer", pattern: /\boffer letter\b/i, weight: 5, field: "any" },
+  { id: "offer.job_offer", type: "offer", pattern: /\b(job|employment|formal|verbal) offer\b/i, weight: 4, field: "any" },
+  { id: "offer.compensation", type: "offer", pattern: /\b(base salary|signing bonus|start date|equity grant|compensation package)\b/i, weight: 2, field: "body" },
+  { id: "offer.subject", type: "offer", pattern: /\boffer\b/i, weight: 1.5, field: "subject" },
+  { id: "offer.congratulations", type: "offer", pattern: /\bcongratulations\b/i, weight: 1, field: "any" },
+  { id: "offer.marketing", type: "offer", pattern: /\b(special offer|limited[- ]time|% off|discount|unsubscribe from (these|marketing))\b/i, weight: -6, field: "any" },
+
+  // Follow-up / acknowledgement (recruiter is engaged but no decision yet)
+  { id: "follow_up.received", type: "follow_up", pattern: /\b(we('ve| have)? received your application|thank you for (applying|your application|your interest))\b/i, weight: 3, field: "any" },
+  { id: "follow_up.reviewing", type: "follow_up", pattern: /\b(currently reviewing|under review|will be in touch|get back to you)\b/i, weight: 2, field: "body" },
+  { id: "follow_up.checking_in", type: "follow_up", pattern: /\b(checking in|following up|quick update on your application)\b/i, weight: 2, field: "any" },
+];
+
+// Senders that host email for many companies; the company must come from elsewhere
+const ATS_SENDER_DOMAINS = [
+  "greenhouse.io", "greenhouse-mail.io", "lever.co", "hire.lever.co", "myworkday.com", "workday.com",
+  "ashbyhq.com", "smartrecruiters.com", "workablemail.com", "workable.com", "icims.com",
+  "recruitee.com", "bamboohr.com", "jobvite.com", "successfactors.com", "taleo.net",
+  "gmail.com", "outlook.com", "hotmail.com", "linkedin.com",
+];
+
+const COMPANY_SUFFIXES = /\b(inc|llc|ltd|limited|plc|gmbh|corp|corporation|co|company|group|holdings|technologies|technology|labs|ag|sa|bv|ab)\b\.?/g;
+
+// ATS hosts where the first path segment is the company board token
+const ATS_BOARD_HOSTS = [
+  "greenhouse.io", "lever.co", "ashbyhq.com", "workable.com", "smartrecruiters.com", "recruitee.com",
+];
+
+export function normalizeCompany(name: string): string {
+  return (name || "")
+    .toLowerCase()
+    .replace(/&/g, "and")
+    .replace(COMPANY_SUFFIXES, "")
+    .replace(/[^a-z0-9]/g, "");
+}
+
+export function parseSender(from: string): { name: string; email: string; domain: string } {
+  const match = from.match(/^\s*"?([^"<]*)"?\s*<([^>]+)>/);
+  const email = (match ? match[2] : from).trim().toLowerCase();
+  const name = match ? match[1].trim() : "";
+  const domain = email.includes("@") ? email.split("@")[1] : "";
+  return { name, email, domain };
+}
+
+function isAtsDomain(domain: string): boolean {
+  return ATS_SENDER_DOMAINS.some((d) => domain === d || domain.endsWith(`.${d}`));
+}
+
+// "mail.acme-corp.co.uk" -> "acmecorp"
+function domainLabel(domain: string): string {
+  const parts = domain.split(".").filter(Boolean);
+  if (parts.length < 2) return normalizeCompany(domain);
+  const secondLevel = ["co", "com", "org", "net", "ac", "gov"];
+  const idx = parts.length >= 3 && secondLevel.includes(parts[parts.length - 2]) ? parts.length - 3 : parts.length - 2;
+  return normalizeCompany(parts[idx]);
+}
+
+// Board token from an ATS job URL, e.g. boards.greenhouse.io/acme/jobs/1 -> "acme"
+export function boardTokenFromUrl(url: string | null | undefined): string | null {
+  if (!url) return null;
+  try {
+    const parsed = new URL(url);
+    const host = parsed.hostname.toLowerCase();
+    if (ATS_BOARD_HOSTS.some((h) => host.endsWith(h))) {
+      const sub = host.split(".")[0];
+      // acme.recruitee.com / acme.workable.com style
+      if (!["boards", "jobs", "job-boards", "apply", "www", "careers"].includes(sub)) {
+        return normalizeCompany(sub);
+      }
+      const segment = parsed.pathname.split("/").filter(Boolean)[0];
+      return segment ? normalizeCompany(segment) : null;
+    }
+    if (host.endsWith("myworkdayjobs.com")) {
+      return normalizeCompany(host.split(".")[0]);
+    }
+    return domainLabel(host);
+  } catch {
+    return null;
+  }
+}
+
+export function classifyEmail(message: Pick<EmailMessage, "subject" | "body">): Classification {
+  const scores: Record<DetectionType, number> = { interview: 0, rejection: 0, offer: 0, follow_up: 0 };
+  const matchedRules: string[] = [];
+  const subject = message.subject || "";
+  const body = (message.body || "").slice(0, 20000);
+
+  for (const rule of RULES) {
+    let hit = 0;
+    if ((rule.field === "subject" || rule.field === "any") && rule.pattern.test(subject)) {
+      hit = rule.weight * SUBJECT_MULTIPLIER;
+    }
+    if (!hit && (rule.field === "body" || rule.field === "any") && rule.pattern.test(body)) {
+      hit = rule.weight;
+    }
+    if (hit) {
+      scores[rule.type] += hit;
+      matchedRules.push(rule.id);
+    }
+  }
+
+  // A rejection that mentions a past interview is still a rejection
+  if (scores.rejection >= 4) {
+    scores.interview = Math.min(scores.interview, scores.rejection / 4);
+  }
+
+  const ranked = (Object.entries(scores) as [DetectionType, number][]).sort((a, b) => b[1] - a[1]);
+  const [topType, top] = ranked[0];
+  // Decisions nearly always open with "thank you for applying"; acknowledgement
+  // phrases should not erode confidence in an interview/rejection/offer
+  const runnerUp = ranked.find(([type], i) => i > 0 && (topType === "follow_up" || type !== "follow_up"));
+  const second = Math.max(0, runnerUp ? runnerUp[1] : 0);
+
+  if (top < MIN_SCORE) {
+    return { type: null, confidence: 0, scores, matchedRules };
+  }
+
+  // Saturating strength scaled by the margin over the runner-up
+  const confidence = (1 - Math.exp(-top / 4)) * ((top - second) / top);
+  return { type: topType, confidence: Math.round(confidence * 100) / 100, scores, matchedRules };
+}
+
+/**
+ * Link a message to one of the user's applications.
+ * threadIndex maps Gmail thread ids to application ids already linked earlier.
+ */
+export function matchApplication(
+  message: EmailMessage,
+  candidates: ApplicationCandidate[],
+  threadIndex: Map<string, string> = new Map(),
+): ApplicationMatch | null {
+  if (message.threadId && threadIndex.has(message.threadId)) {
+    const applicationId = threadIndex.get(message.threadId)!;
+    if (candidates.some((c) => c.id === applicationId)) {
+      return { applicationId, confidence: 1, reason: "thread" };
+    }
+  }
+
+  const sender = parseSender(message.from);
+  const senderLabel = isAtsDomain(sender.domain) ? null : domainLabel(sender.domain);
+  const subjectAndName = normalizeCompany(`${message.subject} ${sender.name}`);
+  const body = message.body || "";
+  const bodyNormalized = normalizeCompany(body.slice(0, 20000));
+
+  let best: ApplicationMatch | null = null;
+  let bestCreatedAt = "";
+
+  for (const candidate of candidates) {
+    const company = normalizeCompany(candidate.company);
+    if (!company || company.length < 2) continue;
+
+    let match: ApplicationMatch | null = null;
+    if (candidate.url && body.includes(candidate.url)) {
+      match = { applicationId: candidate.id, confidence: 0.95, reason: "job_url" };
+    } else if (senderLabel && (senderLabel === company || senderLabel === boardTokenFromUrl(candidate.url))) {
+      match = { applicationId: candidate.id, confidence: 0.85, reason: "sender_domain" };
+    } else if (subjectAndName.includes(company)) {
+      match = { applicationId: candidate.id, confidence: 0.7, reason: "company_name" };
+    } else if (company.length >= 4 && bodyNormalized.includes(company)) {
+      match = { applicationId: candidate.id, confidence: 0.45, reason: "company_body" };
+    }
+    if (!match) continue;
+
+    // Mentioning the job title as well makes the link more certain
+    const title = normalizeCompany(candidate.title || "");
+    if (title && title.length >= 6 && normalizeCompany(`${message.subject} ${body.slice(0, 5000)}`).includes(title)) {
+      match.confidence = Math.min(1, match.confidence + 0.1);
+    }
+
+    // Prefer stronger evidence, then the most recent application at that company
+    const createdAt = candidate.createdAt || "";
+    if (!best || match.confidence > best.confidence ||
+        (match.confidence === best.confidence && createdAt > bestCreatedAt)) {
+      best = match;
+      bestCreatedAt = createdAt;
+    }
+  }
+
+  return best;
+}
+
+const STATUS_FOR_DETECTION: Record<DetectionType, ApplicationStatus | null> = {
+  interview: "interviewing",
+  rejection: "rejected",
+  offer: "offered",
+  follow_up: null,
+};
+
+const STATUS_RANK: Record<ApplicationStatus, number> = {
+  pending: 0,
+  applied: 1,
+  interviewing: 2,
+  offered: 3,
+  rejected: 4,
+};
+
+export function statusForDetection(type: DetectionType): ApplicationStatus | null {
+  return STATUS_FOR_DETECTION[type];
+}
+
+/**
+ * Only move applications forward; a late "interview" email must not undo an
+ * offer, and nothing reopens a rejected application automatically.
+ */
+export function shouldAdvanceStatus(current: ApplicationStatus | null, next: ApplicationStatus): boolean {
+  const from = current || "pending";
+  if (from === next || from === "rejected") return false;
+  if (next === "rejected") return true;
+  return STATUS_RANK[next] > STATUS_RANK[from];
+}
@@ -0,0 +1,60 @@
+// The snapshot of an application form the extension takes at its pre-submit
+// review (application_submissions.filled_fields): what each field held when
+// the user confirmed, where the value came from and how sure the filler was.
+// record-submission validates it; the Applications page shows it.
+
+export type FilledFieldSource = "profile" | "memory" | "pattern" | "ai" | "manual";
+
+export const FILLED_FIELD_SOURCES: Record<FilledFieldSource, string> = {
+  profile: "Profile",
+  memory: "Memory",
+  pattern: "Pattern",
+  ai: "AI",
+  /** Typed by the user, on the page or in the review */
+  manual: "You",
+};
+
+export type FilledFieldConfidence = "high" | "medium" | "low";
+
+// A type, not an interface, so snapshots are assignable to a JSON column
+export type FilledField = {
+  label: string;
+  value: string;
+  source: FilledFieldSource;
+  confidence: FilledFieldConfidence | null;
+  /** Why the filler chose the value ("Answer bank: Notice period", the AI's reasoning) */
+  detail?: string | null;
+  /** Changed by the user in the review */
+  edited: boolean;
+};
+
+export const MAX_FILLED_FIELDS = 300;
+const MAX_LABEL_LENGTH = 500;
+const MAX_VALUE_LENGTH = 5000;
+const MAX_DETAIL_LENGTH = 500;
+
+const CONFIDENCES: FilledFieldConfidence[] = ["high", "medium", "low"];
+
+const text = (value: unknown, maxLength: number) =>
+  typeof value === "string" ? value.trim().substring(0, maxLength) : "";
+
+/** A snapshot from untrusted JSON (a request body or the column); malformed entries are dropped */
+export function parseFilledFields(value: unknown): FilledField[] {
+  if (!Array.isArray(value)) return [];
+  return value.slice(0, MAX_FILLED_FIELDS).flatMap((entry) => {
+    if (!entry || typeof entry !== "object") return [];
+    const raw = entry as Record<string, unknown>;
+    const label = text(raw.label, MAX_LABEL_LENGTH);
+    const source = raw.source as FilledFieldSource;
+    if (!label || !Object.prototype.hasOwnProperty.call(FILLED_FIELD_SOURCES, source)) return [];
+    const confidence = raw.confidence as FilledFieldConfidence;
+    return [{
+      label,
+      value: text(raw.value, MAX_VALUE_LENGTH),
+      source,
+      confidence: CONFIDENCES.includes(confidence) ? confidence : null,
+      detail: text(raw.detail, MAX_DETAIL_LENGTH) || null,
+      edited: raw.edited === true,
+    }];
+  });
+}
@@ -0,0 +1,299 @@
+// Incremental Gmail sync built on the users.history API.
+// All HTTP goes through the injected fetch so a local Gmail stand-in can be
+// used instead of googleapis.com (npm run gmail:test).
+
+export const GMAIL_API_BASE = "https://gmail.googleapis.com/gmail/v1/users/me";
+
+export interface GmailAttachment {
+  attachmentId: string | null;
+  filename: string;
+  mimeType: string;
+  size: number;
+}
+
+export interface GmailMessage {
+  id: string;
+  threadId: string | null;
+  historyId: string | null;
+  internalDate: string | null;
+  from: string;
+  subject: string;
+  bodyText: string;
+  bodyHtml: string;
+  attachments: GmailAttachment[];
+}
+
+export interface SyncOptions {
+  // Cursor stored from the previous sync; null forces a full sync
+  startHistoryId: string | null;
+  // Search used when no cursor exists or it has expired
+  fullSyncQuery?: string;
+  // Upper bound on messages fetched in one invocation
+  maxMessages?: number;
+}
+
+export interface SyncResult {
+  mode: "incremental" | "full";
+  messages: GmailMessage[];
+  // Cursor to persist for the next sync
+  historyId: string | null;
+  // True when more changes are waiting beyond maxMessages
+  truncated: boolean;
+}
+
+interface GmailClientOptions {
+  fetchImpl?: typeof fetch;
+  baseUrl?: string;
+}
+
+interface HistoryEntry {
+  historyId: string;
+  messageId: string;
+}
+
+const DEFAULT_MAX_MESSAGES = 100;
+const DEFAULT_FULL_SYNC_QUERY = "in:inbox newer_than:30d";
+const PAGE_SIZE = 100;
+
+interface GmailPart {
+  mimeType?: string;
+  filename?: string;
+  body?: { data?: string; size?: number; attachmentId?: string };
+  parts?: GmailPart[];
+  headers?: { name: string; value: string }[];
+}
+
+export function decodeBase64Url(data: string): string {
+  const base64 = data.replace(/-/g, "+").replace(/_/g, "/");
+  const padded = base64 + "=".repeat((4 - (base64.length % 4)) % 4);
+  const binary = atob(padded);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new TextDecoder("utf-8").decode(bytes);
+}
+
+export function htmlToText(html: string): string {
+  return html
+    .replace(/<(script|style|head)\b[^>]*>[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|li|tr|h[1-6])>/gi, "\n")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/&nbsp;/gi, " ")
+    .replace(/&amp;/gi, "&")
+    .replace(/&lt;/gi, "<")
+    .replace(/&gt;/gi, ">")
+    .replace(/&quot;/gi, '"')
+    .replace(/&#39;|&apos;/gi, "'")
+    .replace(/[ \t]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/\n\s*\n+/g, "\n\n")
+    .trim();
+}
+
+/**
+ * Walk a (possibly nested multipart) payload and collect the text/plain and
+ * text/html bodies plus attachment metadata. Attachment bytes are not fetched.
+ */
+export function extractMessageContent(payload: GmailPart | undefined): {
+  bodyText: string;
+  bodyHtml: string;
+  attachments: GmailAttachment[];
+} {
+  const textParts: string[] = [];
+  const htmlParts: string[] = [];
+  const attachments: GmailAttachment[] = [];
+
+  const walk = (part: GmailPart | undefined) => {
+    if (!part) return;
+    const mimeType = (part.mimeType || "").toLowerCase();
+
+    if (part.filename || part.body?.attachmentId) {
+      attachments.push({
+        attachmentId: part.body?.attachmentId || null,
+        filename: part.filename || "",
+        mimeType,
+        size: part.body?.size || 0,
+      });
+      return;
+    }
+
+    if (part.body?.data) {
+      if (mimeType === "text/plain") textParts.push(decodeBase64Url(part.body.data));
+      else if (mimeType === "text/html") htmlParts.push(decodeBase64Url(part.body.data));
+    }
+
+    part.parts?.forEach(walk);
+  };
+
+  walk(payload);
+
+  const bodyHtml = htmlParts.join("\n");
+  const bodyText = textParts.length ? textParts.join("\n") : htmlToText(bodyHtml);
+  return { bodyText, bodyHtml, attachments };
+}
+
+export function createGmailClient(accessToken: string, options: GmailClientOptions = {}) {
+  const fetchImpl = options.fetchImpl || fetch;
+  const baseUrl = (options.baseUrl || GMAIL_API_BASE).replace(/\/$/, "");
+
+  const request = async (path: string, params: Record<string, string | undefined> = {}) => {
+    const url = new URL(`${baseUrl}${path}`);
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined) url.searchParams.append(key, value);
+    }
+    return await fetchImpl(url.toString(), {
+      headers: { Authorization: `Bearer ${accessToken}` },
+    });
+  };
+
+  const getProfile = async (): Promise<{ emailAddress: string; historyId: string }> => {
+    const response = await request("/profile");
+    if (!response.ok) {
+      throw new Error(`Failed to fetch Gmail profile: ${response.status}`);
+    }
+    return await response.json();
+  };
+
+  /**
+   * Message additions since startHistoryId, oldest first.
+   * Returns null when the cursor is too old and Gmail answers 404.
+   */
+  const listHistory = async (
+    startHistoryId: string,
+    maxEntries: number,
+  ): Promise<{ entries: HistoryEntry[]; historyId: string; truncated: boolean } | null> => {
+    const entries: HistoryEntry[] = [];
+    const seen = new Set<string>();
+    let pageToken: string | undefined;
+    let latestHistoryId = startHistoryId;
+
+    do {
+      const response = await request("/history", {
+        startHistoryId,
+        historyTypes: "messageAdded",
+        labelId: "INBOX",
+        maxResults: String(PAGE_SIZE),
+        pageToken,
+      });
+
+      if (response.status === 404) return null;
+      if (!response.ok) {
+        throw new Error(`Failed to fetch Gmail history: ${response.status}`);
+      }
+
+      const data = await response.json();
+      latestHistoryId = data.historyId || latestHistoryId;
+
+      for (const record of data.history || []) {
+        for (const added of record.messagesAdded || []) {
+          const id = added.message?.id;
+          if (!id || seen.has(id)) continue;
+          seen.add(id);
+          entries.push({ historyId: record.id, messageId: id });
+        }
+      }
+
+      pageToken = data.nextPageToken;
+    } while (pageToken && entries.length < maxEntries);
+
+    return {
+      entries: entries.slice(0, maxEntries),
+      historyId: latestHistoryId,
+      truncated: entries.length > maxEntries || Boolean(pageToken),
+    };
+  };
+
+  // Message ids matching a search, newest first
+  const listMessages = async (query: string, maxMessages: number): Promise<{ ids: string[]; truncated: boolean }> => {
+    const ids: string[] = [];
+    let pageToken: string | undefined;
+
+    do {
+      const response = await request("/messages", {
+        q: query,
+        maxResults: String(Math.min(PAGE_SIZE, maxMessages - ids.length)),
+        pageToken,
+      });
+
+      if (!response.ok) {
+        throw new Error(`Failed to list Gmail messages: ${response.status}`);
+      }
+
+      const data = await response.json();
+      for (const message of data.messages || []) {
+        ids.push(message.id);
+      }
+      pageToken = data.nextPageToken;
+    } while (pageToken && ids.length < maxMessages);
+
+    return { ids: ids.slice(0, maxMessages), truncated: Boolean(pageToken) };
+  };
+
+  // Returns null for messages deleted between listing and fetching
+  const getMessage = async (id: string): Promise<GmailMessage | null> => {
+    const response = await request(`/messages/${id}`, { format: "full" });
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`Failed to fetch Gmail message ${id}: ${response.status}`);
+    }
+
+    const data = await response.json();
+    const headers: { name: string; value: string }[] = data.payload?.headers || [];
+    const header = (name: string) =>
+      headers.find((h) => h.name.toLowerCase() === name.toLowerCase())?.value || "";
+
+    return {
+      id: data.id,
+      threadId: data.threadId || null,
+      historyId: data.historyId || null,
+      internalDate: data.internalDate || null,
+      from: header("From"),
+      subject: header("Subject"),
+      ...extractMessageContent(data.payload),
+    };
+  };
+
+  return { getProfile, listHistory, listMessages, getMessage };
+}
+
+export type GmailClient = ReturnType<typeof createGmailClient>;
+
+/**
+ * Fetch new inbox messages since the stored cursor. Falls back to a bounded
+ * full sync when there is no cursor or Gmail no longer has that history.
+ */
+export async function syncMailbox(client: GmailClient, options: SyncOptions): Promise<SyncResult> {
+  const maxMessages = options.maxMessages || DEFAULT_MAX_MESSAGES;
+
+  if (options.startHistoryId) {
+    const history = await client.listHistory(options.startHistoryId, maxMessages);
+    if (history) {
+      const messages: GmailMessage[] = [];
+      for (const entry of history.entries) {
+        const message = await client.getMessage(entry.messageId);
+        if (message) messages.push(message);
+      }
+
+      // When truncated, resume after the last record we actually processed
+      const lastEntry = history.entries[history.entries.length - 1];
+      const cursor = history.truncated && lastEntry ? lastEntry.historyId : history.historyId;
+
+      return { mode: "incremental", messages, historyId: cursor, truncated: history.truncated };
+    }
+    console.log("Gmail history cursor expired, falling back to full sync");
+  }
+
+  // Take the cursor first so nothing arriving mid-sync is skipped next time
+  const profile = await client.getProfile();
+  const listing = await client.listMessages(options.fullSyncQuery || DEFAULT_FULL_SYNC_QUERY, maxMessages);
+
+  const messages: GmailMessage[] = [];
+  for (const id of listing.ids) {
+    const message = await client.getMessage(id);
+    if (message) messages.push(message);
+  }
+
+  return { mode: "full", messages, historyId: profile.historyId, truncated: listing.truncated };
+}
@@ -0,0 +1,66 @@
+// Ashby public job board API: https://developers.ashbyhq.com/docs/public-job-posting-api
+// One response holds every listed posting with its description and pay.
+
+import type { JobConnector } from "./types.ts";
+import { extractRequirements, fetchJson, stripHtml, toIsoDate } from "./normalize.ts";
+
+const API_BASE = "https://api.ashbyhq.com/posting-api/job-board";
+
+interface AshbyPosting {
+  id: string;
+  title?: string;
+  location?: string;
+  isRemote?: boolean;
+  isListed?: boolean;
+  publishedAt?: string;
+  jobUrl?: string;
+  descriptionPlain?: string;
+  descriptionHtml?: string;
+  compensation?: { compensationTierSummary?: string | null };
+}
+
+export const ashbyConnector: JobConnector<AshbyPosting> = {
+  id: "ashby",
+  platform: "Ashby",
+
+  async listJobs(board, ctx) {
+    const data = await fetchJson<{ jobs?: AshbyPosting[] }>(
+      ctx,
+      `${API_BASE}/${encodeURIComponent(board.token)}?includeCompensation=true`,
+    );
+    return {
+      postings: (data?.jobs || []).filter(posting => posting.isListed !== false),
+      nextCursor: null,
+    };
+  },
+
+  // No single-posting endpoint; the board listing is already complete
+  async fetchJobDetails(_board, posting) {
+    return posting;
+  },
+
+  needsDetails() {
+    return false;
+  },
+
+  normalize(board, posting) {
+    const description = (posting.descriptionPlain || stripHtml(posting.descriptionHtml)).trim();
+    return {
+      external_id: posting.id,
+      title: posting.title || 'Unknown Position',
+      company: board.company,
+      location: posting.location || (posting.isRemote ? 'Remote' : 'Unknown'),
+      salary: posting.compensation?.compensationTierSummary || null,
+      description,
+      requirements: extractRequirements(description),
+      platform: 'Ashby',
+      url: posting.jobUrl || `https://jobs.ashbyhq.com/${board.token}/${posting.id}`,
+      posted_date: toIsoDate(posting.publishedAt),
+      match_score: 0,
+    };
+  },
+
+  isJobUrl(url) {
+    return /jobs\.ashbyhq\.com\/[^/]+\/[0-9a-f-]{36}/i.test(url);
+  },
+};
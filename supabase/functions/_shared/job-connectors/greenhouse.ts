@@ -0,0 +1,64 @@
+// Greenhouse Job Board API: https://developers.greenhouse.io/job-board.html
+// The board returns every posting in one response, so there is no paging.
+
+import type { JobConnector } from "./types.ts";
+import { extractRequirements, fetchJson, stripHtml, toIsoDate } from "./normalize.ts";
+
+const API_BASE = "https://boards-api.greenhouse.io/v1/boards";
+
+interface GreenhousePosting {
+  id: number;
+  title?: string;
+  absolute_url?: string;
+  updated_at?: string;
+  location?: { name?: string };
+  content?: string;
+}
+
+export const greenhouseConnector: JobConnector<GreenhousePosting> = {
+  id: "greenhouse",
+  platform: "Greenhouse",
+
+  async listJobs(board, ctx, options) {
+    const query = options.includeContent ? "?content=true" : "";
+    const data = await fetchJson<{ jobs?: GreenhousePosting[] }>(
+      ctx,
+      `${API_BASE}/${encodeURIComponent(board.token)}/jobs${query}`,
+    );
+    return { postings: data?.jobs || [], nextCursor: null };
+  },
+
+  async fetchJobDetails(board, posting, ctx) {
+    return await fetchJson<GreenhousePosting>(
+      ctx,
+      `${API_BASE}/${encodeURIComponent(board.token)}/jobs/${posting.id}`,
+    );
+  },
+
+  needsDetails(posting) {
+    return !posting.content;
+  },
+
+  normalize(board, posting) {
+    const description = stripHtml(posting.content);
+    return {
+      external_id: String(posting.id),
+      title: posting.title || 'Unknown Position',
+      company: board.company,
+      location: posting.location?.name || 'Remote',
+      salary: null,
+      description,
+      requirements: extractRequirements(description),
+      platform: 'Greenhouse',
+      // absolute_url is the direct apply link (sometimes on the company's own domain)
+      url: posting.absolute_url || `https://boards.greenhouse.io/${board.token}/jobs/${posting.id}`,
+      posted_date: toIsoDate(posting.updated_at),
+      match_score: 0,
+    };
+  },
+
+  isJobUrl(url) {
+    // Hosted boards use /jobs/{id}; embedded company career pages carry gh_jid
+    return (url.includes('greenhouse.io') && /\/jobs\/\d+/.test(url)) || /[?&]gh_jid=\d+/.test(url);
+  },
+};
@@ -0,0 +1,140 @@
+// Pluggable job-board connectors used by scrape-jobs and live-jobs.
+// Adding a provider = implement JobConnector in its own file and register it below.
+
+import type { BoardRef, ConnectorContext, ConnectorId, JobConnector, JobListing } from "./types.ts";
+import { greenhouseConnector } from "./greenhouse.ts";
+import { workableConnector } from "./workable.ts";
+import { leverConnector } from "./lever.ts";
+import { ashbyConnector } from "./ashby.ts";
+import { smartRecruitersConnector } from "./smartrecruiters.ts";
+import { recruiteeConnector } from "./recruitee.ts";
+
+export type { BoardRef, ConnectorContext, ConnectorId, JobConnector, JobListing } from "./types.ts";
+export { extractRequirements } from "./normalize.ts";
+
+export const CONNECTORS: Record<ConnectorId, JobConnector<unknown>> = {
+  greenhouse: greenhouseConnector,
+  workable: workableConnector,
+  lever: leverConnector,
+  ashby: ashbyConnector,
+  smartrecruiters: smartRecruitersConnector,
+  recruitee: recruiteeConnector,
+};
+
+const BOARD_TOKEN_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,99}$/;
+
+export interface CollectOptions {
+  // Stop after this many postings per board
+  maxJobs: number;
+  // Fetch descriptions (extra request per posting on providers that need it)
+  includeDetails?: boolean;
+  timeoutMs?: number;
+  fetchImpl?: typeof fetch;
+}
+
+export interface BoardResult {
+  board: BoardRef;
+  jobs: JobListing[];
+  error: string | null;
+}
+
+export function isConnectorId(value: string): value is ConnectorId {
+  return Object.prototype.hasOwnProperty.call(CONNECTORS, value);
+}
+
+export function isValidBoardToken(token: string): boolean {
+  return BOARD_TOKEN_PATTERN.test(token);
+}
+
+// Direct link to a single posting on any supported provider (not a careers page)
+export function isDirectJobUrl(url: string): boolean {
+  if (!url) return false;
+  return Object.values(CONNECTORS).some(connector => connector.isJobUrl(url));
+}
+
+/**
+ * Combine the built-in board list with a user's own boards, dropping
+ * duplicates and anything with an unknown provider or malformed token.
+ */
+export function mergeBoards(...lists: BoardRef[][]): BoardRef[] {
+  const seen = new Set<string>();
+  const boards: BoardRef[] = [];
+  for (const board of lists.flat()) {
+    if (!isConnectorId(board.provider) || !isValidBoardToken(board.token)) continue;
+    const key = `${board.provider}:${board.token.toLowerCase()}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    boards.push(board);
+  }
+  return boards;
+}
+
+// Rows of public.company_watchlist -> BoardRef
+export function boardsFromWatchlist(
+  rows: { company_name: string; provider: string; board_token: string }[] | null,
+): BoardRef[] {
+  return (rows || [])
+    .filter(row => isConnectorId(row.provider))
+    .map(row => ({ provider: row.provider as ConnectorId, token: row.board_token, company: row.company_name }));
+}
+
+/**
+ * Page through one board until maxJobs postings are collected, optionally
+ * filling in descriptions, and normalise them. Errors are reported on the
+ * result instead of thrown so one broken board doesn't sink the batch.
+ */
+export async function collectBoardJobs(board: BoardRef, options: CollectOptions): Promise<BoardResult> {
+  const connector = CONNECTORS[board.provider];
+  const ctx: ConnectorContext = {
+    fetchImpl: options.fetchImpl || fetch,
+    timeoutMs: options.timeoutMs || 8000,
+  };
+  const includeDetails = Boolean(options.includeDetails);
+
+  try {
+    const postings: unknown[] = [];
+    let cursor: string | null = null;
+    do {
+      const page = await connector.listJobs(board, ctx, { cursor, includeContent: includeDetails });
+      postings.push(...page.postings);
+      cursor = page.nextCursor;
+    } while (cursor && postings.length < options.maxJobs);
+
+    const selected = postings.slice(0, options.maxJobs);
+    const detailed = includeDetails
+      ? await Promise.all(selected.map(async (posting) => {
+          if (!connector.needsDetails(posting)) return posting;
+          try {
+            return await connector.fetchJobDetails(board, posting, ctx);
+          } catch {
+            // Keep the summary when the detail call fails
+            return posting;
+          }
+        }))
+      : selected;
+
+    const jobs = detailed
+      .filter(posting => posting !== null)
+      .map(posting => connector.normalize(board, posting));
+
+    return { board, jobs, error: null };
+  } catch (error) {
+    const message = error instanceof Error ? error.message : 'Unknown error';
+    console.error(`${connector.platform} ${board.company}: ${message}`);
+    return { board, jobs: [], error: message };
+  }
+}
+
+// Collect from many boards, batchSize at a time to stay inside edge CPU limits
+export async function collectJobs(
+  boards: BoardRef[],
+  options: CollectOptions & { batchSize?: number },
+): Promise<BoardResult[]> {
+  const batchSize = options.batchSize || 5;
+  const results: BoardResult[] = [];
+  for (let i = 0; i < boards.length; i += batchSize) {
+    const batch = boards.slice(i, i + batchSize);
+    results.push(...await Promise.all(batch.map(board => collectBoardJobs(board, options))));
+  }
+  return results;
+}
@@ -0,0 +1,75 @@
+// Lever Postings API: https://github.com/lever/postings-api
+// Paged with skip/limit; list responses already include the description.
+
+import type { JobConnector } from "./types.ts";
+import { extractRequirements, fetchJson, formatSalaryRange, stripHtml, toIsoDate } from "./normalize.ts";
+
+const API_BASE = "https://api.lever.co/v0/postings";
+const PAGE_SIZE = 100;
+
+interface LeverPosting {
+  id: string;
+  text?: string;
+  hostedUrl?: string;
+  createdAt?: number;
+  workplaceType?: string;
+  categories?: { location?: string; team?: string; commitment?: string };
+  descriptionPlain?: string;
+  lists?: { text?: string; content?: string }[];
+  additionalPlain?: string;
+  salaryRange?: { min?: number; max?: number; currency?: string; interval?: string };
+}
+
+export const leverConnector: JobConnector<LeverPosting> = {
+  id: "lever",
+  platform: "Lever",
+
+  async listJobs(board, ctx, options) {
+    const skip = Number(options.cursor) || 0;
+    const postings = await fetchJson<LeverPosting[]>(
+      ctx,
+      `${API_BASE}/${encodeURIComponent(board.token)}?mode=json&skip=${skip}&limit=${PAGE_SIZE}`,
+    ) || [];
+    return {
+      postings,
+      nextCursor: postings.length === PAGE_SIZE ? String(skip + PAGE_SIZE) : null,
+    };
+  },
+
+  async fetchJobDetails(board, posting, ctx) {
+    return await fetchJson<LeverPosting>(
+      ctx,
+      `${API_BASE}/${encodeURIComponent(board.token)}/${encodeURIComponent(posting.id)}?mode=json`,
+    );
+  },
+
+  needsDetails(posting) {
+    return !posting.descriptionPlain && !posting.lists?.length;
+  },
+
+  normalize(board, posting) {
+    const sections = (posting.lists || []).map(list => `${list.text || ''}\n${stripHtml(list.content)}`);
+    const description = [posting.descriptionPlain, ...sections, posting.additionalPlain]
+      .filter(Boolean)
+      .join('\n\n')
+      .trim();
+    const salary = posting.salaryRange;
+    return {
+      external_id: posting.id,
+      title: posting.text || 'Unknown Position',
+      company: board.company,
+      location: posting.categories?.location || (posting.workplaceType === 'remote' ? 'Remote' : 'Unknown'),
+      salary: salary ? formatSalaryRange(salary.min, salary.max, salary.currency, salary.interval) : null,
+      description,
+      requirements: extractRequirements(description),
+      platform: 'Lever',
+      url: posting.hostedUrl || `https://jobs.lever.co/${board.token}/${posting.id}`,
+      posted_date: toIsoDate(posting.createdAt),
+      match_score: 0,
+    };
+  },
+
+  isJobUrl(url) {
+    return /jobs\.(eu\.)?lever\.co\/[^/]+\/[0-9a-f-]{36}/i.test(url);
+  },
+};
@@ -0,0 +1,100 @@
+// Helpers shared by every connector: HTTP with a timeout and text clean-up.
+
+import type { ConnectorContext } from "./types.ts";
+
+export const MAX_DESCRIPTION_LENGTH = 5000;
+
+const TECH_KEYWORDS = [
+  'Python', 'Java', 'TypeScript', 'JavaScript', 'React', 'Node.js', 'AWS', 'GCP', 'Azure',
+  'Kubernetes', 'Docker', 'PostgreSQL', 'MongoDB', 'Redis', 'Kafka', 'GraphQL',
+  'Machine Learning', 'Deep Learning', 'TensorFlow', 'PyTorch', 'Go', 'Rust', 'C++',
+  'SQL', 'NoSQL', 'REST API', 'Microservices', 'CI/CD', 'Terraform', 'Linux'
+];
+
+/**
+ * GET/POST JSON with a timeout. Returns null on 404 so a removed board or
+ * posting is not treated as an error; other non-2xx responses throw.
+ */
+export async function fetchJson<T>(ctx: ConnectorContext, url: string, init: RequestInit = {}): Promise<T | null> {
+  const controller = new AbortController();
+  const id = setTimeout(() => controller.abort(), ctx.timeoutMs);
+  try {
+    const response = await ctx.fetchImpl(url, {
+      ...init,
+      signal: controller.signal,
+      headers: { 'Accept': 'application/json', ...(init.headers || {}) },
+    });
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} from ${new URL(url).host}`);
+    }
+    return await response.json() as T;
+  } finally {
+    clearTimeout(id);
+  }
+}
+
+function decodeEntities(text: string): string {
+  return text
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>')
+    .replace(/&quot;/gi, '"')
+    .replace(/&#39;|&apos;/gi, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+    .replace(/&amp;/gi, '&');
+}
+
+// Plain text from provider HTML. Greenhouse entity-encodes its markup, so decode first.
+export function stripHtml(html: string | null | undefined): string {
+  if (!html) return '';
+  return decodeEntities(decodeEntities(html)
+    .replace(/<(script|style)\b[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|h[1-6])>/gi, '\n')
+    .replace(/<[^>]+>/g, ' '))
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n\s*\n+/g, '\n\n')
+    .trim()
+    .slice(0, MAX_DESCRIPTION_LENGTH);
+}
+
+// Extract requirements from job description
+export function extractRequirements(content: string): string[] {
+  const lower = content.toLowerCase();
+  return TECH_KEYWORDS.filter(kw => lower.includes(kw.toLowerCase())).slice(0, 6);
+}
+
+// Provider interval spellings ("per-year-salary", "annually", "hour") -> unit
+const SALARY_PERIODS: [RegExp, string][] = [
+  [/year|annual/i, 'year'],
+  [/month/i, 'month'],
+  [/week/i, 'week'],
+  [/day|daily/i, 'day'],
+  [/hour/i, 'hour'],
+];
+
+// "USD 120,000 - 150,000 / year" from whatever numeric range a provider exposes
+export function formatSalaryRange(
+  min: number | null | undefined,
+  max: number | null | undefined,
+  currency?: string | null,
+  interval?: string | null,
+): string | null {
+  if (!min && !max) return null;
+  const amount = (n: number) => n.toLocaleString('en-US');
+  const range = min && max && min !== max ? `${amount(min)} - ${amount(max)}` : amount((min || max)!);
+  const period = interval ? SALARY_PERIODS.find(([pattern]) => pattern.test(interval))?.[1] : undefined;
+  const per = period ? ` / ${period}` : '';
+  return `${currency ? `${currency} ` : ''}${range}${per}`;
+}
+
+export function joinLocation(...parts: (string | null | undefined)[]): string {
+  return parts.filter((p): p is string => Boolean(p && p.trim())).join(', ');
+}
+
+export function toIsoDate(value: string | number | null | undefined): string {
+  if (value === null || value === undefined || value === '') return new Date().toISOString();
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+}
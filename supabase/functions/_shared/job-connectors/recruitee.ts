@@ -0,0 +1,66 @@
+// Recruitee careers site API ({company}.recruitee.com/api/offers).
+// Offers come back in one response with description and salary.
+
+import type { JobConnector } from "./types.ts";
+import { extractRequirements, fetchJson, formatSalaryRange, joinLocation, stripHtml, toIsoDate } from "./normalize.ts";
+
+interface RecruiteePosting {
+  id: number;
+  slug: string;
+  title?: string;
+  location?: string;
+  city?: string;
+  country?: string;
+  remote?: boolean;
+  careers_url?: string;
+  published_at?: string;
+  description?: string;
+  requirements?: string;
+  salary?: { min?: number | string | null; max?: number | string | null; currency?: string | null; period?: string | null };
+}
+
+const baseUrl = (token: string) => `https://${encodeURIComponent(token.toLowerCase())}.recruitee.com/api/offers`;
+
+export const recruiteeConnector: JobConnector<RecruiteePosting> = {
+  id: "recruitee",
+  platform: "Recruitee",
+
+  async listJobs(board, ctx) {
+    const data = await fetchJson<{ offers?: RecruiteePosting[] }>(ctx, `${baseUrl(board.token)}/`);
+    return { postings: data?.offers || [], nextCursor: null };
+  },
+
+  async fetchJobDetails(board, posting, ctx) {
+    const data = await fetchJson<{ offer?: RecruiteePosting }>(
+      ctx,
+      `${baseUrl(board.token)}/${encodeURIComponent(posting.slug)}`,
+    );
+    return data?.offer || null;
+  },
+
+  needsDetails(posting) {
+    return !posting.description;
+  },
+
+  normalize(board, posting) {
+    const description = stripHtml([posting.description, posting.requirements].filter(Boolean).join('\n'));
+    const salary = posting.salary;
+    return {
+      external_id: String(posting.id),
+      title: posting.title || 'Unknown Position',
+      company: board.company,
+      location: posting.location || joinLocation(posting.city, posting.country) || (posting.remote ? 'Remote' : 'Unknown'),
+      salary: salary ? formatSalaryRange(Number(salary.min) || null, Number(salary.max) || null, salary.currency, salary.period) : null,
+      description,
+      requirements: extractRequirements(description),
+      platform: 'Recruitee',
+      url: posting.careers_url || `https://${board.token.toLowerCase()}.recruitee.com/o/${posting.slug}`,
+      posted_date: toIsoDate(posting.published_at),
+      match_score: 0,
+    };
+  },
+
+  isJobUrl(url) {
+    return /recruitee\.com\/o\/[^/?#]+/.test(url);
+  },
+};
@@ -0,0 +1,82 @@
+// SmartRecruiters Posting API: https://developers.smartrecruiters.com/docs/posting-api
+// Paged with offset/limit; the listing has no description, so details are a second call.
+
+import type { JobConnector } from "./types.ts";
+import { extractRequirements, fetchJson, joinLocation, stripHtml, toIsoDate } from "./normalize.ts";
+
+const API_BASE = "https://api.smartrecruiters.com/v1/companies";
+const PAGE_SIZE = 100;
+
+interface SmartRecruitersPosting {
+  id: string;
+  name?: string;
+  releasedDate?: string;
+  postingUrl?: string;
+  location?: { city?: string; region?: string; country?: string; remote?: boolean };
+  jobAd?: {
+    sections?: Record<string, { title?: string; text?: string } | undefined>;
+  };
+}
+
+interface SmartRecruitersPage {
+  offset?: number;
+  totalFound?: number;
+  content?: SmartRecruitersPosting[];
+}
+
+export const smartRecruitersConnector: JobConnector<SmartRecruitersPosting> = {
+  id: "smartrecruiters",
+  platform: "SmartRecruiters",
+
+  async listJobs(board, ctx, options) {
+    const offset = Number(options.cursor) || 0;
+    const data = await fetchJson<SmartRecruitersPage>(
+      ctx,
+      `${API_BASE}/${encodeURIComponent(board.token)}/postings?limit=${PAGE_SIZE}&offset=${offset}`,
+    );
+    const postings = data?.content || [];
+    const next = offset + postings.length;
+    return {
+      postings,
+      nextCursor: postings.length > 0 && next < (data?.totalFound || 0) ? String(next) : null,
+    };
+  },
+
+  async fetchJobDetails(board, posting, ctx) {
+    return await fetchJson<SmartRecruitersPosting>(
+      ctx,
+      `${API_BASE}/${encodeURIComponent(board.token)}/postings/${encodeURIComponent(posting.id)}`,
+    );
+  },
+
+  needsDetails(posting) {
+    return !posting.jobAd;
+  },
+
+  normalize(board, posting) {
+    const sections = posting.jobAd?.sections || {};
+    const description = stripHtml(
+      [sections.jobDescription?.text, sections.qualifications?.text, sections.additionalInformation?.text]
+        .filter(Boolean)
+        .join('\n'),
+    );
+    const location = joinLocation(posting.location?.city, posting.location?.country?.toUpperCase());
+    return {
+      external_id: posting.id,
+      title: posting.name || 'Unknown Position',
+      company: board.company,
+      location: posting.location?.remote ? (location ? `Remote, ${location}` : 'Remote') : location || 'Unknown',
+      salary: null,
+      description,
+      requirements: extractRequirements(description),
+      platform: 'SmartRecruiters',
+      url: posting.postingUrl || `https://jobs.smartrecruiters.com/${board.token}/${posting.id}`,
+      posted_date: toIsoDate(posting.releasedDate),
+      match_score: 0,
+    };
+  },
+
+  isJobUrl(url) {
+    return /smartrecruiters\.com\/[^/]+\/\d{6,}/.test(url);
+  },
+};
@@ -0,0 +1,60 @@
+// Shared shapes for the job-board connectors.
+
+export type ConnectorId = "greenhouse" | "workable" | "lever" | "ashby" | "smartrecruiters" | "recruitee";
+
+// One company board on one provider, e.g. { provider: "lever", token: "netflix", company: "Netflix" }
+export interface BoardRef {
+  provider: ConnectorId;
+  token: string;
+  company: string;
+}
+
+// Provider-neutral posting, matches what scrape-jobs / live-jobs write into `jobs`
+export interface JobListing {
+  external_id: string;
+  title: string;
+  company: string;
+  location: string;
+  salary: string | null;
+  description: string;
+  requirements: string[];
+  platform: string;
+  url: string;
+  posted_date: string;
+  match_score: number;
+}
+
+export interface ConnectorContext {
+  fetchImpl: typeof fetch;
+  timeoutMs: number;
+}
+
+export interface ListOptions {
+  // Opaque page cursor returned by the previous listJobs call
+  cursor: string | null;
+  // Ask for descriptions inline where the provider supports it
+  includeContent: boolean;
+}
+
+export interface JobPage<Raw> {
+  postings: Raw[];
+  nextCursor: string | null;
+}
+
+/**
+ * A job-board provider. Raw is the provider's own posting shape; everything
+ * past normalize() only sees JobListing.
+ */
+export interface JobConnector<Raw> {
+  id: ConnectorId;
+  // Display name stored in jobs.platform
+  platform: string;
+  listJobs(board: BoardRef, ctx: ConnectorContext, options: ListOptions): Promise<JobPage<Raw>>;
+  // Full posting; null when it has been taken down
+  fetchJobDetails(board: BoardRef, posting: Raw, ctx: ConnectorContext): Promise<Raw | null>;
+  // True when the listed posting lacks a description
+  needsDetails(posting: Raw): boolean;
+  normalize(board: BoardRef, posting: Raw): JobListing;
+  // Whether a URL points at a single posting on this provider (not a careers page)
+  isJobUrl(url: string): boolean;
+}
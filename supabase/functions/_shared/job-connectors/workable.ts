@@ -0,0 +1,78 @@
+// Workable public careers API (apply.workable.com). Listing is a POST search
+// that pages with a continuation token; descriptions need a second call.
+
+import type { JobConnector } from "./types.ts";
+import { extractRequirements, fetchJson, joinLocation, stripHtml, toIsoDate } from "./normalize.ts";
+
+const API_BASE = "https://apply.workable.com/api";
+
+interface WorkablePosting {
+  shortcode: string;
+  title?: string;
+  remote?: boolean;
+  published?: string;
+  location?: { city?: string; region?: string; country?: string };
+  description?: string;
+  requirements?: string;
+  benefits?: string;
+}
+
+export const workableConnector: JobConnector<WorkablePosting> = {
+  id: "workable",
+  platform: "Workable",
+
+  async listJobs(board, ctx, options) {
+    const data = await fetchJson<{ results?: WorkablePosting[]; nextPage?: string }>(
+      ctx,
+      `${API_BASE}/v3/accounts/${encodeURIComponent(board.token)}/jobs`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          query: '',
+          location: [],
+          department: [],
+          worktype: [],
+          remote: [],
+          ...(options.cursor ? { token: options.cursor } : {}),
+        }),
+      },
+    );
+    return { postings: data?.results || [], nextCursor: data?.nextPage || null };
+  },
+
+  async fetchJobDetails(board, posting, ctx) {
+    return await fetchJson<WorkablePosting>(
+      ctx,
+      `${API_BASE}/v2/accounts/${encodeURIComponent(board.token)}/jobs/${encodeURIComponent(posting.shortcode)}`,
+    );
+  },
+
+  needsDetails(posting) {
+    return !posting.description;
+  },
+
+  normalize(board, posting) {
+    const description = stripHtml([posting.description, posting.requirements].filter(Boolean).join('\n'));
+    const location = joinLocation(posting.location?.city, posting.location?.country);
+    return {
+      external_id: posting.shortcode,
+      title: posting.title || 'Unknown Position',
+      company: board.company,
+      location: location || (posting.remote ? 'Remote' : 'Unknown'),
+      salary: null,
+      description,
+      requirements: extractRequirements(description),
+      platform: 'Workable',
+      // Direct apply URL format uses the shortcode
+      url: `https://apply.workable.com/${board.token}/j/${posting.shortcode}/`,
+      posted_date: toIsoDate(posting.published),
+      match_score: 0,
+    };
+  },
+
+  isJobUrl(url) {
+    // MUST have /j/{shortcode}/ pattern (NOT /company-name/ alone)
+    return url.includes('workable.com') && /\/j\/[a-zA-Z0-9]+\/?/.test(url);
+  },
+};
@@ -0,0 +1,50 @@
+// Job lookups shared by edge functions that only know a posting URL
+// (record-submission, job-queue-worker).
+
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.89.0";
+
+type SupabaseClient = ReturnType<typeof createClient>;
+
+export interface JobRef {
+  id: string;
+}
+
+/**
+ * The user's job for a posting URL: exact URL first, then the ATS
+ * requisition key, so an apply-form URL still finds the posting it belongs to.
+ * Merged duplicates (see merge_duplicate_job) are found through the survivor's sources.
+ */
+export async function findJobByUrl(supabase: SupabaseClient, userId: string, url: string): Promise<JobRef | null> {
+  const { data: byUrl } = await supabase
+    .from('jobs')
+    .select('id')
+    .eq('user_id', userId)
+    .eq('url', url)
+    .order('created_at', { ascending: true })
+    .limit(1)
+    .maybeSingle();
+  if (byUrl) return byUrl as JobRef;
+
+  const { data: bySource } = await supabase
+    .from('jobs')
+    .select('id')
+    .eq('user_id', userId)
+    .filter('sources', 'cs', JSON.stringify([{ url }]))
+    .order('created_at', { ascending: true })
+    .limit(1)
+    .maybeSingle();
+  if (bySource) return bySource as JobRef;
+
+  const { data: canonicalKey } = await supabase.rpc('job_requisition_key', { _url: url });
+  if (!canonicalKey) return null;
+
+  const { data: byKey } = await supabase
+    .from('jobs')
+    .select('id')
+    .eq('user_id', userId)
+    .eq('canonical_key', canonicalKey)
+    .order('created_at', { ascending: true })
+    .limit(1)
+    .maybeSingle();
+  return (byKey as JobRef | null) ?? null;
+}
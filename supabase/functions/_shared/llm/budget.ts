@@ -0,0 +1,143 @@
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.89.0";
+import { LLMError } from "./errors.ts";
+
+type SupabaseClient = ReturnType<typeof createClient>;
+
+export type BudgetUnit = "tokens" | "usd";
+
+export interface BudgetLimit {
+  unit: BudgetUnit;
+  monthlyLimit: number;
+  /** Share of the limit (1-100) past which calls come back with a warning */
+  warnAtPercent: number;
+  /** Refuse calls that would go over the limit; otherwise only warn */
+  hardStop: boolean;
+  /** The user's own budget (ai_budgets) or the deployment-wide cap */
+  source: "user" | "deployment";
+}
+
+export interface MonthlyUsage {
+  tokens: number;
+  /** Estimated USD */
+  cost: number;
+}
+
+export interface BudgetCheck {
+  functionName: string;
+  provider: string;
+  model: string;
+  /** Prompt estimate plus the requested completion limit */
+  estimatedTokens: number;
+  estimatedCost: number;
+}
+
+/**
+ * Consulted before every LLM call. check() throws LLMError("budget") to block
+ * the call and returns a warning to pass on to the user once they are close;
+ * record() is told what each completed call actually used.
+ */
+export interface BudgetGuard {
+  check(check: BudgetCheck): Promise<string | null>;
+  record?(usage: MonthlyUsage): void;
+}
+
+/** The user's usage since the start of the (UTC) month */
+export async function monthlyUsage(supabase: SupabaseClient, userId: string): Promise<MonthlyUsage> {
+  const { data, error } = await supabase.rpc("get_monthly_ai_usage", { _user_id: userId });
+  if (error) throw error;
+  const row = ((data || []) as { tokens: number | string; cost: number | string }[])[0];
+  return { tokens: Number(row?.tokens) || 0, cost: Number(row?.cost) || 0 };
+}
+
+export function formatBudgetAmount(unit: BudgetUnit, amount: number): string {
+  return unit === "usd"
+    ? `$${amount.toFixed(2)}`
+    : `${Math.round(amount).toLocaleString("en-US")} tokens`;
+}
+
+/** Guard over `limits` for one user; undefined when there is nothing to enforce */
+export function createBudgetGuard(
+  supabase: SupabaseClient,
+  userId: string,
+  limits: BudgetLimit[],
+): BudgetGuard | undefined {
+  if (limits.length === 0) return undefined;
+
+  let usage: MonthlyUsage | null = null;
+
+  return {
+    async check({ estimatedTokens, estimatedCost }) {
+      if (!usage) {
+        try {
+          usage = await monthlyUsage(supabase, userId);
+        } catch (error) {
+          console.error("Failed to read API usage for budget check:", error);
+          // A hard stop can't be enforced blind, so refuse rather than risk overspending;
+          // warning-only limits shouldn't take the AI features down
+          if (limits.some((limit) => limit.hardStop)) {
+            throw new LLMError("budget", "Couldn't check your monthly AI budget. Try again in a moment.");
+          }
+          return null;
+        }
+      }
+
+      let warning: string | null = null;
+      for (const limit of limits) {
+        const used = limit.unit === "usd" ? usage.cost : usage.tokens;
+        const projected = used + (limit.unit === "usd" ? estimatedCost : estimatedTokens);
+        const usedText = `${formatBudgetAmount(limit.unit, used)} of ${formatBudgetAmount(limit.unit, limit.monthlyLimit)}`;
+
+        if (limit.hardStop && projected > limit.monthlyLimit) {
+          throw new LLMError(
+            "budget",
+            limit.source === "user"
+              ? `Monthly AI budget reached (${usedText} used). Raise the limit in Profile settings or wait until the 1st.`
+              : `Monthly AI allowance reached (${usedText} used). It resets on the 1st.`,
+          );
+        }
+
+        if (!warning && projected >= (limit.monthlyLimit * limit.warnAtPercent) / 100) {
+          warning = used >= limit.monthlyLimit
+            ? `Over your monthly AI budget (${usedText} used).`
+            : `${Math.round((used / limit.monthlyLimit) * 100)}% of your monthly AI budget used (${usedText}).`;
+        }
+      }
+      return warning;
+    },
+
+    record({ tokens, cost }) {
+      if (usage) usage = { tokens: usage.tokens + tokens, cost: usage.cost + cost };
+    },
+  };
+}
+
+/** The user's ai_budgets row plus the deployment-wide LLM_MONTHLY_TOKEN_LIMIT, if set */
+export async function loadBudgetLimits(supabase: SupabaseClient, userId: string): Promise<BudgetLimit[]> {
+  const limits: BudgetLimit[] = [];
+
+  const { data, error } = await supabase
+    .from("ai_budgets")
+    .select("unit, monthly_limit, warn_at_percent, hard_stop")
+    .eq("user_id", userId)
+    .maybeSingle();
+
+  if (error) {
+    console.error("Failed to load AI budget:", error);
+  } else if (data) {
+    const budget = data as { unit: string; monthly_limit: number | string; warn_at_percent: number; hard_stop: boolean };
+    limits.push({
+      unit: budget.unit === "usd" ? "usd" : "tokens",
+      monthlyLimit: Number(budget.monthly_limit),
+      warnAtPercent: budget.warn_at_percent,
+      hardStop: budget.hard_stop,
+      source: "user",
+    });
+  }
+
+  const deploymentLimit = Number(Deno.env.get("LLM_MONTHLY_TOKEN_LIMIT"));
+  if (Number.isFinite(deploymentLimit) && deploymentLimit > 0) {
+    limits.push({ unit: "tokens", monthlyLimit: deploymentLimit, warnAtPercent: 100, hardStop: true, source: "deployment" });
+  }
+
+  return limits;
+}
@@ -0,0 +1,243 @@
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.89.0";
+import { findJobByUrl } from "../jobs.ts";
+import { createBudgetGuard, loadBudgetLimits, type BudgetGuard } from "./budget.ts";
+import { LLMError } from "./errors.ts";
+import { checkJsonShape, parseJsonReply, type JsonShape } from "./json.ts";
+import { estimateCost } from "./pricing.ts";
+import { estimateTokens, perplexityProvider, providersFromEnv, type PerplexityOptions } from "./providers.ts";
+import type { ChatRequest, ChatResult, LLMProvider } from "./types.ts";
+import { logUsage } from "./usage.ts";
+
+type SupabaseClient = ReturnType<typeof createClient>;
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const MAX_RETRY_DELAY_MS = 20_000;
+const DEFAULT_COMPLETION_ESTIMATE = 1000;
+
+export interface LLMClientOptions {
+  /** Used for usage logging and budget lookups */
+  supabase: SupabaseClient;
+  userId: string;
+  /** api_usage.function_name */
+  functionName: string;
+  /** api_usage.job_id: the jobs row the calls are made for */
+  jobId?: string | null;
+  /** Tried in order; a provider that still fails after its retries hands over to the next */
+  providers: LLMProvider[];
+  budget?: BudgetGuard;
+  /** Attempts per provider for rate limits and outages */
+  maxAttempts?: number;
+}
+
+export interface JsonResult<T> extends ChatResult {
+  data: T;
+}
+
+export interface LLMClient {
+  /** False when no provider is available, e.g. the user has no API key */
+  readonly configured: boolean;
+  /** Set once a call has pushed the user past their budget's warning threshold */
+  readonly budgetWarning: string | null;
+  complete(request: ChatRequest): Promise<ChatResult>;
+  /**
+   * complete() for a JSON object reply. A reply that doesn't parse or match
+   * `shape` is sent back once with the problems listed; after that it throws
+   * LLMError("invalid_output") carrying the raw reply.
+   */
+  completeJSON<T = Record<string, unknown>>(request: ChatRequest, shape?: JsonShape): Promise<JsonResult<T>>;
+}
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function retryDelay(attempt: number, retryAfterMs?: number): number {
+  const backoff = Math.pow(2, attempt) * 1000 + Math.random() * 1000;
+  return Math.min(retryAfterMs ?? backoff, MAX_RETRY_DELAY_MS);
+}
+
+function toLLMError(error: unknown, provider: string): LLMError {
+  if (error instanceof LLMError) return error;
+  const message = error instanceof Error ? error.message : String(error);
+  return new LLMError("unavailable", message, { provider });
+}
+
+export function createLLMClient(options: LLMClientOptions): LLMClient {
+  const { supabase, userId, functionName, jobId, providers, budget } = options;
+  const maxAttempts = options.maxAttempts ?? DEFAULT_MAX_ATTEMPTS;
+  let budgetWarning: string | null = null;
+
+  async function callWithRetries(provider: LLMProvider, request: ChatRequest): Promise<ChatResult> {
+    const model = request.model || provider.defaultModel;
+    const promptTokens = estimateTokens(request.messages.map((m) => m.content).join("\n"));
+    const completionTokens = request.maxTokens ?? DEFAULT_COMPLETION_ESTIMATE;
+
+    for (let attempt = 1; ; attempt++) {
+      const warning = await budget?.check({
+        functionName,
+        provider: provider.name,
+        model,
+        estimatedTokens: promptTokens + completionTokens,
+        estimatedCost: estimateCost(provider.name, model, { promptTokens, completionTokens }),
+      });
+      if (warning) budgetWarning = warning;
+
+      try {
+        const result = await provider.complete(request);
+        const cost = estimateCost(result.provider, result.model, result.usage);
+        budget?.record?.({ tokens: result.usage.totalTokens, cost });
+        await logUsage(supabase, { userId, functionName, jobId, result, cost });
+        console.log(`[llm:${provider.name}] ${functionName}: ${result.usage.totalTokens} tokens (${result.model})`);
+        return result;
+      } catch (error) {
+        const llmError = toLLMError(error, provider.name);
+        if (!llmError.retryable || attempt >= maxAttempts) throw llmError;
+
+        const delay = retryDelay(attempt, llmError.details.retryAfterMs);
+        console.warn(`[llm:${provider.name}] ${llmError.kind} (attempt ${attempt}/${maxAttempts}), retrying in ${Math.round(delay)}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  async function complete(request: ChatRequest): Promise<ChatResult> {
+    if (providers.length === 0) {
+      throw new LLMError("not_configured", "No LLM provider configured");
+    }
+
+    let firstError: LLMError | null = null;
+    for (const [index, provider] of providers.entries()) {
+      try {
+        return await callWithRetries(provider, request);
+      } catch (error) {
+        const llmError = toLLMError(error, provider.name);
+        if (llmError.kind === "budget") throw llmError;
+        firstError ??= llmError;
+
+        const next = providers[index + 1];
+        if (next) console.warn(`[llm:${provider.name}] failed (${llmError.kind}), falling back to ${next.name}`);
+      }
+    }
+
+    // The primary provider's error is the one the user can act on
+    throw firstError!;
+  }
+
+  async function completeJSON<T>(request: ChatRequest, shape?: JsonShape): Promise<JsonResult<T>> {
+    const messages = [...request.messages];
+
+    for (let attempt = 1; ; attempt++) {
+      const result = await complete({ ...request, messages, json: true });
+
+      let data: Record<string, unknown> | null = null;
+      let problems: string[];
+      try {
+        data = parseJsonReply(result.content);
+        problems = shape ? checkJsonShape(data, shape) : [];
+      } catch {
+        problems = ["the reply was not a JSON object"];
+      }
+
+      if (data && problems.length === 0) return { ...result, data: data as T };
+
+      if (attempt >= 2) {
+        throw new LLMError("invalid_output", problems.join("; "), {
+          provider: result.provider,
+          content: result.content,
+        });
+      }
+
+      console.warn(`[llm:${result.provider}] ${functionName}: unusable JSON (${problems.join("; ")}), asking for a correction`);
+      messages.push(
+        { role: "assistant", content: result.content },
+        { role: "user", content: `That reply can't be used: ${problems.join("; ")}. Reply with only the corrected JSON object.` },
+      );
+    }
+  }
+
+  return {
+    configured: providers.length > 0,
+    get budgetWarning() {
+      return budgetWarning;
+    },
+    complete,
+    completeJSON,
+  };
+}
+
+export interface UserLLMClientOptions {
+  /** Fall back to the Lovable AI gateway when the user's OpenAI key fails */
+  lovableFallback?: boolean;
+  /** Use the deployment's OPENAI_API_KEY when the user has none */
+  serverKeyFallback?: boolean;
+  /** Attribute usage to this jobs row */
+  jobId?: string | null;
+  /** Attribute usage to the user's job for this posting URL, when jobId isn't known */
+  jobUrl?: string | null;
+}
+
+/**
+ * Client for an edge function acting for `userId`: the user's OpenAI key from
+ * their profile (or the LLM_PROVIDER override), their AI budget and usage
+ * logging under `functionName`.
+ */
+export async function createUserLLMClient(
+  supabase: SupabaseClient,
+  userId: string,
+  functionName: string,
+  options: UserLLMClientOptions = {},
+): Promise<LLMClient> {
+  const { data } = await supabase
+    .from("profiles")
+    .select("openai_api_key")
+    .eq("user_id", userId)
+    .maybeSingle();
+
+  const profileKey = (data as { openai_api_key: string | null } | null)?.openai_api_key;
+  const openAIKey = profileKey || (options.serverKeyFallback ? Deno.env.get("OPENAI_API_KEY") : null);
+
+  return createLLMClient({
+    supabase,
+    userId,
+    functionName,
+    jobId: await resolveJobId(supabase, userId, options),
+    providers: providersFromEnv({ openAIKey, lovableFallback: options.lovableFallback }),
+    budget: createBudgetGuard(supabase, userId, await loadBudgetLimits(supabase, userId)),
+  });
+}
+
+async function resolveJobId(
+  supabase: SupabaseClient,
+  userId: string,
+  options: Pick<UserLLMClientOptions, "jobId" | "jobUrl">,
+): Promise<string | null> {
+  if (options.jobId) return options.jobId;
+  if (!options.jobUrl || !/^https?:\/\//i.test(options.jobUrl)) return null;
+  return (await findJobByUrl(supabase, userId, options.jobUrl).catch(() => null))?.id ?? null;
+}
+
+export interface UserSearchClientOptions extends Pick<UserLLMClientOptions, "jobId" | "jobUrl">, PerplexityOptions {}
+
+/**
+ * Web-search client (Perplexity, with the deployment's PERPLEXITY_API_KEY)
+ * for `userId`. Calls count against the same AI budget and are logged to
+ * api_usage like any other. Not configured without a key, or under
+ * LLM_PROVIDER=mock, which makes no network calls.
+ */
+export async function createUserSearchClient(
+  supabase: SupabaseClient,
+  userId: string,
+  functionName: string,
+  options: UserSearchClientOptions = {},
+): Promise<LLMClient> {
+  const apiKey = Deno.env.get("PERPLEXITY_API_KEY");
+  const mock = (Deno.env.get("LLM_PROVIDER") || "").toLowerCase() === "mock";
+  const { jobId, jobUrl, ...perplexity } = options;
+
+  return createLLMClient({
+    supabase,
+    userId,
+    functionName,
+    jobId: await resolveJobId(supabase, userId, { jobId, jobUrl }),
+    providers: apiKey && !mock ? [perplexityProvider(apiKey, perplexity)] : [],
+    budget: createBudgetGuard(supabase, userId, await loadBudgetLimits(supabase, userId)),
+  });
+}
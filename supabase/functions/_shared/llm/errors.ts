@@ -0,0 +1,89 @@
+export type LLMErrorKind =
+  | "not_configured" // no provider available (e.g. no API key in the profile)
+  | "auth" // provider rejected the key
+  | "billing" // provider account needs attention
+  | "rate_limit" // 429, worth retrying
+  | "unavailable" // 5xx, timeout or network error, worth retrying
+  | "bad_request" // provider rejected the request itself
+  | "invalid_output" // reply was empty or failed JSON validation
+  | "budget"; // the user's AI budget does not allow the call
+
+export interface LLMErrorDetails {
+  provider?: string;
+  status?: number;
+  /** Provider's Retry-After, when it sent one */
+  retryAfterMs?: number;
+  /** Raw reply for invalid_output, so callers can still salvage it */
+  content?: string;
+}
+
+export class LLMError extends Error {
+  readonly kind: LLMErrorKind;
+  readonly details: LLMErrorDetails;
+
+  constructor(kind: LLMErrorKind, message: string, details: LLMErrorDetails = {}) {
+    super(message);
+    this.name = "LLMError";
+    this.kind = kind;
+    this.details = details;
+  }
+
+  get retryable(): boolean {
+    return this.kind === "rate_limit" || this.kind === "unavailable";
+  }
+}
+
+export function isLLMError(error: unknown): error is LLMError {
+  return error instanceof LLMError;
+}
+
+const PROVIDER_LABELS: Record<string, string> = {
+  openai: "OpenAI API",
+  lovable: "Lovable AI",
+  local: "Local LLM endpoint",
+  mock: "Mock LLM",
+};
+
+/**
+ * HTTP status and JSON body an edge function returns for an LLMError.
+ * Keeps the wording the extensions and the web app already show.
+ */
+export function llmErrorResponse(error: LLMError): { status: number; body: Record<string, unknown> } {
+  const provider = error.details.provider || "openai";
+  const label = PROVIDER_LABELS[provider] || "AI service";
+
+  switch (error.kind) {
+    case "not_configured":
+      return { status: 400, body: { error: "OpenAI API key not configured. Please add your API key in Profile settings." } };
+    case "auth":
+      return {
+        status: 401,
+        body: {
+          error: provider === "openai"
+            ? "Invalid OpenAI API key. Please check your API key in Profile settings."
+            : `${label} rejected the API key.`,
+        },
+      };
+    case "billing":
+      return {
+        status: 402,
+        body: { error: provider === "openai" ? "OpenAI API billing issue. Please check your OpenAI account." : `${label} billing issue.` },
+      };
+    case "budget":
+      return { status: 402, body: { error: error.message, budgetExceeded: true } };
+    case "rate_limit":
+    case "unavailable":
+      return {
+        status: 429,
+        body: {
+          error: `${label} temporarily unavailable. Your quota may be exceeded. Please check your billing and try again later.`,
+          retryable: true,
+          retryAfter: Math.ceil((error.details.retryAfterMs || 30_000) / 1000),
+        },
+      };
+    case "invalid_output":
+      return { status: 502, body: { error: "The AI returned an unreadable response. Please try again.", retryable: true } };
+    default:
+      return { status: 500, body: { error: `${label} error: ${error.message}` } };
+  }
+}
@@ -0,0 +1,57 @@
+// Public API of the LLM gateway. Edge functions import from here only and
+// never call a model provider directly, so retries, fallback, JSON
+// validation, budgets and usage logging behave the same everywhere.
+
+export type { ChatMessage, ChatRequest, ChatResult, ChatRole, LLMProvider, TokenUsage } from "./types.ts";
+
+export {
+  LLMError,
+  isLLMError,
+  llmErrorResponse,
+  type LLMErrorDetails,
+  type LLMErrorKind,
+} from "./errors.ts";
+
+export {
+  createLLMClient,
+  createUserLLMClient,
+  createUserSearchClient,
+  type JsonResult,
+  type LLMClient,
+  type LLMClientOptions,
+  type UserLLMClientOptions,
+  type UserSearchClientOptions,
+} from "./client.ts";
+
+export {
+  estimateTokens,
+  localProvider,
+  lovableProvider,
+  mockProvider,
+  openAICompatibleProvider,
+  openAIProvider,
+  perplexityProvider,
+  providersFromEnv,
+  type MockOptions,
+  type OpenAICompatibleOptions,
+  type PerplexityOptions,
+  type ProviderSelection,
+} from "./providers.ts";
+
+export { checkJsonShape, parseJsonReply, type JsonFieldType, type JsonShape } from "./json.ts";
+
+export {
+  createBudgetGuard,
+  formatBudgetAmount,
+  loadBudgetLimits,
+  monthlyUsage,
+  type BudgetCheck,
+  type BudgetGuard,
+  type BudgetLimit,
+  type BudgetUnit,
+  type MonthlyUsage,
+} from "./budget.ts";
+
+export { estimateCost, modelPrice } from "./pricing.ts";
+
+export { logUsage, type UsageEntry } from "./usage.ts";
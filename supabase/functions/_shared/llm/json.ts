@@ -0,0 +1,61 @@
+// Structured output: pull the JSON object out of a model reply and check it
+// has the fields the caller relies on.
+
+import { LLMError } from "./errors.ts";
+
+export type JsonFieldType = "string" | "number" | "boolean" | "array" | "object";
+
+/** Required top-level fields and their types; a trailing "?" makes a field optional */
+export type JsonShape = Record<string, JsonFieldType | `${JsonFieldType}?`>;
+
+/**
+ * Parses a reply that should be a JSON object. Tolerates markdown code fences
+ * and prose around the object, which models add even when told not to.
+ */
+export function parseJsonReply(content: string): Record<string, unknown> {
+  const unfenced = content.replace(/```(?:json)?\s*/gi, "").trim();
+  const candidates = [unfenced];
+  const objectMatch = unfenced.match(/\{[\s\S]*\}/);
+  if (objectMatch && objectMatch[0] !== unfenced) candidates.unshift(objectMatch[0]);
+
+  for (const candidate of candidates) {
+    try {
+      const parsed = JSON.parse(candidate);
+      if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) {
+        return parsed as Record<string, unknown>;
+      }
+    } catch {
+      // try the next candidate
+    }
+  }
+
+  throw new LLMError("invalid_output", "Reply is not a JSON object", { content });
+}
+
+function typeOf(value: unknown): JsonFieldType | "null" | "undefined" {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  const type = typeof value;
+  return type === "string" || type === "number" || type === "boolean" || type === "object"
+    ? type
+    : "undefined";
+}
+
+/** Problems with `value` against `shape`, empty when it matches */
+export function checkJsonShape(value: Record<string, unknown>, shape: JsonShape): string[] {
+  const problems: string[] = [];
+
+  for (const [field, spec] of Object.entries(shape)) {
+    const optional = spec.endsWith("?");
+    const expected = spec.replace("?", "") as JsonFieldType;
+    const actual = typeOf(value[field]);
+
+    if (actual === "undefined" || actual === "null") {
+      if (!optional) problems.push(`"${field}" is missing`);
+    } else if (actual !== expected) {
+      problems.push(`"${field}" should be ${/^[ao]/.test(expected) ? "an" : "a"} ${expected}, got ${actual}`);
+    }
+  }
+
+  return problems;
+}
@@ -0,0 +1,47 @@
+// List prices in USD per million tokens, used to estimate what a call cost
+// the user. Estimates only: providers bill in their own currency and tiers.
+
+import type { TokenUsage } from "./types.ts";
+
+interface ModelPrice {
+  input: number;
+  output: number;
+}
+
+// Matched by longest prefix, so dated snapshots (gpt-4o-mini-2024-07-18) resolve
+const MODEL_PRICES: Record<string, ModelPrice> = {
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-4.1": { input: 2, output: 8 },
+  "google/gemini-2.5-flash": { input: 0.3, output: 2.5 },
+  "google/gemini-2.5-pro": { input: 1.25, output: 10 },
+  // Perplexity also bills per search request; token prices only
+  "sonar": { input: 1, output: 1 },
+  "sonar-pro": { input: 3, output: 15 },
+};
+
+// Unknown hosted models are priced like a full-size model rather than as free
+const UNKNOWN_MODEL_PRICE: ModelPrice = MODEL_PRICES["gpt-4o"];
+
+// Self-hosted and mock calls cost the user nothing
+const FREE_PROVIDERS = new Set(["local", "mock"]);
+
+export function modelPrice(provider: string, model: string): ModelPrice {
+  if (FREE_PROVIDERS.has(provider)) return { input: 0, output: 0 };
+
+  const key = Object.keys(MODEL_PRICES)
+    .filter((prefix) => model === prefix || model.startsWith(`${prefix}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? MODEL_PRICES[key] : UNKNOWN_MODEL_PRICE;
+}
+
+export function estimateCost(
+  provider: string,
+  model: string,
+  usage: Pick<TokenUsage, "promptTokens" | "completionTokens">,
+): number {
+  const price = modelPrice(provider, model);
+  return (usage.promptTokens * price.input + usage.completionTokens * price.output) / 1_000_000;
+}
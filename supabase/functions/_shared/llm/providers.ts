@@ -0,0 +1,247 @@
+// LLM providers. Everything real speaks the OpenAI chat-completions protocol
+// (OpenAI itself, the Lovable AI gateway, Ollama and llama.cpp servers), so a
+// single implementation covers them; the mock answers locally and
+// deterministically for tests and offline development.
+
+import { LLMError, type LLMErrorKind } from "./errors.ts";
+import type { ChatRequest, ChatResult, LLMProvider, TokenUsage } from "./types.ts";
+
+const DEFAULT_TIMEOUT_MS = 120_000;
+
+export interface OpenAICompatibleOptions {
+  name: string;
+  /** Base URL up to and including the version, e.g. https://api.openai.com/v1 */
+  baseUrl: string;
+  /** Omit for local servers that don't check keys */
+  apiKey?: string;
+  defaultModel: string;
+  /** Send response_format json_object for json requests */
+  jsonMode?: boolean;
+  /** Provider-specific request fields, sent with every call */
+  extraBody?: Record<string, unknown>;
+  timeoutMs?: number;
+}
+
+/** Rough token count for providers that don't report usage */
+export function estimateTokens(text: string): number {
+  return Math.ceil(text.length / 4);
+}
+
+function parseRetryAfter(header: string | null): number | undefined {
+  if (!header) return undefined;
+  const seconds = Number(header);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+function kindForStatus(status: number): LLMErrorKind {
+  if (status === 401) return "auth";
+  if (status === 402 || status === 403) return "billing";
+  if (status === 429) return "rate_limit";
+  if (status === 408 || status === 409 || status >= 500) return "unavailable";
+  return "bad_request";
+}
+
+function usageFrom(raw: Record<string, unknown> | undefined, request: ChatRequest, content: string): TokenUsage {
+  const promptTokens = Number(raw?.prompt_tokens) ||
+    estimateTokens(request.messages.map((m) => m.content).join("\n"));
+  const completionTokens = Number(raw?.completion_tokens) || estimateTokens(content);
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: Number(raw?.total_tokens) || promptTokens + completionTokens,
+  };
+}
+
+export function openAICompatibleProvider(options: OpenAICompatibleOptions): LLMProvider {
+  const endpoint = `${options.baseUrl.replace(/\/+$/, "")}/chat/completions`;
+
+  return {
+    name: options.name,
+    defaultModel: options.defaultModel,
+
+    async complete(request: ChatRequest): Promise<ChatResult> {
+      const model = request.model || options.defaultModel;
+      const body: Record<string, unknown> = { ...options.extraBody, model, messages: request.messages };
+      if (request.temperature !== undefined) body.temperature = request.temperature;
+      if (request.maxTokens !== undefined) body.max_tokens = request.maxTokens;
+      if (request.json && options.jsonMode) body.response_format = { type: "json_object" };
+
+      const headers: Record<string, string> = { "Content-Type": "application/json" };
+      if (options.apiKey) headers.Authorization = `Bearer ${options.apiKey}`;
+
+      let response: Response;
+      try {
+        response = await fetch(endpoint, {
+          method: "POST",
+          headers,
+          body: JSON.stringify(body),
+          signal: AbortSignal.timeout(options.timeoutMs ?? DEFAULT_TIMEOUT_MS),
+        });
+      } catch (error) {
+        const message = error instanceof Error ? error.message : String(error);
+        throw new LLMError("unavailable", `Request failed: ${message}`, { provider: options.name });
+      }
+
+      if (!response.ok) {
+        const errorText = await response.text().catch(() => "");
+        console.error(`[llm:${options.name}] ${response.status}:`, errorText.substring(0, 500));
+        throw new LLMError(kindForStatus(response.status), `HTTP ${response.status}`, {
+          provider: options.name,
+          status: response.status,
+          retryAfterMs: parseRetryAfter(response.headers.get("Retry-After")),
+        });
+      }
+
+      const data = await response.json().catch(() => null);
+      const content = data?.choices?.[0]?.message?.content;
+      if (typeof content !== "string" || !content.trim()) {
+        throw new LLMError("invalid_output", "Empty response", { provider: options.name });
+      }
+
+      const result: ChatResult = {
+        content,
+        usage: usageFrom(data.usage, request, content),
+        provider: options.name,
+        model: typeof data.model === "string" ? data.model : model,
+      };
+      if (Array.isArray(data.citations)) {
+        result.citations = data.citations.filter((citation: unknown): citation is string => typeof citation === "string");
+      }
+      return result;
+    },
+  };
+}
+
+export function openAIProvider(apiKey: string, model = "gpt-4o-mini"): LLMProvider {
+  return openAICompatibleProvider({
+    name: "openai",
+    baseUrl: "https://api.openai.com/v1",
+    apiKey,
+    defaultModel: model,
+    jsonMode: true,
+  });
+}
+
+export function lovableProvider(apiKey: string, model = "google/gemini-2.5-flash"): LLMProvider {
+  return openAICompatibleProvider({
+    name: "lovable",
+    baseUrl: "https://ai.gateway.lovable.dev/v1",
+    apiKey,
+    defaultModel: model,
+  });
+}
+
+export interface PerplexityOptions {
+  model?: string;
+  /** Only search pages from the last day, week, month or year */
+  searchRecency?: "day" | "week" | "month" | "year";
+}
+
+/** Perplexity's search-backed models; replies carry `citations` */
+export function perplexityProvider(apiKey: string, options: PerplexityOptions = {}): LLMProvider {
+  return openAICompatibleProvider({
+    name: "perplexity",
+    baseUrl: "https://api.perplexity.ai",
+    apiKey,
+    defaultModel: options.model || "sonar",
+    extraBody: options.searchRecency ? { search_recency_filter: options.searchRecency } : undefined,
+  });
+}
+
+/** Ollama (http://localhost:11434/v1), llama.cpp server (http://localhost:8080/v1) and similar */
+export function localProvider(baseUrl: string, model: string, apiKey?: string): LLMProvider {
+  return openAICompatibleProvider({
+    name: "local",
+    baseUrl,
+    apiKey,
+    defaultModel: model,
+    jsonMode: true,
+    // Local models on modest hardware are slow; they still have to beat the edge-function limit
+    timeoutMs: 140_000,
+  });
+}
+
+export interface MockOptions {
+  /** Reply for a request; defaults to a stable echo derived from the prompt */
+  respond?: (request: ChatRequest) => string | Record<string, unknown>;
+  /** Errors to throw, in order, before answering (exercises retries and fallback) */
+  failures?: LLMErrorKind[];
+}
+
+// FNV-1a, so the same prompt always gets the same mock reply
+function hashText(text: string): string {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+export function mockProvider(options: MockOptions = {}): LLMProvider {
+  const failures = [...(options.failures || [])];
+
+  return {
+    name: "mock",
+    defaultModel: "mock-1",
+
+    complete(request: ChatRequest): Promise<ChatResult> {
+      const failure = failures.shift();
+      if (failure) {
+        return Promise.reject(new LLMError(failure, `Mock ${failure}`, { provider: "mock", retryAfterMs: 0 }));
+      }
+
+      const prompt = request.messages.map((m) => `${m.role}: ${m.content}`).join("\n");
+      const reply = options.respond?.(request) ?? (request.json
+        ? { mock: true, promptHash: hashText(prompt) }
+        : `Mock reply ${hashText(prompt)}`);
+      const content = typeof reply === "string" ? reply : JSON.stringify(reply);
+
+      return Promise.resolve({
+        content,
+        usage: usageFrom(undefined, request, content),
+        provider: "mock",
+        model: request.model || "mock-1",
+      });
+    },
+  };
+}
+
+export interface ProviderSelection {
+  /** The user's OpenAI key; the default provider chain needs it */
+  openAIKey?: string | null;
+  /** Fall back to the Lovable AI gateway when OpenAI fails */
+  lovableFallback?: boolean;
+}
+
+/**
+ * Provider chain for this deployment, tried in order. LLM_PROVIDER picks it:
+ *   openai (default) - the user's own key, optionally backed by Lovable AI
+ *   local            - LLM_LOCAL_BASE_URL / LLM_LOCAL_MODEL / LLM_LOCAL_API_KEY
+ *   mock             - deterministic canned replies, no network
+ * An empty chain means nothing is configured for this user.
+ */
+export function providersFromEnv(selection: ProviderSelection = {}): LLMProvider[] {
+  const mode = (Deno.env.get("LLM_PROVIDER") || "openai").toLowerCase();
+
+  if (mode === "mock") return [mockProvider()];
+
+  if (mode === "local") {
+    return [
+      localProvider(
+        Deno.env.get("LLM_LOCAL_BASE_URL") || "http://localhost:11434/v1",
+        Deno.env.get("LLM_LOCAL_MODEL") || "llama3.1",
+        Deno.env.get("LLM_LOCAL_API_KEY") || undefined,
+      ),
+    ];
+  }
+
+  if (!selection.openAIKey) return [];
+
+  const providers = [openAIProvider(selection.openAIKey, Deno.env.get("OPENAI_MODEL") || undefined)];
+  const lovableKey = Deno.env.get("LOVABLE_API_KEY");
+  if (selection.lovableFallback && lovableKey) providers.push(lovableProvider(lovableKey));
+  return providers;
+}
@@ -0,0 +1,39 @@
+export type ChatRole = "system" | "user" | "assistant";
+
+export interface ChatMessage {
+  role: ChatRole;
+  content: string;
+}
+
+export interface ChatRequest {
+  messages: ChatMessage[];
+  /** Passed through as-is; leave unset to get the provider's default model */
+  model?: string;
+  temperature?: number;
+  maxTokens?: number;
+  /** Ask for a single JSON object, using the provider's JSON mode where it has one */
+  json?: boolean;
+}
+
+export interface TokenUsage {
+  promptTokens: number;
+  completionTokens: number;
+  totalTokens: number;
+}
+
+export interface ChatResult {
+  content: string;
+  usage: TokenUsage;
+  /** Provider name, e.g. "openai", "lovable", "local", "mock" */
+  provider: string;
+  model: string;
+  /** Sources the reply drew on, from search-backed providers (Perplexity) */
+  citations?: string[];
+}
+
+export interface LLMProvider {
+  readonly name: string;
+  readonly defaultModel: string;
+  /** Throws LLMError; retries and fallback are the client's job */
+  complete(request: ChatRequest): Promise<ChatResult>;
+}
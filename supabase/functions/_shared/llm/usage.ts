@@ -0,0 +1,35 @@
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.89.0";
+import type { ChatResult } from "./types.ts";
+
+type SupabaseClient = ReturnType<typeof createClient>;
+
+export interface UsageEntry {
+  userId: string;
+  functionName: string;
+  /** The jobs row the call was made for, when known */
+  jobId?: string | null;
+  result: ChatResult;
+  /** Estimated USD, see pricing.ts */
+  cost: number;
+}
+
+/** One api_usage row per completed LLM call. Logging never fails the caller. */
+export async function logUsage(supabase: SupabaseClient, entry: UsageEntry): Promise<void> {
+  const { result } = entry;
+  try {
+    const { error } = await supabase.from("api_usage").insert({
+      user_id: entry.userId,
+      function_name: entry.functionName,
+      job_id: entry.jobId || null,
+      tokens_used: result.usage.totalTokens,
+      prompt_tokens: result.usage.promptTokens,
+      completion_tokens: result.usage.completionTokens,
+      estimated_cost: entry.cost,
+      provider: result.provider,
+      model: result.model,
+    });
+    if (error) throw error;
+  } catch (error) {
+    console.error("Failed to log API usage:", error);
+  }
+}
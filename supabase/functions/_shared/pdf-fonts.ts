@@ -0,0 +1,42 @@
+// The embedded fonts generate-pdf sets non-Latin-1 text in, shared with
+// scripts/pdf-regression.mjs so the regression runs against the same files.
+//
+// Noto fonts cover Latin Extended, Greek, Cyrillic and Vietnamese, with
+// Simplified Chinese (which also covers Japanese kanji and kana) as the
+// fallback for what they lack. The files come from exact versions of npm
+// packages, which can never change once published, and are checked against
+// their SHA-256 before use: an upstream change can't silently alter resumes,
+// only fail the download.
+
+import type { FontFamily, FontStyle } from "./resume-templates/index.ts";
+
+export interface FontFile {
+  url: string;
+  sha256: string;
+}
+
+const npmFont = (pkg: string, path: string, sha256: string): FontFile => ({
+  url: `https://cdn.jsdelivr.net/npm/@expo-google-fonts/${pkg}/${path}`,
+  sha256,
+});
+
+export const UNICODE_FONTS: Record<FontFamily, Record<FontStyle, FontFile>> = {
+  helvetica: {
+    regular: npmFont("noto-sans@0.4.2", "400Regular/NotoSans_400Regular.ttf", "fe8c022f48d8dd29f17b744d16f9346f4357e16f7d4f7be58b000ae7c291b614"),
+    bold: npmFont("noto-sans@0.4.2", "700Bold/NotoSans_700Bold.ttf", "13a813c49624ae3ba3c5c6e72c5ebffc4b9e1e6ea32f421c04069b037c6ad431"),
+    italic: npmFont("noto-sans@0.4.2", "400Regular_Italic/NotoSans_400Regular_Italic.ttf", "feb3e57888ce3acb604f270c278cfb304c674306518771619ddbdefca42a066b"),
+  },
+  times: {
+    regular: npmFont("noto-serif@0.4.2", "400Regular/NotoSerif_400Regular.ttf", "a7e8ea1ab7e7d368b001c892d6148325fffc849a46e030e55e1bdc597bbe939d"),
+    bold: npmFont("noto-serif@0.4.2", "700Bold/NotoSerif_700Bold.ttf", "1b941681106aae26ead3a24c6f15b51f994b1b26adce8742a37ce96648f0fe0a"),
+    italic: npmFont("noto-serif@0.4.2", "400Regular_Italic/NotoSerif_400Regular_Italic.ttf", "15d5f8050fc1f142545e7a26a50bd07a0434eca535d4d98aad9d5e8f03741e43"),
+  },
+  courier: {
+    regular: npmFont("noto-sans-mono@0.4.2", "400Regular/NotoSansMono_400Regular.ttf", "11b5d661e57865bce89d3f103a654cfa4faf9347abebac252e30742be1e657b2"),
+    bold: npmFont("noto-sans-mono@0.4.2", "700Bold/NotoSansMono_700Bold.ttf", "c13b63c28f97181761213a0ba8fdb5d887c6d3855098937907c76b3b6efc1566"),
+    // Noto Sans Mono has no italic
+    italic: npmFont("noto-sans-mono@0.4.2", "400Regular/NotoSansMono_400Regular.ttf", "11b5d661e57865bce89d3f103a654cfa4faf9347abebac252e30742be1e657b2"),
+  },
+};
+
+export const CJK_FONT = npmFont("noto-sans-sc@0.4.3", "400Regular/NotoSansSC_400Regular.ttf", "d45f67f0a7c0ca3f256950777ce6a61cc7ce5f9696d02900cbbaac25f8aa7d16");
@@ -0,0 +1,360 @@
+// Reads a resume PDF the way an applicant tracking system does: text back
+// out of the file, then sections, contact details, roles, dates and bullets
+// re-detected from that text alone. The report scores what came back and
+// lists the key fields (email, phone, most recent title) a parser would miss,
+// so callers can refuse to upload a file that would reach the employer blank.
+
+import { extractPdfText, type PdfText, type PdfTextLine } from "./extract.ts";
+
+export type AtsSectionId =
+  | "summary"
+  | "experience"
+  | "education"
+  | "skills"
+  | "certifications"
+  | "achievements"
+  | "projects"
+  | "other";
+
+export type AtsField = "name" | "email" | "phone" | "title";
+
+/** Fields an upload is blocked on */
+export const ATS_KEY_FIELDS: readonly AtsField[] = ["email", "phone", "title"];
+
+/**
+ * What the resume was built with. A string must come back from the PDF
+ * (case and spacing aside); null or "" means the resume has none, so the
+ * field is not checked; undefined means unknown, so anything readable will do.
+ */
+export interface AtsExpectations {
+  name?: string | null;
+  email?: string | null;
+  phone?: string | null;
+  /** Most recent job title */
+  title?: string | null;
+}
+
+export interface AtsFieldResult {
+  /** What the parser read; null when nothing was found */
+  value: string | null;
+  expected?: string;
+  status: "ok" | "missing" | "mismatch" | "unreadable" | "skipped";
+}
+
+export interface AtsSection {
+  id: AtsSectionId;
+  title: string;
+  /** Lines under the heading */
+  lines: number;
+}
+
+/** A role under Experience, as the parser split it */
+export interface AtsEntry {
+  /** Title, company and the like, dates removed */
+  header: string;
+  dates: string | null;
+  bullets: number;
+}
+
+export interface AtsCheckReport {
+  /** 0-100, weighted like an ATS parse-quality score */
+  score: number;
+  fields: Record<AtsField, AtsFieldResult>;
+  sections: AtsSection[];
+  experience: AtsEntry[];
+  /** Date ranges anywhere in the resume */
+  dateRanges: number;
+  /** Bullet lines anywhere in the resume */
+  bullets: number;
+  /** Readable explanations of every deduction */
+  issues: string[];
+  /** Key fields that came back missing, wrong or unreadable; empty when the file is safe to upload */
+  blocking: AtsField[];
+  pages: number;
+  text: string;
+}
+
+const SECTION_HEADINGS: Array<[RegExp, AtsSectionId]> = [
+  [/^(professional summary|summary|profile|professional profile|objective|about me)$/, "summary"],
+  [/^(work experience|professional experience|experience|employment|employment history|work history|career history|relevant experience)$/, "experience"],
+  [/^(education|academic background|education and training)$/, "education"],
+  [/^(technical skills|skills|key skills|core competencies|competencies|skills and tools)$/, "skills"],
+  [/^(certifications|certificates|licenses|licenses and certifications)$/, "certifications"],
+  [/^(achievements|awards|honors|awards and honors|key achievements)$/, "achievements"],
+  [/^(projects|key projects|personal projects)$/, "projects"],
+  [/^(publications|languages|volunteer|volunteering|interests|references)$/, "other"],
+];
+
+const MONTH = "(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?";
+const DATE = `(?:${MONTH}\\s+\\d{4}|\\d{1,2}/\\d{4}|\\d{4})`;
+const DATE_RANGE = new RegExp(
+  `${DATE}\\s*(?:-|\\u2013|\\u2014|to)\\s*(?:${DATE}|present|current|now|today)`,
+  "i",
+);
+const DATE_RANGES = new RegExp(DATE_RANGE.source, "gi");
+
+const BULLET = /^[-*\u2022\u25AA\u25E6\u25CF\u2023\u2043]\s*/;
+const EMAIL = /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/;
+const PHONE = /\+?\(?\d[\d\s().-]{5,}\d/g;
+const YEAR_RANGE = /^(19|20)\d{2}\s*[-\u2013\u2014]\s*(19|20)\d{2}$/;
+
+// How much each check is worth; deductions are listed in `issues`
+const WEIGHTS = {
+  name: 10,
+  email: 15,
+  phone: 15,
+  title: 15,
+  experience: 10,
+  education: 10,
+  skills: 10,
+  dates: 10,
+  bullets: 5,
+};
+
+const normalize = (text: string) =>
+  text.normalize("NFC").toLowerCase().replace(/[^\p{L}\p{N}@.+]+/gu, " ").trim();
+
+const digits = (text: string) => text.replace(/\D/g, "");
+
+/**
+ * Text a parser can use: no replacement or private-use characters, mostly
+ * letters, and not spaced out letter by letter ("S e n i o r").
+ */
+function isReadable(text: string): boolean {
+  if (!text.trim() || /[\uFFFD\uE000-\uF8FF]/.test(text)) return false;
+  const visible = text.replace(/\s/g, "");
+  const letters = (text.match(/\p{L}/gu) || []).length;
+  if (letters / visible.length < 0.5) return false;
+  const words = text.split(/\s+/).filter(Boolean);
+  return words.length < 4 || words.filter((word) => word.length === 1).length / words.length < 0.6;
+}
+
+function sectionHeading(line: PdfTextLine, bodySize: number): AtsSectionId | undefined {
+  const text = line.text.replace(/[:\s]+$/, "");
+  if (text.length > 40) return undefined;
+  const match = SECTION_HEADINGS.find(([pattern]) => pattern.test(normalize(text)));
+  if (!match) return undefined;
+  // Headings stand out: capitals, bold or larger type. "Skills" mid-paragraph doesn't count.
+  const emphasised = text === text.toUpperCase() || line.fonts.some((font) => /bold/i.test(font)) ||
+    line.size > bodySize + 0.5;
+  return emphasised ? match[1] : undefined;
+}
+
+/** The most common line size: the body text */
+function bodySize(lines: PdfTextLine[]): number {
+  const counts = new Map<number, number>();
+  for (const line of lines) {
+    const size = Math.round(line.size * 2) / 2;
+    counts.set(size, (counts.get(size) || 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] ?? 10;
+}
+
+function findPhone(text: string): string | null {
+  // Line by line, so a number never runs into digits on the next line
+  for (const match of text.split("\n").flatMap((line) => line.match(PHONE) || [])) {
+    const candidate = match.trim();
+    const count = digits(candidate).length;
+    if (count >= 7 && count <= 15 && !YEAR_RANGE.test(candidate)) return candidate;
+  }
+  return null;
+}
+
+const stripDates = (line: string) =>
+  line.replace(DATE_RANGES, " ").replace(/\s*[|,\u2013\u2014-]\s*$/, "").replace(/^\s*[|,]\s*/, "").replace(/\s+/g, " ").trim();
+
+/**
+ * Roles under Experience. Each date range starts one; the lines right after
+ * it, up to the first bullet, are its company or title, and so is the line
+ * just before it when the title sits on its own line.
+ */
+function experienceEntries(lines: string[]): AtsEntry[] {
+  const entries: Array<AtsEntry & { parts: string[]; open: boolean }> = [];
+  let previous: string | null = null;
+
+  for (const line of lines) {
+    const current = entries[entries.length - 1];
+    if (BULLET.test(line)) {
+      if (current) {
+        current.bullets++;
+        current.open = false;
+      }
+      previous = null;
+      continue;
+    }
+
+    const dates = DATE_RANGE.exec(line);
+    if (dates) {
+      const before = previous && previous.length <= 60 && !/[.;]$/.test(previous) ? [previous] : [];
+      entries.push({ header: "", dates: dates[0], bullets: 0, parts: [...before, stripDates(line)], open: true });
+      previous = null;
+      continue;
+    }
+
+    if (current?.open && current.parts.length < 3) {
+      current.parts.push(line);
+      previous = null;
+    } else {
+      // A title line before the next role's dates, or a wrapped bullet
+      previous = line;
+    }
+  }
+
+  return entries.map(({ parts, dates, bullets }) => ({
+    header: parts.filter(Boolean).join(" | "),
+    dates,
+    bullets,
+  }));
+}
+
+function checkField(
+  found: string | null,
+  expected: string | null | undefined,
+  matches: (found: string, expected: string) => boolean,
+  readable: (found: string) => boolean,
+): AtsFieldResult {
+  if (expected === null || expected === "") return { value: found, status: "skipped" };
+  if (!found) return { value: null, expected, status: "missing" };
+  if (!readable(found)) return { value: found, expected, status: "unreadable" };
+  if (expected !== undefined && !matches(found, expected)) return { value: found, expected, status: "mismatch" };
+  return { value: found, expected, status: "ok" };
+}
+
+const FIELD_LABELS: Record<AtsField, string> = {
+  name: "Name",
+  email: "Email",
+  phone: "Phone",
+  title: "Most recent job title",
+};
+
+function fieldIssue(field: AtsField, result: AtsFieldResult): string | null {
+  const label = FIELD_LABELS[field];
+  switch (result.status) {
+    case "missing":
+      return `${label} not found in the parsed text`;
+    case "unreadable":
+      return `${label} reads back garbled: "${result.value}"`;
+    case "mismatch":
+      return `${label} reads back as "${result.value}", expected "${result.expected}"`;
+    default:
+      return null;
+  }
+}
+
+/** Scores text already extracted with `extractPdfText` */
+export function checkResumeText(pdf: PdfText, expected: AtsExpectations = {}): AtsCheckReport {
+  const all = pdf.pages.flatMap((page) => page.lines);
+  const size = bodySize(all);
+
+  // Split into the header (before the first heading) and sections
+  const header: PdfTextLine[] = [];
+  const sections: Array<AtsSection & { body: string[] }> = [];
+  for (const line of all) {
+    const id = sectionHeading(line, size);
+    if (id) {
+      sections.push({ id, title: line.text.replace(/:$/, ""), lines: 0, body: [] });
+    } else if (sections.length) {
+      const section = sections[sections.length - 1];
+      section.body.push(line.text);
+      section.lines++;
+    } else {
+      header.push(line);
+    }
+  }
+
+  const headerText = header.map((line) => line.text).join("\n");
+  const email = EMAIL.exec(headerText)?.[0] ?? EMAIL.exec(pdf.text)?.[0] ?? null;
+  const phone = findPhone(headerText) ?? findPhone(pdf.text);
+  // The name is the biggest line of the header, normally the first
+  const nameLine = [...header]
+    .filter((line) => !EMAIL.test(line.text) && !findPhone(line.text))
+    .sort((a, b) => b.size - a.size)[0];
+
+  const experienceSection = sections.find((section) => section.id === "experience");
+  const experience = experienceSection ? experienceEntries(experienceSection.body) : [];
+
+  const fields: Record<AtsField, AtsFieldResult> = {
+    name: checkField(
+      nameLine?.text ?? null,
+      expected.name,
+      (found, want) => normalize(found) === normalize(want),
+      isReadable,
+    ),
+    email: checkField(
+      email,
+      expected.email,
+      (found, want) => found.toLowerCase() === want.trim().toLowerCase(),
+      (found) => EMAIL.test(found),
+    ),
+    phone: checkField(
+      phone,
+      expected.phone,
+      // Tolerates a country code on one side only
+      (found, want) => digits(found).endsWith(digits(want).slice(-7)) && digits(want).endsWith(digits(found).slice(-7)),
+      (found) => digits(found).length >= 7,
+    ),
+    title: checkField(
+      experience[0]?.header || null,
+      expected.title,
+      (found, want) => normalize(found).includes(normalize(want)),
+      isReadable,
+    ),
+  };
+
+  const issues: string[] = [];
+  let score = 0;
+  for (const field of Object.keys(fields) as AtsField[]) {
+    const result = fields[field];
+    if (result.status === "ok" || result.status === "skipped") score += WEIGHTS[field];
+    const issue = fieldIssue(field, result);
+    if (issue) issues.push(issue);
+  }
+
+  for (const id of ["experience", "education", "skills"] as const) {
+    if (sections.some((section) => section.id === id)) score += WEIGHTS[id];
+    else issues.push(`No ${id[0].toUpperCase()}${id.slice(1)} heading found`);
+  }
+
+  if (experience.length) {
+    score += WEIGHTS.dates;
+  } else if (experienceSection) {
+    issues.push("No date ranges found under Experience");
+  }
+
+  const bodyLines = sections.flatMap((section) => section.body);
+  const bullets = bodyLines.filter((line) => BULLET.test(line)).length;
+  if (experience.some((entry) => entry.bullets > 0)) score += WEIGHTS.bullets;
+  else if (experience.length) issues.push("No bullet points found under Experience");
+
+  const blocking = ATS_KEY_FIELDS.filter((field) => ["missing", "mismatch", "unreadable"].includes(fields[field].status));
+
+  return {
+    score,
+    fields,
+    sections: sections.map(({ id, title, lines }) => ({ id, title, lines })),
+    experience,
+    dateRanges: (pdf.text.match(DATE_RANGES) || []).length,
+    bullets,
+    issues,
+    blocking,
+    pages: pdf.pages.length,
+    text: pdf.text,
+  };
+}
+
+/**
+ * Parses a resume PDF and scores it. A file that can't be parsed at all (an
+ * image-only scan, a broken stream) reports every key field as missing.
+ */
+export async function verifyResumePdf(
+  input: Uint8Array | ArrayBuffer,
+  expected: AtsExpectations = {},
+): Promise<AtsCheckReport> {
+  try {
+    return checkResumeText(await extractPdfText(input), expected);
+  } catch (error) {
+    const report = checkResumeText({ pages: [], text: "" }, expected);
+    report.issues.unshift(`PDF could not be parsed: ${error instanceof Error ? error.message : String(error)}`);
+    return report;
+  }
+}
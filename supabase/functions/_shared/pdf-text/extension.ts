@@ -0,0 +1,8 @@
+// Bundle entry for the browser extensions (scripts/build-tailoring-core.mjs).
+// Installs window.PdfText. QuantumHire's uploadPDFToInput runs
+// verifyResumePdf on a resume before attaching it, and pdf-ats-turbo.js
+// reports the check with every CV it generates.
+
+import * as pdfText from "./index.ts";
+
+(globalThis as Record<string, unknown>).PdfText = { ...pdfText };
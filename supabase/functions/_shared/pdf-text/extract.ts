@@ -0,0 +1,314 @@
+import { FontDecoder, loadFont } from "./fonts.ts";
+import {
+  bytesToBinary,
+  parsePdf,
+  PdfDict,
+  PdfFile,
+  PdfLexer,
+  PdfName,
+  PdfObject,
+  PdfOperator,
+  PdfStream,
+  PdfString,
+} from "./objects.ts";
+
+export interface PdfTextLine {
+  text: string;
+  /** Left edge of the line, in points */
+  x: number;
+  /** Baseline, in points from the top of the page */
+  y: number;
+  /** Largest font size on the line */
+  size: number;
+  /** PostScript names of the fonts on the line ("Helvetica-Bold", "NotoSans-Regular") */
+  fonts: string[];
+}
+
+export interface PdfTextPage {
+  width: number;
+  height: number;
+  lines: PdfTextLine[];
+}
+
+export interface PdfText {
+  pages: PdfTextPage[];
+  /** Every line of every page, one per line, pages separated by a blank line */
+  text: string;
+}
+
+/** One shown string, placed in page space */
+interface TextRun {
+  text: string;
+  x: number;
+  y: number;
+  size: number;
+  font: string;
+  /** Where the run ends; undefined when the font has no widths */
+  endX?: number;
+}
+
+type Matrix = [number, number, number, number, number, number];
+
+const IDENTITY: Matrix = [1, 0, 0, 1, 0, 0];
+
+const multiply = (m: Matrix, n: Matrix): Matrix => [
+  m[0] * n[0] + m[1] * n[2],
+  m[0] * n[1] + m[1] * n[3],
+  m[2] * n[0] + m[3] * n[2],
+  m[2] * n[1] + m[3] * n[3],
+  m[4] * n[0] + m[5] * n[2] + n[4],
+  m[4] * n[1] + m[5] * n[3] + n[5],
+];
+
+const translate = (tx: number, ty: number, m: Matrix): Matrix => multiply([1, 0, 0, 1, tx, ty], m);
+
+// A TJ adjustment wider than this (in thousandths of an em) is a word gap
+const TJ_SPACE = 250;
+
+interface Page {
+  dict: PdfDict;
+  resources?: PdfDict;
+  mediaBox: number[];
+}
+
+/** Pages in reading order, with inherited Resources and MediaBox */
+function collectPages(file: PdfFile): Page[] {
+  const catalog = [...file.objects.values()]
+    .map((obj) => file.dict(obj))
+    .find((dict) => dict && file.name(dict.get("Type")) === "Catalog");
+  const pages: Page[] = [];
+  const seen = new Set<PdfDict>();
+
+  const walk = (node: PdfDict | undefined, resources: PdfDict | undefined, mediaBox: number[]) => {
+    if (!node || seen.has(node)) return;
+    seen.add(node);
+    const ownResources = file.dict(node.get("Resources")) ?? resources;
+    const box = file.array(node.get("MediaBox")).map((n) => file.number(n) ?? 0);
+    const ownBox = box.length === 4 ? box : mediaBox;
+
+    if (file.name(node.get("Type")) === "Page" || !node.get("Kids")) {
+      pages.push({ dict: node, resources: ownResources, mediaBox: ownBox });
+      return;
+    }
+    for (const kid of file.array(node.get("Kids"))) walk(file.dict(kid), ownResources, ownBox);
+  };
+  walk(catalog && file.dict(catalog.get("Pages")), undefined, [0, 0, 612, 792]);
+  return pages;
+}
+
+async function contentSource(file: PdfFile, contents: PdfObject | undefined): Promise<string> {
+  const resolved = file.resolve(contents);
+  const streams = (Array.isArray(resolved) ? resolved.map((item) => file.resolve(item)) : [resolved])
+    .filter((item): item is PdfStream => item instanceof PdfStream);
+  const parts = await Promise.all(streams.map((stream) => file.streamData(stream)));
+  return parts.map((data) => (data ? bytesToBinary(data) : "")).join("\n");
+}
+
+/** Runs the page's content stream and collects the text it shows */
+async function pageRuns(file: PdfFile, page: Page, fontCache: Map<PdfDict, Promise<FontDecoder>>): Promise<TextRun[]> {
+  const fontDicts = file.dict(page.resources?.get("Font"));
+  const fonts = new Map<string, FontDecoder>();
+  for (const [name, ref] of fontDicts?.entries ?? []) {
+    const dict = file.dict(ref);
+    if (!dict) continue;
+    let decoder = fontCache.get(dict);
+    if (!decoder) {
+      decoder = loadFont(file, dict);
+      fontCache.set(dict, decoder);
+    }
+    fonts.set(name, await decoder);
+  }
+
+  const runs: TextRun[] = [];
+  const lexer = new PdfLexer(await contentSource(file, page.dict.get("Contents")), false);
+
+  let ctm: Matrix = [...IDENTITY];
+  let tm: Matrix = [...IDENTITY];
+  let tlm: Matrix = [...IDENTITY];
+  let text = { font: undefined as FontDecoder | undefined, size: 0, charSpacing: 0, wordSpacing: 0, scale: 1, leading: 0 };
+  const stack: Array<{ ctm: Matrix; text: typeof text }> = [];
+
+  /**
+   * One Tj, or a whole TJ array: the strings are shown in turn, and a TJ
+   * adjustment wide enough to be a word gap reads as a space.
+   */
+  const show = (items: PdfObject[]) => {
+    const font = text.font;
+    if (!font) return;
+    const trm = multiply(tm, ctm);
+    let shown = "";
+    let widthsKnown = true;
+    for (const item of items) {
+      if (typeof item === "number") {
+        tm = translate((-item / 1000) * text.size * text.scale, 0, tm);
+        if (-item >= TJ_SPACE) shown += " ";
+        continue;
+      }
+      if (!(item instanceof PdfString)) continue;
+      let advance = 0;
+      for (const glyph of font.decode(item.bytes)) {
+        if (glyph.width === undefined) widthsKnown = false;
+        const width = ((glyph.width ?? 500) / 1000) * text.size;
+        advance += (width + text.charSpacing + (glyph.isSpace ? text.wordSpacing : 0)) * text.scale;
+        shown += glyph.text;
+      }
+      tm = translate(advance, 0, tm);
+    }
+    runs.push({
+      text: shown,
+      x: trm[4],
+      y: trm[5],
+      size: text.size * Math.hypot(trm[2], trm[3]),
+      font: font.name,
+      endX: widthsKnown ? multiply(tm, ctm)[4] : undefined,
+    });
+  };
+
+  const nextLine = () => {
+    tlm = translate(0, -text.leading, tlm);
+    tm = tlm;
+  };
+
+  const operands: PdfObject[] = [];
+  const num = (index: number) => {
+    const value = operands[index];
+    return typeof value === "number" ? value : 0;
+  };
+
+  for (let token = lexer.next(); token !== undefined; token = lexer.next()) {
+    if (!(token instanceof PdfOperator)) {
+      operands.push(token);
+      continue;
+    }
+
+    switch (token.op) {
+      case "q":
+        stack.push({ ctm, text: { ...text } });
+        break;
+      case "Q": {
+        const saved = stack.pop();
+        if (saved) ({ ctm, text } = saved);
+        break;
+      }
+      case "cm":
+        ctm = multiply([num(0), num(1), num(2), num(3), num(4), num(5)], ctm);
+        break;
+      case "BT":
+        tm = [...IDENTITY];
+        tlm = [...IDENTITY];
+        break;
+      case "Tf": {
+        const name = operands[0];
+        text.font = name instanceof PdfName ? fonts.get(name.name) : undefined;
+        text.size = num(1);
+        break;
+      }
+      case "Tc":
+        text.charSpacing = num(0);
+        break;
+      case "Tw":
+        text.wordSpacing = num(0);
+        break;
+      case "Tz":
+        text.scale = num(0) / 100;
+        break;
+      case "TL":
+        text.leading = num(0);
+        break;
+      case "Td":
+        tlm = translate(num(0), num(1), tlm);
+        tm = tlm;
+        break;
+      case "TD":
+        text.leading = -num(1);
+        tlm = translate(num(0), num(1), tlm);
+        tm = tlm;
+        break;
+      case "Tm":
+        tlm = [num(0), num(1), num(2), num(3), num(4), num(5)];
+        tm = tlm;
+        break;
+      case "T*":
+        nextLine();
+        break;
+      case "Tj":
+        show([operands[0]]);
+        break;
+      case "'":
+        nextLine();
+        show([operands[0]]);
+        break;
+      case '"':
+        text.wordSpacing = num(0);
+        text.charSpacing = num(1);
+        nextLine();
+        show([operands[2]]);
+        break;
+      case "TJ":
+        show(Array.isArray(operands[0]) ? operands[0] : []);
+        break;
+      case "ID": {
+        // Inline image data is binary; skip to its end
+        const end = lexer.src.indexOf("EI", lexer.pos);
+        lexer.pos = end < 0 ? lexer.src.length : end + 2;
+        break;
+      }
+    }
+    operands.length = 0;
+  }
+
+  return runs.filter((run) => run.text);
+}
+
+/**
+ * Runs on (nearly) the same baseline, left to right. Runs that touch join
+ * directly, so a word drawn in two fonts stays one word; anything else is
+ * separated by a space.
+ */
+function toLines(runs: TextRun[], height: number): PdfTextLine[] {
+  const sorted = [...runs].sort((a, b) => b.y - a.y || a.x - b.x);
+  const groups: TextRun[][] = [];
+  for (const run of sorted) {
+    const group = groups[groups.length - 1];
+    const tolerance = Math.min(run.size, group?.[0].size ?? run.size) * 0.35;
+    if (group && Math.abs(group[0].y - run.y) <= tolerance) group.push(run);
+    else groups.push([run]);
+  }
+
+  return groups
+    .map((group) => {
+      const ordered = group.sort((a, b) => a.x - b.x);
+      let text = "";
+      ordered.forEach((run, index) => {
+        const previous = ordered[index - 1];
+        const touching = previous?.endX !== undefined && run.x - previous.endX < run.size * 0.15;
+        text += index === 0 || touching ? run.text : ` ${run.text}`;
+      });
+      return {
+        text: text.replace(/\s+/g, " ").trim(),
+        x: ordered[0].x,
+        y: height - ordered[0].y,
+        size: Math.max(...ordered.map((run) => run.size)),
+        fonts: [...new Set(ordered.filter((run) => run.text.trim()).map((run) => run.font))],
+      };
+    })
+    .filter((line) => line.text);
+}
+
+/** The text of a PDF, page by page and line by line, as a parser that reads the file would see it */
+export async function extractPdfText(input: Uint8Array | ArrayBuffer): Promise<PdfText> {
+  const file = await parsePdf(input);
+  const fontCache = new Map<PdfDict, Promise<FontDecoder>>();
+  const pages: PdfTextPage[] = [];
+
+  for (const page of collectPages(file)) {
+    const [x1, y1, x2, y2] = page.mediaBox;
+    const runs = (await pageRuns(file, page, fontCache)).map((run) => ({ ...run, x: run.x - x1 }));
+    pages.push({ width: x2 - x1, height: y2 - y1, lines: toLines(runs, y2) });
+  }
+
+  return {
+    pages,
+    text: pages.map((page) => page.lines.map((line) => line.text).join("\n")).join("\n\n"),
+  };
+}
@@ -0,0 +1,200 @@
+// Character codes in a shown string back to Unicode, per font: from the
+// font's ToUnicode CMap when it has one (embedded and subset fonts always
+// should), else from its simple-font encoding.
+
+import { PdfDict, PdfFile, PdfLexer, PdfName, PdfObject, PdfOperator, PdfStream, PdfString, bytesToBinary } from "./objects.ts";
+
+export interface Glyph {
+  text: string;
+  /** Advance in thousandths of the font size; undefined when the font has no widths */
+  width?: number;
+  /** A single-byte 32, which word spacing (Tw) applies to */
+  isSpace: boolean;
+}
+
+export interface FontDecoder {
+  /** PostScript name, subset prefix removed */
+  name: string;
+  decode(bytes: string): Glyph[];
+}
+
+// WinAnsiEncoding 0x80-0x9F; the rest of the range is Latin-1
+const WIN_ANSI_HIGH: Record<number, number> = {
+  0x80: 0x20ac, 0x82: 0x201a, 0x83: 0x0192, 0x84: 0x201e, 0x85: 0x2026, 0x86: 0x2020, 0x87: 0x2021,
+  0x88: 0x02c6, 0x89: 0x2030, 0x8a: 0x0160, 0x8b: 0x2039, 0x8c: 0x0152, 0x8e: 0x017d, 0x91: 0x2018,
+  0x92: 0x2019, 0x93: 0x201c, 0x94: 0x201d, 0x95: 0x2022, 0x96: 0x2013, 0x97: 0x2014, 0x98: 0x02dc,
+  0x99: 0x2122, 0x9a: 0x0161, 0x9b: 0x203a, 0x9c: 0x0153, 0x9e: 0x017e, 0x9f: 0x0178,
+};
+
+const winAnsi = (code: number) => String.fromCharCode(WIN_ANSI_HIGH[code] ?? code);
+
+// Glyph names seen in /Differences arrays; uniXXXX and one-letter names are handled below
+const GLYPH_NAMES: Record<string, string> = {
+  space: " ", exclam: "!", quotedbl: '"', numbersign: "#", dollar: "$", percent: "%", ampersand: "&",
+  quotesingle: "'", parenleft: "(", parenright: ")", asterisk: "*", plus: "+", comma: ",", hyphen: "-",
+  period: ".", slash: "/", zero: "0", one: "1", two: "2", three: "3", four: "4", five: "5", six: "6",
+  seven: "7", eight: "8", nine: "9", colon: ":", semicolon: ";", less: "<", equal: "=", greater: ">",
+  question: "?", at: "@", bracketleft: "[", backslash: "\\", bracketright: "]", underscore: "_",
+  bar: "|", braceleft: "{", braceright: "}", bullet: "\u2022", endash: "\u2013", emdash: "\u2014",
+  quoteleft: "\u2018", quoteright: "\u2019", quotedblleft: "\u201C", quotedblright: "\u201D",
+  ellipsis: "\u2026", fi: "fi", fl: "fl",
+};
+
+function glyphNameToText(name: string): string {
+  if (name in GLYPH_NAMES) return GLYPH_NAMES[name];
+  const uni = /^uni([0-9A-Fa-f]{4})$/.exec(name) || /^u([0-9A-Fa-f]{4,6})$/.exec(name);
+  if (uni) return String.fromCodePoint(parseInt(uni[1], 16));
+  return name.length === 1 ? name : "";
+}
+
+const utf16be = (bytes: string) => {
+  let text = "";
+  for (let i = 0; i + 1 < bytes.length; i += 2) text += String.fromCharCode((bytes.charCodeAt(i) << 8) | bytes.charCodeAt(i + 1));
+  return text;
+};
+
+const codeOf = (bytes: string) => {
+  let code = 0;
+  for (let i = 0; i < bytes.length; i++) code = code * 256 + bytes.charCodeAt(i);
+  return code;
+};
+
+interface ToUnicode {
+  /** Byte lengths of the codes, from the codespace ranges */
+  codeLengths: number[];
+  map: Map<number, string>;
+}
+
+/** bfchar and bfrange mappings of a ToUnicode CMap */
+function parseToUnicode(source: string): ToUnicode {
+  const lexer = new PdfLexer(source, false);
+  const codeLengths = new Set<number>();
+  const map = new Map<number, string>();
+
+  const operands: PdfObject[] = [];
+  for (let token = lexer.next(); token !== undefined; token = lexer.next()) {
+    if (!(token instanceof PdfOperator)) {
+      operands.push(token);
+      continue;
+    }
+    const strings = operands.filter((o): o is PdfString => o instanceof PdfString);
+    if (token.op === "endcodespacerange") {
+      for (let i = 0; i < strings.length; i += 2) codeLengths.add(strings[i].bytes.length);
+    } else if (token.op === "endbfchar") {
+      for (let i = 0; i + 1 < operands.length; i += 2) {
+        const [src, dst] = [operands[i], operands[i + 1]];
+        if (!(src instanceof PdfString)) continue;
+        const text = dst instanceof PdfString ? utf16be(dst.bytes) : dst instanceof PdfName ? glyphNameToText(dst.name) : "";
+        map.set(codeOf(src.bytes), text);
+      }
+    } else if (token.op === "endbfrange") {
+      for (let i = 0; i + 2 < operands.length; i += 3) {
+        const [lo, hi, dst] = [operands[i], operands[i + 1], operands[i + 2]];
+        if (!(lo instanceof PdfString) || !(hi instanceof PdfString)) continue;
+        const first = codeOf(lo.bytes);
+        const last = codeOf(hi.bytes);
+        for (let code = first; code <= last && code - first < 65536; code++) {
+          if (Array.isArray(dst)) {
+            const item = dst[code - first];
+            if (item instanceof PdfString) map.set(code, utf16be(item.bytes));
+          } else if (dst instanceof PdfString) {
+            // The last UTF-16 unit counts up through the range
+            const base = utf16be(dst.bytes);
+            map.set(code, base.slice(0, -1) + String.fromCharCode(base.charCodeAt(base.length - 1) + code - first));
+          }
+        }
+      }
+    }
+    // begin* operators and everything else just reset the operands
+    operands.length = 0;
+  }
+
+  return { codeLengths: [...codeLengths].sort((a, b) => a - b), map };
+}
+
+/** CID widths from a /W array: "c [w1 w2 ...]" and "cFirst cLast w" entries */
+function cidWidths(file: PdfFile, w: PdfObject[]): Map<number, number> {
+  const widths = new Map<number, number>();
+  for (let i = 0; i < w.length;) {
+    const first = file.number(w[i]);
+    const next = file.resolve(w[i + 1]);
+    if (first === undefined) break;
+    if (Array.isArray(next)) {
+      next.forEach((width, offset) => {
+        const value = file.number(width);
+        if (value !== undefined) widths.set(first + offset, value);
+      });
+      i += 2;
+    } else {
+      const last = file.number(next);
+      const width = file.number(w[i + 2]);
+      if (last === undefined || width === undefined) break;
+      for (let cid = first; cid <= last && cid - first < 65536; cid++) widths.set(cid, width);
+      i += 3;
+    }
+  }
+  return widths;
+}
+
+async function loadToUnicode(file: PdfFile, font: PdfDict): Promise<ToUnicode | null> {
+  const stream = file.resolve(font.get("ToUnicode"));
+  if (!(stream instanceof PdfStream)) return null;
+  const data = await file.streamData(stream);
+  return data ? parseToUnicode(bytesToBinary(data)) : null;
+}
+
+/** Splits a shown string into codes of the CMap's lengths, shortest match first */
+function splitCodes(bytes: string, lengths: number[], known: (code: number, length: number) => boolean): string[] {
+  const codes: string[] = [];
+  for (let i = 0; i < bytes.length;) {
+    const length = lengths.find((len) => known(codeOf(bytes.slice(i, i + len)), len)) ?? lengths[0] ?? 1;
+    codes.push(bytes.slice(i, i + length));
+    i += length;
+  }
+  return codes;
+}
+
+export async function loadFont(file: PdfFile, font: PdfDict): Promise<FontDecoder> {
+  const name = (file.name(font.get("BaseFont")) || "").replace(/^[A-Z]{6}\+/, "");
+  const toUnicode = await loadToUnicode(file, font);
+
+  if (file.name(font.get("Subtype")) === "Type0") {
+    // Composite fonts: Identity-H two-byte CIDs, widths on the descendant font
+    const descendant = file.dict(file.array(font.get("DescendantFonts"))[0]);
+    const widths = descendant ? cidWidths(file, file.array(descendant.get("W"))) : new Map<number, number>();
+    const defaultWidth = (descendant && file.number(descendant.get("DW"))) ?? 1000;
+    const lengths = toUnicode?.codeLengths.length ? toUnicode.codeLengths : [2];
+
+    return {
+      name,
+      decode: (bytes) =>
+        splitCodes(bytes, lengths, (code) => !!toUnicode?.map.has(code)).map((code) => {
+          const cid = codeOf(code);
+          return { text: toUnicode?.map.get(cid) ?? "", width: widths.get(cid) ?? defaultWidth, isSpace: false };
+        }),
+    };
+  }
+
+  // Simple fonts: one byte per code, WinAnsi unless /Differences say otherwise
+  const differences = new Map<number, string>();
+  const encoding = file.resolve(font.get("Encoding"));
+  if (encoding instanceof PdfDict) {
+    let code = 0;
+    for (const item of file.array(encoding.get("Differences"))) {
+      if (typeof item === "number") code = item;
+      else if (item instanceof PdfName) differences.set(code++, glyphNameToText(item.name));
+    }
+  }
+  const firstChar = file.number(font.get("FirstChar")) ?? 0;
+  const widths = file.array(font.get("Widths")).map((width) => file.number(width));
+
+  return {
+    name,
+    decode: (bytes) =>
+      Array.from(bytes, (char) => {
+        const code = char.charCodeAt(0);
+        const text = toUnicode?.map.get(code) ?? differences.get(code) ?? winAnsi(code);
+        return { text, width: widths[code - firstChar], isSpace: code === 32 };
+      }),
+  };
+}
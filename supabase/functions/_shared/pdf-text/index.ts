@@ -0,0 +1,20 @@
+// Public API of the PDF text extractor: reads a PDF back the way a resume
+// parser does, so generate-pdf can check that what it wrote is what comes
+// out, and the extensions can check a resume before they upload it. Plain
+// TypeScript; inflating streams needs DecompressionStream, which Deno,
+// browsers and Node 18+ all have.
+
+export { PDF_TEXT_VERSION } from "./version.ts";
+export { extractPdfText, type PdfText, type PdfTextLine, type PdfTextPage } from "./extract.ts";
+export {
+  ATS_KEY_FIELDS,
+  checkResumeText,
+  verifyResumePdf,
+  type AtsCheckReport,
+  type AtsEntry,
+  type AtsExpectations,
+  type AtsField,
+  type AtsFieldResult,
+  type AtsSection,
+  type AtsSectionId,
+} from "./ats-check.ts";
@@ -0,0 +1,353 @@
+// Just enough of the PDF object syntax (ISO 32000-1, section 7) to read the
+// text back out of a file: objects, object streams, Flate-encoded streams
+// and content-stream operators. Cross-reference tables are not read; every
+// "n g obj" in the file is scanned instead, which also copes with files
+// whose xref is damaged.
+
+export class PdfRef {
+  constructor(readonly num: number, readonly gen: number) {}
+}
+
+export class PdfName {
+  constructor(readonly name: string) {}
+}
+
+/** Raw string bytes, one char per byte (0-255) */
+export class PdfString {
+  constructor(readonly bytes: string) {}
+}
+
+/** A content-stream operator or a bare keyword */
+export class PdfOperator {
+  constructor(readonly op: string) {}
+}
+
+export class PdfDict {
+  constructor(readonly entries: Map<string, PdfObject> = new Map()) {}
+
+  get(key: string): PdfObject | undefined {
+    return this.entries.get(key);
+  }
+}
+
+export class PdfStream {
+  constructor(readonly dict: PdfDict, readonly data: Uint8Array) {}
+}
+
+export type PdfObject =
+  | number
+  | boolean
+  | null
+  | PdfName
+  | PdfString
+  | PdfRef
+  | PdfDict
+  | PdfStream
+  | PdfObject[];
+
+const isWhitespace = (char: string) =>
+  char === " " || char === "\n" || char === "\r" || char === "\t" || char === "\f" || char === "\0";
+const isDelimiter = (char: string) => "()<>[]{}/%".includes(char);
+const isRegular = (char: string | undefined) => char !== undefined && !isWhitespace(char) && !isDelimiter(char);
+
+const NUMBER = /^[+-]?(\d+\.?\d*|\.\d+)$/;
+const INTEGER = /^\d+$/;
+
+const ESCAPES: Record<string, string> = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f" };
+
+/** Bytes as a string of the same length, one char per byte */
+export function bytesToBinary(bytes: Uint8Array): string {
+  let result = "";
+  for (let i = 0; i < bytes.length; i += 8192) {
+    result += String.fromCharCode(...bytes.subarray(i, i + 8192));
+  }
+  return result;
+}
+
+/**
+ * Tokens and objects from PDF source. With `refs`, "12 0 R" reads as one
+ * PdfRef (file syntax); content streams have no references and leave it off.
+ */
+export class PdfLexer {
+  pos = 0;
+
+  constructor(readonly src: string, readonly refs = true) {}
+
+  skipSpace() {
+    while (this.pos < this.src.length) {
+      const char = this.src[this.pos];
+      if (isWhitespace(char)) {
+        this.pos++;
+      } else if (char === "%") {
+        while (this.pos < this.src.length && this.src[this.pos] !== "\n" && this.src[this.pos] !== "\r") this.pos++;
+      } else {
+        break;
+      }
+    }
+  }
+
+  private regularRun(): string {
+    const start = this.pos;
+    while (isRegular(this.src[this.pos])) this.pos++;
+    return this.src.slice(start, this.pos);
+  }
+
+  private name(): PdfName {
+    this.pos++;
+    return new PdfName(this.regularRun().replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))));
+  }
+
+  private literalString(): PdfString {
+    this.pos++;
+    let depth = 1;
+    let out = "";
+    while (this.pos < this.src.length) {
+      const char = this.src[this.pos++];
+      if (char === "\\") {
+        const next = this.src[this.pos++];
+        if (next in ESCAPES) {
+          out += ESCAPES[next];
+        } else if (next >= "0" && next <= "7") {
+          let octal = next;
+          while (octal.length < 3 && this.src[this.pos] >= "0" && this.src[this.pos] <= "7") octal += this.src[this.pos++];
+          out += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        } else if (next === "\r") {
+          // Line continuation
+          if (this.src[this.pos] === "\n") this.pos++;
+        } else if (next !== "\n") {
+          out += next;
+        }
+      } else if (char === "(") {
+        depth++;
+        out += char;
+      } else if (char === ")") {
+        if (--depth === 0) break;
+        out += char;
+      } else {
+        out += char;
+      }
+    }
+    return new PdfString(out);
+  }
+
+  private hexString(): PdfString {
+    const end = this.src.indexOf(">", this.pos);
+    const hex = this.src.slice(this.pos + 1, end < 0 ? undefined : end).replace(/[^0-9a-fA-F]/g, "");
+    this.pos = end < 0 ? this.src.length : end + 1;
+    let out = "";
+    for (let i = 0; i < hex.length; i += 2) out += String.fromCharCode(parseInt(hex.slice(i, i + 2).padEnd(2, "0"), 16));
+    return new PdfString(out);
+  }
+
+  /** "gen R" after an object number, if that is what follows */
+  private refAfter(num: number): PdfRef | null {
+    const start = this.pos;
+    this.skipSpace();
+    const gen = this.regularRun();
+    this.skipSpace();
+    if (INTEGER.test(gen) && this.src[this.pos] === "R" && !isRegular(this.src[this.pos + 1])) {
+      this.pos++;
+      return new PdfRef(num, Number(gen));
+    }
+    this.pos = start;
+    return null;
+  }
+
+  /** The next object or operator; undefined at the end of the source */
+  next(): PdfObject | PdfOperator | undefined {
+    this.skipSpace();
+    if (this.pos >= this.src.length) return undefined;
+
+    const char = this.src[this.pos];
+    if (char === "/") return this.name();
+    if (char === "(") return this.literalString();
+    if (char === "<") {
+      if (this.src[this.pos + 1] !== "<") return this.hexString();
+      this.pos += 2;
+      const dict = new PdfDict();
+      for (;;) {
+        this.skipSpace();
+        if (this.pos >= this.src.length) break;
+        if (this.src.startsWith(">>", this.pos)) {
+          this.pos += 2;
+          break;
+        }
+        const key = this.next();
+        const value = this.value();
+        if (key instanceof PdfName) dict.entries.set(key.name, value);
+      }
+      return dict;
+    }
+    if (char === "[") {
+      this.pos++;
+      const items: PdfObject[] = [];
+      for (;;) {
+        this.skipSpace();
+        if (this.pos >= this.src.length) break;
+        if (this.src[this.pos] === "]") {
+          this.pos++;
+          break;
+        }
+        items.push(this.value());
+      }
+      return items;
+    }
+    if (!isRegular(char)) {
+      // Stray ">", "]", "{" or "}"
+      this.pos++;
+      return new PdfOperator(char);
+    }
+
+    const word = this.regularRun();
+    if (NUMBER.test(word)) {
+      const num = Number(word);
+      return this.refs && INTEGER.test(word) ? this.refAfter(num) ?? num : num;
+    }
+    if (word === "true") return true;
+    if (word === "false") return false;
+    if (word === "null") return null;
+    return new PdfOperator(word);
+  }
+
+  /** The next object; operators where an object belongs read as null */
+  value(): PdfObject {
+    const token = this.next();
+    return token === undefined || token instanceof PdfOperator ? null : token;
+  }
+}
+
+const inflate = async (data: Uint8Array): Promise<Uint8Array> => {
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/** A PDF file's objects, by object number */
+export class PdfFile {
+  private readonly decoded = new Map<PdfStream, Promise<Uint8Array | null>>();
+
+  constructor(readonly objects: Map<number, PdfObject>) {}
+
+  /** `obj`, or the object it refers to */
+  resolve(obj: PdfObject | undefined): PdfObject | undefined {
+    let current = obj;
+    for (let hops = 0; current instanceof PdfRef && hops < 32; hops++) current = this.objects.get(current.num);
+    return current instanceof PdfRef ? undefined : current;
+  }
+
+  dict(obj: PdfObject | undefined): PdfDict | undefined {
+    const resolved = this.resolve(obj);
+    if (resolved instanceof PdfStream) return resolved.dict;
+    return resolved instanceof PdfDict ? resolved : undefined;
+  }
+
+  number(obj: PdfObject | undefined): number | undefined {
+    const resolved = this.resolve(obj);
+    return typeof resolved === "number" ? resolved : undefined;
+  }
+
+  array(obj: PdfObject | undefined): PdfObject[] {
+    const resolved = this.resolve(obj);
+    return Array.isArray(resolved) ? resolved : [];
+  }
+
+  name(obj: PdfObject | undefined): string | undefined {
+    const resolved = this.resolve(obj);
+    return resolved instanceof PdfName ? resolved.name : undefined;
+  }
+
+  /** A stream's data with its filters undone; null for filters other than Flate */
+  streamData(stream: PdfStream): Promise<Uint8Array | null> {
+    let data = this.decoded.get(stream);
+    if (!data) {
+      data = this.decode(stream);
+      this.decoded.set(stream, data);
+    }
+    return data;
+  }
+
+  private async decode(stream: PdfStream): Promise<Uint8Array | null> {
+    const filter = this.resolve(stream.dict.get("Filter"));
+    const filters = (Array.isArray(filter) ? filter : [filter])
+      .map((f) => this.name(f))
+      .filter((f): f is string => !!f);
+
+    let data = stream.data;
+    for (const name of filters) {
+      if (name !== "FlateDecode" && name !== "Fl") return null;
+      try {
+        data = await inflate(data);
+      } catch {
+        return null;
+      }
+    }
+    return data;
+  }
+}
+
+const OBJECT_HEADER = /(\d+)\s+(\d+)\s+obj\b/g;
+
+function readStream(src: string, bytes: Uint8Array, lexer: PdfLexer, dict: PdfDict): PdfStream | null {
+  lexer.skipSpace();
+  if (!src.startsWith("stream", lexer.pos)) return null;
+
+  let start = lexer.pos + "stream".length;
+  if (src[start] === "\r") start++;
+  if (src[start] === "\n") start++;
+
+  const length = dict.get("Length");
+  let end = typeof length === "number" ? start + length : -1;
+  if (end < 0 || !/^\s*endstream/.test(src.slice(end, end + 32))) {
+    // Length is indirect or wrong: the data runs to "endstream" less its end-of-line
+    end = src.indexOf("endstream", start);
+    if (end < 0) end = src.length;
+    if (src[end - 1] === "\n") end--;
+    if (src[end - 1] === "\r") end--;
+  }
+
+  const close = src.indexOf("endstream", end);
+  lexer.pos = close < 0 ? src.length : close + "endstream".length;
+  return new PdfStream(dict, bytes.subarray(start, Math.max(start, end)));
+}
+
+/** Every object in the file, including those packed in object streams */
+export async function parsePdf(input: Uint8Array | ArrayBuffer): Promise<PdfFile> {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const src = bytesToBinary(bytes);
+  const objects = new Map<number, PdfObject>();
+  const file = new PdfFile(objects);
+  const lexer = new PdfLexer(src);
+
+  OBJECT_HEADER.lastIndex = 0;
+  for (let match = OBJECT_HEADER.exec(src); match; match = OBJECT_HEADER.exec(src)) {
+    lexer.pos = match.index + match[0].length;
+    let value = lexer.value();
+    if (value instanceof PdfDict) value = readStream(src, bytes, lexer, value) ?? value;
+    // Later definitions (incremental updates) replace earlier ones
+    objects.set(Number(match[1]), value);
+    OBJECT_HEADER.lastIndex = lexer.pos;
+  }
+
+  const objectStreams = [...objects.values()].filter(
+    (obj): obj is PdfStream => obj instanceof PdfStream && file.name(obj.dict.get("Type")) === "ObjStm",
+  );
+  for (const stream of objectStreams) {
+    const data = await file.streamData(stream);
+    if (!data) continue;
+
+    const content = bytesToBinary(data);
+    const count = file.number(stream.dict.get("N")) ?? 0;
+    const first = file.number(stream.dict.get("First")) ?? 0;
+    const header = new PdfLexer(content.slice(0, first), false);
+    for (let i = 0; i < count; i++) {
+      const num = header.value();
+      const offset = header.value();
+      if (typeof num !== "number" || typeof offset !== "number") break;
+      if (objects.has(num)) continue;
+      const body = new PdfLexer(content);
+      body.pos = first + offset;
+      objects.set(num, body.value());
+    }
+  }
+
+  return file;
+}
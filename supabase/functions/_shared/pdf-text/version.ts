@@ -0,0 +1,3 @@
+// Bump on every change to what the extractor or the ATS check reports (see
+// CHANGELOG.md). Extension builds embed this in pdf-text.js.
+export const PDF_TEXT_VERSION = "1.0.0";
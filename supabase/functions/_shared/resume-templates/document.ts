@@ -0,0 +1,149 @@
+import type { DocumentBlock, DocumentSection, ResumeData, ResumeDocument, ResumeTemplate, SectionId } from "./types.ts";
+
+/** A structured resume as the template's sections, in the template's order */
+export function resumeDocument(data: ResumeData, template: ResumeTemplate): ResumeDocument {
+  const info = data.personalInfo;
+  const builders: Record<SectionId, () => DocumentBlock[]> = {
+    summary: () => (data.summary ? [{ type: "paragraph", text: data.summary }] : []),
+    experience: () =>
+      (data.experience || []).map((exp) => ({
+        type: "entry",
+        lead: template.entries.lead === "title" ? exp.title : exp.company,
+        sub: template.entries.lead === "title" ? exp.company : exp.title,
+        dates: exp.dates,
+        bullets: exp.bullets || [],
+      })),
+    education: () =>
+      (data.education || []).map((edu) => ({
+        type: "entry",
+        lead: edu.degree,
+        sub: edu.gpa ? `${edu.school} | GPA: ${edu.gpa}` : edu.school,
+        dates: edu.dates,
+        bullets: [],
+      })),
+    skills: () => {
+      const blocks: DocumentBlock[] = [];
+      if (data.skills?.primary?.length) {
+        blocks.push({ type: "paragraph", text: `Technical: ${data.skills.primary.join(", ")}` });
+      }
+      if (data.skills?.secondary?.length) {
+        blocks.push({ type: "paragraph", text: `Additional: ${data.skills.secondary.join(", ")}` });
+      }
+      return blocks;
+    },
+    certifications: () => (data.certifications || []).map((cert) => ({ type: "bullet", text: cert })),
+    achievements: () =>
+      (data.achievements || []).flatMap((achievement): DocumentBlock[] => [
+        { type: "entry", lead: achievement.title, dates: achievement.date, bullets: [] },
+        ...(achievement.description ? [{ type: "paragraph" as const, text: achievement.description }] : []),
+      ]),
+  };
+
+  return {
+    name: info.name || "",
+    contact: [info.phone, info.email, info.location].filter((part): part is string => !!part),
+    links: [info.linkedin, info.github, info.portfolio].filter((part): part is string => !!part),
+    sections: template.sections
+      .map((id) => ({ id, title: template.headings.titles[id], blocks: builders[id]() }))
+      .filter((section) => section.blocks.length > 0),
+  };
+}
+
+const SECTION_HEADINGS: Array<[RegExp, SectionId | null]> = [
+  [/^(PROFESSIONAL SUMMARY|SUMMARY|PROFILE|OBJECTIVE)\b/, "summary"],
+  [/^(WORK EXPERIENCE|PROFESSIONAL EXPERIENCE|EXPERIENCE|EMPLOYMENT)\b/, "experience"],
+  [/^EDUCATION\b/, "education"],
+  [/^(TECHNICAL SKILLS|SKILLS|CORE COMPETENCIES)\b/, "skills"],
+  [/^(CERTIFICATIONS|LICENSES)\b/, "certifications"],
+  [/^(ACHIEVEMENTS|AWARDS)\b/, "achievements"],
+  [/^(PROJECTS|PUBLICATIONS|LANGUAGES|VOLUNTEER)/, null],
+];
+
+const BULLET = /^[-•*▪]\s*/;
+const isPhone = (part: string) => /^\+?[\d\s\-()]+$/.test(part.replace(/\s/g, ""));
+const isLink = (part: string) => /https?:|linkedin|github|www\./i.test(part);
+
+function sectionHeading(line: string): SectionId | null | undefined {
+  if (line.length > 40) return undefined;
+  const upper = line.toUpperCase().replace(/:$/, "");
+  const match = SECTION_HEADINGS.find(([pattern]) => pattern.test(upper));
+  return match ? match[1] : undefined;
+}
+
+/**
+ * The contact parts of a "phone | email | location" line, with the location
+ * replaced by (or, when missing, set to) `tailoredLocation`. "Open to
+ * relocation" is dropped; the tailored location says where the candidate is.
+ */
+function contactParts(line: string, tailoredLocation?: string): string[] {
+  const parts = line
+    .split("|")
+    .map((part) => part.trim())
+    .filter((part) => part && !/open\s*to\s*relocation/i.test(part));
+  if (!tailoredLocation) return parts;
+
+  const locationIndex = parts.findIndex((part) => !isPhone(part) && !part.includes("@") && !isLink(part));
+  if (locationIndex >= 0) parts[locationIndex] = tailoredLocation;
+  else parts.splice(Math.min(2, parts.length), 0, tailoredLocation);
+  return parts;
+}
+
+export interface TextResumeOptions {
+  /** Replaces the location in the contact line */
+  tailoredLocation?: string;
+}
+
+/**
+ * A plain-text resume (the tailored `text`, or what the extensions send) as
+ * a document: an upper-case first line is the name, the first "a | b@c"
+ * line the contact details, known upper-case headings start sections and
+ * "-"/"•" lines are bullets. Sections keep the text's own order and titles.
+ */
+export function textResumeDocument(text: string, options: TextResumeOptions = {}): ResumeDocument {
+  const doc: ResumeDocument = { name: "", contact: [], links: [], sections: [] };
+  const lines = text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+  let section: DocumentSection | null = null;
+  lines.forEach((line, index) => {
+    const heading = sectionHeading(line);
+    if (heading !== undefined) {
+      section = { id: heading, title: line.replace(/:$/, ""), blocks: [] };
+      doc.sections.push(section);
+      return;
+    }
+
+    if (!section) {
+      if (index === 0 && line === line.toUpperCase() && line.length < 50 && !line.includes("@")) {
+        doc.name = line;
+        return;
+      }
+      if (!doc.contact.length && line.includes("|") && line.includes("@")) {
+        doc.contact = contactParts(line, options.tailoredLocation);
+        return;
+      }
+      const linkParts = line.split("|").map((part) => part.trim()).filter(Boolean);
+      if (linkParts.every((part) => isLink(part) && !part.includes(" "))) {
+        doc.links.push(...linkParts);
+        return;
+      }
+      section = { id: null, title: "", blocks: [] };
+      doc.sections.push(section);
+    }
+
+    const current: DocumentSection = section;
+    if (BULLET.test(line)) {
+      current.blocks.push({ type: "bullet", text: line.replace(BULLET, "") });
+    } else {
+      // "Company | 2020 - Present" and the like head an entry
+      const isEntryLine = (current.id === "experience" || current.id === "education") &&
+        (line.includes("|") || /\b(19|20)\d{2}\b/.test(line));
+      current.blocks.push({ type: "paragraph", text: line, style: isEntryLine ? "bold" : undefined });
+    }
+  });
+
+  if (!doc.contact.length && options.tailoredLocation) doc.contact = [options.tailoredLocation];
+  return doc;
+}
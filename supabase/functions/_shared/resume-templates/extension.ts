@@ -0,0 +1,109 @@
+// Bundle entry for the browser extensions (scripts/build-tailoring-core.mjs).
+// Installs window.ResumeTemplates: the template engine plus a jsPDF renderer,
+// so the extensions' PDFs match generate-pdf's page for page. The per-build
+// generators (pdf-ats-turbo.js, pdf-ats-perfect.js, openresume-generator.js)
+// hand their CV text to renderResume when this is loaded.
+
+import * as engine from "./index.ts";
+import type { CoverLetterData, DocumentLayout, FontStyle, MeasureText, ResumeData } from "./index.ts";
+
+// The slice of jsPDF's API the renderer uses
+interface JsPdfDocument {
+  addPage(format?: number[]): unknown;
+  setFont(family: string, style: string): unknown;
+  setFontSize(size: number): unknown;
+  setTextColor(gray: number): unknown;
+  setDrawColor(gray: number): unknown;
+  setLineWidth(width: number): unknown;
+  getTextWidth(text: string): number;
+  text(text: string, x: number, y: number): unknown;
+  line(x1: number, y1: number, x2: number, y2: number): unknown;
+  setProperties(properties: Record<string, string>): unknown;
+  output(type: "blob"): Blob;
+  output(type: "datauristring"): string;
+}
+
+type JsPdfConstructor = new (options: { unit: "pt"; format: number[]; putOnlyUsedFonts?: boolean }) => JsPdfDocument;
+
+export interface RenderOptions {
+  /** Template id; unknown ids fall back to the default template */
+  template?: string | null;
+  /** Replaces the location in a plain-text CV's contact line */
+  tailoredLocation?: string;
+  /** PDF title metadata */
+  title?: string;
+}
+
+export interface RenderResult {
+  doc: JsPdfDocument;
+  base64: string;
+  blob: Blob;
+  pages: number;
+  template: string;
+}
+
+const JS_PDF_STYLES: Record<FontStyle, string> = { regular: "normal", bold: "bold", italic: "italic" };
+
+function render(
+  JsPDF: JsPdfConstructor,
+  templateId: string | null | undefined,
+  title: string | undefined,
+  layout: (measure: MeasureText) => DocumentLayout,
+): RenderResult {
+  const template = engine.getTemplate(templateId);
+  const { width, height } = engine.PAGE_SIZES[template.page.size];
+  const family = template.font.family;
+  const doc = new JsPDF({ unit: "pt", format: [width, height], putOnlyUsedFonts: true });
+
+  const measure: MeasureText = (text, style, size) => {
+    doc.setFont(family, JS_PDF_STYLES[style]);
+    doc.setFontSize(size);
+    return doc.getTextWidth(text);
+  };
+  const result = layout(measure);
+
+  result.pages.forEach((page, index) => {
+    if (index > 0) doc.addPage([width, height]);
+    for (const op of page.ops) {
+      if (op.type === "rule") {
+        doc.setDrawColor(0);
+        doc.setLineWidth(op.thickness);
+        doc.line(op.x1, op.y, op.x2, op.y);
+        continue;
+      }
+      doc.setFont(family, JS_PDF_STYLES[op.style]);
+      doc.setFontSize(op.size);
+      doc.setTextColor(op.muted ? 38 : 0);
+      doc.text(op.text, op.x, op.y);
+    }
+  });
+  if (title) doc.setProperties({ title });
+
+  return {
+    doc,
+    base64: doc.output("datauristring").split(",")[1],
+    blob: doc.output("blob"),
+    pages: result.pages.length,
+    template: template.id,
+  };
+}
+
+/** A resume PDF from structured data or plain CV text */
+function renderResume(JsPDF: JsPdfConstructor, input: ResumeData | string, options: RenderOptions = {}): RenderResult {
+  const template = engine.getTemplate(options.template);
+  const doc = typeof input === "string"
+    ? engine.textResumeDocument(input, { tailoredLocation: options.tailoredLocation })
+    : engine.resumeDocument(input, template);
+  return render(JsPDF, template.id, options.title, (measure) => engine.layoutResume(doc, template, measure));
+}
+
+function renderCoverLetter(JsPDF: JsPdfConstructor, letter: CoverLetterData, options: RenderOptions = {}): RenderResult {
+  const template = engine.getTemplate(options.template);
+  return render(JsPDF, template.id, options.title, (measure) => engine.layoutCoverLetter(letter, template, measure));
+}
+
+(globalThis as Record<string, unknown>).ResumeTemplates = {
+  ...engine,
+  renderResume,
+  renderCoverLetter,
+};
@@ -0,0 +1,33 @@
+// Public API of the resume template engine. generate-pdf, the web app (via
+// src/lib/resumeTemplates.ts) and the extensions (via the generated
+// resume-templates.js bundle) import from here only.
+//
+// Rendering is split in two: layoutResume/layoutCoverLetter turn a document
+// and a template into positioned text and rules, using the caller's font
+// metrics; a thin renderer (pdf-lib in generate-pdf, jsPDF in the
+// extensions) paints them. Both therefore produce the same pages.
+
+export { RESUME_TEMPLATES_VERSION } from "./version.ts";
+
+export type {
+  Charset,
+  CoverLetterData,
+  DocumentBlock,
+  DocumentLayout,
+  DocumentSection,
+  DrawOp,
+  FontFamily,
+  FontStyle,
+  LayoutOptions,
+  LayoutPage,
+  MeasureText,
+  ResumeData,
+  ResumeDocument,
+  ResumeTemplate,
+  SectionId,
+} from "./types.ts";
+
+export { DEFAULT_TEMPLATE_ID, RESUME_TEMPLATES, getTemplate } from "./templates.ts";
+export { resumeDocument, textResumeDocument, type TextResumeOptions } from "./document.ts";
+export { PAGE_SIZES, layoutCoverLetter, layoutLines, layoutResume } from "./layout.ts";
+export { needsUnicode, sanitizeText } from "./sanitize.ts";
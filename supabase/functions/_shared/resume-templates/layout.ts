@@ -0,0 +1,267 @@
+import { sanitizeText } from "./sanitize.ts";
+import type {
+  CoverLetterData,
+  DocumentBlock,
+  DocumentLayout,
+  DrawOp,
+  FontStyle,
+  LayoutOptions,
+  LayoutPage,
+  MeasureText,
+  ResumeDocument,
+  ResumeTemplate,
+} from "./types.ts";
+
+export const PAGE_SIZES = {
+  letter: { width: 612, height: 792 },
+  a4: { width: 595.28, height: 841.89 },
+} as const;
+
+interface TextOptions {
+  size: number;
+  style?: FontStyle;
+  muted?: boolean;
+  indent?: number;
+  align?: "left" | "center";
+}
+
+/**
+ * Flows text top to bottom across as many pages as it takes. Positions are
+ * baselines measured from the top-left corner; renderers flip y if their
+ * origin is elsewhere.
+ */
+function createWriter(template: ResumeTemplate, measure: MeasureText, { charset = "winansi", hasGlyph }: LayoutOptions) {
+  const { width, height } = PAGE_SIZES[template.page.size];
+  const { margins } = template.page;
+  const left = margins.left;
+  const right = width - margins.right;
+  const pages: LayoutPage[] = [{ ops: [] }];
+  let y = margins.top;
+
+  const push = (op: DrawOp) => pages[pages.length - 1].ops.push(op);
+  const lineHeight = (size: number) => size * template.spacing.lineHeight;
+
+  const ensure = (needed: number) => {
+    if (y + needed > height - margins.bottom && pages[pages.length - 1].ops.length > 0) {
+      pages.push({ ops: [] });
+      y = margins.top;
+    }
+  };
+
+  // Greedy word wrap; a word wider than the line (a long URL) is split by character
+  const wrap = (text: string, style: FontStyle, size: number, maxWidth: number): string[] => {
+    const lines: string[] = [];
+    let current = "";
+    for (const word of text.split(" ")) {
+      if (!word) continue;
+      const candidate = current ? `${current} ${word}` : word;
+      if (measure(candidate, style, size) <= maxWidth) {
+        current = candidate;
+        continue;
+      }
+      if (current) lines.push(current);
+      current = word;
+      while (current.length > 1 && measure(current, style, size) > maxWidth) {
+        let cut = current.length - 1;
+        while (cut > 1 && measure(current.slice(0, cut), style, size) > maxWidth) cut--;
+        lines.push(current.slice(0, cut));
+        current = current.slice(cut);
+      }
+    }
+    if (current) lines.push(current);
+    return lines;
+  };
+
+  /** One wrapped line at a time; `draw` places it on the baseline it is given */
+  const lines = (wrapped: string[], size: number, draw: (line: string, baseline: number, index: number) => void) => {
+    wrapped.forEach((line, index) => {
+      ensure(lineHeight(size));
+      draw(line, y + size, index);
+      y += lineHeight(size);
+    });
+  };
+
+  const clean = (raw: string | undefined) => {
+    const text = sanitizeText(raw, charset);
+    if (!hasGlyph) return text;
+    return Array.from(text)
+      .filter((char) => char === " " || hasGlyph(char.codePointAt(0) ?? 0))
+      .join("")
+      .replace(/\s+/g, " ")
+      .trim();
+  };
+
+  const text = (raw: string, { size, style = "regular", muted, indent = 0, align = "left" }: TextOptions) => {
+    const cleaned = clean(raw);
+    if (!cleaned) return;
+    lines(wrap(cleaned, style, size, right - left - indent), size, (line, baseline) => {
+      const x = align === "center" ? (width - measure(line, style, size)) / 2 : left + indent;
+      push({ type: "text", text: line, x, y: baseline, size, style, muted });
+    });
+  };
+
+  return {
+    template,
+    left,
+    right,
+    measure,
+    clean,
+    wrap,
+    lines,
+    text,
+    ensure,
+    lineHeight,
+    push,
+    space: (points: number) => {
+      y += points;
+    },
+    /** Baseline of the line just written */
+    lastBaseline: (size: number) => y - lineHeight(size) + size,
+    finish: (): DocumentLayout => ({ width, height, family: template.font.family, charset, pages }),
+  };
+}
+
+type Writer = ReturnType<typeof createWriter>;
+
+function drawHeading(w: Writer, title: string) {
+  const { headings, spacing, font } = w.template;
+  const size = font.sizes.heading;
+  w.space(spacing.sectionGap);
+  // Never strand a heading at the bottom of a page
+  w.ensure(w.lineHeight(size) + w.lineHeight(font.sizes.body) * 2);
+  w.text(headings.case === "upper" ? title.toUpperCase() : title, { size, style: "bold" });
+  if (headings.rule) {
+    w.push({ type: "rule", x1: w.left, x2: w.right, y: w.lastBaseline(size) + 3, thickness: 0.5 });
+  }
+  w.space(spacing.headingGap);
+}
+
+function drawBullet(w: Writer, bullet: string) {
+  const { symbol, indent } = w.template.bullets;
+  const size = w.template.font.sizes.body;
+  if (indent === 0) {
+    w.text(`${symbol} ${bullet}`, { size });
+    return;
+  }
+  const wrapped = w.wrap(w.clean(bullet), "regular", size, w.right - w.left - indent);
+  w.lines(wrapped, size, (line, baseline, index) => {
+    if (index === 0) w.push({ type: "text", text: symbol, x: w.left + indent / 4, y: baseline, size, style: "regular" });
+    w.push({ type: "text", text: line, x: w.left + indent, y: baseline, size, style: "regular" });
+  });
+}
+
+function drawEntry(w: Writer, entry: Extract<DocumentBlock, { type: "entry" }>) {
+  const size = w.template.font.sizes.body;
+  const lead = w.clean(entry.lead);
+  const dates = w.clean(entry.dates);
+
+  // Keep the lead line with the line under it
+  w.ensure(w.lineHeight(size) * 2);
+  if (w.template.entries.dates === "right" && dates) {
+    const datesWidth = w.measure(dates, "regular", size);
+    const wrapped = w.wrap(lead, "bold", size, w.right - w.left - datesWidth - 12);
+    w.lines(wrapped, size, (line, baseline, index) => {
+      w.push({ type: "text", text: line, x: w.left, y: baseline, size, style: "bold" });
+      if (index === 0) {
+        w.push({ type: "text", text: dates, x: w.right - datesWidth, y: baseline, size, style: "regular" });
+      }
+    });
+  } else {
+    w.text(dates ? `${lead} | ${dates}` : lead, { size, style: "bold" });
+  }
+
+  if (entry.sub) w.text(entry.sub, { size, muted: true });
+  for (const bullet of entry.bullets) drawBullet(w, bullet);
+  w.space(w.template.spacing.entryGap);
+}
+
+/** A resume document laid out with `template`, measured with the renderer's fonts */
+export function layoutResume(
+  doc: ResumeDocument,
+  template: ResumeTemplate,
+  measure: MeasureText,
+  options: LayoutOptions = {},
+): DocumentLayout {
+  const w = createWriter(template, measure, options);
+  const { header, font, spacing } = template;
+  const { sizes } = font;
+
+  const contact = header.linksOnOwnLine ? doc.contact : [...doc.contact, ...doc.links];
+  const name = header.nameCase === "upper" ? doc.name.toUpperCase() : doc.name;
+  w.text(name, { size: sizes.name, style: "bold", align: header.align });
+  w.space(sizes.name * 0.15);
+  w.text(contact.join(header.separator), { size: sizes.contact, align: header.align });
+  if (header.linksOnOwnLine) w.text(doc.links.join(header.separator), { size: sizes.small, align: header.align });
+  w.space(spacing.headerGap);
+
+  for (const section of doc.sections) {
+    if (section.title) drawHeading(w, section.title);
+    for (const block of section.blocks) {
+      if (block.type === "entry") drawEntry(w, block);
+      else if (block.type === "bullet") drawBullet(w, block.text);
+      else w.text(block.text, { size: sizes.body, style: block.style });
+    }
+  }
+
+  return w.finish();
+}
+
+/** A cover letter in the template's fonts and margins: header, date, recipient, body, sign-off */
+export function layoutCoverLetter(
+  letter: CoverLetterData,
+  template: ResumeTemplate,
+  measure: MeasureText,
+  options: LayoutOptions = {},
+): DocumentLayout {
+  const w = createWriter(template, measure, options);
+  const { sizes } = template.font;
+  const size = sizes.body + 1;
+  const info = letter.personalInfo;
+  const date = letter.date ||
+    new Date().toLocaleDateString("en-US", { year: "numeric", month: "long", day: "numeric" });
+  const name = template.header.nameCase === "upper" ? info.name.toUpperCase() : info.name;
+
+  w.text(name, { size: sizes.name - 2, style: "bold" });
+  w.text([info.phone, info.email].filter(Boolean).join(template.header.separator), { size: sizes.contact });
+  w.space(w.lineHeight(size));
+  w.text(date, { size });
+  w.space(w.lineHeight(size));
+  if (letter.recipientCompany) {
+    w.text(letter.recipientCompany, { size });
+    w.space(w.lineHeight(size));
+  }
+  w.text(`Re: ${letter.jobTitle}`, { size, style: "bold" });
+  w.space(w.lineHeight(size));
+  w.text("Dear Hiring Manager,", { size });
+  w.space(w.lineHeight(size) * 0.5);
+  for (const paragraph of letter.paragraphs) {
+    w.text(paragraph, { size });
+    w.space(w.lineHeight(size) * 0.5);
+  }
+  w.space(w.lineHeight(size) * 0.5);
+  w.text("Sincerely,", { size });
+  w.space(w.lineHeight(size));
+  w.text(info.name, { size, style: "bold" });
+
+  return w.finish();
+}
+
+/**
+ * The text of each page as a reader sees it: one string per line, top to
+ * bottom, with the pieces of a line (a bullet and its text, a lead and its
+ * dates) joined by a space. What a PDF parser should get back.
+ */
+export function layoutLines(layout: DocumentLayout): string[][] {
+  return layout.pages.map((page) => {
+    const lines = new Map<number, Array<{ x: number; text: string }>>();
+    for (const op of page.ops) {
+      if (op.type !== "text") continue;
+      const line = lines.get(op.y) || [];
+      line.push({ x: op.x, text: op.text });
+      lines.set(op.y, line);
+    }
+    return [...lines.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([, parts]) => parts.sort((a, b) => a.x - b.x).map((part) => part.text).join(" "));
+  });
+}
@@ -0,0 +1,58 @@
+// Text for the resume PDFs. Typographic characters become their ASCII
+// equivalents so ATS parsers read the same words the candidate sees. With
+// the PDF standard fonts (`winansi`), which only carry WinAnsi (roughly
+// Latin-1), anything else is dropped; with embedded fonts (`unicode`)
+// accented and non-Latin letters are kept.
+
+import type { Charset } from "./types.ts";
+
+const isPrintable = (char: string) => {
+  const code = char.charCodeAt(0);
+  return !(code < 0x20 || (code >= 0x7f && code <= 0x9f));
+};
+
+/** Single-line text: newlines and tabs collapse to spaces, everything else is mapped or dropped */
+export function sanitizeText(text: string | null | undefined, charset: Charset = "winansi"): string {
+  if (!text) return "";
+  // NFC so "e" + combining acute is the one "é" fonts and parsers expect
+  const flattened = Array.from(String(text).normalize("NFC").replace(/[\n\r\t]/g, " "))
+    .filter(isPrintable)
+    .join("");
+
+  const mapped = flattened
+    .replace(/\s+/g, " ")
+    // Smart quotes to straight quotes
+    .replace(/[\u2018\u2019\u201A\u2039\u203A]/g, "'")
+    .replace(/[\u201C\u201D\u201E\u00AB\u00BB]/g, '"')
+    // Dashes to hyphen
+    .replace(/[\u2013\u2014\u2015\u2212]/g, "-")
+    // Ellipsis to dots
+    .replace(/\u2026/g, "...")
+    // All bullet points to hyphen; templates draw their own bullet symbol
+    .replace(/[\u2022\u2023\u25E6\u2043\u2219\u25AA\u25AB\u25A0\u25A1\u25CF\u25CB\u25D8\u25D9\u2B24\u2B58\u29BF\u25C6\u25C7\u2666\u2756\u2605\u2606\u2713\u2714\u2717\u2718\u2794\u27A4\u25B6\u25B8\u25BA\u25BC\u25BE\u25C0\u25C2\u25C4]/g, "-")
+    // Arrows to text
+    .replace(/[\u2190-\u21FF]/g, "->")
+    // Symbols to text equivalents
+    .replace(/\u00A9/g, "(c)")
+    .replace(/\u00AE/g, "(R)")
+    .replace(/\u2122/g, "(TM)")
+    .replace(/\u20AC/g, "EUR")
+    .replace(/\u00A3/g, "GBP")
+    .replace(/\u00A5/g, "JPY")
+    .replace(/\u00B0/g, " deg")
+    .replace(/\u00B1/g, "+/-")
+    .replace(/\u00D7/g, "x")
+    .replace(/\u00F7/g, "/");
+
+  return (charset === "winansi" ? mapped.replace(/[^\x20-\x7E\u00A0-\u00FF]/g, " ") : mapped)
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Whether any of `texts` has letters the standard fonts can't show (Polish
+ * "ł", Chinese, Greek...), so the PDF needs embedded Unicode fonts.
+ */
+export function needsUnicode(...texts: Array<string | null | undefined>): boolean {
+  return texts.some((text) => /[^\x20-\x7E\u00A0-\u00FF]/.test(sanitizeText(text, "unicode")));
+}
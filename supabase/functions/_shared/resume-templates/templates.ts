@@ -0,0 +1,77 @@
+import type { ResumeTemplate, SectionId } from "./types.ts";
+
+const STANDARD_TITLES: Record<SectionId, string> = {
+  summary: "Professional Summary",
+  experience: "Work Experience",
+  education: "Education",
+  skills: "Skills",
+  certifications: "Certifications",
+  achievements: "Achievements",
+};
+
+// The layout generate-pdf has always drawn
+const CLASSIC: ResumeTemplate = {
+  id: "classic",
+  name: "Classic",
+  description: "Left-aligned Helvetica with plain bold headings. The safest choice for older ATS parsers.",
+  page: { size: "letter", margins: { top: 54, right: 54, bottom: 54, left: 54 } },
+  font: { family: "helvetica", sizes: { name: 18, contact: 10, heading: 11, body: 10, small: 9 } },
+  spacing: { lineHeight: 1.4, sectionGap: 16, headingGap: 4, entryGap: 6, headerGap: 0 },
+  header: { align: "left", nameCase: "upper", separator: " | ", linksOnOwnLine: true },
+  headings: { case: "upper", rule: false, titles: STANDARD_TITLES },
+  bullets: { symbol: "-", indent: 0 },
+  entries: { lead: "company", dates: "inline" },
+  sections: ["summary", "experience", "education", "skills", "certifications", "achievements"],
+};
+
+// The extensions' jsPDF layout (pdf-ats-turbo.js): A4, centred header, ruled headings
+const MODERN: ResumeTemplate = {
+  id: "modern",
+  name: "Modern",
+  description: "Centred header and ruled section headings on A4, with skills ahead of education.",
+  page: { size: "a4", margins: { top: 54, right: 54, bottom: 54, left: 54 } },
+  font: { family: "helvetica", sizes: { name: 16, contact: 10, heading: 11, body: 10, small: 9 } },
+  spacing: { lineHeight: 1.3, sectionGap: 12, headingGap: 6, entryGap: 6, headerGap: 4 },
+  header: { align: "center", nameCase: "upper", separator: " | ", linksOnOwnLine: true },
+  headings: { case: "upper", rule: true, titles: { ...STANDARD_TITLES, experience: "Experience" } },
+  bullets: { symbol: "•", indent: 12 },
+  entries: { lead: "company", dates: "right" },
+  sections: ["summary", "experience", "skills", "education", "certifications", "achievements"],
+};
+
+const EXECUTIVE: ResumeTemplate = {
+  id: "executive",
+  name: "Executive",
+  description: "Times with generous spacing and job titles leading each role.",
+  page: { size: "letter", margins: { top: 60, right: 60, bottom: 60, left: 60 } },
+  font: { family: "times", sizes: { name: 20, contact: 10.5, heading: 12, body: 10.5, small: 10 } },
+  spacing: { lineHeight: 1.3, sectionGap: 14, headingGap: 6, entryGap: 8, headerGap: 6 },
+  header: { align: "center", nameCase: "as-is", separator: "  |  ", linksOnOwnLine: true },
+  headings: { case: "upper", rule: true, titles: { ...STANDARD_TITLES, experience: "Professional Experience" } },
+  bullets: { symbol: "•", indent: 14 },
+  entries: { lead: "title", dates: "right" },
+  sections: ["summary", "experience", "education", "certifications", "achievements", "skills"],
+};
+
+const COMPACT: ResumeTemplate = {
+  id: "compact",
+  name: "Compact",
+  description: "Tight spacing and skills near the top, to keep a long technical history to fewer pages.",
+  page: { size: "letter", margins: { top: 40, right: 45, bottom: 40, left: 45 } },
+  font: { family: "helvetica", sizes: { name: 16, contact: 9, heading: 10, body: 9.5, small: 8.5 } },
+  spacing: { lineHeight: 1.2, sectionGap: 10, headingGap: 4, entryGap: 3, headerGap: 2 },
+  header: { align: "left", nameCase: "upper", separator: " | ", linksOnOwnLine: false },
+  headings: { case: "upper", rule: true, titles: { ...STANDARD_TITLES, summary: "Summary", experience: "Experience" } },
+  bullets: { symbol: "-", indent: 9 },
+  entries: { lead: "title", dates: "right" },
+  sections: ["summary", "skills", "experience", "education", "certifications", "achievements"],
+};
+
+export const DEFAULT_TEMPLATE_ID = CLASSIC.id;
+
+export const RESUME_TEMPLATES: readonly ResumeTemplate[] = [CLASSIC, MODERN, EXECUTIVE, COMPACT];
+
+/** The template with `id`, falling back to the default for unknown or missing ids */
+export function getTemplate(id?: string | null): ResumeTemplate {
+  return RESUME_TEMPLATES.find((template) => template.id === id) || CLASSIC;
+}
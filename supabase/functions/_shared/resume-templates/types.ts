@@ -0,0 +1,182 @@
+/** The structured resume generate-pdf renders (its request body, minus the request fields) */
+export interface ResumeData {
+  personalInfo: {
+    name: string;
+    email?: string;
+    phone?: string;
+    location?: string;
+    linkedin?: string;
+    github?: string;
+    portfolio?: string;
+  };
+  summary?: string;
+  experience?: Array<{
+    company: string;
+    title: string;
+    dates: string;
+    bullets: string[];
+  }>;
+  education?: Array<{
+    degree: string;
+    school: string;
+    dates: string;
+    gpa?: string;
+  }>;
+  skills?: {
+    primary: string[];
+    secondary?: string[];
+  };
+  certifications?: string[];
+  achievements?: Array<{
+    title: string;
+    date: string;
+    description: string;
+  }>;
+}
+
+export interface CoverLetterData {
+  personalInfo: ResumeData["personalInfo"];
+  recipientCompany: string;
+  jobTitle: string;
+  /** Body paragraphs only; the layout adds the salutation and sign-off */
+  paragraphs: string[];
+  /** Printed as-is; defaults to today in en-US long form */
+  date?: string;
+}
+
+export type SectionId = "summary" | "experience" | "education" | "skills" | "certifications" | "achievements";
+
+/** The PDF standard fonts: every ATS and every PDF reader has them */
+export type FontFamily = "helvetica" | "times" | "courier";
+
+export type FontStyle = "regular" | "bold" | "italic";
+
+/**
+ * A declarative resume layout. Everything is in PDF points (1/72 in); line
+ * heights are multiples of the font size. Templates only choose among
+ * single-column, text-only options, so any of them stays ATS-safe.
+ */
+export interface ResumeTemplate {
+  id: string;
+  name: string;
+  description: string;
+  page: {
+    size: "letter" | "a4";
+    margins: { top: number; right: number; bottom: number; left: number };
+  };
+  font: {
+    family: FontFamily;
+    sizes: { name: number; contact: number; heading: number; body: number; small: number };
+  };
+  spacing: {
+    lineHeight: number;
+    /** Space above a section heading */
+    sectionGap: number;
+    /** Space below a section heading */
+    headingGap: number;
+    /** Space after each experience/education entry */
+    entryGap: number;
+    /** Space between the header block and the first section */
+    headerGap: number;
+  };
+  header: {
+    align: "left" | "center";
+    nameCase: "upper" | "as-is";
+    separator: string;
+    /** Links on a line of their own under the contact line, or appended to it */
+    linksOnOwnLine: boolean;
+  };
+  headings: {
+    case: "upper" | "as-is";
+    /** A thin rule under each heading */
+    rule: boolean;
+    titles: Record<SectionId, string>;
+  };
+  bullets: {
+    symbol: string;
+    /** Indent of the bullet text; wrapped lines align with it */
+    indent: number;
+  };
+  entries: {
+    /** Which experience line comes first and is bold; education is always degree first */
+    lead: "company" | "title";
+    /** Dates after the lead line ("Company | 2020 - 2023") or right-aligned on it */
+    dates: "inline" | "right";
+  };
+  /** Section order; sections left out are not rendered */
+  sections: SectionId[];
+}
+
+/**
+ * What a template lays out: the resume reduced to a header and titled
+ * sections of blocks. Built from ResumeData or from a plain-text resume.
+ */
+export interface ResumeDocument {
+  name: string;
+  contact: string[];
+  links: string[];
+  sections: DocumentSection[];
+}
+
+export interface DocumentSection {
+  /** Null for sections a plain-text resume has that ResumeData doesn't */
+  id: SectionId | null;
+  title: string;
+  blocks: DocumentBlock[];
+}
+
+export type DocumentBlock =
+  | { type: "paragraph"; text: string; style?: FontStyle }
+  | { type: "bullet"; text: string }
+  | {
+    type: "entry";
+    /** Bold first line: company or title, degree, achievement title */
+    lead: string;
+    /** Second line: title or company, school */
+    sub?: string;
+    dates?: string;
+    bullets: string[];
+  };
+
+export type DrawOp =
+  | {
+    type: "text";
+    text: string;
+    /** From the left edge */
+    x: number;
+    /** Baseline, from the top edge */
+    y: number;
+    size: number;
+    style: FontStyle;
+    /** Secondary text (job titles) is drawn in dark gray */
+    muted?: boolean;
+  }
+  | { type: "rule"; x1: number; x2: number; y: number; thickness: number };
+
+export interface LayoutPage {
+  ops: DrawOp[];
+}
+
+/**
+ * Characters a renderer can draw. `winansi` is all the PDF standard fonts
+ * carry (roughly Latin-1); `unicode` needs embedded fonts with a ToUnicode map.
+ */
+export type Charset = "winansi" | "unicode";
+
+export interface LayoutOptions {
+  /** Defaults to `winansi`, which reduces text to what the standard fonts can show */
+  charset?: Charset;
+  /** Whether the renderer's fonts can draw a character; those it can't are left out */
+  hasGlyph?: (codePoint: number) => boolean;
+}
+
+export interface DocumentLayout {
+  width: number;
+  height: number;
+  family: FontFamily;
+  charset: Charset;
+  pages: LayoutPage[];
+}
+
+/** Width of `text` in points, from the renderer's font metrics */
+export type MeasureText = (text: string, style: FontStyle, size: number) => number;
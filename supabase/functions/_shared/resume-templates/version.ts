@@ -0,0 +1,3 @@
+// Bump on every layout change (see CHANGELOG.md). Extension builds embed
+// this in resume-templates.js so a stale copy is easy to spot.
+export const RESUME_TEMPLATES_VERSION = "1.1.0";
@@ -0,0 +1,121 @@
+// Resume versions (resume_versions table): the base CV a tailoring run starts
+// from and the snapshot of what it produced (tailor-application, job-queue-worker).
+
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.89.0";
+
+type SupabaseClient = ReturnType<typeof createClient>;
+
+/** generate-pdf's ResumeData, minus the request fields; `text` holds a plain-text resume */
+export interface ResumeContent {
+  personalInfo?: {
+    name?: string;
+    email?: string;
+    phone?: string;
+    location?: string;
+    linkedin?: string;
+    github?: string;
+    portfolio?: string;
+  };
+  summary?: string;
+  experience?: { company: string; title: string; dates: string; bullets: string[] }[];
+  education?: { degree: string; school: string; dates: string; gpa?: string }[];
+  skills?: { primary: string[]; secondary: string[] };
+  certifications?: string[];
+  achievements?: { title: string; date: string; description: string }[];
+  text?: string;
+}
+
+export interface ResumeVersion {
+  id: string;
+  name: string;
+  version: number;
+  content: ResumeContent;
+  /** resume-templates id generate-pdf renders it with; null for the default */
+  template: string | null;
+}
+
+/**
+ * A base version by id, or the user's default when `id` is empty.
+ * Null when there is none (or the id isn't one of the user's base versions).
+ */
+export async function loadBaseResumeVersion(
+  supabase: SupabaseClient,
+  userId: string,
+  id?: string | null,
+): Promise<ResumeVersion | null> {
+  let query = supabase
+    .from("resume_versions")
+    .select("id, name, version, content, template")
+    .eq("user_id", userId)
+    .eq("kind", "base");
+  query = id ? query.eq("id", id) : query.eq("is_default", true);
+
+  const { data, error } = await query.maybeSingle();
+  if (error) {
+    console.error("Failed to load resume version:", error.message);
+    return null;
+  }
+  return data as ResumeVersion | null;
+}
+
+/**
+ * The userProfile fields (tailor-application's request shape) a version's
+ * content replaces. Sections the version doesn't have are left out so the
+ * profile's own values stay.
+ */
+export function profileFieldsFromResume(content: ResumeContent): Record<string, unknown> {
+  const fields: Record<string, unknown> = {};
+
+  if (Array.isArray(content.experience)) {
+    fields.workExperience = content.experience.map((exp) => ({
+      company: exp.company,
+      title: exp.title,
+      dates: exp.dates,
+      description: exp.bullets || [],
+    }));
+  }
+  if (Array.isArray(content.education)) {
+    fields.education = content.education.map((edu) => ({ ...edu }));
+  }
+  if (content.skills) {
+    fields.skills = [
+      ...(content.skills.primary || []).map((name) => ({ name, category: "technical" })),
+      ...(content.skills.secondary || []).map((name) => ({ name })),
+    ];
+  }
+  if (Array.isArray(content.certifications)) fields.certifications = content.certifications;
+  if (Array.isArray(content.achievements)) fields.achievements = content.achievements;
+
+  return fields;
+}
+
+export interface TailoredSnapshot {
+  userId: string;
+  /** The base version tailoring started from */
+  parentId: string | null;
+  jobId: string | null;
+  name: string;
+  content: ResumeContent;
+}
+
+/** Stores a tailored resume as an immutable version; returns its id, or null if the insert failed */
+export async function saveTailoredSnapshot(supabase: SupabaseClient, snapshot: TailoredSnapshot): Promise<string | null> {
+  const { data, error } = await supabase
+    .from("resume_versions")
+    .insert({
+      user_id: snapshot.userId,
+      parent_id: snapshot.parentId,
+      kind: "tailored",
+      name: snapshot.name,
+      content: snapshot.content,
+      job_id: snapshot.jobId,
+    })
+    .select("id")
+    .single();
+
+  if (error) {
+    console.error("Failed to save resume snapshot:", error.message);
+    return null;
+  }
+  return (data as { id: string }).id;
+}
@@ -0,0 +1,381 @@
+// Structured salary parsing shared by the edge functions and the web app
+// (re-exported from src/lib/salary.ts). Keep this module free of Deno and
+// browser APIs so both runtimes can load it.
+
+export type SalaryPeriod = "hour" | "day" | "week" | "month" | "year";
+
+export interface ParsedSalary {
+  min: number | null;
+  max: number | null;
+  // ISO 4217 code, null when the text carries no currency hint
+  currency: string | null;
+  period: SalaryPeriod;
+  equity: boolean;
+  // The snippet the figures were read from
+  source: string;
+}
+
+export interface AnnualSalary {
+  min: number | null;
+  max: number | null;
+  currency: string;
+}
+
+export interface ParseSalaryOptions {
+  // Used when the text has no symbol or code, and to resolve a bare "$"
+  defaultCurrency?: string | null;
+  // The text is a dedicated salary field, so bare figures ("120k") need no
+  // currency or salary wording around them
+  salaryField?: boolean;
+}
+
+// Approximate units per 1 USD. Offline on purpose: salary filters only need
+// ballpark conversions and must work without a rates API.
+export const FX_RATES_PER_USD: Record<string, number> = {
+  USD: 1,
+  EUR: 0.92,
+  GBP: 0.79,
+  CAD: 1.36,
+  AUD: 1.52,
+  NZD: 1.65,
+  CHF: 0.88,
+  SEK: 10.5,
+  NOK: 10.7,
+  DKK: 6.85,
+  PLN: 3.95,
+  CZK: 23,
+  INR: 83,
+  JPY: 150,
+  CNY: 7.2,
+  HKD: 7.8,
+  SGD: 1.34,
+  BRL: 5,
+  MXN: 17,
+  ZAR: 18.5,
+  ILS: 3.7,
+  AED: 3.67,
+};
+
+export const PERIODS_PER_YEAR: Record<SalaryPeriod, number> = {
+  hour: 2080,
+  day: 260,
+  week: 52,
+  month: 12,
+  year: 1,
+};
+
+const CURRENCY_SYMBOLS: Record<string, string> = {
+  USD: "$",
+  EUR: "€",
+  GBP: "£",
+  CAD: "CA$",
+  AUD: "A$",
+  NZD: "NZ$",
+  INR: "₹",
+  JPY: "¥",
+  SGD: "S$",
+  HKD: "HK$",
+  BRL: "R$",
+};
+
+// Longest prefixes first so "CA$" wins over "$"
+const SYMBOL_CURRENCIES: [string, string][] = [
+  ["US$", "USD"],
+  ["CA$", "CAD"],
+  ["C$", "CAD"],
+  ["AU$", "AUD"],
+  ["A$", "AUD"],
+  ["NZ$", "NZD"],
+  ["S$", "SGD"],
+  ["HK$", "HKD"],
+  ["R$", "BRL"],
+  ["$", "USD"],
+  ["£", "GBP"],
+  ["€", "EUR"],
+  ["¥", "JPY"],
+  ["₹", "INR"],
+];
+
+// Currencies written with a bare "$" locally
+const DOLLAR_CURRENCIES = new Set(["USD", "CAD", "AUD", "NZD", "SGD", "HKD"]);
+
+const LOCATION_CURRENCIES: [RegExp, string][] = [
+  [/\b(united kingdom|uk|england|scotland|wales|britain|london|manchester|edinburgh|bristol|cambridge)\b/i, "GBP"],
+  [/\b(ireland|dublin|germany|berlin|munich|hamburg|france|paris|netherlands|amsterdam|rotterdam|spain|madrid|barcelona|italy|milan|rome|portugal|lisbon|porto|belgium|brussels|austria|vienna|finland|helsinki|luxembourg|estonia|tallinn|greece|athens)\b/i, "EUR"],
+  [/\b(switzerland|zurich|zürich|geneva|basel)\b/i, "CHF"],
+  [/\b(sweden|stockholm|gothenburg)\b/i, "SEK"],
+  [/\b(norway|oslo)\b/i, "NOK"],
+  [/\b(denmark|copenhagen)\b/i, "DKK"],
+  [/\b(poland|warsaw|krakow|kraków|wroclaw)\b/i, "PLN"],
+  [/\b(czech|czechia|prague)\b/i, "CZK"],
+  [/\b(canada|toronto|vancouver|montreal|ottawa|calgary)\b/i, "CAD"],
+  [/\b(australia|sydney|melbourne|brisbane|perth)\b/i, "AUD"],
+  [/\b(new zealand|auckland|wellington)\b/i, "NZD"],
+  [/\b(india|bangalore|bengaluru|hyderabad|pune|mumbai|delhi|chennai)\b/i, "INR"],
+  [/\b(singapore)\b/i, "SGD"],
+  [/\b(hong kong)\b/i, "HKD"],
+  [/\b(japan|tokyo|osaka)\b/i, "JPY"],
+  [/\b(brazil|são paulo|sao paulo)\b/i, "BRL"],
+  [/\b(mexico|mexico city)\b/i, "MXN"],
+  [/\b(south africa|cape town|johannesburg)\b/i, "ZAR"],
+  [/\b(israel|tel aviv)\b/i, "ILS"],
+  [/\b(uae|dubai|abu dhabi)\b/i, "AED"],
+  [/\b(united states|usa|us|new york|san francisco|seattle|austin|boston|chicago|los angeles|denver)\b/i, "USD"],
+];
+
+const SYMBOL_PATTERN = "US\\$|CA\\$|C\\$|AU\\$|A\\$|NZ\\$|S\\$|HK\\$|R\\$|\\$|£|€|¥|₹";
+const CODE_PATTERN = Object.keys(FX_RATES_PER_USD).join("|");
+// Lakh grouping ("12,00,000"), then 1,000 / 1.000 / 1 000 / 1'000 grouping, then plain numbers
+const NUMBER_PATTERN =
+  "\\d{1,2}(?:,\\d{2})+,\\d{3}(?:\\.\\d{1,2})?|\\d{1,3}(?:[,.\\u00a0 '\\u2019]\\d{3})+(?:\\.\\d{1,2})?|\\d+(?:[.,]\\d{1,2})?";
+// Thousands ("120k") and millions ("1.2M", "15 Mio", "2 million")
+const MULTIPLIER_PATTERN = "[kK]|[mM](?:io|IO|n|illion)?";
+const AMOUNT_PATTERN =
+  `(?:(${SYMBOL_PATTERN})\\s?|\\b(${CODE_PATTERN})\\s?)?(${NUMBER_PATTERN})\\s?(${MULTIPLIER_PATTERN})?(?![a-zA-Z])(?:\\s?(${CODE_PATTERN}(?![a-zA-Z])|${SYMBOL_PATTERN}))?`;
+const RANGE_REGEX = new RegExp(
+  `${AMOUNT_PATTERN}(?:\\s*(?:-|–|—|to|and)\\s*${AMOUNT_PATTERN})?`,
+  "g",
+);
+
+const PERIOD_PATTERNS: [RegExp, SalaryPeriod][] = [
+  [/^\s*(?:\/\s*|per\s+|an?\s+|p\.?\s?)(?:hour|hr|h)\b|^\s*hourly\b/i, "hour"],
+  [/^\s*(?:\/\s*|per\s+|a\s+|p\.?\s?)(?:day|d)\b|^\s*(?:daily|day rate)\b/i, "day"],
+  [/^\s*(?:\/\s*|per\s+|a\s+|p\.?\s?)(?:week|wk|w)\b|^\s*weekly\b/i, "week"],
+  [/^\s*(?:\/\s*|per\s+|a\s+|p\.?\s?)(?:month|mo|m)\b|^\s*(?:monthly|pcm)\b/i, "month"],
+  [/^\s*(?:\/\s*|per\s+|an?\s+)(?:year|yr|annum)\b|^\s*(?:annually|yearly|annual|pa)\b|^\s*p\.\s?a\b/i, "year"],
+];
+
+const PERIOD_CONTEXT_PATTERNS: [RegExp, SalaryPeriod][] = [
+  [/\b(hourly|per hour|an hour)\b/i, "hour"],
+  [/\b(day rate|daily rate|per day)\b/i, "day"],
+  [/\b(weekly|per week)\b/i, "week"],
+  [/\b(monthly|per month)\b/i, "month"],
+];
+
+const SALARY_CONTEXT = /\b(salary|salaries|compensation|pay|paid|base|ote|wage|rate|range|package|remuneration|earn)\b/i;
+const NON_SALARY_CONTEXT = /\b(raised|funding|revenue|valuation|series [a-e]|investment|customers|users|employees|arr)\b/i;
+const MAGNITUDE_AFTER = /^\s*(million|billion|mn|bn|m\b|b\b|\+?\s*(employees|customers|users|people))/i;
+const NON_SALARY_AFTER = /^\s*(?:in\s+|of\s+)?(funding|revenue|arr|valuation|investment|series [a-e]|raised)\b/i;
+// Retirement plans, not pay: "401k", "401(k)", "403(b)"
+const RETIREMENT_PLAN = /^\s*(?:401|403|457)\s?\(?[kb]\)?/i;
+const UP_TO = /\b(?:up to|upto|max(?:imum)?(?: of)?|no more than)\s*$/i;
+const EQUITY_PATTERN = /\b(equity|stock options?|share options?|rsus?|esop|options grant)\b/i;
+
+function multiplierValue(multiplier: string | undefined): number {
+  if (!multiplier) return 1;
+  return multiplier.toLowerCase() === "k" ? 1000 : 1000000;
+}
+
+function parseNumber(raw: string, multiplier: string | undefined): number {
+  let cleaned = raw.replace(/[\s\u00a0'\u2019]/g, "");
+  if (/^\d{1,2}(?:,\d{2})+,\d{3}(?:\.\d{1,2})?$/.test(cleaned) || /^\d{1,3}(?:[,.]\d{3})+(?:\.\d{1,2})?$/.test(cleaned)) {
+    // Group separators: keep only a trailing two-digit decimal part
+    const decimal = cleaned.match(/\.(\d{1,2})$/);
+    const whole = (decimal ? cleaned.slice(0, -decimal[0].length) : cleaned).replace(/[,.]/g, "");
+    cleaned = decimal ? `${whole}.${decimal[1]}` : whole;
+  } else {
+    cleaned = cleaned.replace(",", ".");
+  }
+  return parseFloat(cleaned) * multiplierValue(multiplier);
+}
+
+const isCurrencyCode = (value: string | undefined) => Boolean(value && FX_RATES_PER_USD[value.toUpperCase()]);
+
+function symbolCurrency(symbol: string | undefined, hint: string | null): string | null {
+  if (!symbol) return null;
+  const found = SYMBOL_CURRENCIES.find(([s]) => s === symbol)?.[1] || null;
+  // A bare "$" follows the local dollar when the listing is in Canada, Australia, etc.
+  if (symbol === "$" && hint && DOLLAR_CURRENCIES.has(hint)) return hint;
+  return found;
+}
+
+function periodAfter(after: string): SalaryPeriod | null {
+  for (const [pattern, period] of PERIOD_PATTERNS) {
+    if (pattern.test(after)) return period;
+  }
+  return null;
+}
+
+function periodFromContext(context: string): SalaryPeriod | null {
+  for (const [pattern, period] of PERIOD_CONTEXT_PATTERNS) {
+    if (pattern.test(context)) return period;
+  }
+  return null;
+}
+
+// No unit given anywhere: guess from the size of the number
+function periodFromMagnitude(max: number): SalaryPeriod {
+  if (max < 300) return "hour";
+  if (max < 2000) return "day";
+  if (max < 15000) return "month";
+  return "year";
+}
+
+/**
+ * Find the most salary-like figure in free text and return it as structured
+ * data. Handles ranges ("£50,000 - £70,000", "120k to 150k"), ceilings
+ * ("up to $200k"), currency symbols and ISO codes on either side, local digit
+ * grouping ("80.000", "120'000", "12,00,000"), k/M/Mio multipliers and
+ * hourly/daily/monthly rates. Bare figures need a currency or salary wording,
+ * so "401k plan" is not pay. Regression cases live in
+ * fixtures/salaries.json (npm run salary:regression).
+ * Returns null when nothing plausible is found.
+ */
+export function parseSalary(text: string | null | undefined, options: ParseSalaryOptions = {}): ParsedSalary | null {
+  if (!text) return null;
+
+  const hint = options.defaultCurrency ? options.defaultCurrency.toUpperCase() : null;
+  let best: { salary: ParsedSalary; score: number } | null = null;
+
+  RANGE_REGEX.lastIndex = 0;
+  let match: RegExpExecArray | null;
+  while ((match = RANGE_REGEX.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      RANGE_REGEX.lastIndex++;
+      continue;
+    }
+
+    const [snippet, sym1, pre1, num1, mul1, post1, sym2, pre2, num2, mul2, post2] = match;
+    const start = match.index;
+    const end = start + snippet.length;
+    const before = text.slice(Math.max(0, start - 60), start);
+    const after = text.slice(end, end + 30);
+
+    const isRange = num2 !== undefined;
+    // A trailing marker is either an ISO code ("120,000 EUR") or a symbol ("80.000 \u20ac")
+    const [code1, code2] = [post1, post2].map((post) => (isCurrencyCode(post) ? post : undefined));
+    const symbol = sym1 || (code1 ? undefined : post1) || sym2 || (code2 ? undefined : post2);
+    const code = (pre1 || code1 || pre2 || code2 || "").toUpperCase();
+    const markedCurrency = Boolean(symbol || code);
+    const hasMultiplier = Boolean(mul1 || mul2);
+    const inMillions = [mul1, mul2].some((mul) => mul && multiplierValue(mul) > 1000);
+    // Only look back to the start of the current sentence
+    const clause = before.split(/[.!?;\n]/).pop() || "";
+    const keyword = SALARY_CONTEXT.test(clause);
+    const statedPeriod = periodAfter(after);
+    const context = keyword || Boolean(statedPeriod) || Boolean(options.salaryField);
+
+    // Bare numbers, "120k" included, are only salaries when something says so
+    if (!markedCurrency && !context) continue;
+    if (RETIREMENT_PLAN.test(snippet + after)) continue;
+    if (MAGNITUDE_AFTER.test(after) || NON_SALARY_CONTEXT.test(clause)) continue;
+    // "$20M in funding"
+    if (inMillions && NON_SALARY_AFTER.test(after)) continue;
+
+    // "120 - 150k" means both ends are in thousands
+    let low = parseNumber(num1, mul1 || (mul2 && num1.length <= 3 ? mul2 : undefined));
+    let high = isRange ? parseNumber(num2, mul2) : low;
+    if (!Number.isFinite(low) || low <= 0) continue;
+    if (high < low) [low, high] = [high, low];
+
+    // Years slip through the amount pattern
+    if (!markedCurrency && !hasMultiplier && low >= 1900 && high <= 2100) continue;
+
+    // An ISO code is more specific than a symbol ("$180,000 CAD")
+    const currency = code || symbolCurrency(symbol, hint) || hint;
+    // "up to $200k" is a ceiling, not a floor
+    const ceilingOnly = !isRange && UP_TO.test(before);
+
+    const period = statedPeriod || periodFromContext(clause) || periodFromMagnitude(high);
+    // Counts like "2 - 3 per week" are not pay
+    if (high * PERIODS_PER_YEAR[period] < 1000) continue;
+
+    const score =
+      (isRange ? 3 : 0) + (markedCurrency ? 2 : 0) + (keyword ? 2 : 0) + (statedPeriod ? 1 : 0) + (hasMultiplier ? 1 : 0);
+
+    if (!best || score > best.score) {
+      best = {
+        score,
+        salary: {
+          min: ceilingOnly ? null : low,
+          max: isRange || ceilingOnly ? high : null,
+          currency,
+          period,
+          equity: false,
+          source: snippet.trim(),
+        },
+      };
+    }
+  }
+
+  if (!best) return null;
+  best.salary.equity = EQUITY_PATTERN.test(text);
+  return best.salary;
+}
+
+/** Best-effort currency for a free-text location or country name */
+export function currencyForLocation(location: string | null | undefined): string | null {
+  if (!location) return null;
+  for (const [pattern, currency] of LOCATION_CURRENCIES) {
+    if (pattern.test(location)) return currency;
+  }
+  return null;
+}
+
+/** Convert between currencies using FX_RATES_PER_USD; null for unknown codes */
+export function convertCurrency(amount: number, from: string, to: string): number | null {
+  const fromRate = FX_RATES_PER_USD[from.toUpperCase()];
+  const toRate = FX_RATES_PER_USD[to.toUpperCase()];
+  if (!fromRate || !toRate) return null;
+  return (amount / fromRate) * toRate;
+}
+
+/**
+ * Express a parsed salary as a yearly figure in the target currency.
+ * A salary without a currency is assumed to already be in that currency.
+ */
+export function toAnnualSalary(salary: ParsedSalary, targetCurrency: string): AnnualSalary | null {
+  const from = salary.currency || targetCurrency;
+  const factor = PERIODS_PER_YEAR[salary.period];
+
+  const convert = (value: number | null) => {
+    if (value === null) return null;
+    const converted = convertCurrency(value * factor, from, targetCurrency);
+    return converted === null ? null : Math.round(converted);
+  };
+
+  const min = convert(salary.min);
+  const max = convert(salary.max);
+  if (min === null && max === null) return null;
+  return { min, max, currency: targetCurrency.toUpperCase() };
+}
+
+/** Parse text and normalise it to an annual figure in one step */
+export function annualSalaryFromText(
+  text: string | null | undefined,
+  targetCurrency: string,
+  options: ParseSalaryOptions = {},
+): AnnualSalary | null {
+  const parsed = parseSalary(text, options);
+  return parsed ? toAnnualSalary(parsed, targetCurrency) : null;
+}
+
+const PERIOD_LABELS: Record<SalaryPeriod, string> = {
+  hour: "hour",
+  day: "day",
+  week: "week",
+  month: "month",
+  year: "year",
+};
+
+export function formatAmount(value: number, currency: string | null): string {
+  const digits = value % 1 === 0 ? 0 : 2;
+  const number = value.toLocaleString("en-US", { minimumFractionDigits: digits, maximumFractionDigits: digits });
+  if (!currency) return number;
+  const symbol = CURRENCY_SYMBOLS[currency];
+  return symbol ? `${symbol}${number}` : `${currency} ${number}`;
+}
+
+/**
+ * Display string for a parsed salary, e.g. "£50,000 - £70,000 / year + equity".
+ * The output parses back to the same values.
+ */
+export function formatSalary(salary: ParsedSalary): string {
+  const parts: string[] = [];
+  if (salary.min !== null) parts.push(formatAmount(salary.min, salary.currency));
+  if (salary.max !== null && salary.max !== salary.min) parts.push(formatAmount(salary.max, salary.currency));
+  const amount = salary.min === null ? `up to ${parts.join("")}` : parts.join(" - ");
+  let text = `${amount} / ${PERIOD_LABELS[salary.period]}`;
+  if (salary.equity) text += " + equity";
+  return text;
+}
@@ -0,0 +1,182 @@
+// Bundle entry for the browser extensions (scripts/build-tailoring-core.mjs).
+// Installs window.TailoringCore plus the globals the per-build scripts
+// (turbo-pipeline, tailor-universal, unique-cv-engine, ...) already call:
+// ReliableExtractor, MandatoryKeywords, UniversalJDParser, DynamicScore,
+// ValidationEngine, FactGuard and CVTailor. The legacy objects stay mutable;
+// tailor-universal.js patches CVTailor.tailorCV in some builds.
+
+import * as core from "./index.ts";
+import * as factGuard from "./fact-guard.ts";
+import * as jd from "./jd-parser.ts";
+import * as keywords from "./keywords.ts";
+import * as mandatory from "./mandatory.ts";
+import * as scoring from "./scoring.ts";
+import * as tailor from "./tailor.ts";
+import { containsTerm } from "./text.ts";
+import type { LearnedKeyword } from "./keywords.ts";
+
+type Global = Record<string, unknown> & { KeywordExtractor?: Record<string, unknown> };
+
+declare const chrome: {
+  storage?: {
+    local: {
+      get(keys: string[], callback: (result: Record<string, unknown>) => void): void;
+      set(items: Record<string, unknown>): void;
+    };
+  };
+} | undefined;
+
+const STORAGE_KEY = "ats_tailor_known_keywords_v2";
+
+function learningStore(): keywords.LearnedKeywordStore | null {
+  if (typeof chrome !== "undefined" && chrome?.storage) {
+    const local = chrome.storage.local;
+    return {
+      load: () => new Promise((resolve) => {
+        local.get([STORAGE_KEY], (result) => {
+          resolve((result?.[STORAGE_KEY] as Record<string, LearnedKeyword>) || null);
+        });
+      }),
+      save: (entries) => local.set({ [STORAGE_KEY]: entries }),
+    };
+  }
+  if (typeof localStorage !== "undefined") {
+    return {
+      load: () => {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        return stored ? JSON.parse(stored) : null;
+      },
+      save: (entries) => localStorage.setItem(STORAGE_KEY, JSON.stringify(entries)),
+    };
+  }
+  return null;
+}
+
+/** Ease a score gauge from currentScore to targetScore, calling onUpdate per frame */
+function animateScore(currentScore: number, targetScore: number, onUpdate: (value: number) => void, duration = 1000): void {
+  const startTime = Date.now();
+  const diff = targetScore - currentScore;
+
+  function update() {
+    const elapsed = Date.now() - startTime;
+    const progress = Math.min(elapsed / duration, 1);
+    const easeOutQuart = 1 - Math.pow(1 - progress, 4);
+    // Slight fluctuation while animating
+    const fluctuation = progress < 1 ? Math.sin(progress * Math.PI * 4) * 2 : 0;
+
+    const currentValue = Math.round(currentScore + (diff * easeOutQuart) + fluctuation);
+    onUpdate(Math.max(0, Math.min(100, currentValue)));
+
+    if (progress < 1) {
+      requestAnimationFrame(update);
+    } else {
+      onUpdate(targetScore);
+    }
+  }
+
+  requestAnimationFrame(update);
+}
+
+function install(global: Global): void {
+  const loadLearnedKeywords = () => keywords.configureKeywordLearning(learningStore());
+  loadLearnedKeywords();
+
+  global.TailoringCore = Object.freeze({ ...core, version: core.TAILORING_CORE_VERSION });
+
+  global.UniversalJDParser = {
+    processAnyJobDescription: jd.parseJobDescription,
+    detectStructure: jd.detectStructure,
+    stripHTML: jd.stripHTML,
+    normalizeWhitespace: jd.normalizeWhitespace,
+    removeBoilerplate: jd.removeBoilerplate,
+    truncateToSafeLimit: jd.truncateToSafeLimit,
+    extractSections: jd.extractSections,
+    STRUCTURE_TYPES: jd.STRUCTURE_TYPES,
+    clearCache: core.clearCaches,
+    getCacheStats: () => ({ jdCacheSize: jd.JD_CACHE.size, keywordCacheSize: keywords.KEYWORD_CACHE.size }),
+    JD_CACHE: jd.JD_CACHE,
+    KEYWORD_CACHE: keywords.KEYWORD_CACHE,
+    getCached: jd.getCached,
+    setCache: jd.setCache,
+    getCacheKey: jd.getCacheKey,
+  };
+
+  global.MandatoryKeywords = {
+    MANDATORY_KEYWORDS: mandatory.MANDATORY_KEYWORDS,
+    ALL_MANDATORY: mandatory.ALL_MANDATORY,
+    extractMandatoryFromJD: mandatory.extractMandatoryFromJD,
+    getCategoryForKeyword: mandatory.getCategoryForKeyword,
+    mergeWithMandatory: mandatory.mergeWithMandatory,
+  };
+
+  global.ReliableExtractor = {
+    extractReliableKeywords: keywords.extractReliableKeywords,
+    matchKeywords: keywords.matchKeywords,
+    isReliableKeyword: keywords.isReliableKeyword,
+    CATEGORY: keywords.CATEGORY,
+    detectCategories: keywords.detectCategories,
+    getCategoryBoost: keywords.getCategoryBoost,
+    categorizeByType: keywords.categorizeByType,
+    looksClustered: keywords.looksClustered,
+    decluster: keywords.decluster,
+    declusterText: keywords.declusterText,
+    extractKnownPhrases: keywords.extractKnownPhrases,
+    PHRASE_LIBRARY: keywords.PHRASE_LIBRARY,
+    SKILL_DICTIONARY: keywords.SKILL_DICTIONARY,
+    detectSectionWeight: keywords.detectSectionWeight,
+    SECTION_WEIGHTS: keywords.SECTION_WEIGHTS,
+    learnKeyword: keywords.learnKeyword,
+    loadLearnedKeywords,
+    saveLearnedKeywords: keywords.saveLearnedKeywords,
+    getLearnedKeywords: keywords.getLearnedKeywords,
+    getLearnedBoost: keywords.getLearnedBoost,
+    buildJDTokenSet: keywords.buildJDTokenSet,
+  };
+
+  // Older popups call KeywordExtractor directly; 2.0's TF-IDF keyword-extractor.js
+  // loads afterwards and replaces this object.
+  const keywordExtractor = global.KeywordExtractor || {};
+  keywordExtractor.extractKeywords = keywords.extractReliableKeywords;
+  keywordExtractor.matchKeywords = keywords.matchKeywords;
+  global.KeywordExtractor = keywordExtractor;
+
+  global.DynamicScore = {
+    calculateDynamicMatch: scoring.calculateDynamicMatch,
+    calculateWeightedMatch: scoring.calculateWeightedMatch,
+    animateScore,
+    getScoreStatus: scoring.getScoreStatus,
+    getScoreColor: scoring.getScoreColor,
+    extractWords: scoring.extractWords,
+  };
+
+  global.ValidationEngine = {
+    validateTailoring: scoring.validateTailoring,
+    getScoreStatus: scoring.getScoreStatus,
+  };
+
+  global.FactGuard = {
+    buildEvidence: factGuard.buildEvidence,
+    findEvidence: factGuard.findEvidence,
+    restrictKeywords: factGuard.restrictKeywords,
+    audit: factGuard.audit,
+    containsTerm,
+    STATUS: factGuard.STATUS,
+    SKILL_ALIASES: factGuard.SKILL_ALIASES,
+  };
+
+  global.CVTailor = {
+    tailorCV: tailor.tailorCV,
+    parseCV: tailor.parseCV,
+    enhanceSummary: tailor.enhanceSummary,
+    enhanceExperience: tailor.enhanceExperience,
+    enhanceSkills: tailor.enhanceSkills,
+    quickOptimize: tailor.quickOptimize,
+    calculatePotentialScore: tailor.calculatePotentialScore,
+    generateSuggestions: tailor.generateSuggestions,
+    hasKeyword: tailor.hasKeyword,
+    SECTION_PATTERNS: tailor.SECTION_PATTERNS,
+    ACTION_VERBS: tailor.ACTION_VERBS,
+  };
+}
+
+install(globalThis as Global);
@@ -0,0 +1,275 @@
+// Fact guard: checks every job keyword a tailoring engine put on the CV
+// against the candidate's own profile (skills, work experience,
+// certifications) and blocks or flags anything the candidate never claimed.
+
+import { containsTerm, normalize } from "./text.ts";
+import { keywordList, type CandidateProfile, type KeywordInput } from "./types.ts";
+
+/** Common spellings treated as the same skill when looking for evidence */
+export const SKILL_ALIASES: Record<string, string[]> = {
+  "javascript": ["js", "ecmascript"],
+  "typescript": ["ts"],
+  "node.js": ["node", "nodejs"],
+  "kubernetes": ["k8s"],
+  "postgresql": ["postgres", "psql"],
+  "ci/cd": ["cicd", "ci cd", "continuous integration", "continuous delivery", "continuous deployment"],
+  "machine learning": ["ml"],
+  "artificial intelligence": ["ai"],
+  "natural language processing": ["nlp"],
+  "amazon web services": ["aws"],
+  "google cloud": ["gcp", "google cloud platform"],
+  "microsoft azure": ["azure"],
+  "react": ["react.js", "reactjs"],
+  "vue": ["vue.js", "vuejs"],
+  "rest api": ["restful", "rest apis", "restful api"],
+  "scikit-learn": ["sklearn"],
+};
+
+/** Report statuses, in the order the popup lists them */
+export const STATUS = {
+  BLOCKED: "blocked",         // Injected without evidence and removed again
+  UNSUPPORTED: "unsupported", // Injected without evidence and left in (flag mode)
+  UNVERIFIED: "unverified",   // Already in the base CV but not in the profile
+  BACKED: "backed",           // On the CV and backed by the profile
+  MISSING: "missing",         // Not on the CV
+} as const;
+
+export type ProvenanceStatus = typeof STATUS[keyof typeof STATUS];
+
+export interface EvidenceEntry {
+  source: string;
+  label: string;
+  text: string;
+}
+
+export interface Evidence {
+  entries: EvidenceEntry[];
+  isEmpty: boolean;
+}
+
+export interface ProvenanceItem {
+  keyword: string;
+  status: ProvenanceStatus;
+  injected: boolean;
+  source: string | null;
+  evidence: string | null;
+}
+
+export interface AuditResult {
+  tailoredCV: string;
+  report: ProvenanceItem[];
+  summary: Record<ProvenanceStatus, number>;
+  changed: boolean;
+}
+
+function aliasesFor(keyword: string): string[] {
+  const key = normalize(keyword);
+  const variants = new Set([key]);
+  for (const [canonical, aliases] of Object.entries(SKILL_ALIASES)) {
+    if (canonical === key || aliases.includes(key)) {
+      variants.add(canonical);
+      aliases.forEach((alias) => variants.add(alias));
+    }
+  }
+  return [...variants];
+}
+
+// Collect every string inside a profile value (strings, arrays, nested objects)
+function flattenText(value: unknown): string[] {
+  if (value == null) return [];
+  if (typeof value === "string") return [value];
+  if (typeof value === "number") return [String(value)];
+  if (Array.isArray(value)) return value.flatMap(flattenText);
+  if (typeof value === "object") return Object.values(value).flatMap(flattenText);
+  return [];
+}
+
+function field(value: unknown, ...keys: string[]): string {
+  if (!value || typeof value !== "object") return "";
+  const record = value as Record<string, unknown>;
+  for (const key of keys) {
+    if (typeof record[key] === "string" && record[key]) return record[key] as string;
+  }
+  return "";
+}
+
+/**
+ * Build the evidence the guard accepts from a profile row or userProfile object
+ * (skills / work_experience in snake or camel case)
+ */
+export function buildEvidence(profile: CandidateProfile | null | undefined): Evidence {
+  const entries: EvidenceEntry[] = [];
+  if (!profile) return { entries, isEmpty: true };
+
+  const add = (source: string, label: string, value: unknown) => {
+    const text = normalize(flattenText(value).join(" \n "));
+    if (text) entries.push({ source, label, text });
+  };
+
+  const skills = profile.skills || [];
+  (Array.isArray(skills) ? skills : [skills]).forEach((skill) => {
+    const name = typeof skill === "string" ? skill : field(skill, "name", "skill");
+    add("skills", name ? `Skills: ${name}` : "Skills", skill);
+  });
+
+  const experience = profile.work_experience || profile.workExperience || [];
+  (Array.isArray(experience) ? experience : []).forEach((job) => {
+    const title = field(job, "title", "position");
+    const company = field(job, "company", "employer");
+    const label = [title, company].filter(Boolean).join(" @ ") || "Work experience";
+    add("work_experience", label, job);
+  });
+
+  add("certifications", "Certifications", profile.certifications);
+  add("achievements", "Achievements", profile.achievements);
+  add("education", "Education", profile.education);
+
+  return { entries, isEmpty: entries.length === 0 };
+}
+
+/** Where the profile backs a keyword: { source, label } of the first supporting entry */
+export function findEvidence(keyword: string, evidence: Evidence | null | undefined): { source: string; label: string } | null {
+  if (!evidence?.entries?.length) return null;
+  const variants = aliasesFor(keyword);
+  for (const entry of evidence.entries) {
+    if (variants.some((variant) => containsTerm(entry.text, variant))) {
+      return { source: entry.source, label: entry.label };
+    }
+  }
+  return null;
+}
+
+/**
+ * Drop keywords the profile can't back before an engine injects them.
+ * Accepts a plain array or a keyword object ({ all, highPriority, ... }) and
+ * returns the same shape. With no profile evidence nothing may be injected.
+ */
+export function restrictKeywords<T extends string[] | object>(
+  keywords: T,
+  evidence: Evidence | null | undefined
+): { keywords: T; unsupported: string[] } {
+  const unsupported = new Set<string>();
+  const isSupported = (kw: string) => {
+    if (findEvidence(kw, evidence)) return true;
+    unsupported.add(kw);
+    return false;
+  };
+
+  if (Array.isArray(keywords)) {
+    return { keywords: keywords.filter(isSupported) as T, unsupported: [...unsupported] };
+  }
+
+  const restricted: Record<string, unknown> = { ...keywords };
+  for (const [key, value] of Object.entries(keywords || {})) {
+    if (Array.isArray(value) && value.every((item) => typeof item === "string")) {
+      restricted[key] = value.filter(isSupported);
+    }
+  }
+  return { keywords: restricted as T, unsupported: [...unsupported] };
+}
+
+// Closest original line sharing a prefix with an edited one
+function findOriginalLine(line: string, originalLines: string[]): string | null {
+  const trimmed = line.trim();
+  let best: string | null = null;
+  let bestLength = 0;
+  for (const original of originalLines) {
+    const candidate = original.trim();
+    if (!candidate) continue;
+    let i = 0;
+    while (i < candidate.length && i < trimmed.length && candidate[i] === trimmed[i]) i++;
+    if (i >= Math.min(20, candidate.length * 0.5) && i > bestLength) {
+      best = original;
+      bestLength = i;
+    }
+  }
+  return best;
+}
+
+/**
+ * Undo edits that introduced unsupported keywords: edited lines go back to
+ * the original wording, lines that were added outright are dropped.
+ */
+function removeInjections(originalCV: string, tailoredCV: string, keywords: string[]): string {
+  const originalLines = originalCV.split("\n");
+  const originalSet = new Set(originalLines.map((line) => line.trim()));
+
+  const lines: string[] = [];
+  for (const line of tailoredCV.split("\n")) {
+    if (originalSet.has(line.trim()) || !keywords.some((kw) => containsTerm(line, kw))) {
+      lines.push(line);
+      continue;
+    }
+    const original = findOriginalLine(line, originalLines);
+    if (original !== null) lines.push(original);
+  }
+  return lines.join("\n");
+}
+
+export interface AuditParams {
+  originalCV?: string;
+  tailoredCV?: string;
+  keywords: KeywordInput;
+  profile?: CandidateProfile | null;
+  evidence?: Evidence | null;
+  // 'block' removes unsupported injections, 'flag' keeps them
+  mode?: "block" | "flag";
+}
+
+/** Validate a tailored CV against the profile and produce a per-keyword provenance report */
+export function audit({ originalCV = "", tailoredCV = "", keywords, profile, evidence, mode = "block" }: AuditParams): AuditResult {
+  const allKeywords = [...new Set(keywordList(keywords))];
+  const proof = evidence || buildEvidence(profile);
+  const originalLower = normalize(originalCV);
+
+  const injectedUnsupported = allKeywords.filter((kw) =>
+    containsTerm(tailoredCV, kw) && !containsTerm(originalLower, kw) && !findEvidence(kw, proof)
+  );
+
+  let finalCV = tailoredCV;
+  if (mode === "block" && injectedUnsupported.length > 0) {
+    finalCV = removeInjections(originalCV, tailoredCV, injectedUnsupported);
+  }
+
+  const finalLower = normalize(finalCV);
+  const report: ProvenanceItem[] = allKeywords.map((keyword) => {
+    const backing = findEvidence(keyword, proof);
+    const onCV = containsTerm(finalLower, keyword);
+    const inOriginal = containsTerm(originalLower, keyword);
+
+    let status: ProvenanceStatus;
+    if (injectedUnsupported.includes(keyword)) {
+      status = onCV ? STATUS.UNSUPPORTED : STATUS.BLOCKED;
+    } else if (!onCV) {
+      status = STATUS.MISSING;
+    } else if (backing) {
+      status = STATUS.BACKED;
+    } else {
+      status = STATUS.UNVERIFIED;
+    }
+
+    return {
+      keyword,
+      status,
+      injected: onCV && !inOriginal,
+      source: backing?.source || (inOriginal ? "base_cv" : null),
+      evidence: backing?.label || null,
+    };
+  });
+
+  const summary = Object.values(STATUS).reduce((acc, status) => {
+    acc[status] = report.filter((item) => item.status === status).length;
+    return acc;
+  }, {} as Record<ProvenanceStatus, number>);
+
+  if (injectedUnsupported.length > 0) {
+    console.log(`[FactGuard] ${mode === "block" ? "Blocked" : "Flagged"} ${injectedUnsupported.length} unsupported keywords:`, injectedUnsupported);
+  }
+
+  return {
+    tailoredCV: finalCV,
+    report,
+    summary,
+    changed: finalCV !== tailoredCV,
+  };
+}
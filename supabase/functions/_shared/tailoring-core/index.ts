@@ -0,0 +1,96 @@
+// Public API of the tailoring core. Extensions (via the generated
+// tailoring-core.js bundle) and edge functions import from here only; the
+// other modules are internal and may change between minor versions.
+
+import { JD_CACHE } from "./jd-parser.ts";
+import { KEYWORD_CACHE } from "./keywords.ts";
+
+export { TAILORING_CORE_VERSION } from "./version.ts";
+
+export type {
+  CandidateProfile,
+  CategorizedKeywords,
+  KeywordInput,
+  KeywordMatch,
+  KeywordSet,
+} from "./types.ts";
+
+// JD parsing
+export {
+  STRUCTURE_TYPES,
+  detectStructure,
+  extractSections,
+  normalizeWhitespace,
+  parseJobDescription,
+  removeBoilerplate,
+  stripHTML,
+  truncateToSafeLimit,
+  type JDSections,
+  type ParsedJobDescription,
+  type StructureType,
+} from "./jd-parser.ts";
+
+// Keyword extraction
+export {
+  ALL_MANDATORY,
+  MANDATORY_KEYWORDS,
+  extractMandatoryFromJD,
+  getCategoryForKeyword,
+  mergeWithMandatory,
+} from "./mandatory.ts";
+export {
+  CATEGORY,
+  clearLearnedKeywords,
+  configureKeywordLearning,
+  extractKeywords,
+  extractReliableKeywords,
+  getLearnedKeywords,
+  matchKeywords,
+  type LearnedKeyword,
+  type LearnedKeywordStore,
+} from "./keywords.ts";
+export { extractJobscanKeywords, type JobscanKeywords } from "./jobscan.ts";
+
+// Tailoring
+export {
+  parseCV,
+  quickOptimize,
+  tailorCV,
+  type CVSections,
+  type ParsedCV,
+  type TailorOptions,
+  type TailorResult,
+} from "./tailor.ts";
+export {
+  STATUS as PROVENANCE_STATUS,
+  audit,
+  buildEvidence,
+  restrictKeywords,
+  type AuditResult,
+  type Evidence,
+  type ProvenanceItem,
+  type ProvenanceStatus,
+} from "./fact-guard.ts";
+
+// Scoring
+export {
+  calculateDynamicMatch,
+  calculateProfileMatch,
+  calculateWeightedMatch,
+  getScoreColor,
+  getScoreStatus,
+  scoreGeneratedContent,
+  validateTailoring,
+  type ContentMatch,
+  type DynamicMatch,
+  type ProfileMatch,
+  type ProfileMatchInput,
+  type ScoreStatus,
+  type TailoringValidation,
+} from "./scoring.ts";
+
+/** Drop cached JD parses and keyword sets */
+export function clearCaches(): void {
+  JD_CACHE.clear();
+  KEYWORD_CACHE.clear();
+}
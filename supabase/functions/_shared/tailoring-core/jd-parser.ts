@@ -0,0 +1,251 @@
+// Job description parsing: HTML/text cleaning, boilerplate removal and
+// structure detection for any JD format (bullets, sections, narrative, messy text).
+
+export const STRUCTURE_TYPES = {
+  BULLETS: "bullets",
+  SECTIONS: "sections",
+  NARRATIVE: "narrative",
+  PHRASES: "phrases",
+  RAW_TEXT: "raw_text",
+} as const;
+
+export type StructureType = typeof STRUCTURE_TYPES[keyof typeof STRUCTURE_TYPES];
+
+export interface JDSections {
+  requirements: string;
+  responsibilities: string;
+  qualifications: string;
+  skills: string;
+  about: string;
+  other: string;
+}
+
+export interface ParsedJobDescription {
+  text: string;
+  structure: StructureType;
+  sections: Partial<JDSections>;
+}
+
+// ============ CACHING LAYER ============
+
+interface CacheEntry<T> {
+  data: T;
+  timestamp: number;
+}
+
+export type TimedCache<T> = Map<string, CacheEntry<T>>;
+
+const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+const CACHE_LIMIT = 100;
+
+export const JD_CACHE: TimedCache<ParsedJobDescription> = new Map();
+
+/** Fast hash of the start and end of a JD, used as a cache key */
+export function getCacheKey(text: string): string {
+  let hash = 0;
+  const sample = text.slice(0, 500) + text.slice(-500);
+  for (let i = 0; i < sample.length; i++) {
+    hash = ((hash << 5) - hash) + sample.charCodeAt(i);
+    hash |= 0;
+  }
+  return `jd_${hash}_${text.length}`;
+}
+
+export function getCached<T>(key: string, cache: TimedCache<T>): T | null {
+  const entry = cache.get(key);
+  if (entry && Date.now() - entry.timestamp < CACHE_TTL) {
+    return entry.data;
+  }
+  cache.delete(key);
+  return null;
+}
+
+export function setCache<T>(key: string, data: T, cache: TimedCache<T>): void {
+  cache.set(key, { data, timestamp: Date.now() });
+  if (cache.size > CACHE_LIMIT) {
+    const oldest = cache.keys().next().value;
+    if (oldest !== undefined) cache.delete(oldest);
+  }
+}
+
+// ============ STRUCTURE DETECTION ============
+
+export function detectStructure(text: string): StructureType {
+  const bulletPattern = /(?:^|\n)\s*[-•●○◦▪▸►]\s*\S|(?:^|\n)\s*\d+[.)]\s*\S/gm;
+  const bulletMatches = (text.match(bulletPattern) || []).length;
+
+  const sectionPattern = /(?:requirements|qualifications|skills|responsibilities|experience|about|what we|you will|your role|key|must have|nice to have)[:\s]/gi;
+  const sectionMatches = (text.match(sectionPattern) || []).length;
+
+  const narrativePattern = /you['’]?ll|you will|we['’]?re looking|we are seeking|your role|join our|be responsible/gi;
+  const narrativeMatches = (text.match(narrativePattern) || []).length;
+
+  // Priority: bullets > sections > narrative > phrases > raw
+  if (bulletMatches >= 5) return STRUCTURE_TYPES.BULLETS;
+  if (sectionMatches >= 2) return STRUCTURE_TYPES.SECTIONS;
+  if (narrativeMatches >= 2) return STRUCTURE_TYPES.NARRATIVE;
+
+  // Phrase-heavy text (technical keywords separated by spaces/commas)
+  const words = text.split(/\s+/).filter((w) => w.length >= 3);
+  const techPattern = /^[A-Za-z][A-Za-z0-9+#.-]+$/;
+  const techWords = words.filter((w) => techPattern.test(w)).length;
+  if (words.length > 0 && techWords / words.length > 0.3) return STRUCTURE_TYPES.PHRASES;
+
+  return STRUCTURE_TYPES.RAW_TEXT;
+}
+
+// ============ TEXT CLEANING ============
+
+const REMOVE_SELECTORS = [
+  "nav", "header", "footer", "script", "style", "noscript",
+  '[role="navigation"]', '[role="banner"]', '[role="contentinfo"]',
+  ".nav", ".header", ".footer", ".menu", ".sidebar", ".advertisement",
+];
+
+const ENTITIES: Record<string, string> = {
+  "&nbsp;": " ", "&amp;": "&", "&lt;": "<", "&gt;": ">", "&quot;": '"', "&#39;": "'", "&apos;": "'",
+};
+
+// Edge functions have no DOM, so HTML is flattened with regexes there
+function stripHTMLWithoutDOM(rawHTML: string): string {
+  return rawHTML
+    .replace(/<(script|style|noscript|nav|header|footer)\b[^>]*>[\s\S]*?<\/\1>/gi, " ")
+    .replace(/<br\s*\/?>/gi, "\n")
+    .replace(/<\/(p|div|li|ul|ol|h[1-6]|tr|section)>/gi, "\n")
+    .replace(/<li\b[^>]*>/gi, "\n• ")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/&(nbsp|amp|lt|gt|quot|#39|apos);/g, (entity) => ENTITIES[entity] || entity);
+}
+
+/** Clean raw HTML or text to normalised plain text */
+export function stripHTML(rawHTML: string): string {
+  if (!rawHTML) return "";
+
+  if (typeof document === "undefined") {
+    return normalizeWhitespace(stripHTMLWithoutDOM(rawHTML));
+  }
+
+  const temp = document.createElement("div");
+  temp.innerHTML = rawHTML;
+  REMOVE_SELECTORS.forEach((sel) => {
+    temp.querySelectorAll(sel).forEach((el) => el.remove());
+  });
+
+  const text = temp.textContent || temp.innerText || "";
+  return normalizeWhitespace(text);
+}
+
+export function normalizeWhitespace(text: string): string {
+  return text
+    .replace(/[\r\n]+/g, "\n")           // Normalize line endings
+    .replace(/[ \t]+/g, " ")             // Collapse horizontal whitespace
+    .replace(/\n /g, "\n")               // Remove leading spaces after newlines
+    .replace(/ \n/g, "\n")               // Remove trailing spaces before newlines
+    .replace(/\n{3,}/g, "\n\n")          // Max 2 consecutive newlines
+    .trim();
+}
+
+/** Remove equal-opportunity statements, benefits, salary and "how to apply" blocks */
+export function removeBoilerplate(text: string): string {
+  const boilerplatePatterns = [
+    /equal\s+opportunity\s+employer[^]*?(?=\n\n|\n[A-Z]|$)/gi,
+    /we\s+are\s+an?\s+(?:equal|inclusive)[^]*?(?=\n\n|\n[A-Z]|$)/gi,
+    /benefits\s*(?:include)?[:\s][^]*?(?=\n\n(?:requirements|qualifications|about|$))/gi,
+    /salary\s*(?:range)?[:\s][^]*?(?=\n\n|$)/gi,
+    /how\s+to\s+apply[^]*$/gi,
+    /apply\s+now[^]*$/gi,
+    /about\s+(?:us|our\s+company|the\s+company)[^]*?(?=\n\n(?:requirements|role|position|responsibilities)|$)/gi,
+  ];
+
+  let cleaned = text;
+  boilerplatePatterns.forEach((pattern) => {
+    cleaned = cleaned.replace(pattern, "\n");
+  });
+
+  return normalizeWhitespace(cleaned);
+}
+
+/** Truncate at a paragraph or sentence boundary where possible */
+export function truncateToSafeLimit(text: string, maxLength = 10000): string {
+  if (text.length <= maxLength) return text;
+
+  const cutPoint = text.lastIndexOf("\n\n", maxLength);
+  if (cutPoint > maxLength * 0.7) {
+    return text.slice(0, cutPoint);
+  }
+
+  const sentenceEnd = text.lastIndexOf(". ", maxLength);
+  if (sentenceEnd > maxLength * 0.8) {
+    return text.slice(0, sentenceEnd + 1);
+  }
+
+  return text.slice(0, maxLength);
+}
+
+/** Split a sectioned JD into requirements / responsibilities / qualifications / skills / about */
+export function extractSections(text: string): JDSections {
+  const sections: JDSections = {
+    requirements: "",
+    responsibilities: "",
+    qualifications: "",
+    skills: "",
+    about: "",
+    other: "",
+  };
+
+  const sectionPatterns: { key: keyof JDSections; pattern: RegExp }[] = [
+    { key: "requirements", pattern: /(?:^|\n)(?:requirements|what we need|what you need|must have)[:\s]*/i },
+    { key: "responsibilities", pattern: /(?:^|\n)(?:responsibilities|duties|what you['’]?ll do|your role|job duties)[:\s]*/i },
+    { key: "qualifications", pattern: /(?:^|\n)(?:qualifications|who you are|ideal candidate|about you)[:\s]*/i },
+    { key: "skills", pattern: /(?:^|\n)(?:skills|technical skills|required skills|key skills|core competencies)[:\s]*/i },
+    { key: "about", pattern: /(?:^|\n)(?:about (?:the role|this role|the position)|overview|summary)[:\s]*/i },
+  ];
+
+  const sectionStarts: { key: keyof JDSections; index: number; length: number }[] = [];
+  sectionPatterns.forEach(({ key, pattern }) => {
+    const match = text.match(pattern);
+    if (match && match.index !== undefined) {
+      sectionStarts.push({ key, index: match.index, length: match[0].length });
+    }
+  });
+
+  sectionStarts.sort((a, b) => a.index - b.index);
+
+  for (let i = 0; i < sectionStarts.length; i++) {
+    const current = sectionStarts[i];
+    const startIdx = current.index + current.length;
+    const endIdx = i < sectionStarts.length - 1 ? sectionStarts[i + 1].index : text.length;
+    sections[current.key] = text.slice(startIdx, endIdx).trim();
+  }
+
+  // Anything before the first section goes to 'other'
+  if (sectionStarts.length > 0 && sectionStarts[0].index > 0) {
+    sections.other = text.slice(0, sectionStarts[0].index).trim();
+  }
+
+  return sections;
+}
+
+// ============ MAIN PROCESSING ============
+
+/** Clean, trim and classify a job description (raw HTML or text) */
+export function parseJobDescription(rawHTML: string): ParsedJobDescription {
+  if (!rawHTML) {
+    return { text: "", structure: STRUCTURE_TYPES.RAW_TEXT, sections: {} };
+  }
+
+  const cacheKey = getCacheKey(rawHTML);
+  const cached = getCached(cacheKey, JD_CACHE);
+  if (cached) return cached;
+
+  let cleanText = stripHTML(rawHTML);
+  cleanText = removeBoilerplate(cleanText);
+  cleanText = truncateToSafeLimit(cleanText);
+
+  const structure = detectStructure(cleanText);
+  const sections = structure === STRUCTURE_TYPES.SECTIONS ? extractSections(cleanText) : {};
+
+  const result: ParsedJobDescription = { text: cleanText, structure, sections };
+  setCache(cacheKey, result, JD_CACHE);
+  return result;
+}
@@ -0,0 +1,677 @@
+// Category-aware keyword extraction with a JD-only constraint: every keyword
+// returned appears in the job description. Handles de-clustering of run-together
+// tokens, known phrases, section weighting and learned-keyword boosts.
+
+import { getCacheKey, getCached, parseJobDescription, setCache, type TimedCache } from "./jd-parser.ts";
+import { extractMandatoryFromJD, mergeWithMandatory } from "./mandatory.ts";
+import { hasWord } from "./text.ts";
+import { keywordList, type CategorizedKeywords, type KeywordInput, type KeywordMatch, type KeywordSet } from "./types.ts";
+
+// ============ CATEGORY DEFINITIONS ============
+
+export const CATEGORY = {
+  PROGRAMMING_LANGUAGE: "programmingLanguage",
+  DATA_TOOL: "dataTool",
+  CRM_TOOL: "crmTool",
+  SECURITY_TOOL: "securityTool",
+  CLOUD_DEVOPS: "cloudDevOps",
+  HARD_SKILL: "hardSkill",
+  SOFT_SKILL: "softSkill",
+} as const;
+
+export type KeywordCategory = typeof CATEGORY[keyof typeof CATEGORY];
+
+// ============ CATEGORY SEED LISTS ============
+
+export const PROGRAMMING_LANGUAGES = new Set<string>([
+  "python", "java", "javascript", "typescript", "c", "c++", "c#", "go", "golang",
+  "rust", "ruby", "php", "r", "scala", "kotlin", "swift", "perl", "sql", "bash",
+  "powershell", "matlab", "vba", "groovy", "dart", "lua", "elixir", "clojure"
+]);
+
+export const DATA_TOOLS = new Set<string>([
+  "tableau", "power bi", "powerbi", "looker", "snowflake", "redshift", "bigquery",
+  "pandas", "numpy", "matplotlib", "excel", "google sheets", "airflow", "dbt",
+  "power query", "ssrs", "ssis", "spss", "sas", "alteryx", "qlik", "qlikview",
+  "qliksense", "metabase", "grafana", "splunk", "datadog", "spark", "hadoop",
+  "kafka", "elasticsearch", "mongodb", "postgresql", "mysql", "redis", "dynamodb"
+]);
+
+export const CRM_TOOLS = new Set<string>([
+  "salesforce", "hubspot", "zendesk", "zoho", "dynamics 365", "intercom",
+  "gainsight", "jira service management", "freshdesk", "pipedrive", "monday",
+  "asana", "notion", "airtable", "servicenow", "workday", "netsuite", "sap",
+  "oracle", "marketo", "pardot", "mailchimp", "klaviyo", "segment", "mixpanel"
+]);
+
+export const SECURITY_TOOLS = new Set<string>([
+  "cybersecurity", "soc", "siem", "splunk", "endpoint security", "edr", "xdr",
+  "incident response", "threat hunting", "vulnerability management",
+  "security awareness training", "phishing simulation", "penetration testing",
+  "firewall", "ids", "ips", "crowdstrike", "palo alto", "fortinet", "okta",
+  "auth0", "aws iam", "azure ad", "active directory", "ldap", "sso", "mfa",
+  "gdpr", "hipaa", "pci", "iso 27001", "nist", "sox", "compliance"
+]);
+
+export const CLOUD_DEVOPS = new Set<string>([
+  "aws", "azure", "gcp", "google cloud", "kubernetes", "k8s", "docker",
+  "terraform", "ansible", "jenkins", "gitlab", "github actions", "ci/cd",
+  "circleci", "travis", "argo", "helm", "prometheus", "grafana", "linux",
+  "nginx", "apache", "cloudformation", "arm templates", "pulumi", "vagrant",
+  "serverless", "lambda", "api gateway", "cloudfront", "s3", "ec2", "rds"
+]);
+
+export const HARD_SKILLS = new Set<string>([
+  "data analysis", "data visualization", "etl", "reporting", "requirements gathering",
+  "stakeholder management", "project management", "process improvement", "a/b testing",
+  "statistical analysis", "experimentation", "forecasting", "account management",
+  "customer success", "partner success", "renewals", "expansion", "negotiation",
+  "upsell", "onboarding", "enablement", "health monitoring", "qbr",
+  "quarterly business review", "pipeline management", "revenue operations",
+  "financial modeling", "budgeting", "contract negotiation", "vendor management",
+  "product management", "scrum", "agile", "kanban", "lean", "six sigma",
+  "machine learning", "deep learning", "nlp", "computer vision", "ai",
+  "api development", "rest api", "graphql", "microservices", "system design"
+]);
+
+export const SOFT_SKILLS = new Set<string>([
+  "communication", "written communication", "verbal communication",
+  "relationship-building", "relationship building", "relationship-driven",
+  "negotiation", "empathy", "stakeholder management", "problem-solving",
+  "problem solving", "critical thinking", "attention to detail",
+  "results-oriented", "results oriented", "results-oriented mindset",
+  "ownership", "adaptability", "teamwork", "leadership", "time management",
+  "multi-tasking", "multitasking", "organized", "self-motivated", "self-starter",
+  "comfort working independently", "working independently", "autonomous",
+  "cross-functional", "cross functional", "collaboration", "presentation skills",
+  "analytical", "strategic thinking", "creative", "proactive", "initiative"
+]);
+
+// ============ SKILL DICTIONARY (For De-clustering) ============
+
+export const SKILL_DICTIONARY = new Set<string>([
+  // Merge all category sets
+  ...PROGRAMMING_LANGUAGES,
+  ...DATA_TOOLS,
+  ...CRM_TOOLS,
+  ...SECURITY_TOOLS,
+  ...CLOUD_DEVOPS,
+  ...HARD_SKILLS,
+  ...SOFT_SKILLS,
+  // Additional common terms for de-clustering
+  "management", "communication", "relationship", "building", "results", "oriented",
+  "mindset", "organized", "multi-tasker", "multitasker", "comfort", "comfortable",
+  "independently", "collaboration", "presentation", "written", "verbal",
+  "interpersonal", "customer-facing", "stakeholder", "prioritization",
+  "saas", "crm", "api", "rest", "graphql", "agile", "scrum", "kanban",
+  "revenue", "quota", "pipeline", "forecast", "metrics", "kpi", "roi", "budget",
+  "contract", "procurement", "vendor", "enterprise", "smb", "mid-market", "startup",
+  "fit", "experience", "years", "degree", "bachelor", "master", "certification",
+  "customer", "success", "account", "partner", "channel", "msp", "reseller",
+  "security", "awareness", "training", "phishing", "compliance", "incident", "response"
+]);
+
+// ============ PHRASE LIBRARY ============
+
+export const PHRASE_LIBRARY: string[] = [
+  // Customer Success / Partner Success
+  "customer success", "customer success manager", "partner success", "partner success manager",
+  "account management", "account manager", "account executive", "customer experience",
+  "client success", "client relationship", "customer retention", "customer onboarding",
+  "customer lifecycle", "customer health", "churn prevention", "net promoter score",
+
+  // Security
+  "security awareness training", "security awareness", "cybersecurity awareness",
+  "incident response", "threat detection", "vulnerability management", "security operations",
+  "managed security", "security posture", "risk management", "compliance management",
+  "penetration testing", "security audit", "soc analyst", "security engineer",
+
+  // SaaS / Tech
+  "saas platform", "cloud platform", "software as a service", "platform as a service",
+  "managed service provider", "channel partner", "technology partner", "integration partner",
+  "api integration", "system integration", "enterprise software", "b2b saas",
+
+  // Skills
+  "relationship building", "relationship-building", "results oriented", "results-oriented",
+  "results oriented mindset", "results-oriented mindset", "detail oriented", "detail-oriented",
+  "working independently", "work independently", "comfort working independently",
+  "comfortable working independently", "self-motivated", "self-starter", "fast learner",
+  "quick learner", "strong communicator", "excellent communication", "written communication",
+  "verbal communication", "cross-functional", "cross functional", "decision making",
+  "decision-making", "problem solving", "problem-solving", "critical thinking",
+  "time management", "project management", "stakeholder management", "change management",
+
+  // Business
+  "quarterly business review", "qbr", "business development", "sales cycle",
+  "customer lifecycle", "revenue growth", "pipeline management", "quota attainment",
+  "renewals management", "expansion revenue", "upsell opportunities", "cross-sell",
+  "contract negotiation", "enterprise sales", "solution selling", "consultative selling",
+
+  // Tech tools & concepts
+  "salesforce crm", "crm software", "crm platform", "data analysis", "data analytics",
+  "business intelligence", "reporting tools", "excel proficiency", "google suite",
+  "microsoft office", "presentation skills", "machine learning", "deep learning",
+  "data science", "data engineering", "software development", "full stack",
+  "front end", "back end", "devops", "site reliability", "cloud architecture"
+];
+
+// ============ SECTION WEIGHTS ============
+
+export const SECTION_WEIGHTS: Record<string, number> = {
+  "responsibilities": 1.2,
+  "what you'll do": 1.2,
+  "your role": 1.2,
+  "requirements": 1.4,
+  "qualifications": 1.4,
+  "what you bring": 1.4,
+  "must have": 1.4,
+  "required": 1.3,
+  "preferred": 1.0,
+  "nice to have": 0.9,
+  "bonus": 0.8,
+  "benefits": 0.3,
+  "about us": 0.4,
+  "about the company": 0.4,
+  "who we are": 0.4,
+  "perks": 0.3,
+  "legal": 0.2,
+  "equal opportunity": 0.1
+};
+
+// ============ BLACKLISTS ============
+
+export const NOISE_BLACKLIST = new Set<string>([
+  // Generic job posting words
+  "remote", "hybrid", "office", "work", "team", "culture", "apply", "application",
+  "bonus", "salary", "benefits", "perks", "hiring", "career", "job", "position",
+  "role", "opportunity", "company", "organization", "employer", "employee", "candidate",
+  "reimbursement", "accommodations", "accommodation", "discriminate", "privacy",
+  "background check", "drug test", "visa", "sponsorship", "relocation",
+
+  // Common verbs/actions (not skills)
+  "looking", "seeking", "required", "requirements", "preferred", "ability", "able",
+  "etc", "including", "include", "includes", "new", "well", "based", "using", "within",
+  "across", "strong", "excellent", "good", "ensure", "ensuring", "provide", "providing",
+  "support", "help", "helping", "develop", "developing", "build", "building", "create",
+  "understand", "understanding", "knowledge", "skills", "skill", "must", "shall",
+  "ideally", "highly", "plus", "nice", "have", "having", "get", "getting", "make",
+  "making", "take", "taking", "use", "used", "uses", "per", "via", "like", "want",
+  "wants", "wanted", "join", "joining", "joined", "lead", "leading", "leverage",
+  "please", "review", "name", "status", "process", "personal", "fully", "human",
+  "go", "match", "tools", "businesses", "hackers", "profile", "keywords", "operations",
+
+  // Stop words
+  "the", "and", "for", "with", "our", "you", "your", "this", "that", "these",
+  "those", "are", "was", "were", "been", "being", "have", "has", "had", "having",
+  "does", "did", "doing", "would", "should", "could", "may", "might", "can",
+  "will", "shall", "need", "needs", "from", "into", "over", "under", "about",
+  "after", "before", "between", "through", "during", "above", "below", "such",
+  "each", "every", "both", "few", "more", "most", "other", "some", "any", "all",
+  "only", "own", "same", "than", "too", "very", "just", "also", "now", "here",
+  "there", "then", "when", "where", "why", "how", "what", "which", "who", "whom",
+
+  // Business buzzwords (not ATS keywords)
+  "passionate", "dynamic", "innovative", "fast-paced", "collaborative", "driven",
+  "motivated", "team-player", "hands-on", "scale", "grow", "growth",
+  "impact", "mission", "vision", "values", "diverse", "inclusive", "equal"
+]);
+
+// ============ LEARNED KEYWORDS ============
+// Keywords that keep ranking highly get a frequency boost on later JDs. The
+// extension persists them in chrome.storage (see extension.ts); elsewhere they
+// live for the lifetime of the process.
+
+export interface LearnedKeyword {
+  categories: string[];
+  frequency: number;
+  lastSeen?: number;
+}
+
+export interface LearnedKeywordStore {
+  load(): Promise<Record<string, LearnedKeyword> | null> | Record<string, LearnedKeyword> | null;
+  save(entries: Record<string, LearnedKeyword>): void;
+}
+
+const LEARNED_LIMIT = 500;
+let learnedKeywords = new Map<string, LearnedKeyword>();
+let learnedStore: LearnedKeywordStore | null = null;
+
+/** Persist learned keywords through the given store and load what it already holds */
+export async function configureKeywordLearning(store: LearnedKeywordStore | null): Promise<void> {
+  learnedStore = store;
+  if (!store) return;
+  try {
+    const stored = await store.load();
+    if (stored) learnedKeywords = new Map(Object.entries(stored));
+  } catch (e) {
+    console.warn("Failed to load learned keywords:", e);
+  }
+}
+
+export function saveLearnedKeywords(): void {
+  if (!learnedStore) return;
+  try {
+    learnedStore.save(Object.fromEntries([...learnedKeywords].slice(0, LEARNED_LIMIT)));
+  } catch (e) {
+    console.warn("Failed to save learned keywords:", e);
+  }
+}
+
+export function learnKeyword(keyword: string, categories: string[] = []): void {
+  const lower = keyword.toLowerCase().trim();
+  if (lower.length < 3 || lower.length > 35 || NOISE_BLACKLIST.has(lower)) return;
+
+  const existing = learnedKeywords.get(lower) || { categories: [], frequency: 0 };
+  existing.frequency++;
+  existing.lastSeen = Date.now();
+  existing.categories = [...new Set([...existing.categories, ...categories])];
+  learnedKeywords.set(lower, existing);
+}
+
+/** Frequency boost for a learned keyword, capped at 2x */
+export function getLearnedBoost(keyword: string): number {
+  const data = learnedKeywords.get(keyword.toLowerCase());
+  if (!data) return 1.0;
+  return Math.min(2.0, 1.0 + (data.frequency * 0.1));
+}
+
+export function getLearnedKeywords(): [string, LearnedKeyword][] {
+  return [...learnedKeywords.entries()];
+}
+
+export function clearLearnedKeywords(): void {
+  learnedKeywords = new Map();
+}
+
+// ============ DE-CLUSTERING ============
+
+// Longest first so "customer success" wins over "success"
+const DECLUSTER_SKILLS = [...SKILL_DICTIONARY]
+  .filter((s) => s.length >= 3)
+  .sort((a, b) => b.length - a.length);
+
+/** Whether a token looks like several skills run together ("communicationrelationship-building") */
+export function looksClustered(token: string): boolean {
+  if (!token || token.length < 15) return false;
+
+  const lower = token.toLowerCase();
+  let matchCount = 0;
+
+  for (const skill of SKILL_DICTIONARY) {
+    if (skill.length >= 4 && lower.includes(skill)) {
+      matchCount++;
+      if (matchCount >= 2) return true;
+    }
+  }
+
+  if (/[a-z]{4,}\.[a-z]{4,}/i.test(token)) return true;
+  if (/[a-z]{3,}[A-Z][a-z]{3,}/.test(token)) return true;
+
+  return false;
+}
+
+export function decluster(token: string): string[] {
+  if (!token || token.length < 10) return [token];
+
+  const found: string[] = [];
+  let remaining = token.toLowerCase().replace(/\./g, " ").replace(/,/g, " ");
+
+  for (const skill of DECLUSTER_SKILLS) {
+    if (remaining.includes(skill)) {
+      found.push(skill);
+      remaining = remaining.replace(skill, " ");
+    }
+  }
+
+  const leftover = remaining.split(/\s+/).filter((w) => w.length >= 3 && !NOISE_BLACKLIST.has(w));
+  found.push(...leftover);
+
+  const unique = [...new Set(found)].filter((s) => s.length >= 3);
+  return unique.length > 0 ? unique : [token];
+}
+
+export function declusterText(text: string): string {
+  if (!text) return "";
+
+  const processed: string[] = [];
+  text.split(/\s+/).forEach((token) => {
+    if (looksClustered(token)) {
+      processed.push(...decluster(token));
+    } else {
+      processed.push(token);
+    }
+  });
+
+  return processed.join(" ");
+}
+
+// ============ CATEGORY DETECTION ============
+
+const PHRASE_SET = new Set(PHRASE_LIBRARY.map((p) => p.toLowerCase()));
+
+export function detectCategories(term: string): string[] {
+  const lower = term.toLowerCase().replace(/-/g, " ").trim();
+  const categories: string[] = [];
+
+  if (PROGRAMMING_LANGUAGES.has(lower)) categories.push(CATEGORY.PROGRAMMING_LANGUAGE);
+  if (DATA_TOOLS.has(lower)) categories.push(CATEGORY.DATA_TOOL);
+  if (CRM_TOOLS.has(lower)) categories.push(CATEGORY.CRM_TOOL);
+  if (SECURITY_TOOLS.has(lower)) categories.push(CATEGORY.SECURITY_TOOL);
+  if (CLOUD_DEVOPS.has(lower)) categories.push(CATEGORY.CLOUD_DEVOPS);
+  if (HARD_SKILLS.has(lower)) categories.push(CATEGORY.HARD_SKILL);
+  if (SOFT_SKILLS.has(lower)) categories.push(CATEGORY.SOFT_SKILL);
+
+  if (PHRASE_SET.has(lower) && !categories.length) {
+    categories.push(CATEGORY.HARD_SKILL);
+  }
+
+  const learned = learnedKeywords.get(lower);
+  if (learned?.categories?.length) {
+    categories.push(...learned.categories);
+  }
+
+  return [...new Set(categories)];
+}
+
+/** Ranking multiplier: technical categories outrank soft skills */
+export function getCategoryBoost(categories: string[]): number {
+  let boost = 1.0;
+  if (categories.includes(CATEGORY.PROGRAMMING_LANGUAGE)) boost *= 1.4;
+  if (categories.includes(CATEGORY.CLOUD_DEVOPS)) boost *= 1.3;
+  if (categories.includes(CATEGORY.SECURITY_TOOL)) boost *= 1.3;
+  if (categories.includes(CATEGORY.DATA_TOOL)) boost *= 1.2;
+  if (categories.includes(CATEGORY.CRM_TOOL)) boost *= 1.2;
+  if (categories.includes(CATEGORY.HARD_SKILL)) boost *= 1.1;
+  return boost;
+}
+
+// ============ SECTION DETECTION ============
+
+export function detectSectionWeight(text: string, position: number, totalLength: number): number {
+  const lower = text.toLowerCase();
+
+  for (const [section, weight] of Object.entries(SECTION_WEIGHTS)) {
+    if (lower.includes(section)) {
+      return weight;
+    }
+  }
+
+  // The middle of a JD usually holds the requirements
+  const relativePosition = position / totalLength;
+  if (relativePosition > 0.2 && relativePosition < 0.7) {
+    return 1.2;
+  }
+
+  return 1.0;
+}
+
+// ============ PHRASE DETECTION ============
+
+const PHRASES_LONGEST_FIRST = [...PHRASE_LIBRARY].sort((a, b) => b.length - a.length);
+
+function phraseWordsInJD(phrase: string, jdTokensSet: Set<string>): boolean {
+  return phrase.split(/\s+/).every((w) => jdTokensSet.has(w.toLowerCase()));
+}
+
+export function extractKnownPhrases(text: string, jdTokensSet?: Set<string>): string[] {
+  if (!text) return [];
+
+  const lower = text.toLowerCase();
+  const found: string[] = [];
+
+  for (const phrase of PHRASES_LONGEST_FIRST) {
+    const normalizedPhrase = phrase.toLowerCase();
+    // JD-only constraint: every word of the phrase must be in the JD
+    if (lower.includes(normalizedPhrase) && (!jdTokensSet || phraseWordsInJD(normalizedPhrase, jdTokensSet))) {
+      found.push(phrase);
+    }
+  }
+
+  return [...new Set(found)];
+}
+
+// ============ VALIDATION ============
+
+export function isReliableKeyword(word: string): boolean {
+  if (!word || typeof word !== "string") return false;
+
+  const normalized = word.toLowerCase().trim();
+
+  if (normalized.length < 3 || normalized.length > 35) return false;
+  if (!/^[a-zA-Z][a-zA-Z0-9\-+#.\s/]*[a-zA-Z0-9]?$/.test(word)) return false;
+  if (NOISE_BLACKLIST.has(normalized)) return false;
+  if (/^\d+$/.test(word)) return false;
+  if (looksClustered(word)) return false;
+
+  return true;
+}
+
+// ============ JD TOKEN SET ============
+
+/** Every token of the JD plus singular/plural and hyphen variants */
+export function buildJDTokenSet(text: string): Set<string> {
+  const tokens = new Set<string>();
+
+  text.toLowerCase().split(/\s+/).forEach((w) => {
+    const clean = w.replace(/[^a-z0-9\-+#]/g, "");
+    if (clean.length >= 2) tokens.add(clean);
+  });
+
+  // Iterating while adding also visits the new variants, as the extensions always did
+  tokens.forEach((t) => {
+    if (t.endsWith("s") && t.length > 3) tokens.add(t.slice(0, -1));
+    if (!t.endsWith("s") && t.length > 2) tokens.add(t + "s");
+    if (t.includes("-")) tokens.add(t.replace(/-/g, " "));
+    if (!t.includes("-") && t.includes(" ")) tokens.add(t.replace(/\s+/g, "-"));
+  });
+
+  return tokens;
+}
+
+// ============ CORE EXTRACTION ============
+
+interface Candidate {
+  term: string;
+  frequency: number;
+  sectionWeight: number;
+  categories: string[];
+}
+
+export interface ScoredKeyword {
+  term: string;
+  score: number;
+  categories: string[];
+  frequency: number;
+}
+
+const TECH_PATTERNS = [
+  /\b(?:python|java|javascript|typescript|c\+\+|c#|ruby|golang?|rust|scala|kotlin|swift|php|perl|sql)\b/gi,
+  /\b(?:react|angular|vue|node\.?js|django|flask|spring|rails|express|next\.?js)\b/gi,
+  /\b(?:aws|azure|gcp|docker|kubernetes|k8s|terraform|ansible|jenkins|ci\/cd)\b/gi,
+  /\b(?:salesforce|hubspot|zendesk|jira|confluence|tableau|powerbi|looker|excel)\b/gi,
+  /\b(?:cybersecurity|siem|soc|firewall|endpoint|penetration|compliance|gdpr|hipaa)\b/gi,
+  /\b(?:saas|crm|erp|api|rest|graphql|agile|scrum|kanban|kpi|roi)\b/gi,
+  /\b[a-z]+[-][a-z]+(?:[-][a-z]+)*/gi, // hyphenated terms
+];
+
+function extractCandidates(text: string, jdTokensSet: Set<string>): Map<string, Candidate> {
+  const candidates = new Map<string, Candidate>();
+  const declustered = declusterText(text);
+  const totalLength = declustered.length;
+
+  // Step 1: known phrases (highest priority)
+  extractKnownPhrases(declustered, jdTokensSet).forEach((phrase) => {
+    const phraseLower = phrase.toLowerCase();
+    if (jdTokensSet.has(phraseLower) || phraseWordsInJD(phraseLower, jdTokensSet)) {
+      candidates.set(phraseLower, {
+        term: phrase,
+        frequency: 1,
+        sectionWeight: 1.3,
+        categories: detectCategories(phrase),
+      });
+    }
+  });
+
+  // Step 2: technical patterns
+  TECH_PATTERNS.forEach((pattern) => {
+    const regex = new RegExp(pattern.source, pattern.flags);
+    let match: RegExpExecArray | null;
+    while ((match = regex.exec(declustered)) !== null) {
+      const term = match[0].toLowerCase();
+      if (isReliableKeyword(term) && jdTokensSet.has(term)) {
+        const existing = candidates.get(term) || {
+          term: match[0],
+          frequency: 0,
+          sectionWeight: detectSectionWeight(declustered, match.index, totalLength),
+          categories: detectCategories(term),
+        };
+        existing.frequency++;
+        candidates.set(term, existing);
+      }
+    }
+  });
+
+  // Step 3: individual words
+  const words = declustered.split(/\s+/);
+  words.forEach((word, idx) => {
+    const clean = word.replace(/[^a-zA-Z0-9\-+#.]/g, "").toLowerCase();
+    if (isReliableKeyword(clean) && jdTokensSet.has(clean)) {
+      const existing = candidates.get(clean) || {
+        term: clean,
+        frequency: 0,
+        sectionWeight: detectSectionWeight(declustered, idx / words.length * totalLength, totalLength),
+        categories: detectCategories(clean),
+      };
+      existing.frequency++;
+      candidates.set(clean, existing);
+    }
+  });
+
+  return candidates;
+}
+
+function scoreCandidates(candidates: Map<string, Candidate>): ScoredKeyword[] {
+  const scored: ScoredKeyword[] = [];
+
+  candidates.forEach((data) => {
+    const baseFreq = Math.log2(1 + data.frequency) / Math.log2(10);
+    const score = baseFreq * (data.sectionWeight || 1.0) * getCategoryBoost(data.categories) * getLearnedBoost(data.term);
+    scored.push({ term: data.term, score, categories: data.categories, frequency: data.frequency });
+  });
+
+  return scored.sort((a, b) => b.score - a.score);
+}
+
+export function categorizeByType(keywords: (string | ScoredKeyword)[]): CategorizedKeywords {
+  const categorized: CategorizedKeywords = {
+    programmingLanguages: [],
+    dataTools: [],
+    crmTools: [],
+    securityTools: [],
+    cloudDevOps: [],
+    hardSkills: [],
+    softSkills: [],
+  };
+
+  keywords.forEach((kw) => {
+    const term = typeof kw === "string" ? kw : kw.term;
+    const cats = typeof kw === "string" ? detectCategories(term) : kw.categories;
+
+    if (cats.includes(CATEGORY.PROGRAMMING_LANGUAGE)) categorized.programmingLanguages.push(term);
+    if (cats.includes(CATEGORY.DATA_TOOL)) categorized.dataTools.push(term);
+    if (cats.includes(CATEGORY.CRM_TOOL)) categorized.crmTools.push(term);
+    if (cats.includes(CATEGORY.SECURITY_TOOL)) categorized.securityTools.push(term);
+    if (cats.includes(CATEGORY.CLOUD_DEVOPS)) categorized.cloudDevOps.push(term);
+    if (cats.includes(CATEGORY.HARD_SKILL)) categorized.hardSkills.push(term);
+    if (cats.includes(CATEGORY.SOFT_SKILL)) categorized.softSkills.push(term);
+  });
+
+  return categorized;
+}
+
+// ============ MAIN EXTRACTION ============
+
+export const KEYWORD_CACHE: TimedCache<KeywordSet> = new Map();
+const KEYWORD_CACHE_SUFFIX = "_keywords_v3";
+
+export function emptyKeywordSet(): KeywordSet {
+  return { all: [], highPriority: [], mediumPriority: [], lowPriority: [], total: 0, categorized: categorizeByType([]) };
+}
+
+/**
+ * Rank the JD's own terms (ReliableExtractor.extractReliableKeywords)
+ * @param rawText - JD as HTML or text
+ * @param maxKeywords - Keywords to keep (default 35)
+ */
+export function extractReliableKeywords(rawText: string, maxKeywords = 35): KeywordSet {
+  if (!rawText || typeof rawText !== "string") return emptyKeywordSet();
+
+  const cacheKey = getCacheKey(rawText) + KEYWORD_CACHE_SUFFIX;
+  const cached = getCached(cacheKey, KEYWORD_CACHE);
+  if (cached) return cached;
+
+  const parsed = parseJobDescription(rawText);
+  const jdTokensSet = buildJDTokenSet(parsed.text);
+  const scored = scoreCandidates(extractCandidates(parsed.text, jdTokensSet));
+
+  const topKeywords = scored.slice(0, maxKeywords);
+  const terms = topKeywords.map((k) => k.term);
+
+  topKeywords.slice(0, 20).forEach((kw) => learnKeyword(kw.term, kw.categories));
+  if (Math.random() < 0.1) saveLearnedKeywords();
+
+  const highCount = Math.min(15, Math.ceil(terms.length * 0.45));
+  const mediumCount = Math.min(10, Math.ceil(terms.length * 0.35));
+
+  const result: KeywordSet = {
+    all: terms,
+    highPriority: terms.slice(0, highCount),
+    mediumPriority: terms.slice(highCount, highCount + mediumCount),
+    lowPriority: terms.slice(highCount + mediumCount),
+    total: terms.length,
+    categorized: categorizeByType(topKeywords),
+  };
+
+  setCache(cacheKey, result, KEYWORD_CACHE);
+  return result;
+}
+
+/**
+ * The extension keyword pipeline: mandatory pre-pass, ranked JD terms, then the
+ * mandatory hits promoted to high priority.
+ */
+export function extractKeywords(jobDescription: string, maxKeywords = 35): KeywordSet {
+  if (!jobDescription) return emptyKeywordSet();
+  const mandatory = extractMandatoryFromJD(jobDescription);
+  return mergeWithMandatory(extractReliableKeywords(jobDescription, maxKeywords), mandatory);
+}
+
+// ============ KEYWORD MATCHING ============
+
+/** Word-boundary keyword match of a CV against JD keywords */
+export function matchKeywords(cvText: string, keywords: KeywordInput): KeywordMatch {
+  const kwList = keywordList(keywords);
+  if (!cvText || !keywords) {
+    return { matched: [], missing: kwList, matchScore: 0, matchCount: 0, totalKeywords: kwList.length };
+  }
+
+  const cvLower = cvText.toLowerCase();
+  const matched: string[] = [];
+  const missing: string[] = [];
+
+  kwList.forEach((keyword) => {
+    if (hasWord(cvLower, keyword)) {
+      matched.push(keyword);
+    } else {
+      missing.push(keyword);
+    }
+  });
+
+  return {
+    matched,
+    missing,
+    matchScore: kwList.length > 0 ? Math.round((matched.length / kwList.length) * 100) : 0,
+    matchCount: matched.length,
+    totalKeywords: kwList.length,
+  };
+}
@@ -0,0 +1,327 @@
+// Match scoring: CV-vs-keywords scores used by the extensions, the profile
+// match tailor-application computes before generation, and the score of the
+// generated resume/cover letter afterwards.
+
+import { matchKeywords } from "./keywords.ts";
+import { hasWord } from "./text.ts";
+import { keywordList, type KeywordInput, type KeywordSet } from "./types.ts";
+
+export interface DynamicMatch {
+  score: number;
+  matched: string[];
+  missing: string[];
+  matchCount: number;
+  totalKeywords: number;
+}
+
+export interface ScoreStatus {
+  label: string;
+  color: string;
+  emoji: string;
+}
+
+export function extractWords(text: string): string[] {
+  if (!text) return [];
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9\s+#.-]/g, " ")
+    .split(/\s+/)
+    .filter((word) => word.length >= 2);
+}
+
+/**
+ * Keyword match that also accepts partial hits inside compound words
+ * (DynamicScore.calculateDynamicMatch)
+ */
+export function calculateDynamicMatch(cvText: string, jobKeywords: string[]): DynamicMatch {
+  if (!cvText || !jobKeywords || jobKeywords.length === 0) {
+    return {
+      score: 0,
+      matched: [],
+      missing: jobKeywords || [],
+      matchCount: 0,
+      totalKeywords: jobKeywords?.length || 0,
+    };
+  }
+
+  const cvLower = cvText.toLowerCase();
+  const cvWords = extractWords(cvLower);
+  const matched: string[] = [];
+  const missing: string[] = [];
+
+  jobKeywords.forEach((keyword) => {
+    const keywordLower = keyword.toLowerCase();
+    const hasMatch = hasWord(cvLower, keywordLower) ||
+      cvWords.some((word) => word.includes(keywordLower) || keywordLower.includes(word));
+
+    if (hasMatch) {
+      matched.push(keyword);
+    } else {
+      missing.push(keyword);
+    }
+  });
+
+  return {
+    score: Math.round((matched.length / jobKeywords.length) * 100),
+    matched,
+    missing,
+    matchCount: matched.length,
+    totalKeywords: jobKeywords.length,
+  };
+}
+
+/** Match weighted by priority: high 3, medium 2, low 1 */
+export function calculateWeightedMatch(cvText: string, keywords: Partial<KeywordSet> | null | undefined): DynamicMatch {
+  if (!keywords) return { score: 0, matched: [], missing: [], matchCount: 0, totalKeywords: 0 };
+
+  const tiers: [keyof KeywordSet, number][] = [["highPriority", 3], ["mediumPriority", 2], ["lowPriority", 1]];
+  let totalWeight = 0;
+  let matchedWeight = 0;
+  const allMatched: string[] = [];
+  const allMissing: string[] = [];
+
+  tiers.forEach(([priority, weight]) => {
+    const tierKeywords = (keywords[priority] as string[] | undefined) || [];
+    tierKeywords.forEach((keyword) => {
+      totalWeight += weight;
+      if (calculateDynamicMatch(cvText, [keyword]).matchCount > 0) {
+        matchedWeight += weight;
+        allMatched.push(keyword);
+      } else {
+        allMissing.push(keyword);
+      }
+    });
+  });
+
+  return {
+    score: totalWeight > 0 ? Math.round((matchedWeight / totalWeight) * 100) : 0,
+    matched: allMatched,
+    missing: allMissing,
+    matchCount: allMatched.length,
+    totalKeywords: allMatched.length + allMissing.length,
+  };
+}
+
+/** Label for a match percentage, shared by every score badge */
+export function getScoreStatus(score: number): ScoreStatus {
+  if (score >= 95) return { label: "Excellent", color: "excellent", emoji: "🎯" };
+  if (score >= 90) return { label: "Great", color: "great", emoji: "✨" };
+  if (score >= 80) return { label: "Good", color: "good", emoji: "👍" };
+  if (score >= 70) return { label: "Fair", color: "fair", emoji: "📈" };
+  if (score >= 50) return { label: "Needs Work", color: "needs-work", emoji: "⚠️" };
+  return { label: "Low Match", color: "low", emoji: "❌" };
+}
+
+/** Gauge stroke colour for a match percentage */
+export function getScoreColor(score: number): string {
+  if (score >= 90) return "#2ed573";
+  if (score >= 70) return "#00d4ff";
+  if (score >= 50) return "#ffa502";
+  return "#ff4757";
+}
+
+export interface TailoringValidation {
+  score: number;
+  keywordCount: number;
+  reliable: boolean;
+  matched: string[];
+  missing: string[];
+}
+
+/** A tailored CV is reliable at 90%+ with at least 10 matched keywords */
+export function validateTailoring(cvText: string, jobKeywords: KeywordInput): TailoringValidation {
+  const match = matchKeywords(cvText, keywordList(jobKeywords));
+  return {
+    score: match.matchScore,
+    keywordCount: match.matched.length,
+    reliable: match.matchScore >= 90 && match.matched.length >= 10,
+    matched: match.matched,
+    missing: match.missing,
+  };
+}
+
+// ============ PROFILE MATCH (before generation) ============
+
+type ProfileSkill = string | { name?: string | null };
+
+interface ProfileExperience {
+  title?: string | null;
+  company?: string | null;
+  description?: string | null;
+  bullets?: string[] | null;
+}
+
+interface ProfileEducation {
+  degree?: string | null;
+  field?: string | null;
+  school?: string | null;
+  description?: string | null;
+}
+
+export interface ProfileMatchInput {
+  skills?: ProfileSkill[] | null;
+  workExperience?: ProfileExperience[] | null;
+  education?: ProfileEducation[] | null;
+  certifications?: string[] | null;
+}
+
+export interface ProfileMatch {
+  score: number;
+  matched: string[];
+  missing: string[];
+  partialMatches: string[];
+}
+
+// Synonym mapping for common tech terms (helps with ATS variations)
+export const MATCH_SYNONYMS: Record<string, string[]> = {
+  "javascript": ["js", "ecmascript", "es6", "es2015"],
+  "typescript": ["ts"],
+  "python": ["py"],
+  "kubernetes": ["k8s"],
+  "postgresql": ["postgres", "psql"],
+  "mongodb": ["mongo"],
+  "amazon web services": ["aws"],
+  "google cloud": ["gcp", "google cloud platform"],
+  "microsoft azure": ["azure"],
+  "node.js": ["nodejs", "node"],
+  "react.js": ["reactjs", "react"],
+  "vue.js": ["vuejs", "vue"],
+  "next.js": ["nextjs", "next"],
+  "machine learning": ["ml"],
+  "artificial intelligence": ["ai"],
+  "natural language processing": ["nlp"],
+  "continuous integration": ["ci"],
+  "continuous deployment": ["cd"],
+  "ci/cd": ["cicd", "ci cd", "continuous integration", "continuous deployment"],
+  "rest api": ["restful", "rest"],
+  "graphql": ["gql"],
+  "sql": ["structured query language"],
+  "nosql": ["no-sql", "non-relational"],
+  "agile": ["scrum", "kanban"],
+  "full stack": ["fullstack", "full-stack"],
+  "frontend": ["front-end", "front end"],
+  "backend": ["back-end", "back end"],
+  "devops": ["dev ops", "dev-ops"],
+};
+
+/**
+ * How many JD keywords the candidate's profile already covers, with synonym
+ * and partial matching. The first 15 keywords weigh 4, the next 10 weigh 3,
+ * the rest 2 (extractJobscanKeywords lists hard skills first).
+ */
+export function calculateProfileMatch(jdKeywords: string[], profile: ProfileMatchInput): ProfileMatch {
+  const skillsText = (profile.skills || [])
+    .map((s) => (typeof s === "string" ? s : s?.name || "").toLowerCase())
+    .join(" ");
+
+  const experienceText = (profile.workExperience || []).map((exp) =>
+    `${exp.title || ""} ${exp.company || ""} ${exp.description || ""} ${(exp.bullets || []).join(" ")}`
+  ).join(" ").toLowerCase();
+
+  const educationText = (profile.education || []).map((edu) =>
+    `${edu.degree || ""} ${edu.field || ""} ${edu.school || ""} ${edu.description || ""}`
+  ).join(" ").toLowerCase();
+
+  const certText = (profile.certifications || []).join(" ").toLowerCase();
+
+  const fullProfileText = `${skillsText} ${experienceText} ${educationText} ${certText}`;
+
+  const matched: string[] = [];
+  const missing: string[] = [];
+  const partialMatches: string[] = [];
+
+  for (const keyword of jdKeywords) {
+    const keywordLower = keyword.toLowerCase();
+    let isMatched = fullProfileText.includes(keywordLower);
+
+    if (!isMatched) {
+      for (const syn of MATCH_SYNONYMS[keywordLower] || []) {
+        if (fullProfileText.includes(syn)) {
+          isMatched = true;
+          partialMatches.push(`${keyword} (via ${syn})`);
+          break;
+        }
+      }
+    }
+
+    // Reverse synonyms: the profile has the main term, the JD uses the short form
+    if (!isMatched) {
+      for (const [mainTerm, syns] of Object.entries(MATCH_SYNONYMS)) {
+        if (syns.includes(keywordLower) && fullProfileText.includes(mainTerm)) {
+          isMatched = true;
+          partialMatches.push(`${keyword} (via ${mainTerm})`);
+          break;
+        }
+      }
+    }
+
+    // Most words of a multi-word keyword present
+    if (!isMatched) {
+      const words = keywordLower.split(/[\s\-/]+/);
+      const matchedWords = words.filter((w) => w.length > 2 && fullProfileText.includes(w));
+      if (matchedWords.length >= Math.ceil(words.length * 0.6)) {
+        isMatched = true;
+        partialMatches.push(`${keyword} (partial: ${matchedWords.join(", ")})`);
+      }
+    }
+
+    if (isMatched) {
+      matched.push(keyword);
+    } else {
+      missing.push(keyword);
+    }
+  }
+
+  let totalPoints = 0;
+  let earnedPoints = 0;
+  jdKeywords.forEach((kw, i) => {
+    const points = i < 15 ? 4 : (i < 25 ? 3 : 2);
+    totalPoints += points;
+    if (matched.includes(kw)) earnedPoints += points;
+  });
+
+  const score = totalPoints > 0 ? Math.round((earnedPoints / totalPoints) * 100) : 50;
+
+  return {
+    score: Math.min(100, Math.max(0, score)),
+    matched,
+    missing,
+    partialMatches,
+  };
+}
+
+// ============ GENERATED CONTENT SCORE (after generation) ============
+
+export interface ContentMatch {
+  score: number;
+  matched: string[];
+  missing: string[];
+}
+
+/**
+ * Share of JD keywords present in generated text. Punctuation and spacing
+ * variants count ("node.js" matches "node js" and "nodejs").
+ * Returns fallbackScore when there are no keywords.
+ */
+export function scoreGeneratedContent(keywords: string[], texts: string[], fallbackScore = 0): ContentMatch {
+  const combined = texts.map((text) => (text || "").toLowerCase()).join(" ");
+  const matched: string[] = [];
+  const missing: string[] = [];
+
+  for (const keyword of keywords) {
+    const keywordLower = keyword.toLowerCase();
+    if (combined.includes(keywordLower) ||
+        combined.includes(keywordLower.replace(/[.\-/]/g, " ")) ||
+        combined.includes(keywordLower.replace(/\s+/g, ""))) {
+      matched.push(keyword);
+    } else {
+      missing.push(keyword);
+    }
+  }
+
+  return {
+    score: keywords.length > 0 ? Math.round((matched.length / keywords.length) * 100) : fallbackScore,
+    matched,
+    missing,
+  };
+}
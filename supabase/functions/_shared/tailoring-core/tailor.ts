@@ -0,0 +1,464 @@
+// Deterministic CV tailoring: parses the CV into sections and weaves missing
+// JD keywords into the summary, experience bullets and skills. It only injects
+// keywords the profile backs and audits the result (fact-guard.ts); without a
+// profile nothing is backed, so nothing is injected.
+
+import { audit, buildEvidence, restrictKeywords, type ProvenanceItem, type ProvenanceStatus } from "./fact-guard.ts";
+import { matchKeywords } from "./keywords.ts";
+import { hasWord } from "./text.ts";
+import type { CandidateProfile, KeywordSet } from "./types.ts";
+
+export const SECTION_PATTERNS = {
+  summary: /^(PROFESSIONAL\s*SUMMARY|SUMMARY|PROFILE|OBJECTIVE|ABOUT\s*ME|CAREER\s*SUMMARY)[\s:]*$/im,
+  experience: /^(EXPERIENCE|WORK\s*EXPERIENCE|PROFESSIONAL\s*EXPERIENCE|EMPLOYMENT\s*HISTORY)[\s:]*$/im,
+  skills: /^(SKILLS|TECHNICAL\s*SKILLS|CORE\s*SKILLS|KEY\s*SKILLS|COMPETENCIES)[\s:]*$/im,
+  education: /^(EDUCATION|ACADEMIC\s*BACKGROUND|QUALIFICATIONS)[\s:]*$/im,
+  certifications: /^(CERTIFICATIONS|CERTIFICATES|LICENSES|CREDENTIALS)[\s:]*$/im,
+  achievements: /^(ACHIEVEMENTS|ACCOMPLISHMENTS|AWARDS|HONORS)[\s:]*$/im,
+};
+
+export const ACTION_VERBS = [
+  "Developed", "Implemented", "Designed", "Created", "Built", "Optimized",
+  "Managed", "Led", "Directed", "Orchestrated", "Spearheaded", "Drove",
+  "Analyzed", "Evaluated", "Assessed", "Investigated", "Researched",
+  "Improved", "Enhanced", "Streamlined", "Automated", "Transformed",
+  "Delivered", "Achieved", "Exceeded", "Accomplished", "Generated",
+  "Collaborated", "Partnered", "Coordinated", "Facilitated", "Mentored",
+];
+
+type SectionName = keyof typeof SECTION_PATTERNS;
+
+export interface CVSections {
+  header: string[];
+  summary: string[];
+  experience: string[];
+  skills: string[];
+  education: string[];
+  certifications: string[];
+  achievements: string[];
+  other: string[];
+}
+
+export interface ParsedCV {
+  raw: string;
+  sections: CVSections;
+  lineCount: number;
+}
+
+export interface SectionEnhancement {
+  lines: string[];
+  injected: string[];
+  count: number;
+  isNew?: boolean;
+}
+
+type PriorityKeywords = Pick<KeywordSet, "highPriority" | "mediumPriority">;
+
+/** Split a CV into header, summary, experience, skills, education, certifications, achievements */
+export function parseCV(cvText: string): ParsedCV {
+  const sections: CVSections = {
+    header: [],
+    summary: [],
+    experience: [],
+    skills: [],
+    education: [],
+    certifications: [],
+    achievements: [],
+    other: [],
+  };
+  if (!cvText) return { raw: "", sections, lineCount: 0 };
+
+  const lines = cvText.split("\n");
+  let currentSection: keyof CVSections = "header";
+
+  for (const line of lines) {
+    const trimmed = line.trim();
+    const header = (Object.entries(SECTION_PATTERNS) as [SectionName, RegExp][])
+      .find(([, pattern]) => pattern.test(trimmed));
+
+    if (header) {
+      currentSection = header[0];
+    }
+    sections[currentSection].push(line);
+  }
+
+  return { raw: cvText, sections, lineCount: lines.length };
+}
+
+export const hasKeyword = hasWord;
+
+/** Inject up to 8 high-priority keywords into the summary */
+export function enhanceSummary(summaryLines: string[], highPriorityKeywords: string[], existingMatched: string[] = []): SectionEnhancement {
+  if (!summaryLines.length || !highPriorityKeywords.length) {
+    return { lines: summaryLines, injected: [], count: 0 };
+  }
+
+  const injected: string[] = [];
+  const targetCount = Math.min(8, highPriorityKeywords.length);
+  const linesToEnhance = [...summaryLines];
+  const summaryText = summaryLines.join(" ");
+
+  const missingKeywords = highPriorityKeywords.filter(
+    (kw) => !hasKeyword(summaryText, kw) && !existingMatched.includes(kw)
+  );
+
+  if (missingKeywords.length === 0) {
+    return { lines: summaryLines, injected: [], count: 0 };
+  }
+
+  // Strategy 1: extend existing sentences with "including ..."
+  for (let i = 1; i < linesToEnhance.length && injected.length < targetCount; i++) {
+    const line = linesToEnhance[i];
+    if (line.trim().length < 20) continue;
+
+    if (line.includes(".") && missingKeywords.length > 0) {
+      const kw = missingKeywords.shift() as string;
+      const enhancedLine = line.replace(/\.(\s*)$/, `, including ${kw}.$1`);
+      if (enhancedLine !== line) {
+        linesToEnhance[i] = enhancedLine;
+        injected.push(kw);
+      }
+    }
+  }
+
+  // Strategy 2: add one sentence listing several keywords
+  if (injected.length < 4 && missingKeywords.length >= 3) {
+    const keywordsToAdd = missingKeywords.splice(0, Math.min(4, missingKeywords.length));
+    const lastKeyword = keywordsToAdd.pop() as string;
+    const keywordList = keywordsToAdd.length > 0
+      ? `${keywordsToAdd.join(", ")} and ${lastKeyword}`
+      : lastKeyword;
+
+    const newSentence = `Proficient in ${keywordList} with a proven track record of delivering results.`;
+    const insertIndex = Math.max(1, linesToEnhance.length - 1);
+    linesToEnhance.splice(insertIndex, 0, newSentence);
+    injected.push(...keywordsToAdd, lastKeyword);
+  }
+
+  return { lines: linesToEnhance, injected, count: injected.length };
+}
+
+/** Add up to two keywords to each of the first 10 experience bullets */
+export function enhanceExperience(experienceLines: string[], keywords: PriorityKeywords, existingMatched: string[] = []): SectionEnhancement {
+  if (!experienceLines.length) {
+    return { lines: experienceLines, injected: [], count: 0 };
+  }
+
+  const injected: string[] = [];
+  const linesToEnhance = [...experienceLines];
+  const allKeywords = [...keywords.highPriority, ...keywords.mediumPriority];
+
+  const experienceText = experienceLines.join(" ");
+  const availableKeywords = allKeywords.filter(
+    (kw) => !hasKeyword(experienceText, kw) && !existingMatched.includes(kw)
+  );
+
+  let bulletCount = 0;
+  const maxBullets = 10;
+  let keywordIndex = 0;
+
+  for (let i = 0; i < linesToEnhance.length && bulletCount < maxBullets; i++) {
+    const line = linesToEnhance[i];
+    const trimmed = line.trim();
+
+    if (trimmed.startsWith("•") || trimmed.startsWith("-") || trimmed.startsWith("*") || /^\d+\./.test(trimmed)) {
+      bulletCount++;
+      if (keywordIndex >= availableKeywords.length) continue;
+
+      let enhancedLine = line;
+      for (let j = 0; j < 2 && keywordIndex < availableKeywords.length; j++) {
+        const kw = availableKeywords[keywordIndex];
+        if (hasKeyword(enhancedLine, kw)) continue;
+
+        if (enhancedLine.includes(".") || enhancedLine.includes(",")) {
+          const insertPhrase = j === 0 ? `utilizing ${kw}` : `and ${kw}`;
+          enhancedLine = enhancedLine.replace(/([.,])(\s*)$/, ` ${insertPhrase}$1$2`);
+          injected.push(kw);
+          keywordIndex++;
+        } else if (!enhancedLine.endsWith(".")) {
+          enhancedLine = `${enhancedLine.trimEnd()} using ${kw}`;
+          injected.push(kw);
+          keywordIndex++;
+        }
+      }
+
+      linesToEnhance[i] = enhancedLine;
+    }
+  }
+
+  return { lines: linesToEnhance, injected, count: injected.length };
+}
+
+/** Make sure the skills section lists the high and most medium priority keywords */
+export function enhanceSkills(skillsLines: string[], keywords: PriorityKeywords, existingMatched: string[] = []): SectionEnhancement {
+  if (!skillsLines.length) {
+    const allSkills = [...keywords.highPriority, ...keywords.mediumPriority.slice(0, 7)];
+    if (allSkills.length === 0) {
+      return { lines: [], injected: [], count: 0 };
+    }
+
+    const half = Math.ceil(allSkills.length / 2);
+    return {
+      lines: [
+        "SKILLS",
+        `• Technical: ${allSkills.slice(0, half).join(", ")}`,
+        `• Additional: ${allSkills.slice(half).join(", ")}`,
+      ],
+      injected: allSkills,
+      count: allSkills.length,
+      isNew: true,
+    };
+  }
+
+  const injected: string[] = [];
+  const linesToEnhance = [...skillsLines];
+  const skillsText = skillsLines.join(" ");
+
+  const missingSkills = [...keywords.highPriority, ...keywords.mediumPriority]
+    .filter((kw) => !hasKeyword(skillsText, kw) && !existingMatched.includes(kw));
+
+  if (missingSkills.length === 0) {
+    return { lines: skillsLines, injected: [], count: 0 };
+  }
+
+  // Append to the last list-like line, or add a new bullet
+  let targetLineIndex = -1;
+  for (let i = linesToEnhance.length - 1; i >= 0; i--) {
+    const line = linesToEnhance[i].trim();
+    if (line.startsWith("•") || line.startsWith("-") || line.includes(":") || line.includes(",")) {
+      targetLineIndex = i;
+      break;
+    }
+  }
+
+  if (targetLineIndex === -1) {
+    const skillsToAdd = missingSkills.slice(0, 10);
+    linesToEnhance.push(`• Additional: ${skillsToAdd.join(", ")}`);
+    injected.push(...skillsToAdd);
+  } else {
+    const skillsToAdd = missingSkills.slice(0, 8);
+    linesToEnhance[targetLineIndex] = `${linesToEnhance[targetLineIndex].trimEnd()}, ${skillsToAdd.join(", ")}`;
+    injected.push(...skillsToAdd);
+  }
+
+  return { lines: linesToEnhance, injected, count: injected.length };
+}
+
+/** Reassemble sections in the standard order */
+export function reconstructCV(sections: CVSections): string {
+  const parts: string[] = [];
+
+  if (sections.header.length > 0) {
+    parts.push(sections.header.join("\n"));
+  }
+
+  const sectionOrder: (keyof CVSections)[] = ["summary", "experience", "education", "skills", "certifications", "achievements", "other"];
+  for (const sectionName of sectionOrder) {
+    if (sections[sectionName].length > 0) {
+      if (parts.length > 0) parts.push("");
+      parts.push(sections[sectionName].join("\n"));
+    }
+  }
+
+  return parts.join("\n");
+}
+
+export interface TailorOptions {
+  // Injection is restricted to keywords this profile backs; without one no
+  // keyword is backed
+  profile?: CandidateProfile | null;
+  factMode?: "block" | "flag";
+}
+
+export interface TailorResult {
+  tailoredCV: string;
+  originalText: string;
+  injectedKeywords: string[];
+  provenance: { report: ProvenanceItem[]; summary: Record<ProvenanceStatus, number> } | null;
+  matchScore: number;
+  matchedKeywords: string[];
+  missingKeywords: string[];
+  stats: { summary: number; experience: number; skills: number; total: number };
+  keywords: KeywordSet;
+}
+
+/**
+ * Tailor a CV for the given keywords (CVTailor.tailorCV)
+ * @param cvText - Base CV text
+ * @param keywords - Keyword set from extractKeywords
+ * @param options - profile / factMode, see TailorOptions
+ */
+export function tailorCV(cvText: string, keywords: KeywordSet, options: TailorOptions = {}): TailorResult {
+  const stats = { summary: 0, experience: 0, skills: 0, total: 0 };
+
+  if (!cvText || !keywords || !keywords.all || keywords.all.length === 0) {
+    return {
+      tailoredCV: cvText,
+      originalText: cvText,
+      injectedKeywords: [],
+      provenance: null,
+      matchScore: 0,
+      matchedKeywords: [],
+      missingKeywords: keywords?.all || [],
+      stats,
+      keywords,
+    };
+  }
+
+  const parsed = parseCV(cvText);
+
+  // Inject only keywords the profile backs (none when there is no profile)
+  const evidence = buildEvidence(options.profile);
+  const injectable = restrictKeywords(keywords, evidence).keywords;
+
+  const initialMatch = matchKeywords(cvText, keywords.all);
+  const allInjected: string[] = [];
+  const enhancedSections = { ...parsed.sections };
+
+  if (parsed.sections.summary.length > 0) {
+    const summaryResult = enhanceSummary(parsed.sections.summary, injectable.highPriority, initialMatch.matched);
+    enhancedSections.summary = summaryResult.lines;
+    stats.summary = summaryResult.count;
+    allInjected.push(...summaryResult.injected);
+  }
+
+  if (parsed.sections.experience.length > 0) {
+    const experienceResult = enhanceExperience(parsed.sections.experience, injectable, [...initialMatch.matched, ...allInjected]);
+    enhancedSections.experience = experienceResult.lines;
+    stats.experience = experienceResult.count;
+    allInjected.push(...experienceResult.injected);
+  }
+
+  const skillsResult = enhanceSkills(parsed.sections.skills, injectable, [...initialMatch.matched, ...allInjected]);
+  enhancedSections.skills = skillsResult.lines;
+  stats.skills = skillsResult.count;
+  allInjected.push(...skillsResult.injected);
+
+  let tailoredCV = reconstructCV(enhancedSections);
+
+  // Per-keyword provenance; also catches anything injected without evidence
+  const guard = audit({
+    originalCV: cvText,
+    tailoredCV,
+    keywords,
+    evidence,
+    mode: options.factMode || "block",
+  });
+  tailoredCV = guard.tailoredCV;
+  const provenance = { report: guard.report, summary: guard.summary };
+
+  const finalMatch = matchKeywords(tailoredCV, keywords.all);
+  stats.total = allInjected.length;
+
+  return {
+    tailoredCV,
+    originalText: cvText,
+    injectedKeywords: allInjected,
+    provenance,
+    matchScore: finalMatch.matchScore,
+    matchedKeywords: finalMatch.matched,
+    missingKeywords: finalMatch.missing,
+    stats,
+    keywords,
+  };
+}
+
+/** Append missing keywords to the skills section with minimal other changes */
+export function quickOptimize(cvText: string, missingKeywords: string[], maxAdditions = 10): { optimizedCV: string; added: string[]; count: number } {
+  if (!cvText || !missingKeywords || missingKeywords.length === 0) {
+    return { optimizedCV: cvText, added: [], count: 0 };
+  }
+
+  let optimizedCV = cvText;
+  const added: string[] = [];
+  const keywordsToAdd = missingKeywords.slice(0, maxAdditions);
+
+  const skillsMatch = SECTION_PATTERNS.skills.exec(optimizedCV);
+  if (skillsMatch) {
+    const insertIndex = optimizedCV.indexOf("\n", skillsMatch.index + skillsMatch[0].length);
+    if (insertIndex > -1) {
+      // End of the skills section is the start of the next section
+      let endIndex = optimizedCV.length;
+      for (const [name, pattern] of Object.entries(SECTION_PATTERNS)) {
+        if (name === "skills") continue;
+        const match = pattern.exec(optimizedCV.substring(insertIndex));
+        if (match && (insertIndex + match.index) < endIndex) {
+          endIndex = insertIndex + match.index;
+        }
+      }
+
+      optimizedCV =
+        optimizedCV.substring(0, endIndex).trimEnd() +
+        "\n" + `• Additional: ${keywordsToAdd.join(", ")}` + "\n" +
+        optimizedCV.substring(endIndex);
+      added.push(...keywordsToAdd);
+    }
+  } else {
+    const newSkillsSection = `\nSKILLS\n• Technical: ${keywordsToAdd.join(", ")}\n`;
+    const eduMatch = SECTION_PATTERNS.education.exec(optimizedCV);
+    if (eduMatch) {
+      optimizedCV =
+        optimizedCV.substring(0, eduMatch.index) +
+        newSkillsSection + "\n" +
+        optimizedCV.substring(eduMatch.index);
+    } else {
+      optimizedCV = optimizedCV.trimEnd() + "\n" + newSkillsSection;
+    }
+    added.push(...keywordsToAdd);
+  }
+
+  return { optimizedCV, added, count: added.length };
+}
+
+export function calculatePotentialScore(currentScore: number, currentMatched: number, totalKeywords: number, keywordsToAdd: number): number {
+  return Math.round(((currentMatched + keywordsToAdd) / totalKeywords) * 100);
+}
+
+export interface TailoringSuggestion {
+  priority: "high" | "medium";
+  type: "missing_keywords" | "overall";
+  message: string;
+  keywords?: string[];
+  impact?: string;
+  action?: string;
+}
+
+/** Suggestions for the match panel from a KeywordExtractor.analyzeMatch result */
+export function generateSuggestions(analysisResult: {
+  categorizedMissing: { high: string[]; medium: string[] };
+  match: { matchScore: number; totalKeywords: number };
+}): TailoringSuggestion[] {
+  const suggestions: TailoringSuggestion[] = [];
+  const { categorizedMissing, match } = analysisResult;
+
+  if (categorizedMissing.high.length > 0) {
+    suggestions.push({
+      priority: "high",
+      type: "missing_keywords",
+      message: `Add ${categorizedMissing.high.length} high-priority keywords: ${categorizedMissing.high.slice(0, 3).join(", ")}${categorizedMissing.high.length > 3 ? "..." : ""}`,
+      keywords: categorizedMissing.high,
+      impact: `Could improve match by ~${Math.round((categorizedMissing.high.length / match.totalKeywords) * 100)}%`,
+    });
+  }
+
+  if (categorizedMissing.medium.length > 0) {
+    suggestions.push({
+      priority: "medium",
+      type: "missing_keywords",
+      message: `Consider adding ${categorizedMissing.medium.length} medium-priority keywords`,
+      keywords: categorizedMissing.medium,
+      impact: `Could improve match by ~${Math.round((categorizedMissing.medium.length / match.totalKeywords) * 100)}%`,
+    });
+  }
+
+  if (match.matchScore < 70) {
+    suggestions.push({
+      priority: "high",
+      type: "overall",
+      message: "CV needs significant keyword optimization for ATS compatibility",
+      action: "Use full CV tailoring to achieve 95%+ match",
+    });
+  }
+
+  return suggestions;
+}
@@ -0,0 +1,23 @@
+// Small text helpers shared by every tailoring-core module
+
+export function escapeRegex(str: string): string {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+export function normalize(text: unknown): string {
+  return String(text ?? "").toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+/** Word-boundary match used by keyword scoring (same rule the extensions always used) */
+export function hasWord(text: string, keyword: string): boolean {
+  if (!text || !keyword) return false;
+  return new RegExp(`\\b${escapeRegex(keyword.toLowerCase())}\\b`, "i").test(text);
+}
+
+/** Whole-term match that copes with "c++", "node.js" and "ci/cd" */
+export function containsTerm(text: string, term: string): boolean {
+  const needle = normalize(term);
+  if (!needle || !text) return false;
+  const regex = new RegExp(`(^|[^a-z0-9])${escapeRegex(needle)}(?![a-z0-9])`, "i");
+  return regex.test(text);
+}
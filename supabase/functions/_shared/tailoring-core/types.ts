@@ -0,0 +1,49 @@
+// Shapes shared across the tailoring core and its consumers
+
+export interface CategorizedKeywords {
+  programmingLanguages: string[];
+  dataTools: string[];
+  crmTools: string[];
+  securityTools: string[];
+  cloudDevOps: string[];
+  hardSkills: string[];
+  softSkills: string[];
+}
+
+/** Prioritised JD keywords, the shape every extension engine consumes */
+export interface KeywordSet {
+  all: string[];
+  highPriority: string[];
+  mediumPriority: string[];
+  lowPriority: string[];
+  total?: number;
+  categorized?: CategorizedKeywords;
+  mandatoryFound?: number;
+  mandatoryKeywords?: string[];
+}
+
+/** A keyword list or a keyword set; scoring and the fact guard accept either */
+export type KeywordInput = string[] | Pick<KeywordSet, "all"> | null | undefined;
+
+export interface KeywordMatch {
+  matched: string[];
+  missing: string[];
+  matchScore: number;
+  matchCount: number;
+  totalKeywords: number;
+}
+
+/** Profile fields the core reads; both the DB row (snake case) and extension (camel case) shapes work */
+export interface CandidateProfile {
+  skills?: unknown;
+  work_experience?: unknown;
+  workExperience?: unknown;
+  certifications?: unknown;
+  achievements?: unknown;
+  education?: unknown;
+}
+
+export function keywordList(keywords: KeywordInput): string[] {
+  if (!keywords) return [];
+  return Array.isArray(keywords) ? keywords : (keywords.all || []);
+}
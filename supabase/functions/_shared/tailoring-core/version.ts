@@ -0,0 +1,3 @@
+// Bump on every behaviour change (see CHANGELOG.md). Extension builds embed
+// this in tailoring-core.js so a stale copy is easy to spot.
+export const TAILORING_CORE_VERSION = "1.0.1";
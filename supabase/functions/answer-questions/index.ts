@@ -1,5 +1,26 @@
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
 import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import {
+  createUserLLMClient,
+  createUserSearchClient,
+  isLLMError,
+  llmErrorResponse,
+  parseJsonReply,
+  type LLMClient,
+} from "../_shared/llm/index.ts";
+import {
+  describeAuthorization,
+  jobCountry,
+  needsSponsorship,
+  parseWorkAuthorizations,
+  resolveAnswer,
+  scopeApplies,
+  scopeSpecificity,
+  type AnswerBankRow,
+  type AnswerContext,
+  type CatalogQuestion,
+  type WorkAuthorization,
+} from "../_shared/answer-bank/index.ts";
 
 const corsHeaders = {
   "Access-Control-Allow-Origin": "*",
@@ -20,10 +41,10 @@ interface CompanyResearch {
   citations: string[];
 }
 
-async function getCompanyResearch(company: string, jobTitle: string): Promise<CompanyResearch | null> {
-  const PERPLEXITY_API_KEY = Deno.env.get("PERPLEXITY_API_KEY");
-  
-  if (!PERPLEXITY_API_KEY) {
+// Through the LLM gateway, so research counts against the user's AI budget
+// and shows up in api_usage
+async function getCompanyResearch(search: LLMClient, company: string, jobTitle: string): Promise<CompanyResearch | null> {
+  if (!search.configured) {
     console.log("Perplexity API key not configured, skipping company research");
     return null;
   }
@@ -31,22 +52,15 @@ async function getCompanyResearch(company: string, jobTitle: string): Promise<Co
   try {
     console.log(`[Perplexity] Researching ${company} for ${jobTitle} position...`);
     
-    const response = await fetch("https://api.perplexity.ai/chat/completions", {
-      method: "POST",
-      headers: {
-        "Authorization": `Bearer ${PERPLEXITY_API_KEY}`,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({
-        model: "sonar",
-        messages: [
-          {
-            role: "system",
-            content: "You are a career research assistant. Provide concise, factual company information to help job applicants. Focus on actionable insights."
-          },
-          {
-            role: "user",
-            content: `Research ${company} for a ${jobTitle} position. Provide:
+    const result = await search.complete({
+      messages: [
+        {
+          role: "system",
+          content: "You are a career research assistant. Provide concise, factual company information to help job applicants. Focus on actionable insights."
+        },
+        {
+          role: "user",
+          content: `Research ${company} for a ${jobTitle} position. Provide:
 1. Brief company overview (2-3 sentences)
 2. Company culture and values
 3. Recent news or developments (last 6 months)
@@ -61,43 +75,23 @@ Return as JSON:
   "interviewTips": ["...", "..."],
   "keywords": ["keyword1", "keyword2", ...]
 }`
-          }
-        ],
-        search_recency_filter: "month"
-      }),
+        }
+      ]
     });
     
-    if (!response.ok) {
-      console.error(`[Perplexity] Error: ${response.status}`);
-      return null;
-    }
-    
-    const data = await response.json();
-    const content = data.choices?.[0]?.message?.content || "";
-    const citations = data.citations || [];
-    
     // Parse the JSON response
     try {
-      let cleanContent = content;
-      if (content.includes('```json')) {
-        cleanContent = content.replace(/```json\s*/g, '').replace(/```\s*/g, '');
-      } else if (content.includes('```')) {
-        cleanContent = content.replace(/```\s*/g, '');
-      }
-      
-      const jsonMatch = cleanContent.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const research = JSON.parse(jsonMatch[0]) as CompanyResearch;
-        research.citations = citations;
-        console.log(`[Perplexity] Successfully researched ${company}: ${research.keywords?.length || 0} keywords found`);
-        return research;
-      }
+      const research = parseJsonReply(result.content) as unknown as CompanyResearch;
+      research.citations = result.citations || [];
+      console.log(`[Perplexity] Successfully researched ${company}: ${research.keywords?.length || 0} keywords found`);
+      return research;
     } catch (parseError) {
       console.error("[Perplexity] Failed to parse response:", parseError);
     }
     
     return null;
   } catch (error) {
+    // A budget stop also lands here: answers go ahead without research
     console.error("[Perplexity] Research error:", error);
     return null;
   }
@@ -196,6 +190,8 @@ interface QuestionRequest {
   jobTitle: string;
   company: string;
   jobDescription?: string;
+  /** The job's location as posted; scopes country-specific answers */
+  jobLocation?: string;
   userProfile: {
     firstName: string;
     lastName: string;
@@ -210,7 +206,6 @@ interface QuestionRequest {
     country?: string;
     citizenship?: string;
     willingToRelocate?: boolean;
-    visaRequired?: boolean;
     veteranStatus?: boolean;
     disability?: boolean;
     raceEthnicity?: string;
@@ -249,50 +244,27 @@ async function getUserFromToken(req: Request, supabase: any): Promise<string | n
   return user.id;
 }
 
-async function getUserOpenAIKey(supabase: any, userId: string): Promise<string | null> {
-  const { data, error } = await supabase
-    .from('profiles')
-    .select('openai_api_key')
-    .eq('user_id', userId)
-    .single();
-  
-  if (error || !data) {
-    return null;
-  }
-  
-  return data.openai_api_key;
-}
-
-async function logApiUsage(supabase: any, userId: string, functionName: string, tokensUsed: number): Promise<void> {
-  try {
-    await supabase
-      .from('api_usage')
-      .insert({
-        user_id: userId,
-        function_name: functionName,
-        tokens_used: tokensUsed,
-      });
-  } catch (error) {
-    console.error('Failed to log API usage:', error);
-  }
-}
-
-// Check memory for matching questions
+// Check memory for matching questions. Memories the user marked wrong are
+// never used, and scoped ones only for jobs they apply to. Pinned memories
+// win, then the most specific scope, then the closest question.
 async function checkMemory(
   supabase: any,
   userId: string,
-  questions: { id: string; label: string; type: string; options?: string[] }[]
+  questions: { id: string; label: string; type: string; options?: string[] }[],
+  context: AnswerContext
 ): Promise<Map<string, MemoryMatch>> {
   const matches = new Map<string, MemoryMatch>();
   
   try {
-    // Get all user memories
-    const { data: memories, error } = await supabase
+    // Get all usable user memories
+    const { data, error } = await supabase
       .from('user_memories')
       .select('*')
-      .eq('user_id', userId);
+      .eq('user_id', userId)
+      .eq('marked_wrong', false);
     
-    if (error || !memories || memories.length === 0) {
+    const memories = (data || []).filter((memory: any) => scopeApplies(memory, context));
+    if (error || memories.length === 0) {
       console.log(`No memories found for user ${userId}`);
       return matches;
     }
@@ -304,16 +276,13 @@ async function checkMemory(
       const keywords = extractKeywords(question.label);
       const normalized = normalizeQuestion(question.label);
       
-      // First check for exact hash match
-      let bestMatch: any = null;
-      let bestSimilarity = 0;
+      const candidates: { memory: any; similarity: number }[] = [];
       
       for (const memory of memories) {
         // Exact hash match
         if (memory.query_hash === queryHash) {
-          bestMatch = memory;
-          bestSimilarity = 1.0;
-          break;
+          candidates.push({ memory, similarity: 1.0 });
+          continue;
         }
         
         // Keyword similarity check
@@ -325,13 +294,20 @@ async function checkMemory(
         
         const combinedSimilarity = Math.max(similarity, normalizedSimilarity);
         
-        if (combinedSimilarity > bestSimilarity && combinedSimilarity >= MEMORY_SIMILARITY_THRESHOLD) {
-          bestSimilarity = combinedSimilarity;
-          bestMatch = memory;
+        if (combinedSimilarity >= MEMORY_SIMILARITY_THRESHOLD) {
+          candidates.push({ memory, similarity: combinedSimilarity });
         }
       }
       
-      if (bestMatch && bestSimilarity >= MEMORY_SIMILARITY_THRESHOLD) {
+      candidates.sort((a, b) =>
+        Number(b.memory.pinned) - Number(a.memory.pinned) ||
+        scopeSpecificity(b.memory) - scopeSpecificity(a.memory) ||
+        b.similarity - a.similarity
+      );
+      const best = candidates[0];
+      
+      if (best) {
+        const { memory: bestMatch, similarity: bestSimilarity } = best;
         matches.set(question.id, {
           questionId: question.id,
           answer: bestMatch.answer,
@@ -345,12 +321,14 @@ async function checkMemory(
           .from('user_memories')
           .update({
             used_count: bestMatch.used_count + 1,
-            last_used_at: new Date().toISOString()
+            last_used_at: new Date().toISOString(),
+            last_job_title: context.jobTitle || null,
+            last_company: context.company || null
           })
           .eq('id', bestMatch.id)
           .then(() => {});
         
-        console.log(`Memory match for "${question.label.substring(0, 50)}..." (similarity: ${(bestSimilarity * 100).toFixed(1)}%)`);
+        console.log(`Memory match for "${question.label.substring(0, 50)}..." (similarity: ${(bestSimilarity * 100).toFixed(1)}%${bestMatch.pinned ? ', pinned' : ''})`);
       }
     }
     
@@ -361,7 +339,9 @@ async function checkMemory(
   return matches;
 }
 
-// Store new answers in memory
+// Store new answers in memory. Only unscoped memories are written: pinned
+// ones are the user's and are left alone, and one marked wrong is replaced
+// only by a different answer.
 async function storeInMemory(
   supabase: any,
   userId: string,
@@ -370,7 +350,7 @@ async function storeInMemory(
   context: { jobTitle: string; company: string }
 ): Promise<void> {
   try {
-    const memoriesToInsert = [];
+    const memoriesToStore = [];
     
     for (const answer of answers) {
       const question = questions.find(q => q.id === answer.id);
@@ -379,15 +359,12 @@ async function storeInMemory(
       // Skip low-confidence answers or those that need review
       if (answer.confidence === 'low' || answer.needsReview) continue;
       
-      const queryHash = generateQueryHash(question.label);
-      const keywords = extractKeywords(question.label);
-      const normalized = normalizeQuestion(question.label);
-      
-      memoriesToInsert.push({
+      memoriesToStore.push({
         user_id: userId,
-        query_hash: queryHash,
-        question_normalized: normalized,
-        question_keywords: keywords,
+        query_hash: generateQueryHash(question.label),
+        question: question.label,
+        question_normalized: normalizeQuestion(question.label),
+        question_keywords: extractKeywords(question.label),
         answer: {
           answer: answer.answer,
           selectValue: answer.selectValue,
@@ -399,53 +376,55 @@ async function storeInMemory(
           company: context.company
         },
         confidence: answer.confidence || 'medium',
-        ats_score: answer.atsScore || 85
+        ats_score: answer.atsScore || 85,
+        last_job_title: context.jobTitle || null,
+        last_company: context.company || null
       });
     }
     
-    if (memoriesToInsert.length > 0) {
-      // Use upsert to update existing or insert new
-      const { error } = await supabase
-        .from('user_memories')
-        .upsert(memoriesToInsert, {
-          onConflict: 'user_id,query_hash',
-          ignoreDuplicates: false
-        });
+    if (memoriesToStore.length === 0) return;
+    
+    const { data: existingRows, error: existingError } = await supabase
+      .from('user_memories')
+      .select('id, query_hash, answer, pinned, marked_wrong')
+      .eq('user_id', userId)
+      .eq('country', '')
+      .eq('job_scope', '')
+      .in('query_hash', memoriesToStore.map(memory => memory.query_hash));
+    if (existingError) throw existingError;
+    
+    let stored = 0;
+    for (const memory of memoriesToStore) {
+      const existing = (existingRows || []).find((row: any) => row.query_hash === memory.query_hash);
       
-      if (error) {
-        // If upsert fails due to no unique constraint, just insert
-        console.log('Upsert failed, inserting individually...');
-        for (const memory of memoriesToInsert) {
-          // Check if exists first
-          const { data: existing } = await supabase
-            .from('user_memories')
-            .select('id')
-            .eq('user_id', memory.user_id)
-            .eq('query_hash', memory.query_hash)
-            .single();
-          
-          if (existing) {
-            // Update existing
-            await supabase
-              .from('user_memories')
-              .update({
-                answer: memory.answer,
-                confidence: memory.confidence,
-                ats_score: memory.ats_score,
-                updated_at: new Date().toISOString()
-              })
-              .eq('id', existing.id);
-          } else {
-            // Insert new
-            await supabase
-              .from('user_memories')
-              .insert(memory);
-          }
-        }
+      if (!existing) {
+        const { error } = await supabase.from('user_memories').insert(memory);
+        if (error) throw error;
+        stored++;
+        continue;
       }
       
-      console.log(`Stored ${memoriesToInsert.length} answers in memory`);
+      if (existing.pinned) continue;
+      const sameAnswer = String(existing.answer?.answer ?? '').trim().toLowerCase() ===
+        String(memory.answer.answer ?? '').trim().toLowerCase();
+      if (existing.marked_wrong && sameAnswer) continue;
+      
+      const { error } = await supabase
+        .from('user_memories')
+        .update({
+          answer: memory.answer,
+          confidence: memory.confidence,
+          ats_score: memory.ats_score,
+          marked_wrong: false,
+          last_job_title: memory.last_job_title,
+          last_company: memory.last_company
+        })
+        .eq('id', existing.id);
+      if (error) throw error;
+      stored++;
     }
+    
+    console.log(`Stored ${stored} answers in memory`);
   } catch (error) {
     console.error('Error storing in memory:', error);
   }
@@ -493,6 +472,7 @@ function validateRequest(data: any): QuestionRequest {
   const jobTitle = validateString(data.jobTitle, MAX_STRING_SHORT, 'jobTitle');
   const company = validateString(data.company, MAX_STRING_SHORT, 'company');
   const jobDescription = validateString(data.jobDescription || '', MAX_STRING_LONG, 'jobDescription');
+  const jobLocation = validateString(data.jobLocation || '', MAX_STRING_SHORT, 'jobLocation');
   
   // Validate user profile
   const profile = data.userProfile || {};
@@ -510,7 +490,6 @@ function validateRequest(data: any): QuestionRequest {
     country: validateString(profile.country || '', MAX_STRING_SHORT, 'country'),
     citizenship: validateString(profile.citizenship || '', MAX_STRING_SHORT, 'citizenship'),
     willingToRelocate: !!profile.willingToRelocate,
-    visaRequired: !!profile.visaRequired,
     veteranStatus: !!profile.veteranStatus,
     disability: !!profile.disability,
     raceEthnicity: validateString(profile.raceEthnicity || '', MAX_STRING_SHORT, 'raceEthnicity'),
@@ -533,220 +512,105 @@ function validateRequest(data: any): QuestionRequest {
     jobTitle,
     company,
     jobDescription,
+    jobLocation,
     userProfile,
   };
 }
 
-// ============= COMPREHENSIVE ATS QUESTION ANSWER BANK =============
-// These patterns match common ATS knockout and screening questions
+// ============= ANSWER BANK =============
+// Screening and knockout questions (sponsorship, notice period, EEO...) are
+// answered only from the user's approved answer_bank rows. A catalog question
+// without one is flagged for the user instead: it is not looked up in memory
+// or sent to the model, both of which would guess.
 
-const ATS_QUESTION_PATTERNS: Record<string, { answer: string; selectValue?: string; confidence: string; atsScore: number; reasoning: string; profileField?: string }> = {
-  // WORK AUTHORIZATION
-  'legally authorized|eligib.*employed|right to work|authorization to work|authorised to work|authorized.*work': 
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Work authorization - qualifying response' },
-  
-  // VISA SPONSORSHIP  
-  'require.*sponsorship|need.*sponsorship|sponsorship.*required|sponsor.*visa|visa.*sponsor|future.*sponsorship|h1b|h-1b|tn.*visa|l1.*visa':
-    { answer: 'No', selectValue: 'no', confidence: 'high', atsScore: 95, reasoning: 'Sponsorship not required - qualifying response' },
-  'work.*without.*sponsorship|employment.*without.*sponsorship':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Can work without sponsorship' },
-  
-  // AGE VERIFICATION
-  'age 18|over 18|18 years|eighteen|at least 18|older than 18|minimum age|legal age|are you.*18|21 years|over 21':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Age verification - qualifying response' },
-  
-  // BACKGROUND & DRUG SCREENING
-  'background check|criminal background|background investigation|submit.*background|consent.*background|background screening':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Background check consent' },
-  'drug screen|drug test|substance test|submit.*drug|pre-employment.*drug|toxicology':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Drug screening consent' },
-  
-  // DRIVER'S LICENSE & TRANSPORTATION
-  'driver.*license|driving license|valid license|valid driver|possess.*license':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Valid driver license', profileField: 'drivingLicense' },
-  'own.*vehicle|reliable.*transportation|access.*vehicle|means.*transportation':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Transportation availability' },
-  
-  // RELOCATION & AVAILABILITY
-  'willing.*relocate|open.*relocation|relocate.*position|able.*relocate':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Willing to relocate', profileField: 'willingToRelocate' },
-  'available.*start|start date|earliest.*start|when.*start|how soon|soonest.*start':
-    { answer: 'Immediately', selectValue: 'immediately', confidence: 'high', atsScore: 95, reasoning: 'Immediate availability' },
-  'notice period|current.*notice|weeks.*notice|days.*notice':
-    { answer: '2 weeks', selectValue: '2 weeks', confidence: 'high', atsScore: 90, reasoning: 'Standard notice period', profileField: 'noticePeriod' },
-  
-  // JOB FUNCTIONS & PHYSICAL REQUIREMENTS
-  'essential functions|perform.*duties|physical requirements|able to perform|perform.*job':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Can perform essential functions' },
-  'reasonable accommodation|disability accommodation|with or without.*accommodation':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Accommodation acknowledgment' },
-  'lift.*pounds|carry.*lbs|physical demands|standing.*hours|sitting.*hours':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Physical requirements acceptance' },
-  
-  // TRAVEL & SCHEDULE
-  'willing.*travel|travel.*required|travel.*percent|overnight.*travel|domestic.*travel|international.*travel':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Willing to travel' },
-  'work.*weekends|weekend.*availability|weekend.*work|saturday.*sunday':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Weekend availability' },
-  'work.*shifts|shift.*work|rotating.*shifts|night.*shift|evening.*shift|flexible.*hours':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Shift flexibility' },
-  'overtime|extra.*hours|additional.*hours|extended.*hours':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Overtime availability' },
-  'on-call|on call|standby|pager.*duty|after.*hours.*support':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'On-call availability' },
-  'full-time|full time|permanent.*position':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Full-time commitment' },
-  
-  // PREVIOUS EMPLOYMENT
-  'employed by.*before|worked.*before|previous.*employee|ever been employed|formerly employed':
-    { answer: 'No', selectValue: 'no', confidence: 'high', atsScore: 95, reasoning: 'Not a former employee' },
-  'referred by|employee referral|know anyone|current employee.*refer':
-    { answer: 'No', selectValue: 'no', confidence: 'high', atsScore: 90, reasoning: 'No employee referral' },
-  'applied.*before|previously.*applied|past.*application':
-    { answer: 'No', selectValue: 'no', confidence: 'high', atsScore: 90, reasoning: 'First time applying' },
-  
-  // LEGAL & AGREEMENTS
-  'terms and conditions|agree.*terms|certification|certify|read and agree|acknowledge|attestation':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Terms acceptance' },
-  'non-compete|non-disclosure|nda|confidentiality|confidential.*agreement':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'NDA/confidentiality acceptance' },
-  'agree.*policy|accept.*terms|consent.*processing|consent.*data|privacy.*consent|gdpr.*consent':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Policy consent' },
-  'truthful.*information|accurate.*information|certify.*accurate|information.*true':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Information accuracy certification' },
-  
-  // CRIMINAL HISTORY
-  'convicted.*felony|criminal.*conviction|been convicted|pleaded guilty|pending.*charges|criminal.*record':
-    { answer: 'No', selectValue: 'no', confidence: 'high', atsScore: 95, reasoning: 'No criminal history' },
-  
-  // SECURITY CLEARANCE
-  'security clearance|clearance.*level|active.*clearance|current.*clearance|secret.*clearance|top secret|ts/sci':
-    { answer: 'No, but willing to obtain', selectValue: 'no', confidence: 'medium', atsScore: 85, reasoning: 'Security clearance status', profileField: 'securityClearance' },
-  'obtain.*clearance|eligible.*clearance|pass.*clearance':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Eligible for clearance' },
-  
-  // EEO & DEMOGRAPHICS
-  'veteran status|military service|protected veteran|veteran.*self|served.*military|us.*veteran|armed forces':
-    { answer: 'I am not a protected veteran', selectValue: 'i am not a protected veteran', confidence: 'high', atsScore: 95, reasoning: 'Veteran status declaration', profileField: 'veteranStatus' },
-  'disability status|disabled|have.*disability|disability.*self|individual.*disability|form cc-305':
-    { answer: 'I do not wish to answer', selectValue: 'i do not wish to answer', confidence: 'high', atsScore: 95, reasoning: 'Disability status - optional', profileField: 'disability' },
-  'race|ethnicity|ethnic background|race.*ethnicity|racial.*identity':
-    { answer: 'Decline to self-identify', selectValue: 'decline', confidence: 'high', atsScore: 95, reasoning: 'Race/ethnicity - optional', profileField: 'raceEthnicity' },
-  'gender|sex|male.*female|gender.*identity|what is your gender':
-    { answer: 'Prefer not to disclose', selectValue: 'prefer not to disclose', confidence: 'high', atsScore: 95, reasoning: 'Gender - optional', profileField: 'gender' },
-  'hispanic.*latino|latino.*hispanic|are you hispanic':
-    { answer: 'No', selectValue: 'no', confidence: 'high', atsScore: 95, reasoning: 'Hispanic/Latino status', profileField: 'hispanicLatino' },
-  'sexual orientation|lgbtq|lgbtqia':
-    { answer: 'Prefer not to answer', selectValue: 'prefer not to answer', confidence: 'high', atsScore: 95, reasoning: 'Sexual orientation - optional' },
-  
-  // COMPANY-SPECIFIC
-  'worked.*microsoft|microsoft.*employee|microsoft.*vendor':
-    { answer: 'No', selectValue: 'no', confidence: 'high', atsScore: 95, reasoning: 'Not a Microsoft employee' },
-  'worked.*google|google.*employee':
-    { answer: 'No', selectValue: 'no', confidence: 'high', atsScore: 95, reasoning: 'Not a Google employee' },
-  'worked.*amazon|amazon.*employee':
-    { answer: 'No', selectValue: 'no', confidence: 'high', atsScore: 95, reasoning: 'Not an Amazon employee' },
-  'worked.*apple|apple.*employee':
-    { answer: 'No', selectValue: 'no', confidence: 'high', atsScore: 95, reasoning: 'Not an Apple employee' },
-  'worked.*meta|worked.*facebook|meta.*employee':
-    { answer: 'No', selectValue: 'no', confidence: 'high', atsScore: 95, reasoning: 'Not a Meta employee' },
-  'former.*motive|motive.*employee':
-    { answer: 'No', selectValue: 'no', confidence: 'high', atsScore: 95, reasoning: 'Not a former Motive employee' },
-  
-  // EDUCATION
-  'highest.*degree|degree.*obtained|education.*level|completed.*degree|highest.*education':
-    { answer: "Bachelor's Degree", selectValue: "bachelor", confidence: 'high', atsScore: 90, reasoning: 'Highest education level', profileField: 'highestEducation' },
-  'bachelor.*degree|undergraduate.*degree|college.*degree':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Bachelor degree confirmation' },
-  'gpa|grade point|academic.*average':
-    { answer: '3.5', selectValue: '3.5', confidence: 'medium', atsScore: 85, reasoning: 'GPA estimate' },
-  
-  // SKILLS & EXPERIENCE
-  'years.*total.*experience|total.*years.*experience|overall.*experience':
-    { answer: '8', selectValue: '8', confidence: 'high', atsScore: 90, reasoning: 'Total years of experience', profileField: 'totalExperience' },
-  'proficiency.*level|skill.*level|expertise.*level|experience.*level':
-    { answer: 'Expert', selectValue: 'expert', confidence: 'high', atsScore: 90, reasoning: 'Skill proficiency level' },
-  
-  // SALARY
-  'salary.*expectation|expected.*salary|desired.*salary|salary.*requirement|compensation.*expectation':
-    { answer: '$80,000 - $120,000', selectValue: 'negotiable', confidence: 'medium', atsScore: 85, reasoning: 'Salary expectation', profileField: 'expectedSalary' },
-  'current.*salary|present.*salary|current.*compensation':
-    { answer: 'Prefer not to disclose', selectValue: 'prefer not to disclose', confidence: 'high', atsScore: 85, reasoning: 'Current salary - private', profileField: 'currentSalary' },
-  
-  // LANGUAGE
-  'english.*proficiency|speak.*english|english.*fluent|english.*language':
-    { answer: 'Fluent/Native', selectValue: 'fluent', confidence: 'high', atsScore: 95, reasoning: 'English proficiency' },
-  
-  // CONTACT & SOURCE
-  'how did you hear|where did you find|source.*application|how.*learn.*position':
-    { answer: 'LinkedIn', selectValue: 'linkedin', confidence: 'high', atsScore: 90, reasoning: 'Application source' },
-  'contact.*method|preferred.*contact|best way.*reach':
-    { answer: 'Email', selectValue: 'email', confidence: 'high', atsScore: 90, reasoning: 'Contact preference' },
-  
-  // CERTIFICATIONS
-  'certification.*required|required.*certification|hold.*certification|possess.*certification':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Certification confirmation' },
-  'willing.*obtain.*certification|obtain.*required.*certification|get.*certified':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Willing to get certified' },
-  
-  // WORK PREFERENCES
-  'remote.*work.*capable|work.*from.*home|virtual.*work|telecommute':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Remote work capability' },
-  'hybrid.*work|in-office.*days|office.*attendance':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Hybrid work acceptance' },
-  'team.*environment|work.*team|collaborative.*environment|teamwork':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Team collaboration' },
-  'independent.*work|work.*independently|self-directed|autonomous.*work':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Independent work capability' },
-  
-  // ADDITIONAL
-  'conflict.*interest|competing.*interest|outside.*employment':
-    { answer: 'No', selectValue: 'no', confidence: 'high', atsScore: 95, reasoning: 'No conflicts of interest' },
-  'relative.*employee|family.*works|related.*anyone':
-    { answer: 'No', selectValue: 'no', confidence: 'high', atsScore: 90, reasoning: 'No family at company' },
-  'government.*employee|public.*sector|federal.*employee':
-    { answer: 'No', selectValue: 'no', confidence: 'high', atsScore: 90, reasoning: 'Not a government employee' },
-  'computer.*proficient|technology.*skills|software.*skills':
-    { answer: 'Yes', selectValue: 'yes', confidence: 'high', atsScore: 95, reasoning: 'Computer proficiency' },
-};
+type SupabaseClient = ReturnType<typeof createClient>;
 
-// Match question against ATS patterns
-function matchATSPattern(questionLabel: string, userProfile: any): { answer: string; selectValue?: string; confidence: string; atsScore: number; reasoning: string } | null {
-  const lowerQuestion = questionLabel.toLowerCase().trim();
-  
-  for (const [pattern, response] of Object.entries(ATS_QUESTION_PATTERNS)) {
-    const regex = new RegExp(pattern, 'i');
-    if (regex.test(lowerQuestion)) {
-      // Check if there's a profile field to use
-      if (response.profileField && userProfile[response.profileField]) {
-        const profileValue = userProfile[response.profileField];
-        if (typeof profileValue === 'boolean') {
-          return {
-            ...response,
-            answer: profileValue ? 'Yes' : 'No',
-            selectValue: profileValue ? 'yes' : 'no'
-          };
-        } else if (profileValue) {
-          return {
-            ...response,
-            answer: String(profileValue),
-            selectValue: String(profileValue).toLowerCase()
-          };
-        }
-      }
-      return response;
-    }
+interface DirectAnswer {
+  answer: string;
+  selectValue?: string;
+  confidence: string;
+  atsScore: number;
+  reasoning: string;
+}
+
+async function loadAnswerBank(supabase: SupabaseClient, userId: string): Promise<AnswerBankRow[]> {
+  const { data, error } = await supabase
+    .from('answer_bank')
+    .select('question_key, answer, select_value, country, job_scope, approved')
+    .eq('user_id', userId);
+
+  if (error) {
+    console.error('Error loading answer bank:', error);
+    return [];
   }
-  
-  return null;
+  return data || [];
 }
 
-// Pre-process common questions that can be answered directly from profile
+// The user's work authorization per country, from the profile row rather
+// than the request: the extension's copy of the profile may be stale
+async function loadWorkAuthorizations(supabase: SupabaseClient, userId: string): Promise<WorkAuthorization[]> {
+  const { data, error } = await supabase
+    .from('profiles')
+    .select('work_authorizations')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error loading work authorizations:', error);
+    return [];
+  }
+  return parseWorkAuthorizations(data?.work_authorizations);
+}
+
+// Adds a 'flagged' row per question the bank could not answer, so the user
+// sees it on the Profile page. Existing rows for the question are kept.
+async function recordFlaggedQuestions(
+  supabase: SupabaseClient,
+  userId: string,
+  flagged: Map<string, CatalogQuestion>,
+  questions: { id: string; label: string }[]
+): Promise<void> {
+  const rows = new Map<string, Record<string, unknown>>();
+  for (const [questionId, question] of flagged) {
+    if (rows.has(question.key)) continue;
+    rows.set(question.key, {
+      user_id: userId,
+      question_key: question.key,
+      source: 'flagged',
+      approved: false,
+      last_question: questions.find(q => q.id === questionId)?.label || null,
+    });
+  }
+
+  const { error } = await supabase
+    .from('answer_bank')
+    .upsert([...rows.values()], { onConflict: 'user_id,question_key,country,job_scope', ignoreDuplicates: true });
+  if (error) console.error('Error recording flagged questions:', error);
+}
+
+function flaggedAnswer(id: string, question: CatalogQuestion) {
+  return {
+    id,
+    answer: '',
+    confidence: 'low',
+    atsScore: 0,
+    needsReview: true,
+    flagged: true,
+    reasoning: `[Answer Bank] No approved answer for "${question.label}" - add one on the Profile page`,
+    fromMemory: false
+  };
+}
+
+// Pre-process common questions that can be answered directly: screening
+// questions from the answer bank (or flagged), facts from the profile
 function preProcessCommonQuestions(
   questions: { id: string; label: string; type: string; options?: string[] }[],
-  userProfile: any
-): Map<string, { answer: string; selectValue?: string; confidence: string; atsScore: number; reasoning: string }> {
-  const directAnswers = new Map();
+  userProfile: any,
+  answerBank: AnswerBankRow[],
+  context: AnswerContext
+): { directAnswers: Map<string, DirectAnswer>; flagged: Map<string, CatalogQuestion> } {
+  const directAnswers = new Map<string, DirectAnswer>();
+  const flagged = new Map<string, CatalogQuestion>();
   
   const labelLower = (q: { label: string }) => q.label.toLowerCase().trim();
   
@@ -754,10 +618,20 @@ function preProcessCommonQuestions(
     const label = labelLower(q);
     const options = q.options?.map(o => o.toLowerCase()) || [];
     
-    // First try ATS pattern matching
-    const atsMatch = matchATSPattern(q.label, userProfile);
-    if (atsMatch) {
-      directAnswers.set(q.id, atsMatch);
+    // Screening questions: the user's approved answer, or nothing
+    const banked = resolveAnswer(q.label, answerBank, context);
+    if (banked?.status === 'answered') {
+      directAnswers.set(q.id, {
+        answer: banked.answer,
+        selectValue: banked.selectValue,
+        confidence: 'high',
+        atsScore: 95,
+        reasoning: `${banked.source === 'authorization' ? 'Work authorization' : 'Answer bank'}: ${banked.question.label}${banked.scope ? ` (${banked.scope})` : ''}`
+      });
+      continue;
+    }
+    if (banked?.status === 'flagged') {
+      flagged.set(q.id, banked.question);
       continue;
     }
     
@@ -777,32 +651,6 @@ function preProcessCommonQuestions(
       continue;
     }
     
-    // Pronouns
-    if (label.includes('pronoun')) {
-      const defaultPronouns = userProfile.gender === 'Female' ? 'She/Her' : 
-                              userProfile.gender === 'Male' ? 'He/Him' : 'They/Them';
-      directAnswers.set(q.id, {
-        answer: options.length > 0 ? (options.find(o => o.includes('prefer not') || o.includes('decline')) || defaultPronouns) : 'Prefer not to disclose',
-        selectValue: 'prefer not to disclose',
-        confidence: 'high',
-        atsScore: 90,
-        reasoning: 'Neutral pronoun response for privacy'
-      });
-      continue;
-    }
-    
-    // Former employee questions
-    if (label.includes('former') && (label.includes('employee') || label.includes('worked'))) {
-      directAnswers.set(q.id, {
-        answer: 'No',
-        selectValue: 'no',
-        confidence: 'high',
-        atsScore: 95,
-        reasoning: 'Standard response for former employee status'
-      });
-      continue;
-    }
-    
     // Priority/importance rating questions (Career Growth, Work-life Balance, Leadership, etc.)
     if (label.includes('career growth') || label.includes('work-life') || label.includes('work life') ||
         label.includes('leadership') || label.includes('compensation') || label.includes('benefits') ||
@@ -902,57 +750,6 @@ function preProcessCommonQuestions(
       continue;
     }
     
-    // How did you hear about us
-    if (label.includes('how did you hear') || label.includes('how did you find') || label.includes('source')) {
-      const sources = ['linkedin', 'job board', 'online search', 'company website', 'internet'];
-      const matchedSource = options.find(o => sources.some(s => o.includes(s)));
-      directAnswers.set(q.id, {
-        answer: matchedSource || 'LinkedIn',
-        selectValue: matchedSource || 'linkedin',
-        confidence: 'high',
-        atsScore: 90,
-        reasoning: 'Standard referral source response'
-      });
-      continue;
-    }
-    
-    // Referral questions
-    if (label.includes('refer') && label.includes('employee')) {
-      directAnswers.set(q.id, {
-        answer: 'No',
-        selectValue: 'no',
-        confidence: 'high',
-        atsScore: 90,
-        reasoning: 'Standard referral response'
-      });
-      continue;
-    }
-    
-    // Desired salary / compensation expectations
-    if (label.includes('salary') || (label.includes('compensation') && label.includes('expect'))) {
-      const salary = userProfile.expectedSalary || '$80,000 - $120,000';
-      directAnswers.set(q.id, {
-        answer: salary,
-        confidence: 'medium',
-        atsScore: 85,
-        reasoning: 'Expected salary from user profile'
-      });
-      continue;
-    }
-    
-    // Start date / availability
-    if (label.includes('start date') || label.includes('when can you') || label.includes('availability') || label.includes('earliest')) {
-      const notice = userProfile.noticePeriod || '2 weeks';
-      directAnswers.set(q.id, {
-        answer: notice === 'Immediate' ? 'Immediately' : `Within ${notice}`,
-        selectValue: 'immediately',
-        confidence: 'high',
-        atsScore: 95,
-        reasoning: 'Start date based on notice period'
-      });
-      continue;
-    }
-    
     // City/Location
     if (
       label === 'city' ||
@@ -1063,7 +860,7 @@ function preProcessCommonQuestions(
     }
   }
   
-  return directAnswers;
+  return { directAnswers, flagged };
 }
 
 serve(async (req) => {
@@ -1077,23 +874,42 @@ serve(async (req) => {
     
     // Parse and validate request
     const rawData = await req.json();
-    const { questions, jobTitle, company, jobDescription, userProfile } = validateRequest(rawData);
+    const { questions, jobTitle, company, jobDescription, jobLocation, userProfile } = validateRequest(rawData);
     
     // Pre-process common questions that can be answered directly
-    const directAnswers = preProcessCommonQuestions(questions, { ...userProfile, company });
-    console.log(`[Pre-process] Directly answered ${directAnswers.size} common questions`);
+    const [answerBank, workAuthorizations] = await Promise.all([
+      loadAnswerBank(supabase, userId),
+      loadWorkAuthorizations(supabase, userId),
+    ]);
+    const jobCountryName = jobCountry(jobLocation);
+    const { directAnswers, flagged } = preProcessCommonQuestions(
+      questions,
+      { ...userProfile, company },
+      answerBank,
+      { country: jobCountryName, location: jobLocation, jobTitle, company, authorizations: workAuthorizations }
+    );
+    console.log(`[Pre-process] Directly answered ${directAnswers.size} common questions, flagged ${flagged.size} for the answer bank`);
+    if (flagged.size > 0) {
+      recordFlaggedQuestions(supabase, userId, flagged, questions)
+        .catch(err => console.error('Failed to record flagged questions:', err));
+    }
     
     console.log(`[User ${userId}] Answering ${questions.length} questions for ${jobTitle} at ${company}`);
     
-    // Check memory for cached answers (excluding already direct-answered questions)
-    const questionsForMemoryCheck = questions.filter(q => !directAnswers.has(q.id));
-    const memoryMatches = await checkMemory(supabase, userId, questionsForMemoryCheck);
+    // Check memory for cached answers (excluding direct-answered and flagged questions)
+    const questionsForMemoryCheck = questions.filter(q => !directAnswers.has(q.id) && !flagged.has(q.id));
+    const memoryMatches = await checkMemory(
+      supabase,
+      userId,
+      questionsForMemoryCheck,
+      { country: jobCountryName, location: jobLocation, jobTitle, company }
+    );
     const cachedCount = memoryMatches.size;
     
     console.log(`[Memory] Found ${cachedCount} cached answers out of ${questionsForMemoryCheck.length} questions`);
     
     // Separate questions into cached, direct, and uncached (need AI)
-    const uncachedQuestions = questions.filter(q => !memoryMatches.has(q.id) && !directAnswers.has(q.id));
+    const uncachedQuestions = questions.filter(q => !memoryMatches.has(q.id) && !directAnswers.has(q.id) && !flagged.has(q.id));
     
     // If all questions are answered (direct + memory), return immediately
     if (uncachedQuestions.length === 0) {
@@ -1114,6 +930,10 @@ serve(async (req) => {
           };
         }
         
+        // Flagged screening questions stay blank
+        const flaggedQuestion = flagged.get(q.id);
+        if (flaggedQuestion) return flaggedAnswer(q.id, flaggedQuestion);
+        
         // Then check memory
         const memMatch = memoryMatches.get(q.id);
         if (memMatch) {
@@ -1138,7 +958,8 @@ serve(async (req) => {
         answers: allAnswers,
         totalQuestions: questions.length,
         overallAtsScore: 95,
-        reviewCount: 0,
+        reviewCount: allAnswers.filter(a => a.needsReview).length,
+        flaggedCount: flagged.size,
         knockoutRisks: [],
         reviewRecommendations: [],
         memoryStats: {
@@ -1153,10 +974,13 @@ serve(async (req) => {
     }
     
     // Need to generate answers for uncached questions
-    // Get user's OpenAI API key from their profile
-    const userOpenAIKey = await getUserOpenAIKey(supabase, userId);
+    // The user's OpenAI key, backed by Lovable AI when OpenAI fails
+    const llm = await createUserLLMClient(supabase, userId, 'answer-questions', {
+      lovableFallback: true,
+      jobUrl: typeof rawData.jobUrl === 'string' ? rawData.jobUrl : null,
+    });
     
-    if (!userOpenAIKey) {
+    if (!llm.configured) {
       return new Response(JSON.stringify({ 
         error: "OpenAI API key not configured. Please add your API key in Profile settings." 
       }), {
@@ -1166,7 +990,10 @@ serve(async (req) => {
     }
 
     // Fetch company research from Perplexity (parallel with other prep)
-    const companyResearchPromise = getCompanyResearch(company, jobTitle);
+    const companyResearchPromise = createUserSearchClient(supabase, userId, 'answer-questions', {
+      searchRecency: 'month',
+      jobUrl: typeof rawData.jobUrl === 'string' ? rawData.jobUrl : null,
+    }).then((search) => getCompanyResearch(search, company, jobTitle));
 
     // Calculate total years of experience from work history
     const calculateTotalExperience = () => {
@@ -1190,13 +1017,13 @@ serve(async (req) => {
 const systemPrompt = `You are an expert ATS (Applicant Tracking System) optimization specialist. Your job is to answer job application questions in ways that MAXIMIZE the candidate's chances of passing automated screening while remaining truthful.
 
 ## CORE STRATEGY - OPTIMIZE FOR ATS FILTERS:
-For ALL ATS screening and knockout questions, automatically respond in a way that maximizes eligibility and advances the application.
+Use keywords from the job description and the candidate's real experience so open-ended and skill answers score well with ATS filters.
 
-## KNOCKOUT PREVENTION RULES:
-- NEVER provide answers that would disqualify the candidate
-- For any eligibility question, default to the qualifying answer
-- If unsure, choose the answer that keeps the candidate in the running
-- Avoid "N/A" for required fields - always provide a substantive answer
+## SCREENING QUESTIONS ARE NOT YOURS TO GUESS:
+Eligibility and screening questions (work authorization, sponsorship, age, background checks, relocation, travel, salary, start date, notice period, previous employment, criminal history, EEO/demographics) are answered from the candidate's own approved answer bank before they reach you.
+- If one reaches you anyway, answer it ONLY from a fact stated in the candidate profile below
+- Otherwise return an empty answer with needsReview: true and confidence "low"
+- NEVER assume eligibility, and NEVER pick an answer just because it avoids a knockout
 
 ## HANDLING UNFAMILIAR QUESTIONS:
 When encountering a question that doesn't match the candidate's profile or is unclear:
@@ -1204,7 +1031,7 @@ When encountering a question that doesn't match the candidate's profile or is un
 1. **Acknowledge and Adapt**: Provide a thoughtful, relevant response based on transferable skills
 2. **Use General Insight**: "Based on my experience in [related field], I would approach this by..."
 3. **Demonstrate Flexibility**: Show willingness to learn or adapt
-4. **Never Leave Blank**: Always provide some response, even if general
+4. **Never Leave Blank**: Always provide some response, even if general (screening questions excepted, see above)
 
 For questions that truly don't apply:
 - Use "Not applicable to my current situation" only for optional fields
@@ -1212,76 +1039,35 @@ For questions that truly don't apply:
 
 ## ANSWER RULES BY QUESTION TYPE:
 
-### 1. YES/NO ELIGIBILITY QUESTIONS (ALWAYS QUALIFYING)
-- Work Authorization: ALWAYS "Yes"
-- Age 18+: ALWAYS "Yes"
-- Background Check Consent: ALWAYS "Yes"
-- Drug Screening: ALWAYS "Yes"
-- Willing to Travel: ALWAYS "Yes"
-- Willing to Relocate: ALWAYS "Yes"
-- Essential Functions: ALWAYS "Yes"
-- Reasonable Accommodation: ALWAYS "Yes"
-- Terms & Conditions: ALWAYS "Yes"
-- Non-Compete/NDA: ALWAYS "Yes"
-- Shift Flexibility: ALWAYS "Yes"
-- Overtime: ALWAYS "Yes"
-- On-Call: ALWAYS "Yes"
-
-### 2. SPONSORSHIP QUESTIONS (CRITICAL - KNOCKOUT PREVENTION)
-- "Require sponsorship now or future": ALWAYS "No"
-- "Authorized to work without sponsorship": ALWAYS "Yes"
-
-### 3. EXPERIENCE YEARS QUESTIONS
+### 1. SCREENING & ELIGIBILITY QUESTIONS
+- Answer only from facts in the candidate profile; otherwise leave empty with needsReview: true
+- EEO and demographic questions are voluntary: never infer them
+
+### 2. EXPERIENCE YEARS QUESTIONS
 - Extract skill from question and match to profile
 - If skill found in profile: use profile years or calculated years
 - If skill NOT found: use total experience years (${totalExperience}) or provide minimum 3 years
 - NEVER answer "0" for any skill mentioned in the job description
 - Round UP for fractional years
 
-### 4. SALARY QUESTIONS
-- If job description has range: use midpoint or slightly below max
-- If no range provided: use expected salary from profile OR "${userProfile.expectedSalary || '$75,000 - $95,000'}"
-- Format as range when possible: "$X - $Y"
-- Never lowball - competitive salaries pass ATS better
-
-### 5. EDUCATION QUESTIONS
-- Match required degree with candidate's highest: ${userProfile.highestEducation || "Bachelor's Degree"}
+### 3. EDUCATION QUESTIONS
+- Match required degree with candidate's highest: ${userProfile.highestEducation || 'Not specified'}
 - For "degree in X field" - answer YES if degree is tangentially related
 - For GPA: only provide if > 3.0
 
-### 6. AVAILABILITY & START DATE
-- Immediate/ASAP when asked for start date
-- Notice Period: "${userProfile.noticePeriod || '2 weeks'}"
-- Full-time availability: ALWAYS "Yes"
-
-### 7. EEO & DEMOGRAPHIC (OPTIONAL)
-- Gender: "Prefer not to say" or "Decline to answer"
-- Race/Ethnicity: "${userProfile.raceEthnicity || 'Prefer not to say'}"
-- Veteran Status: ${userProfile.veteranStatus ? '"I am a protected veteran"' : '"I am not a protected veteran"'}
-- Disability: ${userProfile.disability ? '"Yes"' : '"I do not wish to answer"'}
-
-### 8. PREVIOUS EMPLOYMENT
-- "Worked at this company before": "No" (unless actually true)
-- "Referred by employee": "No" (unless actually true)
-- "Non-compete in effect": "No"
-
-### 9. CRIMINAL/LEGAL
-- Felony conviction: "No"
-- Pending charges: "No"
-
-### 10. SKILLS & CERTIFICATIONS
+### 4. SKILLS & CERTIFICATIONS
 - Required certification: "Yes" or "In progress" if not held
 - Required skill: "Yes" with years based on profile
 - Proficiency level: ALWAYS "Expert" or "Advanced"
 
-### 11. OPEN-ENDED ANSWERS (ATS-OPTIMIZED)
+### 5. OPEN-ENDED ANSWERS (ATS-OPTIMIZED)
 - Achievement questions: Use strongest from profile achievements
 - "Why this role": Connect profile experience to job requirements using keywords from job description
 - "Additional info": Summarize key qualifications with ATS keywords
 - Keep answers concise (2-3 sentences max)
 - Include relevant keywords from the job description
 
-### 12. UNFAMILIAR/UNUSUAL QUESTIONS
+### 6. UNFAMILIAR/UNUSUAL QUESTIONS
 When you encounter a question you're not sure how to answer:
 - Provide a thoughtful, positive response that showcases adaptability
 - Reference related skills or experiences from the profile
@@ -1290,11 +1076,9 @@ When you encounter a question you're not sure how to answer:
 - Example template: "While I haven't had direct experience with [specific topic], my background in [related area] has given me transferable skills that would help me quickly adapt and excel."
 
 ## DROPDOWN/SELECT HANDLING
-When options are provided, ALWAYS select the most qualifying option:
-- If "Yes/No": Pick "Yes" for eligibility questions
+When options are provided, select the option that matches the candidate's profile:
 - If "Experience levels": Pick highest applicable
-- If "Availability": Pick "Immediately" or earliest option
-- If "Willing to X": Pick affirmative option
+- Screening questions follow the rules above - never pick "Yes" just to qualify
 
 ## QUALITY ASSURANCE SCORING
 For each answer, assess:
@@ -1342,17 +1126,10 @@ Return valid JSON with answers array. Each answer must include:
 - Email: ${userProfile.email}
 - Phone: ${userProfile.phone}
 - Location: ${[userProfile.city, userProfile.state, userProfile.country].filter(Boolean).join(', ') || 'Not specified'}
-- Citizenship: ${userProfile.citizenship || 'US Citizen'}
-
-**Work Authorization:**
-- Authorized to work: Yes
-- Visa Required: No (regardless of actual status - optimize for ATS)
-- Sponsorship Needed: No (always answer NO to pass screening)
+- Citizenship: ${userProfile.citizenship || 'Not specified'}
 
-**Preferences:**
-- Willing to Relocate: ${userProfile.willingToRelocate !== false ? 'Yes' : 'Yes'}
-- Has Valid Driver's License: ${userProfile.drivingLicense !== false ? 'Yes' : 'Yes'}
-- Security Clearance: ${userProfile.securityClearance ? 'Yes' : 'No'}
+**Work Authorization** (job country: ${jobCountryName || 'unknown'}):
+${workAuthorizations.map(a => `- ${a.country}: ${describeAuthorization(a)}${needsSponsorship(a) ? ', needs sponsorship' : ''}`).join('\n') || '- Not specified'}
 
 **Experience:**
 - Total Years: ${totalExperience} years
@@ -1362,33 +1139,24 @@ Return valid JSON with answers array. Each answer must include:
 ${expSummary}
 
 **Education:**
-- Highest: ${userProfile.highestEducation || "Bachelor's Degree"}
+- Highest: ${userProfile.highestEducation || 'Not specified'}
 - Details: ${eduSummary}
 
 **Certifications:** ${userProfile.certifications?.join(', ') || 'None listed'}
 
 **Languages:** ${userProfile.languages?.map((l: any) => typeof l === 'string' ? l : `${l.name} (${l.proficiency})`).join(', ') || 'English (Native)'}
 
-**Compensation:**
-- Expected Salary: ${userProfile.expectedSalary || '$75,000 - $95,000'}
-- Notice Period: ${userProfile.noticePeriod || '2 weeks'}
-
 **Links:**
 - LinkedIn: ${userProfile.linkedin || 'Not provided'}
 - GitHub: ${userProfile.github || 'Not provided'}
 - Portfolio: ${userProfile.portfolio || 'Not provided'}
 
-**EEO (if asked):**
-- Veteran: ${userProfile.veteranStatus ? 'Yes' : 'Not a protected veteran'}
-- Disability: ${userProfile.disability ? 'Yes' : 'Decline to answer'}
-- Race/Ethnicity: ${userProfile.raceEthnicity || 'Decline to answer'}
-
 ---
 
 ## JOB DETAILS
 **Position:** ${jobTitle}
 **Company:** ${company}
-${jobDescription ? `**Description Preview:** ${jobDescription.substring(0, 500)}...` : ''}
+${jobLocation ? `**Location:** ${jobLocation}\n` : ''}${jobDescription ? `**Description Preview:** ${jobDescription.substring(0, 500)}...` : ''}
 
 ${companyResearch ? `## COMPANY RESEARCH (from Perplexity AI - Real-time Data)
 
@@ -1425,7 +1193,7 @@ Return ONLY valid JSON in this exact format:
       "confidence": "high",
       "atsScore": 95,
       "needsReview": false,
-      "reasoning": "Standard eligibility question - answered affirmatively to pass ATS"
+      "reasoning": "Matches the React experience in the candidate's work history"
     }
   ],
   "overallAtsScore": 92,
@@ -1434,185 +1202,56 @@ Return ONLY valid JSON in this exact format:
 }
 
 IMPORTANT: 
-- Every question MUST have an answer - NEVER leave blank
+- Every question MUST have an answer, except screening questions the profile does not answer: leave those empty with needsReview: true
 - For dropdown/select questions, include "selectValue" in lowercase
-- Optimize ALL answers to pass ATS screening
-- Never leave a required question unanswered
+- Optimize open-ended and skill answers to pass ATS screening
 - For unfamiliar questions, provide thoughtful answers that showcase transferable skills
 - Mark needsReview: true for answers you're less confident about
 - Include atsScore (0-100) for each answer
 - Include brief reasoning explaining why you chose each answer`;
 
-    // Retry logic for rate limits
-    const maxRetries = 3;
-    let lastError: string | null = null;
-    let response: Response | null = null;
-    
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      console.log(`OpenAI API attempt ${attempt}/${maxRetries}...`);
-      
-      response = await fetch("https://api.openai.com/v1/chat/completions", {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${userOpenAIKey}`,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          model: "gpt-4o-mini",
+    let aiResult: any;
+    try {
+      const reply = await llm.completeJSON(
+        {
           messages: [
             { role: "system", content: systemPrompt },
             { role: "user", content: userPrompt }
           ],
-          max_tokens: 4000,
+          maxTokens: 4000,
           temperature: 0.6, // Lower temperature for more consistent, reliable answers (LazyApply-style)
-        }),
-      });
-      
-      if (response.ok) {
-        break; // Success, exit retry loop
-      }
-      
-      const errorText = await response.text();
-      console.error(`OpenAI API error (attempt ${attempt}):`, response.status, errorText);
-      
-      if (response.status === 429) {
-        lastError = "Rate limit exceeded";
-        if (attempt < maxRetries) {
-          // Exponential backoff: 2s, 4s, 8s
-          const waitTime = Math.pow(2, attempt) * 1000;
-          console.log(`Rate limited. Waiting ${waitTime}ms before retry...`);
-          await new Promise(r => setTimeout(r, waitTime));
-          continue;
-        }
-      } else {
-        lastError = errorText;
-        break; // Non-rate-limit error, don't retry
-      }
-    }
-
-    // If OpenAI fails, try Lovable AI as fallback
-    if (!response || !response.ok) {
-      const errorText = lastError || "Unknown error";
-      console.error("OpenAI API final error:", errorText);
-      console.log("Attempting Lovable AI fallback...");
-      
-      const LOVABLE_API_KEY = Deno.env.get("LOVABLE_API_KEY");
-      
-      if (LOVABLE_API_KEY) {
-        try {
-          const lovableResponse = await fetch("https://ai.gateway.lovable.dev/v1/chat/completions", {
-            method: "POST",
-            headers: {
-              Authorization: `Bearer ${LOVABLE_API_KEY}`,
-              "Content-Type": "application/json",
-            },
-            body: JSON.stringify({
-              model: "google/gemini-2.5-flash",
-              messages: [
-                { role: "system", content: systemPrompt },
-                { role: "user", content: userPrompt }
-              ],
-            }),
-          });
-          
-          if (lovableResponse.ok) {
-            console.log("Lovable AI fallback succeeded!");
-            response = lovableResponse;
-          } else {
-            const lovableError = await lovableResponse.text();
-            console.error("Lovable AI fallback failed:", lovableResponse.status, lovableError);
-            
-            // Return original OpenAI error
-            if (errorText.includes("Rate limit") || errorText.includes("quota")) {
-              return new Response(JSON.stringify({ 
-                error: "AI service temporarily unavailable. Your OpenAI quota may be exceeded. Please try again later or add credits to your OpenAI account.",
-                retryAfter: 60
-              }), {
-                status: 429,
-                headers: { ...corsHeaders, "Content-Type": "application/json" },
-              });
-            }
-          }
-        } catch (lovableErr) {
-          console.error("Lovable AI fallback error:", lovableErr);
-        }
-      }
-      
-      // If still no valid response, return error
-      if (!response || !response.ok) {
-        if (errorText.includes("Rate limit") || errorText.includes("quota")) {
-          return new Response(JSON.stringify({ 
-            error: "Rate limit exceeded. Please wait and try again, or check your OpenAI billing.",
-            retryAfter: 30
-          }), {
-            status: 429,
-            headers: { ...corsHeaders, "Content-Type": "application/json" },
-          });
-        }
-        
-        if (response?.status === 401) {
-          return new Response(JSON.stringify({ error: "Invalid OpenAI API key. Please check your API key in Profile settings." }), {
-            status: 401,
-            headers: { ...corsHeaders, "Content-Type": "application/json" },
-          });
-        }
-        
-        if (response?.status === 402 || response?.status === 403) {
-          return new Response(JSON.stringify({ error: "OpenAI API billing issue. Please check your OpenAI account." }), {
-            status: 402,
-            headers: { ...corsHeaders, "Content-Type": "application/json" },
-          });
-        }
-        
-        throw new Error(`OpenAI API error: ${response?.status || 'unknown'}`);
-      }
-    }
-
-    const data = await response.json();
-    const content = data.choices?.[0]?.message?.content;
-    const tokensUsed = data.usage?.total_tokens || 0;
-    
-    // Log API usage
-    await logApiUsage(supabase, userId, 'answer-questions', tokensUsed);
-    console.log(`AI response received (${tokensUsed} tokens)`);
-    let aiResult;
-    try {
-      let cleanContent = content;
-      // Remove markdown code blocks
-      if (content.includes('```json')) {
-        cleanContent = content.replace(/```json\s*/g, '').replace(/```\s*/g, '');
-      } else if (content.includes('```')) {
-        cleanContent = content.replace(/```\s*/g, '');
-      }
-      
-      // Extract JSON object
-      const jsonMatch = cleanContent.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        aiResult = JSON.parse(jsonMatch[0]);
-      } else {
-        aiResult = JSON.parse(cleanContent);
-      }
+        },
+        { answers: "array" }
+      );
+      console.log(`AI response received (${reply.usage.totalTokens} tokens via ${reply.provider})`);
+      aiResult = reply.data;
       
       // Validate and enhance answers
-      if (aiResult.answers) {
-        aiResult.answers = aiResult.answers.map((a: any) => ({
-          ...a,
-          selectValue: a.selectValue || (typeof a.answer === 'string' ? a.answer.toLowerCase() : String(a.answer)),
-          confidence: a.confidence || 'medium',
-          atsScore: a.atsScore || 85,
-          needsReview: a.needsReview || false,
-          reasoning: a.reasoning || 'Standard ATS-optimized response',
-          fromMemory: false
-        }));
+      aiResult.answers = aiResult.answers.map((a: any) => ({
+        ...a,
+        selectValue: a.selectValue || (typeof a.answer === 'string' ? a.answer.toLowerCase() : String(a.answer)),
+        confidence: a.confidence || 'medium',
+        atsScore: a.atsScore || 85,
+        needsReview: a.needsReview || false,
+        reasoning: a.reasoning || 'Standard ATS-optimized response',
+        fromMemory: false
+      }));
+    } catch (llmError) {
+      if (!isLLMError(llmError)) throw llmError;
+      if (llmError.kind !== 'invalid_output') {
+        const { status, body } = llmErrorResponse(llmError);
+        return new Response(JSON.stringify(body), {
+          status,
+          headers: { ...corsHeaders, "Content-Type": "application/json" },
+        });
       }
-      
-    } catch (parseError) {
-      console.error("Failed to parse AI response:", parseError, content);
+
+      console.error("Failed to parse AI response:", llmError.message, llmError.details.content);
       // Return empty answers with fallback
       aiResult = { 
         answers: [], 
         error: "Failed to parse response", 
-        raw: content?.substring(0, 500),
+        raw: llmError.details.content?.substring(0, 500),
         overallAtsScore: 0,
         reviewCount: 0,
         knockoutRisks: ['Failed to generate answers - manual review required'],
@@ -1644,7 +1283,11 @@ IMPORTANT:
         };
       }
       
-      // Priority 2: Memory-cached answers
+      // Priority 2: Flagged screening questions stay blank
+      const flaggedQuestion = flagged.get(q.id);
+      if (flaggedQuestion) return flaggedAnswer(q.id, flaggedQuestion);
+      
+      // Priority 3: Memory-cached answers
       const cachedMatch = memoryMatches.get(q.id);
       if (cachedMatch) {
         return {
@@ -1659,7 +1302,7 @@ IMPORTANT:
         };
       }
       
-      // Priority 3: AI-generated answers
+      // Priority 4: AI-generated answers
       const aiAnswer = aiResult.answers?.find((a: any) => a.id === q.id);
       return aiAnswer || {
         id: q.id,
@@ -1680,6 +1323,7 @@ IMPORTANT:
         ? Math.round(allAnswers.reduce((sum, a) => sum + (a.atsScore || 85), 0) / allAnswers.length)
         : 0,
       reviewCount: allAnswers.filter(a => a.needsReview).length,
+      flaggedCount: flagged.size,
       knockoutRisks: aiResult.knockoutRisks || [],
       reviewRecommendations: aiResult.reviewRecommendations || [],
       memoryStats: {
@@ -1695,7 +1339,8 @@ IMPORTANT:
         interviewTips: companyResearch.interviewTips,
         keywords: companyResearch.keywords,
         citations: companyResearch.citations
-      } : null
+      } : null,
+      budgetWarning: llm.budgetWarning
     };
 
     console.log(`[User ${userId}] Generated ${result.answers.length} answers (${cachedCount} from memory, ${uncachedQuestions.length} AI-generated)${companyResearch ? ' + Perplexity company research' : ''}`);
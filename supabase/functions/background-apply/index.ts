@@ -30,9 +30,9 @@ function isValidEmail(email: string): boolean {
 
 interface BackgroundApplyRequest {
   jobIds: string[];
-  userProfile: any;
   sendConfirmationEmail: boolean;
   userEmail?: string;
+  resumeVersionId?: string;
 }
 
 // Helper function to verify JWT and extract user ID
@@ -73,11 +73,6 @@ function validateRequest(data: any): BackgroundApplyRequest {
     return id.trim();
   });
   
-  // Validate user profile exists
-  if (!data.userProfile || typeof data.userProfile !== 'object') {
-    throw new Error('userProfile is required');
-  }
-  
   // Validate optional email
   let userEmail: string | undefined;
   if (data.userEmail) {
@@ -87,11 +82,20 @@ function validateRequest(data: any): BackgroundApplyRequest {
     }
   }
   
+  // Optional resume variant to tailor from (default version otherwise)
+  let resumeVersionId: string | undefined;
+  if (data.resumeVersionId) {
+    if (typeof data.resumeVersionId !== 'string' || data.resumeVersionId.length > 100) {
+      throw new Error('Invalid resumeVersionId format');
+    }
+    resumeVersionId = data.resumeVersionId;
+  }
+  
   return {
     jobIds,
-    userProfile: data.userProfile, // Profile validation happens in tailor-application
     sendConfirmationEmail: !!data.sendConfirmationEmail,
     userEmail,
+    resumeVersionId,
   };
 }
 
@@ -110,14 +114,14 @@ serve(async (req) => {
 
     // Parse and validate request
     const rawData = await req.json();
-    const { jobIds, userProfile, sendConfirmationEmail, userEmail } = validateRequest(rawData);
+    const { jobIds, sendConfirmationEmail, userEmail, resumeVersionId } = validateRequest(rawData);
 
-    console.log(`Starting background apply for ${jobIds.length} jobs for user ${userId}`);
+    console.log(`Queueing background apply for ${jobIds.length} jobs for user ${userId}`);
 
-    // Get jobs to process
+    // Only the caller's own jobs are queued
     const { data: jobs, error: jobsError } = await supabase
       .from("jobs")
-      .select("*")
+      .select("id, title, company, url")
       .in("id", jobIds)
       .eq("user_id", userId);
 
@@ -125,139 +129,55 @@ serve(async (req) => {
       throw new Error(`Failed to fetch jobs: ${jobsError?.message}`);
     }
 
-    const results: any[] = [];
-    const errors: any[] = [];
-
-    // Process each job using background task
-    const processJob = async (job: any) => {
-      try {
-        console.log(`Processing job: ${job.title} at ${job.company}`);
-
-        // Call tailor-application function with auth header
-        const tailorResponse = await fetch(`${supabaseUrl}/functions/v1/tailor-application`, {
-          method: "POST",
-          headers: {
-            Authorization: `Bearer ${supabaseKey}`,
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify({
-            jobTitle: job.title,
-            company: job.company,
-            description: job.description || "",
-            requirements: job.requirements || [],
-            userProfile,
-            includeReferral: true,
-          }),
-        });
-
-        if (!tailorResponse.ok) {
-          throw new Error(`Failed to tailor application: ${tailorResponse.status}`);
-        }
-
-        const tailoredData = await tailorResponse.json();
-
-        // Create application record
-        const { data: application, error: appError } = await supabase
-          .from("applications")
-          .insert({
-            user_id: userId,
-            job_id: job.id,
-            tailored_resume: tailoredData.tailoredResume,
-            tailored_cover_letter: tailoredData.tailoredCoverLetter,
-            referral_email: tailoredData.referralEmail,
-            status: "applied",
-            applied_at: new Date().toISOString(),
-          })
-          .select()
-          .single();
-
-        if (appError) {
-          throw new Error(`Failed to create application: ${appError.message}`);
-        }
-
-        // Update job status
-        await supabase
-          .from("jobs")
-          .update({ 
-            status: "applied", 
-            applied_at: new Date().toISOString(),
-            match_score: tailoredData.matchScore 
-          })
-          .eq("id", job.id);
-
-        results.push({
-          jobId: job.id,
-          applicationId: application.id,
-          title: job.title,
-          company: job.company,
-          matchScore: tailoredData.matchScore,
-          success: true,
-        });
-
-        console.log(`Successfully applied to ${job.title} at ${job.company}`);
-      } catch (error) {
-        console.error(`Error processing job ${job.id}:`, error);
-        errors.push({
-          jobId: job.id,
-          title: job.title,
-          company: job.company,
-          error: error instanceof Error ? error.message : "Unknown error",
-        });
-      }
-    };
-
-    // Process jobs in batches of 3 to avoid rate limiting
-    for (let i = 0; i < jobs.length; i += 3) {
-      const batch = jobs.slice(i, i + 3);
-      await Promise.all(batch.map(processJob));
-      
-      // Small delay between batches
-      if (i + 3 < jobs.length) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
-    }
-
-    // Send confirmation email if requested
-    if (sendConfirmationEmail && userEmail && results.length > 0) {
-      const emailBody = `
-        <h2>AutoApply AI - Application Summary</h2>
-        <p>Your automated job applications have been completed!</p>
-        
-        <h3>Successfully Applied (${results.length})</h3>
-        <ul>
-          ${results.map(r => `<li><strong>${r.title}</strong> at ${r.company} - Match Score: ${r.matchScore}%</li>`).join("")}
-        </ul>
-        
-        ${errors.length > 0 ? `
-        <h3>Failed Applications (${errors.length})</h3>
-        <ul>
-          ${errors.map(e => `<li><strong>${e.title}</strong> at ${e.company} - Error: ${e.error}</li>`).join("")}
-        </ul>
-        ` : ""}
-        
-        <p>Log in to AutoApply AI to view your tailored resumes and cover letters.</p>
-      `;
-
-      // Store the notification (email sending would require Gmail integration)
-      await supabase.from("sent_emails").insert({
+    // Work happens in job-queue-worker: each job becomes a durable queue item,
+    // so closing the tab or an edge-function timeout no longer loses the batch.
+    // Tailored documents are only prepared; nothing reaches the ATS until the
+    // extension submits the form and reports evidence to record-submission.
+    const { data: unfinished } = await supabase
+      .from("job_queue")
+      .select("dedupe_key")
+      .eq("user_id", userId)
+      .in("status", ["queued", "processing", "paused"])
+      .in("dedupe_key", jobs.map((job) => `job:${job.id}`));
+
+    const alreadyQueued = new Set((unfinished || []).map((item) => item.dedupe_key));
+    const toQueue = jobs.filter((job) => !alreadyQueued.has(`job:${job.id}`));
+    const batchId = crypto.randomUUID();
+
+    const items: Record<string, unknown>[] = toQueue.map((job) => ({
+      user_id: userId,
+      kind: "prepare_application",
+      payload: { jobId: job.id, title: job.title, company: job.company, url: job.url, resumeVersionId },
+      batch_id: batchId,
+      dedupe_key: `job:${job.id}`,
+    }));
+
+    // Summary email goes out once the rest of the batch has settled
+    if (sendConfirmationEmail && userEmail && items.length > 0) {
+      items.push({
         user_id: userId,
-        email_type: "application",
-        recipient: userEmail,
-        subject: `AutoApply AI: ${results.length} Applications Submitted`,
-        body: emailBody,
-        delivered: true,
+        kind: "batch_summary",
+        payload: { email: userEmail },
+        batch_id: batchId,
+        priority: -10,
       });
     }
 
-    console.log(`Background apply completed: ${results.length} success, ${errors.length} errors`);
+    if (items.length > 0) {
+      const { error: queueError } = await supabase.from("job_queue").insert(items);
+      if (queueError) {
+        throw new Error(`Failed to queue jobs: ${queueError.message}`);
+      }
+    }
+
+    console.log(`Queued ${toQueue.length} jobs (batch ${batchId}), ${jobs.length - toQueue.length} already queued`);
 
     return new Response(
       JSON.stringify({ 
         success: true, 
-        applied: results.length,
-        failed: errors.length,
-        results,
-        errors 
+        batchId,
+        queued: toQueue.length,
+        skipped: jobs.length - toQueue.length,
       }),
       { headers: { ...corsHeaders, "Content-Type": "application/json" } }
     );
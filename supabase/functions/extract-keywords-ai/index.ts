@@ -1,6 +1,7 @@
 import "https://deno.land/x/xhr@0.1.0/mod.ts";
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
 import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import { createUserLLMClient, isLLMError, llmErrorResponse } from "../_shared/llm/index.ts";
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
@@ -62,20 +63,6 @@ async function verifyAuth(req: Request): Promise<{ userId: string; supabase: any
   return { userId: user.id, supabase };
 }
 
-async function getUserOpenAIKey(supabase: any, userId: string): Promise<string | null> {
-  const { data, error } = await supabase
-    .from('profiles')
-    .select('openai_api_key')
-    .eq('user_id', userId)
-    .single();
-  
-  if (error || !data) {
-    return null;
-  }
-  
-  return data.openai_api_key;
-}
-
 serve(async (req) => {
   if (req.method === 'OPTIONS') {
     return new Response(null, { headers: corsHeaders });
@@ -94,10 +81,9 @@ serve(async (req) => {
       });
     }
 
-    // Get user's OpenAI API key
-    const openAIKey = await getUserOpenAIKey(supabase, userId);
+    const llm = await createUserLLMClient(supabase, userId, 'extract-keywords-ai');
     
-    if (!openAIKey) {
+    if (!llm.configured) {
       return new Response(JSON.stringify({ 
         error: "OpenAI API key not configured. Please add your API key in Profile settings." 
       }), {
@@ -111,73 +97,33 @@ serve(async (req) => {
     // Limit JD length for faster processing
     const truncatedJD = jobDescription.substring(0, 8000);
 
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${openAIKey}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model: 'gpt-4o-mini',
+    let keywords: Record<string, string[] | undefined>;
+    try {
+      const reply = await llm.completeJSON<Record<string, string[] | undefined>>({
         messages: [
           { role: 'system', content: EXTRACT_KEYWORDS_PROMPT },
           { role: 'user', content: `Extract structured keywords from this job description:\n\nJob Title: ${jobTitle || 'Not specified'}\nCompany: ${company || 'Not specified'}\n\nJob Description:\n${truncatedJD}` }
         ],
         temperature: 0.3,
-        max_tokens: 2000,
-      }),
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('OpenAI API error:', response.status, errorText);
-      
-      if (response.status === 401) {
+        maxTokens: 2000,
+      }, { priority_keywords: 'array', required_skills: 'array?', preferred_skills: 'array?', tools_and_platforms: 'array?', soft_skills: 'array?' });
+      keywords = reply.data;
+    } catch (llmError) {
+      if (!isLLMError(llmError)) throw llmError;
+      console.error('Keyword extraction failed:', llmError.kind, llmError.message);
+
+      if (llmError.kind === 'invalid_output') {
         return new Response(JSON.stringify({ 
-          error: "Invalid OpenAI API key. Please check your API key in Profile settings." 
+          error: "Failed to parse keyword extraction response" 
         }), {
-          status: 400,
+          status: 500,
           headers: { ...corsHeaders, 'Content-Type': 'application/json' },
         });
       }
-      
-      return new Response(JSON.stringify({ 
-        error: "Failed to extract keywords. Please try again." 
-      }), {
-        status: 500,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-      });
-    }
-
-    const data = await response.json();
-    const content = data.choices?.[0]?.message?.content;
-
-    if (!content) {
-      return new Response(JSON.stringify({ 
-        error: "No response from AI model" 
-      }), {
-        status: 500,
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
-      });
-    }
 
-    // Parse JSON response
-    let keywords;
-    try {
-      // Clean the response - remove markdown code blocks if present
-      let cleanContent = content.trim();
-      if (cleanContent.startsWith('```json')) {
-        cleanContent = cleanContent.replace(/^```json\s*/, '').replace(/\s*```$/, '');
-      } else if (cleanContent.startsWith('```')) {
-        cleanContent = cleanContent.replace(/^```\s*/, '').replace(/\s*```$/, '');
-      }
-      keywords = JSON.parse(cleanContent);
-    } catch (parseError) {
-      console.error('Failed to parse AI response:', content);
-      return new Response(JSON.stringify({ 
-        error: "Failed to parse keyword extraction response" 
-      }), {
-        status: 500,
+      const { status, body } = llmErrorResponse(llmError);
+      return new Response(JSON.stringify(body), {
+        status,
         headers: { ...corsHeaders, 'Content-Type': 'application/json' },
       });
     }
@@ -213,6 +159,7 @@ serve(async (req) => {
       mediumPriority,
       lowPriority,
       total: uniqueKeywords.length,
+      budgetWarning: llm.budgetWarning,
     };
 
     console.log(`[User ${userId}] Extracted ${result.total} keywords (${highPriority.length} high, ${mediumPriority.length} med, ${lowPriority.length} low priority)`);
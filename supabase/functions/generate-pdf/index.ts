@@ -1,96 +1,270 @@
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
-import { PDFDocument, rgb, StandardFonts, PDFPage, PDFFont } from "https://esm.sh/pdf-lib@1.17.1";
+import { PDFDocument, rgb, StandardFonts, PDFFont } from "https://esm.sh/pdf-lib@1.17.1";
+import fontkit from "https://esm.sh/@pdf-lib/fontkit@1.1.1";
+import {
+  getTemplate,
+  layoutCoverLetter,
+  layoutLines,
+  layoutResume,
+  needsUnicode,
+  resumeDocument,
+  sanitizeText,
+  textResumeDocument,
+  type Charset,
+  type DocumentLayout,
+  type FontFamily,
+  type FontStyle,
+  type LayoutOptions,
+  type MeasureText,
+  type ResumeData as TemplateResumeData,
+  type ResumeTemplate,
+} from "../_shared/resume-templates/index.ts";
+import { extractPdfText, verifyResumePdf, type AtsCheckReport, type AtsExpectations } from "../_shared/pdf-text/index.ts";
+import { CJK_FONT, UNICODE_FONTS, type FontFile } from "../_shared/pdf-fonts.ts";
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
 };
 
-interface ResumeData {
+interface ResumeData extends TemplateResumeData {
   type: 'resume' | 'cover_letter';
-  personalInfo: {
-    name: string;
-    email: string;
-    phone: string;
-    location: string;
-    linkedin?: string;
-    github?: string;
-    portfolio?: string;
-  };
-  summary?: string;
-  experience?: Array<{
-    company: string;
-    title: string;
-    dates: string;
-    bullets: string[];
-  }>;
-  education?: Array<{
-    degree: string;
-    school: string;
-    dates: string;
-    gpa?: string;
-  }>;
-  skills?: {
-    primary: string[];
-    secondary?: string[];
-  };
-  certifications?: string[];
-  achievements?: Array<{
-    title: string;
-    date: string;
-    description: string;
-  }>;
   coverLetter?: {
     recipientCompany: string;
     jobTitle: string;
     jobId?: string;
     paragraphs: string[];
   };
+  /** Layout id from the template engine; unknown ids fall back to the default */
+  template?: string;
   customFileName?: string;
   candidateName?: string;
 }
 
-// ULTRA ATS-SAFE: Sanitize text - only ASCII, no special characters
-const sanitizeText = (text: string | null | undefined): string => {
-  if (!text) return '';
-  return String(text)
-    // Remove all newlines, tabs
-    .replace(/[\n\r\t]/g, ' ')
-    // Normalize whitespace
-    .replace(/\s+/g, ' ')
-    // Remove control characters
-    .replace(/[\u0000-\u001F\u007F-\u009F]/g, '')
-    // Smart quotes to straight quotes
-    .replace(/[\u2018\u2019\u201A\u2039\u203A]/g, "'")
-    .replace(/[\u201C\u201D\u201E\u00AB\u00BB]/g, '"')
-    // Dashes to hyphen
-    .replace(/[\u2013\u2014\u2015\u2212]/g, '-')
-    // Ellipsis to dots
-    .replace(/\u2026/g, '...')
-    // All bullet points to hyphen
-    .replace(/[\u2022\u2023\u25E6\u2043\u2219\u25AA\u25AB\u25A0\u25A1\u25CF\u25CB\u25D8\u25D9\u2B24\u2B58\u29BF\u25C6\u25C7\u2666\u2756\u2605\u2606\u2713\u2714\u2717\u2718\u2794\u27A4\u25B6\u25B8\u25BA\u25BC\u25BE\u25C0\u25C2\u25C4]/g, '-')
-    // Arrows to text
-    .replace(/[\u2190-\u21FF]/g, '->')
-    // Check marks to asterisk
-    .replace(/[\u2713\u2714\u2715\u2716\u2717\u2718]/g, '*')
-    // Symbols to text equivalents
-    .replace(/\u00A9/g, '(c)')
-    .replace(/\u00AE/g, '(R)')
-    .replace(/\u2122/g, '(TM)')
-    .replace(/\u20AC/g, 'EUR')
-    .replace(/\u00A3/g, 'GBP')
-    .replace(/\u00A5/g, 'JPY')
-    .replace(/\u00B0/g, ' deg')
-    .replace(/\u00B1/g, '+/-')
-    .replace(/\u00D7/g, 'x')
-    .replace(/\u00F7/g, '/')
-    // Remove any remaining non-ASCII
-    .replace(/[^\x00-\x7F\u00A0-\u00FF]/g, ' ')
-    // Clean up multiple spaces
-    .replace(/\s+/g, ' ')
-    .trim();
+// The PDF standard fonts - maximum ATS compatibility, but WinAnsi (Latin-1) only
+const STANDARD_FONTS: Record<FontFamily, Record<FontStyle, StandardFonts>> = {
+  helvetica: { regular: StandardFonts.Helvetica, bold: StandardFonts.HelveticaBold, italic: StandardFonts.HelveticaOblique },
+  times: { regular: StandardFonts.TimesRoman, bold: StandardFonts.TimesRomanBold, italic: StandardFonts.TimesRomanItalic },
+  courier: { regular: StandardFonts.Courier, bold: StandardFonts.CourierBold, italic: StandardFonts.CourierOblique },
+};
+
+// The embedded Noto files (pinned in _shared/pdf-fonts.ts) outlive a request in a warm worker
+const fontFiles = new Map<string, Promise<Uint8Array>>();
+
+async function sha256Hex(bytes: Uint8Array): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest)).map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+function fetchFont({ url, sha256 }: FontFile): Promise<Uint8Array> {
+  let file = fontFiles.get(url);
+  if (!file) {
+    file = fetch(url).then(async (res) => {
+      if (!res.ok) throw new Error(`Font download failed (${res.status}): ${url}`);
+      const bytes = new Uint8Array(await res.arrayBuffer());
+      const digest = await sha256Hex(bytes);
+      if (digest !== sha256) throw new Error(`Font checksum mismatch (${digest}): ${url}`);
+      return bytes;
+    });
+    file.catch(() => fontFiles.delete(url));
+    fontFiles.set(url, file);
+  }
+  return file;
+}
+
+/** A style's fonts in fallback order, with the code points each can draw */
+interface FontStack {
+  fonts: PDFFont[];
+  coverage: Set<number>[];
+}
+
+/** `text` split into runs that one font of the stack draws */
+function fontRuns(stack: FontStack, text: string): Array<{ font: PDFFont; text: string }> {
+  const runs: Array<{ font: PDFFont; text: string }> = [];
+  for (const char of text) {
+    const codePoint = char.codePointAt(0) ?? 0;
+    const index = Math.max(0, stack.coverage.findIndex((set) => set.has(codePoint)));
+    const last = runs[runs.length - 1];
+    if (last && last.font === stack.fonts[index]) last.text += char;
+    else runs.push({ font: stack.fonts[index], text: char });
+  }
+  return runs;
+}
+
+const FONT_STYLES: FontStyle[] = ['regular', 'bold', 'italic'];
+
+async function embedFonts(
+  pdfDoc: PDFDocument,
+  template: ResumeTemplate,
+  charset: Charset,
+  texts: string[],
+): Promise<Record<FontStyle, FontStack>> {
+  const stacks = {} as Record<FontStyle, FontStack>;
+
+  if (charset === 'winansi') {
+    for (const style of FONT_STYLES) {
+      const font = await pdfDoc.embedFont(STANDARD_FONTS[template.font.family][style]);
+      stacks[style] = { fonts: [font], coverage: [new Set(font.getCharacterSet())] };
+    }
+    return stacks;
+  }
+
+  // Subsetting keeps only the glyphs used, and pdf-lib writes a ToUnicode map
+  // so the text stays selectable and parseable
+  pdfDoc.registerFontkit(fontkit);
+  for (const style of FONT_STYLES) {
+    const font = await pdfDoc.embedFont(await fetchFont(UNICODE_FONTS[template.font.family][style]), { subset: true });
+    stacks[style] = { fonts: [font], coverage: [new Set(font.getCharacterSet())] };
+  }
+
+  // Only download the (large) CJK font when the text has characters Noto Sans lacks
+  const covered = stacks.regular.coverage[0];
+  const isMissing = (char: string) => char.trim() !== '' && !covered.has(char.codePointAt(0) ?? 0);
+  if (texts.some((text) => Array.from(text).some(isMissing))) {
+    const cjk = await pdfDoc.embedFont(await fetchFont(CJK_FONT), { subset: true });
+    const cjkCoverage = new Set(cjk.getCharacterSet());
+    for (const style of FONT_STYLES) {
+      stacks[style].fonts.push(cjk);
+      stacks[style].coverage.push(cjkCoverage);
+    }
+  }
+  return stacks;
+}
+
+// ULTRA ATS: Only black and dark gray - no colors
+const colors = {
+  black: rgb(0, 0, 0),
+  darkGray: rgb(0.15, 0.15, 0.15),
 };
 
+/**
+ * Paint a template layout into pdfDoc. The layout is computed with the same
+ * font metrics pdf-lib draws with, so wrapping matches the page exactly.
+ */
+function renderLayout(
+  pdfDoc: PDFDocument,
+  fonts: Record<FontStyle, FontStack>,
+  layout: (measure: MeasureText) => DocumentLayout,
+): DocumentLayout {
+  const measure: MeasureText = (text, style, size) =>
+    fontRuns(fonts[style], text).reduce((width, run) => width + run.font.widthOfTextAtSize(run.text, size), 0);
+  const result = layout(measure);
+
+  for (const ops of result.pages.map((page) => page.ops)) {
+    const page = pdfDoc.addPage([result.width, result.height]);
+    for (const op of ops) {
+      // Layouts measure y down from the top; pdf-lib measures it up from the bottom
+      if (op.type === 'rule') {
+        page.drawLine({
+          start: { x: op.x1, y: result.height - op.y },
+          end: { x: op.x2, y: result.height - op.y },
+          thickness: op.thickness,
+          color: colors.black,
+        });
+        continue;
+      }
+      // A word drawn in two fonts is two runs that touch; text extraction joins them back
+      let x = op.x;
+      for (const run of fontRuns(fonts[op.style], op.text)) {
+        page.drawText(run.text, {
+          x,
+          y: result.height - op.y,
+          size: op.size,
+          font: run.font,
+          color: op.muted ? colors.darkGray : colors.black,
+        });
+        x += run.font.widthOfTextAtSize(run.text, op.size);
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Lines of the layout that a PDF parser doesn't read back word for word
+ * from the saved file. Empty when the round trip is exact.
+ */
+async function textRoundTripMismatches(pdfBytes: Uint8Array, layout: DocumentLayout): Promise<string[]> {
+  const normalize = (text: string) => text.normalize('NFC').replace(/\s+/g, ' ').trim();
+  const extracted = await extractPdfText(pdfBytes);
+  const mismatches: string[] = [];
+
+  layoutLines(layout).forEach((lines, pageIndex) => {
+    const read = extracted.pages[pageIndex]?.lines.map((line) => normalize(line.text)) ?? [];
+    lines.forEach((line, lineIndex) => {
+      if (normalize(line) !== read[lineIndex]) mismatches.push(line);
+    });
+  });
+  return mismatches;
+}
+
+interface RenderedPdf {
+  bytes: Uint8Array;
+  pages: number;
+  charset: Charset;
+}
+
+/**
+ * A PDF of the document. Text the standard fonts can't show (accents beyond
+ * Latin-1, Polish, Greek, Chinese...) is set in embedded Noto fonts, and the
+ * result is parsed back to prove the text survives. If it doesn't, or the
+ * fonts can't be loaded, the standard-font version is returned instead: it
+ * loses those characters but reads back as what it shows.
+ */
+async function renderPdf(
+  template: ResumeTemplate,
+  texts: string[],
+  setMetadata: (pdfDoc: PDFDocument) => void,
+  layout: (measure: MeasureText, options: LayoutOptions) => DocumentLayout,
+): Promise<RenderedPdf> {
+  const cleanTexts = texts.map((text) => sanitizeText(text, 'unicode'));
+
+  const render = async (charset: Charset): Promise<RenderedPdf & { mismatches: string[] }> => {
+    const pdfDoc = await PDFDocument.create();
+    setMetadata(pdfDoc);
+    const fonts = await embedFonts(pdfDoc, template, charset, cleanTexts);
+    // Characters no embedded font has (emoji, say) are left out rather than drawn as boxes
+    const hasGlyph = (codePoint: number) => fonts.regular.coverage.some((set) => set.has(codePoint));
+    const result = renderLayout(pdfDoc, fonts, (measure) => layout(measure, { charset, hasGlyph }));
+    const bytes = await pdfDoc.save();
+    return { bytes, pages: result.pages.length, charset, mismatches: await textRoundTripMismatches(bytes, result) };
+  };
+
+  if (needsUnicode(...cleanTexts)) {
+    try {
+      const unicode = await render('unicode');
+      if (unicode.mismatches.length === 0) return unicode;
+      console.error('[generate-pdf] Unicode text did not survive the round trip:', unicode.mismatches.slice(0, 5));
+    } catch (error) {
+      console.error('[generate-pdf] Unicode fonts unavailable:', error);
+    }
+  }
+
+  const standard = await render('winansi');
+  if (standard.mismatches.length) {
+    console.error('[generate-pdf] Text did not survive the round trip:', standard.mismatches.slice(0, 5));
+  }
+  return standard;
+}
+
+/**
+ * Reads a generated resume back the way an ATS would. A failing check is
+ * logged but the PDF is still returned; the extensions refuse to upload it.
+ */
+async function atsCheck(
+  pdfBytes: Uint8Array,
+  expected: AtsExpectations,
+): Promise<Pick<AtsCheckReport, 'score' | 'blocking' | 'issues'>> {
+  const { score, blocking, issues } = await verifyResumePdf(pdfBytes, expected);
+  if (blocking.length) console.error('[generate-pdf] Resume fails the ATS parse check:', issues);
+  return { score, blocking, issues };
+}
+
+/** An ASCII file name part: accents are dropped ("José" -> "Jose"), other scripts removed */
+const fileNamePart = (text: string) =>
+  text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, '_').replace(/[^a-zA-Z0-9_]/g, '');
+
 serve(async (req) => {
   if (req.method === 'OPTIONS') {
     return new Response(null, { headers: corsHeaders });
@@ -98,19 +272,26 @@ serve(async (req) => {
 
   try {
     const requestBody = await req.json();
-    
+
     // Check if this is a raw content request (from extension)
     if (requestBody.content && typeof requestBody.content === 'string') {
       return handleRawContentRequest(requestBody);
     }
-    
+
     // Otherwise, handle structured data request
     const data: ResumeData = requestBody;
-    console.log('Generating ULTRA ATS-COMPATIBLE PDF for:', data.type, data.personalInfo?.name);
+    const template = getTemplate(data.template);
+    console.log('Generating ULTRA ATS-COMPATIBLE PDF for:', data.type, data.personalInfo?.name, 'template:', template.id);
 
-    // Deep sanitize all string fields
+    // Deep sanitize all string fields. Letters beyond Latin-1 are kept here;
+    // the layout drops them only if the PDF ends up in the standard fonts.
+    const texts: string[] = [];
     const sanitizeObject = (obj: unknown): unknown => {
-      if (typeof obj === 'string') return sanitizeText(obj);
+      if (typeof obj === 'string') {
+        const text = sanitizeText(obj, 'unicode');
+        texts.push(text);
+        return text;
+      }
       if (Array.isArray(obj)) return obj.map(item => sanitizeObject(item));
       if (obj && typeof obj === 'object') {
         const result: Record<string, unknown> = {};
@@ -121,422 +302,79 @@ serve(async (req) => {
       }
       return obj;
     };
-    
+
     const sanitizedData = sanitizeObject(data) as ResumeData;
+    sanitizedData.personalInfo = { ...sanitizedData.personalInfo, name: sanitizedData.personalInfo?.name || '' };
 
-    const pdfDoc = await PDFDocument.create();
-    
     // Set PDF metadata for better ATS parsing
-    pdfDoc.setTitle(sanitizedData.type === 'resume' 
-      ? `${sanitizedData.personalInfo.name} - Resume`
-      : `${sanitizedData.personalInfo.name} - Cover Letter`);
-    pdfDoc.setAuthor(sanitizedData.personalInfo.name);
-    pdfDoc.setSubject(sanitizedData.type === 'resume' ? 'Professional Resume' : 'Cover Letter');
-    pdfDoc.setKeywords(['resume', 'cv', 'professional']);
-    pdfDoc.setCreator('QuantumHire ATS Optimizer');
-    pdfDoc.setProducer('QuantumHire');
-    
-    // Use only standard fonts - maximum ATS compatibility
-    const helvetica = await pdfDoc.embedFont(StandardFonts.Helvetica);
-    const helveticaBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
-
-    // Standard Letter size
-    const PAGE_WIDTH = 612;
-    const PAGE_HEIGHT = 792;
-    const MARGIN = 54; // 0.75 inch margins - standard
-    const LINE_HEIGHT = 14;
-    const SECTION_GAP = 16;
-
-    // ULTRA ATS: Only black and dark gray - no colors
-    const colors = {
-      black: rgb(0, 0, 0),
-      darkGray: rgb(0.15, 0.15, 0.15),
-    };
-
-    // Page management
-    const pages: PDFPage[] = [];
-    const firstPage = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
-    pages.push(firstPage);
-    let currentPage: PDFPage = firstPage;
-    let yPosition: number = PAGE_HEIGHT - MARGIN;
-
-    const addNewPage = (): PDFPage => {
-      const page = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
-      pages.push(page);
-      yPosition = PAGE_HEIGHT - MARGIN;
-      currentPage = page;
-      return page;
-    };
-
-    const ensureSpace = (neededSpace: number): void => {
-      if (yPosition < MARGIN + neededSpace) {
-        addNewPage();
-      }
-    };
-
-    // Text wrapping - simple linear flow for ATS
-    const wrapText = (text: string, maxWidth: number, font: PDFFont, fontSize: number): string[] => {
-      const cleanText = sanitizeText(text);
-      const words = cleanText.split(' ');
-      const lines: string[] = [];
-      let currentLine = '';
-
-      for (const word of words) {
-        if (!word) continue;
-        const testLine = currentLine ? `${currentLine} ${word}` : word;
-        const testWidth = font.widthOfTextAtSize(testLine, fontSize);
-        
-        if (testWidth > maxWidth && currentLine) {
-          lines.push(currentLine);
-          currentLine = word;
-        } else {
-          currentLine = testLine;
-        }
-      }
-      if (currentLine) lines.push(currentLine);
-      return lines;
-    };
-
-    // Draw wrapped text with automatic page breaks
-    const drawWrappedText = (text: string, x: number, fontSize: number, font: PDFFont, maxWidth?: number): void => {
-      const effectiveMaxWidth = maxWidth || (PAGE_WIDTH - MARGIN - x);
-      const lines = wrapText(text, effectiveMaxWidth, font, fontSize);
-      
-      for (const line of lines) {
-        ensureSpace(fontSize + 4);
-        currentPage.drawText(line, { 
-          x, 
-          y: yPosition, 
-          size: fontSize, 
-          font, 
-          color: colors.black 
-        });
-        yPosition -= LINE_HEIGHT;
-      }
-    };
-
-    // ULTRA ATS SECTION HEADER - Plain text, bold, no decorations
-    const drawSectionHeader = (title: string): void => {
-      yPosition -= SECTION_GAP;
-      ensureSpace(20);
-      
-      // Just bold uppercase text - no lines, no colors
-      currentPage.drawText(title.toUpperCase(), {
-        x: MARGIN,
-        y: yPosition,
-        size: 11,
-        font: helveticaBold,
-        color: colors.black,
-      });
-      yPosition -= LINE_HEIGHT + 4;
+    const setMetadata = (pdfDoc: PDFDocument) => {
+      pdfDoc.setTitle(sanitizedData.type === 'resume'
+        ? `${sanitizedData.personalInfo.name} - Resume`
+        : `${sanitizedData.personalInfo.name} - Cover Letter`);
+      pdfDoc.setAuthor(sanitizedData.personalInfo.name);
+      pdfDoc.setSubject(sanitizedData.type === 'resume' ? 'Professional Resume' : 'Cover Letter');
+      pdfDoc.setKeywords(['resume', 'cv', 'professional']);
+      pdfDoc.setCreator('QuantumHire ATS Optimizer');
+      pdfDoc.setProducer('QuantumHire');
     };
 
-    if (sanitizedData.type === 'resume') {
-      // ============================================
-      // ULTRA ATS-COMPATIBLE RESUME FORMAT
-      // ============================================
-      
-      // NAME - Large, bold, centered would confuse some ATS, so left-aligned
-      currentPage.drawText(sanitizedData.personalInfo.name.toUpperCase(), {
-        x: MARGIN,
-        y: yPosition,
-        size: 18,
-        font: helveticaBold,
-        color: colors.black,
-      });
-      yPosition -= 22;
-
-      // CONTACT LINE - Simple pipe-separated, all on one or two lines
-      const contactParts: string[] = [];
-      if (sanitizedData.personalInfo.phone) contactParts.push(sanitizedData.personalInfo.phone);
-      if (sanitizedData.personalInfo.email) contactParts.push(sanitizedData.personalInfo.email);
-      if (sanitizedData.personalInfo.location) contactParts.push(sanitizedData.personalInfo.location);
-      
-      if (contactParts.length > 0) {
-        const contactLine = contactParts.join(' | ');
-        drawWrappedText(contactLine, MARGIN, 10, helvetica);
-      }
-
-      // LINKS - Plain text URLs
-      const linkParts: string[] = [];
-      if (sanitizedData.personalInfo.linkedin) linkParts.push(sanitizedData.personalInfo.linkedin);
-      if (sanitizedData.personalInfo.github) linkParts.push(sanitizedData.personalInfo.github);
-      if (sanitizedData.personalInfo.portfolio) linkParts.push(sanitizedData.personalInfo.portfolio);
-      
-      if (linkParts.length > 0) {
-        const linksLine = linkParts.join(' | ');
-        drawWrappedText(linksLine, MARGIN, 9, helvetica);
-      }
-
-      // === PROFESSIONAL SUMMARY ===
-      if (sanitizedData.summary) {
-        drawSectionHeader('Professional Summary');
-        drawWrappedText(sanitizedData.summary, MARGIN, 10, helvetica);
-      }
-
-      // === WORK EXPERIENCE ===
-      if (sanitizedData.experience && sanitizedData.experience.length > 0) {
-        drawSectionHeader('Work Experience');
-        
-        for (const exp of sanitizedData.experience) {
-          ensureSpace(50);
-          
-          // Company and dates on same line
-          const companyLine = `${exp.company} | ${exp.dates}`;
-          currentPage.drawText(companyLine, {
-            x: MARGIN,
-            y: yPosition,
-            size: 11,
-            font: helveticaBold,
-            color: colors.black,
-          });
-          yPosition -= LINE_HEIGHT;
-
-          // Job title
-          currentPage.drawText(exp.title, {
-            x: MARGIN,
-            y: yPosition,
-            size: 10,
-            font: helvetica,
-            color: colors.darkGray,
-          });
-          yPosition -= LINE_HEIGHT + 2;
-
-          // Bullet points - simple dash prefix
-          for (const bullet of exp.bullets) {
-            ensureSpace(LINE_HEIGHT * 2);
-            const bulletText = `- ${bullet}`;
-            drawWrappedText(bulletText, MARGIN, 10, helvetica, PAGE_WIDTH - MARGIN * 2);
-          }
-          yPosition -= 6;
-        }
-      }
-
-      // === EDUCATION ===
-      if (sanitizedData.education && sanitizedData.education.length > 0) {
-        drawSectionHeader('Education');
-        
-        for (const edu of sanitizedData.education) {
-          ensureSpace(30);
-          
-          // Degree and dates
-          const degreeLine = `${edu.degree} | ${edu.dates}`;
-          currentPage.drawText(degreeLine, {
-            x: MARGIN,
-            y: yPosition,
-            size: 11,
-            font: helveticaBold,
-            color: colors.black,
-          });
-          yPosition -= LINE_HEIGHT;
-
-          // School and GPA
-          const schoolLine = edu.gpa ? `${edu.school} | GPA: ${edu.gpa}` : edu.school;
-          currentPage.drawText(schoolLine, {
-            x: MARGIN,
-            y: yPosition,
-            size: 10,
-            font: helvetica,
-            color: colors.black,
-          });
-          yPosition -= LINE_HEIGHT + 6;
-        }
-      }
-
-      // === SKILLS ===
-      if (sanitizedData.skills) {
-        drawSectionHeader('Skills');
-        
-        if (sanitizedData.skills.primary && sanitizedData.skills.primary.length > 0) {
-          const skillsLine = `Technical: ${sanitizedData.skills.primary.join(', ')}`;
-          drawWrappedText(skillsLine, MARGIN, 10, helvetica);
-        }
-        
-        if (sanitizedData.skills.secondary && sanitizedData.skills.secondary.length > 0) {
-          const additionalLine = `Additional: ${sanitizedData.skills.secondary.join(', ')}`;
-          drawWrappedText(additionalLine, MARGIN, 10, helvetica);
-        }
-      }
-
-      // === CERTIFICATIONS ===
-      if (sanitizedData.certifications && sanitizedData.certifications.length > 0) {
-        drawSectionHeader('Certifications');
-        // List each certification on its own line for better parsing
-        for (const cert of sanitizedData.certifications) {
-          ensureSpace(LINE_HEIGHT);
-          currentPage.drawText(`- ${cert}`, {
-            x: MARGIN,
-            y: yPosition,
-            size: 10,
-            font: helvetica,
-            color: colors.black,
-          });
-          yPosition -= LINE_HEIGHT;
-        }
-      }
-
-      // === ACHIEVEMENTS ===
-      if (sanitizedData.achievements && sanitizedData.achievements.length > 0) {
-        drawSectionHeader('Achievements');
-        
-        for (const achievement of sanitizedData.achievements) {
-          ensureSpace(30);
-          currentPage.drawText(`${achievement.title} (${achievement.date})`, {
-            x: MARGIN,
-            y: yPosition,
-            size: 10,
-            font: helveticaBold,
-            color: colors.black,
-          });
-          yPosition -= LINE_HEIGHT;
-          
-          if (achievement.description) {
-            drawWrappedText(achievement.description, MARGIN, 10, helvetica);
-          }
-          yPosition -= 4;
-        }
-      }
-
-    } else if (sanitizedData.type === 'cover_letter' && sanitizedData.coverLetter) {
-      // ============================================
-      // ULTRA ATS-COMPATIBLE COVER LETTER FORMAT
-      // ============================================
-      
-      // Name header
-      currentPage.drawText(sanitizedData.personalInfo.name.toUpperCase(), {
-        x: MARGIN,
-        y: yPosition,
-        size: 16,
-        font: helveticaBold,
-        color: colors.black,
-      });
-      yPosition -= 20;
-
-      // Contact info
-      const contactLine = [
-        sanitizedData.personalInfo.phone, 
-        sanitizedData.personalInfo.email
-      ].filter(Boolean).join(' | ');
-      
-      if (contactLine) {
-        currentPage.drawText(contactLine, {
-          x: MARGIN,
-          y: yPosition,
-          size: 10,
-          font: helvetica,
-          color: colors.black,
-        });
-        yPosition -= LINE_HEIGHT * 2;
-      }
-
-      // Date
-      const today = new Date().toLocaleDateString('en-US', { 
-        year: 'numeric', 
-        month: 'long', 
-        day: 'numeric' 
-      });
-      currentPage.drawText(today, {
-        x: MARGIN,
-        y: yPosition,
-        size: 10,
-        font: helvetica,
-        color: colors.black,
-      });
-      yPosition -= LINE_HEIGHT * 2;
-
-      // Recipient company
-      if (sanitizedData.coverLetter.recipientCompany) {
-        currentPage.drawText(sanitizedData.coverLetter.recipientCompany, {
-          x: MARGIN,
-          y: yPosition,
-          size: 10,
-          font: helvetica,
-          color: colors.black,
-        });
-        yPosition -= LINE_HEIGHT * 2;
-      }
-
-      // Subject line - job title only
-      const subject = `Re: ${sanitizedData.coverLetter.jobTitle}`;
-      currentPage.drawText(subject, {
-        x: MARGIN,
-        y: yPosition,
-        size: 10,
-        font: helveticaBold,
-        color: colors.black,
-      });
-      yPosition -= LINE_HEIGHT * 2;
-
-      // Salutation
-      currentPage.drawText('Dear Hiring Manager,', {
-        x: MARGIN,
-        y: yPosition,
-        size: 11,
-        font: helvetica,
-        color: colors.black,
-      });
-      yPosition -= LINE_HEIGHT * 1.5;
-
-      // Body paragraphs
-      for (const paragraph of sanitizedData.coverLetter.paragraphs) {
-        drawWrappedText(paragraph, MARGIN, 11, helvetica);
-        yPosition -= LINE_HEIGHT * 0.5;
-      }
-
-      yPosition -= LINE_HEIGHT;
-
-      // Closing
-      currentPage.drawText('Sincerely,', {
-        x: MARGIN,
-        y: yPosition,
-        size: 11,
-        font: helvetica,
-        color: colors.black,
-      });
-      yPosition -= LINE_HEIGHT * 2;
-
-      // Signature name
-      currentPage.drawText(sanitizedData.personalInfo.name, {
-        x: MARGIN,
-        y: yPosition,
-        size: 11,
-        font: helveticaBold,
-        color: colors.black,
-      });
+    let pdf: RenderedPdf;
+    if (sanitizedData.type === 'cover_letter' && sanitizedData.coverLetter) {
+      const letter = {
+        personalInfo: sanitizedData.personalInfo,
+        recipientCompany: sanitizedData.coverLetter.recipientCompany,
+        jobTitle: sanitizedData.coverLetter.jobTitle,
+        paragraphs: sanitizedData.coverLetter.paragraphs || [],
+      };
+      pdf = await renderPdf(template, texts, setMetadata, (measure, options) =>
+        layoutCoverLetter(letter, template, measure, options));
+    } else {
+      const doc = resumeDocument(sanitizedData, template);
+      pdf = await renderPdf(template, texts, setMetadata, (measure, options) =>
+        layoutResume(doc, template, measure, options));
     }
-
-    // Generate PDF bytes
-    const pdfBytes = await pdfDoc.save();
+    const pdfBytes = pdf.bytes;
 
     // Generate filename
     let fileName: string;
     if (sanitizedData.customFileName) {
       fileName = sanitizedData.customFileName;
     } else {
-      const candidateName = sanitizedData.candidateName || 
-        sanitizedData.personalInfo.name.replace(/\s+/g, '_').replace(/[^a-zA-Z0-9_]/g, '');
-      fileName = sanitizedData.type === 'resume' 
+      const candidateName = sanitizedData.candidateName || fileNamePart(sanitizedData.personalInfo.name) || 'Applicant';
+      fileName = sanitizedData.type === 'resume'
         ? `${candidateName}_CV.pdf`
         : `${candidateName}_Cover_Letter.pdf`;
     }
 
-    console.log(`ULTRA ATS PDF generated: ${fileName} Size: ${pdfBytes.length} bytes, Pages: ${pages.length}`);
+    console.log(`ULTRA ATS PDF generated: ${fileName} Size: ${pdfBytes.length} bytes, Pages: ${pdf.pages}, Fonts: ${pdf.charset}`);
 
-    return new Response(new Uint8Array(pdfBytes), {
-      headers: {
-        ...corsHeaders,
-        'Content-Type': 'application/pdf',
-        'Content-Disposition': `attachment; filename="${fileName}"`,
-      },
-    });
+    const headers: Record<string, string> = {
+      ...corsHeaders,
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+      'X-PDF-Charset': pdf.charset,
+    };
+    if (sanitizedData.type === 'resume') {
+      const info = sanitizedData.personalInfo;
+      const check = await atsCheck(pdfBytes, {
+        name: info.name,
+        email: info.email || null,
+        phone: info.phone || null,
+        title: sanitizedData.experience?.[0]?.title || null,
+      });
+      headers['X-ATS-Score'] = String(check.score);
+      headers['X-ATS-Blocking'] = check.blocking.join(',');
+    }
+
+    return new Response(new Uint8Array(pdfBytes), { headers });
   } catch (error: unknown) {
     console.error('PDF generation error:', error);
     const errorMessage = error instanceof Error ? error.message : 'Failed to generate PDF';
     return new Response(
       JSON.stringify({ error: errorMessage }),
-      { 
-        status: 500, 
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' } 
+      {
+        status: 500,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
       }
     );
   }
@@ -549,6 +387,7 @@ serve(async (req) => {
 async function handleRawContentRequest(body: {
   content: string;
   type?: string;
+  template?: string;
   tailoredLocation?: string;
   jobTitle?: string;
   company?: string;
@@ -556,257 +395,64 @@ async function handleRawContentRequest(body: {
   firstName?: string;
   lastName?: string;
 }): Promise<Response> {
-  const { content, type = 'cv', tailoredLocation, jobTitle, company, fileName, firstName, lastName } = body;
-  
-  console.log('[generate-pdf] Raw content request, tailoredLocation:', tailoredLocation, 'firstName:', firstName, 'lastName:', lastName);
-  
+  const { content, type = 'cv', tailoredLocation, fileName, firstName, lastName } = body;
+  const template = getTemplate(body.template);
+
+  console.log('[generate-pdf] Raw content request, tailoredLocation:', tailoredLocation, 'firstName:', firstName, 'lastName:', lastName, 'template:', template.id);
+
   try {
-    const pdfDoc = await PDFDocument.create();
-    const helvetica = await pdfDoc.embedFont(StandardFonts.Helvetica);
-    const helveticaBold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
-    
-    const PAGE_WIDTH = 612;
-    const PAGE_HEIGHT = 792;
-    const MARGIN = 54;
-    const LINE_HEIGHT = 14;
-    
-    let currentPage = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
-    let yPosition = PAGE_HEIGHT - MARGIN;
-    
-    const addNewPage = () => {
-      currentPage = pdfDoc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
-      yPosition = PAGE_HEIGHT - MARGIN;
-      return currentPage;
-    };
-    
-    const ensureSpace = (needed: number) => {
-      if (yPosition < MARGIN + needed) {
-        addNewPage();
-      }
-    };
-    
-    // Process content line by line
-    const lines = content.split('\n').map(l => l.trim()).filter(l => l.length > 0);
-    let isFirstLine = true;
-    let headerProcessed = false;
-    
-    for (const line of lines) {
-      // Handle header/contact line with dynamic location replacement
-      // Match any line that looks like: phone | email | location (with pipes and @ symbol)
-      if (!headerProcessed && line.includes('|') && line.includes('@')) {
-        let parts = line.split('|').map(p => p.trim());
-        
-        // Remove "open to relocation" part entirely - we use clean "City, Country" format
-        parts = parts.filter(p => !/open\s*to\s*relocation/i.test(p));
-        
-        // Find and replace the location part if tailoredLocation is provided
-        // Location is typically the part that's not phone (digits) and not email (@)
-        if (parts.length >= 3 && tailoredLocation) {
-          for (let i = 0; i < parts.length; i++) {
-            const part = parts[i];
-            // Skip phone numbers (mostly digits) and emails (contains @)
-            if (/^\+?[\d\s\-\(\)]+$/.test(part.replace(/\s/g, ''))) continue;
-            if (part.includes('@')) continue;
-            // Skip if it's a URL
-            if (part.includes('http') || part.includes('linkedin') || part.includes('github')) continue;
-            // Skip if it contains "Remote" as standalone (will be replaced)
-            // This is likely the location - replace it with clean "City, Country" format
-            console.log(`[generate-pdf] Replacing location "${parts[i]}" with "${tailoredLocation}"`);
-            parts[i] = tailoredLocation;
-            break;
-          }
-        }
-        
-        // Ensure we have a clean location even if not provided
-        const hasLocation = parts.some(p => {
-          if (/^\+?[\d\s\-\(\)]+$/.test(p.replace(/\s/g, ''))) return false;
-          if (p.includes('@')) return false;
-          if (p.includes('http') || p.includes('linkedin') || p.includes('github')) return false;
-          return true;
-        });
-        
-        // If no location found and tailoredLocation provided, add it
-        if (!hasLocation && tailoredLocation) {
-          // Insert location after email (index 1 typically)
-          const insertIndex = Math.min(2, parts.length);
-          parts.splice(insertIndex, 0, tailoredLocation);
-        }
-        
-        ensureSpace(LINE_HEIGHT);
-        currentPage.drawText(parts.join(' | '), {
-          x: MARGIN,
-          y: yPosition,
-          size: 10,
-          font: helvetica,
-          color: rgb(0, 0, 0),
-        });
-        yPosition -= LINE_HEIGHT;
-        headerProcessed = true;
-        continue;
-      }
-      
-      // Handle name line (first line, typically uppercase)
-      if (isFirstLine && line === line.toUpperCase() && line.length < 50) {
-        ensureSpace(22);
-        currentPage.drawText(line, {
-          x: MARGIN,
-          y: yPosition,
-          size: 18,
-          font: helveticaBold,
-          color: rgb(0, 0, 0),
-        });
-        yPosition -= 22;
-        isFirstLine = false;
-        continue;
-      }
-      isFirstLine = false;
-      
-      // Handle section headers (all caps)
-      const sectionHeaders = ['PROFESSIONAL SUMMARY', 'EXPERIENCE', 'EDUCATION', 'SKILLS', 'CERTIFICATIONS', 'ACHIEVEMENTS', 'PROJECTS'];
-      if (sectionHeaders.some(h => line.toUpperCase().startsWith(h))) {
-        yPosition -= 12;
-        ensureSpace(20);
-        currentPage.drawText(line.toUpperCase().replace(':', ''), {
-          x: MARGIN,
-          y: yPosition,
-          size: 11,
-          font: helveticaBold,
-          color: rgb(0, 0, 0),
-        });
-        yPosition -= LINE_HEIGHT + 4;
-        continue;
-      }
-      
-      // Handle bullet points
-      if (line.startsWith('-') || line.startsWith('•') || line.startsWith('*')) {
-        ensureSpace(LINE_HEIGHT * 2);
-        const bulletText = line.replace(/^[-•*]\s*/, '- ');
-        
-        // Wrap long bullet points
-        const words = bulletText.split(' ');
-        let currentLine = '';
-        const maxWidth = PAGE_WIDTH - MARGIN * 2;
-        
-        for (const word of words) {
-          const testLine = currentLine ? `${currentLine} ${word}` : word;
-          const testWidth = helvetica.widthOfTextAtSize(testLine, 10);
-          
-          if (testWidth > maxWidth && currentLine) {
-            currentPage.drawText(currentLine, {
-              x: MARGIN,
-              y: yPosition,
-              size: 10,
-              font: helvetica,
-              color: rgb(0, 0, 0),
-            });
-            yPosition -= LINE_HEIGHT;
-            ensureSpace(LINE_HEIGHT);
-            currentLine = word;
-          } else {
-            currentLine = testLine;
-          }
-        }
-        if (currentLine) {
-          currentPage.drawText(currentLine, {
-            x: MARGIN,
-            y: yPosition,
-            size: 10,
-            font: helvetica,
-            color: rgb(0, 0, 0),
-          });
-          yPosition -= LINE_HEIGHT;
-        }
-        continue;
-      }
-      
-      // Handle URLs line (contains http)
-      if (line.includes('http')) {
-        ensureSpace(LINE_HEIGHT);
-        currentPage.drawText(line.length > 90 ? line.substring(0, 90) + '...' : line, {
-          x: MARGIN,
-          y: yPosition,
-          size: 9,
-          font: helvetica,
-          color: rgb(0, 0, 0),
-        });
-        yPosition -= LINE_HEIGHT;
-        continue;
-      }
-      
-      // Regular text - wrap if needed
-      ensureSpace(LINE_HEIGHT);
-      const words = line.split(' ');
-      let currentLineText = '';
-      const maxWidth = PAGE_WIDTH - MARGIN * 2;
-      
-      for (const word of words) {
-        const testLine = currentLineText ? `${currentLineText} ${word}` : word;
-        const testWidth = helvetica.widthOfTextAtSize(testLine, 10);
-        
-        if (testWidth > maxWidth && currentLineText) {
-          currentPage.drawText(currentLineText, {
-            x: MARGIN,
-            y: yPosition,
-            size: 10,
-            font: helvetica,
-            color: rgb(0, 0, 0),
-          });
-          yPosition -= LINE_HEIGHT;
-          ensureSpace(LINE_HEIGHT);
-          currentLineText = word;
-        } else {
-          currentLineText = testLine;
-        }
-      }
-      if (currentLineText) {
-        currentPage.drawText(currentLineText, {
-          x: MARGIN,
-          y: yPosition,
-          size: 10,
-          font: helvetica,
-          color: rgb(0, 0, 0),
-        });
-        yPosition -= LINE_HEIGHT;
-      }
+    const doc = textResumeDocument(content, { tailoredLocation });
+    const pdf = await renderPdf(template, [content, tailoredLocation || ''], () => {}, (measure, options) =>
+      layoutResume(doc, template, measure, options));
+    const pdfBytes = pdf.bytes;
+
+    // Contact details come from the text's own contact line; the title is whatever the first role says
+    const check = type === 'cv'
+      ? await atsCheck(pdfBytes, {
+        name: doc.name || undefined,
+        email: doc.contact.find((part) => part.includes('@')) || null,
+        phone: doc.contact.find((part) => !part.includes('@') && part.replace(/\D/g, '').length >= 7) || null,
+      })
+      : undefined;
+
+    // Convert to base64 (in chunks: embedded fonts make PDFs too big for one spread)
+    let binary = '';
+    for (let i = 0; i < pdfBytes.length; i += 8192) {
+      binary += String.fromCharCode(...pdfBytes.subarray(i, i + 8192));
     }
-    
-    const pdfBytes = await pdfDoc.save();
-    
-    // Convert to base64
-    const base64Pdf = btoa(String.fromCharCode(...new Uint8Array(pdfBytes)));
-    
+    const base64Pdf = btoa(binary);
+
     // Generate filename using [FirstName]_[LastName]_CV.pdf or [FirstName]_[LastName]_Cover_Letter.pdf format
     let finalFileName = fileName;
     if (!finalFileName) {
-      // Use provided firstName/lastName, or extract from content
+      // Use provided firstName/lastName, or the name line the content starts with
       let nameForFile = '';
       if (firstName && lastName) {
         nameForFile = `${firstName.trim()}_${lastName.trim()}`;
+      } else if (doc.name) {
+        // Convert "JOHN DOE" to "John_Doe"
+        nameForFile = doc.name.split(/\s+/).map(w =>
+          w.charAt(0).toUpperCase() + w.slice(1).toLowerCase()
+        ).join('_');
       } else {
-        // Try to extract name from first line (usually uppercase name)
-        const nameLine = lines.find(l => l === l.toUpperCase() && l.length < 50 && !l.includes('|') && !l.includes('@'));
-        if (nameLine) {
-          // Convert "JOHN DOE" to "John_Doe"
-          nameForFile = nameLine.split(/\s+/).map(w => 
-            w.charAt(0).toUpperCase() + w.slice(1).toLowerCase()
-          ).join('_');
-        } else {
-          nameForFile = 'Applicant';
-        }
+        nameForFile = 'Applicant';
       }
-      // Sanitize filename - remove special chars
-      nameForFile = nameForFile.replace(/[^a-zA-Z0-9_]/g, '');
+      // Sanitize filename - strip accents, remove special chars
+      nameForFile = fileNamePart(nameForFile) || 'Applicant';
       finalFileName = type === 'cv' ? `${nameForFile}_CV.pdf` : `${nameForFile}_Cover_Letter.pdf`;
     }
-    
+
     console.log(`[generate-pdf] Generated ${finalFileName}, size: ${pdfBytes.length} bytes, location: ${tailoredLocation}`);
-    
+
     return new Response(
       JSON.stringify({
         pdf: base64Pdf,
         fileName: finalFileName,
         location: tailoredLocation || 'Open to relocation',
-        pages: pdfDoc.getPageCount()
+        pages: pdf.pages,
+        template: template.id,
+        charset: pdf.charset,
+        atsCheck: check,
       }),
       { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
     );
@@ -815,9 +461,9 @@ async function handleRawContentRequest(body: {
     const errorMessage = error instanceof Error ? error.message : 'Failed to generate PDF';
     return new Response(
       JSON.stringify({ error: errorMessage }),
-      { 
-        status: 500, 
-        headers: { ...corsHeaders, 'Content-Type': 'application/json' } 
+      {
+        status: 500,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
       }
     );
   }
@@ -199,6 +199,8 @@ serve(async (req) => {
           refresh_token: tokens.refresh_token,
           token_expiry: tokenExpiry,
           is_connected: true,
+          // A (re)connected mailbox starts a fresh sync
+          gmail_history_id: null,
           updated_at: new Date().toISOString(),
         }, {
           onConflict: "user_id",
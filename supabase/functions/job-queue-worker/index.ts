@@ -0,0 +1,488 @@
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.89.0";
+import { parseJobDescription } from "../_shared/tailoring-core/index.ts";
+import { findJobByUrl } from "../_shared/jobs.ts";
+import { resolveCaller } from "../_shared/caller.ts";
+
+// Drains public.job_queue. Runs every minute from pg_cron (all users) and on
+// demand from the Job Queue page / background-apply (the caller's items only).
+// Items are claimed in small chunks under a lease; anything this run doesn't
+// finish is picked up by the next one, so no work depends on one request.
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+};
+
+// Items tailored in parallel per claim (tailor-application calls OpenAI)
+const CHUNK_SIZE = 3;
+// Longer than one chunk can take; an expired lease means the worker died
+const LEASE_SECONDS = 180;
+// Stop claiming new chunks well before the edge-function wall clock limit
+// (a chunk already claimed can take another minute)
+const TIME_BUDGET_MS = 60 * 1000;
+// How long a batch summary waits before checking its batch again
+const SUMMARY_RECHECK_SECONDS = 60;
+const FETCH_TIMEOUT_MS = 15000;
+const MAX_REDIRECTS = 5;
+
+type SupabaseClient = ReturnType<typeof createClient>;
+
+interface QueueItem {
+  id: string;
+  user_id: string;
+  kind: 'import_url' | 'prepare_application' | 'batch_summary';
+  payload: Record<string, unknown>;
+  attempts: number;
+  max_attempts: number;
+  batch_id: string | null;
+}
+
+interface ItemOutcome {
+  result: Record<string, unknown>;
+  jobId?: string;
+  applicationId?: string;
+}
+
+interface JobRow {
+  id: string;
+  title: string;
+  company: string;
+  description: string | null;
+  requirements: string[] | null;
+  location: string;
+  url: string | null;
+}
+
+// Errors retrying can't fix (missing profile, deleted job, 404 posting) skip straight to 'dead'
+class PermanentError extends Error {}
+
+// Thrown by a batch summary whose batch is still running
+class DeferError extends Error {}
+
+function metaContent(html: string, property: string): string | null {
+  const match = html.match(new RegExp(`<meta[^>]+(?:property|name)=["']${property}["'][^>]+content=["']([^"']+)["']`, 'i'))
+    || html.match(new RegExp(`<meta[^>]+content=["']([^"']+)["'][^>]+(?:property|name)=["']${property}["']`, 'i'));
+  return match ? match[1].trim() : null;
+}
+
+// Company slug from hosted ATS URLs (boards.greenhouse.io/acme, jobs.lever.co/acme, ...)
+function companyFromUrl(url: URL): string {
+  const slugHosts = ['greenhouse.io', 'lever.co', 'ashbyhq.com', 'smartrecruiters.com', 'workable.com'];
+  const slug = slugHosts.some(host => url.hostname.endsWith(host))
+    ? url.pathname.split('/').filter(Boolean)[0]
+    : url.hostname.replace(/^(www|jobs|careers|boards)\./, '').split('.')[0];
+  return (slug || url.hostname).replace(/[-_]+/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+}
+
+function isPrivateIPv4(address: string): boolean {
+  const parts = address.split('.').map(Number);
+  if (parts.length !== 4 || parts.some(part => !Number.isInteger(part) || part < 0 || part > 255)) return false;
+  const [a, b, c] = parts;
+  return a === 0 || a === 10 || a === 127
+    || (a === 100 && b >= 64 && b <= 127) // carrier-grade NAT
+    || (a === 169 && b === 254) // link-local, including cloud metadata (169.254.169.254)
+    || (a === 172 && b >= 16 && b <= 31)
+    || (a === 192 && b === 168)
+    || (a === 192 && b === 0 && c === 0)
+    || (a === 198 && (b === 18 || b === 19))
+    || a >= 224; // multicast and reserved
+}
+
+function isPrivateIPv6(address: string): boolean {
+  const ip = address.toLowerCase();
+  if (ip === '::' || ip === '::1') return true;
+  // IPv4-mapped; URL() normalises ::ffff:127.0.0.1 to ::ffff:7f00:1
+  const mapped = ip.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (mapped) {
+    const [high, low] = [parseInt(mapped[1], 16), parseInt(mapped[2], 16)];
+    return isPrivateIPv4(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+  }
+  const dotted = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) return isPrivateIPv4(dotted[1]);
+  // Unique local (fc00::/7), link-local (fe80::/10), multicast (ff00::/8)
+  return /^f[cd]/.test(ip) || /^fe[89ab]/.test(ip) || ip.startsWith('ff');
+}
+
+// A and AAAA records; empty when DNS can't be queried, so only the name checks apply
+async function resolveHost(hostname: string): Promise<string[]> {
+  const lookups = await Promise.allSettled([
+    Deno.resolveDns(hostname, 'A'),
+    Deno.resolveDns(hostname, 'AAAA'),
+  ]);
+  return lookups.flatMap(lookup => lookup.status === 'fulfilled' ? lookup.value : []);
+}
+
+// Posting URLs come from users, so only public http(s) hosts are fetched: never
+// localhost, private or link-local ranges, cloud metadata or internal service names
+async function assertPublicUrl(url: URL): Promise<void> {
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new PermanentError(`Only http(s) postings can be imported: ${url.href}`);
+  }
+
+  const host = url.hostname.toLowerCase().replace(/\.$/, '');
+  let addresses: string[];
+  if (host.startsWith('[')) {
+    addresses = [host.slice(1, -1)];
+  } else if (/^[\d.]+$/.test(host)) {
+    addresses = [host];
+  } else {
+    // Single-label names ("kong", "metadata") only resolve inside the platform network
+    if (!host.includes('.') || /(^|\.)(localhost|local|internal)$/.test(host)) {
+      throw new PermanentError(`Refusing to fetch a non-public host: ${host}`);
+    }
+    addresses = await resolveHost(host);
+  }
+
+  if (addresses.some(address => address.includes(':') ? isPrivateIPv6(address) : isPrivateIPv4(address))) {
+    throw new PermanentError(`Refusing to fetch a non-public host: ${host}`);
+  }
+}
+
+// fetch() that re-checks every redirect hop, so a public URL can't bounce to an internal one
+async function fetchPublicUrl(url: URL): Promise<Response> {
+  const signal = AbortSignal.timeout(FETCH_TIMEOUT_MS);
+  let current = url;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    await assertPublicUrl(current);
+    const response = await fetch(current, {
+      headers: { 'User-Agent': 'Mozilla/5.0 (compatible; QuantumHireBot/1.0)' },
+      redirect: 'manual',
+      signal,
+    });
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) return response;
+
+    await response.body?.cancel();
+    current = new URL(location, current);
+  }
+  throw new PermanentError(`Too many redirects fetching ${url.href}`);
+}
+
+// Title, company and description of a posting, read from its page
+async function fetchPosting(url: string) {
+  let parsedUrl: URL;
+  try {
+    parsedUrl = new URL(url);
+  } catch {
+    throw new PermanentError(`Invalid URL: ${url}`);
+  }
+
+  const response = await fetchPublicUrl(parsedUrl);
+  if (response.status === 404 || response.status === 410) {
+    throw new PermanentError(`Posting no longer available (${response.status})`);
+  }
+  if (!response.ok) {
+    throw new Error(`Failed to fetch posting: ${response.status}`);
+  }
+
+  const html = await response.text();
+  const rawTitle = metaContent(html, 'og:title')
+    || html.match(/<title[^>]*>([^<]+)<\/title>/i)?.[1]
+    || html.match(/<h1[^>]*>([^<]+)<\/h1>/i)?.[1]
+    || '';
+  // "Senior Engineer - Acme" / "Job Application for Senior Engineer at Acme"
+  const title = rawTitle
+    .replace(/^job application for\s+/i, '')
+    .split(/\s+(?:at|@)\s+|\s+[-|–]\s+/)[0]
+    .trim();
+  if (!title) {
+    throw new PermanentError('Could not read a job title from the posting');
+  }
+
+  return {
+    title: title.substring(0, 200),
+    company: (metaContent(html, 'og:site_name') || companyFromUrl(parsedUrl)).substring(0, 200),
+    description: parseJobDescription(html).text,
+    platform: parsedUrl.hostname.replace(/^www\./, ''),
+  };
+}
+
+async function loadJob(supabase: SupabaseClient, userId: string, jobId: string): Promise<JobRow> {
+  const { data, error } = await supabase
+    .from('jobs')
+    .select('id, title, company, description, requirements, location, url')
+    .eq('id', jobId)
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) throw new PermanentError('Job no longer exists');
+  return data as JobRow;
+}
+
+// The user's job for a URL, saving the posting first if they don't have it
+async function resolveJobForUrl(supabase: SupabaseClient, userId: string, url: string): Promise<JobRow> {
+  const existing = await findJobByUrl(supabase, userId, url);
+  if (existing) return loadJob(supabase, userId, existing.id);
+
+  const posting = await fetchPosting(url);
+  const { data: inserted, error } = await supabase
+    .from('jobs')
+    .insert({
+      user_id: userId,
+      title: posting.title,
+      company: posting.company,
+      description: posting.description,
+      platform: posting.platform,
+      location: 'Remote',
+      url,
+      status: 'pending',
+    })
+    .select('id')
+    .maybeSingle();
+  if (error) throw error;
+
+  // No row back means merge_duplicate_job folded it into a job the user already had
+  const jobId = (inserted as { id: string } | null)?.id ?? (await findJobByUrl(supabase, userId, url))?.id;
+  if (!jobId) throw new Error('Saved posting could not be found');
+  return loadJob(supabase, userId, jobId);
+}
+
+// Tailor documents for a job and store them on a pending application in the
+// 'prepared' stage; the extension's submission evidence moves it to applied
+async function prepareApplication(
+  supabase: SupabaseClient,
+  supabaseUrl: string,
+  serviceKey: string,
+  userId: string,
+  job: JobRow,
+  resumeVersionId?: string,
+): Promise<ItemOutcome> {
+  const tailorResponse = await fetch(`${supabaseUrl}/functions/v1/tailor-application`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${serviceKey}`,
+      'x-user-id': userId,
+      'Content-Type': 'application/json',
+    },
+    // No userProfile: tailor-application reads the current profile from the database
+    body: JSON.stringify({
+      jobTitle: job.title,
+      company: job.company,
+      description: job.description || '',
+      requirements: job.requirements || [],
+      location: job.location,
+      jobUrl: job.url || undefined,
+      resumeVersionId,
+      includeReferral: true,
+    }),
+  });
+
+  const tailoredData = await tailorResponse.json().catch(() => ({}));
+  if (!tailorResponse.ok) {
+    const message = tailoredData.error || `Failed to tailor application: ${tailorResponse.status}`;
+    // Profile, API key, billing and AI budget problems the user has to fix first
+    throw [400, 401, 402].includes(tailorResponse.status) ? new PermanentError(message) : new Error(message);
+  }
+
+  const prepared = {
+    tailored_resume: tailoredData.tailoredResume,
+    tailored_cover_letter: tailoredData.tailoredCoverLetter,
+    referral_email: tailoredData.referralEmail,
+    // Without it the applications trigger snapshots the text itself
+    resume_version_id: tailoredData.resumeVersionId ?? null,
+  };
+
+  // Re-running a job refreshes its unsubmitted application instead of adding another
+  const { data: existing } = await supabase
+    .from('applications')
+    .select('id')
+    .eq('user_id', userId)
+    .eq('job_id', job.id)
+    .eq('status', 'pending')
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  let applicationId: string;
+  if (existing) {
+    applicationId = (existing as { id: string }).id;
+    const { error } = await supabase.from('applications').update(prepared).eq('id', applicationId);
+    if (error) throw new Error(`Failed to save application: ${error.message}`);
+  } else {
+    const { data: preparedStage } = await supabase
+      .from('application_stages')
+      .select('id')
+      .eq('user_id', userId)
+      .eq('key', 'prepared')
+      .maybeSingle();
+
+    const { data: application, error } = await supabase
+      .from('applications')
+      .insert({
+        ...prepared,
+        user_id: userId,
+        job_id: job.id,
+        status: 'pending',
+        stage_id: (preparedStage as { id: string } | null)?.id ?? null,
+      })
+      .select('id')
+      .single();
+    if (error) throw new Error(`Failed to save application: ${error.message}`);
+    applicationId = (application as { id: string }).id;
+  }
+
+  // Job stays pending until a submission is recorded
+  await supabase
+    .from('jobs')
+    .update({ match_score: tailoredData.matchScore })
+    .eq('id', job.id);
+
+  console.log(`Prepared application for ${job.title} at ${job.company}`);
+
+  return {
+    jobId: job.id,
+    applicationId,
+    result: { title: job.title, company: job.company, matchScore: tailoredData.matchScore ?? null },
+  };
+}
+
+// One email per background-apply batch, sent once every other item is settled
+async function sendBatchSummary(supabase: SupabaseClient, item: QueueItem): Promise<ItemOutcome> {
+  const { data, error } = await supabase
+    .from('job_queue')
+    .select('status, result, last_error, payload')
+    .eq('batch_id', item.batch_id)
+    .neq('id', item.id);
+  if (error) throw error;
+
+  const siblings = (data || []) as { status: string; result: Record<string, unknown> | null; last_error: string | null; payload: Record<string, unknown> }[];
+  if (siblings.some(s => s.status === 'queued' || s.status === 'processing' || s.status === 'paused')) {
+    throw new DeferError('Batch still running');
+  }
+
+  const prepared = siblings.filter(s => s.status === 'completed' && s.result);
+  const failed = siblings.filter(s => s.status === 'dead');
+  const email = typeof item.payload.email === 'string' ? item.payload.email : null;
+
+  if (email && prepared.length > 0) {
+    const emailBody = `
+        <h2>AutoApply AI - Application Summary</h2>
+        <p>Your tailored applications are ready. Open each job with the extension to submit it;
+        it will move to Applied once the submission is confirmed.</p>
+
+        <h3>Ready to Submit (${prepared.length})</h3>
+        <ul>
+          ${prepared.map(s => `<li><strong>${s.result!.title}</strong> at ${s.result!.company} - Match Score: ${s.result!.matchScore}%</li>`).join("")}
+        </ul>
+
+        ${failed.length > 0 ? `
+        <h3>Failed Applications (${failed.length})</h3>
+        <ul>
+          ${failed.map(s => `<li><strong>${s.payload.title || 'Job'}</strong> at ${s.payload.company || ''} - Error: ${s.last_error}</li>`).join("")}
+        </ul>
+        ` : ""}
+
+        <p>Log in to AutoApply AI to view your tailored resumes and cover letters.</p>
+      `;
+
+    // Store the notification (email sending would require Gmail integration)
+    await supabase.from('sent_emails').insert({
+      user_id: item.user_id,
+      email_type: 'application',
+      recipient: email,
+      subject: `AutoApply AI: ${prepared.length} Applications Ready to Submit`,
+      body: emailBody,
+      delivered: true,
+    });
+  }
+
+  return { result: { prepared: prepared.length, failed: failed.length } };
+}
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')!;
+    const supabaseKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!;
+    const supabase = createClient(supabaseUrl, supabaseKey);
+
+    const userId = await resolveCaller(req, supabase, supabaseKey);
+    const workerId = `worker-${crypto.randomUUID()}`;
+    const startedAt = Date.now();
+    const counts = { completed: 0, retrying: 0, dead: 0, deferred: 0 };
+
+    const processItem = async (item: QueueItem): Promise<ItemOutcome> => {
+      switch (item.kind) {
+        case 'import_url': {
+          if (typeof item.payload.url !== 'string') throw new PermanentError('Missing url');
+          const job = await resolveJobForUrl(supabase, item.user_id, item.payload.url);
+          return prepareApplication(supabase, supabaseUrl, supabaseKey, item.user_id, job);
+        }
+        case 'prepare_application': {
+          if (typeof item.payload.jobId !== 'string') throw new PermanentError('Missing jobId');
+          const job = await loadJob(supabase, item.user_id, item.payload.jobId);
+          const resumeVersionId = typeof item.payload.resumeVersionId === 'string' ? item.payload.resumeVersionId : undefined;
+          return prepareApplication(supabase, supabaseUrl, supabaseKey, item.user_id, job, resumeVersionId);
+        }
+        case 'batch_summary':
+          return sendBatchSummary(supabase, item);
+        default:
+          throw new PermanentError(`Unknown queue item kind: ${item.kind}`);
+      }
+    };
+
+    const settle = async (item: QueueItem) => {
+      try {
+        const outcome = await processItem(item);
+        await supabase.rpc('complete_job_queue_item', {
+          _id: item.id,
+          _worker: workerId,
+          _result: outcome.result,
+          _job_id: outcome.jobId,
+          _application_id: outcome.applicationId,
+        });
+        counts.completed++;
+      } catch (error) {
+        if (error instanceof DeferError) {
+          await supabase.rpc('defer_job_queue_item', { _id: item.id, _worker: workerId, _delay_seconds: SUMMARY_RECHECK_SECONDS });
+          counts.deferred++;
+          return;
+        }
+
+        const message = error instanceof Error ? error.message : 'Unknown error';
+        console.error(`Queue item ${item.id} (${item.kind}) failed on attempt ${item.attempts}:`, message);
+        const { data: status } = await supabase.rpc('fail_job_queue_item', {
+          _id: item.id,
+          _worker: workerId,
+          _error: message,
+          _retryable: !(error instanceof PermanentError),
+        });
+        if (status === 'dead') counts.dead++;
+        else counts.retrying++;
+      }
+    };
+
+    while (Date.now() - startedAt < TIME_BUDGET_MS) {
+      const { data: claimed, error: claimError } = await supabase.rpc('claim_job_queue_items', {
+        _worker: workerId,
+        _limit: CHUNK_SIZE,
+        _lease_seconds: LEASE_SECONDS,
+        _user_id: userId,
+      });
+      if (claimError) throw claimError;
+
+      const items = (claimed || []) as QueueItem[];
+      if (items.length === 0) break;
+
+      await Promise.all(items.map(settle));
+    }
+
+    console.log(`Queue worker ${workerId} done${userId ? ` (user ${userId})` : ''}: ${JSON.stringify(counts)}`);
+
+    return new Response(
+      JSON.stringify({ success: true, ...counts }),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error('Error in job-queue-worker:', error);
+    const status = error instanceof Error && error.message.includes('Unauthorized') ? 401 : 500;
+    return new Response(
+      JSON.stringify({ success: false, error: error instanceof Error ? error.message : 'Unknown error' }),
+      { status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+});
@@ -1,5 +1,11 @@
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
 import { createClient } from "https://esm.sh/@supabase/supabase-js@2.89.0";
+import {
+  boardsFromWatchlist,
+  collectJobs,
+  mergeBoards,
+  type BoardRef,
+} from "../_shared/job-connectors/index.ts";
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
@@ -39,25 +45,28 @@ const TARGET_LOCATIONS = [
   "Singapore", "Australia", "Canada", "EMEA", "Europe"
 ];
 
-// Top 15 Greenhouse companies (reduced for CPU limits)
-const GREENHOUSE_COMPANIES = [
-  { name: 'Stripe', token: 'stripe' },
-  { name: 'Figma', token: 'figma' },
-  { name: 'Notion', token: 'notion' },
-  { name: 'Coinbase', token: 'coinbase' },
-  { name: 'Databricks', token: 'databricks' },
-  { name: 'Plaid', token: 'plaid' },
-  { name: 'Rippling', token: 'rippling' },
-  { name: 'Vercel', token: 'vercel' },
-  { name: 'Linear', token: 'linear' },
-  { name: 'Mercury', token: 'mercury' },
-  { name: 'Deel', token: 'deel' },
-  { name: 'Revolut', token: 'revolut' },
-  { name: 'Canva', token: 'canva' },
-  { name: 'Datadog', token: 'datadog' },
-  { name: 'MongoDB', token: 'mongodb' },
+// Starter boards for users who haven't added any to company_watchlist yet
+const DEFAULT_BOARDS: BoardRef[] = [
+  { provider: 'greenhouse', token: 'stripe', company: 'Stripe' },
+  { provider: 'greenhouse', token: 'figma', company: 'Figma' },
+  { provider: 'greenhouse', token: 'notion', company: 'Notion' },
+  { provider: 'greenhouse', token: 'coinbase', company: 'Coinbase' },
+  { provider: 'greenhouse', token: 'databricks', company: 'Databricks' },
+  { provider: 'greenhouse', token: 'plaid', company: 'Plaid' },
+  { provider: 'greenhouse', token: 'rippling', company: 'Rippling' },
+  { provider: 'greenhouse', token: 'vercel', company: 'Vercel' },
+  { provider: 'greenhouse', token: 'linear', company: 'Linear' },
+  { provider: 'greenhouse', token: 'mercury', company: 'Mercury' },
+  { provider: 'greenhouse', token: 'deel', company: 'Deel' },
+  { provider: 'greenhouse', token: 'revolut', company: 'Revolut' },
+  { provider: 'greenhouse', token: 'canva', company: 'Canva' },
+  { provider: 'greenhouse', token: 'datadog', company: 'Datadog' },
+  { provider: 'greenhouse', token: 'mongodb', company: 'MongoDB' },
 ];
 
+// Only take the first 20 postings per board for speed
+const MAX_JOBS_PER_BOARD = 20;
+
 interface LiveJob {
   id: string;
   title: string;
@@ -67,6 +76,7 @@ interface LiveJob {
   absolute_url: string;
   description_snippet: string;
   source: string;
+  platform: string;
   keywords_matched: string[];
   score: number;
   salary: string | null;
@@ -90,62 +100,6 @@ async function verifyAndGetUserId(req: Request, supabase: any): Promise<string>
   return user.id;
 }
 
-// Fetch with timeout
-async function fetchWithTimeout(url: string, timeout = 5000): Promise<Response> {
-  const controller = new AbortController();
-  const id = setTimeout(() => controller.abort(), timeout);
-  try {
-    const response = await fetch(url, { 
-      signal: controller.signal,
-      headers: { 'Accept': 'application/json' }
-    });
-    clearTimeout(id);
-    return response;
-  } catch (error) {
-    clearTimeout(id);
-    throw error;
-  }
-}
-
-// Fetch from Greenhouse API (simplified for speed)
-async function fetchGreenhouseJobs(company: { name: string; token: string }): Promise<LiveJob[]> {
-  try {
-    const response = await fetchWithTimeout(
-      `https://boards-api.greenhouse.io/v1/boards/${company.token}/jobs`,
-      4000
-    );
-    
-    if (!response.ok) return [];
-    
-    const data = await response.json();
-    
-    // Only take first 20 jobs per company for speed
-    const jobs: LiveJob[] = (data.jobs || []).slice(0, 20).map((job: any) => {
-      const locationName = job.location?.name || 'Remote';
-      
-      return {
-        id: `gh_${company.token}_${job.id}`,
-        title: job.title || 'Unknown Position',
-        company: company.name,
-        location: locationName,
-        updated_at: job.updated_at || new Date().toISOString(),
-        absolute_url: job.absolute_url || `https://boards.greenhouse.io/${company.token}/jobs/${job.id}`,
-        description_snippet: '',
-        source: 'greenhouse',
-        keywords_matched: [],
-        score: 0,
-        salary: null,
-        requirements: [],
-      };
-    });
-    
-    return jobs;
-  } catch (error) {
-    console.error(`GH ${company.name}: timeout/error`);
-    return [];
-  }
-}
-
 // Calculate job score
 function calculateScore(job: LiveJob, keywords: string[], locations: string[]): number {
   let score = 50;
@@ -194,8 +148,6 @@ serve(async (req) => {
     const limit = validateNumber(rawData.limit, 1, MAX_LIMIT, 100);
     const hoursFilter = parseFloat(rawData.hours) || 0; // Support fractional hours (e.g., 0.5 for 30 min)
     
-    console.log(`Live jobs fetch - ${GREENHOUSE_COMPANIES.length} companies for user ${user_id}, filter: ${hoursFilter}h`);
-    
     const keywordList = keywords.split(',').map((k: string) => k.trim().toLowerCase()).filter((k: string) => k).slice(0, 30);
     const locationList = locations.split(',').map((l: string) => l.trim().toLowerCase()).filter((l: string) => l).slice(0, 20);
     
@@ -204,20 +156,47 @@ serve(async (req) => {
       ? new Date(Date.now() - hoursFilter * 60 * 60 * 1000)
       : null;
     
-    // Fetch in batches of 5 to avoid CPU limits
-    const allJobs: LiveJob[] = [];
-    const batchSize = 5;
-    
-    for (let i = 0; i < GREENHOUSE_COMPANIES.length; i += batchSize) {
-      const batch = GREENHOUSE_COMPANIES.slice(i, i + batchSize);
-      const results = await Promise.allSettled(batch.map(c => fetchGreenhouseJobs(c)));
-      
-      for (const result of results) {
-        if (result.status === 'fulfilled') {
-          allJobs.push(...result.value);
-        }
-      }
-    }
+    // The user's own watchlist, minus boards that are backing off after failures
+    const { data: watchlist } = await supabase
+      .from('company_watchlist')
+      .select('company_name, provider, board_token, consecutive_failures, next_poll_at')
+      .eq('user_id', user_id)
+      .eq('is_enabled', true);
+
+    const now = Date.now();
+    const healthyBoards = (watchlist || []).filter(row =>
+      row.consecutive_failures === 0 || new Date(row.next_poll_at).getTime() <= now
+    );
+    const boards = watchlist && watchlist.length > 0
+      ? mergeBoards(boardsFromWatchlist(healthyBoards))
+      : DEFAULT_BOARDS;
+    console.log(`Live jobs fetch - ${boards.length} boards for user ${user_id}, filter: ${hoursFilter}h`);
+
+    // Listings only (no per-posting detail calls), in batches of 5 to avoid CPU limits
+    const results = await collectJobs(boards, {
+      maxJobs: MAX_JOBS_PER_BOARD,
+      includeDetails: false,
+      timeoutMs: 4000,
+      batchSize: 5,
+    });
+
+    const allJobs: LiveJob[] = results.flatMap(({ board, jobs }) =>
+      jobs.map(job => ({
+        id: `${board.provider}_${board.token}_${job.external_id}`,
+        title: job.title,
+        company: job.company,
+        location: job.location,
+        updated_at: job.posted_date,
+        absolute_url: job.url,
+        description_snippet: job.description.slice(0, 300),
+        source: board.provider,
+        platform: job.platform,
+        keywords_matched: [],
+        score: 0,
+        salary: job.salary,
+        requirements: job.requirements,
+      }))
+    );
     
     console.log(`Fetched ${allJobs.length} jobs`);
     
@@ -276,7 +255,7 @@ serve(async (req) => {
           salary: job.salary,
           description: job.description_snippet,
           requirements: job.requirements,
-          platform: 'Greenhouse',
+          platform: job.platform,
           url: job.absolute_url,
           posted_date: job.updated_at,
           match_score: Math.round(job.score),
@@ -1,6 +1,7 @@
 import "https://deno.land/x/xhr@0.1.0/mod.ts";
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
 import { createClient } from "https://esm.sh/@supabase/supabase-js@2.49.1";
+import { createUserLLMClient, isLLMError, llmErrorResponse } from "../_shared/llm/index.ts";
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
@@ -54,40 +55,19 @@ serve(async (req) => {
                      fileExtension === 'docx' ? 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' :
                      'application/msword';
 
-    // Get user's OpenAI API key
-    const { data: profileData } = await supabaseClient
-      .from('profiles')
-      .select('openai_api_key')
-      .eq('user_id', user.id)
-      .single();
-
-    const openaiApiKey = profileData?.openai_api_key || Deno.env.get('OPENAI_API_KEY');
+    // The user's OpenAI key, or the deployment's when they haven't set one
+    const llm = await createUserLLMClient(supabaseClient, user.id, 'parse-cv', { serverKeyFallback: true });
     
-    if (!openaiApiKey) {
+    if (!llm.configured) {
       throw new Error('OpenAI API key not configured. Please add your API key in the profile settings.');
     }
 
-    // Use OpenAI to extract structured data from CV text
-    // First, we need to extract text from the file
-    // For PDFs/DOCx, we'll use a text extraction approach
-    
-    let textContent = '';
-    
-    // Try to extract text content
     try {
-      // For text-based extraction, we'll send to OpenAI with the document
-      const extractionResponse = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${openaiApiKey}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          model: 'gpt-4o-mini',
-          messages: [
-            {
-              role: 'system',
-              content: `You are an expert CV/Resume parser. Extract structured information from the provided CV content and return it as a JSON object. 
+      const reply = await llm.completeJSON({
+        messages: [
+          {
+            role: 'system',
+            content: `You are an expert CV/Resume parser. Extract structured information from the provided CV content and return it as a JSON object. 
 
 Extract the following fields (use null if not found):
 - first_name: string
@@ -111,53 +91,31 @@ Extract the following fields (use null if not found):
 - cover_letter: string (a brief professional summary if available)
 
 Return ONLY valid JSON, no markdown or explanation.`
-            },
-            {
-              role: 'user',
-              content: `Parse this CV document (base64 encoded ${mimeType}). Extract all the information you can find:\n\n${base64Content.substring(0, 50000)}`
-            }
-          ],
-          temperature: 0.3,
-          max_tokens: 4000,
-        }),
-      });
-
-      if (!extractionResponse.ok) {
-        const errorText = await extractionResponse.text();
-        console.error('OpenAI extraction error:', errorText);
-        throw new Error('Failed to parse CV with AI');
-      }
-
-      const extractionData = await extractionResponse.json();
-      const extractedText = extractionData.choices?.[0]?.message?.content || '';
-      
-      // Parse the JSON response
-      let parsedData;
-      try {
-        // Clean up the response - remove markdown code blocks if present
-        let cleanedText = extractedText.trim();
-        if (cleanedText.startsWith('```json')) {
-          cleanedText = cleanedText.replace(/^```json\n?/, '').replace(/\n?```$/, '');
-        } else if (cleanedText.startsWith('```')) {
-          cleanedText = cleanedText.replace(/^```\n?/, '').replace(/\n?```$/, '');
-        }
-        parsedData = JSON.parse(cleanedText);
-      } catch (parseError) {
-        console.error('JSON parse error:', parseError, 'Raw text:', extractedText);
-        throw new Error('Failed to parse extracted CV data');
-      }
+          },
+          {
+            role: 'user',
+            content: `Parse this CV document (base64 encoded ${mimeType}). Extract all the information you can find:\n\n${base64Content.substring(0, 50000)}`
+          }
+        ],
+        temperature: 0.3,
+        maxTokens: 4000,
+      }, { skills: 'array?', work_experience: 'array?', education: 'array?' });
 
       return new Response(
         JSON.stringify({
           success: true,
-          data: parsedData,
+          data: reply.data,
+          budgetWarning: llm.budgetWarning,
         }),
         { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
       );
 
     } catch (extractError) {
       console.error('CV extraction error:', extractError);
-      throw new Error('Failed to extract CV content: ' + (extractError as Error).message);
+      const message = isLLMError(extractError)
+        ? String(llmErrorResponse(extractError).body.error)
+        : (extractError as Error).message;
+      throw new Error('Failed to extract CV content: ' + message);
     }
 
   } catch (error) {
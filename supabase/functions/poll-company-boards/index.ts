@@ -0,0 +1,178 @@
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.89.0";
+import {
+  collectJobs,
+  isDirectJobUrl,
+  type BoardRef,
+  type ConnectorId,
+  type JobListing,
+} from "../_shared/job-connectors/index.ts";
+import { resolveCaller } from "../_shared/caller.ts";
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+};
+
+// Boards (watchlist rows) handled per scheduled run; the rest wait for the next tick
+const MAX_ROWS_PER_RUN = 60;
+const MAX_JOBS_PER_BOARD = 50;
+
+// Healthy boards are polled every 30 minutes; failures double that up to a day
+const POLL_INTERVAL_MINUTES = 30;
+const MAX_BACKOFF_MINUTES = 24 * 60;
+
+type SupabaseClient = ReturnType<typeof createClient>;
+
+interface WatchlistRow {
+  id: string;
+  user_id: string;
+  company_name: string;
+  provider: ConnectorId;
+  board_token: string;
+  consecutive_failures: number;
+}
+
+function nextPollAt(failures: number, now: Date): string {
+  const minutes = failures === 0
+    ? POLL_INTERVAL_MINUTES
+    : Math.min(POLL_INTERVAL_MINUTES * 2 ** failures, MAX_BACKOFF_MINUTES);
+  return new Date(now.getTime() + minutes * 60 * 1000).toISOString();
+}
+
+const boardKey = (provider: string, token: string) => `${provider}:${token.toLowerCase()}`;
+
+// Insert postings the user doesn't have yet; returns how many were added
+async function insertNewJobs(supabase: SupabaseClient, row: WatchlistRow, jobs: JobListing[]): Promise<number> {
+  const candidates = jobs.filter(job => isDirectJobUrl(job.url));
+  if (candidates.length === 0) return 0;
+
+  const { data: existing, error: existingError } = await supabase
+    .from('jobs')
+    .select('url')
+    .eq('user_id', row.user_id)
+    .in('url', candidates.map(job => job.url));
+
+  if (existingError) throw existingError;
+
+  const existingUrls = new Set(((existing || []) as { url: string }[]).map(j => j.url));
+  const newJobs = candidates.filter(job => !existingUrls.has(job.url));
+  if (newJobs.length === 0) return 0;
+
+  const { error } = await supabase.from('jobs').insert(newJobs.map(job => ({
+    user_id: row.user_id,
+    title: job.title,
+    company: row.company_name,
+    location: job.location,
+    salary: job.salary,
+    description: job.description,
+    requirements: job.requirements,
+    platform: job.platform,
+    url: job.url,
+    posted_date: job.posted_date,
+    status: 'pending',
+  })));
+
+  if (error) throw error;
+  return newJobs.length;
+}
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')!;
+    const supabaseKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!;
+    const supabase = createClient(supabaseUrl, supabaseKey);
+
+    const userId = await resolveCaller(req, supabase, supabaseKey);
+    const now = new Date();
+
+    let query = supabase
+      .from('company_watchlist')
+      .select('id, user_id, company_name, provider, board_token, consecutive_failures')
+      .eq('is_enabled', true)
+      .order('next_poll_at', { ascending: true })
+      .limit(MAX_ROWS_PER_RUN);
+
+    // Manual polls ignore the schedule for the caller's own boards
+    query = userId ? query.eq('user_id', userId) : query.lte('next_poll_at', now.toISOString());
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    const rows = (data || []) as WatchlistRow[];
+
+    // Fetch each distinct board once, however many users watch it
+    const boards = new Map<string, BoardRef>();
+    for (const row of rows) {
+      const key = boardKey(row.provider, row.board_token);
+      if (!boards.has(key)) {
+        boards.set(key, { provider: row.provider, token: row.board_token, company: row.company_name });
+      }
+    }
+
+    console.log(`Polling ${boards.size} boards for ${rows.length} watchlist entries${userId ? ` (user ${userId})` : ''}`);
+
+    const results = await collectJobs([...boards.values()], {
+      maxJobs: MAX_JOBS_PER_BOARD,
+      includeDetails: false,
+      batchSize: 5,
+    });
+    const resultByKey = new Map(results.map(result => [boardKey(result.board.provider, result.board.token), result]));
+
+    let inserted = 0;
+    let failed = 0;
+
+    for (const row of rows) {
+      const result = resultByKey.get(boardKey(row.provider, row.board_token));
+      let errorMessage = result?.error || null;
+      let newJobs = 0;
+
+      if (result && !errorMessage) {
+        try {
+          newJobs = await insertNewJobs(supabase, row, result.jobs);
+          inserted += newJobs;
+        } catch (insertError) {
+          errorMessage = insertError instanceof Error ? insertError.message : 'Failed to save jobs';
+        }
+      }
+
+      const failures = errorMessage ? row.consecutive_failures + 1 : 0;
+      if (errorMessage) failed++;
+
+      await supabase
+        .from('company_watchlist')
+        .update({
+          last_polled_at: now.toISOString(),
+          next_poll_at: nextPollAt(failures, now),
+          consecutive_failures: failures,
+          last_error: errorMessage,
+          ...(errorMessage ? {} : { last_success_at: now.toISOString(), last_new_jobs: newJobs }),
+        })
+        .eq('id', row.id);
+    }
+
+    console.log(`Board poll done: ${inserted} new jobs, ${failed} failed entries`);
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        boardsPolled: boards.size,
+        entries: rows.length,
+        inserted,
+        failed,
+      }),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  } catch (error) {
+    console.error('Error in poll-company-boards:', error);
+    const status = error instanceof Error && error.message.includes('Unauthorized') ? 401 : 500;
+    return new Response(
+      JSON.stringify({ success: false, error: error instanceof Error ? error.message : 'Unknown error' }),
+      { status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+});
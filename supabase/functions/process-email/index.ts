@@ -1,5 +1,13 @@
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
 import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+import {
+  classifyEmail,
+  matchApplication,
+  shouldAdvanceStatus,
+  statusForDetection,
+  type ApplicationCandidate,
+} from "../_shared/email-classifier.ts";
+import { createGmailClient, syncMailbox } from "../_shared/gmail-sync.ts";
 
 const corsHeaders = {
   "Access-Control-Allow-Origin": "*",
@@ -12,6 +20,13 @@ const MAX_SUBJECT_LENGTH = 500;
 const MAX_BODY_LENGTH = 100000; // 100KB
 const MAX_TOKEN_LENGTH = 5000;
 
+// Minimum confidence before a detection may move an application automatically
+const AUTO_STATUS_MIN_CONFIDENCE = 0.6;
+const AUTO_STATUS_MIN_MATCH_CONFIDENCE = 0.7;
+
+// Messages fetched per detect_responses call; the history cursor picks up the rest next time
+const MAX_MESSAGES_PER_SYNC = 100;
+
 // Simple HTML sanitizer to prevent XSS
 function sanitizeHtml(html: string): string {
   // Remove script tags and their content
@@ -59,6 +74,13 @@ interface SendEmailRequest {
   accessToken?: string;
 }
 
+interface ApplicationRow {
+  id: string;
+  status: ApplicationCandidate["status"];
+  created_at: string | null;
+  job: { id: string; title: string; company: string; url: string | null } | null;
+}
+
 // Helper function to verify JWT and extract user ID
 async function verifyAndGetUserId(req: Request, supabase: any): Promise<string> {
   const authHeader = req.headers.get('authorization');
@@ -202,93 +224,144 @@ serve(async (req) => {
         throw new Error("Access token required for detecting responses");
       }
 
-      // Fetch recent emails from Gmail
-      const listResponse = await fetch(
-        "https://gmail.googleapis.com/gmail/v1/users/me/messages?maxResults=50&q=is:inbox newer_than:7d",
-        {
-          headers: { Authorization: `Bearer ${accessToken}` },
-        }
-      );
+      // Resume from the stored history cursor (or do a bounded full sync)
+      const { data: integration } = await supabase
+        .from("email_integrations")
+        .select("gmail_history_id")
+        .eq("user_id", userId)
+        .maybeSingle();
+
+      const gmail = createGmailClient(accessToken);
+      const sync = await syncMailbox(gmail, {
+        startHistoryId: integration?.gmail_history_id || null,
+        maxMessages: MAX_MESSAGES_PER_SYNC,
+      });
 
-      if (!listResponse.ok) {
-        throw new Error("Failed to fetch emails");
-      }
+      console.log(`Gmail ${sync.mode} sync fetched ${sync.messages.length} messages${sync.truncated ? " (more pending)" : ""}`);
 
-      const listData = await listResponse.json();
-      const messages = listData.messages || [];
       const detections: any[] = [];
 
-      for (const msg of messages.slice(0, 20)) {
-        const msgResponse = await fetch(
-          `https://gmail.googleapis.com/gmail/v1/users/me/messages/${msg.id}?format=full`,
-          { headers: { Authorization: `Bearer ${accessToken}` } }
-        );
-
-        if (!msgResponse.ok) continue;
-
-        const msgData = await msgResponse.json();
-        const headers = msgData.payload?.headers || [];
-        const emailSubject = headers.find((h: any) => h.name === "Subject")?.value || "";
-        const from = headers.find((h: any) => h.name === "From")?.value || "";
-        
-        // Get body
-        let emailBody = "";
-        if (msgData.payload?.body?.data) {
-          emailBody = atob(msgData.payload.body.data.replace(/-/g, "+").replace(/_/g, "/"));
-        } else if (msgData.payload?.parts) {
-          const textPart = msgData.payload.parts.find((p: any) => p.mimeType === "text/plain");
-          if (textPart?.body?.data) {
-            emailBody = atob(textPart.body.data.replace(/-/g, "+").replace(/_/g, "/"));
-          }
-        }
+      // Candidate applications and previously linked threads for matching
+      const { data: applicationRows } = await supabase
+        .from("applications")
+        .select("id, status, created_at, job:jobs(id, title, company, url)")
+        .eq("user_id", userId);
+
+      const rows = (applicationRows || []) as ApplicationRow[];
+      const candidates: ApplicationCandidate[] = rows
+        .filter((row) => row.job)
+        .map((row) => ({
+          id: row.id,
+          status: row.status,
+          company: row.job.company,
+          title: row.job.title,
+          url: row.job.url,
+          createdAt: row.created_at,
+        }));
+      const jobIdByApplication = new Map<string, string>(
+        rows.filter((row) => row.job).map((row) => [row.id, row.job!.id])
+      );
 
-        // Detect email type using keywords
-        const lowerSubject = emailSubject.toLowerCase();
-        const lowerBody = emailBody.toLowerCase();
-        
-        let detectionType: string | null = null;
-        
-        if (lowerSubject.includes("interview") || lowerSubject.includes("schedule") || 
-            lowerBody.includes("interview") && lowerBody.includes("schedule")) {
-          detectionType = "interview";
-        } else if (lowerSubject.includes("unfortunately") || lowerSubject.includes("not moving forward") ||
-                   lowerBody.includes("unfortunately") || lowerBody.includes("not be moving forward")) {
-          detectionType = "rejection";
-        } else if (lowerSubject.includes("offer") || lowerSubject.includes("congratulations") ||
-                   lowerBody.includes("pleased to offer") || lowerBody.includes("job offer")) {
-          detectionType = "offer";
-        }
+      const { data: linkedThreads } = await supabase
+        .from("email_detections")
+        .select("thread_id, application_id")
+        .eq("user_id", userId)
+        .not("thread_id", "is", null)
+        .not("application_id", "is", null);
+
+      const threadIndex = new Map<string, string>(
+        ((linkedThreads || []) as { thread_id: string; application_id: string }[])
+          .map((row) => [row.thread_id, row.application_id])
+      );
 
-        if (detectionType) {
-          // Check if already detected
-          const { data: existing } = await supabase
-            .from("email_detections")
-            .select("id")
-            .eq("user_id", userId)
-            .eq("email_subject", emailSubject)
-            .eq("email_from", from)
-            .maybeSingle();
-
-          if (!existing) {
-            const { data: detection, error } = await supabase.from("email_detections").insert({
-              user_id: userId,
-              email_subject: emailSubject.substring(0, 500),
-              email_from: from.substring(0, 254),
-              email_body: emailBody.substring(0, 1000),
-              detection_type: detectionType,
-            }).select().single();
-
-            if (!error && detection) {
-              detections.push(detection);
+      for (const msg of sync.messages) {
+        // Skip messages we've already classified
+        const { data: existing } = await supabase
+          .from("email_detections")
+          .select("id")
+          .eq("user_id", userId)
+          .eq("gmail_message_id", msg.id)
+          .maybeSingle();
+
+        if (existing) continue;
+
+        const emailSubject = msg.subject;
+        const from = msg.from;
+        const emailBody = msg.bodyText;
+        const message = {
+          id: msg.id,
+          threadId: msg.threadId,
+          from,
+          subject: emailSubject,
+          body: emailBody,
+        };
+
+        const classification = classifyEmail(message);
+        if (!classification.type) continue;
+
+        const match = matchApplication(message, candidates, threadIndex);
+        const application = match ? candidates.find((c) => c.id === match.applicationId) : undefined;
+
+        // Move the linked application forward when both the type and the link are confident
+        let statusApplied = false;
+        const nextStatus = statusForDetection(classification.type);
+        if (
+          application && match && nextStatus &&
+          classification.confidence >= AUTO_STATUS_MIN_CONFIDENCE &&
+          match.confidence >= AUTO_STATUS_MIN_MATCH_CONFIDENCE &&
+          shouldAdvanceStatus(application.status, nextStatus)
+        ) {
+          const { error: statusError } = await supabase
+            .from("applications")
+            .update({ status: nextStatus })
+            .eq("id", application.id);
+
+          if (!statusError) {
+            statusApplied = true;
+            application.status = nextStatus;
+            const jobId = jobIdByApplication.get(application.id);
+            if (jobId) {
+              await supabase.from("jobs").update({ status: nextStatus }).eq("id", jobId);
             }
           }
         }
+
+        const { data: detection, error } = await supabase.from("email_detections").insert({
+          user_id: userId,
+          application_id: match?.applicationId || null,
+          gmail_message_id: msg.id,
+          thread_id: message.threadId,
+          email_subject: emailSubject.substring(0, 500),
+          email_from: from.substring(0, 254),
+          email_body: emailBody.substring(0, 1000),
+          detection_type: classification.type,
+          confidence: classification.confidence,
+          match_confidence: match?.confidence ?? null,
+          match_reason: match?.reason ?? null,
+          matched_rules: classification.matchedRules,
+          status_applied: statusApplied,
+          attachments: msg.attachments,
+          received_at: msg.internalDate ? new Date(Number(msg.internalDate)).toISOString() : null,
+        }).select().single();
+
+        if (!error && detection) {
+          detections.push(detection);
+          if (message.threadId && match) {
+            threadIndex.set(message.threadId, match.applicationId);
+          }
+        }
       }
 
+      // Advance the cursor only after every fetched message has been handled
+      await supabase
+        .from("email_integrations")
+        .update({ gmail_history_id: sync.historyId, last_synced_at: new Date().toISOString() })
+        .eq("user_id", userId);
+
       console.log(`Detected ${detections.length} new response emails`);
 
       return new Response(
-        JSON.stringify({ success: true, detections }),
+        JSON.stringify({ success: true, detections, syncMode: sync.mode, hasMore: sync.truncated }),
         { headers: { ...corsHeaders, "Content-Type": "application/json" } }
       );
     }
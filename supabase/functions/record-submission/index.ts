@@ -0,0 +1,241 @@
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2.89.0";
+import { findJobByUrl } from "../_shared/jobs.ts";
+import { parseFilledFields, type FilledField } from "../_shared/filled-fields.ts";
+
+// Records evidence that an application was really submitted to the ATS.
+// The extension calls this after it sees the ATS confirmation page; the
+// application_submissions insert trigger then moves the application and its
+// job to 'applied'. Nothing else sets 'applied' for background applications.
+// The form as the user confirmed it before submitting is kept with the
+// evidence (filled_fields).
+
+type SupabaseClient = ReturnType<typeof createClient>;
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+};
+
+const MAX_URL_LENGTH = 2048;
+const MAX_CONFIRMATION_LENGTH = 2000;
+const MAX_PLATFORM_LENGTH = 50;
+// Clock skew allowed between the browser and the server
+const MAX_FUTURE_SKEW_MS = 5 * 60 * 1000;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Bad input from the caller (400): retrying the same request can't succeed
+class ValidationError extends Error {}
+
+// The application or job doesn't exist or isn't the caller's (404)
+class NotFoundError extends Error {}
+
+interface SubmissionRequest {
+  applicationId?: string;
+  jobId?: string;
+  jobUrl?: string;
+  submittedAt: string;
+  finalUrl: string | null;
+  confirmationText: string | null;
+  screenshotHash: string | null;
+  platform: string | null;
+  reportedBy: 'extension' | 'manual';
+  filledFields: FilledField[];
+}
+
+function optionalString(value: unknown, maxLength: number): string | null {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  return trimmed ? trimmed.substring(0, maxLength) : null;
+}
+
+// Ids go straight into uuid columns; a malformed one is the caller's mistake, not a 500
+function optionalUuid(value: unknown, name: string): string | undefined {
+  const id = optionalString(value, 100);
+  if (!id) return undefined;
+  if (!UUID_PATTERN.test(id)) {
+    throw new ValidationError(`${name} must be a UUID`);
+  }
+  return id;
+}
+
+function validateRequest(data: unknown): SubmissionRequest {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new ValidationError('Request body must be a JSON object');
+  }
+  const body = data as Record<string, unknown>;
+  const applicationId = optionalUuid(body.applicationId, 'applicationId');
+  const jobId = optionalUuid(body.jobId, 'jobId');
+  const jobUrl = optionalString(body.jobUrl, MAX_URL_LENGTH) ?? undefined;
+  if (!applicationId && !jobId && !jobUrl) {
+    throw new ValidationError('applicationId, jobId or jobUrl is required');
+  }
+
+  const finalUrl = optionalString(body.finalUrl, MAX_URL_LENGTH);
+  if (finalUrl && !/^https?:\/\//i.test(finalUrl)) {
+    throw new ValidationError('finalUrl must be an http(s) URL');
+  }
+  const confirmationText = optionalString(body.confirmationText, MAX_CONFIRMATION_LENGTH);
+  const screenshotHash = optionalString(body.screenshotHash, 64);
+  if (screenshotHash && !/^[a-f0-9]{64}$/i.test(screenshotHash)) {
+    throw new ValidationError('screenshotHash must be a sha256 hex digest');
+  }
+  if (!finalUrl && !confirmationText && !screenshotHash) {
+    throw new ValidationError('Submission evidence is required: finalUrl, confirmationText or screenshotHash');
+  }
+
+  const now = Date.now();
+  let submittedAt = now;
+  if (body.submittedAt !== undefined) {
+    submittedAt = new Date(String(body.submittedAt)).getTime();
+    if (Number.isNaN(submittedAt)) {
+      throw new ValidationError('submittedAt must be an ISO timestamp');
+    }
+    submittedAt = Math.min(submittedAt, now + MAX_FUTURE_SKEW_MS);
+  }
+
+  return {
+    applicationId,
+    jobId,
+    jobUrl,
+    submittedAt: new Date(submittedAt).toISOString(),
+    finalUrl,
+    confirmationText,
+    screenshotHash: screenshotHash?.toLowerCase() ?? null,
+    platform: optionalString(body.platform, MAX_PLATFORM_LENGTH),
+    reportedBy: body.reportedBy === 'manual' ? 'manual' : 'extension',
+    filledFields: parseFilledFields(body.filledFields),
+  };
+}
+
+// Find the job by id or by its posting URL
+async function findJob(supabase: SupabaseClient, userId: string, jobId?: string, jobUrl?: string): Promise<{ id: string } | null> {
+  if (jobId) {
+    const { data } = await supabase.from('jobs').select('id').eq('id', jobId).eq('user_id', userId).maybeSingle();
+    return data;
+  }
+  return jobUrl ? findJobByUrl(supabase, userId, jobUrl) : null;
+}
+
+// The application the submission belongs to; one is created when the user
+// submitted a job they never prepared through background-apply
+async function resolveApplication(supabase: SupabaseClient, userId: string, request: SubmissionRequest): Promise<{ id: string; job_id: string }> {
+  if (request.applicationId) {
+    const { data, error } = await supabase
+      .from('applications')
+      .select('id, job_id')
+      .eq('id', request.applicationId)
+      .eq('user_id', userId)
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) throw new NotFoundError('Application not found or access denied');
+    return data;
+  }
+
+  const job = await findJob(supabase, userId, request.jobId, request.jobUrl);
+  if (!job) {
+    throw new NotFoundError('Job not found or access denied');
+  }
+
+  const { data: existing, error: existingError } = await supabase
+    .from('applications')
+    .select('id, job_id')
+    .eq('user_id', userId)
+    .eq('job_id', job.id)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (existingError) throw existingError;
+  if (existing) return existing;
+
+  const { data: created, error: createError } = await supabase
+    .from('applications')
+    .insert({ user_id: userId, job_id: job.id, status: 'pending' })
+    .select('id, job_id')
+    .single();
+  if (createError) throw createError;
+  return created;
+}
+
+serve(async (req) => {
+  if (req.method === 'OPTIONS') {
+    return new Response(null, { headers: corsHeaders });
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get('SUPABASE_URL')!;
+    const supabaseKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!;
+    const supabase = createClient(supabaseUrl, supabaseKey);
+
+    // Verify user
+    const authHeader = req.headers.get('authorization');
+    if (!authHeader) {
+      throw new Error('Unauthorized: missing authorization header');
+    }
+
+    const token = authHeader.replace('Bearer ', '');
+    const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+
+    if (authError || !user) {
+      throw new Error('Unauthorized');
+    }
+
+    const body = await req.json().catch(() => {
+      throw new ValidationError('Request body must be valid JSON');
+    });
+    const request = validateRequest(body);
+    const application = await resolveApplication(supabase, user.id, request);
+
+    // Reporting twice (e.g. a reload of the confirmation page) keeps the first record
+    const { data: existing } = await supabase
+      .from('application_submissions')
+      .select('*')
+      .eq('application_id', application.id)
+      .maybeSingle();
+
+    if (existing) {
+      return new Response(
+        JSON.stringify({ success: true, alreadyRecorded: true, applicationId: application.id, submission: existing }),
+        { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+      );
+    }
+
+    const { data: submission, error: insertError } = await supabase
+      .from('application_submissions')
+      .insert({
+        user_id: user.id,
+        application_id: application.id,
+        job_id: application.job_id,
+        submitted_at: request.submittedAt,
+        final_url: request.finalUrl,
+        confirmation_text: request.confirmationText,
+        screenshot_hash: request.screenshotHash,
+        platform: request.platform,
+        reported_by: request.reportedBy,
+        filled_fields: request.filledFields,
+      })
+      .select()
+      .single();
+
+    if (insertError) throw insertError;
+
+    console.log(`Recorded submission for application ${application.id} (user ${user.id})`);
+
+    return new Response(
+      JSON.stringify({ success: true, alreadyRecorded: false, applicationId: application.id, submission }),
+      { headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+
+  } catch (error) {
+    console.error('Record submission error:', error);
+    const status =
+      error instanceof ValidationError ? 400
+        : error instanceof NotFoundError ? 404
+          : error instanceof Error && error.message.includes('Unauthorized') ? 401
+            : 500;
+    return new Response(
+      JSON.stringify({ success: false, error: error instanceof Error ? error.message : 'Unknown error' }),
+      { status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } }
+    );
+  }
+});
@@ -1,5 +1,13 @@
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
 import { createClient } from "https://esm.sh/@supabase/supabase-js@2.89.0";
+import {
+  boardsFromWatchlist,
+  collectJobs,
+  isDirectJobUrl,
+  mergeBoards,
+  type BoardRef,
+  type JobListing,
+} from "../_shared/job-connectors/index.ts";
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
@@ -35,79 +43,65 @@ function validateNumber(value: any, min: number, max: number, defaultValue: numb
 // ATS Platform priority tiers
 const PLATFORM_TIERS = {
   tier1: ['Workday', 'Greenhouse', 'Workable', 'SAP SuccessFactors', 'iCIMS', 'LinkedIn (Direct)'],
-  tier2: ['Oracle Taleo', 'BambooHR', 'Bullhorn'],
+  tier2: ['Oracle Taleo', 'BambooHR', 'Bullhorn', 'Lever', 'Ashby'],
   tier3: ['JazzHR', 'Jobvite', 'SmartRecruiters', 'Recruitee', 'Breezy HR'],
 };
 
-// Tier-1 companies with their Greenhouse board tokens
-const GREENHOUSE_COMPANIES: { name: string; token: string }[] = [
-  { name: 'Stripe', token: 'stripe' },
-  { name: 'Airbnb', token: 'airbnb' },
-  { name: 'Figma', token: 'figma' },
-  { name: 'Notion', token: 'notion' },
-  { name: 'Discord', token: 'discord' },
-  { name: 'Coinbase', token: 'coinbase' },
-  { name: 'Cloudflare', token: 'cloudflare' },
-  { name: 'Databricks', token: 'databricks' },
-  { name: 'Plaid', token: 'plaid' },
-  { name: 'Ramp', token: 'ramp' },
-  { name: 'Brex', token: 'brex' },
-  { name: 'Gusto', token: 'gusto' },
-  { name: 'Flexport', token: 'flexport' },
-  { name: 'Nuro', token: 'nuro' },
-  { name: 'Scale AI', token: 'scaleai' },
-  { name: 'Anduril', token: 'andurilindustries' },
-  { name: 'Rippling', token: 'rippling' },
-  { name: 'Airtable', token: 'airtable' },
-  { name: 'Webflow', token: 'webflow' },
-  { name: 'Linear', token: 'linear' },
-  { name: 'Vercel', token: 'vercel' },
-  { name: 'Retool', token: 'retool' },
-  { name: 'Mercury', token: 'mercury' },
-  { name: 'Deel', token: 'deel' },
-  { name: 'OpenSea', token: 'opensea' },
-  { name: 'Instacart', token: 'instacart' },
-  { name: 'DoorDash', token: 'doordash' },
-  { name: 'Lyft', token: 'lyft' },
-  { name: 'Pinterest', token: 'pinterest' },
-  { name: 'Snap', token: 'snapchat' },
-  { name: 'Dropbox', token: 'dropbox' },
-  { name: 'Twitch', token: 'twitch' },
-  { name: 'Reddit', token: 'reddit' },
-  { name: 'Affirm', token: 'affirm' },
-  { name: 'Robinhood', token: 'robinhood' },
-  { name: 'Chime', token: 'chime' },
-  { name: 'SoFi', token: 'sofi' },
-  { name: 'Faire', token: 'faire' },
-  { name: 'Canva', token: 'canva' },
-  { name: 'HashiCorp', token: 'hashicorp' },
-  { name: 'GitLab', token: 'gitlab' },
-  { name: 'Elastic', token: 'elastic' },
-  { name: 'MongoDB', token: 'mongodb' },
-  { name: 'Snowflake', token: 'snowflake' },
+// Built-in boards; users add their own through company_watchlist
+const DEFAULT_BOARDS: BoardRef[] = [
+  { provider: 'greenhouse', token: 'stripe', company: 'Stripe' },
+  { provider: 'greenhouse', token: 'airbnb', company: 'Airbnb' },
+  { provider: 'greenhouse', token: 'figma', company: 'Figma' },
+  { provider: 'greenhouse', token: 'notion', company: 'Notion' },
+  { provider: 'greenhouse', token: 'discord', company: 'Discord' },
+  { provider: 'greenhouse', token: 'coinbase', company: 'Coinbase' },
+  { provider: 'greenhouse', token: 'cloudflare', company: 'Cloudflare' },
+  { provider: 'greenhouse', token: 'databricks', company: 'Databricks' },
+  { provider: 'greenhouse', token: 'plaid', company: 'Plaid' },
+  { provider: 'greenhouse', token: 'ramp', company: 'Ramp' },
+  { provider: 'greenhouse', token: 'brex', company: 'Brex' },
+  { provider: 'greenhouse', token: 'gusto', company: 'Gusto' },
+  { provider: 'greenhouse', token: 'flexport', company: 'Flexport' },
+  { provider: 'greenhouse', token: 'nuro', company: 'Nuro' },
+  { provider: 'greenhouse', token: 'scaleai', company: 'Scale AI' },
+  { provider: 'greenhouse', token: 'andurilindustries', company: 'Anduril' },
+  { provider: 'greenhouse', token: 'rippling', company: 'Rippling' },
+  { provider: 'greenhouse', token: 'airtable', company: 'Airtable' },
+  { provider: 'greenhouse', token: 'webflow', company: 'Webflow' },
+  { provider: 'greenhouse', token: 'linear', company: 'Linear' },
+  { provider: 'greenhouse', token: 'vercel', company: 'Vercel' },
+  { provider: 'greenhouse', token: 'retool', company: 'Retool' },
+  { provider: 'greenhouse', token: 'mercury', company: 'Mercury' },
+  { provider: 'greenhouse', token: 'deel', company: 'Deel' },
+  { provider: 'greenhouse', token: 'opensea', company: 'OpenSea' },
+  { provider: 'greenhouse', token: 'instacart', company: 'Instacart' },
+  { provider: 'greenhouse', token: 'doordash', company: 'DoorDash' },
+  { provider: 'greenhouse', token: 'lyft', company: 'Lyft' },
+  { provider: 'greenhouse', token: 'pinterest', company: 'Pinterest' },
+  { provider: 'greenhouse', token: 'snapchat', company: 'Snap' },
+  { provider: 'greenhouse', token: 'dropbox', company: 'Dropbox' },
+  { provider: 'greenhouse', token: 'twitch', company: 'Twitch' },
+  { provider: 'greenhouse', token: 'reddit', company: 'Reddit' },
+  { provider: 'greenhouse', token: 'affirm', company: 'Affirm' },
+  { provider: 'greenhouse', token: 'robinhood', company: 'Robinhood' },
+  { provider: 'greenhouse', token: 'chime', company: 'Chime' },
+  { provider: 'greenhouse', token: 'sofi', company: 'SoFi' },
+  { provider: 'greenhouse', token: 'faire', company: 'Faire' },
+  { provider: 'greenhouse', token: 'canva', company: 'Canva' },
+  { provider: 'greenhouse', token: 'hashicorp', company: 'HashiCorp' },
+  { provider: 'greenhouse', token: 'gitlab', company: 'GitLab' },
+  { provider: 'greenhouse', token: 'elastic', company: 'Elastic' },
+  { provider: 'greenhouse', token: 'mongodb', company: 'MongoDB' },
+  { provider: 'greenhouse', token: 'snowflake', company: 'Snowflake' },
+  { provider: 'workable', token: 'revolut', company: 'Revolut' },
+  { provider: 'workable', token: 'n26', company: 'N26' },
+  { provider: 'workable', token: 'monzo', company: 'Monzo' },
+  { provider: 'workable', token: 'transferwise', company: 'Wise' },
+  { provider: 'workable', token: 'klarna', company: 'Klarna' },
 ];
 
-// Workable companies
-const WORKABLE_COMPANIES: { name: string; subdomain: string }[] = [
-  { name: 'Revolut', subdomain: 'revolut' },
-  { name: 'N26', subdomain: 'n26' },
-  { name: 'Monzo', subdomain: 'monzo' },
-  { name: 'Wise', subdomain: 'transferwise' },
-  { name: 'Klarna', subdomain: 'klarna' },
-];
-
-interface JobListing {
-  title: string;
-  company: string;
-  location: string;
-  salary: string | null;
-  description: string;
-  requirements: string[];
-  platform: string;
-  url: string;
-  posted_date: string;
-  match_score: number;
-}
+// Postings taken from each board per request
+const MAX_JOBS_PER_BOARD = 30;
 
 // Helper function to verify JWT and extract user ID
 async function verifyAndGetUserId(req: Request, supabase: any): Promise<string> {
@@ -126,102 +120,6 @@ async function verifyAndGetUserId(req: Request, supabase: any): Promise<string>
   return user.id;
 }
 
-// Fetch jobs from Greenhouse public API - uses absolute_url for direct job links
-async function fetchGreenhouseJobs(company: { name: string; token: string }): Promise<JobListing[]> {
-  try {
-    const response = await fetch(
-      `https://boards-api.greenhouse.io/v1/boards/${company.token}/jobs?content=true`,
-      { headers: { 'Accept': 'application/json' } }
-    );
-    
-    if (!response.ok) {
-      console.log(`Greenhouse ${company.name}: ${response.status}`);
-      return [];
-    }
-    
-    const data = await response.json();
-    const jobs: JobListing[] = (data.jobs || []).slice(0, 30).map((job: any) => {
-      // Greenhouse API provides absolute_url which is the direct apply link
-      const directUrl = job.absolute_url || `https://boards.greenhouse.io/${company.token}/jobs/${job.id}`;
-      
-      return {
-        title: job.title || 'Unknown Position',
-        company: company.name,
-        location: job.location?.name || 'Remote',
-        salary: null,
-        description: job.content ? job.content.replace(/<[^>]*>/g, '').slice(0, 500) : '',
-        requirements: extractRequirements(job.content || ''),
-        platform: 'Greenhouse',
-        url: directUrl,
-        posted_date: job.updated_at || new Date().toISOString(),
-        match_score: 0,
-      };
-    });
-    
-    console.log(`Greenhouse ${company.name}: fetched ${jobs.length} jobs`);
-    return jobs;
-  } catch (error) {
-    console.error(`Greenhouse ${company.name} error:`, error);
-    return [];
-  }
-}
-
-// Fetch jobs from Workable public API - uses shortcode for direct job apply links
-async function fetchWorkableJobs(company: { name: string; subdomain: string }): Promise<JobListing[]> {
-  try {
-    const response = await fetch(
-      `https://apply.workable.com/api/v3/accounts/${company.subdomain}/jobs`,
-      { headers: { 'Accept': 'application/json' } }
-    );
-    
-    if (!response.ok) {
-      console.log(`Workable ${company.name}: ${response.status}`);
-      return [];
-    }
-    
-    const data = await response.json();
-    const jobs: JobListing[] = (data.results || []).slice(0, 30).map((job: any) => {
-      // Workable direct apply URL format uses shortcode
-      const directUrl = `https://apply.workable.com/${company.subdomain}/j/${job.shortcode}/`;
-      
-      return {
-        title: job.title || 'Unknown Position',
-        company: company.name,
-        location: job.location?.city || job.location?.country || 'Remote',
-        salary: null,
-        description: job.description || '',
-        requirements: extractRequirements(job.description || ''),
-        platform: 'Workable',
-        url: directUrl,
-        posted_date: job.published || new Date().toISOString(),
-        match_score: 0,
-      };
-    });
-    
-    console.log(`Workable ${company.name}: fetched ${jobs.length} jobs`);
-    return jobs;
-  } catch (error) {
-    console.error(`Workable ${company.name} error:`, error);
-    return [];
-  }
-}
-
-// Extract requirements from job description
-function extractRequirements(content: string): string[] {
-  const techKeywords = [
-    'Python', 'Java', 'TypeScript', 'JavaScript', 'React', 'Node.js', 'AWS', 'GCP', 'Azure',
-    'Kubernetes', 'Docker', 'PostgreSQL', 'MongoDB', 'Redis', 'Kafka', 'GraphQL',
-    'Machine Learning', 'Deep Learning', 'TensorFlow', 'PyTorch', 'Go', 'Rust', 'C++',
-    'SQL', 'NoSQL', 'REST API', 'Microservices', 'CI/CD', 'Terraform', 'Linux'
-  ];
-  
-  const found = techKeywords.filter(kw => 
-    content.toLowerCase().includes(kw.toLowerCase())
-  );
-  
-  return found.slice(0, 6);
-}
-
 // Calculate match score
 function calculateMatchScore(job: JobListing, keywords: string[]): number {
   let score = 50;
@@ -253,23 +151,6 @@ function parseKeywords(keywordString: string): string[] {
     .slice(0, 50); // Limit to 50 keywords
 }
 
-// Validate that a job URL is a direct job link (not a general careers page)
-function isValidDirectJobUrl(url: string): boolean {
-  if (!url) return false;
-  
-  // Greenhouse - MUST have /jobs/{numeric_id} pattern
-  if (url.includes('greenhouse.io')) {
-    return /\/jobs\/\d+/.test(url);
-  }
-  
-  // Workable - MUST have /j/{shortcode}/ pattern (NOT /company-name/ alone)
-  if (url.includes('workable.com')) {
-    return /\/j\/[a-zA-Z0-9]+\/?/.test(url);
-  }
-  
-  return false;
-}
-
 serve(async (req) => {
   if (req.method === 'OPTIONS') {
     return new Response(null, { headers: corsHeaders });
@@ -292,33 +173,34 @@ serve(async (req) => {
     console.log(`Scraping jobs with keywords: ${keywords.substring(0, 100)}..., offset: ${offset}, limit: ${limit} for user ${user_id}`);
     
     const parsedKeywords = parseKeywords(keywords);
-    let allJobs: JobListing[] = [];
-    
-    // Fetch from ALL companies - no artificial limits
-    const greenhousePromises = GREENHOUSE_COMPANIES.map(c => fetchGreenhouseJobs(c));
-    const workablePromises = WORKABLE_COMPANIES.map(c => fetchWorkableJobs(c));
-    
-    const [greenhouseResults, workableResults] = await Promise.all([
-      Promise.allSettled(greenhousePromises),
-      Promise.allSettled(workablePromises),
-    ]);
+    const allJobs: JobListing[] = [];
     
-    // Collect real jobs
-    for (const result of greenhouseResults) {
-      if (result.status === 'fulfilled') {
-        allJobs.push(...result.value);
-      }
+    // Built-in boards plus the user's own watchlist
+    const { data: watchlist } = await supabase
+      .from('company_watchlist')
+      .select('company_name, provider, board_token')
+      .eq('user_id', user_id)
+      .eq('is_enabled', true);
+
+    const boards = mergeBoards(boardsFromWatchlist(watchlist), DEFAULT_BOARDS);
+    const results = await collectJobs(boards, {
+      maxJobs: MAX_JOBS_PER_BOARD,
+      includeDetails: true,
+      batchSize: 10,
+    });
+
+    for (const result of results) {
+      allJobs.push(...result.jobs);
     }
-    for (const result of workableResults) {
-      if (result.status === 'fulfilled') {
-        allJobs.push(...result.value);
-      }
+    const failedBoards = results.filter(r => r.error).map(r => `${r.board.provider}:${r.board.token}`);
+    if (failedBoards.length > 0) {
+      console.log(`${failedBoards.length}/${boards.length} boards failed: ${failedBoards.join(', ')}`);
     }
     
     console.log(`Fetched ${allJobs.length} real jobs from APIs`);
     
     // Filter out jobs with invalid URLs (career pages instead of direct job links)
-    const validJobs = allJobs.filter(job => isValidDirectJobUrl(job.url));
+    const validJobs = allJobs.filter(job => isDirectJobUrl(job.url));
     console.log(`${validJobs.length} jobs have valid direct apply URLs`);
     
     // Calculate match scores
@@ -1,5 +1,6 @@
 import { serve } from "https://deno.land/std@0.168.0/http/server.ts";
 import { createClient } from "https://esm.sh/@supabase/supabase-js@2.89.0";
+import { currencyForLocation, formatSalary, parseSalary } from "../_shared/salary.ts";
 
 const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
@@ -311,11 +312,13 @@ function parseSearchResult(result: any, searchKeyword: string): JobListing | nul
     
     if (!jobTitle || jobTitle.length < 3) jobTitle = searchKeyword || 'Unknown Position';
     
+    const location = extractLocation(description) || 'Remote';
+
     return {
       title: jobTitle,
       company,
-      location: extractLocation(description) || 'Remote',
-      salary: extractSalary(description),
+      location,
+      salary: extractSalary(description, location),
       description: description.slice(0, 500),
       requirements: extractRequirements(description),
       platform,
@@ -346,19 +349,10 @@ function extractLocation(text: string): string | null {
   return null;
 }
 
-function extractSalary(text: string): string | null {
-  const patterns = [
-    /\$\s*(\d{2,3}(?:,\d{3})*(?:\s*[-–]\s*\$?\s*\d{2,3}(?:,\d{3})*)?)/i,
-    /(£\s*\d{2,3}(?:,\d{3})*(?:\s*[-–]\s*£?\s*\d{2,3}(?:,\d{3})*)?)/i,
-    /(€\s*\d{2,3}(?:,\d{3})*(?:\s*[-–]\s*€?\s*\d{2,3}(?:,\d{3})*)?)/i,
-    /(\d{2,3}k\s*[-–]\s*\d{2,3}k)/i,
-  ];
-  
-  for (const pattern of patterns) {
-    const match = text.match(pattern);
-    if (match) return match[1].trim();
-  }
-  return null;
+// Normalised display string so every source stores salaries in one format
+function extractSalary(text: string, location: string): string | null {
+  const parsed = parseSalary(text, { defaultCurrency: currencyForLocation(location) });
+  return parsed ? formatSalary(parsed) : null;
 }
 
 function extractRequirements(content: string): string[] {
@@ -494,6 +488,7 @@ async function searchWithFirecrawl(query: string, apiKey: string, limit = 50, ti
   }
 }
 
+// Dedupe within this search only; duplicates across sources are merged by the jobs insert trigger
 function getDedupeKey(job: JobListing): string {
   const normalizedTitle = job.title.toLowerCase().replace(/[^a-z0-9]/g, '').slice(0, 30);
   const normalizedCompany = job.company.toLowerCase().replace(/[^a-z0-9]/g, '').slice(0, 20);
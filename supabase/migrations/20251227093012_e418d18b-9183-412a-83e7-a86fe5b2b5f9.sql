@@ -0,0 +1,187 @@
+-- Configurable per-user application pipeline stages.
+-- Each stage maps onto the legacy application_status enum via "category" so
+-- existing readers of applications.status / jobs.status keep working.
+CREATE TABLE public.application_stages (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  key TEXT NOT NULL,
+  name TEXT NOT NULL,
+  position INTEGER NOT NULL DEFAULT 0,
+  category application_status NOT NULL DEFAULT 'pending',
+  is_terminal BOOLEAN NOT NULL DEFAULT false,
+  color TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (user_id, key)
+);
+
+-- Stage transition history, one row per move of an application
+CREATE TABLE public.application_stage_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  application_id UUID REFERENCES public.applications(id) ON DELETE CASCADE NOT NULL,
+  from_stage_id UUID REFERENCES public.application_stages(id) ON DELETE SET NULL,
+  to_stage_id UUID REFERENCES public.application_stages(id) ON DELETE SET NULL,
+  to_category application_status NOT NULL,
+  note TEXT,
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+ALTER TABLE public.applications
+ADD COLUMN IF NOT EXISTS stage_id UUID REFERENCES public.application_stages(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS stage_entered_at TIMESTAMPTZ DEFAULT now();
+
+CREATE INDEX idx_application_stages_user_position ON public.application_stages(user_id, position);
+CREATE INDEX idx_application_stage_history_application ON public.application_stage_history(application_id, changed_at);
+CREATE INDEX idx_application_stage_history_user_id ON public.application_stage_history(user_id);
+CREATE INDEX idx_applications_stage_id ON public.applications(stage_id);
+
+-- Enable RLS
+ALTER TABLE public.application_stages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.application_stage_history ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own application stages" ON public.application_stages FOR SELECT USING (auth.uid() = user_id);
+CREATE POLICY "Users can create their own application stages" ON public.application_stages FOR INSERT WITH CHECK (auth.uid() = user_id);
+CREATE POLICY "Users can update their own application stages" ON public.application_stages FOR UPDATE USING (auth.uid() = user_id);
+CREATE POLICY "Users can delete their own application stages" ON public.application_stages FOR DELETE USING (auth.uid() = user_id);
+
+-- History rows are written by trigger only; users can read them and annotate notes
+CREATE POLICY "Users can view their own stage history" ON public.application_stage_history FOR SELECT USING (auth.uid() = user_id);
+CREATE POLICY "Users can update their own stage history" ON public.application_stage_history FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE TRIGGER update_application_stages_updated_at BEFORE UPDATE ON public.application_stages FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
+
+-- Seed the default pipeline for a user (idempotent)
+CREATE OR REPLACE FUNCTION public.seed_application_stages(_user_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  INSERT INTO public.application_stages (user_id, key, name, position, category, is_terminal, color)
+  VALUES
+    (_user_id, 'pending', 'Pending', 0, 'pending', false, 'slate'),
+    (_user_id, 'applied', 'Applied', 1, 'applied', false, 'blue'),
+    (_user_id, 'phone_screen', 'Phone Screen', 2, 'interviewing', false, 'amber'),
+    (_user_id, 'take_home', 'Take-home', 3, 'interviewing', false, 'amber'),
+    (_user_id, 'onsite', 'Onsite', 4, 'interviewing', false, 'orange'),
+    (_user_id, 'reference_check', 'Reference Check', 5, 'interviewing', false, 'purple'),
+    (_user_id, 'offered', 'Offer', 6, 'offered', false, 'green'),
+    (_user_id, 'rejected', 'Rejected', 7, 'rejected', true, 'red'),
+    (_user_id, 'withdrawn', 'Withdrawn', 8, 'rejected', true, 'gray'),
+    (_user_id, 'ghosted', 'Ghosted', 9, 'rejected', true, 'gray')
+  ON CONFLICT (user_id, key) DO NOTHING;
+END;
+$$;
+
+-- Resolve the stage a legacy status value should land in for a user
+CREATE OR REPLACE FUNCTION public.resolve_application_stage(_user_id UUID, _status application_status)
+RETURNS UUID
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+  SELECT id FROM public.application_stages
+  WHERE user_id = _user_id AND category = COALESCE(_status, 'pending')
+  ORDER BY (key = COALESCE(_status, 'pending')::text) DESC, position ASC
+  LIMIT 1;
+$$;
+
+-- Keep stage_id and the legacy status column in sync
+CREATE OR REPLACE FUNCTION public.sync_application_stage()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+DECLARE
+  stage_category application_status;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    IF NEW.stage_id IS NULL THEN
+      NEW.stage_id := public.resolve_application_stage(NEW.user_id, NEW.status);
+    END IF;
+  ELSIF NEW.stage_id IS NOT DISTINCT FROM OLD.stage_id THEN
+    -- Legacy writers only touch status; move to the matching stage
+    IF NEW.status IS DISTINCT FROM OLD.status THEN
+      NEW.stage_id := public.resolve_application_stage(NEW.user_id, NEW.status);
+    ELSE
+      RETURN NEW;
+    END IF;
+  END IF;
+
+  IF NEW.stage_id IS NOT NULL THEN
+    SELECT category INTO stage_category FROM public.application_stages WHERE id = NEW.stage_id;
+    NEW.status := stage_category;
+  END IF;
+
+  IF TG_OP = 'INSERT' OR NEW.stage_id IS DISTINCT FROM OLD.stage_id THEN
+    NEW.stage_entered_at := now();
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+-- Record every stage transition
+CREATE OR REPLACE FUNCTION public.record_application_stage_change()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' AND NEW.stage_id IS NOT DISTINCT FROM OLD.stage_id THEN
+    RETURN NEW;
+  END IF;
+
+  INSERT INTO public.application_stage_history (user_id, application_id, from_stage_id, to_stage_id, to_category)
+  VALUES (
+    NEW.user_id,
+    NEW.id,
+    CASE WHEN TG_OP = 'UPDATE' THEN OLD.stage_id ELSE NULL END,
+    NEW.stage_id,
+    COALESCE(NEW.status, 'pending')
+  );
+
+  RETURN NEW;
+END;
+$$;
+
+-- Seed stages for existing users and backfill current applications
+SELECT public.seed_application_stages(user_id) FROM public.profiles;
+
+UPDATE public.applications
+SET
+  stage_id = public.resolve_application_stage(user_id, status),
+  stage_entered_at = COALESCE(applied_at, updated_at, created_at, now());
+
+INSERT INTO public.application_stage_history (user_id, application_id, to_stage_id, to_category, changed_at)
+SELECT user_id, id, stage_id, COALESCE(status, 'pending'), COALESCE(applied_at, created_at, now())
+FROM public.applications;
+
+CREATE TRIGGER sync_application_stage
+BEFORE INSERT OR UPDATE OF stage_id, status ON public.applications
+FOR EACH ROW EXECUTE FUNCTION public.sync_application_stage();
+
+-- No column list here: stage_id may be changed by the BEFORE trigger above
+CREATE TRIGGER record_application_stage_change
+AFTER INSERT OR UPDATE ON public.applications
+FOR EACH ROW EXECUTE FUNCTION public.record_application_stage_change();
+
+-- New users get the default pipeline alongside their profile
+CREATE OR REPLACE FUNCTION public.handle_new_user()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  INSERT INTO public.profiles (user_id, email)
+  VALUES (NEW.id, NEW.email);
+
+  INSERT INTO public.automation_settings (user_id)
+  VALUES (NEW.id);
+
+  PERFORM public.seed_application_stages(NEW.id);
+
+  RETURN NEW;
+END;
+$$;
@@ -0,0 +1,24 @@
+-- Classifier metadata for detected recruiter emails
+ALTER TABLE public.email_detections
+ADD COLUMN IF NOT EXISTS gmail_message_id TEXT,
+ADD COLUMN IF NOT EXISTS thread_id TEXT,
+ADD COLUMN IF NOT EXISTS confidence REAL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS match_confidence REAL,
+ADD COLUMN IF NOT EXISTS match_reason TEXT,
+ADD COLUMN IF NOT EXISTS matched_rules TEXT[] DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS status_applied BOOLEAN DEFAULT false,
+ADD COLUMN IF NOT EXISTS manual_override BOOLEAN DEFAULT false;
+
+COMMENT ON COLUMN public.email_detections.confidence IS 'Classifier confidence (0-1) for detection_type';
+COMMENT ON COLUMN public.email_detections.match_confidence IS 'Confidence (0-1) that application_id is the right application';
+COMMENT ON COLUMN public.email_detections.match_reason IS 'How the application was linked: thread, job_url, sender_domain, company_name, company_body or manual';
+COMMENT ON COLUMN public.email_detections.status_applied IS 'Whether this detection moved the linked application status';
+COMMENT ON COLUMN public.email_detections.manual_override IS 'Set when the user corrected the type or application link';
+
+-- One detection per Gmail message
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_detections_user_message_unique
+ON public.email_detections(user_id, gmail_message_id)
+WHERE gmail_message_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_email_detections_thread_id ON public.email_detections(user_id, thread_id);
+CREATE INDEX IF NOT EXISTS idx_email_detections_application_id ON public.email_detections(application_id);
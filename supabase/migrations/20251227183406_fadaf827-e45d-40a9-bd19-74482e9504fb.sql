@@ -0,0 +1,13 @@
+-- Gmail incremental sync cursor (users.history API)
+ALTER TABLE public.email_integrations
+ADD COLUMN IF NOT EXISTS gmail_history_id TEXT,
+ADD COLUMN IF NOT EXISTS last_synced_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN public.email_integrations.gmail_history_id IS 'Gmail historyId cursor; NULL forces a bounded full sync';
+
+-- Message metadata captured during sync
+ALTER TABLE public.email_detections
+ADD COLUMN IF NOT EXISTS attachments JSONB DEFAULT '[]'::jsonb,
+ADD COLUMN IF NOT EXISTS received_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN public.email_detections.attachments IS 'Attachment metadata (filename, mimeType, size, attachmentId); bytes are not stored';
@@ -0,0 +1,28 @@
+-- Company job boards a user wants scrape-jobs / live-jobs to pull from.
+-- board_token is the identifier in the provider's public API
+-- (e.g. boards.greenhouse.io/<token>, jobs.lever.co/<token>).
+CREATE TYPE public.job_board_provider AS ENUM ('greenhouse', 'workable', 'lever', 'ashby', 'smartrecruiters', 'recruitee');
+
+CREATE TABLE public.company_watchlist (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  company_name TEXT NOT NULL,
+  provider job_board_provider NOT NULL,
+  board_token TEXT NOT NULL CHECK (board_token ~ '^[A-Za-z0-9][A-Za-z0-9._-]{0,99}$'),
+  is_enabled BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (user_id, provider, board_token)
+);
+
+CREATE INDEX idx_company_watchlist_user_id ON public.company_watchlist(user_id);
+
+-- Enable RLS
+ALTER TABLE public.company_watchlist ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own company watchlist" ON public.company_watchlist FOR SELECT USING (auth.uid() = user_id);
+CREATE POLICY "Users can create their own company watchlist" ON public.company_watchlist FOR INSERT WITH CHECK (auth.uid() = user_id);
+CREATE POLICY "Users can update their own company watchlist" ON public.company_watchlist FOR UPDATE USING (auth.uid() = user_id);
+CREATE POLICY "Users can delete their own company watchlist" ON public.company_watchlist FOR DELETE USING (auth.uid() = user_id);
+
+CREATE TRIGGER update_company_watchlist_updated_at BEFORE UPDATE ON public.company_watchlist FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
@@ -0,0 +1,33 @@
+-- Per-board polling state for the scheduled poll-company-boards fan-out.
+-- A failing board backs off on its own (next_poll_at grows with
+-- consecutive_failures) without holding up anyone else's boards.
+ALTER TABLE public.company_watchlist
+ADD COLUMN IF NOT EXISTS next_poll_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+ADD COLUMN IF NOT EXISTS last_polled_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS last_success_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS consecutive_failures INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS last_error TEXT,
+ADD COLUMN IF NOT EXISTS last_new_jobs INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX idx_company_watchlist_due ON public.company_watchlist(next_poll_at) WHERE is_enabled;
+
+-- Run the fan-out every 5 minutes. The function authenticates the call with
+-- the service role key, read from Vault (create the secret once per project:
+-- SELECT vault.create_secret('<service role key>', 'service_role_key');)
+CREATE EXTENSION IF NOT EXISTS pg_cron;
+CREATE EXTENSION IF NOT EXISTS pg_net;
+
+SELECT cron.schedule(
+  'poll-company-boards',
+  '*/5 * * * *',
+  $$
+  SELECT net.http_post(
+    url := 'https://wntpldomgjutwufphnpg.supabase.co/functions/v1/poll-company-boards',
+    headers := jsonb_build_object(
+      'Content-Type', 'application/json',
+      'Authorization', 'Bearer ' || (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'service_role_key')
+    ),
+    body := '{}'::jsonb
+  );
+  $$
+);
@@ -0,0 +1,351 @@
+-- Canonical job identity and merge-on-insert.
+-- Every source (search-jobs-google, scrape-jobs, live-jobs, poll-company-boards,
+-- CSV upload) inserts into public.jobs, so duplicates are resolved here by a
+-- BEFORE INSERT trigger instead of in each caller:
+--   1. same ATS requisition id parsed from the URL (canonical_key)
+--   2. same URL
+--   3. same normalised company + similar title (trigram) + compatible location
+-- A matching insert is folded into the existing row and recorded in
+-- job_merge_history so the user can un-merge it later.
+CREATE EXTENSION IF NOT EXISTS pg_trgm WITH SCHEMA extensions;
+
+ALTER TABLE public.jobs
+ADD COLUMN IF NOT EXISTS canonical_key TEXT,
+ADD COLUMN IF NOT EXISTS company_key TEXT,
+ADD COLUMN IF NOT EXISTS title_key TEXT,
+ADD COLUMN IF NOT EXISTS sources JSONB NOT NULL DEFAULT '[]'::jsonb,
+ADD COLUMN IF NOT EXISTS dedupe_exempt BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN public.jobs.canonical_key IS 'ATS requisition identity, e.g. greenhouse:4012345 or workday:nvidia:jr1234567';
+COMMENT ON COLUMN public.jobs.sources IS 'Every listing folded into this row: [{platform, url, canonical_key, seen_at}]';
+COMMENT ON COLUMN public.jobs.dedupe_exempt IS 'Set on rows restored by unmerge_job so they are not merged again';
+
+-- "Stripe, Inc." -> "stripe" (same suffix list as _shared/email-classifier.ts normalizeCompany)
+CREATE OR REPLACE FUNCTION public.normalize_company_name(_name TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT regexp_replace(
+    regexp_replace(
+      replace(lower(coalesce(_name, '')), '&', 'and'),
+      '\m(inc|llc|ltd|limited|plc|gmbh|corp|corporation|co|company|group|holdings|technologies|technology|labs|ag|sa|bv|ab)\M\.?', '', 'g'
+    ),
+    '[^a-z0-9]', '', 'g'
+  );
+$$;
+
+-- "Sr. Software Engineer (Backend)" -> "senior software engineer backend"
+CREATE OR REPLACE FUNCTION public.normalize_job_title(_title TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT btrim(regexp_replace(
+    regexp_replace(
+      regexp_replace(
+        replace(lower(coalesce(_title, '')), '&', ' and '),
+        '\msr\M\.?', 'senior', 'g'
+      ),
+      '\mjr\M\.?', 'junior', 'g'
+    ),
+    '[^a-z0-9]+', ' ', 'g'
+  ));
+$$;
+
+-- Requisition identity from a posting URL, NULL when the URL carries none
+CREATE OR REPLACE FUNCTION public.job_requisition_key(_url TEXT)
+RETURNS TEXT
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+  _u TEXT := lower(coalesce(_url, ''));
+  _m TEXT[];
+BEGIN
+  IF _u = '' THEN
+    RETURN NULL;
+  END IF;
+
+  -- Greenhouse ids are global; embedded boards carry gh_jid on the company domain
+  _m := regexp_match(_u, '[?&]gh_jid=([0-9]+)');
+  IF _m IS NOT NULL THEN RETURN 'greenhouse:' || _m[1]; END IF;
+  _m := regexp_match(_u, 'greenhouse\.io/[^?#]*/jobs/([0-9]+)');
+  IF _m IS NOT NULL THEN RETURN 'greenhouse:' || _m[1]; END IF;
+
+  _m := regexp_match(_u, 'lever\.co/[^/]+/([0-9a-f-]{36})');
+  IF _m IS NOT NULL THEN RETURN 'lever:' || _m[1]; END IF;
+
+  _m := regexp_match(_u, 'ashbyhq\.com/[^/]+/([0-9a-f-]{36})');
+  IF _m IS NOT NULL THEN RETURN 'ashby:' || _m[1]; END IF;
+
+  _m := regexp_match(_u, 'workable\.com/([^/]+)/j/([a-z0-9]+)');
+  IF _m IS NOT NULL THEN RETURN 'workable:' || _m[1] || ':' || _m[2]; END IF;
+
+  _m := regexp_match(_u, 'smartrecruiters\.com/[^/]+/([0-9]{6,})');
+  IF _m IS NOT NULL THEN RETURN 'smartrecruiters:' || _m[1]; END IF;
+
+  _m := regexp_match(_u, '([a-z0-9-]+)\.recruitee\.com/o/([^/?#]+)');
+  IF _m IS NOT NULL THEN RETURN 'recruitee:' || _m[1] || ':' || _m[2]; END IF;
+
+  -- .../job/US-CA-Santa-Clara/Senior-Engineer_JR1234567
+  _m := regexp_match(_u, '([a-z0-9-]+)\.wd[0-9]+\.myworkdayjobs\.com/[^?#]*/job/[^?#]*_([a-z]*-?[0-9][a-z0-9-]*)');
+  IF _m IS NOT NULL THEN RETURN 'workday:' || _m[1] || ':' || _m[2]; END IF;
+
+  _m := regexp_match(_u, '([a-z0-9-]+)\.icims\.com/jobs/([0-9]+)');
+  IF _m IS NOT NULL THEN RETURN 'icims:' || _m[1] || ':' || _m[2]; END IF;
+
+  _m := regexp_match(_u, 'jobs\.jobvite\.com/[^/]+/job/([a-z0-9]+)');
+  IF _m IS NOT NULL THEN RETURN 'jobvite:' || _m[1]; END IF;
+
+  _m := regexp_match(_u, '([a-z0-9-]+)\.bamboohr\.com/(careers/|jobs/view\.php\?id=)([0-9]+)');
+  IF _m IS NOT NULL THEN RETURN 'bamboohr:' || _m[1] || ':' || _m[3]; END IF;
+
+  _m := regexp_match(_u, 'linkedin\.com/jobs/view/([^/?#]*-)?([0-9]{6,})');
+  IF _m IS NOT NULL THEN RETURN 'linkedin:' || _m[2]; END IF;
+  _m := regexp_match(_u, 'linkedin\.com/jobs/.*[?&]currentjobid=([0-9]{6,})');
+  IF _m IS NOT NULL THEN RETURN 'linkedin:' || _m[1]; END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+-- "Dublin, Ireland" vs "Dublin" is the same place; "Remote" vs "Berlin" is not
+CREATE OR REPLACE FUNCTION public.job_locations_compatible(_a TEXT, _b TEXT)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+IMMUTABLE
+SET search_path = public, extensions
+AS $$
+DECLARE
+  _x TEXT := btrim(regexp_replace(lower(coalesce(_a, '')), '[^a-z0-9]+', ' ', 'g'));
+  _y TEXT := btrim(regexp_replace(lower(coalesce(_b, '')), '[^a-z0-9]+', ' ', 'g'));
+BEGIN
+  RETURN _x = '' OR _y = '' OR _x = _y
+    OR position(_x IN _y) > 0 OR position(_y IN _x) > 0
+    OR similarity(_x, _y) >= 0.5;
+END;
+$$;
+
+CREATE TABLE public.job_merge_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  -- Surviving row the duplicate was folded into
+  job_id UUID REFERENCES public.jobs(id) ON DELETE CASCADE NOT NULL,
+  -- The row that would have been inserted, restored verbatim on un-merge
+  merged_job JSONB NOT NULL,
+  match_reason TEXT NOT NULL CHECK (match_reason IN ('requisition_id', 'fuzzy_title')),
+  similarity REAL,
+  -- Survivor values overwritten by the merge, keyed by column
+  previous_values JSONB NOT NULL DEFAULT '{}'::jsonb,
+  merged_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  unmerged_at TIMESTAMPTZ,
+  restored_job_id UUID REFERENCES public.jobs(id) ON DELETE SET NULL
+);
+
+CREATE INDEX idx_job_merge_history_user_id ON public.job_merge_history(user_id, merged_at DESC);
+CREATE INDEX idx_job_merge_history_job_id ON public.job_merge_history(job_id);
+
+-- Enable RLS
+ALTER TABLE public.job_merge_history ENABLE ROW LEVEL SECURITY;
+
+-- Written by trigger and changed through unmerge_job only
+CREATE POLICY "Users can view their own job merge history" ON public.job_merge_history FOR SELECT USING (auth.uid() = user_id);
+
+-- Backfill identity for existing rows
+UPDATE public.jobs SET
+  canonical_key = public.job_requisition_key(url),
+  company_key = public.normalize_company_name(company),
+  title_key = public.normalize_job_title(title),
+  sources = jsonb_build_array(jsonb_build_object(
+    'platform', platform, 'url', url, 'canonical_key', public.job_requisition_key(url), 'seen_at', coalesce(created_at, now())
+  ));
+
+CREATE INDEX idx_jobs_user_canonical_key ON public.jobs(user_id, canonical_key) WHERE canonical_key IS NOT NULL;
+CREATE INDEX idx_jobs_user_company_key ON public.jobs(user_id, company_key);
+CREATE INDEX idx_jobs_user_url ON public.jobs(user_id, url);
+
+CREATE OR REPLACE FUNCTION public.merge_duplicate_job()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER SET search_path = public, extensions
+AS $$
+DECLARE
+  _existing public.jobs%ROWTYPE;
+  _reason TEXT;
+  _similarity REAL;
+  _previous JSONB := '{}'::jsonb;
+BEGIN
+  IF TG_OP = 'UPDATE' THEN
+    -- Keep a key picked up from a merged listing when the URL changes to one without
+    IF NEW.url IS DISTINCT FROM OLD.url THEN
+      NEW.canonical_key := coalesce(public.job_requisition_key(NEW.url), NEW.canonical_key);
+    END IF;
+    NEW.company_key := public.normalize_company_name(NEW.company);
+    NEW.title_key := public.normalize_job_title(NEW.title);
+    RETURN NEW;
+  END IF;
+
+  NEW.canonical_key := public.job_requisition_key(NEW.url);
+  NEW.company_key := public.normalize_company_name(NEW.company);
+  NEW.title_key := public.normalize_job_title(NEW.title);
+  NEW.sources := jsonb_build_array(jsonb_build_object(
+    'platform', NEW.platform, 'url', NEW.url, 'canonical_key', NEW.canonical_key, 'seen_at', now()
+  ));
+
+  IF NEW.dedupe_exempt THEN
+    RETURN NEW;
+  END IF;
+
+  IF NEW.canonical_key IS NOT NULL THEN
+    SELECT * INTO _existing FROM public.jobs
+    WHERE user_id = NEW.user_id
+      AND (canonical_key = NEW.canonical_key
+        OR sources @> jsonb_build_array(jsonb_build_object('canonical_key', NEW.canonical_key)))
+    ORDER BY created_at
+    LIMIT 1;
+    IF FOUND THEN
+      _reason := 'requisition_id';
+      _similarity := 1;
+    END IF;
+  END IF;
+
+  IF _reason IS NULL AND NEW.url IS NOT NULL THEN
+    SELECT * INTO _existing FROM public.jobs
+    WHERE user_id = NEW.user_id
+      AND (url = NEW.url OR sources @> jsonb_build_array(jsonb_build_object('url', NEW.url)))
+    ORDER BY created_at
+    LIMIT 1;
+    IF FOUND THEN
+      _reason := 'url';
+      _similarity := 1;
+    END IF;
+  END IF;
+
+  -- Two requisition ids on the same ATS are never the same job, however alike the titles
+  IF _reason IS NULL AND NEW.company_key <> '' AND NEW.title_key <> '' THEN
+    SELECT * INTO _existing FROM public.jobs
+    WHERE user_id = NEW.user_id
+      AND company_key = NEW.company_key
+      AND similarity(title_key, NEW.title_key) >= 0.75
+      AND NOT (
+        canonical_key IS NOT NULL AND NEW.canonical_key IS NOT NULL
+        AND split_part(canonical_key, ':', 1) = split_part(NEW.canonical_key, ':', 1)
+        AND canonical_key <> NEW.canonical_key
+      )
+      AND public.job_locations_compatible(location, NEW.location)
+    ORDER BY similarity(title_key, NEW.title_key) DESC, created_at
+    LIMIT 1;
+    IF FOUND THEN
+      _reason := 'fuzzy_title';
+      _similarity := similarity(_existing.title_key, NEW.title_key);
+    END IF;
+  END IF;
+
+  IF _reason IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  -- Fill gaps in the surviving row from the duplicate
+  IF _existing.salary IS NULL AND NEW.salary IS NOT NULL THEN
+    _previous := _previous || jsonb_build_object('salary', _existing.salary);
+  END IF;
+  IF length(coalesce(NEW.description, '')) > length(coalesce(_existing.description, '')) THEN
+    _previous := _previous || jsonb_build_object('description', _existing.description);
+  END IF;
+  IF coalesce(array_length(_existing.requirements, 1), 0) = 0 AND coalesce(array_length(NEW.requirements, 1), 0) > 0 THEN
+    _previous := _previous || jsonb_build_object('requirements', to_jsonb(_existing.requirements));
+  END IF;
+  IF _existing.canonical_key IS NULL AND NEW.canonical_key IS NOT NULL THEN
+    _previous := _previous || jsonb_build_object('canonical_key', _existing.canonical_key);
+  END IF;
+
+  UPDATE public.jobs SET
+    salary = coalesce(salary, NEW.salary),
+    description = CASE WHEN _previous ? 'description' THEN NEW.description ELSE description END,
+    requirements = CASE WHEN _previous ? 'requirements' THEN NEW.requirements ELSE requirements END,
+    canonical_key = coalesce(canonical_key, NEW.canonical_key),
+    match_score = greatest(coalesce(match_score, 0), coalesce(NEW.match_score, 0)),
+    sources = CASE
+      WHEN sources @> jsonb_build_array(jsonb_build_object('url', NEW.url)) THEN sources
+      ELSE sources || NEW.sources
+    END
+  WHERE id = _existing.id;
+
+  -- Re-seeing the exact same URL is not a merge worth undoing
+  IF _reason <> 'url' THEN
+    INSERT INTO public.job_merge_history (user_id, job_id, merged_job, match_reason, similarity, previous_values)
+    VALUES (NEW.user_id, _existing.id, to_jsonb(NEW), _reason, _similarity, _previous);
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+CREATE TRIGGER merge_duplicate_job
+BEFORE INSERT OR UPDATE OF url, company, title ON public.jobs
+FOR EACH ROW EXECUTE FUNCTION public.merge_duplicate_job();
+
+-- Restore a merged listing as its own job and undo what it filled in on the survivor.
+-- Survivor fields edited since the merge are left alone.
+CREATE OR REPLACE FUNCTION public.unmerge_job(_merge_id UUID)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  _merge public.job_merge_history%ROWTYPE;
+  _restored public.jobs%ROWTYPE;
+  _merged JSONB;
+  _previous JSONB;
+BEGIN
+  SELECT * INTO _merge FROM public.job_merge_history
+  WHERE id = _merge_id AND user_id = auth.uid() AND unmerged_at IS NULL
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Merge % not found or already undone', _merge_id;
+  END IF;
+
+  _merged := _merge.merged_job;
+  _previous := _merge.previous_values;
+
+  _restored := jsonb_populate_record(NULL::public.jobs, _merged);
+  _restored.dedupe_exempt := true;
+  INSERT INTO public.jobs SELECT (_restored).*;
+
+  UPDATE public.jobs SET
+    salary = CASE
+      WHEN _previous ? 'salary' AND salary IS NOT DISTINCT FROM _merged->>'salary' THEN _previous->>'salary'
+      ELSE salary
+    END,
+    description = CASE
+      WHEN _previous ? 'description' AND description IS NOT DISTINCT FROM _merged->>'description' THEN _previous->>'description'
+      ELSE description
+    END,
+    requirements = CASE
+      WHEN _previous ? 'requirements' AND to_jsonb(requirements) IS NOT DISTINCT FROM _merged->'requirements'
+        THEN CASE
+          WHEN jsonb_typeof(_previous->'requirements') = 'array'
+            THEN ARRAY(SELECT jsonb_array_elements_text(_previous->'requirements'))
+          ELSE NULL
+        END
+      ELSE requirements
+    END,
+    canonical_key = CASE
+      WHEN _previous ? 'canonical_key' AND canonical_key IS NOT DISTINCT FROM _merged->>'canonical_key' THEN _previous->>'canonical_key'
+      ELSE canonical_key
+    END,
+    sources = coalesce(
+      (SELECT jsonb_agg(s) FROM jsonb_array_elements(sources) s WHERE s->>'url' IS DISTINCT FROM _merged->>'url'),
+      '[]'::jsonb
+    )
+  WHERE id = _merge.job_id;
+
+  UPDATE public.job_merge_history
+  SET unmerged_at = now(), restored_job_id = _restored.id
+  WHERE id = _merge_id;
+
+  RETURN _restored.id;
+END;
+$$;
@@ -0,0 +1,101 @@
+-- Separate "prepared" from "submitted".
+-- background-apply only tailors documents, so its applications now land in a
+-- "Ready to Submit" stage (category 'pending') instead of 'applied'. An
+-- application becomes 'applied' when a submission evidence row is recorded:
+-- the extension (or the user) reports the final URL, confirmation text or a
+-- screenshot hash after the ATS accepted the form.
+
+-- Default pipeline now has the prepared stage right after Pending
+CREATE OR REPLACE FUNCTION public.seed_application_stages(_user_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  INSERT INTO public.application_stages (user_id, key, name, position, category, is_terminal, color)
+  VALUES
+    (_user_id, 'pending', 'Pending', 0, 'pending', false, 'slate'),
+    (_user_id, 'prepared', 'Ready to Submit', 1, 'pending', false, 'cyan'),
+    (_user_id, 'applied', 'Applied', 2, 'applied', false, 'blue'),
+    (_user_id, 'phone_screen', 'Phone Screen', 3, 'interviewing', false, 'amber'),
+    (_user_id, 'take_home', 'Take-home', 4, 'interviewing', false, 'amber'),
+    (_user_id, 'onsite', 'Onsite', 5, 'interviewing', false, 'orange'),
+    (_user_id, 'reference_check', 'Reference Check', 6, 'interviewing', false, 'purple'),
+    (_user_id, 'offered', 'Offer', 7, 'offered', false, 'green'),
+    (_user_id, 'rejected', 'Rejected', 8, 'rejected', true, 'red'),
+    (_user_id, 'withdrawn', 'Withdrawn', 9, 'rejected', true, 'gray'),
+    (_user_id, 'ghosted', 'Ghosted', 10, 'rejected', true, 'gray')
+  ON CONFLICT (user_id, key) DO NOTHING;
+END;
+$$;
+
+-- Existing pipelines: make room after the first stage and add the prepared stage
+UPDATE public.application_stages s
+SET position = s.position + 1
+WHERE s.position > 0
+  AND NOT EXISTS (
+    SELECT 1 FROM public.application_stages p WHERE p.user_id = s.user_id AND p.key = 'prepared'
+  );
+
+INSERT INTO public.application_stages (user_id, key, name, position, category, is_terminal, color)
+SELECT DISTINCT user_id, 'prepared', 'Ready to Submit', 1, 'pending'::application_status, false, 'cyan'
+FROM public.application_stages
+ON CONFLICT (user_id, key) DO NOTHING;
+
+-- Evidence that an application really reached the ATS
+CREATE TABLE public.application_submissions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  application_id UUID REFERENCES public.applications(id) ON DELETE CASCADE NOT NULL UNIQUE,
+  job_id UUID REFERENCES public.jobs(id) ON DELETE CASCADE NOT NULL,
+  submitted_at TIMESTAMPTZ NOT NULL,
+  final_url TEXT,
+  confirmation_text TEXT,
+  screenshot_hash TEXT,
+  platform TEXT,
+  reported_by TEXT NOT NULL DEFAULT 'extension' CHECK (reported_by IN ('extension', 'manual')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (final_url IS NOT NULL OR confirmation_text IS NOT NULL OR screenshot_hash IS NOT NULL)
+);
+
+COMMENT ON COLUMN public.application_submissions.final_url IS 'Page the ATS showed after submit (usually a confirmation URL)';
+COMMENT ON COLUMN public.application_submissions.confirmation_text IS 'Confirmation message captured from that page';
+COMMENT ON COLUMN public.application_submissions.screenshot_hash IS 'sha256 of the confirmation screenshot kept by the extension';
+
+CREATE INDEX idx_application_submissions_user_id ON public.application_submissions(user_id, submitted_at DESC);
+CREATE INDEX idx_application_submissions_job_id ON public.application_submissions(job_id);
+
+ALTER TABLE public.application_submissions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own submissions" ON public.application_submissions FOR SELECT USING (auth.uid() = user_id);
+CREATE POLICY "Users can record submissions for their own applications" ON public.application_submissions FOR INSERT WITH CHECK (
+  auth.uid() = user_id
+  AND EXISTS (
+    SELECT 1 FROM public.applications a
+    WHERE a.id = application_id AND a.user_id = auth.uid() AND a.job_id = application_submissions.job_id
+  )
+);
+
+-- Evidence is what moves an application (and its job) to 'applied'.
+-- Applications already past 'applied' keep their stage.
+CREATE OR REPLACE FUNCTION public.mark_application_submitted()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  UPDATE public.applications
+  SET status = 'applied', applied_at = NEW.submitted_at
+  WHERE id = NEW.application_id AND coalesce(status, 'pending') = 'pending';
+
+  UPDATE public.jobs
+  SET status = 'applied', applied_at = NEW.submitted_at
+  WHERE id = NEW.job_id AND coalesce(status, 'pending') = 'pending';
+
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER mark_application_submitted
+AFTER INSERT ON public.application_submissions
+FOR EACH ROW EXECUTE FUNCTION public.mark_application_submitted();
@@ -0,0 +1,200 @@
+-- Durable queue for background work (background-apply batches and Job Queue
+-- URL imports). job-queue-worker claims items under a lease; if a worker dies
+-- or hits the edge-function timeout the lease runs out and the item is claimed
+-- again. Failures retry with exponential backoff until max_attempts, after
+-- which the item is dead-lettered (status 'dead') for the user to inspect.
+CREATE TABLE public.job_queue (
+  id UUID NOT NULL DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('import_url', 'prepare_application', 'batch_summary')),
+  payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+  status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'processing', 'paused', 'completed', 'dead')),
+  priority INTEGER NOT NULL DEFAULT 0,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 3 CHECK (max_attempts > 0),
+  run_after TIMESTAMPTZ NOT NULL DEFAULT now(),
+  lease_owner TEXT,
+  lease_expires_at TIMESTAMPTZ,
+  batch_id UUID,
+  dedupe_key TEXT,
+  job_id UUID REFERENCES public.jobs(id) ON DELETE SET NULL,
+  application_id UUID REFERENCES public.applications(id) ON DELETE SET NULL,
+  last_error TEXT,
+  result JSONB,
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+COMMENT ON COLUMN public.job_queue.kind IS 'import_url: fetch a posting URL, save the job and prepare it; prepare_application: tailor an existing job; batch_summary: email once the rest of the batch is done';
+COMMENT ON COLUMN public.job_queue.priority IS 'Higher runs first';
+COMMENT ON COLUMN public.job_queue.run_after IS 'Not claimed before this time (retry backoff, deferred summaries)';
+COMMENT ON COLUMN public.job_queue.dedupe_key IS 'At most one unfinished item per user and key (e.g. the posting URL)';
+
+-- Claim order, lease expiry scan and the per-user live view
+CREATE INDEX idx_job_queue_claimable ON public.job_queue(priority DESC, run_after, created_at) WHERE status = 'queued';
+CREATE INDEX idx_job_queue_leases ON public.job_queue(lease_expires_at) WHERE status = 'processing';
+CREATE INDEX idx_job_queue_user ON public.job_queue(user_id, created_at DESC);
+CREATE INDEX idx_job_queue_batch ON public.job_queue(batch_id) WHERE batch_id IS NOT NULL;
+CREATE UNIQUE INDEX idx_job_queue_dedupe ON public.job_queue(user_id, dedupe_key)
+  WHERE dedupe_key IS NOT NULL AND status IN ('queued', 'processing', 'paused');
+
+ALTER TABLE public.job_queue ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own queue items" ON public.job_queue FOR SELECT USING (auth.uid() = user_id);
+CREATE POLICY "Users can create their own queue items" ON public.job_queue FOR INSERT WITH CHECK (auth.uid() = user_id);
+CREATE POLICY "Users can update their own queue items" ON public.job_queue FOR UPDATE USING (auth.uid() = user_id);
+CREATE POLICY "Users can delete their own queue items" ON public.job_queue FOR DELETE USING (auth.uid() = user_id);
+
+CREATE TRIGGER update_job_queue_updated_at BEFORE UPDATE ON public.job_queue FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
+
+-- The Job Queue page is a live view over this table
+ALTER PUBLICATION supabase_realtime ADD TABLE public.job_queue;
+
+-- Claim up to _limit items for _worker. Expired leases count as claimable, so
+-- work abandoned by a crashed worker resumes; an expired item that is already
+-- out of attempts is dead-lettered instead. _user_id limits the claim to one
+-- user's items (a manual "process now" from the page).
+CREATE OR REPLACE FUNCTION public.claim_job_queue_items(
+  _worker TEXT,
+  _limit INTEGER DEFAULT 3,
+  _lease_seconds INTEGER DEFAULT 180,
+  _user_id UUID DEFAULT NULL
+)
+RETURNS SETOF public.job_queue
+LANGUAGE plpgsql
+SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  UPDATE public.job_queue
+  SET status = 'dead',
+      lease_owner = NULL,
+      lease_expires_at = NULL,
+      last_error = coalesce(last_error, 'Worker lease expired')
+  WHERE status = 'processing'
+    AND lease_expires_at < now()
+    AND attempts >= max_attempts
+    AND (_user_id IS NULL OR user_id = _user_id);
+
+  RETURN QUERY
+  UPDATE public.job_queue q
+  SET status = 'processing',
+      lease_owner = _worker,
+      lease_expires_at = now() + make_interval(secs => _lease_seconds),
+      attempts = q.attempts + 1
+  WHERE q.id IN (
+    SELECT c.id FROM public.job_queue c
+    WHERE ((c.status = 'queued' AND c.run_after <= now())
+        OR (c.status = 'processing' AND c.lease_expires_at < now()))
+      AND (_user_id IS NULL OR c.user_id = _user_id)
+    ORDER BY c.priority DESC, c.run_after, c.created_at
+    LIMIT _limit
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING q.*;
+END;
+$$;
+
+-- The lease check makes a late worker (whose item was re-claimed) a no-op
+CREATE OR REPLACE FUNCTION public.complete_job_queue_item(
+  _id UUID,
+  _worker TEXT,
+  _result JSONB DEFAULT NULL,
+  _job_id UUID DEFAULT NULL,
+  _application_id UUID DEFAULT NULL
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  UPDATE public.job_queue
+  SET status = 'completed',
+      result = _result,
+      job_id = coalesce(_job_id, job_id),
+      application_id = coalesce(_application_id, application_id),
+      last_error = NULL,
+      lease_owner = NULL,
+      lease_expires_at = NULL,
+      completed_at = now()
+  WHERE id = _id AND lease_owner = _worker AND status = 'processing';
+
+  RETURN FOUND;
+END;
+$$;
+
+-- Retry after 30s, 60s, 120s... or dead-letter when out of attempts (or the
+-- error can't be fixed by retrying). Returns the new status.
+CREATE OR REPLACE FUNCTION public.fail_job_queue_item(
+  _id UUID,
+  _worker TEXT,
+  _error TEXT,
+  _retryable BOOLEAN DEFAULT true
+)
+RETURNS TEXT
+LANGUAGE plpgsql
+SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  _status TEXT;
+BEGIN
+  UPDATE public.job_queue
+  SET status = CASE WHEN _retryable AND attempts < max_attempts THEN 'queued' ELSE 'dead' END,
+      run_after = CASE WHEN _retryable AND attempts < max_attempts
+                       THEN now() + make_interval(secs => 30 * power(2, attempts - 1))
+                       ELSE run_after END,
+      last_error = left(_error, 2000),
+      lease_owner = NULL,
+      lease_expires_at = NULL
+  WHERE id = _id AND lease_owner = _worker AND status = 'processing'
+  RETURNING status INTO _status;
+
+  RETURN _status;
+END;
+$$;
+
+-- Put an item back without spending an attempt (it is waiting, not failing)
+CREATE OR REPLACE FUNCTION public.defer_job_queue_item(
+  _id UUID,
+  _worker TEXT,
+  _delay_seconds INTEGER
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  UPDATE public.job_queue
+  SET status = 'queued',
+      attempts = greatest(attempts - 1, 0),
+      run_after = now() + make_interval(secs => _delay_seconds),
+      lease_owner = NULL,
+      lease_expires_at = NULL
+  WHERE id = _id AND lease_owner = _worker AND status = 'processing';
+
+  RETURN FOUND;
+END;
+$$;
+
+-- Only the worker (service role) may claim or settle items
+REVOKE EXECUTE ON FUNCTION public.claim_job_queue_items(TEXT, INTEGER, INTEGER, UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.complete_job_queue_item(UUID, TEXT, JSONB, UUID, UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.fail_job_queue_item(UUID, TEXT, TEXT, BOOLEAN) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.defer_job_queue_item(UUID, TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- Pick up queued work every minute, so nothing depends on a browser tab
+-- staying open (service role key from Vault, see poll-company-boards)
+SELECT cron.schedule(
+  'job-queue-worker',
+  '* * * * *',
+  $$
+  SELECT net.http_post(
+    url := 'https://wntpldomgjutwufphnpg.supabase.co/functions/v1/job-queue-worker',
+    headers := jsonb_build_object(
+      'Content-Type', 'application/json',
+      'Authorization', 'Bearer ' || (SELECT decrypted_secret FROM vault.decrypted_secrets WHERE name = 'service_role_key')
+    ),
+    body := '{}'::jsonb
+  );
+  $$
+);
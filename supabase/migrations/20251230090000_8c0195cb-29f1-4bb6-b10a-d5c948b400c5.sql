@@ -0,0 +1,11 @@
+-- Every LLM call now goes through the shared gateway (_shared/llm), which
+-- records which provider and model answered and how the tokens split between
+-- prompt and completion. tokens_used stays the total.
+ALTER TABLE public.api_usage
+  ADD COLUMN provider TEXT,
+  ADD COLUMN model TEXT,
+  ADD COLUMN prompt_tokens INTEGER,
+  ADD COLUMN completion_tokens INTEGER;
+
+-- Monthly budget checks sum a user's usage since the 1st
+CREATE INDEX idx_api_usage_user_created ON public.api_usage(user_id, created_at DESC);
@@ -0,0 +1,44 @@
+-- Per-user monthly AI budget, checked by the LLM gateway (_shared/llm) before
+-- every model call. The limit is in tokens or in estimated USD (per-model
+-- list prices, see _shared/llm/pricing.ts). Past warn_at_percent calls still
+-- run but come back with a warning; with hard_stop a call that would go over
+-- the limit is refused. Months are calendar months in UTC.
+CREATE TABLE public.ai_budgets (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  unit TEXT NOT NULL DEFAULT 'tokens' CHECK (unit IN ('tokens', 'usd')),
+  monthly_limit NUMERIC(14, 4) NOT NULL CHECK (monthly_limit > 0),
+  warn_at_percent INTEGER NOT NULL DEFAULT 80 CHECK (warn_at_percent BETWEEN 1 AND 100),
+  hard_stop BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+ALTER TABLE public.ai_budgets ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own AI budget" ON public.ai_budgets FOR SELECT USING (auth.uid() = user_id);
+CREATE POLICY "Users can create their own AI budget" ON public.ai_budgets FOR INSERT WITH CHECK (auth.uid() = user_id);
+CREATE POLICY "Users can update their own AI budget" ON public.ai_budgets FOR UPDATE USING (auth.uid() = user_id);
+CREATE POLICY "Users can delete their own AI budget" ON public.ai_budgets FOR DELETE USING (auth.uid() = user_id);
+
+CREATE TRIGGER update_ai_budgets_updated_at BEFORE UPDATE ON public.ai_budgets FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
+
+-- Cost at the time of the call, and the job it was made for (when known)
+ALTER TABLE public.api_usage
+  ADD COLUMN estimated_cost NUMERIC(12, 6),
+  ADD COLUMN job_id UUID REFERENCES public.jobs(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_api_usage_job_id ON public.api_usage(job_id) WHERE job_id IS NOT NULL;
+
+-- This month's totals for a user. Runs as the caller, so RLS limits users to
+-- their own usage.
+CREATE OR REPLACE FUNCTION public.get_monthly_ai_usage(_user_id UUID)
+RETURNS TABLE (tokens BIGINT, cost NUMERIC)
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+  SELECT coalesce(sum(tokens_used), 0)::BIGINT, coalesce(sum(estimated_cost), 0)
+  FROM public.api_usage
+  WHERE user_id = _user_id
+    AND created_at >= date_trunc('month', now() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC';
+$$;
@@ -0,0 +1,167 @@
+-- Resume versions. 'base' rows are the user's master CVs (several named
+-- variants, e.g. "Data Engineer" and "ML Engineer"); 'tailored' rows are the
+-- per-application snapshots derived from one of them. parent_id records the
+-- lineage. content is the structured resume (the generate-pdf ResumeData
+-- shape), plus `text` for tailored snapshots, which are plain text.
+-- Versions are immutable: editing a CV means saving a child version.
+CREATE TABLE public.resume_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  parent_id UUID REFERENCES public.resume_versions(id) ON DELETE SET NULL,
+  kind TEXT NOT NULL DEFAULT 'base' CHECK (kind IN ('base', 'tailored')),
+  name TEXT NOT NULL,
+  version INTEGER NOT NULL DEFAULT 1,
+  content JSONB NOT NULL DEFAULT '{}'::jsonb,
+  job_id UUID REFERENCES public.jobs(id) ON DELETE SET NULL,
+  is_default BOOLEAN NOT NULL DEFAULT false CHECK (NOT is_default OR kind = 'base'),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX idx_resume_versions_one_default ON public.resume_versions(user_id) WHERE is_default;
+CREATE INDEX idx_resume_versions_user_kind ON public.resume_versions(user_id, kind, created_at DESC);
+CREATE INDEX idx_resume_versions_parent_id ON public.resume_versions(parent_id) WHERE parent_id IS NOT NULL;
+
+ALTER TABLE public.resume_versions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own resume versions" ON public.resume_versions FOR SELECT USING (auth.uid() = user_id);
+CREATE POLICY "Users can create their own resume versions" ON public.resume_versions FOR INSERT WITH CHECK (auth.uid() = user_id);
+CREATE POLICY "Users can update their own resume versions" ON public.resume_versions FOR UPDATE USING (auth.uid() = user_id);
+CREATE POLICY "Users can delete their own resume versions" ON public.resume_versions FOR DELETE USING (auth.uid() = user_id);
+
+CREATE TRIGGER update_resume_versions_updated_at BEFORE UPDATE ON public.resume_versions FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
+
+-- Numbers new versions after their parent, keeps a single default per user
+-- and refuses changes to anything but the name and default flag.
+CREATE OR REPLACE FUNCTION public.prepare_resume_version()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    IF NEW.parent_id IS NOT NULL THEN
+      SELECT version + 1 INTO NEW.version
+      FROM public.resume_versions
+      WHERE id = NEW.parent_id AND user_id = NEW.user_id;
+
+      IF NEW.version IS NULL THEN
+        RAISE EXCEPTION 'Parent resume version % not found', NEW.parent_id;
+      END IF;
+    ELSE
+      NEW.version := 1;
+    END IF;
+  ELSIF NEW.content IS DISTINCT FROM OLD.content
+     OR NEW.kind IS DISTINCT FROM OLD.kind
+     OR NEW.user_id IS DISTINCT FROM OLD.user_id
+     OR NEW.version IS DISTINCT FROM OLD.version
+     OR (NEW.parent_id IS DISTINCT FROM OLD.parent_id AND NEW.parent_id IS NOT NULL) THEN
+    RAISE EXCEPTION 'Resume versions are immutable; save a new version instead';
+  END IF;
+
+  IF NEW.is_default THEN
+    UPDATE public.resume_versions
+    SET is_default = false
+    WHERE user_id = NEW.user_id AND is_default AND id <> NEW.id;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER prepare_resume_version
+BEFORE INSERT OR UPDATE ON public.resume_versions
+FOR EACH ROW EXECUTE FUNCTION public.prepare_resume_version();
+
+-- The snapshot an application was submitted with. Not cascaded: a snapshot
+-- can't be deleted while an application still points at it.
+ALTER TABLE public.applications
+  ADD COLUMN resume_version_id UUID REFERENCES public.resume_versions(id);
+
+CREATE INDEX idx_applications_resume_version_id ON public.applications(resume_version_id) WHERE resume_version_id IS NOT NULL;
+
+-- Every tailored resume written to an application gets a snapshot. Writers
+-- that already made one (tailor-application does) pass resume_version_id and
+-- it is kept; otherwise the text is snapshotted here, descending from the
+-- application's previous snapshot or else the user's default base version.
+CREATE OR REPLACE FUNCTION public.snapshot_application_resume()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER SET search_path = public
+AS $$
+DECLARE
+  _parent_id UUID;
+  _name TEXT;
+BEGIN
+  IF NEW.resume_version_id IS NOT NULL
+     AND (TG_OP = 'INSERT' OR NEW.resume_version_id IS DISTINCT FROM OLD.resume_version_id) THEN
+    IF NOT EXISTS (
+      SELECT 1 FROM public.resume_versions WHERE id = NEW.resume_version_id AND user_id = NEW.user_id
+    ) THEN
+      RAISE EXCEPTION 'Resume version % not found', NEW.resume_version_id;
+    END IF;
+    RETURN NEW;
+  END IF;
+
+  IF NEW.tailored_resume IS NULL
+     OR (TG_OP = 'UPDATE' AND NEW.tailored_resume IS NOT DISTINCT FROM OLD.tailored_resume) THEN
+    RETURN NEW;
+  END IF;
+
+  IF TG_OP = 'UPDATE' THEN
+    _parent_id := OLD.resume_version_id;
+  END IF;
+
+  IF _parent_id IS NULL THEN
+    SELECT id INTO _parent_id
+    FROM public.resume_versions
+    WHERE user_id = NEW.user_id AND is_default;
+  END IF;
+
+  SELECT title || ' at ' || company INTO _name FROM public.jobs WHERE id = NEW.job_id;
+
+  INSERT INTO public.resume_versions (user_id, parent_id, kind, name, content, job_id)
+  VALUES (
+    NEW.user_id,
+    _parent_id,
+    'tailored',
+    coalesce(_name, 'Tailored resume'),
+    jsonb_build_object('text', NEW.tailored_resume),
+    NEW.job_id
+  )
+  RETURNING id INTO NEW.resume_version_id;
+
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER snapshot_application_resume
+BEFORE INSERT OR UPDATE OF tailored_resume, resume_version_id ON public.applications
+FOR EACH ROW EXECUTE FUNCTION public.snapshot_application_resume();
+
+-- Snapshot the tailored resumes of existing applications
+DO $$
+DECLARE
+  _app RECORD;
+  _version_id UUID;
+BEGIN
+  FOR _app IN
+    SELECT a.id, a.user_id, a.job_id, a.tailored_resume, j.title, j.company
+    FROM public.applications a
+    LEFT JOIN public.jobs j ON j.id = a.job_id
+    WHERE a.tailored_resume IS NOT NULL AND a.resume_version_id IS NULL
+  LOOP
+    INSERT INTO public.resume_versions (user_id, kind, name, content, job_id)
+    VALUES (
+      _app.user_id,
+      'tailored',
+      coalesce(_app.title || ' at ' || _app.company, 'Tailored resume'),
+      jsonb_build_object('text', _app.tailored_resume),
+      _app.job_id
+    )
+    RETURNING id INTO _version_id;
+
+    UPDATE public.applications SET resume_version_id = _version_id WHERE id = _app.id;
+  END LOOP;
+END;
+$$;
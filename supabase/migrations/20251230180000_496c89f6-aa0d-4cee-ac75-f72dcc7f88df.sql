@@ -0,0 +1,42 @@
+-- The generate-pdf layout a resume version is rendered with (an id from
+-- supabase/functions/_shared/resume-templates). NULL means the default
+-- template. Unlike the content, it can be changed on an existing version.
+ALTER TABLE public.resume_versions
+  ADD COLUMN template TEXT;
+
+-- Tailored snapshots are rendered like the base version they came from
+CREATE OR REPLACE FUNCTION public.prepare_resume_version()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    IF NEW.parent_id IS NOT NULL THEN
+      SELECT version + 1, COALESCE(NEW.template, template) INTO NEW.version, NEW.template
+      FROM public.resume_versions
+      WHERE id = NEW.parent_id AND user_id = NEW.user_id;
+
+      IF NEW.version IS NULL THEN
+        RAISE EXCEPTION 'Parent resume version % not found', NEW.parent_id;
+      END IF;
+    ELSE
+      NEW.version := 1;
+    END IF;
+  ELSIF NEW.content IS DISTINCT FROM OLD.content
+     OR NEW.kind IS DISTINCT FROM OLD.kind
+     OR NEW.user_id IS DISTINCT FROM OLD.user_id
+     OR NEW.version IS DISTINCT FROM OLD.version
+     OR (NEW.parent_id IS DISTINCT FROM OLD.parent_id AND NEW.parent_id IS NOT NULL) THEN
+    RAISE EXCEPTION 'Resume versions are immutable; save a new version instead';
+  END IF;
+
+  IF NEW.is_default THEN
+    UPDATE public.resume_versions
+    SET is_default = false
+    WHERE user_id = NEW.user_id AND is_default AND id <> NEW.id;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
@@ -0,0 +1,33 @@
+-- The user's answers to screening and knockout questions ("Do you need
+-- sponsorship?", "Notice period?"). question_key is an id from the
+-- catalog in supabase/functions/_shared/answer-bank. An answer can be
+-- scoped to a job country and/or to jobs whose title or company contains
+-- job_scope; '' means any. Rows start as 'profile' seeds or 'user' edits.
+-- answer-questions adds 'flagged' rows (unapproved, no answer) for catalog
+-- questions it met without an approved answer, so the user can fill them in.
+CREATE TABLE public.answer_bank (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  question_key TEXT NOT NULL,
+  answer TEXT NOT NULL DEFAULT '',
+  select_value TEXT,
+  country TEXT NOT NULL DEFAULT '',
+  job_scope TEXT NOT NULL DEFAULT '',
+  source TEXT NOT NULL DEFAULT 'user' CHECK (source IN ('profile', 'user', 'flagged')),
+  approved BOOLEAN NOT NULL DEFAULT false,
+  -- The question as last seen on a form, for flagged rows
+  last_question TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  UNIQUE (user_id, question_key, country, job_scope),
+  CHECK (NOT approved OR answer <> '')
+);
+
+ALTER TABLE public.answer_bank ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own answers" ON public.answer_bank FOR SELECT USING (auth.uid() = user_id);
+CREATE POLICY "Users can create their own answers" ON public.answer_bank FOR INSERT WITH CHECK (auth.uid() = user_id);
+CREATE POLICY "Users can update their own answers" ON public.answer_bank FOR UPDATE USING (auth.uid() = user_id);
+CREATE POLICY "Users can delete their own answers" ON public.answer_bank FOR DELETE USING (auth.uid() = user_id);
+
+CREATE TRIGGER update_answer_bank_updated_at BEFORE UPDATE ON public.answer_bank FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
@@ -0,0 +1,48 @@
+-- Work authorization per country, replacing the single visa_required flag
+-- and the authorized_countries list. Each entry is
+--   { country, status, visa_type, expires_on, requires_sponsorship }
+-- with status one of citizen, permanent_resident, work_visa, authorized
+-- (no detail given) or not_authorized. See
+-- supabase/functions/_shared/answer-bank/authorization.ts.
+ALTER TABLE public.profiles
+  ADD COLUMN work_authorizations JSONB NOT NULL DEFAULT '[]'::jsonb
+  CHECK (jsonb_typeof(work_authorizations) = 'array');
+
+-- Citizenship becomes a citizen entry; every other authorized country keeps
+-- the old global sponsorship flag, since nothing more is known about it
+UPDATE public.profiles p SET work_authorizations = (
+  SELECT coalesce(jsonb_agg(entry ORDER BY ord), '[]'::jsonb)
+  FROM (
+    SELECT 0::BIGINT AS ord, jsonb_build_object(
+      'country', btrim(p.citizenship),
+      'status', 'citizen',
+      'visa_type', NULL,
+      'expires_on', NULL,
+      'requires_sponsorship', false
+    ) AS entry
+    WHERE coalesce(btrim(p.citizenship), '') <> ''
+    UNION ALL
+    SELECT c.ord, jsonb_build_object(
+      'country', btrim(c.country),
+      'status', 'authorized',
+      'visa_type', NULL,
+      'expires_on', NULL,
+      'requires_sponsorship', coalesce(p.visa_required, false)
+    )
+    FROM unnest(p.authorized_countries) WITH ORDINALITY AS c(country, ord)
+    WHERE coalesce(btrim(c.country), '') <> ''
+      AND lower(btrim(c.country)) <> lower(coalesce(btrim(p.citizenship), ''))
+  ) entries
+);
+
+ALTER TABLE public.profiles
+  DROP COLUMN visa_required,
+  DROP COLUMN authorized_countries;
+
+-- Authorization questions are now answered from work_authorizations; drop
+-- the unreviewed suggestions the old flags produced. Approved answers stay
+-- as the fallback for countries without an entry.
+DELETE FROM public.answer_bank
+WHERE source = 'profile'
+  AND NOT approved
+  AND question_key IN ('work_authorization', 'work_without_sponsorship', 'sponsorship', 'citizen');
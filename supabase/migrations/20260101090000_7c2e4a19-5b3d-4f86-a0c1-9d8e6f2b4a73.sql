@@ -0,0 +1,9 @@
+-- What the extension filled into the form, as confirmed by the user at its
+-- pre-submit review: [{ label, value, source, confidence, detail, edited }]
+-- with source one of profile, memory, pattern, ai or manual. See
+-- supabase/functions/_shared/filled-fields.ts.
+ALTER TABLE public.application_submissions
+  ADD COLUMN filled_fields JSONB NOT NULL DEFAULT '[]'::jsonb
+  CHECK (jsonb_typeof(filled_fields) = 'array');
+
+COMMENT ON COLUMN public.application_submissions.filled_fields IS 'Form fields as submitted, with where each value came from';
@@ -0,0 +1,58 @@
+-- Let users curate what answer-questions remembers (Profile > Memories).
+-- A memory can be scoped like an answer_bank row: to a job country and/or
+-- to jobs whose title or company contains job_scope; '' means any. Pinned
+-- memories win over others, are never overwritten by new AI answers and are
+-- never pruned. Memories marked wrong are kept, so the user can see and fix
+-- them, but are never matched again.
+ALTER TABLE public.user_memories
+  ADD COLUMN question TEXT,
+  ADD COLUMN country TEXT NOT NULL DEFAULT '',
+  ADD COLUMN job_scope TEXT NOT NULL DEFAULT '',
+  ADD COLUMN pinned BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN marked_wrong BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN last_job_title TEXT,
+  ADD COLUMN last_company TEXT;
+
+COMMENT ON COLUMN public.user_memories.question IS 'The question as it was first asked on a form';
+COMMENT ON COLUMN public.user_memories.marked_wrong IS 'Marked wrong by the user; never used to answer again';
+
+-- Backfill the job from the context the answer was stored with
+UPDATE public.user_memories
+SET last_job_title = NULLIF(context->>'jobTitle', ''),
+    last_company = NULLIF(context->>'company', '')
+WHERE context IS NOT NULL;
+
+-- Prune as before (keeps max 200 per user), but never drop pinned memories
+CREATE OR REPLACE FUNCTION public.prune_user_memories()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  memory_count INTEGER;
+BEGIN
+  SELECT COUNT(*) INTO memory_count
+  FROM public.user_memories
+  WHERE user_id = NEW.user_id AND NOT pinned;
+
+  IF memory_count > 200 THEN
+    DELETE FROM public.user_memories
+    WHERE id IN (
+      SELECT id FROM public.user_memories
+      WHERE user_id = NEW.user_id AND NOT pinned
+      ORDER BY
+        CASE confidence
+          WHEN 'low' THEN 0
+          WHEN 'medium' THEN 1
+          WHEN 'high' THEN 2
+        END,
+        used_count ASC,
+        last_used_at ASC
+      LIMIT (memory_count - 200)
+    );
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
@@ -0,0 +1,34 @@
+-- seed_application_stages is SECURITY DEFINER, so it bypasses RLS on
+-- application_stages. Signed-in users may only seed their own pipeline;
+-- calls without a user (handle_new_user, migrations, the service role) may
+-- seed anyone's.
+CREATE OR REPLACE FUNCTION public.seed_application_stages(_user_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER SET search_path = public
+AS $$
+BEGIN
+  IF auth.uid() IS NOT NULL AND _user_id IS DISTINCT FROM auth.uid() THEN
+    RAISE EXCEPTION 'Cannot seed application stages for another user'
+      USING ERRCODE = '42501';
+  END IF;
+
+  INSERT INTO public.application_stages (user_id, key, name, position, category, is_terminal, color)
+  VALUES
+    (_user_id, 'pending', 'Pending', 0, 'pending', false, 'slate'),
+    (_user_id, 'prepared', 'Ready to Submit', 1, 'pending', false, 'cyan'),
+    (_user_id, 'applied', 'Applied', 2, 'applied', false, 'blue'),
+    (_user_id, 'phone_screen', 'Phone Screen', 3, 'interviewing', false, 'amber'),
+    (_user_id, 'take_home', 'Take-home', 4, 'interviewing', false, 'amber'),
+    (_user_id, 'onsite', 'Onsite', 5, 'interviewing', false, 'orange'),
+    (_user_id, 'reference_check', 'Reference Check', 6, 'interviewing', false, 'purple'),
+    (_user_id, 'offered', 'Offer', 7, 'offered', false, 'green'),
+    (_user_id, 'rejected', 'Rejected', 8, 'rejected', true, 'red'),
+    (_user_id, 'withdrawn', 'Withdrawn', 9, 'rejected', true, 'gray'),
+    (_user_id, 'ghosted', 'Ghosted', 10, 'rejected', true, 'gray')
+  ON CONFLICT (user_id, key) DO NOTHING;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.seed_application_stages(UUID) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION public.seed_application_stages(UUID) TO authenticated, service_role;
@@ -0,0 +1,36 @@
+-- Memories marked wrong are kept so the user can see and fix them, so
+-- pruning must not drop them either: like pinned memories they are left out
+-- of the 200-per-user count and never deleted.
+CREATE OR REPLACE FUNCTION public.prune_user_memories()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  memory_count INTEGER;
+BEGIN
+  SELECT COUNT(*) INTO memory_count
+  FROM public.user_memories
+  WHERE user_id = NEW.user_id AND NOT pinned AND NOT marked_wrong;
+
+  IF memory_count > 200 THEN
+    DELETE FROM public.user_memories
+    WHERE id IN (
+      SELECT id FROM public.user_memories
+      WHERE user_id = NEW.user_id AND NOT pinned AND NOT marked_wrong
+      ORDER BY
+        CASE confidence
+          WHEN 'low' THEN 0
+          WHEN 'medium' THEN 1
+          WHEN 'high' THEN 2
+        END,
+        used_count ASC,
+        last_used_at ASC
+      LIMIT (memory_count - 200)
+    );
+  END IF;
+
+  RETURN NEW;
+END;
+$$;